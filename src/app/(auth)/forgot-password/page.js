@@ -0,0 +1,114 @@
+'use client';
+
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { Briefcase, Loader2, CheckCircle, XCircle } from 'lucide-react';
+import { Button, Input, Label, Card, CardContent, CardHeader, CardTitle } from '@/components/ui/common';
+
+export default function ForgotPasswordPage() {
+    const [email, setEmail] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [successMessage, setSuccessMessage] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+        if (!emailRegex.test(email.trim())) {
+            setError('Please enter a valid email address');
+            return;
+        }
+
+        setIsLoading(true);
+        setError('');
+        setSuccessMessage('');
+
+        try {
+            const response = await fetch('/api/auth/forgot-password', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ email: email.trim() }),
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setSuccessMessage(data.message);
+            } else {
+                setError(data.error?.message || 'Failed to send reset link. Please try again.');
+            }
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            setError('Network error. Please check your connection and try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="flex flex-col justify-center items-center min-h-screen bg-muted/30 p-4">
+            <div className="flex items-center gap-2 mb-8">
+                <div className="h-10 w-10 rounded bg-primary flex items-center justify-center">
+                    <Briefcase className="h-6 w-6 text-primary-foreground" />
+                </div>
+                <span className="font-bold text-2xl tracking-tight">Nexus ATS</span>
+            </div>
+
+            <Card className="w-full max-w-md">
+                <CardHeader className="space-y-1">
+                    <CardTitle className="text-2xl text-center">Forgot your password?</CardTitle>
+                    <p className="text-sm text-muted-foreground text-center">
+                        Enter your email and we&apos;ll send you a link to reset it
+                    </p>
+                </CardHeader>
+                <CardContent>
+                    {successMessage && (
+                        <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-md">
+                            <div className="flex items-center gap-2">
+                                <CheckCircle className="h-4 w-4 text-green-600" />
+                                <p className="text-sm text-green-800">{successMessage}</p>
+                            </div>
+                        </div>
+                    )}
+
+                    {error && (
+                        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
+                            <div className="flex items-center gap-2">
+                                <XCircle className="h-4 w-4 text-red-600" />
+                                <p className="text-sm text-red-800">{error}</p>
+                            </div>
+                        </div>
+                    )}
+
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <div className="space-y-2">
+                            <Label htmlFor="email">Email</Label>
+                            <Input
+                                id="email"
+                                type="email"
+                                placeholder="john@example.com"
+                                required
+                                value={email}
+                                onChange={e => setEmail(e.target.value)}
+                                disabled={isLoading}
+                            />
+                        </div>
+                        <Button className="w-full" type="submit" disabled={isLoading}>
+                            {isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                            {isLoading ? 'Sending...' : 'Send Reset Link'}
+                        </Button>
+                    </form>
+
+                    <div className="mt-6 text-center text-sm">
+                        <span className="text-muted-foreground">Remembered it? </span>
+                        <Link href="/login" className="font-medium text-primary hover:underline">
+                            Back to sign in
+                        </Link>
+                    </div>
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
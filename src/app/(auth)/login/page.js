@@ -4,9 +4,28 @@ import React, { useState, useEffect } from 'react';
 import { useRouter, useSearchParams } from 'next/navigation';
 import { signIn, getSession } from 'next-auth/react';
 import Link from 'next/link';
-import { Briefcase, Loader2, Eye, EyeOff, CheckCircle, XCircle, AlertCircle } from 'lucide-react';
+import { Briefcase, Loader2, Eye, EyeOff, CheckCircle, XCircle, AlertCircle, ShieldCheck, KeyRound } from 'lucide-react';
 import { Button, Input, Label, Card, CardContent, CardHeader, CardTitle } from '@/components/ui/common';
 
+// Errors the single sign-on routes send back to this page
+const SSO_ERROR_MESSAGES = {
+    'sso-required': 'Your organization requires single sign-on. Continue with your work email below.',
+    'sso-not-configured': 'Single sign-on isn\'t set up for this email address. Sign in with your password instead.',
+    'sso-provider-unavailable': 'Your organization\'s identity provider could not be reached. Please try again later.',
+    'sso-state-mismatch': 'That sign-in link was not started from this browser. Please try again.',
+    'sso-expired': 'The single sign-on attempt took too long. Please try again.',
+    'sso-denied': 'Sign-in was cancelled at your identity provider.',
+    'sso-email-missing': 'Your identity provider did not share a verified email address.',
+    'sso-domain-not-allowed': 'Your email domain is not allowed to sign in with this organization\'s single sign-on.',
+    'sso-access-revoked': 'Your access to this organization has been removed. Contact an Admin if this is a mistake.',
+    'sso-identity-mismatch': 'This email is already linked to a different account at your identity provider.',
+    'sso-account-exists': 'An account with this email already exists. Sign in with your password, then link single sign-on under Settings → Security.',
+    'sso-link-mismatch': 'Your identity provider signed you in with a different email address than your account.',
+    'sso-link-signed-out': 'Sign in first, then link single sign-on under Settings → Security.',
+    'sso-too-many-attempts': 'Too many single sign-on attempts. Please wait a moment and try again.',
+    'sso-failed': 'Single sign-on failed. Please try again.'
+};
+
 export default function LoginPage() {
     const router = useRouter();
     const searchParams = useSearchParams();
@@ -20,6 +39,11 @@ export default function LoginPage() {
     });
     const [error, setError] = useState('');
     const [successMessage, setSuccessMessage] = useState('');
+    // Accounts with two-factor authentication sign in in two steps: password, then code
+    const [isTwoFactorStep, setIsTwoFactorStep] = useState(false);
+    const [twoFactorCode, setTwoFactorCode] = useState('');
+    // Single sign-on only needs the work email to find the organization's identity provider
+    const [isSsoMode, setIsSsoMode] = useState(false);
 
     // Check for messages from URL params
     useEffect(() => {
@@ -30,6 +54,8 @@ export default function LoginPage() {
             setSuccessMessage('Account created successfully! Please sign in with your credentials.');
         } else if (message === 'email-verified') {
             setSuccessMessage('Email verified successfully! You can now sign in.');
+        } else if (message === 'password-reset') {
+            setSuccessMessage('Your password has been reset. Please sign in with your new password.');
         } else if (message === 'account-deleted') {
             setSuccessMessage('Your account has been successfully deleted. Thank you for using Nexus ATS.');
         }
@@ -46,7 +72,11 @@ export default function LoginPage() {
                     setError('This Google account is not registered. Please sign up first or use a different account.');
                     break;
                 default:
-                    setError('An error occurred during sign in. Please try again.');
+                    setError(SSO_ERROR_MESSAGES[error] || 'An error occurred during sign in. Please try again.');
+            }
+
+            if (error.startsWith('sso-')) {
+                setIsSsoMode(true);
             }
         }
     }, [searchParams]);
@@ -105,6 +135,11 @@ export default function LoginPage() {
             return;
         }
 
+        if (isTwoFactorStep && !twoFactorCode.trim()) {
+            setError('Enter the code from your authenticator app or a recovery code');
+            return;
+        }
+
         setIsLoading(true);
         setError('');
         setSuccessMessage('');
@@ -113,11 +148,30 @@ export default function LoginPage() {
             const result = await signIn('credentials', {
                 email: formData.email.trim(),
                 password: formData.password,
+                ...(isTwoFactorStep ? { code: twoFactorCode.trim() } : {}),
                 redirect: false,
             });
 
             if (result?.error) {
                 switch (result.error) {
+                    case 'TwoFactorRequired':
+                        setIsTwoFactorStep(true);
+                        break;
+                    case 'InvalidTwoFactorCode':
+                        setError('That code is not valid. Codes change every 30 seconds, and each recovery code works once.');
+                        setTwoFactorCode('');
+                        break;
+                    case 'TooManyAttempts':
+                        setError('Too many sign-in attempts. Please wait a moment and try again.');
+                        break;
+                    case 'SsoRequired':
+                        setIsSsoMode(true);
+                        setFormData({ ...formData, password: '' });
+                        setError(SSO_ERROR_MESSAGES['sso-required']);
+                        break;
+                    case 'AccountLocked':
+                        setError('Too many failed sign-in attempts, so sign-in is locked for a while. If you forgot your password, reset it instead.');
+                        break;
                     case 'CredentialsSignin':
                         setError('Invalid email or password. Please check your credentials and try again.');
                         break;
@@ -140,6 +194,37 @@ export default function LoginPage() {
         }
     };
 
+    const handleBackToPassword = () => {
+        setIsTwoFactorStep(false);
+        setTwoFactorCode('');
+        setFormData({ ...formData, password: '' });
+        setError('');
+    };
+
+    const handleSsoSubmit = (e) => {
+        e.preventDefault();
+
+        const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+        if (!emailRegex.test(formData.email.trim())) {
+            setError('Please enter a valid email address');
+            return;
+        }
+
+        setIsLoading(true);
+        setError('');
+        setSuccessMessage('');
+
+        // The start route redirects to the identity provider, which returns through /login/sso
+        const params = new URLSearchParams({ email: formData.email.trim(), callbackUrl: '/' });
+        window.location.href = `/api/auth/sso/start?${params.toString()}`;
+    };
+
+    const handleToggleSso = () => {
+        setIsSsoMode(!isSsoMode);
+        setFormData({ ...formData, password: '' });
+        setError('');
+    };
+
     const handleGoogleSignIn = async () => {
         setIsGoogleLoading(true);
         setError('');
@@ -172,7 +257,11 @@ export default function LoginPage() {
                 <CardHeader className="space-y-1">
                     <CardTitle className="text-2xl text-center">Welcome back</CardTitle>
                     <p className="text-sm text-muted-foreground text-center">
-                        Enter your email and password to sign in
+                        {isTwoFactorStep
+                            ? 'Enter the code from your authenticator app'
+                            : isSsoMode
+                                ? 'Enter your work email to sign in with your organization'
+                                : 'Enter your email and password to sign in'}
                     </p>
                 </CardHeader>
                 <CardContent>
@@ -194,6 +283,63 @@ export default function LoginPage() {
                         </div>
                     )}
 
+                    {isTwoFactorStep ? (
+                        <form onSubmit={handleSubmit} className="space-y-4">
+                            <div className="flex items-center gap-2 p-3 bg-muted/50 rounded-md">
+                                <ShieldCheck className="h-4 w-4 text-primary" />
+                                <p className="text-sm text-muted-foreground">
+                                    Two-factor authentication is on for {formData.email}
+                                </p>
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="twoFactorCode">Authentication code</Label>
+                                <Input
+                                    id="twoFactorCode"
+                                    inputMode="text"
+                                    autoComplete="one-time-code"
+                                    placeholder="123456"
+                                    autoFocus
+                                    required
+                                    value={twoFactorCode}
+                                    onChange={e => setTwoFactorCode(e.target.value)}
+                                    disabled={isLoading}
+                                />
+                                <p className="text-xs text-muted-foreground">
+                                    Lost your phone? Enter one of your recovery codes instead.
+                                </p>
+                            </div>
+                            <Button className="w-full" type="submit" disabled={isLoading}>
+                                {isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                                {isLoading ? 'Verifying...' : 'Verify'}
+                            </Button>
+                            <Button className="w-full" type="button" variant="ghost" onClick={handleBackToPassword} disabled={isLoading}>
+                                Use a different account
+                            </Button>
+                        </form>
+                    ) : isSsoMode ? (
+                        <form onSubmit={handleSsoSubmit} className="space-y-4">
+                            <div className="space-y-2">
+                                <Label htmlFor="ssoEmail">Work email</Label>
+                                <Input
+                                    id="ssoEmail"
+                                    type="email"
+                                    placeholder="john@company.com"
+                                    autoFocus
+                                    required
+                                    value={formData.email}
+                                    onChange={e => setFormData({ ...formData, email: e.target.value })}
+                                    disabled={isLoading}
+                                />
+                            </div>
+                            <Button className="w-full" type="submit" disabled={isLoading}>
+                                {isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                                {isLoading ? 'Redirecting...' : 'Continue'}
+                            </Button>
+                            <Button className="w-full" type="button" variant="ghost" onClick={handleToggleSso} disabled={isLoading}>
+                                Sign in with a password instead
+                            </Button>
+                        </form>
+                    ) : (
                     <form onSubmit={handleSubmit} className="space-y-4">
                         <div className="space-y-2">
                             <Label htmlFor="email">Email</Label>
@@ -210,7 +356,7 @@ export default function LoginPage() {
                         <div className="space-y-2">
                             <div className="flex items-center justify-between">
                                 <Label htmlFor="password">Password</Label>
-                                <Link href="#" className="text-sm text-primary hover:underline">
+                                <Link href="/forgot-password" className="text-sm text-primary hover:underline">
                                     Forgot password?
                                 </Link>
                             </div>
@@ -237,9 +383,14 @@ export default function LoginPage() {
                             {isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
                             {isLoading ? 'Signing In...' : 'Sign In'}
                         </Button>
+                        <Button className="w-full" type="button" variant="outline" onClick={handleToggleSso} disabled={isLoading}>
+                            <KeyRound className="mr-2 h-4 w-4" />
+                            Sign in with SSO
+                        </Button>
                     </form>
+                    )}
 
-                    {isGoogleAvailable && (
+                    {isGoogleAvailable && !isTwoFactorStep && !isSsoMode && (
                         <div className="mt-4">
                             <div className="relative">
                                 <div className="absolute inset-0 flex items-center">
@@ -0,0 +1,83 @@
+'use client';
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { signIn } from 'next-auth/react';
+import Link from 'next/link';
+import { Briefcase, Loader2, XCircle } from 'lucide-react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/common';
+
+export default function SsoSignInPage() {
+    const router = useRouter();
+    const searchParams = useSearchParams();
+    const ticket = searchParams.get('ticket');
+    const callbackUrl = searchParams.get('callbackUrl') || '/';
+    const [signInError, setSignInError] = useState('');
+    const error = ticket ? signInError : 'This sign-in link is incomplete. Please start again from the login page.';
+    // Tickets work once, so the exchange must not run twice in development's double effects
+    const hasStarted = useRef(false);
+
+    useEffect(() => {
+        if (hasStarted.current || !ticket) {
+            return;
+        }
+        hasStarted.current = true;
+
+        const completeSignIn = async () => {
+            try {
+                const result = await signIn('sso', { ticket, redirect: false });
+
+                if (result?.ok && !result.error) {
+                    router.push(callbackUrl.startsWith('/') && !callbackUrl.startsWith('//') ? callbackUrl : '/');
+                    router.refresh();
+                } else {
+                    setSignInError('This sign-in link has expired or was already used. Please sign in again.');
+                }
+            } catch (signInError) {
+                console.error('SSO sign-in error:', signInError);
+                setSignInError('Network error. Please check your connection and try again.');
+            }
+        };
+
+        completeSignIn();
+    }, [ticket, callbackUrl, router]);
+
+    return (
+        <div className="flex flex-col justify-center items-center min-h-screen bg-muted/30 p-4">
+            <div className="flex items-center gap-2 mb-8">
+                <div className="h-10 w-10 rounded bg-primary flex items-center justify-center">
+                    <Briefcase className="h-6 w-6 text-primary-foreground" />
+                </div>
+                <span className="font-bold text-2xl tracking-tight">Nexus ATS</span>
+            </div>
+
+            <Card className="w-full max-w-md">
+                <CardHeader className="space-y-1">
+                    <CardTitle className="text-2xl text-center">Single sign-on</CardTitle>
+                </CardHeader>
+                <CardContent>
+                    {error ? (
+                        <div className="space-y-4">
+                            <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                                <div className="flex items-center gap-2">
+                                    <XCircle className="h-4 w-4 text-red-600" />
+                                    <p className="text-sm text-red-800">{error}</p>
+                                </div>
+                            </div>
+                            <div className="text-center text-sm">
+                                <Link href="/login" className="font-medium text-primary hover:underline">
+                                    Back to sign in
+                                </Link>
+                            </div>
+                        </div>
+                    ) : (
+                        <div className="flex flex-col items-center gap-3 py-4">
+                            <Loader2 className="h-6 w-6 animate-spin" />
+                            <p className="text-sm text-muted-foreground">Signing you in...</p>
+                        </div>
+                    )}
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
@@ -0,0 +1,140 @@
+'use client';
+
+import React, { useState } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import { Briefcase, Loader2, Eye, EyeOff, XCircle } from 'lucide-react';
+import { Button, Input, Label, Card, CardContent, CardHeader, CardTitle } from '@/components/ui/common';
+
+export default function ResetPasswordPage() {
+    const router = useRouter();
+    const searchParams = useSearchParams();
+    const token = searchParams.get('token');
+    const [formData, setFormData] = useState({
+        password: '',
+        confirmPassword: ''
+    });
+    const [showPassword, setShowPassword] = useState(false);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (formData.password !== formData.confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setIsLoading(true);
+        setError('');
+
+        try {
+            const response = await fetch('/api/auth/reset-password', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ token, password: formData.password }),
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                router.push('/login?message=password-reset');
+            } else {
+                setError(data.error?.message || 'Failed to reset password. Please try again.');
+            }
+        } catch (error) {
+            console.error('Reset password error:', error);
+            setError('Network error. Please check your connection and try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="flex flex-col justify-center items-center min-h-screen bg-muted/30 p-4">
+            <div className="flex items-center gap-2 mb-8">
+                <div className="h-10 w-10 rounded bg-primary flex items-center justify-center">
+                    <Briefcase className="h-6 w-6 text-primary-foreground" />
+                </div>
+                <span className="font-bold text-2xl tracking-tight">Nexus ATS</span>
+            </div>
+
+            <Card className="w-full max-w-md">
+                <CardHeader className="space-y-1">
+                    <CardTitle className="text-2xl text-center">Choose a new password</CardTitle>
+                    <p className="text-sm text-muted-foreground text-center">
+                        At least 8 characters with an uppercase letter, a lowercase letter and a number
+                    </p>
+                </CardHeader>
+                <CardContent>
+                    {!token ? (
+                        <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                            <div className="flex items-center gap-2">
+                                <XCircle className="h-4 w-4 text-red-600" />
+                                <p className="text-sm text-red-800">This reset link is incomplete. Please request a new one.</p>
+                            </div>
+                        </div>
+                    ) : (
+                        <>
+                            {error && (
+                                <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-md">
+                                    <div className="flex items-center gap-2">
+                                        <XCircle className="h-4 w-4 text-red-600" />
+                                        <p className="text-sm text-red-800">{error}</p>
+                                    </div>
+                                </div>
+                            )}
+
+                            <form onSubmit={handleSubmit} className="space-y-4">
+                                <div className="space-y-2">
+                                    <Label htmlFor="password">New password</Label>
+                                    <div className="relative">
+                                        <Input
+                                            id="password"
+                                            type={showPassword ? 'text' : 'password'}
+                                            required
+                                            value={formData.password}
+                                            onChange={e => setFormData({ ...formData, password: e.target.value })}
+                                            disabled={isLoading}
+                                        />
+                                        <button
+                                            type="button"
+                                            onClick={() => setShowPassword(!showPassword)}
+                                            className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-500 hover:text-gray-700"
+                                            disabled={isLoading}
+                                        >
+                                            {showPassword ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                                        </button>
+                                    </div>
+                                </div>
+                                <div className="space-y-2">
+                                    <Label htmlFor="confirmPassword">Confirm new password</Label>
+                                    <Input
+                                        id="confirmPassword"
+                                        type={showPassword ? 'text' : 'password'}
+                                        required
+                                        value={formData.confirmPassword}
+                                        onChange={e => setFormData({ ...formData, confirmPassword: e.target.value })}
+                                        disabled={isLoading}
+                                    />
+                                </div>
+                                <Button className="w-full" type="submit" disabled={isLoading}>
+                                    {isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                                    {isLoading ? 'Resetting...' : 'Reset Password'}
+                                </Button>
+                            </form>
+                        </>
+                    )}
+
+                    <div className="mt-6 text-center text-sm">
+                        <Link href="/forgot-password" className="font-medium text-primary hover:underline">
+                            Request a new link
+                        </Link>
+                    </div>
+                </CardContent>
+            </Card>
+        </div>
+    );
+}
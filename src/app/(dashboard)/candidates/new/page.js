@@ -2,7 +2,7 @@
 
 import React, { useState } from 'react';
 import { useRouter } from 'next/navigation';
-import { ArrowLeft, Save, Upload, User, Briefcase, FileText, Loader2 } from 'lucide-react';
+import { ArrowLeft, Save, Upload, User, Briefcase, FileText, Loader2, AlertTriangle } from 'lucide-react';
 import { Button, Input, Label, Textarea, Card, CardContent, CardHeader, CardTitle, Select } from '@/components/ui/common';
 
 export default function AddCandidatePage() {
@@ -22,6 +22,8 @@ export default function AddCandidatePage() {
         notes: ''
     });
     const [uploadedFile, setUploadedFile] = useState(null);
+    const [isParsing, setIsParsing] = useState(false);
+    const [parsedResume, setParsedResume] = useState(null);
 
     const handleInputChange = (e) => {
         const { name, value } = e.target;
@@ -31,13 +33,52 @@ export default function AddCandidatePage() {
         }));
     };
 
+    // Fills the fields the recruiter has not typed yet from the parsed resume
+    const parseResume = async (file) => {
+        setIsParsing(true);
+        setParsedResume(null);
+
+        try {
+            const body = new FormData();
+            body.append('file', file);
+
+            const response = await fetch('/api/candidates/parse-resume', {
+                method: 'POST',
+                body,
+            });
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to parse resume');
+            }
+
+            const parsed = data.candidate;
+            setParsedResume({ ...parsed, duplicate: data.duplicate });
+            setFormData(prev => ({
+                ...prev,
+                firstName: prev.firstName || parsed.firstName,
+                lastName: prev.lastName || parsed.lastName,
+                email: prev.email || parsed.email,
+                phone: prev.phone || parsed.phone,
+                location: prev.location || parsed.location,
+                experience: prev.experience || parsed.experience,
+                skills: prev.skills || parsed.skills.join(', ')
+            }));
+        } catch (err) {
+            console.warn('Resume parsing failed:', err);
+            setError(`${err.message}. You can still fill in the details manually.`);
+        } finally {
+            setIsParsing(false);
+        }
+    };
+
     const handleFileUpload = (e) => {
         const file = e.target.files[0];
         if (file) {
             // Validate file type and size
-            const allowedTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+            const allowedTypes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain'];
             if (!allowedTypes.includes(file.type)) {
-                setError('Please upload a PDF, DOC, or DOCX file');
+                setError('Please upload a PDF, DOC, DOCX or TXT file');
                 return;
             }
             
@@ -48,6 +89,11 @@ export default function AddCandidatePage() {
             
             setUploadedFile(file);
             setError(null);
+
+            // Legacy .doc files are stored but cannot be parsed
+            if (file.type !== 'application/msword') {
+                parseResume(file);
+            }
         }
     };
 
@@ -70,6 +116,11 @@ export default function AddCandidatePage() {
                 source: formData.source
             };
 
+            if (parsedResume) {
+                candidateData.currentRole = parsedResume.currentRole;
+                candidateData.workHistory = parsedResume.workHistory;
+            }
+
             // Create candidate
             const response = await fetch('/api/candidates', {
                 method: 'POST',
@@ -84,7 +135,7 @@ export default function AddCandidatePage() {
                 throw new Error(errorData.error || 'Failed to create candidate');
             }
 
-            const createdCandidate = await response.json();
+            const { candidate: createdCandidate } = await response.json();
 
             // Upload document if provided
             if (uploadedFile) {
@@ -148,6 +199,13 @@ export default function AddCandidatePage() {
                 </div>
             )}
 
+            {parsedResume?.duplicate?.exists && (
+                <div className="bg-amber-50 border border-amber-200 text-amber-800 px-4 py-3 rounded-md flex items-center gap-2">
+                    <AlertTriangle className="h-4 w-4 shrink-0" />
+                    A candidate with the email {parsedResume.duplicate.email} already exists.
+                </div>
+            )}
+
             <form onSubmit={handleSubmit}>
                 <Card className="mb-6">
                     <CardHeader>
@@ -290,23 +348,45 @@ export default function AddCandidatePage() {
                         </div>
                     </CardHeader>
                     <CardContent className="space-y-6">
-                        <div className="border-2 border-dashed rounded-lg p-8 text-center hover:bg-muted/50 transition-colors cursor-pointer">
+                        <label className="block border-2 border-dashed rounded-lg p-8 text-center hover:bg-muted/50 transition-colors cursor-pointer">
                             <div className="flex flex-col items-center justify-center gap-2 text-muted-foreground">
                                 <div className="h-10 w-10 rounded-full bg-secondary flex items-center justify-center">
-                                    <Upload className="h-5 w-5" />
+                                    {isParsing ? <Loader2 className="h-5 w-5 animate-spin" /> : <Upload className="h-5 w-5" />}
                                 </div>
                                 <p className="font-medium">
                                     {uploadedFile ? uploadedFile.name : 'Click to upload Resume/CV'}
                                 </p>
-                                <p className="text-xs">PDF, DOCX up to 10MB</p>
+                                <p className="text-xs">
+                                    {isParsing
+                                        ? 'Reading resume...'
+                                        : 'PDF, DOCX or TXT up to 10MB. Details are filled in from the resume.'}
+                                </p>
                             </div>
                             <input 
                                 type="file" 
                                 className="hidden" 
-                                accept=".pdf,.doc,.docx"
+                                accept=".pdf,.doc,.docx,.txt"
                                 onChange={handleFileUpload}
                             />
-                        </div>
+                        </label>
+
+                        {parsedResume?.workHistory?.length > 0 && (
+                            <div className="space-y-2">
+                                <Label>Work History (from resume)</Label>
+                                <ul className="space-y-1 text-sm">
+                                    {parsedResume.workHistory.map((entry, index) => (
+                                        <li key={index} className="flex justify-between gap-4">
+                                            <span>
+                                                {entry.title}{entry.company && <span className="text-muted-foreground"> · {entry.company}</span>}
+                                            </span>
+                                            <span className="text-muted-foreground whitespace-nowrap">
+                                                {entry.startDate || '?'} – {entry.endDate || 'Present'}
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
 
                         <div className="space-y-2">
                             <Label htmlFor="notes">Internal Notes</Label>
@@ -325,7 +405,7 @@ export default function AddCandidatePage() {
                     <Button type="button" variant="outline" onClick={() => router.back()}>
                         Cancel
                     </Button>
-                    <Button type="submit" disabled={isLoading}>
+                    <Button type="submit" disabled={isLoading || isParsing}>
                         {isLoading ? (
                             <>
                                 <Loader2 className="mr-2 h-4 w-4 animate-spin" />
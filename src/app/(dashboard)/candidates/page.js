@@ -1,12 +1,23 @@
 'use client';
 
 import React, { useState, useEffect } from 'react';
-import { useRouter } from 'next/navigation';
-import { Search, Filter, MoreVertical, Plus, Loader2, X } from 'lucide-react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { Search, Filter, MoreVertical, Plus, Loader2, X, Mail } from 'lucide-react';
 import { Card, Badge, Button } from '@/components/ui/common';
 import { cn } from '@/lib/utils';
-
-const PIPELINE_STAGES = ['applied', 'screening', 'interview', 'offer', 'hired'];
+import { SendCandidateEmailDialog } from '@/components/ui/send-candidate-email-dialog';
+import { CandidateDetailDialog } from '@/components/ui/candidate-detail-dialog';
+
+// Standard pipeline, used until the organization's templates have loaded
+const STANDARD_PIPELINE = {
+    id: 'default',
+    name: 'Standard pipeline',
+    stages: ['applied', 'screening', 'interview', 'offer', 'hired'].map(key => ({
+        key,
+        label: key.charAt(0).toUpperCase() + key.slice(1)
+    })),
+    transitions: null
+};
 
 const SearchFilters = ({ onFiltersChange }) => {
     const [isOpen, setIsOpen] = useState(false);
@@ -169,11 +180,117 @@ const SearchFilters = ({ onFiltersChange }) => {
     );
 };
 
-const CandidateCard = ({ candidate, onStageChange }) => {
+const CloseCandidateForm = ({ outcomes, isUpdating, onSubmit, onCancel }) => {
+    const [outcome, setOutcome] = useState(outcomes[0]?.value || '');
+    const [reason, setReason] = useState('');
+    const [note, setNote] = useState('');
+
+    const reasons = outcomes.find(option => option.value === outcome)?.reasons || [];
+
+    return (
+        <div className="mt-2 space-y-2" onClick={(e) => e.stopPropagation()}>
+            <select
+                value={outcome}
+                onChange={(e) => {
+                    setOutcome(e.target.value);
+                    setReason('');
+                }}
+                aria-label="Outcome"
+                className="w-full px-2 py-1 text-xs border rounded focus:outline-none focus:ring-2 focus:ring-primary/20"
+            >
+                {outcomes.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+            </select>
+            <select
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                aria-label="Reason"
+                className="w-full px-2 py-1 text-xs border rounded focus:outline-none focus:ring-2 focus:ring-primary/20"
+            >
+                <option value="">Select a reason...</option>
+                {reasons.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+            </select>
+            <textarea
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Note (optional)"
+                rows={2}
+                maxLength={1000}
+                className="w-full px-2 py-1 text-xs border rounded focus:outline-none focus:ring-2 focus:ring-primary/20"
+            />
+            <div className="flex justify-end gap-1">
+                <button
+                    onClick={onCancel}
+                    disabled={isUpdating}
+                    className="text-[10px] px-2 py-1 rounded border bg-background border-border hover:bg-secondary"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={() => onSubmit({ outcome, reason, note })}
+                    disabled={isUpdating || !outcome || !reason}
+                    className="text-[10px] px-2 py-1 rounded border bg-destructive text-destructive-foreground border-destructive disabled:opacity-50"
+                >
+                    Close candidate
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// Labels for the profile fields a search can match on
+const MATCH_FIELD_LABELS = {
+    name: 'Name',
+    currentRole: 'Current role',
+    appliedForRole: 'Applied for',
+    skills: 'Skills'
+};
+
+// Renders a search snippet, highlighting the ranges the search matched
+const SearchSnippet = ({ match }) => {
+    const { text, highlights } = match.snippet;
+    const parts = [];
+    let position = 0;
+
+    highlights.forEach(([start, end]) => {
+        parts.push(text.slice(position, start));
+        parts.push(<mark key={start} className="bg-yellow-200 text-foreground rounded-sm px-0.5">{text.slice(start, end)}</mark>);
+        position = end;
+    });
+    parts.push(text.slice(position));
+
+    return (
+        <div className="mb-2 rounded bg-secondary/50 p-2 text-xs">
+            <p className="text-[10px] uppercase tracking-wide text-muted-foreground mb-1">
+                {match.source === 'document' ? `In ${match.documentName}` : MATCH_FIELD_LABELS[match.field]}
+            </p>
+            <p className="text-muted-foreground break-words">{parts}</p>
+        </div>
+    );
+};
+
+const CandidateCard = ({ candidate, pipeline, outcomes, highlighted, onStageChange, onOutcomeChange }) => {
     const [isUpdating, setIsUpdating] = useState(false);
+    const [isClosing, setIsClosing] = useState(false);
+    const [isEmailOpen, setIsEmailOpen] = useState(false);
+    const [isDetailOpen, setIsDetailOpen] = useState(false);
+    const currentStage = candidate.pipelineInfo.currentStage;
+    const outcome = candidate.pipelineInfo.outcome;
+
+    // Only offer the moves the pipeline allows from the current stage
+    const allowedStages = pipeline.transitions?.[currentStage];
+    const stageOptions = pipeline.stages.filter(stage =>
+        stage.key === currentStage || !allowedStages || allowedStages.includes(stage.key)
+    );
+
+    const outcomeOption = outcome && outcomes.find(option => option.value === outcome.type);
+    const reasonLabel = outcomeOption?.reasons.find(option => option.value === outcome.reason)?.label || outcome?.reason;
 
     const handleStageChange = async (newStage) => {
-        if (newStage === candidate.pipelineInfo.currentStage) return;
+        if (newStage === currentStage) return;
         
         setIsUpdating(true);
         try {
@@ -186,7 +303,8 @@ const CandidateCard = ({ candidate, onStageChange }) => {
             });
 
             if (!response.ok) {
-                throw new Error('Failed to update stage');
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || 'Failed to update stage');
             }
 
             onStageChange(candidate._id, newStage);
@@ -198,71 +316,179 @@ const CandidateCard = ({ candidate, onStageChange }) => {
         }
     };
 
+    const handleOutcome = async (method, body) => {
+        setIsUpdating(true);
+        try {
+            const response = await fetch(`/api/candidates/${candidate._id}/outcome`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(body),
+            });
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || 'Failed to update candidate');
+            }
+
+            setIsClosing(false);
+            onOutcomeChange(candidate._id);
+        } catch (error) {
+            console.error('Error updating candidate outcome:', error);
+        } finally {
+            setIsUpdating(false);
+        }
+    };
+
     return (
-        <Card className="p-3 mb-3 cursor-pointer hover:shadow-md transition-shadow group border-l-4 border-l-transparent hover:border-l-primary">
-            <div className="flex justify-between items-start mb-2">
-                <div>
-                    <h4 className="font-semibold text-sm">
-                        {candidate.personalInfo.firstName} {candidate.personalInfo.lastName}
-                    </h4>
-                    <p className="text-xs text-muted-foreground">
-                        {candidate.professionalInfo?.appliedForRole || candidate.professionalInfo?.currentRole || 'No role specified'}
-                    </p>
-                </div>
-                <div className="flex items-center gap-1">
-                    {isUpdating && <Loader2 className="h-3 w-3 animate-spin" />}
-                    <button className="opacity-0 group-hover:opacity-100 text-muted-foreground hover:text-foreground">
-                        <MoreVertical className="h-4 w-4" />
-                    </button>
+        <div id={`candidate-${candidate._id}`}>
+            <Card className={cn(
+                "p-3 mb-3 cursor-pointer hover:shadow-md transition-shadow group border-l-4 border-l-transparent hover:border-l-primary",
+                highlighted && "ring-2 ring-primary/40 border-l-primary"
+            )}>
+                <div className="flex justify-between items-start mb-2">
+                    <div>
+                        <h4 className="font-semibold text-sm">
+                            <button
+                                onClick={() => setIsDetailOpen(true)}
+                                className="hover:underline text-left"
+                                title="Notes and communications"
+                            >
+                                {candidate.personalInfo.firstName} {candidate.personalInfo.lastName}
+                            </button>
+                        </h4>
+                        <p className="text-xs text-muted-foreground">
+                            {candidate.professionalInfo?.appliedForRole || candidate.professionalInfo?.currentRole || 'No role specified'}
+                        </p>
+                    </div>
+                    <div className="flex items-center gap-1">
+                        {isUpdating && <Loader2 className="h-3 w-3 animate-spin" />}
+                        <button
+                            onClick={() => setIsEmailOpen(true)}
+                            className="opacity-0 group-hover:opacity-100 text-muted-foreground hover:text-foreground"
+                            aria-label="Email candidate"
+                            title="Email candidate"
+                        >
+                            <Mail className="h-4 w-4" />
+                        </button>
+                        <button className="opacity-0 group-hover:opacity-100 text-muted-foreground hover:text-foreground">
+                            <MoreVertical className="h-4 w-4" />
+                        </button>
+                    </div>
                 </div>
-            </div>
 
-            <div className="flex flex-wrap gap-1 mb-3">
-                {candidate.professionalInfo?.skills?.slice(0, 2).map(skill => (
-                    <span key={skill} className="text-[10px] bg-secondary text-secondary-foreground px-1.5 py-0.5 rounded">
-                        {skill}
-                    </span>
-                ))}
-                {candidate.professionalInfo?.skills?.length > 2 && (
-                    <span className="text-[10px] bg-secondary text-secondary-foreground px-1.5 py-0.5 rounded">
-                        +{candidate.professionalInfo.skills.length - 2}
-                    </span>
+                {outcome && (
+                    <div className="mb-2">
+                        <Badge variant="destructive" className="text-[10px] px-1.5">
+                            {outcomeOption?.label || outcome.type}
+                        </Badge>
+                        <p className="text-xs text-muted-foreground mt-1">{reasonLabel}</p>
+                        {outcome.note && (
+                            <p className="text-xs text-muted-foreground mt-1 italic">{outcome.note}</p>
+                        )}
+                    </div>
                 )}
-            </div>
 
-            <div className="flex justify-between items-center text-xs text-muted-foreground">
-                <span>{candidate.professionalInfo?.experience || 'No experience listed'}</span>
-                <span>{new Date(candidate.metadata.createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</span>
-            </div>
+                {/* Show document hits first, since the profile fields are already on the card */}
+                {candidate.matches?.length > 0 && (
+                    <SearchSnippet match={candidate.matches.find(match => match.source === 'document') || candidate.matches[0]} />
+                )}
+
+                <div className="flex flex-wrap gap-1 mb-3">
+                    {candidate.professionalInfo?.skills?.slice(0, 2).map(skill => (
+                        <span key={skill} className="text-[10px] bg-secondary text-secondary-foreground px-1.5 py-0.5 rounded">
+                            {skill}
+                        </span>
+                    ))}
+                    {candidate.professionalInfo?.skills?.length > 2 && (
+                        <span className="text-[10px] bg-secondary text-secondary-foreground px-1.5 py-0.5 rounded">
+                            +{candidate.professionalInfo.skills.length - 2}
+                        </span>
+                    )}
+                </div>
+
+                <div className="flex justify-between items-center text-xs text-muted-foreground">
+                    <span>{candidate.professionalInfo?.experience || 'No experience listed'}</span>
+                    <span>{new Date(candidate.metadata.createdAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}</span>
+                </div>
 
-            {/* Stage transition buttons */}
-            <div className="mt-2 flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
-                {PIPELINE_STAGES.map(stage => (
-                    <button
-                        key={stage}
-                        onClick={() => handleStageChange(stage)}
-                        disabled={isUpdating || stage === candidate.pipelineInfo.currentStage}
-                        className={cn(
-                            "text-[10px] px-2 py-1 rounded border transition-colors",
-                            stage === candidate.pipelineInfo.currentStage
-                                ? "bg-primary text-primary-foreground border-primary"
-                                : "bg-background border-border hover:bg-secondary"
+                {outcome ? (
+                    <div className="mt-2 flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                        <button
+                            onClick={() => handleOutcome('DELETE', {})}
+                            disabled={isUpdating}
+                            className="text-[10px] px-2 py-1 rounded border bg-background border-border hover:bg-secondary"
+                        >
+                            Reopen
+                        </button>
+                    </div>
+                ) : isClosing ? (
+                    <CloseCandidateForm
+                        outcomes={outcomes}
+                        isUpdating={isUpdating}
+                        onSubmit={(outcomeData) => handleOutcome('POST', outcomeData)}
+                        onCancel={() => setIsClosing(false)}
+                    />
+                ) : (
+                    /* Stage transition buttons */
+                    <div className="mt-2 flex flex-wrap gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                        {stageOptions.map(stage => (
+                            <button
+                                key={stage.key}
+                                onClick={() => handleStageChange(stage.key)}
+                                disabled={isUpdating || stage.key === currentStage}
+                                className={cn(
+                                    "text-[10px] px-2 py-1 rounded border transition-colors",
+                                    stage.key === currentStage
+                                        ? "bg-primary text-primary-foreground border-primary"
+                                        : "bg-background border-border hover:bg-secondary"
+                                )}
+                            >
+                                {stage.label}
+                            </button>
+                        ))}
+                        {outcomes.length > 0 && (
+                            <button
+                                onClick={() => setIsClosing(true)}
+                                disabled={isUpdating}
+                                className="text-[10px] px-2 py-1 rounded border bg-background border-border text-red-600 hover:bg-secondary"
+                            >
+                                Close
+                            </button>
                         )}
-                    >
-                        {stage.charAt(0).toUpperCase() + stage.slice(1)}
-                    </button>
-                ))}
-            </div>
-        </Card>
+                    </div>
+                )}
+            </Card>
+
+            <SendCandidateEmailDialog
+                isOpen={isEmailOpen}
+                onClose={() => setIsEmailOpen(false)}
+                candidate={candidate}
+            />
+
+            <CandidateDetailDialog
+                isOpen={isDetailOpen}
+                onClose={() => setIsDetailOpen(false)}
+                candidate={candidate}
+            />
+        </div>
     );
 };
 
 export default function CandidatesPage() {
     const router = useRouter();
+    const searchParams = useSearchParams();
+    // Candidate to show, e.g. when opened from a notification
+    const highlightedId = searchParams.get('candidate');
     const [candidates, setCandidates] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [searchQuery, setSearchQuery] = useState('');
+    const [pipelines, setPipelines] = useState([STANDARD_PIPELINE]);
+    const [selectedPipelineId, setSelectedPipelineId] = useState(STANDARD_PIPELINE.id);
+    const [view, setView] = useState('active');
+    const [outcomes, setOutcomes] = useState([]);
     const [filters, setFilters] = useState({
         skills: [],
         location: '',
@@ -283,7 +509,11 @@ export default function CandidatesPage() {
             if (searchParams.experience) params.append('experience', searchParams.experience);
             if (searchParams.source) params.append('source', searchParams.source);
 
-            const url = params.toString() ? `/api/candidates/search?${params}` : '/api/candidates';
+            const hasSearch = params.toString() !== '';
+            params.append('pipeline', searchParams.pipeline || STANDARD_PIPELINE.id);
+            params.append('outcome', searchParams.view === 'archived' ? 'closed' : 'open');
+
+            const url = hasSearch ? `/api/candidates/search?${params}` : `/api/candidates?${params}`;
             const response = await fetch(url);
             
             if (!response.ok) {
@@ -300,23 +530,88 @@ export default function CandidatesPage() {
         }
     };
 
-    // Initial fetch
+    // Load the organization's pipeline templates
+    useEffect(() => {
+        const fetchPipelines = async () => {
+            try {
+                const response = await fetch('/api/pipeline-templates');
+                if (!response.ok) return;
+
+                const data = await response.json();
+                if (data.templates?.length) {
+                    setPipelines(data.templates);
+                }
+            } catch (err) {
+                console.error('Error fetching pipeline templates:', err);
+            }
+        };
+
+        fetchPipelines();
+    }, []);
+
+    // Load the outcomes and reason codes candidates can be closed with
     useEffect(() => {
-        fetchCandidates();
+        const fetchOutcomes = async () => {
+            try {
+                const response = await fetch('/api/candidates/outcomes');
+                if (!response.ok) return;
+
+                const data = await response.json();
+                setOutcomes(data.outcomes || []);
+            } catch (err) {
+                console.error('Error fetching candidate outcomes:', err);
+            }
+        };
+
+        fetchOutcomes();
     }, []);
 
+    // Switch to the pipeline and view that contain a linked candidate
+    useEffect(() => {
+        if (!highlightedId) return;
+
+        const showCandidate = async () => {
+            try {
+                const response = await fetch(`/api/candidates/${highlightedId}`);
+                if (!response.ok) return;
+
+                const data = await response.json();
+                const pipelineInfo = data.data?.pipelineInfo;
+                if (!pipelineInfo) return;
+
+                setSelectedPipelineId(pipelineInfo.templateId ? pipelineInfo.templateId.toString() : STANDARD_PIPELINE.id);
+                setView(pipelineInfo.outcome ? 'archived' : 'active');
+            } catch (err) {
+                console.error('Error loading linked candidate:', err);
+            }
+        };
+
+        showCandidate();
+    }, [highlightedId]);
+
+    // Bring a linked candidate into view once the board has loaded
+    useEffect(() => {
+        if (!highlightedId || loading) return;
+
+        document.getElementById(`candidate-${highlightedId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [highlightedId, loading, candidates]);
+
     // Debounced search
     useEffect(() => {
         const timeoutId = setTimeout(() => {
             const searchParams = {
                 search: searchQuery,
+                pipeline: selectedPipelineId,
+                view,
                 ...filters
             };
             fetchCandidates(searchParams);
         }, 300);
 
         return () => clearTimeout(timeoutId);
-    }, [searchQuery, filters]);
+    }, [searchQuery, filters, selectedPipelineId, view]);
+
+    const pipeline = pipelines.find(template => template.id === selectedPipelineId) || STANDARD_PIPELINE;
 
     // Handle stage changes
     const handleStageChange = (candidateId, newStage) => {
@@ -335,6 +630,13 @@ export default function CandidatesPage() {
         );
     };
 
+    // Closed and reopened candidates move to the other view
+    const handleOutcomeChange = (candidateId) => {
+        setCandidates(prevCandidates =>
+            prevCandidates.filter(candidate => candidate._id !== candidateId)
+        );
+    };
+
     // Handle filter changes
     const handleFiltersChange = (newFilters) => {
         setFilters(newFilters);
@@ -356,7 +658,7 @@ export default function CandidatesPage() {
             <div className="h-[calc(100vh-8rem)] flex items-center justify-center">
                 <div className="text-center">
                     <p className="text-red-500 mb-4">Error loading candidates: {error}</p>
-                    <Button onClick={() => fetchCandidates()}>
+                    <Button onClick={() => fetchCandidates({ pipeline: selectedPipelineId, view })}>
                         Try Again
                     </Button>
                 </div>
@@ -371,7 +673,9 @@ export default function CandidatesPage() {
                     <div>
                         <h2 className="text-2xl font-bold tracking-tight">Candidates</h2>
                         <p className="text-muted-foreground">
-                            Manage your recruitment pipeline ({candidates.length} candidates)
+                            {view === 'archived'
+                                ? `Rejected and withdrawn candidates (${candidates.length} candidates)`
+                                : `Manage your recruitment pipeline (${candidates.length} candidates)`}
                         </p>
                     </div>
                     <Button onClick={() => router.push('/candidates/new')} className="w-full sm:w-auto">
@@ -392,6 +696,27 @@ export default function CandidatesPage() {
                         />
                     </div>
                     <div className="flex items-center gap-2 w-full sm:w-auto">
+                        <select
+                            value={view}
+                            onChange={(e) => setView(e.target.value)}
+                            aria-label="View"
+                            className="h-9 px-3 text-sm bg-background border rounded-md focus:outline-none focus:ring-2 focus:ring-primary/20"
+                        >
+                            <option value="active">Active</option>
+                            <option value="archived">Archived</option>
+                        </select>
+                        {pipelines.length > 1 && (
+                            <select
+                                value={selectedPipelineId}
+                                onChange={(e) => setSelectedPipelineId(e.target.value)}
+                                aria-label="Pipeline"
+                                className="h-9 px-3 text-sm bg-background border rounded-md focus:outline-none focus:ring-2 focus:ring-primary/20"
+                            >
+                                {pipelines.map(template => (
+                                    <option key={template.id} value={template.id}>{template.name}</option>
+                                ))}
+                            </select>
+                        )}
                         <SearchFilters onFiltersChange={handleFiltersChange} />
                         <Button variant="outline" size="icon" className="h-9 w-9">
                             <MoreVertical className="h-4 w-4" />
@@ -402,14 +727,14 @@ export default function CandidatesPage() {
 
             <div className="flex-1 overflow-x-auto pb-4">
                 <div className="flex gap-4 min-w-[1000px] h-full">
-                    {PIPELINE_STAGES.map(stage => {
-                        const stageCandidates = candidates.filter(c => c.pipelineInfo.currentStage === stage);
+                    {pipeline.stages.map(stage => {
+                        const stageCandidates = candidates.filter(c => c.pipelineInfo.currentStage === stage.key);
                         return (
-                            <div key={stage} className="flex-1 min-w-[280px] flex flex-col">
+                            <div key={stage.key} className="flex-1 min-w-[280px] flex flex-col">
                                 <div className="flex items-center justify-between mb-3 px-1">
                                     <div className="flex items-center gap-2">
                                         <h3 className="font-medium text-sm text-muted-foreground uppercase tracking-wider">
-                                            {stage.charAt(0).toUpperCase() + stage.slice(1)}
+                                            {stage.label}
                                         </h3>
                                         <Badge variant="secondary" className="rounded-md px-1.5">
                                             {stageCandidates.length}
@@ -421,7 +746,11 @@ export default function CandidatesPage() {
                                         <CandidateCard 
                                             key={candidate._id} 
                                             candidate={candidate} 
+                                            pipeline={pipeline}
+                                            outcomes={outcomes}
+                                            highlighted={candidate._id === highlightedId}
                                             onStageChange={handleStageChange}
+                                            onOutcomeChange={handleOutcomeChange}
                                         />
                                     ))}
                                     <button
@@ -429,7 +758,7 @@ export default function CandidatesPage() {
                                         className="w-full py-2 text-sm text-muted-foreground hover:text-primary hover:bg-background/50 rounded-md border border-transparent hover:border-border border-dashed transition-all flex items-center justify-center gap-2"
                                     >
                                         <Plus className="h-3 w-3" />
-                                        Add to {stage.charAt(0).toUpperCase() + stage.slice(1)}
+                                        Add to {stage.label}
                                     </button>
                                 </div>
                             </div>
@@ -2,9 +2,139 @@
 
 import React, { useState, useEffect } from 'react';
 import { useParams, useRouter } from 'next/navigation';
-import { ArrowLeft, Search, MoreVertical, Mail, Calendar, Briefcase, Users, AlertCircle, Loader2, ExternalLink, Phone, Linkedin, UserPlus } from 'lucide-react';
+import { ArrowLeft, Search, MoreVertical, Mail, Calendar, Briefcase, Users, AlertCircle, Loader2, ExternalLink, Phone, Linkedin, UserPlus, Sparkles } from 'lucide-react';
 import { Button, Input, Card, CardHeader, CardTitle, CardContent, Badge, Select } from '@/components/ui/common';
 
+// How a candidate's location compares with the job's
+const LOCATION_STATUS_LABELS = {
+    remote: 'Remote role',
+    same_city: 'Same city',
+    same_region: 'Same region',
+    different: 'Different location',
+    unknown: 'Location not given'
+};
+
+// Match score badge with the skills, experience and location behind it
+function MatchBreakdown({ match }) {
+    if (!match) {
+        return null;
+    }
+
+    const { skills, experience, location } = match.breakdown;
+
+    return (
+        <div className="space-y-2 text-xs">
+            <div className="flex items-center gap-2">
+                <Badge variant={match.score >= 75 ? 'success' : match.score >= 50 ? 'default' : 'secondary'}>
+                    {match.score}% match
+                </Badge>
+                {experience.requiredYears !== null && (
+                    <span className="text-muted-foreground">
+                        {experience.candidateYears !== null ? `${experience.candidateYears} yrs` : 'Experience not given'}
+                        {' '}(needs {experience.requiredYears}+)
+                    </span>
+                )}
+                {location.score !== null && (
+                    <span className="text-muted-foreground">• {LOCATION_STATUS_LABELS[location.status]}</span>
+                )}
+            </div>
+            {skills.score !== null && (
+                <div className="flex flex-wrap gap-1">
+                    {skills.matched.map(skill => (
+                        <span key={skill} className="bg-green-100 text-green-800 px-1.5 py-0.5 rounded">✓ {skill}</span>
+                    ))}
+                    {skills.missing.map(skill => (
+                        <span key={skill} className="bg-red-50 text-red-700 px-1.5 py-0.5 rounded">✗ {skill}</span>
+                    ))}
+                    {skills.preferredMatched.map(skill => (
+                        <span key={skill} className="bg-green-50 text-green-700 px-1.5 py-0.5 rounded border border-dashed border-green-300">✓ {skill}</span>
+                    ))}
+                    {skills.preferredMissing.map(skill => (
+                        <span key={skill} className="bg-muted text-muted-foreground px-1.5 py-0.5 rounded border border-dashed">{skill}</span>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+// Candidates ranked by match score, from the pipeline or the talent pool
+function RankedCandidates({ endpoint, listKey, emptyMessage }) {
+    const [candidates, setCandidates] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchCandidates = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+
+                const response = await fetch(endpoint);
+                const data = await response.json();
+
+                if (data.success) {
+                    setCandidates(data[listKey] || []);
+                } else {
+                    setError(data.error?.message || 'Failed to fetch candidates');
+                }
+            } catch (err) {
+                console.error('Error fetching ranked candidates:', err);
+                setError('Network error. Please check your connection and try again.');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchCandidates();
+    }, [endpoint, listKey]);
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center py-6">
+                <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+            </div>
+        );
+    }
+
+    if (error) {
+        return (
+            <div className="flex items-center gap-2 text-red-600 py-4">
+                <AlertCircle className="h-4 w-4" />
+                <p className="text-sm">{error}</p>
+            </div>
+        );
+    }
+
+    if (candidates.length === 0) {
+        return <p className="text-sm text-muted-foreground py-4">{emptyMessage}</p>;
+    }
+
+    return (
+        <div className="space-y-3">
+            {candidates.map(candidate => (
+                <div key={candidate._id} className="p-3 rounded-lg border space-y-2">
+                    <div className="flex items-start justify-between gap-2">
+                        <div>
+                            <h4 className="font-semibold">
+                                {candidate.personalInfo.firstName} {candidate.personalInfo.lastName}
+                            </h4>
+                            <p className="text-xs text-muted-foreground">
+                                {candidate.professionalInfo?.currentRole || 'No role specified'}
+                                {candidate.personalInfo.location && ` • ${candidate.personalInfo.location}`}
+                            </p>
+                        </div>
+                        <Badge variant="outline" className="capitalize">
+                            {candidate.pipelineInfo?.currentStage}
+                        </Badge>
+                    </div>
+                    <MatchBreakdown match={candidate.match} />
+                </div>
+            ))}
+        </div>
+    );
+}
+
 // Applications List Component
 function ApplicationsList({ jobId }) {
     const [applications, setApplications] = useState([]);
@@ -145,6 +275,8 @@ function ApplicationsList({ jobId }) {
                             </Badge>
                         </div>
 
+                        <MatchBreakdown match={application.match} />
+
                         <div>
                             <h5 className="font-medium text-sm text-muted-foreground mb-1">Cover Letter</h5>
                             <p className="text-sm leading-relaxed line-clamp-3">{application.coverLetter}</p>
@@ -390,6 +522,37 @@ export default function JobApplicationsPage() {
                 </CardContent>
             </Card>
 
+            {/* Ranked shortlists */}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <Card>
+                    <CardHeader>
+                        <CardTitle>Pipeline Candidates by Match</CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                        <RankedCandidates
+                            endpoint={`/api/jobs/${job.id}/candidates?sortBy=match`}
+                            listKey="candidates"
+                            emptyMessage="No candidates in the pipeline are linked to this job yet."
+                        />
+                    </CardContent>
+                </Card>
+                <Card>
+                    <CardHeader>
+                        <CardTitle className="flex items-center gap-2">
+                            <Sparkles className="h-4 w-4" />
+                            Top Matches from Talent Pool
+                        </CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                        <RankedCandidates
+                            endpoint={`/api/jobs/${job.id}/matches?limit=10`}
+                            listKey="matches"
+                            emptyMessage="No open candidates match this job's requirements yet."
+                        />
+                    </CardContent>
+                </Card>
+            </div>
+
             {/* Job Details Summary */}
             <Card>
                 <CardHeader>
@@ -12,6 +12,8 @@ export default function EditJobPage() {
     const [job, setJob] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [submitError, setSubmitError] = useState(null);
+    const [pipelines, setPipelines] = useState([]);
 
     // Fetch job data from API
     const fetchJob = async () => {
@@ -45,9 +47,18 @@ export default function EditJobPage() {
         }
     }, [params.jobId]);
 
-    const handleSubmit = (e) => {
+    // Load the organization's pipeline templates for the hiring pipeline select
+    useEffect(() => {
+        fetch('/api/pipeline-templates')
+            .then(response => (response.ok ? response.json() : null))
+            .then(data => setPipelines(data?.templates || []))
+            .catch(err => console.error('Error fetching pipeline templates:', err));
+    }, []);
+
+    const handleSubmit = async (e) => {
         e.preventDefault();
         setIsLoading(true);
+        setSubmitError(null);
         
         // Extract form data
         const formData = new FormData(e.target);
@@ -62,28 +73,55 @@ export default function EditJobPage() {
             requirements: formData.get('requirements')
         };
 
-        // TODO: Implement job update API call
-        console.log('Job update data:', jobData);
-        
-        // Simulate API call for now
-        setTimeout(() => {
+        // Only send the pipeline when the select is shown, so it is never reset by accident
+        if (formData.has('pipelineTemplateId')) {
+            jobData.pipelineTemplateId = formData.get('pipelineTemplateId');
+        }
+
+        try {
+            const response = await fetch(`/api/jobs/${params.jobId}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(jobData),
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                router.push('/jobs');
+            } else {
+                setSubmitError(data.error?.message || 'Failed to update job');
+            }
+        } catch (err) {
+            console.error('Error updating job:', err);
+            setSubmitError('Network error. Please check your connection and try again.');
+        } finally {
             setIsLoading(false);
-            router.push('/jobs');
-        }, 1000);
+        }
     };
 
-    const handleDelete = () => {
-        if (window.confirm('Are you sure you want to delete this job posting? This action cannot be undone.')) {
+    const handleDelete = async () => {
+        if (window.confirm('Are you sure you want to archive this job posting? It will no longer be listed, but existing applications are kept.')) {
             setIsLoading(true);
-            
-            // TODO: Implement job deletion API call
-            console.log('Deleting job:', params.jobId);
-            
-            // Simulate API call for now
-            setTimeout(() => {
+
+            try {
+                const response = await fetch(`/api/jobs/${params.jobId}`, {
+                    method: 'DELETE',
+                });
+                const data = await response.json();
+
+                if (data.success) {
+                    router.push('/jobs');
+                } else {
+                    setSubmitError(data.error?.message || 'Failed to archive job');
+                }
+            } catch (err) {
+                console.error('Error archiving job:', err);
+                setSubmitError('Network error. Please check your connection and try again.');
+            } finally {
                 setIsLoading(false);
-                router.push('/jobs');
-            }, 800);
+            }
         }
     };
 
@@ -176,10 +214,21 @@ export default function EditJobPage() {
                     disabled={isLoading}
                 >
                     <Trash2 className="h-4 w-4 mr-2" />
-                    Delete Job
+                    Archive Job
                 </Button>
             </div>
 
+            {submitError && (
+                <Card className="border-red-200 bg-red-50">
+                    <CardContent className="pt-6">
+                        <div className="flex items-center gap-2 text-red-800">
+                            <AlertCircle className="h-5 w-5" />
+                            <p className="font-medium">{submitError}</p>
+                        </div>
+                    </CardContent>
+                </Card>
+            )}
+
             <form onSubmit={handleSubmit}>
                 <Card>
                     <CardHeader>
@@ -255,6 +304,25 @@ export default function EditJobPage() {
                             />
                         </div>
 
+                        {pipelines.length > 1 && (
+                            <div className="space-y-2">
+                                <Label htmlFor="pipelineTemplateId">Hiring Pipeline</Label>
+                                <Select 
+                                    id="pipelineTemplateId" 
+                                    name="pipelineTemplateId"
+                                    defaultValue={job.pipelineTemplateId || 'default'}
+                                    disabled={isLoading}
+                                >
+                                    {pipelines.map(template => (
+                                        <option key={template.id} value={template.id}>{template.name}</option>
+                                    ))}
+                                </Select>
+                                <p className="text-xs text-muted-foreground">
+                                    Applies to candidates converted from now on; existing candidates keep their pipeline.
+                                </p>
+                            </div>
+                        )}
+
                         <div className="space-y-2">
                             <Label htmlFor="status">Status</Label>
                             <Select 
@@ -264,7 +332,7 @@ export default function EditJobPage() {
                                 disabled={isLoading}
                             >
                                 <option value="active">Active</option>
-                                <option value="draft">Draft</option>
+                                <option value="inactive">Inactive</option>
                                 <option value="closed">Closed</option>
                             </Select>
                         </div>
@@ -1,6 +1,6 @@
 'use client';
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
 import { ArrowLeft, Save, AlertCircle, CheckCircle } from 'lucide-react';
 import { Button, Input, Label, Textarea, Card, CardContent, CardHeader, CardTitle, Select, Separator } from '@/components/ui/common';
@@ -10,6 +10,15 @@ export default function CreateJobPage() {
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState(null);
     const [success, setSuccess] = useState(false);
+    const [pipelines, setPipelines] = useState([]);
+
+    // Load the organization's pipeline templates for the hiring pipeline select
+    useEffect(() => {
+        fetch('/api/pipeline-templates')
+            .then(response => (response.ok ? response.json() : null))
+            .then(data => setPipelines(data?.templates || []))
+            .catch(err => console.error('Error fetching pipeline templates:', err));
+    }, []);
 
     const handleSubmit = async (e) => {
         e.preventDefault();
@@ -26,7 +35,8 @@ export default function CreateJobPage() {
             location: formData.get('location'),
             salary: formData.get('salary') || null,
             description: formData.get('description'),
-            requirements: formData.get('requirements')
+            requirements: formData.get('requirements'),
+            pipelineTemplateId: formData.get('pipelineTemplateId') || null
         };
 
         try {
@@ -165,6 +175,22 @@ export default function CreateJobPage() {
                             />
                         </div>
 
+                        {pipelines.length > 1 && (
+                            <div className="space-y-2">
+                                <Label htmlFor="pipelineTemplateId">Hiring Pipeline</Label>
+                                <Select 
+                                    id="pipelineTemplateId" 
+                                    name="pipelineTemplateId"
+                                    defaultValue="default"
+                                    disabled={isLoading}
+                                >
+                                    {pipelines.map(template => (
+                                        <option key={template.id} value={template.id}>{template.name}</option>
+                                    ))}
+                                </Select>
+                            </div>
+                        )}
+
                         <Separator />
 
                         <div className="space-y-2">
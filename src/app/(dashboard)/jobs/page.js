@@ -9,7 +9,8 @@ const StatusBadge = ({ status }) => {
     const styles = {
         Active: "bg-green-100 text-green-700 border-green-200",
         Closed: "bg-slate-100 text-slate-700 border-slate-200",
-        Draft: "bg-amber-100 text-amber-700 border-amber-200"
+        Draft: "bg-amber-100 text-amber-700 border-amber-200",
+        Inactive: "bg-amber-100 text-amber-700 border-amber-200"
     };
     return (
         <span className={`px-2 py-0.5 rounded-full text-xs font-medium border ${styles[status]}`}>
@@ -66,6 +66,14 @@ export default function DashboardPage() {
                 fetch('/api/dashboard/activity?limit=5')
             ]);
 
+            // Roles without analytics access get a permission message instead of a generic failure
+            const forbiddenRes = [statsRes, trendsRes, activityRes].find(res => res.status === 403);
+            if (forbiddenRes) {
+                const forbiddenData = await forbiddenRes.json();
+                setError(forbiddenData.error || 'You do not have permission to view the dashboard.');
+                return;
+            }
+
             // Check if all requests were successful
             if (!statsRes.ok || !trendsRes.ok || !activityRes.ok) {
                 throw new Error('Failed to fetch dashboard data');
@@ -2,7 +2,7 @@
 
 import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/navigation';
-import { ArrowLeft, Save } from 'lucide-react';
+import { AlertTriangle, ArrowLeft, Save } from 'lucide-react';
 import { Button, Input, Label, Card, CardContent, CardHeader, CardTitle, Select, Separator, Textarea } from '@/components/ui/common';
 
 export default function ScheduleInterviewPage() {
@@ -10,13 +10,15 @@ export default function ScheduleInterviewPage() {
     const [isLoading, setIsLoading] = useState(false);
     const [candidates, setCandidates] = useState([]);
     const [jobs, setJobs] = useState([]);
+    const [teamMembers, setTeamMembers] = useState([]);
+    const [availability, setAvailability] = useState(null);
     const [loadingData, setLoadingData] = useState(true);
     const [error, setError] = useState(null);
     const [formData, setFormData] = useState({
         candidateId: '',
         jobId: '',
         type: 'screening',
-        interviewers: '',
+        interviewers: [],
         date: '2026-01-15', // Default to a future date
         time: '10:00', // Default to a valid business hour
         duration: 60,
@@ -30,15 +32,50 @@ export default function ScheduleInterviewPage() {
         fetchCandidatesAndJobs();
     }, []);
 
+    // Check the candidate and panel are free whenever the slot or attendees change
+    useEffect(() => {
+        if (!formData.date || (!formData.candidateId && formData.interviewers.length === 0)) {
+            setAvailability(null);
+            return;
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(async () => {
+            try {
+                const params = new URLSearchParams({
+                    date: formData.date,
+                    duration: String(formData.duration)
+                });
+                if (formData.time) params.set('time', formData.time);
+                if (formData.candidateId) params.set('candidateId', formData.candidateId);
+                if (formData.interviewers.length > 0) params.set('interviewers', formData.interviewers.join(','));
+
+                const response = await fetch(`/api/interviews/availability?${params}`, { signal: controller.signal });
+                setAvailability(response.ok ? await response.json() : null);
+            } catch (err) {
+                if (err.name !== 'AbortError') {
+                    console.error('Error checking availability:', err);
+                }
+            }
+        }, 300);
+
+        return () => {
+            clearTimeout(timer);
+            controller.abort();
+        };
+    }, [formData.candidateId, formData.interviewers, formData.date, formData.time, formData.duration]);
+
     const fetchCandidatesAndJobs = async () => {
         try {
-            const [candidatesRes, jobsRes] = await Promise.all([
+            const [candidatesRes, jobsRes, interviewersRes] = await Promise.all([
                 fetch('/api/candidates').catch(err => ({ ok: false, error: err })),
-                fetch('/api/jobs').catch(err => ({ ok: false, error: err }))
+                fetch('/api/jobs').catch(err => ({ ok: false, error: err })),
+                fetch('/api/interviews/interviewers').catch(err => ({ ok: false, error: err }))
             ]);
 
             let candidates = [];
             let jobs = [];
+            let members = [];
             let errors = [];
 
             // Handle candidates response
@@ -69,8 +106,23 @@ export default function ScheduleInterviewPage() {
                 errors.push('Failed to load jobs');
             }
 
+            // Handle team members response
+            if (interviewersRes.ok) {
+                try {
+                    const interviewersData = await interviewersRes.json();
+                    members = interviewersData.interviewers || [];
+                } catch (err) {
+                    console.error('Error parsing interviewers data:', err);
+                    errors.push('Failed to load team members');
+                }
+            } else {
+                console.error('Interviewers API failed:', interviewersRes.status);
+                errors.push('Failed to load team members');
+            }
+
             setCandidates(candidates);
             setJobs(jobs);
+            setTeamMembers(members);
 
             if (errors.length > 0) {
                 setError(`Warning: ${errors.join(', ')}. You may need to refresh the page.`);
@@ -91,6 +143,25 @@ export default function ScheduleInterviewPage() {
         }));
     };
 
+    const toggleInterviewer = (userId) => {
+        setFormData(prev => ({
+            ...prev,
+            interviewers: prev.interviewers.includes(userId)
+                ? prev.interviewers.filter(id => id !== userId)
+                : [...prev.interviewers, userId]
+        }));
+    };
+
+    const selectSlot = (slot) => {
+        setFormData(prev => ({
+            ...prev,
+            date: slot.date,
+            time: slot.time
+        }));
+    };
+
+    const hasConflicts = availability?.conflicts?.length > 0;
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setIsLoading(true);
@@ -105,6 +176,10 @@ export default function ScheduleInterviewPage() {
                 throw new Error('Please select both candidate and job');
             }
 
+            if (formData.interviewers.length === 0) {
+                throw new Error('Please select at least one interviewer');
+            }
+
             const candidateFirstName = selectedCandidate.firstName || selectedCandidate.personalInfo?.firstName || 'Unknown';
             const candidateLastName = selectedCandidate.lastName || selectedCandidate.personalInfo?.lastName || 'Candidate';
 
@@ -117,7 +192,7 @@ export default function ScheduleInterviewPage() {
                 time: formData.time,
                 type: formData.type,
                 duration: parseInt(formData.duration),
-                interviewers: formData.interviewers.split(',').map(name => name.trim()).filter(name => name),
+                interviewers: formData.interviewers,
                 meetingType: formData.meetingType,
                 meetingLink: formData.meetingLink || '',
                 location: formData.location,
@@ -248,15 +323,23 @@ export default function ScheduleInterviewPage() {
                                 </Select>
                             </div>
                             <div className="space-y-2">
-                                <Label htmlFor="interviewers">Interviewers</Label>
-                                <Input 
-                                    id="interviewers" 
-                                    name="interviewers"
-                                    value={formData.interviewers}
-                                    onChange={handleInputChange}
-                                    placeholder="e.g. Alex Chen, Sarah Smith" 
-                                    required 
-                                />
+                                <Label>Interviewers</Label>
+                                <div className="max-h-40 overflow-y-auto rounded-md border p-2 space-y-1">
+                                    {teamMembers.length === 0 && (
+                                        <p className="text-sm text-muted-foreground">No team members found.</p>
+                                    )}
+                                    {teamMembers.map(member => (
+                                        <label key={member.userId} className="flex items-center gap-2 text-sm cursor-pointer">
+                                            <input
+                                                type="checkbox"
+                                                checked={formData.interviewers.includes(member.userId)}
+                                                onChange={() => toggleInterviewer(member.userId)}
+                                            />
+                                            <span>{member.name}</span>
+                                            <span className="text-muted-foreground">({member.role})</span>
+                                        </label>
+                                    ))}
+                                </div>
                             </div>
                         </div>
 
@@ -301,6 +384,43 @@ export default function ScheduleInterviewPage() {
                             </div>
                         </div>
 
+                        {hasConflicts && (
+                            <div className="p-4 bg-amber-50 border border-amber-200 rounded-md space-y-3">
+                                <div className="flex items-start gap-2">
+                                    <AlertTriangle className="h-4 w-4 text-amber-600 mt-0.5" />
+                                    <div className="text-sm text-amber-800 space-y-1">
+                                        <p className="font-medium">{availability.message}</p>
+                                        {availability.conflicts.map(conflict => (
+                                            <p key={conflict.interviewId}>
+                                                {conflict.candidateName} &middot; {conflict.jobTitle} ({conflict.type}),{' '}
+                                                {new Date(conflict.start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                                {' - '}
+                                                {new Date(conflict.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                            </p>
+                                        ))}
+                                    </div>
+                                </div>
+                                {availability.slots?.length > 0 && (
+                                    <div className="space-y-2">
+                                        <p className="text-sm text-amber-800">Everyone is free at:</p>
+                                        <div className="flex flex-wrap gap-2">
+                                            {availability.slots.map(slot => (
+                                                <Button
+                                                    key={`${slot.date}-${slot.time}`}
+                                                    type="button"
+                                                    variant="outline"
+                                                    size="sm"
+                                                    onClick={() => selectSlot(slot)}
+                                                >
+                                                    {new Date(`${slot.date}T00:00:00`).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })} {slot.time}
+                                                </Button>
+                                            ))}
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
                         <div className="space-y-2">
                             <Label htmlFor="meetingType">Meeting Type</Label>
                             <Select 
@@ -359,9 +479,9 @@ export default function ScheduleInterviewPage() {
                             <Button type="button" variant="outline" onClick={() => router.back()}>
                                 Cancel
                             </Button>
-                            <Button type="submit" disabled={isLoading}>
+                            <Button type="submit" disabled={isLoading || hasConflicts}>
                                 <Save className="mr-2 h-4 w-4" />
-                                {isLoading ? 'Scheduling...' : 'Schedule Interview'}
+                                {isLoading ? 'Scheduling...' : hasConflicts ? 'Resolve Conflicts First' : 'Schedule Interview'}
                             </Button>
                         </div>
                     </CardContent>
@@ -1,12 +1,16 @@
 'use client';
 
 import React, { useState, useEffect } from 'react';
-import { useRouter } from 'next/navigation';
+import { useRouter, useSearchParams } from 'next/navigation';
 import { Calendar, Clock, Video, MoreVertical, Calendar as CalendarIcon, Users as UsersIcon } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle, Button, Badge } from '@/components/ui/common';
+import { cn } from '@/lib/utils';
 
 export default function SchedulePage() {
     const router = useRouter();
+    const searchParams = useSearchParams();
+    // Interview to show, e.g. when opened from a notification
+    const highlightedId = searchParams.get('interview');
     const [interviews, setInterviews] = useState([]);
     const [stats, setStats] = useState(null);
     const [loading, setLoading] = useState(true);
@@ -35,6 +39,34 @@ export default function SchedulePage() {
         }
     };
 
+    // Show a linked interview even when it is not among the upcoming ones
+    useEffect(() => {
+        if (!highlightedId || loading || interviews.some(interview => interview.id === highlightedId)) return;
+
+        const fetchLinkedInterview = async () => {
+            try {
+                const response = await fetch(`/api/interviews/${highlightedId}`);
+                if (!response.ok) return;
+
+                const data = await response.json();
+                if (data.interview) {
+                    setInterviews(prev => [data.interview, ...prev.filter(interview => interview.id !== data.interview.id)]);
+                }
+            } catch (err) {
+                console.error('Error fetching linked interview:', err);
+            }
+        };
+
+        fetchLinkedInterview();
+    }, [highlightedId, loading, interviews]);
+
+    // Bring a linked interview into view
+    useEffect(() => {
+        if (!highlightedId || loading) return;
+
+        document.getElementById(`interview-${highlightedId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [highlightedId, loading, interviews]);
+
     const fetchTodayStats = async () => {
         try {
             const today = new Date().toISOString().split('T')[0];
@@ -111,45 +143,50 @@ export default function SchedulePage() {
                         </Card>
                     ) : (
                         Array.isArray(interviews) && interviews.map(interview => (
-                            <Card key={interview.id} className="hover:border-primary/50 transition-colors">
-                                <CardContent className="p-4">
-                                    <div className="flex flex-col sm:flex-row items-start gap-4">
-                                        <div className="flex sm:flex-col items-center justify-center flex-shrink-0 w-full sm:w-16 h-12 sm:h-16 bg-primary/10 rounded-lg text-primary gap-2 sm:gap-0">
-                                            <span className="text-xs sm:text-sm font-medium">{new Date(interview.date).toLocaleString('default', { month: 'short' }).toUpperCase()}</span>
-                                            <span className="text-xl sm:text-2xl font-bold">{new Date(interview.date).getDate()}</span>
-                                        </div>
-
-                                        <div className="flex-1 min-w-0 w-full">
-                                            <div className="flex justify-between items-start gap-2">
-                                                <div className="min-w-0">
-                                                    <h4 className="font-semibold text-base sm:text-lg truncate">{interview.candidateName}</h4>
-                                                    <p className="text-xs sm:text-sm text-muted-foreground truncate">{interview.jobTitle}</p>
-                                                </div>
-                                                <Badge variant="secondary" className="flex-shrink-0">{interview.type}</Badge>
+                            <div key={interview.id} id={`interview-${interview.id}`}>
+                                <Card className={cn(
+                                    "hover:border-primary/50 transition-colors",
+                                    interview.id === highlightedId && "ring-2 ring-primary/40 border-primary"
+                                )}>
+                                    <CardContent className="p-4">
+                                        <div className="flex flex-col sm:flex-row items-start gap-4">
+                                            <div className="flex sm:flex-col items-center justify-center flex-shrink-0 w-full sm:w-16 h-12 sm:h-16 bg-primary/10 rounded-lg text-primary gap-2 sm:gap-0">
+                                                <span className="text-xs sm:text-sm font-medium">{new Date(interview.date).toLocaleString('default', { month: 'short' }).toUpperCase()}</span>
+                                                <span className="text-xl sm:text-2xl font-bold">{new Date(interview.date).getDate()}</span>
                                             </div>
 
-                                            <div className="mt-3 flex flex-wrap gap-x-4 gap-y-2 text-xs sm:text-sm text-muted-foreground">
-                                                <div className="flex items-center gap-1.5">
-                                                    <Clock className="h-4 w-4" />
-                                                    {interview.time} ({interview.duration})
-                                                </div>
-                                                <div className="flex items-center gap-1.5">
-                                                    <Video className="h-4 w-4" />
-                                                    {interview.meetingDetails?.type || interview.type}
+                                            <div className="flex-1 min-w-0 w-full">
+                                                <div className="flex justify-between items-start gap-2">
+                                                    <div className="min-w-0">
+                                                        <h4 className="font-semibold text-base sm:text-lg truncate">{interview.candidateName}</h4>
+                                                        <p className="text-xs sm:text-sm text-muted-foreground truncate">{interview.jobTitle}</p>
+                                                    </div>
+                                                    <Badge variant="secondary" className="flex-shrink-0">{interview.type}</Badge>
                                                 </div>
-                                                <div className="flex items-center gap-1.5">
-                                                    <UsersIcon className="h-4 w-4" />
-                                                    <span className="truncate">{interview.interviewers?.join(', ') || 'TBD'}</span>
+
+                                                <div className="mt-3 flex flex-wrap gap-x-4 gap-y-2 text-xs sm:text-sm text-muted-foreground">
+                                                    <div className="flex items-center gap-1.5">
+                                                        <Clock className="h-4 w-4" />
+                                                        {interview.time} ({interview.duration})
+                                                    </div>
+                                                    <div className="flex items-center gap-1.5">
+                                                        <Video className="h-4 w-4" />
+                                                        {interview.meetingDetails?.type || interview.type}
+                                                    </div>
+                                                    <div className="flex items-center gap-1.5">
+                                                        <UsersIcon className="h-4 w-4" />
+                                                        <span className="truncate">{interview.interviewers?.map(interviewer => interviewer.name).join(', ') || 'TBD'}</span>
+                                                    </div>
                                                 </div>
                                             </div>
-                                        </div>
 
-                                        <Button variant="ghost" size="icon" className="hidden sm:flex h-8 w-8 flex-shrink-0">
-                                            <MoreVertical className="h-4 w-4" />
-                                        </Button>
-                                    </div>
-                                </CardContent>
-                            </Card>
+                                            <Button variant="ghost" size="icon" className="hidden sm:flex h-8 w-8 flex-shrink-0">
+                                                <MoreVertical className="h-4 w-4" />
+                                            </Button>
+                                        </div>
+                                    </CardContent>
+                                </Card>
+                            </div>
                         ))
                     )}
                 </div>
@@ -3,7 +3,7 @@
 import React, { useState, useEffect } from 'react';
 import { useSession, signOut } from 'next-auth/react';
 import { useRouter } from 'next/navigation';
-import { User, Bell, Shield, Users, Save, Building, Upload, Loader2, CheckCircle, XCircle, AlertCircle, Trash2 } from 'lucide-react';
+import { User, Bell, Shield, Users, Mail, Save, Building, Upload, Loader2, CheckCircle, XCircle, AlertCircle, Trash2, Zap, ScrollText } from 'lucide-react';
 import {
     Button,
     Input,
@@ -12,7 +12,7 @@ import {
     CardContent,
     CardHeader,
     CardTitle,
-    Switch,
+    Select,
     Separator,
     Tabs,
     TabsList,
@@ -23,6 +23,25 @@ import {
 import { DeleteAccountDialog } from '@/components/ui/delete-account-dialog';
 import { InviteMemberDialog } from '@/components/ui/invite-member-dialog';
 import { TeamManagementTab } from '@/components/team-management-tab';
+import { EmailTemplatesTab } from '@/components/email-templates-tab';
+import { AutomationRulesTab } from '@/components/automation-rules-tab';
+import { AuditLogTab } from '@/components/audit-log-tab';
+import { TwoFactorCard, TeamTwoFactorPolicyCard } from '@/components/two-factor-settings';
+import { SsoSettingsCard, SsoLinkCard } from '@/components/sso-settings-card';
+import { LockoutEventsCard } from '@/components/lockout-events-card';
+import { ActiveSessionsCard } from '@/components/active-sessions-card';
+
+const DELIVERY_MODE_LABELS = {
+    immediate: 'Immediately',
+    digest: 'In digest',
+    off: 'Off'
+};
+
+const DIGEST_FREQUENCY_LABELS = {
+    daily: 'Daily',
+    weekly: 'Weekly',
+    off: 'Off'
+};
 
 export default function SettingsPage() {
     const { data: session } = useSession();
@@ -66,12 +85,28 @@ export default function SettingsPage() {
     const [isChangingPassword, setIsChangingPassword] = useState(false);
     const [passwordErrors, setPasswordErrors] = useState({});
     const [passwordSuccess, setPasswordSuccess] = useState('');
+    const [sessionsListKey, setSessionsListKey] = useState(0);
+
+    // Notification preferences state
+    const [notificationSettings, setNotificationSettings] = useState(null);
+    const [savingNotificationEvent, setSavingNotificationEvent] = useState(null);
+    const [notificationSuccess, setNotificationSuccess] = useState('');
+    const [notificationError, setNotificationError] = useState('');
+
+    // Open the tab named in the URL (e.g. /settings?tab=security from the 2FA banner)
+    useEffect(() => {
+        const tab = new URLSearchParams(window.location.search).get('tab');
+        if (tab) {
+            setActiveTab(tab);
+        }
+    }, []);
 
     // Load profile data on component mount
     useEffect(() => {
         if (session?.user) {
             loadProfile();
             loadPasswordInfo();
+            loadNotificationPreferences();
         }
     }, [session]);
 
@@ -151,6 +186,67 @@ export default function SettingsPage() {
         }
     };
 
+    const loadNotificationPreferences = async () => {
+        try {
+            const response = await fetch('/api/user/notifications');
+            const data = await response.json();
+
+            if (data.success) {
+                setNotificationSettings(data.data);
+            } else {
+                console.error('Failed to load notification preferences:', data.error);
+            }
+        } catch (error) {
+            console.error('Notification preferences load error:', error);
+        }
+    };
+
+    const handleNotificationModeChange = (event, mode) => saveNotificationSettings(
+        event,
+        { preferences: { [event]: mode } },
+        { ...notificationSettings, preferences: { ...notificationSettings.preferences, [event]: mode } }
+    );
+
+    const handleDigestFrequencyChange = (digestFrequency) => saveNotificationSettings(
+        'digestFrequency',
+        { digestFrequency },
+        { ...notificationSettings, digestFrequency }
+    );
+
+    const saveNotificationSettings = async (key, body, nextSettings) => {
+        const previous = notificationSettings;
+        setNotificationSettings(nextSettings);
+        setSavingNotificationEvent(key);
+        setNotificationSuccess('');
+        setNotificationError('');
+
+        try {
+            const response = await fetch('/api/user/notifications', {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(body),
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setNotificationSettings(data.data);
+                setNotificationSuccess('Notification preferences saved');
+                setTimeout(() => setNotificationSuccess(''), 3000);
+            } else {
+                setNotificationSettings(previous);
+                setNotificationError(data.error?.message || 'Failed to save notification preferences');
+            }
+        } catch (error) {
+            console.error('Notification preferences save error:', error);
+            setNotificationSettings(previous);
+            setNotificationError('Network error. Please try again.');
+        } finally {
+            setSavingNotificationEvent(null);
+        }
+    };
+
     const loadPasswordInfo = async () => {
         setIsLoadingPasswordInfo(true);
         try {
@@ -395,7 +491,11 @@ export default function SettingsPage() {
             const data = await response.json();
 
             if (data.success) {
-                setPasswordSuccess('Password updated successfully!');
+                setPasswordSuccess(data.signedOutSessions > 0
+                    ? 'Password updated successfully! Your other sessions have been signed out.'
+                    : 'Password updated successfully!');
+                // The sessions list no longer has the ones just signed out
+                setSessionsListKey(key => key + 1);
                 setPasswordForm({
                     currentPassword: '',
                     newPassword: '',
@@ -452,10 +552,22 @@ export default function SettingsPage() {
                                 <Users className="mr-2 h-4 w-4" />
                                 Team
                             </TabsTrigger>
+                            <TabsTrigger value="email-templates" className="whitespace-nowrap flex-shrink-0 justify-start px-4 py-2 h-9 data-[state=active]:bg-muted data-[state=active]:shadow-none">
+                                <Mail className="mr-2 h-4 w-4" />
+                                Email Templates
+                            </TabsTrigger>
+                            <TabsTrigger value="automations" className="whitespace-nowrap flex-shrink-0 justify-start px-4 py-2 h-9 data-[state=active]:bg-muted data-[state=active]:shadow-none">
+                                <Zap className="mr-2 h-4 w-4" />
+                                Automations
+                            </TabsTrigger>
                             <TabsTrigger value="security" className="whitespace-nowrap flex-shrink-0 justify-start px-4 py-2 h-9 data-[state=active]:bg-muted data-[state=active]:shadow-none">
                                 <Shield className="mr-2 h-4 w-4" />
                                 Security
                             </TabsTrigger>
+                            <TabsTrigger value="audit-log" className="whitespace-nowrap flex-shrink-0 justify-start px-4 py-2 h-9 data-[state=active]:bg-muted data-[state=active]:shadow-none">
+                                <ScrollText className="mr-2 h-4 w-4" />
+                                Audit Log
+                            </TabsTrigger>
                         </TabsList>
                     </aside>
 
@@ -627,29 +739,78 @@ export default function SettingsPage() {
                                     <CardTitle>Email Notifications</CardTitle>
                                 </CardHeader>
                                 <CardContent className="space-y-4">
-                                    <div className="flex items-center justify-between space-x-2">
-                                        <Label htmlFor="new-candidates" className="flex flex-col space-y-1">
-                                            <span>New Candidates</span>
-                                            <span className="font-normal text-xs text-muted-foreground">Receive emails when new candidates apply.</span>
-                                        </Label>
-                                        <Switch id="new-candidates" checked />
-                                    </div>
-                                    <Separator />
-                                    <div className="flex items-center justify-between space-x-2">
-                                        <Label htmlFor="interview-updates" className="flex flex-col space-y-1">
-                                            <span>Interview Updates</span>
-                                            <span className="font-normal text-xs text-muted-foreground">Get notified when an interview is scheduled or cancelled.</span>
-                                        </Label>
-                                        <Switch id="interview-updates" checked />
-                                    </div>
-                                    <Separator />
-                                    <div className="flex items-center justify-between space-x-2">
-                                        <Label htmlFor="marketing-emails" className="flex flex-col space-y-1">
-                                            <span>Marketing Emails</span>
-                                            <span className="font-normal text-xs text-muted-foreground">Receive emails about new features and updates.</span>
-                                        </Label>
-                                        <Switch id="marketing-emails" />
-                                    </div>
+                                    <p className="text-sm text-muted-foreground">
+                                        Choose whether each email arrives straight away, is collected into your digest, or is turned off.
+                                    </p>
+                                    {notificationSettings && (
+                                        <div className="flex items-center justify-between space-x-4">
+                                            <Label htmlFor="digest-frequency" className="flex flex-col space-y-1">
+                                                <span>Digest</span>
+                                                <span className="font-normal text-xs text-muted-foreground">
+                                                    A summary of new applicants on your jobs, candidates waiting on you, tomorrow&apos;s interviews and pipeline movement, plus the emails you collect into it.
+                                                </span>
+                                            </Label>
+                                            <div className="w-44 shrink-0">
+                                                <Select
+                                                    id="digest-frequency"
+                                                    value={notificationSettings.digestFrequency}
+                                                    onChange={(e) => handleDigestFrequencyChange(e.target.value)}
+                                                    disabled={savingNotificationEvent !== null}
+                                                >
+                                                    {notificationSettings.digestFrequencies.map(frequency => (
+                                                        <option key={frequency} value={frequency}>{DIGEST_FREQUENCY_LABELS[frequency] || frequency}</option>
+                                                    ))}
+                                                </Select>
+                                            </div>
+                                        </div>
+                                    )}
+                                    {!notificationSettings ? (
+                                        <div className="flex items-center justify-center py-8">
+                                            <Loader2 className="h-6 w-6 animate-spin" />
+                                        </div>
+                                    ) : (
+                                        notificationSettings.events.map((item) => (
+                                            <React.Fragment key={item.event}>
+                                                <Separator />
+                                                <div className="flex items-center justify-between space-x-4">
+                                                    <Label htmlFor={`notify-${item.event}`} className="flex flex-col space-y-1">
+                                                        <span>{item.label}</span>
+                                                        <span className="font-normal text-xs text-muted-foreground">{item.description}</span>
+                                                    </Label>
+                                                    <div className="w-44 shrink-0">
+                                                        <Select
+                                                            id={`notify-${item.event}`}
+                                                            value={notificationSettings.preferences[item.event]}
+                                                            onChange={(e) => handleNotificationModeChange(item.event, e.target.value)}
+                                                            disabled={savingNotificationEvent !== null}
+                                                        >
+                                                            {notificationSettings.modes.map(mode => (
+                                                                <option key={mode} value={mode}>{DELIVERY_MODE_LABELS[mode] || mode}</option>
+                                                            ))}
+                                                        </Select>
+                                                    </div>
+                                                </div>
+                                            </React.Fragment>
+                                        ))
+                                    )}
+
+                                    {notificationSuccess && (
+                                        <div className="p-3 bg-green-50 border border-green-200 rounded-md">
+                                            <div className="flex items-center gap-2">
+                                                <CheckCircle className="h-4 w-4 text-green-600" />
+                                                <p className="text-sm text-green-800">{notificationSuccess}</p>
+                                            </div>
+                                        </div>
+                                    )}
+
+                                    {notificationError && (
+                                        <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                                            <div className="flex items-center gap-2">
+                                                <XCircle className="h-4 w-4 text-red-600" />
+                                                <p className="text-sm text-red-800">{notificationError}</p>
+                                            </div>
+                                        </div>
+                                    )}
                                 </CardContent>
                             </Card>
                         </TabsContent>
@@ -658,6 +819,14 @@ export default function SettingsPage() {
                             <TeamManagementTab session={session} />
                         </TabsContent>
 
+                        <TabsContent value="email-templates" className="space-y-6">
+                            <EmailTemplatesTab />
+                        </TabsContent>
+
+                        <TabsContent value="automations" className="space-y-6">
+                            <AutomationRulesTab />
+                        </TabsContent>
+
                         <TabsContent value="security" className="space-y-6">
                             {/* Password Change Section - Only for email/password users */}
                             {isLoadingPasswordInfo ? (
@@ -762,8 +931,9 @@ export default function SettingsPage() {
                                                 <h4 className="font-medium text-blue-900">OAuth Authentication</h4>
                                             </div>
                                             <p className="text-sm text-blue-800">
-                                                You signed in using {passwordData.provider === 'google' ? 'Google' : 'OAuth'}.
-                                                Password changes are managed through your {passwordData.provider === 'google' ? 'Google account' : 'OAuth provider'}.
+                                                {passwordData.provider === 'sso'
+                                                    ? 'You signed in using single sign-on. Password changes are managed through your organization\'s identity provider.'
+                                                    : `You signed in using ${passwordData.provider === 'google' ? 'Google' : 'OAuth'}. Password changes are managed through your ${passwordData.provider === 'google' ? 'Google account' : 'OAuth provider'}.`}
                                             </p>
                                             {passwordData.provider === 'google' && (
                                                 <p className="text-xs text-blue-700 mt-2">
@@ -775,6 +945,18 @@ export default function SettingsPage() {
                                 </Card>
                             )}
 
+                            <TwoFactorCard />
+
+                            <ActiveSessionsCard key={sessionsListKey} />
+
+                            <SsoLinkCard />
+
+                            <TeamTwoFactorPolicyCard />
+
+                            <SsoSettingsCard />
+
+                            <LockoutEventsCard />
+
                             <Card className="border-destructive/50">
                                 <CardHeader>
                                     <CardTitle className="text-destructive">Danger Zone</CardTitle>
@@ -803,6 +985,10 @@ export default function SettingsPage() {
                                 </CardContent>
                             </Card>
                         </TabsContent>
+
+                        <TabsContent value="audit-log" className="space-y-6">
+                            <AuditLogTab />
+                        </TabsContent>
                     </div>
                 </div>
             </Tabs>
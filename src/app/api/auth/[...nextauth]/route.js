@@ -6,10 +6,60 @@
 import NextAuth from 'next-auth';
 import CredentialsProvider from 'next-auth/providers/credentials';
 import GoogleProvider from 'next-auth/providers/google';
+import { ObjectId } from 'mongodb';
 import { getUsersCollection } from '@/lib/mongodb';
 import { verifyPassword } from '@/lib/auth/password';
+import { isTwoFactorEnabled, verifyTwoFactorCode } from '@/lib/auth/two-factor';
+import {
+  ATTEMPT_SCOPES,
+  ATTEMPT_KEY_TYPES,
+  AttemptLimitError,
+  getClientIp,
+  buildAttemptKeys,
+  checkAttempt,
+  recordFailedAttempt,
+  clearAttempts,
+  findAccountByEmail
+} from '@/lib/auth/attempt-limiter';
+import {
+  SESSION_REVOKE_REASONS,
+  createUserSession,
+  resolveUserSession,
+  revokeUserSession,
+  isTokenCurrent
+} from '@/lib/auth/user-sessions';
+import { isSsoRequiredForAccount, redeemSsoTicket, SSO_PROVIDER } from '@/lib/auth/sso';
+import { sendAccountLockedEmail } from '@/lib/email/email-service';
+import { readRequestContext } from '@/lib/request-context';
 import { getEnvConfig } from '@/lib/env';
 
+/**
+ * Sign-in errors passed through to the login page, which asks for the
+ * two-factor code or explains the wait when it sees them
+ */
+const PASSED_THROUGH_SIGN_IN_ERRORS = ['TwoFactorRequired', 'InvalidTwoFactorCode', 'TooManyAttempts', 'AccountLocked', 'SsoRequired'];
+
+/**
+ * Counts a failed sign-in against the account and the IP address, and emails
+ * the owner when it locks their account
+ * @param {Array<Object>} keys - Attempt keys for the email and IP
+ * @param {string} ip - Caller's IP address
+ * @param {string} email - Email address that was tried
+ */
+async function recordFailedSignIn(keys, ip, email) {
+  try {
+    const account = await findAccountByEmail(email);
+    const lockouts = await recordFailedAttempt(ATTEMPT_SCOPES.LOGIN, keys, { ip, userId: account?._id });
+    const accountLockout = lockouts.find(lockout => lockout.keyType === ATTEMPT_KEY_TYPES.ACCOUNT);
+
+    if (account && accountLockout) {
+      await sendAccountLockedEmail(account.email, accountLockout.lockedUntil, account.name);
+    }
+  } catch (error) {
+    console.error('Failed to record failed sign-in:', error);
+  }
+}
+
 /**
  * NextAuth configuration options
  */
@@ -28,9 +78,13 @@ const authOptions = {
         password: {
           label: 'Password',
           type: 'password'
+        },
+        code: {
+          label: 'Authentication code',
+          type: 'text'
         }
       },
-      async authorize(credentials) {
+      async authorize(credentials, req) {
         try {
           // Validate input
           if (!credentials?.email || !credentials?.password) {
@@ -40,16 +94,24 @@ const authOptions = {
           const email = credentials.email.toLowerCase().trim();
           const password = credentials.password;
 
+          // Guesses are slowed down and then locked out per account and per IP,
+          // whether or not the account exists
+          const ip = getClientIp(req);
+          const attemptKeys = buildAttemptKeys({ account: email, ip });
+          await checkAttempt(ATTEMPT_SCOPES.LOGIN, attemptKeys);
+
           // Get user from database
           const usersCollection = await getUsersCollection();
           const user = await usersCollection.findOne({ email });
 
           if (!user) {
+            await recordFailedSignIn(attemptKeys, ip, email);
             return null;
           }
 
           // Check if user account is active
           if (!user.isActive) {
+            await recordFailedSignIn(attemptKeys, ip, email);
             return null;
           }
 
@@ -63,9 +125,32 @@ const authOptions = {
           // Verify password
           const isValidPassword = await verifyPassword(password, user.password);
           if (!isValidPassword) {
+            await recordFailedSignIn(attemptKeys, ip, email);
             return null;
           }
 
+          // Organizations that require single sign-on turn off password sign-in for their
+          // members; checked after the password so it doesn't reveal who is on a team
+          if (await isSsoRequiredForAccount(email)) {
+            throw new Error('SsoRequired');
+          }
+
+          // Enrolled accounts also need a code from their authenticator app or a recovery code
+          if (isTwoFactorEnabled(user)) {
+            if (!credentials.code) {
+              throw new Error('TwoFactorRequired');
+            }
+            if (!await verifyTwoFactorCode(user, credentials.code)) {
+              await recordFailedSignIn(attemptKeys, ip, email);
+              throw new Error('InvalidTwoFactorCode');
+            }
+          }
+
+          await clearAttempts(
+            ATTEMPT_SCOPES.LOGIN,
+            attemptKeys.filter(key => key.type === ATTEMPT_KEY_TYPES.ACCOUNT)
+          );
+
           // Update last login timestamp
           await usersCollection.updateOne(
             { _id: user._id },
@@ -87,10 +172,56 @@ const authOptions = {
             role: user.role,
             emailVerified: user.emailVerified,
             createdAt: user.createdAt,
-            lastLoginAt: new Date()
+            lastLoginAt: new Date(),
+            sessionVersion: user.sessionVersion || 0,
+            twoFactorEnabled: isTwoFactorEnabled(user)
           };
 
         } catch (error) {
+          if (error instanceof AttemptLimitError) {
+            throw new Error(error.code === 'LOCKED_OUT' ? 'AccountLocked' : 'TooManyAttempts');
+          }
+          if (PASSED_THROUGH_SIGN_IN_ERRORS.includes(error.message)) {
+            throw error;
+          }
+          return null;
+        }
+      }
+    }),
+
+    // Finishes a single sign-on: the SSO callback hands the login page a
+    // one-time ticket for the account it verified
+    CredentialsProvider({
+      id: SSO_PROVIDER,
+      name: 'Single Sign-On',
+      credentials: {
+        ticket: {
+          label: 'Ticket',
+          type: 'text'
+        }
+      },
+      async authorize(credentials) {
+        try {
+          const user = await redeemSsoTicket(credentials?.ticket);
+          if (!user) {
+            return null;
+          }
+
+          return {
+            id: user._id.toString(),
+            email: user.email,
+            name: user.name,
+            bio: user.bio,
+            photoURL: user.photoURL,
+            role: user.role,
+            emailVerified: user.emailVerified,
+            createdAt: user.createdAt,
+            lastLoginAt: user.lastLoginAt,
+            sessionVersion: user.sessionVersion || 0,
+            twoFactorEnabled: false
+          };
+        } catch (error) {
+          console.error('Failed to redeem SSO ticket:', error);
           return null;
         }
       }
@@ -133,6 +264,11 @@ const authOptions = {
         try {
           const usersCollection = await getUsersCollection();
           const email = user.email.toLowerCase().trim();
+
+          // Organizations that require single sign-on turn off Google sign-in for their members
+          if (await isSsoRequiredForAccount(email)) {
+            return '/login?error=sso-required';
+          }
           
           // Check if user exists in database
           const existingUser = await usersCollection.findOne({ email });
@@ -183,6 +319,7 @@ const authOptions = {
               user.photoURL = newUser.photoURL;
               user.createdAt = now;
               user.lastLoginAt = now;
+              user.sessionVersion = 0;
               
               return true;
             } else {
@@ -207,6 +344,7 @@ const authOptions = {
               user.photoURL = user.image || profile?.picture || existingUser.photoURL;
               user.createdAt = existingUser.createdAt;
               user.lastLoginAt = new Date();
+              user.sessionVersion = existingUser.sessionVersion || 0;
               
               return true;
             }
@@ -249,6 +387,7 @@ const authOptions = {
             user.photoURL = newUser.photoURL;
             user.createdAt = now;
             user.lastLoginAt = now;
+            user.sessionVersion = 0;
             
             return true;
           } else {
@@ -280,6 +419,7 @@ const authOptions = {
             user.photoURL = user.image || profile?.picture || existingUser.photoURL;
             user.createdAt = existingUser.createdAt;
             user.lastLoginAt = new Date();
+            user.sessionVersion = existingUser.sessionVersion || 0;
             
             return true;
           }
@@ -303,6 +443,47 @@ const authOptions = {
         token.createdAt = user.createdAt;
         token.lastLoginAt = user.lastLoginAt;
         token.provider = account.provider;
+        token.sessionVersion = user.sessionVersion || 0;
+        token.twoFactorEnabled = Boolean(user.twoFactorEnabled);
+        token.sessionId = await createUserSession(user.id, {
+          provider: account.provider,
+          ...await readRequestContext()
+        });
+        return token;
+      }
+
+      // Deleting or deactivating the account, or changing or resetting its
+      // password, ends every session issued before it; throwing here makes
+      // NextAuth clear the session cookie
+      if (token.id && ObjectId.isValid(token.id)) {
+        const usersCollection = await getUsersCollection();
+        const current = await usersCollection.findOne(
+          { _id: new ObjectId(token.id) },
+          {
+            projection: {
+              isActive: 1,
+              sessionVersion: 1,
+              sessionsRevokedAt: 1,
+              'twoFactor.enabled': 1,
+              'twoFactor.secret': 1
+            }
+          }
+        );
+
+        if (!isTokenCurrent(token, current)) {
+          throw new Error('SessionRevoked');
+        }
+
+        // Picks up 2FA being turned on or off in another tab
+        token.twoFactorEnabled = isTwoFactorEnabled(current);
+
+        // Sessions signed out from another device, or ended by a password
+        // change or account deletion, are gone or revoked
+        const userSession = await resolveUserSession(token, await readRequestContext());
+        if (!userSession) {
+          throw new Error('SessionRevoked');
+        }
+        token.sessionId = userSession._id.toString();
       }
 
       return token;
@@ -319,6 +500,8 @@ const authOptions = {
         session.user.createdAt = token.createdAt;
         session.user.lastLoginAt = token.lastLoginAt;
         session.user.provider = token.provider;
+        session.user.twoFactorEnabled = Boolean(token.twoFactorEnabled);
+        session.user.sessionId = token.sessionId;
       }
 
       return session;
@@ -356,7 +539,17 @@ const authOptions = {
     },
     
     async signOut({ session, token }) {
-      // User signed out
+      // User signed out; the session no longer shows up as signed in
+      if (token?.id && token?.sessionId) {
+        try {
+          await revokeUserSession(token.id, token.sessionId, SESSION_REVOKE_REASONS.SIGNED_OUT);
+        } catch (error) {
+          // Already revoked from another device is fine
+          if (error.code !== 'SESSION_NOT_FOUND') {
+            console.error('Failed to revoke session on sign-out:', error);
+          }
+        }
+      }
     },
     
     async session({ session, token }) {
@@ -0,0 +1,74 @@
+/**
+ * Forgot Password API Route
+ * Emails a password reset link
+ */
+
+import { NextResponse } from 'next/server';
+import { requestPasswordReset, formatPasswordResetError } from '@/lib/auth/password-reset.js';
+import { sendPasswordResetEmail } from '@/lib/email/email-service.js';
+import {
+  ATTEMPT_SCOPES,
+  AttemptLimitError,
+  getClientIp,
+  buildAttemptKeys,
+  consumeAttempt,
+  formatAttemptLimitError,
+  getRetryAfterHeaders
+} from '@/lib/auth/attempt-limiter.js';
+
+/**
+ * POST /api/auth/forgot-password
+ * Sends a reset link if an active account uses the email address
+ * The response is the same whether or not it does, and whether or not the
+ * email could be sent
+ */
+export async function POST(request) {
+  try {
+    // Limits emails per IP address on top of the per-account cooldown in requestPasswordReset
+    await consumeAttempt(ATTEMPT_SCOPES.PASSWORD_RESET, buildAttemptKeys({ ip: getClientIp(request) }));
+
+    const body = await request.json();
+    const { email } = body;
+
+    if (!email) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: {
+            message: 'Email address is required',
+            code: 'EMAIL_REQUIRED',
+            field: 'email'
+          }
+        },
+        { status: 400 }
+      );
+    }
+
+    const result = await requestPasswordReset(email);
+
+    if (result) {
+      // A failure only for existing accounts would tell anyone which emails are registered
+      try {
+        await sendPasswordResetEmail(result.user.email, result.token, result.user.name);
+      } catch (emailError) {
+        console.error('Failed to send password reset email:', emailError);
+      }
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: 'If an account exists for that email, we have sent a link to reset your password.'
+    });
+
+  } catch (error) {
+    if (error instanceof AttemptLimitError) {
+      return NextResponse.json(formatAttemptLimitError(error), { status: 429, headers: getRetryAfterHeaders(error) });
+    }
+
+    console.error('Forgot password API error:', error);
+    const errorResponse = formatPasswordResetError(error);
+
+    const statusCode = error.code === 'EMAIL_REQUIRED' ? 400 : 500;
+    return NextResponse.json(errorResponse, { status: statusCode });
+  }
+}
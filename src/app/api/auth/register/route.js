@@ -6,6 +6,15 @@
 import { NextResponse } from 'next/server';
 import { registerUser, validateRegistrationData, formatRegistrationError, RegistrationError } from '@/lib/auth/registration';
 import { initializeDatabase } from '@/lib/db-init';
+import {
+  ATTEMPT_SCOPES,
+  AttemptLimitError,
+  getClientIp,
+  buildAttemptKeys,
+  consumeAttempt,
+  formatAttemptLimitError,
+  getRetryAfterHeaders
+} from '@/lib/auth/attempt-limiter';
 
 /**
  * Handles user registration requests
@@ -14,6 +23,9 @@ import { initializeDatabase } from '@/lib/db-init';
  */
 export async function POST(request) {
   try {
+    // Every sign-up counts against the IP address, so accounts can't be created in bulk
+    await consumeAttempt(ATTEMPT_SCOPES.REGISTER, buildAttemptKeys({ ip: getClientIp(request) }));
+
     // Parse request body
     let body;
     try {
@@ -94,6 +106,10 @@ export async function POST(request) {
   } catch (error) {
     console.error('Registration API error:', error);
 
+    if (error instanceof AttemptLimitError) {
+      return NextResponse.json(formatAttemptLimitError(error), { status: 429, headers: getRetryAfterHeaders(error) });
+    }
+
     // Handle registration-specific errors
     if (error instanceof RegistrationError) {
       const statusCode = error.code === 'EMAIL_EXISTS' ? 409 : 400;
@@ -6,6 +6,15 @@
 import { NextResponse } from 'next/server';
 import { resendVerificationEmail, formatVerificationError } from '@/lib/auth/verification.js';
 import { sendVerificationEmail } from '@/lib/email/email-service.js';
+import {
+  ATTEMPT_SCOPES,
+  AttemptLimitError,
+  getClientIp,
+  buildAttemptKeys,
+  consumeAttempt,
+  formatAttemptLimitError,
+  getRetryAfterHeaders
+} from '@/lib/auth/attempt-limiter.js';
 
 /**
  * POST /api/auth/resend-verification
@@ -13,6 +22,9 @@ import { sendVerificationEmail } from '@/lib/email/email-service.js';
  */
 export async function POST(request) {
   try {
+    // Limits emails per IP address on top of the per-account limit in resendVerificationEmail
+    await consumeAttempt(ATTEMPT_SCOPES.RESEND_VERIFICATION, buildAttemptKeys({ ip: getClientIp(request) }));
+
     const body = await request.json();
     const { email } = body;
 
@@ -55,6 +67,11 @@ export async function POST(request) {
 
   } catch (error) {
     console.error('Resend verification API error:', error);
+
+    if (error instanceof AttemptLimitError) {
+      return NextResponse.json(formatAttemptLimitError(error), { status: 429, headers: getRetryAfterHeaders(error) });
+    }
+
     const errorResponse = formatVerificationError(error);
     
     let statusCode = 500;
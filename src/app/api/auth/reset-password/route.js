@@ -0,0 +1,47 @@
+/**
+ * Reset Password API Route
+ * Sets a new password with the token from a reset email
+ */
+
+import { NextResponse } from 'next/server';
+import { resetPassword, formatPasswordResetError } from '@/lib/auth/password-reset.js';
+
+/**
+ * POST /api/auth/reset-password
+ * Body: { token, password }
+ * The link works once; every existing session of the account is signed out
+ */
+export async function POST(request) {
+  try {
+    const body = await request.json();
+    const { token, password } = body;
+
+    if (!token) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: {
+            message: 'Reset token is required',
+            code: 'TOKEN_REQUIRED',
+            field: 'token'
+          }
+        },
+        { status: 400 }
+      );
+    }
+
+    await resetPassword(token, password);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Your password has been reset. You can now sign in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password API error:', error);
+    const errorResponse = formatPasswordResetError(error);
+
+    const statusCode = ['TOKEN_REQUIRED', 'TOKEN_INVALID', 'WEAK_PASSWORD'].includes(error.code) ? 400 : 500;
+    return NextResponse.json(errorResponse, { status: statusCode });
+  }
+}
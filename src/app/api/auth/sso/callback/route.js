@@ -0,0 +1,42 @@
+/**
+ * SSO Callback API Route
+ * Where identity providers send people back after they sign in
+ */
+
+import { NextResponse } from 'next/server';
+import { completeSsoSignIn, getSsoLoginError, SSO_STATE_COOKIE } from '@/lib/auth/sso';
+import { getEnvConfig } from '@/lib/env';
+
+/**
+ * GET /api/auth/sso/callback?code=...&state=...
+ * Verifies the sign-in and sends the browser to the login page with a
+ * one-time ticket, which it exchanges for a session
+ */
+export async function GET(request) {
+  const baseUrl = getEnvConfig().NEXTAUTH_URL;
+  const { searchParams } = new URL(request.url);
+
+  let response;
+  try {
+    const { ticket, callbackUrl } = await completeSsoSignIn({
+      code: searchParams.get('code'),
+      state: searchParams.get('state'),
+      stateCookie: request.cookies.get(SSO_STATE_COOKIE)?.value,
+      error: searchParams.get('error')
+    });
+
+    const target = new URL('/login/sso', baseUrl);
+    target.searchParams.set('ticket', ticket);
+    target.searchParams.set('callbackUrl', callbackUrl);
+    response = NextResponse.redirect(target);
+
+  } catch (error) {
+    if (error.name !== 'SsoError') {
+      console.error('Error completing SSO sign-in:', error);
+    }
+    response = NextResponse.redirect(new URL(`/login?error=${getSsoLoginError(error)}`, baseUrl));
+  }
+
+  response.cookies.delete({ name: SSO_STATE_COOKIE, path: '/api/auth/sso' });
+  return response;
+}
@@ -0,0 +1,72 @@
+/**
+ * SSO Start API Route
+ * Sends the browser to the identity provider of the organization that covers
+ * an email address
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import {
+  ATTEMPT_SCOPES,
+  AttemptLimitError,
+  buildAttemptKeys,
+  consumeAttempt,
+  getClientIp
+} from '@/lib/auth/attempt-limiter';
+import {
+  startSsoSignIn,
+  getSsoLoginError,
+  SsoError,
+  SSO_STATE_COOKIE,
+  SSO_STATE_TTL_MS
+} from '@/lib/auth/sso';
+import { getEnvConfig } from '@/lib/env';
+
+/**
+ * GET /api/auth/sso/start?email=...&callbackUrl=...
+ * GET /api/auth/sso/start?link=1&callbackUrl=... - Link the signed-in account to its SSO identity
+ * Redirects to the identity provider, or back to the login page with an error
+ */
+export async function GET(request) {
+  const baseUrl = getEnvConfig().NEXTAUTH_URL;
+  const { searchParams } = new URL(request.url);
+
+  try {
+    await consumeAttempt(ATTEMPT_SCOPES.SSO, buildAttemptKeys({ ip: getClientIp(request) }));
+
+    let linkUser = null;
+    if (searchParams.get('link') === '1') {
+      const session = await getServerSession(authOptions);
+      if (!session?.user?.id) {
+        throw new SsoError('Sign in before linking single sign-on', 'SSO_LINK_SIGNED_OUT', 401);
+      }
+      linkUser = session.user;
+    }
+
+    const { url, state } = await startSsoSignIn({
+      email: linkUser ? linkUser.email : searchParams.get('email'),
+      callbackUrl: searchParams.get('callbackUrl'),
+      linkUserId: linkUser?.id
+    });
+
+    const response = NextResponse.redirect(url);
+    // Lax so the cookie comes back on the provider's redirect to the callback
+    response.cookies.set(SSO_STATE_COOKIE, state, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: baseUrl.startsWith('https://'),
+      path: '/api/auth/sso',
+      maxAge: SSO_STATE_TTL_MS / 1000
+    });
+    return response;
+
+  } catch (error) {
+    if (!(error instanceof AttemptLimitError) && error.name !== 'SsoError') {
+      console.error('Error starting SSO sign-in:', error);
+    }
+
+    const loginError = error instanceof AttemptLimitError ? 'sso-too-many-attempts' : getSsoLoginError(error);
+    return NextResponse.redirect(new URL(`/login?error=${loginError}`, baseUrl));
+  }
+}
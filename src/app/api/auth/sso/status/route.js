@@ -0,0 +1,43 @@
+/**
+ * SSO Status API Route
+ * Tells a signed-in user whether their organization requires them to sign in
+ * with single sign-on instead of the way they did, and whether they can link it
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { isSsoRequiredForAccount, getSsoLinkStatus, SSO_PROVIDER } from '@/lib/auth/sso';
+
+/**
+ * GET /api/auth/sso/status
+ * Returns { required, available, linked } - required is true when the session has
+ * to be replaced by an SSO sign-in; available and linked say whether the account's
+ * email domain has SSO and whether the account is linked to it
+ */
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: { message: 'Authentication required', code: 'UNAUTHORIZED' } },
+        { status: 401 }
+      );
+    }
+
+    const required = session.user.provider !== SSO_PROVIDER && await isSsoRequiredForAccount(session.user.email);
+    const { available, linked } = await getSsoLinkStatus(session.user.id, session.user.email);
+
+    return NextResponse.json({
+      success: true,
+      data: { required, available, linked }
+    });
+
+  } catch (error) {
+    console.error('SSO status check error:', error);
+    return NextResponse.json(
+      { success: false, error: { message: 'Failed to check single sign-on status', code: 'SSO_STATUS_FAILED' } },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Automation Rule API Routes
+ * Reads, updates and archives a single automation rule
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { automationService } from '@/lib/automations/automation-service';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * Builds the error response for automation requests
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @returns {NextResponse} JSON error response
+ */
+function automationErrorResponse(error, fallbackMessage) {
+  if (error instanceof AuthorizationError) {
+    return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+  }
+
+  if (error.name === 'AutomationServiceError' || error.name === 'OrganizationScopeError') {
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        code: error.code
+      },
+      { status: error.statusCode || 500 }
+    );
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+
+  return NextResponse.json(
+    {
+      success: false,
+      error: fallbackMessage,
+      code: 'AUTOMATION_ERROR'
+    },
+    { status: 500 }
+  );
+}
+
+/**
+ * GET /api/automations/[ruleId] - Gets a rule
+ */
+export async function GET(request, { params }) {
+  try {
+    const { ruleId } = await params;
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
+    const rule = await automationService.requireRule(ruleId, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      rule
+    });
+
+  } catch (error) {
+    return automationErrorResponse(error, 'Failed to retrieve automation rule');
+  }
+}
+
+/**
+ * PUT /api/automations/[ruleId] - Updates a rule (e.g. { isEnabled: false } to pause it)
+ * Body: any of { name, isEnabled, trigger, action, delayDays }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { ruleId } = await params;
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Invalid JSON in request body',
+          code: 'INVALID_JSON'
+        },
+        { status: 400 }
+      );
+    }
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
+    const rule = await automationService.updateRule(ruleId, body, session.user.id, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      rule,
+      message: 'Automation rule updated successfully'
+    });
+
+  } catch (error) {
+    return automationErrorResponse(error, 'Failed to update automation rule');
+  }
+}
+
+/**
+ * DELETE /api/automations/[ruleId] - Archives a rule; runs already scheduled still execute
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { ruleId } = await params;
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
+    await automationService.archiveRule(ruleId, session.user.id, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Automation rule deleted successfully'
+    });
+
+  } catch (error) {
+    return automationErrorResponse(error, 'Failed to delete automation rule');
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Automation Rules API Routes
+ * Lists and creates the stage-change automation rules of an organization
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { automationService } from '@/lib/automations/automation-service';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+import { AUTOMATION_ACTIONS } from '@/lib/automations/automation-models';
+
+/**
+ * Builds the error response for automation requests
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @returns {NextResponse} JSON error response
+ */
+function automationErrorResponse(error, fallbackMessage) {
+  if (error instanceof AuthorizationError) {
+    return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+  }
+
+  if (error.name === 'AutomationServiceError' || error.name === 'OrganizationScopeError') {
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        code: error.code
+      },
+      { status: error.statusCode || 500 }
+    );
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+
+  return NextResponse.json(
+    {
+      success: false,
+      error: fallbackMessage,
+      code: 'AUTOMATION_ERROR'
+    },
+    { status: 500 }
+  );
+}
+
+/**
+ * GET /api/automations - Lists rules with the actions they can take
+ */
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
+    const rules = await automationService.listRules(organizationId);
+
+    return NextResponse.json({
+      success: true,
+      rules,
+      actions: Object.values(AUTOMATION_ACTIONS)
+    });
+
+  } catch (error) {
+    return automationErrorResponse(error, 'Failed to retrieve automation rules');
+  }
+}
+
+/**
+ * POST /api/automations - Creates a rule
+ * Body: { name, isEnabled?, trigger: { stage, jobId? }, action: { type, ... }, delayDays? }
+ */
+export async function POST(request) {
+  try {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Invalid JSON in request body',
+          code: 'INVALID_JSON'
+        },
+        { status: 400 }
+      );
+    }
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
+    const rule = await automationService.createRule(body, session.user.id, organizationId);
+
+    return NextResponse.json(
+      {
+        success: true,
+        rule,
+        message: 'Automation rule created successfully'
+      },
+      { status: 201 }
+    );
+
+  } catch (error) {
+    return automationErrorResponse(error, 'Failed to create automation rule');
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * Automation Runs API Route
+ * The execution log of an organization's automation rules
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { automationService } from '@/lib/automations/automation-service';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * Builds the error response for automation requests
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @returns {NextResponse} JSON error response
+ */
+function automationErrorResponse(error, fallbackMessage) {
+  if (error instanceof AuthorizationError) {
+    return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+  }
+
+  if (error.name === 'AutomationServiceError' || error.name === 'OrganizationScopeError') {
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        code: error.code
+      },
+      { status: error.statusCode || 500 }
+    );
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+
+  return NextResponse.json(
+    {
+      success: false,
+      error: fallbackMessage,
+      code: 'AUTOMATION_ERROR'
+    },
+    { status: 500 }
+  );
+}
+
+/**
+ * GET /api/automations/runs - Lists runs, newest first, with what fired, why and the result
+ * Query: ruleId, candidateId, status, page, limit
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = new URL(request.url);
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
+    const { runs, pagination } = await automationService.listRuns(
+      {
+        ruleId: searchParams.get('ruleId'),
+        candidateId: searchParams.get('candidateId'),
+        status: searchParams.get('status')
+      },
+      {
+        page: searchParams.get('page'),
+        limit: searchParams.get('limit')
+      },
+      organizationId
+    );
+
+    return NextResponse.json({
+      success: true,
+      runs,
+      pagination
+    });
+
+  } catch (error) {
+    return automationErrorResponse(error, 'Failed to retrieve automation runs');
+  }
+}
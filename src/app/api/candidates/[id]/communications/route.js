@@ -0,0 +1,58 @@
+/**
+ * API Route for Candidate Communications
+ * Returns the threaded email history of a candidate
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { listCandidateCommunications } from '@/lib/candidates/candidate-communications';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * GET /api/candidates/[id]/communications
+ * Lists the emails sent to the candidate and their replies, grouped into
+ * threads with the latest activity first
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
+
+    const threads = await listCandidateCommunications(id, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      threads
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'CandidateCommunicationError' || error.name === 'OrganizationScopeError') {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          code: error.code
+        },
+        { status: error.statusCode || 500 }
+      );
+    }
+
+    console.error('Failed to list candidate communications:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to load communications',
+        code: 'COMMUNICATIONS_ERROR'
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -5,6 +5,9 @@
 
 import { NextResponse } from 'next/server';
 import { documentService } from '@/lib/candidates/document-service.js';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
 
 /**
  * GET /api/candidates/[id]/documents/[docId]
@@ -13,8 +16,10 @@ import { documentService } from '@/lib/candidates/document-service.js';
 export async function GET(request, { params }) {
   try {
     const { id: candidateId, docId } = await params;
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
 
-    const documentData = await documentService.getDocument(candidateId, docId);
+    const documentData = await documentService.getDocument(candidateId, docId, organizationId, session.user.id);
 
     // Create response with file data
     const response = new NextResponse(documentData.buffer);
@@ -30,9 +35,13 @@ export async function GET(request, { params }) {
     return response;
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Document download error:', error);
 
-    if (error.name === 'DocumentServiceError') {
+    if (error.name === 'DocumentServiceError' || error.name === 'OrganizationScopeError') {
       return NextResponse.json(
         { error: error.message },
         { status: error.statusCode }
@@ -53,12 +62,10 @@ export async function GET(request, { params }) {
 export async function DELETE(request, { params }) {
   try {
     const { id: candidateId, docId } = await params;
-    
-    // Get deletedBy from request body or query params
-    const url = new URL(request.url);
-    const deletedBy = url.searchParams.get('deletedBy');
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
 
-    const success = await documentService.deleteDocument(candidateId, docId, deletedBy);
+    const success = await documentService.deleteDocument(candidateId, docId, session.user.id, organizationId);
 
     return NextResponse.json({
       success,
@@ -66,9 +73,13 @@ export async function DELETE(request, { params }) {
     });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Document deletion error:', error);
 
-    if (error.name === 'DocumentServiceError') {
+    if (error.name === 'DocumentServiceError' || error.name === 'OrganizationScopeError') {
       return NextResponse.json(
         { error: error.message },
         { status: error.statusCode }
@@ -6,6 +6,9 @@
 import { NextResponse } from 'next/server';
 import { documentService } from '@/lib/candidates/document-service.js';
 import { DOCUMENT_TYPES } from '@/lib/candidates/candidate-models.js';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
 
 /**
  * POST /api/candidates/[id]/documents
@@ -14,12 +17,13 @@ import { DOCUMENT_TYPES } from '@/lib/candidates/candidate-models.js';
 export async function POST(request, { params }) {
   try {
     const { id: candidateId } = await params;
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
 
     // Parse multipart form data
     const formData = await request.formData();
     const file = formData.get('file');
     const documentType = formData.get('documentType') || DOCUMENT_TYPES.OTHER;
-    const uploadedBy = formData.get('uploadedBy');
 
     if (!file) {
       return NextResponse.json(
@@ -45,7 +49,8 @@ export async function POST(request, { params }) {
       candidateId,
       fileData,
       documentType,
-      uploadedBy
+      session.user.id,
+      organizationId
     );
 
     return NextResponse.json({
@@ -54,9 +59,13 @@ export async function POST(request, { params }) {
     }, { status: 201 });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Document upload error:', error);
 
-    if (error.name === 'DocumentServiceError') {
+    if (error.name === 'DocumentServiceError' || error.name === 'OrganizationScopeError') {
       return NextResponse.json(
         { error: error.message },
         { status: error.statusCode }
@@ -77,8 +86,10 @@ export async function POST(request, { params }) {
 export async function GET(request, { params }) {
   try {
     const { id: candidateId } = await params;
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
 
-    const documents = await documentService.listDocuments(candidateId);
+    const documents = await documentService.listDocuments(candidateId, organizationId);
 
     return NextResponse.json({
       success: true,
@@ -87,9 +98,13 @@ export async function GET(request, { params }) {
     });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Document list error:', error);
 
-    if (error.name === 'DocumentServiceError') {
+    if (error.name === 'DocumentServiceError' || error.name === 'OrganizationScopeError') {
       return NextResponse.json(
         { error: error.message },
         { status: error.statusCode }
@@ -5,6 +5,9 @@
 
 import { NextResponse } from 'next/server';
 import { documentService } from '@/lib/candidates/document-service.js';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
 
 /**
  * GET /api/candidates/[id]/documents/stats
@@ -13,8 +16,10 @@ import { documentService } from '@/lib/candidates/document-service.js';
 export async function GET(request, { params }) {
   try {
     const { id: candidateId } = await params;
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
 
-    const stats = await documentService.getDocumentStats(candidateId);
+    const stats = await documentService.getDocumentStats(candidateId, organizationId);
 
     return NextResponse.json({
       success: true,
@@ -22,9 +27,13 @@ export async function GET(request, { params }) {
     });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Document stats error:', error);
 
-    if (error.name === 'DocumentServiceError') {
+    if (error.name === 'DocumentServiceError' || error.name === 'OrganizationScopeError') {
       return NextResponse.json(
         { error: error.message },
         { status: error.statusCode }
@@ -0,0 +1,89 @@
+/**
+ * API Route for Candidate Emails
+ * Sends an email template to a candidate
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { candidateEmailTemplateService } from '@/lib/email/candidate-email-template-service';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * POST /api/candidates/[id]/emails
+ * Sends a template to the candidate through the email outbox
+ * Body: { templateId, jobId?, interviewId? }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Invalid JSON in request body',
+          code: 'INVALID_JSON'
+        },
+        { status: 400 }
+      );
+    }
+
+    if (!body.templateId) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Choose a template to send',
+          code: 'TEMPLATE_REQUIRED'
+        },
+        { status: 400 }
+      );
+    }
+
+    const session = await getServerSession(authOptions);
+    const context = await authorizeSession(session, 'canManageCandidates');
+
+    const email = await candidateEmailTemplateService.sendToCandidate(
+      body.templateId,
+      { candidateId: id, jobId: body.jobId, interviewId: body.interviewId },
+      { userId: context.userId, name: context.name, email: context.email },
+      context.organizationId
+    );
+
+    return NextResponse.json({
+      success: true,
+      email,
+      message: `Email sent to ${email.to}`
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'CandidateEmailTemplateServiceError' || error.name === 'OrganizationScopeError') {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          code: error.code
+        },
+        { status: error.statusCode || 500 }
+      );
+    }
+
+    console.error('Failed to send candidate email:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to send email',
+        code: 'CANDIDATE_EMAIL_ERROR'
+      },
+      { status: 500 }
+    );
+  }
+}
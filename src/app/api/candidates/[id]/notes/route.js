@@ -8,6 +8,53 @@ import { ObjectId } from 'mongodb';
 import { getCandidatesCollection } from '@/lib/candidates/candidate-db.js';
 import { validateNoteData, ValidationError } from '@/lib/candidates/candidate-validation.js';
 import { createNoteEntry } from '@/lib/candidates/candidate-models.js';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import {
+  scopeQuery,
+  OrganizationScopeError
+} from '@/lib/team/organization-scope.js';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
+import { getTeamDirectory } from '@/lib/team/invitation-db.js';
+import {
+  notifyUsers,
+  findMentionedMembers,
+  buildNotificationLink,
+  USER_NOTIFICATION_TYPES
+} from '@/lib/notifications/notification-center.js';
+
+/**
+ * Notifies the team members mentioned in a note (e.g. "@Jordan Lee")
+ * Failures are logged and never fail adding the note
+ * @param {Object} candidate - Candidate the note was added to
+ * @param {Object} note - Note entry
+ * @param {Object} context - Team context of the author
+ * @returns {Promise<void>}
+ */
+async function notifyMentionedMembers(candidate, note, context) {
+  try {
+    const directory = await getTeamDirectory(context.organizationId);
+    const mentioned = findMentionedMembers(note.content, directory);
+
+    if (mentioned.length === 0) {
+      return;
+    }
+
+    const { firstName, lastName } = candidate.personalInfo;
+    const preview = note.content.length > 140 ? `${note.content.slice(0, 137)}...` : note.content;
+
+    await notifyUsers(mentioned.map(member => member.userId), {
+      organizationId: context.organizationId,
+      type: USER_NOTIFICATION_TYPES.NOTE_MENTION,
+      title: `${context.name || context.email || 'A teammate'} mentioned you on ${firstName} ${lastName}`,
+      body: preview,
+      link: buildNotificationLink('candidate', candidate._id),
+      actor: { userId: context.userId, name: context.name }
+    });
+  } catch (error) {
+    console.error('Failed to notify mentioned team members:', error);
+  }
+}
 
 /**
  * GET /api/candidates/[id]/notes
@@ -24,9 +71,12 @@ export async function GET(request, { params }) {
       );
     }
 
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
+
     const collection = await getCandidatesCollection();
     const candidate = await collection.findOne(
-      { _id: new ObjectId(id), 'metadata.isActive': true },
+      scopeQuery({ _id: new ObjectId(id), 'metadata.isActive': true }, organizationId),
       { projection: { notes: 1 } }
     );
 
@@ -42,6 +92,17 @@ export async function GET(request, { params }) {
     });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.statusCode }
+      );
+    }
+
     console.error('Error retrieving candidate notes:', error);
     return NextResponse.json(
       { error: 'Failed to retrieve notes' },
@@ -65,21 +126,29 @@ export async function POST(request, { params }) {
       );
     }
 
+    const session = await getServerSession(authOptions);
+    const context = await authorizeSession(session, 'canAddCandidateNotes');
+    const { organizationId } = context;
+
     const body = await request.json();
     
     // Validate note data
     validateNoteData(body);
 
     // Create note entry
-    const noteEntry = createNoteEntry(body.content, body.type || 'general');
+    const noteEntry = createNoteEntry({
+      content: body.content,
+      type: body.type || 'general',
+      createdBy: context.userId
+    });
 
     const collection = await getCandidatesCollection();
     
     // Check if candidate exists
-    const candidate = await collection.findOne({
+    const candidate = await collection.findOne(scopeQuery({
       _id: new ObjectId(id),
       'metadata.isActive': true
-    });
+    }, organizationId));
 
     if (!candidate) {
       return NextResponse.json(
@@ -90,7 +159,7 @@ export async function POST(request, { params }) {
 
     // Add note to candidate
     const result = await collection.findOneAndUpdate(
-      { _id: new ObjectId(id), 'metadata.isActive': true },
+      scopeQuery({ _id: new ObjectId(id), 'metadata.isActive': true }, organizationId),
       {
         $push: { notes: noteEntry },
         $set: { 'metadata.updatedAt': new Date() }
@@ -105,12 +174,18 @@ export async function POST(request, { params }) {
       );
     }
 
+    await notifyMentionedMembers(result, noteEntry, context);
+
     return NextResponse.json({
       message: 'Note added successfully',
       note: noteEntry
     }, { status: 201 });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     if (error instanceof ValidationError) {
       return NextResponse.json(
         { error: error.message },
@@ -118,6 +193,13 @@ export async function POST(request, { params }) {
       );
     }
 
+    if (error instanceof OrganizationScopeError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.statusCode }
+      );
+    }
+
     console.error('Error adding candidate note:', error);
     return NextResponse.json(
       { error: 'Failed to add note' },
@@ -0,0 +1,167 @@
+/**
+ * API Route: /api/candidates/[id]/outcome
+ * Closes a candidate with a terminal outcome, or reopens them
+ */
+
+import { NextResponse } from 'next/server';
+import { pipelineService } from '@/lib/candidates/pipeline-service';
+import { ObjectId } from 'mongodb';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * Builds the error response for outcome requests
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @returns {NextResponse} JSON error response
+ */
+function outcomeErrorResponse(error, fallbackMessage) {
+  if (error instanceof AuthorizationError) {
+    return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+
+  if (error.name === 'PipelineServiceError' || error.name === 'OrganizationScopeError') {
+    return NextResponse.json(
+      { 
+        success: false, 
+        error: error.message,
+        code: error.code
+      },
+      { status: error.statusCode || 500 }
+    );
+  }
+
+  if (error.name === 'ValidationError') {
+    return NextResponse.json(
+      { 
+        success: false, 
+        error: error.message,
+        code: 'VALIDATION_ERROR',
+        field: error.field
+      },
+      { status: 400 }
+    );
+  }
+
+  return NextResponse.json(
+    { 
+      success: false, 
+      error: fallbackMessage,
+      code: 'OUTCOME_ERROR'
+    },
+    { status: 500 }
+  );
+}
+
+/**
+ * Validates the candidate ID route parameter
+ * @param {string} id - Candidate ID
+ * @returns {NextResponse|null} Error response, or null when valid
+ */
+function invalidIdResponse(id) {
+  if (ObjectId.isValid(id)) {
+    return null;
+  }
+
+  return NextResponse.json(
+    { 
+      success: false, 
+      error: 'Invalid candidate ID format',
+      code: 'INVALID_ID'
+    },
+    { status: 400 }
+  );
+}
+
+/**
+ * POST /api/candidates/[id]/outcome
+ * Body: { outcome: 'rejected' | 'withdrawn' | 'offer_declined', reason, note? }
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+
+    const invalidId = invalidIdResponse(id);
+    if (invalidId) {
+      return invalidId;
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json(
+        { 
+          success: false, 
+          error: 'Invalid JSON in request body',
+          code: 'INVALID_JSON'
+        },
+        { status: 400 }
+      );
+    }
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
+    const candidate = await pipelineService.recordOutcome(
+      id,
+      { outcome: body.outcome, reason: body.reason, note: body.note },
+      session.user.id,
+      organizationId
+    );
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        candidate,
+        message: `Candidate closed as ${body.outcome}`
+      }
+    });
+
+  } catch (error) {
+    return outcomeErrorResponse(error, 'Failed to record candidate outcome');
+  }
+}
+
+/**
+ * DELETE /api/candidates/[id]/outcome
+ * Reopens a closed candidate in the stage they were closed at
+ * Body (optional): { notes }
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+
+    const invalidId = invalidIdResponse(id);
+    if (invalidId) {
+      return invalidId;
+    }
+
+    let notes = '';
+    try {
+      const body = await request.json();
+      notes = typeof body?.notes === 'string' ? body.notes : '';
+    } catch (error) {
+      // The body is optional
+    }
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
+    const candidate = await pipelineService.reopenCandidate(id, session.user.id, notes, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        candidate,
+        message: 'Candidate reopened'
+      }
+    });
+
+  } catch (error) {
+    return outcomeErrorResponse(error, 'Failed to reopen candidate');
+  }
+}
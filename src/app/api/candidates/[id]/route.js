@@ -5,6 +5,9 @@
 
 import { NextResponse } from 'next/server';
 import { candidateService } from '@/lib/candidates/candidate-service';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
 
 /**
  * GET /api/candidates/[id] - Get a specific candidate
@@ -12,8 +15,10 @@ import { candidateService } from '@/lib/candidates/candidate-service';
 export async function GET(request, { params }) {
   try {
     const { id } = await params;
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
     
-    const candidate = await candidateService.getCandidateById(id);
+    const candidate = await candidateService.getCandidateById(id, organizationId);
     
     if (!candidate) {
       return NextResponse.json({
@@ -29,6 +34,10 @@ export async function GET(request, { params }) {
     });
     
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Failed to get candidate:', error);
     
     if (error.code === 'INVALID_ID') {
@@ -53,12 +62,12 @@ export async function GET(request, { params }) {
 export async function PUT(request, { params }) {
   try {
     const { id } = await params;
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
     const updateData = await request.json();
     
-    // TODO: Get user ID from session/auth
-    const userId = 'system'; // Placeholder
-    
-    const candidate = await candidateService.updateCandidate(id, updateData, userId);
+    const candidate = await candidateService.updateCandidate(id, updateData, session.user.id, organizationId);
     
     return NextResponse.json({
       success: true,
@@ -67,6 +76,10 @@ export async function PUT(request, { params }) {
     });
     
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Failed to update candidate:', error);
     
     if (error.code === 'INVALID_ID') {
@@ -115,11 +128,10 @@ export async function PUT(request, { params }) {
 export async function DELETE(request, { params }) {
   try {
     const { id } = await params;
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
     
-    // TODO: Get user ID from session/auth
-    const userId = 'system'; // Placeholder
-    
-    const success = await candidateService.deleteCandidate(id, userId);
+    await candidateService.deleteCandidate(id, session.user.id, organizationId);
     
     return NextResponse.json({
       success: true,
@@ -127,6 +139,10 @@ export async function DELETE(request, { params }) {
     });
     
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Failed to delete candidate:', error);
     
     if (error.code === 'INVALID_ID') {
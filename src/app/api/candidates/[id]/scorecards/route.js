@@ -0,0 +1,80 @@
+/**
+ * API Route: GET /api/candidates/[id]/scorecards
+ * Collects the scorecards from every interview of a candidate for the debrief
+ */
+
+import { NextResponse } from 'next/server';
+import { interviewService } from '@/lib/interviews/interview-service';
+import { ObjectId } from 'mongodb';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import {
+  authorizeSession,
+  getInterviewAssignment,
+  getScorecardViewer,
+  AuthorizationError,
+  formatAuthorizationError
+} from '@/lib/team/authorization';
+
+/**
+ * GET /api/candidates/[id]/scorecards
+ * Returns each interview's scorecards (subject to the feedback lock) and an overall summary
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!ObjectId.isValid(id)) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Invalid candidate ID format',
+          code: 'INVALID_ID'
+        },
+        { status: 400 }
+      );
+    }
+
+    const session = await getServerSession(authOptions);
+    const context = await authorizeSession(session, 'canViewCandidates');
+
+    const debrief = await interviewService.getCandidateScorecards(
+      id,
+      getScorecardViewer(context),
+      context.organizationId,
+      getInterviewAssignment(context)
+    );
+
+    return NextResponse.json({
+      success: true,
+      ...debrief
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'InterviewServiceError' || error.name === 'OrganizationScopeError') {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          code: error.code
+        },
+        { status: error.statusCode || 500 }
+      );
+    }
+
+    console.error('Failed to retrieve candidate scorecards:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to retrieve candidate scorecards',
+        code: 'SCORECARD_ERROR'
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -6,6 +6,9 @@
 import { NextResponse } from 'next/server';
 import { pipelineService } from '@/lib/candidates/pipeline-service';
 import { ObjectId } from 'mongodb';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
 
 /**
  * PATCH /api/candidates/[id]/stage
@@ -42,7 +45,7 @@ export async function PATCH(request, { params }) {
       );
     }
 
-    const { newStage, notes = '', userId = null } = body;
+    const { newStage, notes = '' } = body;
 
     // Validate required fields
     if (!newStage) {
@@ -56,12 +59,16 @@ export async function PATCH(request, { params }) {
       );
     }
 
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
     // Update candidate stage
     const updatedCandidate = await pipelineService.updateCandidateStage(
       id,
       newStage,
-      userId,
-      notes
+      session.user.id,
+      notes,
+      organizationId
     );
 
     return NextResponse.json({
@@ -73,10 +80,14 @@ export async function PATCH(request, { params }) {
     });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Failed to update candidate stage:', error);
 
-    // Handle specific pipeline service errors
-    if (error.name === 'PipelineServiceError') {
+    // Handle specific pipeline, template and organization scope errors
+    if (['PipelineServiceError', 'PipelineTemplateServiceError', 'OrganizationScopeError'].includes(error.name)) {
       return NextResponse.json(
         { 
           success: false, 
@@ -131,8 +142,11 @@ export async function GET(request, { params }) {
       );
     }
 
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
+
     // Get stage history
-    const stageHistory = await pipelineService.getStageHistory(id);
+    const stageHistory = await pipelineService.getStageHistory(id, organizationId);
 
     return NextResponse.json({
       success: true,
@@ -143,10 +157,14 @@ export async function GET(request, { params }) {
     });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Failed to get candidate stage history:', error);
 
-    // Handle specific pipeline service errors
-    if (error.name === 'PipelineServiceError') {
+    // Handle specific pipeline, template and organization scope errors
+    if (['PipelineServiceError', 'PipelineTemplateServiceError', 'OrganizationScopeError'].includes(error.name)) {
       return NextResponse.json(
         { 
           success: false, 
@@ -0,0 +1,71 @@
+/**
+ * API Route for a Candidate Task
+ * Marks a task done or reopens it
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { updateCandidateTaskStatus } from '@/lib/candidates/candidate-tasks';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * PATCH /api/candidates/[id]/tasks/[taskId]
+ * Body: { status: 'done' | 'open' }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { id, taskId } = await params;
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Invalid JSON in request body',
+          code: 'INVALID_JSON'
+        },
+        { status: 400 }
+      );
+    }
+
+    const session = await getServerSession(authOptions);
+    const context = await authorizeSession(session, 'canViewCandidates');
+
+    const task = await updateCandidateTaskStatus(id, taskId, body.status, context);
+
+    return NextResponse.json({
+      success: true,
+      task
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'CandidateTaskError' || error.name === 'OrganizationScopeError') {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          code: error.code
+        },
+        { status: error.statusCode || 500 }
+      );
+    }
+
+    console.error('Failed to update candidate task:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to update task',
+        code: 'TASK_UPDATE_ERROR'
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * API Route for Candidate Tasks
+ * Lists the follow-up tasks on a candidate
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { listCandidateTasks } from '@/lib/candidates/candidate-tasks';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * GET /api/candidates/[id]/tasks
+ * Lists the candidate's tasks, open tasks first and then by due date
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
+
+    const tasks = await listCandidateTasks(id, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      tasks
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'CandidateTaskError' || error.name === 'OrganizationScopeError') {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          code: error.code
+        },
+        { status: error.statusCode || 500 }
+      );
+    }
+
+    console.error('Failed to list candidate tasks:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to load tasks',
+        code: 'TASKS_ERROR'
+      },
+      { status: 500 }
+    );
+  }
+}
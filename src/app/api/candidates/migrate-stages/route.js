@@ -1,9 +1,21 @@
 /**
- * Migration API to update pipeline stages to lowercase
+ * Migration API to update pipeline stages to lowercase and move candidates
+ * from the standard pipeline onto a pipeline template
  */
 
 import { NextResponse } from 'next/server';
+import { ObjectId } from 'mongodb';
 import { getCandidatesCollection } from '@/lib/candidates/candidate-db.js';
+import { createStageHistoryEntry } from '@/lib/candidates/candidate-models.js';
+import { buildTemplateCandidateQuery, resolveStageMapping } from '@/lib/candidates/pipeline-template-models.js';
+import { pipelineTemplateService } from '@/lib/candidates/pipeline-template-service.js';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import {
+  scopeQuery,
+  OrganizationScopeError
+} from '@/lib/team/organization-scope.js';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
 
 const stageMapping = {
   'Applied': 'applied',
@@ -13,70 +25,185 @@ const stageMapping = {
   'Hired': 'hired'
 };
 
-export async function POST() {
+/**
+ * Lowercases legacy capitalized stages of the standard pipeline
+ * @param {Collection} candidatesCollection - Candidates collection
+ * @param {string} organizationId - Organization to migrate
+ * @returns {Promise<Object>} { migratedCount, totalFound }
+ */
+async function migrateLegacyStages(candidatesCollection, organizationId) {
+  // Find all candidates with capitalized stages
+  const candidates = await candidatesCollection.find(scopeQuery({
+    'metadata.isActive': true,
+    'pipelineInfo.currentStage': { $in: Object.keys(stageMapping) }
+  }, organizationId)).toArray();
+
+  console.log(`Found ${candidates.length} candidates to migrate`);
+
+  let migratedCount = 0;
+
+  for (const candidate of candidates) {
+    const oldStage = candidate.pipelineInfo.currentStage;
+    const newStage = stageMapping[oldStage];
+
+    if (newStage) {
+      console.log(`Migrating candidate ${candidate._id}: ${oldStage} -> ${newStage}`);
+
+      // Update current stage
+      const updateOps = {
+        $set: {
+          'pipelineInfo.currentStage': newStage,
+          'metadata.updatedAt': new Date()
+        }
+      };
+
+      // Update stage history
+      if (candidate.pipelineInfo.stageHistory) {
+        const updatedHistory = candidate.pipelineInfo.stageHistory.map(entry => ({
+          ...entry,
+          stage: stageMapping[entry.stage] || entry.stage
+        }));
+        updateOps.$set['pipelineInfo.stageHistory'] = updatedHistory;
+      }
+
+      await candidatesCollection.updateOne(
+        { _id: candidate._id },
+        updateOps
+      );
+
+      migratedCount++;
+      console.log(`✅ Updated candidate ${candidate._id}`);
+    }
+  }
+
+  return { migratedCount, totalFound: candidates.length };
+}
+
+/**
+ * POST /api/candidates/migrate-stages
+ * Without a body, lowercases legacy stages. With { templateId, stageMapping?, jobId? },
+ * also moves candidates on the standard pipeline (optionally only those linked to
+ * jobId) onto the template. Stages with the same key map automatically; every other
+ * stage in use must be listed in stageMapping or nothing is moved.
+ */
+export async function POST(request) {
   try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
+    let body = {};
+    try {
+      body = (await request.json()) || {};
+    } catch (error) {
+      // An empty body runs only the legacy stage migration
+    }
+
     console.log('Starting pipeline stage migration...');
-    
+
     const candidatesCollection = await getCandidatesCollection();
-    
-    // Find all candidates with capitalized stages
-    const candidates = await candidatesCollection.find({
+    const { migratedCount, totalFound } = await migrateLegacyStages(candidatesCollection, organizationId);
+
+    if (!body.templateId) {
+      return NextResponse.json({
+        success: true,
+        message: `Migration completed successfully! Updated ${migratedCount} candidates.`,
+        migratedCount,
+        totalFound
+      });
+    }
+
+    if (body.jobId && !ObjectId.isValid(body.jobId)) {
+      return NextResponse.json({
+        success: false,
+        error: 'Invalid job ID format',
+        code: 'INVALID_JOB_ID'
+      }, { status: 400 });
+    }
+
+    const template = await pipelineTemplateService.requireTemplate(body.templateId, organizationId);
+    if (template.isBuiltIn) {
+      return NextResponse.json({
+        success: false,
+        error: 'Choose a custom pipeline template to migrate candidates to',
+        code: 'BUILT_IN_TEMPLATE'
+      }, { status: 400 });
+    }
+
+    const sourceQuery = scopeQuery({
       'metadata.isActive': true,
-      'pipelineInfo.currentStage': { $in: Object.keys(stageMapping) }
-    }).toArray();
-    
-    console.log(`Found ${candidates.length} candidates to migrate`);
-    
-    let migratedCount = 0;
-    
-    for (const candidate of candidates) {
-      const oldStage = candidate.pipelineInfo.currentStage;
-      const newStage = stageMapping[oldStage];
-      
-      if (newStage) {
-        console.log(`Migrating candidate ${candidate._id}: ${oldStage} -> ${newStage}`);
-        
-        // Update current stage
-        const updateOps = {
+      ...buildTemplateCandidateQuery(null)
+    }, organizationId);
+    if (body.jobId) {
+      sourceQuery['jobApplications.jobId'] = new ObjectId(body.jobId);
+    }
+
+    const stagesInUse = await candidatesCollection.distinct('pipelineInfo.currentStage', sourceQuery);
+    const { mapping, unmapped } = resolveStageMapping(stagesInUse, template, body.stageMapping || {});
+
+    if (unmapped.length > 0) {
+      return NextResponse.json({
+        success: false,
+        error: `Map these stages onto "${template.name}" before migrating: ${unmapped.join(', ')}`,
+        code: 'UNMAPPED_STAGES',
+        unmappedStages: unmapped,
+        templateStages: template.stages.map(stage => stage.key)
+      }, { status: 400 });
+    }
+
+    const templateObjectId = new ObjectId(template.id);
+    let templateMigratedCount = 0;
+
+    for (const [fromStage, toStage] of Object.entries(mapping)) {
+      const historyEntry = createStageHistoryEntry(
+        fromStage,
+        toStage,
+        session.user.id,
+        `Moved to pipeline "${template.name}"`
+      );
+
+      const result = await candidatesCollection.updateMany(
+        { ...sourceQuery, 'pipelineInfo.currentStage': fromStage },
+        {
           $set: {
-            'pipelineInfo.currentStage': newStage,
+            'pipelineInfo.templateId': templateObjectId,
+            'pipelineInfo.currentStage': toStage,
             'metadata.updatedAt': new Date()
-          }
-        };
-        
-        // Update stage history
-        if (candidate.pipelineInfo.stageHistory) {
-          const updatedHistory = candidate.pipelineInfo.stageHistory.map(entry => ({
-            ...entry,
-            stage: stageMapping[entry.stage] || entry.stage
-          }));
-          updateOps.$set['pipelineInfo.stageHistory'] = updatedHistory;
+          },
+          $push: { 'pipelineInfo.stageHistory': historyEntry }
         }
-        
-        await candidatesCollection.updateOne(
-          { _id: candidate._id },
-          updateOps
-        );
-        
-        migratedCount++;
-        console.log(`✅ Updated candidate ${candidate._id}`);
-      }
+      );
+
+      templateMigratedCount += result.modifiedCount;
     }
-    
+
     return NextResponse.json({
       success: true,
-      message: `Migration completed successfully! Updated ${migratedCount} candidates.`,
+      message: `Migration completed successfully! Updated ${migratedCount} legacy stages and moved ${templateMigratedCount} candidates to "${template.name}".`,
       migratedCount,
-      totalFound: candidates.length
+      totalFound,
+      templateMigratedCount,
+      stageMapping: mapping
     });
-    
+
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError || error.name === 'PipelineTemplateServiceError') {
+      return NextResponse.json({
+        success: false,
+        error: error.message,
+        code: error.code
+      }, { status: error.statusCode });
+    }
+
     console.error('❌ Migration failed:', error);
-    
+
     return NextResponse.json({
       success: false,
       error: 'Migration failed',
       message: error.message
     }, { status: 500 });
   }
-}
\ No newline at end of file
+}
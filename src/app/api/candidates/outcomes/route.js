@@ -0,0 +1,49 @@
+/**
+ * API Route: GET /api/candidates/outcomes
+ * Lists the terminal outcomes and the reason codes allowed for each
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { CANDIDATE_OUTCOMES, OUTCOME_REASONS, OUTCOME_REASON_LABELS } from '@/lib/candidates/candidate-models';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+const OUTCOME_LABELS = {
+  [CANDIDATE_OUTCOMES.REJECTED]: 'Rejected',
+  [CANDIDATE_OUTCOMES.WITHDRAWN]: 'Withdrawn',
+  [CANDIDATE_OUTCOMES.OFFER_DECLINED]: 'Offer declined'
+};
+
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+    await authorizeSession(session, 'canViewCandidates');
+
+    const outcomes = Object.values(CANDIDATE_OUTCOMES).map(outcome => ({
+      value: outcome,
+      label: OUTCOME_LABELS[outcome],
+      reasons: OUTCOME_REASONS[outcome].map(reason => ({
+        value: reason,
+        label: OUTCOME_REASON_LABELS[reason]
+      }))
+    }));
+
+    return NextResponse.json({
+      success: true,
+      outcomes
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    console.error('Failed to list candidate outcomes:', error);
+
+    return NextResponse.json({
+      success: false,
+      error: 'Failed to retrieve candidate outcomes'
+    }, { status: 500 });
+  }
+}
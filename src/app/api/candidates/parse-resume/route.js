@@ -0,0 +1,65 @@
+/**
+ * Resume Parsing API Route
+ * Reads an uploaded resume and proposes a pre-filled candidate without saving it
+ */
+
+import { NextResponse } from 'next/server';
+import { documentService } from '@/lib/candidates/document-service.js';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
+
+/**
+ * POST /api/candidates/parse-resume
+ * Multipart form with a "file" field (PDF, DOCX or plain text)
+ */
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
+    const formData = await request.formData();
+    const file = formData.get('file');
+
+    if (!file || typeof file === 'string') {
+      return NextResponse.json(
+        { error: 'No file provided' },
+        { status: 400 }
+      );
+    }
+
+    const bytes = await file.arrayBuffer();
+    const buffer = Buffer.from(bytes);
+
+    const result = await documentService.parseResume({
+      originalName: file.name,
+      mimeType: file.type || 'application/octet-stream',
+      size: file.size,
+      buffer
+    }, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    console.error('Resume parse error:', error);
+
+    if (error.name === 'DocumentServiceError' || error.name === 'OrganizationScopeError') {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.statusCode }
+      );
+    }
+
+    return NextResponse.json(
+      { error: 'Failed to parse resume' },
+      { status: 500 }
+    );
+  }
+}
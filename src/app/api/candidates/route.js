@@ -6,12 +6,18 @@
 import { NextResponse } from 'next/server';
 import { candidateService } from '@/lib/candidates/candidate-service';
 import { ValidationError } from '@/lib/candidates/candidate-validation';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
 
 /**
  * GET /api/candidates - List candidates with pagination and filtering
  */
 export async function GET(request) {
   try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
+
     const { searchParams } = new URL(request.url);
     
     // Extract pagination parameters
@@ -20,9 +26,15 @@ export async function GET(request) {
     
     // Extract filter parameters
     const filters = {};
+    if (searchParams.get('pipeline')) {
+      filters.pipelineTemplateId = searchParams.get('pipeline');
+    }
     if (searchParams.get('stage')) {
       filters.stage = searchParams.get('stage');
     }
+    if (searchParams.get('outcome')) {
+      filters.outcome = searchParams.get('outcome');
+    }
     if (searchParams.get('skills')) {
       filters.skills = searchParams.get('skills').split(',').map(s => s.trim()).filter(Boolean);
     }
@@ -39,7 +51,7 @@ export async function GET(request) {
       filters.search = searchParams.get('search');
     }
     
-    const result = await candidateService.listCandidates(filters, { page, limit });
+    const result = await candidateService.listCandidates(filters, { page, limit }, organizationId);
     
     return NextResponse.json({
       success: true,
@@ -48,13 +60,17 @@ export async function GET(request) {
     });
     
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Failed to list candidates:', error);
     
     return NextResponse.json({
       success: false,
       error: 'Failed to retrieve candidates',
       message: error.message
-    }, { status: 500 });
+    }, { status: error.statusCode || 500 });
   }
 }
 
@@ -63,12 +79,12 @@ export async function GET(request) {
  */
 export async function POST(request) {
   try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
     const candidateData = await request.json();
     
-    // TODO: Get user ID from session/auth
-    const userId = 'system'; // Placeholder
-    
-    const candidate = await candidateService.createCandidate(candidateData, userId);
+    const candidate = await candidateService.createCandidate(candidateData, session.user.id, organizationId);
     
     return NextResponse.json({
       success: true,
@@ -77,6 +93,10 @@ export async function POST(request) {
     }, { status: 201 });
     
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Failed to create candidate:', error);
     
     if (error.code === 'VALIDATION_ERROR') {
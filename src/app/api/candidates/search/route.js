@@ -5,6 +5,9 @@
 
 import { NextResponse } from 'next/server';
 import { searchService } from '@/lib/candidates/search-service.js';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
 
 /**
  * GET /api/candidates/search
@@ -12,6 +15,8 @@ import { searchService } from '@/lib/candidates/search-service.js';
  */
 export async function GET(request) {
   try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
     const { searchParams } = new URL(request.url);
     
     // Extract search parameters
@@ -22,10 +27,18 @@ export async function GET(request) {
     // Extract filter parameters
     const filters = {};
     
+    if (searchParams.get('pipeline')) {
+      filters.pipelineTemplateId = searchParams.get('pipeline');
+    }
+
     if (searchParams.get('stage')) {
       filters.stage = searchParams.get('stage');
     }
     
+    if (searchParams.get('outcome')) {
+      filters.outcome = searchParams.get('outcome');
+    }
+    
     if (searchParams.get('skills')) {
       filters.skills = searchParams.get('skills').split(',').map(s => s.trim()).filter(Boolean);
     }
@@ -66,7 +79,7 @@ export async function GET(request) {
     };
 
     // Perform search
-    const results = await searchService.searchCandidates(query, searchOptions);
+    const results = await searchService.searchCandidates(query, searchOptions, organizationId);
 
     return NextResponse.json({
       success: true,
@@ -77,9 +90,13 @@ export async function GET(request) {
     });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Search error:', error);
 
-    if (error.name === 'SearchServiceError') {
+    if (error.name === 'SearchServiceError' || error.name === 'OrganizationScopeError') {
       return NextResponse.json(
         { 
           success: false,
@@ -5,6 +5,9 @@
 
 import { NextResponse } from 'next/server';
 import { searchService } from '@/lib/candidates/search-service.js';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
 
 /**
  * GET /api/candidates/search/stats
@@ -12,6 +15,8 @@ import { searchService } from '@/lib/candidates/search-service.js';
  */
 export async function GET(request) {
   try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
     const { searchParams } = new URL(request.url);
     
     // Extract search parameters (same as search endpoint)
@@ -49,7 +54,7 @@ export async function GET(request) {
     }
 
     // Get search statistics
-    const stats = await searchService.getSearchStats(query, filters);
+    const stats = await searchService.getSearchStats(query, filters, organizationId);
 
     return NextResponse.json({
       success: true,
@@ -59,9 +64,13 @@ export async function GET(request) {
     });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Search stats error:', error);
 
-    if (error.name === 'SearchServiceError') {
+    if (error.name === 'SearchServiceError' || error.name === 'OrganizationScopeError') {
       return NextResponse.json(
         { error: error.message },
         { status: error.statusCode }
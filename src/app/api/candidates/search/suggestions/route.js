@@ -5,6 +5,9 @@
 
 import { NextResponse } from 'next/server';
 import { searchService } from '@/lib/candidates/search-service.js';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
 
 /**
  * GET /api/candidates/search/suggestions
@@ -12,6 +15,8 @@ import { searchService } from '@/lib/candidates/search-service.js';
  */
 export async function GET(request) {
   try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
     const { searchParams } = new URL(request.url);
     
     const input = searchParams.get('input') || '';
@@ -27,7 +32,7 @@ export async function GET(request) {
     }
 
     // Validate field
-    const validFields = ['skills', 'location', 'role'];
+    const validFields = ['skills', 'location', 'role', 'documents'];
     if (!validFields.includes(field)) {
       return NextResponse.json(
         { error: `Invalid field. Must be one of: ${validFields.join(', ')}` },
@@ -36,7 +41,7 @@ export async function GET(request) {
     }
 
     // Get suggestions
-    const suggestions = await searchService.getSearchSuggestions(input, field, limit);
+    const suggestions = await searchService.getSearchSuggestions(input, field, limit, organizationId);
 
     return NextResponse.json({
       success: true,
@@ -46,9 +51,13 @@ export async function GET(request) {
     });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Search suggestions error:', error);
 
-    if (error.name === 'SearchServiceError') {
+    if (error.name === 'SearchServiceError' || error.name === 'OrganizationScopeError') {
       return NextResponse.json(
         { error: error.message },
         { status: error.statusCode }
@@ -6,7 +6,9 @@
 import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/app/api/auth/[...nextauth]/route';
-import { getCollection } from '@/lib/mongodb';
+import { getDashboardStats } from '@/lib/dashboard/dashboard-metrics';
+import { OrganizationScopeError } from '@/lib/team/organization-scope';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
 
 /**
  * GET /api/dashboard/stats - Get dashboard statistics
@@ -18,99 +20,21 @@ export async function GET(request) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
-    // Get collections
-    const [candidatesCollection, jobsCollection, interviewsCollection] = await Promise.all([
-      getCollection('candidates'),
-      getCollection('jobs'),
-      getCollection('interviews')
-    ]);
+    const { organizationId } = await authorizeSession(session, 'canViewAnalytics');
 
-    // Calculate date ranges
-    const now = new Date();
-    const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
-    const thisWeek = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-
-    // Get statistics in parallel
-    const [
-      totalCandidates,
-      candidatesLastMonth,
-      activeJobs,
-      jobsClosingSoon,
-      totalInterviews,
-      interviewsThisWeek,
-      completedInterviews
-    ] = await Promise.all([
-      // Total candidates
-      candidatesCollection.countDocuments({ 'metadata.isActive': true }).catch(() => 0),
-      
-      // Candidates from last month for growth calculation
-      candidatesCollection.countDocuments({
-        'metadata.isActive': true,
-        'metadata.createdAt': { $gte: lastMonth }
-      }).catch(() => 0),
-      
-      // Active jobs
-      jobsCollection.countDocuments({ 
-        status: 'active',
-        'metadata.isActive': true 
-      }).catch(() => 0),
-      
-      // Jobs closing soon (placeholder - would need closing date field)
-      jobsCollection.countDocuments({ 
-        status: 'active',
-        'metadata.isActive': true 
-      }).then(count => Math.min(3, Math.floor(count * 0.25))).catch(() => 0),
-      
-      // Total interviews
-      interviewsCollection.countDocuments({ 'metadata.isActive': true }).catch(() => 0),
-      
-      // Interviews this week
-      interviewsCollection.countDocuments({
-        'metadata.isActive': true,
-        scheduledDate: { $gte: thisWeek }
-      }).catch(() => 0),
-      
-      // Completed interviews for time-to-hire calculation
-      interviewsCollection.countDocuments({
-        'metadata.isActive': true,
-        status: 'completed'
-      }).catch(() => 0)
-    ]);
-
-    // Calculate growth percentage
-    const candidateGrowth = candidatesLastMonth > 0 
-      ? Math.round(((candidatesLastMonth) / Math.max(totalCandidates - candidatesLastMonth, 1)) * 100)
-      : 0;
-
-    // Calculate average time to hire (simplified - would need more complex logic with actual hire dates)
-    const avgTimeToHire = completedInterviews > 0 ? 18 : 0; // Placeholder calculation
-
-    const stats = {
-      totalCandidates: {
-        value: totalCandidates,
-        growth: candidateGrowth,
-        subtext: `+${candidateGrowth}% from last month`
-      },
-      activeJobs: {
-        value: activeJobs,
-        closing: jobsClosingSoon,
-        subtext: `${jobsClosingSoon} closing this week`
-      },
-      interviews: {
-        value: interviewsThisWeek,
-        total: totalInterviews,
-        subtext: 'Scheduled for this week'
-      },
-      timeToHire: {
-        value: avgTimeToHire,
-        unit: 'Days',
-        subtext: completedInterviews > 0 ? '-2 days from average' : 'No data yet'
-      }
-    };
+    const stats = await getDashboardStats(organizationId);
 
     return NextResponse.json({ stats });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError) {
+      return NextResponse.json({ error: error.message }, { status: error.statusCode });
+    }
+
     console.error('Error fetching dashboard stats:', error);
     return NextResponse.json(
       { error: 'Failed to fetch dashboard statistics' },
@@ -7,6 +7,8 @@ import { NextResponse } from 'next/server';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/app/api/auth/[...nextauth]/route';
 import { getCollection } from '@/lib/mongodb';
+import { scopeQuery, OrganizationScopeError } from '@/lib/team/organization-scope';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
 
 /**
  * GET /api/dashboard/trends - Get application trends for the last 7 days
@@ -18,6 +20,8 @@ export async function GET(request) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const { organizationId } = await authorizeSession(session, 'canViewAnalytics');
+
     const candidatesCollection = await getCollection('candidates');
 
     // Calculate date range for last 7 days
@@ -30,10 +34,10 @@ export async function GET(request) {
     // Aggregate applications by day
     const pipeline = [
       {
-        $match: {
+        $match: scopeQuery({
           'metadata.isActive': true,
           'metadata.createdAt': { $gte: sevenDaysAgo }
-        }
+        }, organizationId)
       },
       {
         $group: {
@@ -76,6 +80,14 @@ export async function GET(request) {
     return NextResponse.json({ trends: trendsData });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError) {
+      return NextResponse.json({ error: error.message }, { status: error.statusCode });
+    }
+
     console.error('Error fetching dashboard trends:', error);
     return NextResponse.json(
       { error: 'Failed to fetch application trends' },
@@ -0,0 +1,132 @@
+/**
+ * Email Template API Routes
+ * Reads, updates and archives a single candidate email template
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { candidateEmailTemplateService } from '@/lib/email/candidate-email-template-service';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * Builds the error response for template requests
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @returns {NextResponse} JSON error response
+ */
+function templateErrorResponse(error, fallbackMessage) {
+  if (error instanceof AuthorizationError) {
+    return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+  }
+
+  if (error.name === 'CandidateEmailTemplateServiceError' || error.name === 'OrganizationScopeError') {
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        code: error.code
+      },
+      { status: error.statusCode || 500 }
+    );
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+
+  return NextResponse.json(
+    {
+      success: false,
+      error: fallbackMessage,
+      code: 'EMAIL_TEMPLATE_ERROR'
+    },
+    { status: 500 }
+  );
+}
+
+/**
+ * GET /api/email-templates/[templateId] - Gets a template (built-in templates by their ID)
+ */
+export async function GET(request, { params }) {
+  try {
+    const { templateId } = await params;
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
+
+    const template = await candidateEmailTemplateService.requireTemplate(templateId, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    return templateErrorResponse(error, 'Failed to retrieve email template');
+  }
+}
+
+/**
+ * PUT /api/email-templates/[templateId] - Updates a template
+ * Body: any of { name, description, subject, htmlBody, textBody }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { templateId } = await params;
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Invalid JSON in request body',
+          code: 'INVALID_JSON'
+        },
+        { status: 400 }
+      );
+    }
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
+    const template = await candidateEmailTemplateService.updateTemplate(
+      templateId,
+      body,
+      session.user.id,
+      organizationId
+    );
+
+    return NextResponse.json({
+      success: true,
+      template,
+      message: 'Email template updated successfully'
+    });
+
+  } catch (error) {
+    return templateErrorResponse(error, 'Failed to update email template');
+  }
+}
+
+/**
+ * DELETE /api/email-templates/[templateId] - Archives a template
+ * Built-in templates cannot be archived
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { templateId } = await params;
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
+    await candidateEmailTemplateService.archiveTemplate(templateId, session.user.id, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Email template archived successfully'
+    });
+
+  } catch (error) {
+    return templateErrorResponse(error, 'Failed to archive email template');
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Email Template Preview API Route
+ * Renders a template against a real candidate without sending it
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { candidateEmailTemplateService } from '@/lib/email/candidate-email-template-service';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * POST /api/email-templates/preview - Renders a saved template or an unsaved draft for a candidate
+ * Body: { candidateId, jobId?, interviewId?, templateId } or { candidateId, ..., template: { subject, htmlBody, textBody } }
+ * The job defaults to the candidate's latest application and the interview to their next scheduled one
+ */
+export async function POST(request) {
+  try {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Invalid JSON in request body',
+          code: 'INVALID_JSON'
+        },
+        { status: 400 }
+      );
+    }
+
+    const session = await getServerSession(authOptions);
+    const context = await authorizeSession(session, 'canViewCandidates');
+
+    const preview = await candidateEmailTemplateService.previewForCandidate(
+      { templateId: body.templateId, template: body.template },
+      { candidateId: body.candidateId, jobId: body.jobId, interviewId: body.interviewId },
+      { name: context.name, email: context.email },
+      context.organizationId
+    );
+
+    return NextResponse.json({
+      success: true,
+      preview
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'CandidateEmailTemplateServiceError' || error.name === 'OrganizationScopeError') {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          code: error.code
+        },
+        { status: error.statusCode || 500 }
+      );
+    }
+
+    console.error('Failed to preview email template:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to preview email template',
+        code: 'EMAIL_TEMPLATE_ERROR'
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Email Templates API Routes
+ * Lists and creates the candidate email templates of an organization
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { candidateEmailTemplateService } from '@/lib/email/candidate-email-template-service';
+import { CANDIDATE_EMAIL_MERGE_FIELDS } from '@/lib/email/candidate-email-template-models';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * Builds the error response for template requests
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @returns {NextResponse} JSON error response
+ */
+function templateErrorResponse(error, fallbackMessage) {
+  if (error instanceof AuthorizationError) {
+    return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+  }
+
+  if (error.name === 'CandidateEmailTemplateServiceError' || error.name === 'OrganizationScopeError') {
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        code: error.code
+      },
+      { status: error.statusCode || 500 }
+    );
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+
+  return NextResponse.json(
+    {
+      success: false,
+      error: fallbackMessage,
+      code: 'EMAIL_TEMPLATE_ERROR'
+    },
+    { status: 500 }
+  );
+}
+
+/**
+ * GET /api/email-templates - Lists templates, built-in templates first, with the merge fields they can use
+ */
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
+
+    const templates = await candidateEmailTemplateService.listTemplates(organizationId);
+
+    return NextResponse.json({
+      success: true,
+      templates,
+      mergeFields: CANDIDATE_EMAIL_MERGE_FIELDS
+    });
+
+  } catch (error) {
+    return templateErrorResponse(error, 'Failed to retrieve email templates');
+  }
+}
+
+/**
+ * POST /api/email-templates - Creates a template
+ * Body: { name, description?, subject, htmlBody, textBody }
+ */
+export async function POST(request) {
+  try {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Invalid JSON in request body',
+          code: 'INVALID_JSON'
+        },
+        { status: 400 }
+      );
+    }
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
+    const template = await candidateEmailTemplateService.createTemplate(body, session.user.id, organizationId);
+
+    return NextResponse.json(
+      {
+        success: true,
+        template,
+        message: 'Email template created successfully'
+      },
+      { status: 201 }
+    );
+
+  } catch (error) {
+    return templateErrorResponse(error, 'Failed to create email template');
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * API Route: POST /api/email/outbox/[id]/resend
+ * Puts a failed email back in the outbox and tries to deliver it again (Admins only)
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { requeueOutboxMessage, getOutboxMessage } from '@/lib/email/email-outbox';
+import { deliverOutboxMessage } from '@/lib/email/email-service';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * POST /api/email/outbox/[id]/resend
+ * Returns the message after the new attempt; it stays queued for the worker if the attempt fails
+ */
+export async function POST(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageTeam');
+
+    const { id } = await params;
+    await requeueOutboxMessage(id, organizationId);
+    await deliverOutboxMessage(id);
+
+    const message = await getOutboxMessage(id, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      message
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'EmailOutboxError' || error.name === 'OrganizationScopeError') {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          code: error.code
+        },
+        { status: error.statusCode || 500 }
+      );
+    }
+
+    console.error('Failed to resend outbox message:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to resend outbox message',
+        code: 'OUTBOX_ERROR'
+      },
+      { status: 500 }
+    );
+  }
+}
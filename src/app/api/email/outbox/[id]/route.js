@@ -0,0 +1,55 @@
+/**
+ * API Route: GET /api/email/outbox/[id]
+ * Shows one outbound email with its content and every delivery attempt (Admins only)
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { getOutboxMessage } from '@/lib/email/email-outbox';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * GET /api/email/outbox/[id]
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageTeam');
+
+    const { id } = await params;
+    const message = await getOutboxMessage(id, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      message
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'EmailOutboxError' || error.name === 'OrganizationScopeError') {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          code: error.code
+        },
+        { status: error.statusCode || 500 }
+      );
+    }
+
+    console.error('Failed to retrieve outbox message:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to retrieve outbox message',
+        code: 'OUTBOX_ERROR'
+      },
+      { status: 500 }
+    );
+  }
+}
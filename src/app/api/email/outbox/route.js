@@ -0,0 +1,60 @@
+/**
+ * API Route: GET /api/email/outbox
+ * Lists the organization's outbound emails and their delivery status (Admins only)
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { listOutboxMessages } from '@/lib/email/email-outbox';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * GET /api/email/outbox
+ * Query: status (pending, sending, sent, failed), page, limit
+ */
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageTeam');
+
+    const { searchParams } = new URL(request.url);
+    const result = await listOutboxMessages(
+      { status: searchParams.get('status') || undefined },
+      { page: searchParams.get('page'), limit: searchParams.get('limit') },
+      organizationId
+    );
+
+    return NextResponse.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'EmailOutboxError' || error.name === 'OrganizationScopeError') {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          code: error.code
+        },
+        { status: error.statusCode || 500 }
+      );
+    }
+
+    console.error('Failed to list outbox messages:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to retrieve outbox messages',
+        code: 'OUTBOX_ERROR'
+      },
+      { status: 500 }
+    );
+  }
+}
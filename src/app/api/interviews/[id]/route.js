@@ -2,6 +2,13 @@ import { NextResponse } from 'next/server';
 import { InterviewService } from '@/lib/interviews/interview-service';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { OrganizationScopeError } from '@/lib/team/organization-scope';
+import {
+  authorizeSession,
+  getInterviewAssignment,
+  AuthorizationError,
+  formatAuthorizationError
+} from '@/lib/team/authorization';
 
 const interviewService = new InterviewService();
 
@@ -15,8 +22,15 @@ export async function GET(request, { params }) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
-    const { id } = params;
-    const interview = await interviewService.getInterviewById(id);
+    const context = await authorizeSession(session, 'canScheduleInterviews');
+    const { organizationId } = context;
+
+    const { id } = await params;
+    const interview = await interviewService.getInterviewById(
+      id,
+      organizationId,
+      getInterviewAssignment(context)
+    );
 
     if (!interview) {
       return NextResponse.json({ error: 'Interview not found' }, { status: 404 });
@@ -24,6 +38,14 @@ export async function GET(request, { params }) {
 
     return NextResponse.json({ interview });
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError) {
+      return NextResponse.json({ error: error.message }, { status: error.statusCode });
+    }
+
     console.error('Error fetching interview:', error);
     return NextResponse.json(
       { error: 'Failed to fetch interview' },
@@ -42,10 +64,23 @@ export async function PUT(request, { params }) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
-    const { id } = params;
+    const context = await authorizeSession(session, 'canScheduleInterviews');
+    const { organizationId } = context;
+
+    const { id } = await params;
     const body = await request.json();
 
-    const interview = await interviewService.updateInterview(id, body, session.user.id);
+    // Interviewers may only change interviews they are assigned to
+    const existing = await interviewService.getInterviewById(
+      id,
+      organizationId,
+      getInterviewAssignment(context)
+    );
+    if (!existing) {
+      return NextResponse.json({ error: 'Interview not found' }, { status: 404 });
+    }
+
+    const interview = await interviewService.updateInterview(id, body, session.user.id, organizationId);
 
     if (!interview) {
       return NextResponse.json({ error: 'Interview not found' }, { status: 404 });
@@ -53,11 +88,19 @@ export async function PUT(request, { params }) {
 
     return NextResponse.json({ interview });
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError) {
+      return NextResponse.json({ error: error.message }, { status: error.statusCode });
+    }
+
     console.error('Error updating interview:', error);
     
     if (error.name === 'InterviewServiceError') {
       return NextResponse.json(
-        { error: error.message },
+        { error: error.message, code: error.code, ...error.details },
         { status: error.statusCode || 400 }
       );
     }
@@ -79,8 +122,22 @@ export async function DELETE(request, { params }) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
-    const { id } = params;
-    const success = await interviewService.deleteInterview(id, session.user.id);
+    const context = await authorizeSession(session, 'canScheduleInterviews');
+    const { organizationId } = context;
+
+    const { id } = await params;
+
+    // Interviewers may only change interviews they are assigned to
+    const existing = await interviewService.getInterviewById(
+      id,
+      organizationId,
+      getInterviewAssignment(context)
+    );
+    if (!existing) {
+      return NextResponse.json({ error: 'Interview not found' }, { status: 404 });
+    }
+
+    const success = await interviewService.deleteInterview(id, session.user.id, organizationId);
 
     if (!success) {
       return NextResponse.json({ error: 'Interview not found' }, { status: 404 });
@@ -88,6 +145,14 @@ export async function DELETE(request, { params }) {
 
     return NextResponse.json({ message: 'Interview deleted successfully' });
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError) {
+      return NextResponse.json({ error: error.message }, { status: error.statusCode });
+    }
+
     console.error('Error deleting interview:', error);
     return NextResponse.json(
       { error: 'Failed to delete interview' },
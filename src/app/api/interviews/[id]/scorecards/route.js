@@ -0,0 +1,99 @@
+import { NextResponse } from 'next/server';
+import { interviewService } from '@/lib/interviews/interview-service';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { OrganizationScopeError } from '@/lib/team/organization-scope';
+import {
+  authorizeSession,
+  getInterviewAssignment,
+  getScorecardViewer,
+  AuthorizationError,
+  formatAuthorizationError
+} from '@/lib/team/authorization';
+
+/**
+ * GET /api/interviews/[id]/scorecards - Get the scorecard criteria and submitted feedback
+ * Interviewers on the panel see others' scorecards only after submitting their own
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const context = await authorizeSession(session, 'canScheduleInterviews');
+    const { organizationId } = context;
+
+    const { id } = await params;
+    const scorecards = await interviewService.getScorecards(
+      id,
+      getScorecardViewer(context),
+      organizationId,
+      getInterviewAssignment(context)
+    );
+
+    return NextResponse.json(scorecards);
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError || error.name === 'InterviewServiceError') {
+      return NextResponse.json({ error: error.message, code: error.code }, { status: error.statusCode });
+    }
+
+    console.error('Error fetching scorecards:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch scorecards' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * POST /api/interviews/[id]/scorecards - Submit the signed-in interviewer's scorecard
+ * Body: { ratings: [{ criterion, rating (1-4), note? }], recommendation, summary? }
+ */
+export async function POST(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const context = await authorizeSession(session, 'canScheduleInterviews');
+    const { organizationId } = context;
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+
+    const { id } = await params;
+    const scorecards = await interviewService.submitScorecard(
+      id,
+      body,
+      getScorecardViewer(context),
+      organizationId
+    );
+
+    return NextResponse.json(scorecards, { status: 201 });
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError || error.name === 'InterviewServiceError') {
+      return NextResponse.json({ error: error.message, code: error.code }, { status: error.statusCode });
+    }
+
+    console.error('Error submitting scorecard:', error);
+    return NextResponse.json(
+      { error: 'Failed to submit scorecard' },
+      { status: 500 }
+    );
+  }
+}
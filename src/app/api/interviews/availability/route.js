@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { interviewService } from '@/lib/interviews/interview-service';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { OrganizationScopeError } from '@/lib/team/organization-scope';
+import {
+  authorizeSession,
+  AuthorizationError,
+  formatAuthorizationError
+} from '@/lib/team/authorization';
+
+/**
+ * GET /api/interviews/availability - Check a proposed time and suggest free slots
+ * Query: date (YYYY-MM-DD), candidateId, interviewers (comma-separated user IDs),
+ * time (HH:MM, optional), duration or type, excludeId (when rescheduling), days, limit
+ */
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { organizationId } = await authorizeSession(session, 'canScheduleInterviews');
+
+    const { searchParams } = new URL(request.url);
+    const interviewers = searchParams.get('interviewers');
+
+    const availability = await interviewService.getAvailability({
+      date: searchParams.get('date'),
+      time: searchParams.get('time'),
+      candidateId: searchParams.get('candidateId'),
+      interviewers: interviewers ? interviewers.split(',') : [],
+      duration: searchParams.get('duration'),
+      type: searchParams.get('type'),
+      excludeId: searchParams.get('excludeId'),
+      days: searchParams.get('days'),
+      limit: searchParams.get('limit')
+    }, organizationId);
+
+    return NextResponse.json(availability);
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError || error.name === 'InterviewServiceError') {
+      return NextResponse.json({ error: error.message, code: error.code }, { status: error.statusCode });
+    }
+
+    console.error('Error checking availability:', error);
+    return NextResponse.json(
+      { error: 'Failed to check availability' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { interviewService } from '@/lib/interviews/interview-service';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { OrganizationScopeError } from '@/lib/team/organization-scope';
+import {
+  authorizeSession,
+  AuthorizationError,
+  formatAuthorizationError
+} from '@/lib/team/authorization';
+
+/**
+ * GET /api/interviews/interviewers - List the team members who can interview
+ */
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { organizationId } = await authorizeSession(session, 'canScheduleInterviews');
+
+    const interviewers = await interviewService.getTeamInterviewers(organizationId);
+
+    return NextResponse.json({ interviewers });
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError || error.name === 'InterviewServiceError') {
+      return NextResponse.json({ error: error.message, code: error.code }, { status: error.statusCode });
+    }
+
+    console.error('Error fetching interviewers:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch interviewers' },
+      { status: 500 }
+    );
+  }
+}
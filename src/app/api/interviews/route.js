@@ -3,6 +3,13 @@ import { InterviewService } from '@/lib/interviews/interview-service';
 import { validateInterviewData } from '@/lib/interviews/interview-validation';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { OrganizationScopeError } from '@/lib/team/organization-scope';
+import {
+  authorizeSession,
+  getInterviewAssignment,
+  AuthorizationError,
+  formatAuthorizationError
+} from '@/lib/team/authorization';
 
 const interviewService = new InterviewService();
 
@@ -16,6 +23,12 @@ export async function GET(request) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const context = await authorizeSession(session, 'canScheduleInterviews');
+    const { organizationId } = context;
+
+    // Interviewers only see the interviews they are assigned to
+    const assignedTo = getInterviewAssignment(context);
+
     // Initialize service
     await interviewService.initialize();
 
@@ -28,18 +41,27 @@ export async function GET(request) {
     let interviews;
     if (date) {
       // Get interviews for specific date
-      interviews = await interviewService.getInterviewsByDate(new Date(date));
+      interviews = await interviewService.getInterviewsByDate(new Date(date), organizationId, assignedTo);
     } else {
       // Get all interviews with sorting and pagination
       const result = await interviewService.getAllInterviews(
-        {}, // filters
-        { limit } // pagination
+        assignedTo ? { assignedTo } : {}, // filters
+        { limit }, // pagination
+        organizationId
       );
       interviews = result.interviews;
     }
 
     return NextResponse.json({ interviews });
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError) {
+      return NextResponse.json({ error: error.message }, { status: error.statusCode });
+    }
+
     console.error('Error fetching interviews:', error);
     return NextResponse.json(
       { error: 'Failed to fetch interviews' },
@@ -58,6 +80,8 @@ export async function POST(request) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const { organizationId } = await authorizeSession(session, 'canScheduleInterviews');
+
     // Initialize service
     await interviewService.initialize();
 
@@ -88,15 +112,23 @@ export async function POST(request) {
     }
 
     // Create interview
-    const interview = await interviewService.createInterview(body, session.user.id);
+    const interview = await interviewService.createInterview(body, session.user.id, organizationId);
 
     return NextResponse.json({ interview }, { status: 201 });
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError) {
+      return NextResponse.json({ error: error.message }, { status: error.statusCode });
+    }
+
     console.error('Error creating interview:', error);
     
     if (error.name === 'InterviewServiceError') {
       return NextResponse.json(
-        { error: error.message },
+        { error: error.message, code: error.code, ...error.details },
         { status: error.statusCode || 400 }
       );
     }
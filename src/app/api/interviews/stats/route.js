@@ -2,6 +2,13 @@ import { NextResponse } from 'next/server';
 import { InterviewService } from '@/lib/interviews/interview-service';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { OrganizationScopeError } from '@/lib/team/organization-scope';
+import {
+  authorizeSession,
+  getInterviewAssignment,
+  AuthorizationError,
+  formatAuthorizationError
+} from '@/lib/team/authorization';
 
 const interviewService = new InterviewService();
 
@@ -15,6 +22,9 @@ export async function GET(request) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
+    const context = await authorizeSession(session, 'canScheduleInterviews');
+    const { organizationId } = context;
+
     // Initialize service
     await interviewService.initialize();
 
@@ -24,10 +34,18 @@ export async function GET(request) {
     // Default to today if no date provided
     const date = dateParam ? new Date(dateParam) : new Date();
     
-    const stats = await interviewService.getInterviewStats(date);
+    const stats = await interviewService.getInterviewStats(date, organizationId, getInterviewAssignment(context));
 
     return NextResponse.json({ stats });
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError) {
+      return NextResponse.json({ error: error.message }, { status: error.statusCode });
+    }
+
     console.error('Error fetching interview stats:', error);
     return NextResponse.json(
       { error: 'Failed to fetch interview statistics' },
@@ -20,6 +20,16 @@ import {
     formatInvitationForDisplay
 } from '@/lib/team/invitation-models.js';
 import { getCollection } from '@/lib/mongodb.js';
+import {
+    ATTEMPT_SCOPES,
+    AttemptLimitError,
+    getClientIp,
+    buildAttemptKeys,
+    checkAttempt,
+    recordFailedAttempt,
+    getRetryAfterHeaders
+} from '@/lib/auth/attempt-limiter.js';
+import { recordAuditEvent, AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '@/lib/audit/audit-log.js';
 
 /**
  * GET /api/invitations/accept/[token] - Get invitation details by token
@@ -32,10 +42,16 @@ export async function GET(request, { params }) {
             return NextResponse.json({ error: 'Token is required' }, { status: 400 });
         }
 
+        // Unknown tokens count against the IP address, so tokens can't be guessed
+        const ip = getClientIp(request);
+        const attemptKeys = buildAttemptKeys({ ip });
+        await checkAttempt(ATTEMPT_SCOPES.INVITATION, attemptKeys);
+
         // Find invitation by token
         const invitation = await findInvitationByToken(token);
 
         if (!invitation) {
+            await recordFailedAttempt(ATTEMPT_SCOPES.INVITATION, attemptKeys, { ip });
             return NextResponse.json({ error: 'Invitation not found' }, { status: 404 });
         }
 
@@ -82,6 +98,14 @@ export async function GET(request, { params }) {
 
     } catch (error) {
         console.error('Error retrieving invitation:', error);
+
+        if (error instanceof AttemptLimitError) {
+            return NextResponse.json(
+                { error: error.message, code: error.code },
+                { status: 429, headers: getRetryAfterHeaders(error) }
+            );
+        }
+
         return NextResponse.json(
             { error: 'Failed to retrieve invitation' },
             { status: 500 }
@@ -112,10 +136,15 @@ export async function POST(request, { params }) {
             );
         }
 
+        const ip = getClientIp(request);
+        const attemptKeys = buildAttemptKeys({ ip });
+        await checkAttempt(ATTEMPT_SCOPES.INVITATION, attemptKeys);
+
         // Find invitation by token
         const invitation = await findInvitationByToken(token);
 
         if (!invitation) {
+            await recordFailedAttempt(ATTEMPT_SCOPES.INVITATION, attemptKeys, { ip, userId: session.user.id });
             return NextResponse.json({ error: 'Invitation not found' }, { status: 404 });
         }
 
@@ -192,6 +221,15 @@ export async function POST(request, { params }) {
             }
         );
 
+        await recordAuditEvent({
+            organizationId: invitation.organizationId,
+            actorId: user._id,
+            action: AUDIT_ACTIONS.MEMBER_JOINED,
+            target: { type: AUDIT_TARGET_TYPES.MEMBER, id: teamMember._id, label: user.name || user.email },
+            after: { email: user.email, role: teamMember.role },
+            metadata: { invitationId: invitation._id.toString(), invitedBy: invitation.invitedBy?.toString() || null }
+        });
+
         return NextResponse.json({
             success: true,
             message: 'Invitation accepted successfully',
@@ -207,6 +245,13 @@ export async function POST(request, { params }) {
     } catch (error) {
         console.error('Error accepting invitation:', error);
 
+        if (error instanceof AttemptLimitError) {
+            return NextResponse.json(
+                { error: error.message, code: error.code },
+                { status: 429, headers: getRetryAfterHeaders(error) }
+            );
+        }
+
         // Handle specific database errors
         if (error.message.includes('already a member')) {
             return NextResponse.json(
@@ -10,6 +10,8 @@ import { ObjectId } from 'mongodb';
 import { getCollection } from '@/lib/mongodb.js';
 import { candidateService } from '@/lib/candidates/candidate-service.js';
 import { APPLICATION_SOURCES } from '@/lib/candidates/candidate-models.js';
+import { scopeQuery, OrganizationScopeError } from '@/lib/team/organization-scope.js';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
 
 /**
  * Handles POST requests to convert job application to candidate
@@ -65,13 +67,15 @@ export async function POST(request, context) {
       );
     }
 
+    const { organizationId } = await authorizeSession(session, 'canManageCandidates');
+
     try {
       // Get the job application
       const applicationsCollection = await getCollection('applications');
-      const application = await applicationsCollection.findOne({
+      const application = await applicationsCollection.findOne(scopeQuery({
         _id: new ObjectId(applicationId),
         jobId: new ObjectId(jobId)
-      });
+      }, organizationId));
 
       if (!application) {
         return NextResponse.json(
@@ -88,9 +92,9 @@ export async function POST(request, context) {
 
       // Get the job details
       const jobsCollection = await getCollection('jobs');
-      const job = await jobsCollection.findOne({
+      const job = await jobsCollection.findOne(scopeQuery({
         _id: new ObjectId(jobId)
-      });
+      }, organizationId));
 
       if (!job) {
         return NextResponse.json(
@@ -105,20 +109,6 @@ export async function POST(request, context) {
         );
       }
 
-      // Check if user owns this job
-      if (job.createdBy !== session.user.id) {
-        return NextResponse.json(
-          {
-            success: false,
-            error: {
-              message: 'You do not have permission to convert applications for this job.',
-              code: 'UNAUTHORIZED'
-            }
-          },
-          { status: 403 }
-        );
-      }
-
       // Check if candidate already exists with this email
       // We need to get user details from the application's applicantId
       const usersCollection = await getCollection('users');
@@ -141,10 +131,10 @@ export async function POST(request, context) {
 
       // Check if candidate already exists
       const candidatesCollection = await getCollection('candidates');
-      const existingCandidate = await candidatesCollection.findOne({
+      const existingCandidate = await candidatesCollection.findOne(scopeQuery({
         'personalInfo.email': applicantUser.email,
         'metadata.isActive': true
-      });
+      }, organizationId));
 
       if (existingCandidate) {
         return NextResponse.json(
@@ -175,8 +165,8 @@ export async function POST(request, context) {
         appliedForRole: job.title,
         source: APPLICATION_SOURCES.JOB_BOARD,
         
-        // Pipeline information - start in "applied" stage
-        currentStage: 'applied',
+        // Pipeline information - start in the first stage of the job's pipeline
+        pipelineTemplateId: job.pipelineTemplateId || null,
         
         // Additional notes from cover letter
         notes: application.coverLetter ? `Cover Letter: ${application.coverLetter}` : '',
@@ -187,7 +177,7 @@ export async function POST(request, context) {
       };
 
       // Create the candidate
-      const candidate = await candidateService.createCandidate(candidateData, session.user.id);
+      const candidate = await candidateService.createCandidate(candidateData, session.user.id, organizationId);
 
       // Link the job application to the candidate
       const jobApplicationData = {
@@ -200,7 +190,7 @@ export async function POST(request, context) {
 
       // Import and use job application service
       const { jobApplicationService } = await import('@/lib/candidates/job-application-service.js');
-      await jobApplicationService.linkJobApplication(candidate._id.toString(), jobApplicationData);
+      await jobApplicationService.linkJobApplication(candidate._id.toString(), jobApplicationData, organizationId);
 
       // Update the original application status to indicate it's been converted
       await applicationsCollection.updateOne(
@@ -275,6 +265,23 @@ export async function POST(request, context) {
     }
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: {
+            message: error.message,
+            code: error.code
+          }
+        },
+        { status: error.statusCode }
+      );
+    }
+
     console.error('Application conversion API error:', error);
 
     return NextResponse.json(
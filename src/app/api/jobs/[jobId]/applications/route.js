@@ -6,8 +6,11 @@
 import { NextResponse } from 'next/server';
 import { getApplicationsByJob, formatApplicationError, ApplicationError } from '@/lib/applications/application-service';
 import { getJobById } from '@/lib/jobs/job-service';
+import { jobApplicationService, JobApplicationServiceError } from '@/lib/candidates/job-application-service.js';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { OrganizationScopeError } from '@/lib/team/organization-scope';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
 
 /**
  * Handles GET requests for job applications
@@ -36,9 +39,11 @@ export async function GET(request, context) {
     const params = await context.params;
     const { jobId } = params;
 
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
+
     try {
-      // First, verify the job exists and user owns it
-      const job = await getJobById(jobId);
+      // First, verify the job exists in the user's organization
+      const job = await getJobById(jobId, organizationId);
       
       if (!job) {
         return NextResponse.json(
@@ -53,20 +58,6 @@ export async function GET(request, context) {
         );
       }
 
-      // Check if user owns this job
-      if (job.createdBy !== session.user.id) {
-        return NextResponse.json(
-          {
-            success: false,
-            error: {
-              message: 'You do not have permission to view applications for this job.',
-              code: 'UNAUTHORIZED'
-            }
-          },
-          { status: 403 }
-        );
-      }
-
       // Parse query parameters for pagination
       const { searchParams } = new URL(request.url);
       const limit = parseInt(searchParams.get('limit')) || 50;
@@ -77,10 +68,13 @@ export async function GET(request, context) {
         limit,
         skip,
         sort: { appliedAt: -1 } // Most recent first
-      });
+      }, organizationId);
+
+      // Score each applicant against the job's requirements
+      const scoredApplications = await jobApplicationService.scoreApplications(jobId, applications, organizationId);
 
       // Transform applications for frontend
-      const transformedApplications = applications.map(app => ({
+      const transformedApplications = scoredApplications.map(app => ({
         id: app.id,
         applicantId: app.applicantId,
         coverLetter: app.coverLetter,
@@ -89,7 +83,8 @@ export async function GET(request, context) {
         linkedinUrl: app.linkedinUrl,
         status: app.status.charAt(0).toUpperCase() + app.status.slice(1), // Capitalize
         appliedAt: app.appliedAt,
-        updatedAt: app.updatedAt
+        updatedAt: app.updatedAt,
+        match: app.match
       }));
 
       return NextResponse.json(
@@ -105,6 +100,19 @@ export async function GET(request, context) {
     } catch (dbError) {
       console.error('Database error fetching applications:', dbError);
       
+      if (dbError instanceof JobApplicationServiceError) {
+        return NextResponse.json(
+          {
+            success: false,
+            error: {
+              message: dbError.message,
+              code: dbError.code
+            }
+          },
+          { status: dbError.statusCode }
+        );
+      }
+
       if (dbError instanceof ApplicationError) {
         const statusCode = dbError.code === 'JOB_ID_INVALID' ? 400 : 500;
         return NextResponse.json(
@@ -126,6 +134,23 @@ export async function GET(request, context) {
     }
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: {
+            message: error.message,
+            code: error.code
+          }
+        },
+        { status: error.statusCode }
+      );
+    }
+
     console.error('Applications API error:', error);
 
     return NextResponse.json(
@@ -7,6 +7,15 @@ import { NextResponse } from 'next/server';
 import { createApplication, formatApplicationError, ApplicationError } from '@/lib/applications/application-service';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import {
+  ATTEMPT_SCOPES,
+  AttemptLimitError,
+  getClientIp,
+  buildAttemptKeys,
+  consumeAttempt,
+  formatAttemptLimitError,
+  getRetryAfterHeaders
+} from '@/lib/auth/attempt-limiter';
 
 /**
  * Handles job application submission
@@ -31,6 +40,12 @@ export async function POST(request, context) {
       );
     }
 
+    // Applications are throttled per account and per IP address
+    await consumeAttempt(
+      ATTEMPT_SCOPES.APPLY,
+      buildAttemptKeys({ account: session.user.id, ip: getClientIp(request) })
+    );
+
     // Await params in Next.js 15+
     const params = await context.params;
     const { jobId } = params;
@@ -101,10 +116,15 @@ export async function POST(request, context) {
   } catch (error) {
     console.error('Job application API error:', error);
 
+    if (error instanceof AttemptLimitError) {
+      return NextResponse.json(formatAttemptLimitError(error), { status: 429, headers: getRetryAfterHeaders(error) });
+    }
+
     // Handle application-specific errors
     if (error instanceof ApplicationError) {
       const statusCode = error.code === 'AUTH_REQUIRED' ? 401 : 
-                        error.code === 'ALREADY_APPLIED' ? 409 : 400;
+                        error.code === 'ALREADY_APPLIED' ? 409 :
+                        error.code === 'JOB_NOT_FOUND' ? 404 : 400;
       return NextResponse.json(
         formatApplicationError(error),
         { status: statusCode }
@@ -0,0 +1,90 @@
+/**
+ * Job Candidates API Route
+ * Lists pipeline candidates linked to a job with their match scores
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { jobApplicationService, JobApplicationServiceError } from '@/lib/candidates/job-application-service.js';
+import { OrganizationScopeError } from '@/lib/team/organization-scope.js';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
+
+const SORT_FIELDS = ['match', 'appliedDate', 'name'];
+
+/**
+ * Handles GET requests for a job's pipeline candidates
+ * Query: sortBy (match, appliedDate or name; default match), sortOrder, page, limit
+ * @param {Request} request - The incoming request
+ * @param {Object} context - Route context with params
+ * @returns {Promise<NextResponse>} JSON response with scored candidates
+ */
+export async function GET(request, context) {
+  try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
+
+    const { jobId } = await context.params;
+    const { searchParams } = new URL(request.url);
+
+    const sortBy = searchParams.get('sortBy') || 'match';
+    if (!SORT_FIELDS.includes(sortBy)) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: {
+            message: `sortBy must be one of: ${SORT_FIELDS.join(', ')}`,
+            code: 'INVALID_SORT'
+          }
+        },
+        { status: 400 }
+      );
+    }
+
+    const candidates = await jobApplicationService.getJobCandidates(jobId, {
+      sortBy,
+      sortOrder: searchParams.get('sortOrder') || 'desc',
+      page: parseInt(searchParams.get('page')) || 1,
+      limit: Math.min(parseInt(searchParams.get('limit')) || 50, 100)
+    }, organizationId);
+
+    return NextResponse.json(
+      {
+        success: true,
+        candidates
+      },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof JobApplicationServiceError || error instanceof OrganizationScopeError) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: {
+            message: error.message,
+            code: error.code
+          }
+        },
+        { status: error.statusCode }
+      );
+    }
+
+    console.error('Job candidates API error:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: {
+          message: 'An unexpected error occurred. Please try again.',
+          code: 'INTERNAL_ERROR'
+        }
+      },
+      { status: 500 }
+    );
+  }
+}
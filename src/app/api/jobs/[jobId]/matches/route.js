@@ -0,0 +1,73 @@
+/**
+ * Job Talent Pool Matches API Route
+ * Ranks existing candidates who have not applied for a job by match score
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { jobApplicationService, JobApplicationServiceError } from '@/lib/candidates/job-application-service.js';
+import { OrganizationScopeError } from '@/lib/team/organization-scope.js';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
+
+/**
+ * Handles GET requests for a job's top talent pool matches
+ * Query: limit (default 10, max 50), minScore (0-100)
+ * @param {Request} request - The incoming request
+ * @param {Object} context - Route context with params
+ * @returns {Promise<NextResponse>} JSON response with the job's requirements and ranked candidates
+ */
+export async function GET(request, context) {
+  try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
+
+    const { jobId } = await context.params;
+    const { searchParams } = new URL(request.url);
+
+    const { requirements, matches } = await jobApplicationService.getTopMatches(jobId, {
+      limit: searchParams.get('limit'),
+      minScore: searchParams.get('minScore')
+    }, organizationId);
+
+    return NextResponse.json(
+      {
+        success: true,
+        requirements,
+        matches
+      },
+      { status: 200 }
+    );
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof JobApplicationServiceError || error instanceof OrganizationScopeError) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: {
+            message: error.message,
+            code: error.code
+          }
+        },
+        { status: error.statusCode }
+      );
+    }
+
+    console.error('Job matches API error:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: {
+          message: 'An unexpected error occurred. Please try again.',
+          code: 'INTERNAL_ERROR'
+        }
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -4,9 +4,109 @@
  */
 
 import { NextResponse } from 'next/server';
-import { getJobById, formatJobError, JobError } from '@/lib/jobs/job-service';
+import { getJobById, updateJob, archiveJob, formatJobError, JobError } from '@/lib/jobs/job-service';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { OrganizationScopeError } from '@/lib/team/organization-scope';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+import { ARCHIVED_JOB_STATUS } from '@/lib/jobs/job-validation';
+import { recordAuditEvent, AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '@/lib/audit/audit-log';
+
+/**
+ * Maps job service error codes to HTTP status codes
+ * @param {JobError} error - Job service error
+ * @returns {number} HTTP status code
+ */
+function getJobErrorStatus(error) {
+  switch (error.code) {
+    case 'AUTH_REQUIRED':
+      return 401;
+    case 'UNAUTHORIZED':
+      return 403;
+    case 'JOB_NOT_FOUND':
+      return 404;
+    case 'JOB_ARCHIVED':
+      return 409;
+    case 'DATABASE_ERROR':
+    case 'RETRIEVAL_ERROR':
+    case 'UPDATE_FAILED':
+    case 'ARCHIVE_FAILED':
+    case 'SERVER_ERROR':
+      return 500;
+    default:
+      return 400;
+  }
+}
+
+/**
+ * Builds the error response for requests without a usable organization
+ * @param {OrganizationScopeError} error - Organization scope error
+ * @returns {NextResponse} JSON error response
+ */
+function organizationErrorResponse(error) {
+  return NextResponse.json(
+    {
+      success: false,
+      error: {
+        message: error.message,
+        code: error.code
+      }
+    },
+    { status: error.statusCode }
+  );
+}
+
+/**
+ * Transforms a job into the shape expected by the frontend
+ * @param {Object} job - Job object from the job service
+ * @returns {Object} Transformed job
+ */
+function transformJob(job) {
+  return {
+    id: job.id,
+    title: job.title,
+    department: job.department,
+    location: job.location,
+    type: job.type,
+    salary: job.salary,
+    salaryRange: job.salary || 'Not specified',
+    status: job.status.charAt(0).toUpperCase() + job.status.slice(1),
+    description: job.description,
+    requirements: job.requirements,
+    pipelineTemplateId: job.pipelineTemplateId || null,
+    postedAt: job.createdAt,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    archivedAt: job.archivedAt || null,
+    applicantsCount: job.applicationCount || 0,
+    hiringManager: 'Current User',
+    editHistory: (job.editHistory || []).map(entry => ({
+      action: entry.action,
+      changes: entry.changes,
+      editedBy: entry.editedBy?.toString() || null,
+      editedAt: entry.editedAt
+    }))
+  };
+}
+
+/**
+ * Picks the job fields compared in audit entries
+ * @param {Object} job - Job object from the job service
+ * @returns {Object} Audited fields
+ */
+function pickAuditedFields(job) {
+  return {
+    title: job.title,
+    department: job.department,
+    location: job.location,
+    type: job.type,
+    salary: job.salary,
+    status: job.status,
+    description: job.description,
+    requirements: job.requirements,
+    pipelineTemplateId: job.pipelineTemplateId || null
+  };
+}
 
 /**
  * Handles GET requests for a specific job
@@ -35,9 +135,11 @@ export async function GET(request, context) {
     const params = await context.params;
     const { jobId } = params;
 
+    const { organizationId } = await authorizeSession(session, 'canViewJobs');
+
     try {
-      // Get job from database
-      const job = await getJobById(jobId);
+      // Get job from database, limited to the user's organization
+      const job = await getJobById(jobId, organizationId);
 
       if (!job) {
         return NextResponse.json(
@@ -52,38 +154,8 @@ export async function GET(request, context) {
         );
       }
 
-      // Check if user owns this job
-      if (job.createdBy !== session.user.id) {
-        return NextResponse.json(
-          {
-            success: false,
-            error: {
-              message: 'You do not have permission to view this job.',
-              code: 'UNAUTHORIZED'
-            }
-          },
-          { status: 403 }
-        );
-      }
-
       // Transform job to match frontend expectations
-      const transformedJob = {
-        id: job.id,
-        title: job.title,
-        department: job.department,
-        location: job.location,
-        type: job.type,
-        salary: job.salary,
-        salaryRange: job.salary || 'Not specified',
-        status: job.status.charAt(0).toUpperCase() + job.status.slice(1),
-        description: job.description,
-        requirements: job.requirements,
-        postedAt: job.createdAt,
-        createdAt: job.createdAt,
-        updatedAt: job.updatedAt,
-        applicantsCount: job.applicationCount || 0,
-        hiringManager: 'Current User'
-      };
+      const transformedJob = transformJob(job);
 
       return NextResponse.json(
         {
@@ -117,6 +189,14 @@ export async function GET(request, context) {
     }
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError) {
+      return organizationErrorResponse(error);
+    }
+
     console.error('Job retrieval API error:', error);
 
     return NextResponse.json(
@@ -176,20 +256,50 @@ export async function PUT(request, context) {
       );
     }
 
-    // For now, return a placeholder response
-    // This will be implemented when we add job update functionality
-    return NextResponse.json(
-      {
-        success: false,
-        error: {
-          message: 'Job update functionality not yet implemented.',
-          code: 'NOT_IMPLEMENTED'
-        }
-      },
-      { status: 501 }
-    );
+    const { organizationId } = await authorizeSession(session, 'canManageJobs');
+
+    try {
+      const previousJob = await getJobById(jobId, organizationId);
+      const updatedJob = await updateJob(jobId, body, session.user.id, organizationId);
+
+      await recordAuditEvent({
+        organizationId,
+        actorId: session.user.id,
+        action: AUDIT_ACTIONS.JOB_UPDATED,
+        target: { type: AUDIT_TARGET_TYPES.JOB, id: updatedJob.id, label: updatedJob.title },
+        before: previousJob ? pickAuditedFields(previousJob) : null,
+        after: pickAuditedFields(updatedJob)
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: 'Job posting updated successfully!',
+          job: transformJob(updatedJob)
+        },
+        { status: 200 }
+      );
+
+    } catch (updateError) {
+      if (updateError instanceof JobError) {
+        return NextResponse.json(
+          formatJobError(updateError),
+          { status: getJobErrorStatus(updateError) }
+        );
+      }
+
+      throw updateError;
+    }
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError) {
+      return organizationErrorResponse(error);
+    }
+
     console.error('Job update API error:', error);
 
     return NextResponse.json(
@@ -206,7 +316,7 @@ export async function PUT(request, context) {
 }
 
 /**
- * Handles DELETE requests for deleting a job
+ * Handles DELETE requests for archiving a job
  * @param {Request} request - The incoming request
  * @param {Object} context - Route context with params
  * @returns {Promise<NextResponse>} JSON response with deletion result
@@ -232,20 +342,50 @@ export async function DELETE(request, context) {
     const params = await context.params;
     const { jobId } = params;
 
-    // For now, return a placeholder response
-    // This will be implemented when we add job deletion functionality
-    return NextResponse.json(
-      {
-        success: false,
-        error: {
-          message: 'Job deletion functionality not yet implemented.',
-          code: 'NOT_IMPLEMENTED'
-        }
-      },
-      { status: 501 }
-    );
+    const { organizationId } = await authorizeSession(session, 'canManageJobs');
+
+    try {
+      // Jobs are archived rather than removed so existing applications stay intact
+      const previousJob = await getJobById(jobId, organizationId);
+      await archiveJob(jobId, session.user.id, organizationId);
+
+      await recordAuditEvent({
+        organizationId,
+        actorId: session.user.id,
+        action: AUDIT_ACTIONS.JOB_ARCHIVED,
+        target: { type: AUDIT_TARGET_TYPES.JOB, id: jobId, label: previousJob?.title || null },
+        before: { status: previousJob?.status || null },
+        after: { status: ARCHIVED_JOB_STATUS }
+      });
+
+      return NextResponse.json(
+        {
+          success: true,
+          message: 'Job posting archived successfully.'
+        },
+        { status: 200 }
+      );
+
+    } catch (archiveError) {
+      if (archiveError instanceof JobError) {
+        return NextResponse.json(
+          formatJobError(archiveError),
+          { status: getJobErrorStatus(archiveError) }
+        );
+      }
+
+      throw archiveError;
+    }
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError) {
+      return organizationErrorResponse(error);
+    }
+
     console.error('Job deletion API error:', error);
 
     return NextResponse.json(
@@ -4,9 +4,12 @@
  */
 
 import { NextResponse } from 'next/server';
-import { createJob, formatJobError, JobError } from '@/lib/jobs/job-service';
+import { createJob, getJobsByOrganization, formatJobError, JobError } from '@/lib/jobs/job-service';
+import { recordAuditEvent, AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '@/lib/audit/audit-log';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { OrganizationScopeError } from '@/lib/team/organization-scope';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
 
 /**
  * Handles job creation requests
@@ -47,7 +50,7 @@ export async function POST(request) {
       );
     }
 
-    const { title, department, type, location, salary, description, requirements } = body;
+    const { title, department, type, location, salary, description, requirements, pipelineTemplateId } = body;
 
     // Validate required fields at API level
     if (!title || !department || !type || !location || !description || !requirements) {
@@ -71,39 +74,69 @@ export async function POST(request) {
       location,
       salary,
       description,
-      requirements
+      requirements,
+      pipelineTemplateId
     };
 
-    // Create the job
-    const newJob = await createJob(jobData, session.user.id);
+    // Create the job in the user's organization
+    const { organizationId } = await authorizeSession(session, 'canManageJobs');
+    const newJob = await createJob(jobData, session.user.id, organizationId);
+
+    const job = {
+      id: newJob.id,
+      title: newJob.title,
+      department: newJob.department,
+      type: newJob.type,
+      location: newJob.location,
+      salary: newJob.salary,
+      description: newJob.description,
+      requirements: newJob.requirements,
+      pipelineTemplateId: newJob.pipelineTemplateId,
+      createdBy: newJob.createdBy,
+      createdAt: newJob.createdAt,
+      updatedAt: newJob.updatedAt,
+      status: newJob.status,
+      applicationCount: newJob.applicationCount
+    };
+
+    await recordAuditEvent({
+      organizationId,
+      actorId: session.user.id,
+      action: AUDIT_ACTIONS.JOB_CREATED,
+      target: { type: AUDIT_TARGET_TYPES.JOB, id: newJob.id, label: newJob.title },
+      after: job
+    });
 
     // Return success response
     return NextResponse.json(
       {
         success: true,
         message: 'Job posting created successfully!',
-        job: {
-          id: newJob.id,
-          title: newJob.title,
-          department: newJob.department,
-          type: newJob.type,
-          location: newJob.location,
-          salary: newJob.salary,
-          description: newJob.description,
-          requirements: newJob.requirements,
-          createdBy: newJob.createdBy,
-          createdAt: newJob.createdAt,
-          updatedAt: newJob.updatedAt,
-          status: newJob.status,
-          applicationCount: newJob.applicationCount
-        }
+        job
       },
       { status: 201 }
     );
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Job creation API error:', error);
 
+    if (error instanceof OrganizationScopeError) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: {
+            message: error.message,
+            code: error.code
+          }
+        },
+        { status: error.statusCode }
+      );
+    }
+
     // Handle job-specific errors
     if (error instanceof JobError) {
       const statusCode = error.code === 'AUTH_REQUIRED' ? 401 : 400;
@@ -148,21 +181,22 @@ export async function POST(request) {
  */
 export async function GET(request) {
   try {
-    // Temporarily disable authentication for testing
-    // TODO: Re-enable authentication after fixing session issues
-    // const session = await getServerSession(authOptions);
-    // if (!session || !session.user) {
-    //   return NextResponse.json(
-    //     {
-    //       success: false,
-    //       error: {
-    //         message: 'Authentication required to view job postings.',
-    //         code: 'AUTH_REQUIRED'
-    //       }
-    //     },
-    //     { status: 401 }
-    //   );
-    // }
+    // Job listings are scoped to the user's organization, so a session is required
+    const session = await getServerSession(authOptions);
+    if (!session || !session.user) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: {
+            message: 'Authentication required to view job postings.',
+            code: 'AUTH_REQUIRED'
+          }
+        },
+        { status: 401 }
+      );
+    }
+
+    const { organizationId } = await authorizeSession(session, 'canViewJobs');
 
     // Parse query parameters for filtering and pagination
     const { searchParams } = new URL(request.url);
@@ -170,26 +204,17 @@ export async function GET(request) {
     const limit = parseInt(searchParams.get('limit')) || 50;
     const skip = parseInt(searchParams.get('skip')) || 0;
 
-    // Get jobs from database
-    const { getJobsCollection } = await import('@/lib/jobs/job-service');
-    
     try {
-      // Temporarily get all jobs for testing (bypass user filtering)
-      const jobsCollection = await getJobsCollection();
-      const jobs = await jobsCollection.find({ 'metadata.isActive': true })
-        .sort({ createdAt: -1 })
-        .limit(limit)
-        .skip(skip)
-        .toArray();
-
       // Filter by status if provided (case-insensitive)
-      const filteredJobs = status && status !== 'All' 
-        ? jobs.filter(job => job.status.toLowerCase() === status.toLowerCase())
-        : jobs;
+      const jobs = await getJobsByOrganization(organizationId, {
+        status: status && status !== 'All' ? status.toLowerCase() : undefined,
+        limit,
+        skip
+      });
 
       // Transform jobs to match frontend expectations
-      const transformedJobs = filteredJobs.map(job => ({
-        id: job._id.toString(), // Use _id from MongoDB
+      const transformedJobs = jobs.map(job => ({
+        id: job.id,
         title: job.title,
         department: job.department.charAt(0).toUpperCase() + job.department.slice(1), // Capitalize department
         location: job.location,
@@ -198,6 +223,7 @@ export async function GET(request) {
         status: job.status.charAt(0).toUpperCase() + job.status.slice(1), // Capitalize first letter
         description: job.description,
         requirements: job.requirements,
+        pipelineTemplateId: job.pipelineTemplateId || null,
         postedAt: job.createdAt,
         applicantsCount: job.applicationCount || 0,
         hiringManager: 'Current User' // Could be enhanced to fetch actual user name
@@ -230,6 +256,23 @@ export async function GET(request) {
     }
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof OrganizationScopeError) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: {
+            message: error.message,
+            code: error.code
+          }
+        },
+        { status: error.statusCode }
+      );
+    }
+
     console.error('Job listing API error:', error);
 
     return NextResponse.json(
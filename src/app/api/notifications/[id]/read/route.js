@@ -0,0 +1,56 @@
+/**
+ * API Route: POST /api/notifications/[id]/read
+ * Marks one of the signed-in user's notifications as read
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { markNotificationRead } from '@/lib/notifications/notification-center';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * POST /api/notifications/[id]/read
+ * Returns the notification; marking it again keeps the first read time
+ */
+export async function POST(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    const { userId, organizationId } = await authorizeSession(session);
+
+    const { id } = await params;
+    const notification = await markNotificationRead(id, userId, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      notification
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'NotificationCenterError' || error.name === 'OrganizationScopeError') {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          code: error.code
+        },
+        { status: error.statusCode || 500 }
+      );
+    }
+
+    console.error('Failed to mark notification as read:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to mark notification as read',
+        code: 'NOTIFICATIONS_ERROR'
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * API Route: POST /api/notifications/read-all
+ * Marks every unread notification of the signed-in user as read
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { markAllNotificationsRead } from '@/lib/notifications/notification-center';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * POST /api/notifications/read-all
+ * Returns how many notifications were marked
+ */
+export async function POST() {
+  try {
+    const session = await getServerSession(authOptions);
+    const { userId, organizationId } = await authorizeSession(session);
+
+    const updated = await markAllNotificationsRead(userId, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      updated
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'NotificationCenterError' || error.name === 'OrganizationScopeError') {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          code: error.code
+        },
+        { status: error.statusCode || 500 }
+      );
+    }
+
+    console.error('Failed to mark notifications as read:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to mark notifications as read',
+        code: 'NOTIFICATIONS_ERROR'
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * API Route: GET /api/notifications
+ * In-app notifications of the signed-in user
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { listUserNotifications } from '@/lib/notifications/notification-center';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * GET /api/notifications
+ * Query: limit (default 20, max 50), unread=true for unread notifications only
+ * Returns the notifications, newest first, and the unread count for the bell
+ */
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    const { userId, organizationId } = await authorizeSession(session);
+
+    const { searchParams } = new URL(request.url);
+    const { notifications, unreadCount } = await listUserNotifications(userId, organizationId, {
+      limit: searchParams.get('limit'),
+      unreadOnly: searchParams.get('unread') === 'true'
+    });
+
+    return NextResponse.json({
+      success: true,
+      notifications,
+      unreadCount
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'NotificationCenterError' || error.name === 'OrganizationScopeError') {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          code: error.code
+        },
+        { status: error.statusCode || 500 }
+      );
+    }
+
+    console.error('Failed to list notifications:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to retrieve notifications',
+        code: 'NOTIFICATIONS_ERROR'
+      },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * API Route: GET /api/pipeline-templates/[templateId]/funnel
+ * Reports, for each stage of a pipeline template, how many candidates left the
+ * funnel there, broken down by outcome and reason code
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { pipelineService } from '@/lib/candidates/pipeline-service';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * GET /api/pipeline-templates/[templateId]/funnel
+ * Query: dateFrom, dateTo (filter by applied date)
+ */
+export async function GET(request, { params }) {
+  try {
+    const { templateId } = await params;
+    const { searchParams } = new URL(request.url);
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewAnalytics');
+
+    const report = await pipelineService.getFunnelDropOff({
+      pipelineTemplateId: templateId,
+      dateFrom: searchParams.get('dateFrom') || undefined,
+      dateTo: searchParams.get('dateTo') || undefined
+    }, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      report
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (['PipelineServiceError', 'PipelineTemplateServiceError', 'OrganizationScopeError'].includes(error.name)) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          code: error.code
+        },
+        { status: error.statusCode || 500 }
+      );
+    }
+
+    console.error('Failed to get funnel drop-off report:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to retrieve funnel drop-off report',
+        code: 'FUNNEL_ERROR'
+      },
+      { status: 500 }
+    );
+  }
+}
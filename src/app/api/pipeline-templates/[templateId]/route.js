@@ -0,0 +1,132 @@
+/**
+ * Pipeline Template API Routes
+ * Reads, updates and archives a single pipeline template
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { pipelineTemplateService } from '@/lib/candidates/pipeline-template-service';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * Builds the error response for template requests
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @returns {NextResponse} JSON error response
+ */
+function templateErrorResponse(error, fallbackMessage) {
+  if (error instanceof AuthorizationError) {
+    return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+  }
+
+  if (error.name === 'PipelineTemplateServiceError' || error.name === 'OrganizationScopeError') {
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        code: error.code
+      },
+      { status: error.statusCode || 500 }
+    );
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+
+  return NextResponse.json(
+    {
+      success: false,
+      error: fallbackMessage,
+      code: 'PIPELINE_TEMPLATE_ERROR'
+    },
+    { status: 500 }
+  );
+}
+
+/**
+ * GET /api/pipeline-templates/[templateId] - Gets a template ('default' for the standard pipeline)
+ */
+export async function GET(request, { params }) {
+  try {
+    const { templateId } = await params;
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
+
+    const template = await pipelineTemplateService.requireTemplate(templateId, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    return templateErrorResponse(error, 'Failed to retrieve pipeline template');
+  }
+}
+
+/**
+ * PUT /api/pipeline-templates/[templateId] - Updates a template
+ * Stages that still hold candidates cannot be removed
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { templateId } = await params;
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Invalid JSON in request body',
+          code: 'INVALID_JSON'
+        },
+        { status: 400 }
+      );
+    }
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageJobs');
+
+    const template = await pipelineTemplateService.updateTemplate(
+      templateId,
+      body,
+      session.user.id,
+      organizationId
+    );
+
+    return NextResponse.json({
+      success: true,
+      template,
+      message: 'Pipeline template updated successfully'
+    });
+
+  } catch (error) {
+    return templateErrorResponse(error, 'Failed to update pipeline template');
+  }
+}
+
+/**
+ * DELETE /api/pipeline-templates/[templateId] - Archives a template
+ * Templates still assigned to jobs cannot be archived
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { templateId } = await params;
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageJobs');
+
+    await pipelineTemplateService.archiveTemplate(templateId, session.user.id, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Pipeline template archived successfully'
+    });
+
+  } catch (error) {
+    return templateErrorResponse(error, 'Failed to archive pipeline template');
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * API Route: GET /api/pipeline-templates/[templateId]/stats
+ * Reports stage distribution, conversion and hire rates for a pipeline template
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { pipelineService } from '@/lib/candidates/pipeline-service';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * GET /api/pipeline-templates/[templateId]/stats
+ * Query: dateFrom, dateTo (filter by applied date)
+ */
+export async function GET(request, { params }) {
+  try {
+    const { templateId } = await params;
+    const { searchParams } = new URL(request.url);
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
+
+    const stats = await pipelineService.getPipelineStats({
+      pipelineTemplateId: templateId,
+      dateFrom: searchParams.get('dateFrom') || undefined,
+      dateTo: searchParams.get('dateTo') || undefined
+    }, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      stats
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (['PipelineServiceError', 'PipelineTemplateServiceError', 'OrganizationScopeError'].includes(error.name)) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          code: error.code
+        },
+        { status: error.statusCode || 500 }
+      );
+    }
+
+    console.error('Failed to get pipeline stats:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to retrieve pipeline statistics',
+        code: 'STATS_ERROR'
+      },
+      { status: 500 }
+    );
+  }
+}
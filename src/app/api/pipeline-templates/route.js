@@ -0,0 +1,103 @@
+/**
+ * Pipeline Templates API Routes
+ * Lists and creates the hiring pipeline templates of an organization
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { pipelineTemplateService } from '@/lib/candidates/pipeline-template-service';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * Builds the error response for template requests
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @returns {NextResponse} JSON error response
+ */
+function templateErrorResponse(error, fallbackMessage) {
+  if (error instanceof AuthorizationError) {
+    return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+  }
+
+  if (error.name === 'PipelineTemplateServiceError' || error.name === 'OrganizationScopeError') {
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        code: error.code
+      },
+      { status: error.statusCode || 500 }
+    );
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+
+  return NextResponse.json(
+    {
+      success: false,
+      error: fallbackMessage,
+      code: 'PIPELINE_TEMPLATE_ERROR'
+    },
+    { status: 500 }
+  );
+}
+
+/**
+ * GET /api/pipeline-templates - Lists templates, starting with the standard pipeline
+ */
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canViewCandidates');
+
+    const templates = await pipelineTemplateService.listTemplates(organizationId);
+
+    return NextResponse.json({
+      success: true,
+      templates
+    });
+
+  } catch (error) {
+    return templateErrorResponse(error, 'Failed to retrieve pipeline templates');
+  }
+}
+
+/**
+ * POST /api/pipeline-templates - Creates a template
+ * Body: { name, description?, stages: [{ label, key?, isHired? }], transitions?: { [stageKey]: [stageKey] } }
+ */
+export async function POST(request) {
+  try {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Invalid JSON in request body',
+          code: 'INVALID_JSON'
+        },
+        { status: 400 }
+      );
+    }
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageJobs');
+
+    const template = await pipelineTemplateService.createTemplate(body, session.user.id, organizationId);
+
+    return NextResponse.json(
+      {
+        success: true,
+        template,
+        message: 'Pipeline template created successfully'
+      },
+      { status: 201 }
+    );
+
+  } catch (error) {
+    return templateErrorResponse(error, 'Failed to create pipeline template');
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * Scorecard Template API Routes
+ * Reads, replaces and resets the rating criteria of one interview type
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { scorecardTemplateService } from '@/lib/interviews/scorecard-template-service';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * Builds the error response for template requests
+ * @param {Error} error - Error thrown while handling the request
+ * @param {string} fallbackMessage - Message for unexpected errors
+ * @returns {NextResponse} JSON error response
+ */
+function templateErrorResponse(error, fallbackMessage) {
+  if (error instanceof AuthorizationError) {
+    return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+  }
+
+  if (error.name === 'ScorecardTemplateServiceError' || error.name === 'OrganizationScopeError') {
+    return NextResponse.json(
+      {
+        success: false,
+        error: error.message,
+        code: error.code
+      },
+      { status: error.statusCode || 500 }
+    );
+  }
+
+  console.error(`${fallbackMessage}:`, error);
+
+  return NextResponse.json(
+    {
+      success: false,
+      error: fallbackMessage,
+      code: 'SCORECARD_TEMPLATE_ERROR'
+    },
+    { status: 500 }
+  );
+}
+
+/**
+ * GET /api/scorecard-templates/[interviewType] - Gets the criteria for an interview type
+ */
+export async function GET(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canScheduleInterviews');
+
+    const { interviewType } = await params;
+    const template = await scorecardTemplateService.getTemplateForType(interviewType, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    return templateErrorResponse(error, 'Failed to retrieve scorecard template');
+  }
+}
+
+/**
+ * PUT /api/scorecard-templates/[interviewType] - Replaces the criteria (Admins only)
+ * Body: { criteria: [{ label, key?, description? }] }
+ */
+export async function PUT(request, { params }) {
+  try {
+    let body;
+    try {
+      body = await request.json();
+    } catch (error) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Invalid JSON in request body',
+          code: 'INVALID_JSON'
+        },
+        { status: 400 }
+      );
+    }
+
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageTeam');
+
+    const { interviewType } = await params;
+    const template = await scorecardTemplateService.saveTemplate(
+      { interviewType, criteria: body?.criteria },
+      session.user.id,
+      organizationId
+    );
+
+    return NextResponse.json({
+      success: true,
+      template,
+      message: 'Scorecard template saved successfully'
+    });
+
+  } catch (error) {
+    return templateErrorResponse(error, 'Failed to save scorecard template');
+  }
+}
+
+/**
+ * DELETE /api/scorecard-templates/[interviewType] - Restores the built-in criteria (Admins only)
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canManageTeam');
+
+    const { interviewType } = await params;
+    const template = await scorecardTemplateService.resetTemplate(interviewType, organizationId);
+
+    return NextResponse.json({
+      success: true,
+      template,
+      message: 'Scorecard template reset to the default criteria'
+    });
+
+  } catch (error) {
+    return templateErrorResponse(error, 'Failed to reset scorecard template');
+  }
+}
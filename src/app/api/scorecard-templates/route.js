@@ -0,0 +1,61 @@
+/**
+ * Scorecard Templates API Routes
+ * Lists the rating criteria used for each interview type
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { scorecardTemplateService } from '@/lib/interviews/scorecard-template-service';
+import { RATING_SCALE, SCORECARD_RECOMMENDATIONS, RECOMMENDATION_LABELS } from '@/lib/interviews/scorecard-models';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization';
+
+/**
+ * GET /api/scorecard-templates - Lists the template of every interview type,
+ * with the rating scale and recommendation options
+ */
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+    const { organizationId } = await authorizeSession(session, 'canScheduleInterviews');
+
+    const templates = await scorecardTemplateService.listTemplates(organizationId);
+
+    return NextResponse.json({
+      success: true,
+      templates,
+      ratingScale: RATING_SCALE,
+      recommendations: Object.values(SCORECARD_RECOMMENDATIONS).map(value => ({
+        value,
+        label: RECOMMENDATION_LABELS[value]
+      }))
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'ScorecardTemplateServiceError' || error.name === 'OrganizationScopeError') {
+      return NextResponse.json(
+        {
+          success: false,
+          error: error.message,
+          code: error.code
+        },
+        { status: error.statusCode || 500 }
+      );
+    }
+
+    console.error('Failed to retrieve scorecard templates:', error);
+
+    return NextResponse.json(
+      {
+        success: false,
+        error: 'Failed to retrieve scorecard templates',
+        code: 'SCORECARD_TEMPLATE_ERROR'
+      },
+      { status: 500 }
+    );
+  }
+}
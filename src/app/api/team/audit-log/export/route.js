@@ -0,0 +1,57 @@
+/**
+ * Team Audit Log Export API
+ * Downloads the organization's audit entries as CSV for compliance reviews
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
+import { exportAuditEventsCsv, readAuditFilters, AuditLogError } from '@/lib/audit/audit-log.js';
+
+/**
+ * GET /api/team/audit-log/export - CSV of the entries matching the same filters as the list
+ * Sets X-Audit-Truncated when there were more entries than one export holds
+ */
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { organizationId } = await authorizeSession(session, 'canManageTeam');
+
+    const { searchParams } = new URL(request.url);
+    const { csv, truncated } = await exportAuditEventsCsv(organizationId, readAuditFilters(searchParams));
+    const fileDate = new Date().toISOString().slice(0, 10);
+
+    return new NextResponse(csv, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="audit-log-${fileDate}.csv"`,
+        'Cache-Control': 'no-store',
+        'X-Audit-Truncated': truncated ? 'true' : 'false'
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof AuditLogError && error.code === 'INVALID_FILTER') {
+      return NextResponse.json(
+        { success: false, error: error.message, code: error.code, field: error.field },
+        { status: 400 }
+      );
+    }
+
+    console.error('Error exporting audit log:', error);
+    return NextResponse.json(
+      { error: 'Failed to export audit log' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Team Audit Log API
+ * Lists the organization's audit entries for Admins
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
+import {
+  listAuditEvents,
+  readAuditFilters,
+  AuditLogError,
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES
+} from '@/lib/audit/audit-log.js';
+import { getTeamDirectory } from '@/lib/team/invitation-db.js';
+
+/**
+ * GET /api/team/audit-log - Audit entries, newest first, with the filter options
+ * Filters: action, actorId, targetType, targetId, from, to; paging: page, limit
+ */
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { organizationId } = await authorizeSession(session, 'canManageTeam');
+
+    const { searchParams } = new URL(request.url);
+    const [result, directory] = await Promise.all([
+      listAuditEvents(organizationId, readAuditFilters(searchParams), {
+        page: searchParams.get('page'),
+        limit: searchParams.get('limit')
+      }),
+      getTeamDirectory(organizationId)
+    ]);
+
+    return NextResponse.json({
+      success: true,
+      data: result.entries,
+      pagination: result.pagination,
+      actions: Object.values(AUDIT_ACTIONS),
+      targetTypes: Object.values(AUDIT_TARGET_TYPES),
+      members: directory.map(member => ({ userId: member.userId, name: member.name }))
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error instanceof AuditLogError && error.code === 'INVALID_FILTER') {
+      return NextResponse.json(
+        { success: false, error: error.message, code: error.code, field: error.field },
+        { status: 400 }
+      );
+    }
+
+    console.error('Error fetching audit log:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch audit log' },
+      { status: 500 }
+    );
+  }
+}
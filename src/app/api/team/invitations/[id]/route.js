@@ -8,6 +8,8 @@ import { getServerSession } from 'next-auth';
 import { authOptions } from '@/app/api/auth/[...nextauth]/route';
 import { ObjectId } from 'mongodb';
 import { getCollection } from '@/lib/mongodb';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
+import { recordAuditEvent, AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '@/lib/audit/audit-log.js';
 import {
     deleteInvitation,
     findInvitationByToken // Importing this just in case, but we need ID lookup really, or just use delete
@@ -38,19 +40,8 @@ export async function DELETE(request, { params }) {
             return NextResponse.json({ error: 'User not found' }, { status: 404 });
         }
 
-        // For now, we'll assume the user's organization is their user ID
-        const organizationId = session.user.id;
-        const userRole = user.role || 'user';
-
-        // Check if user has admin permissions (only admins can revoke invitations)
-        const isAdmin = userRole === 'admin' || user._id.toString() === organizationId;
-
-        if (!isAdmin) {
-            return NextResponse.json(
-                { error: 'Only administrators can revoke invitations' },
-                { status: 403 }
-            );
-        }
+        // Resolve the organization and role the user acts with (only admins can revoke invitations)
+        const { organizationId } = await authorizeSession(session, 'canInviteMembers');
 
         // Delete the invitation
         // We pass organizationId to ensure we only delete invitations for this organization
@@ -63,12 +54,24 @@ export async function DELETE(request, { params }) {
             );
         }
 
+        await recordAuditEvent({
+            organizationId,
+            actorId: session.user.id,
+            action: AUDIT_ACTIONS.INVITATION_REVOKED,
+            target: { type: AUDIT_TARGET_TYPES.INVITATION, id, label: deleted.email },
+            before: { email: deleted.email, role: deleted.role, status: deleted.status }
+        });
+
         return NextResponse.json({
             success: true,
             message: 'Invitation revoked successfully'
         });
 
     } catch (error) {
+        if (error instanceof AuthorizationError) {
+            return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+        }
+
         console.error('Error revoking invitation:', error);
         return NextResponse.json(
             { error: 'Failed to revoke invitation' },
@@ -9,7 +9,6 @@ import { authOptions } from '@/app/api/auth/[...nextauth]/route';
 import { ObjectId } from 'mongodb';
 import { 
   createInvitationDocument,
-  TEAM_ROLES,
   hasPermission,
   formatInvitationForDisplay
 } from '@/lib/team/invitation-models.js';
@@ -34,6 +33,8 @@ import {
   formatInvitationEmailError
 } from '@/lib/email/invitation-email-service.js';
 import { getCollection } from '@/lib/mongodb.js';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
+import { recordAuditEvent, AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '@/lib/audit/audit-log.js';
 
 /**
  * POST /api/team/invitations - Create new team member invitation
@@ -58,21 +59,9 @@ export async function POST(request) {
       return NextResponse.json({ error: 'User not found' }, { status: 404 });
     }
 
-    // For now, we'll assume the user's organization is their user ID
-    // In a real system, this would come from a proper organization structure
-    const organizationId = session.user.id;
-    const userRole = user.role || 'user';
-
-    // Check if user has admin permissions (only admins can invite)
-    // For now, we'll check if user role is 'admin' or if they're the organization owner
-    const isAdmin = userRole === 'admin' || user._id.toString() === organizationId;
-    
-    if (!isAdmin) {
-      return NextResponse.json(
-        { error: 'Only administrators can invite team members' },
-        { status: 403 }
-      );
-    }
+    // Resolve the organization and role the user acts with (only admins can invite)
+    const context = await authorizeSession(session, 'canInviteMembers');
+    const { organizationId } = context;
 
     // Sanitize input
     const sanitizedInput = sanitizeInvitationInput(body);
@@ -118,7 +107,7 @@ export async function POST(request) {
 
     // Validate permissions (admin-only invitations)
     try {
-      validateInvitationPermissions(TEAM_ROLES.ADMIN, invitationData.role);
+      validateInvitationPermissions(context.role, invitationData.role);
     } catch (permissionError) {
       return NextResponse.json(
         { error: permissionError.message },
@@ -150,6 +139,14 @@ export async function POST(request) {
     // Save to database
     const createdInvitation = await createInvitation(invitationDocument);
 
+    await recordAuditEvent({
+      organizationId,
+      actorId: session.user.id,
+      action: AUDIT_ACTIONS.MEMBER_INVITED,
+      target: { type: AUDIT_TARGET_TYPES.INVITATION, id: createdInvitation._id, label: createdInvitation.email },
+      after: { email: createdInvitation.email, role: createdInvitation.role, expiresAt: createdInvitation.expiresAt }
+    });
+
     // Format for response
     const formattedInvitation = formatInvitationForDisplay(createdInvitation);
 
@@ -157,7 +154,7 @@ export async function POST(request) {
     let emailResult = null;
     try {
       emailResult = await sendValidatedInvitationEmail(createdInvitation);
-      console.log(`✅ Invitation email sent successfully to ${invitationData.email}`);
+      console.log(`✅ Invitation email handled for ${invitationData.email} (${emailResult.delivery})`);
     } catch (emailError) {
       console.error('⚠️ Failed to send invitation email:', emailError);
       // Don't fail the entire request if email fails - invitation is still created
@@ -167,14 +164,18 @@ export async function POST(request) {
     return NextResponse.json({
       success: true,
       data: formattedInvitation,
-      emailSent: !!emailResult,
+      emailSent: emailResult?.delivery === 'immediate',
       emailResult: emailResult ? {
-        messageId: emailResult.messageId,
-        previewUrl: emailResult.previewUrl
+        delivery: emailResult.delivery,
+        outboxId: emailResult.outboxId
       } : null
     }, { status: 201 });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Error creating invitation:', error);
     
     // Handle specific database errors
@@ -220,19 +221,8 @@ export async function GET(request) {
       return NextResponse.json({ error: 'User not found' }, { status: 404 });
     }
 
-    // For now, we'll assume the user's organization is their user ID
-    const organizationId = session.user.id;
-    const userRole = user.role || 'user';
-
-    // Check if user has admin permissions (only admins can view invitations)
-    const isAdmin = userRole === 'admin' || user._id.toString() === organizationId;
-    
-    if (!isAdmin) {
-      return NextResponse.json(
-        { error: 'Only administrators can view team invitations' },
-        { status: 403 }
-      );
-    }
+    // Resolve the organization and role the user acts with (only admins can view invitations)
+    const { organizationId } = await authorizeSession(session, 'canInviteMembers');
 
     // Parse query parameters
     const { searchParams } = new URL(request.url);
@@ -274,6 +264,10 @@ export async function GET(request) {
     });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Error fetching invitations:', error);
     return NextResponse.json(
       { error: 'Failed to fetch invitations' },
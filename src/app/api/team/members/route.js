@@ -22,6 +22,7 @@ import {
   initializeTeamCollections
 } from '@/lib/team/invitation-db.js';
 import { getCollection } from '@/lib/mongodb.js';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
 
 /**
  * GET /api/team/members - Retrieve team members for current organization
@@ -44,19 +45,8 @@ export async function GET(request) {
       return NextResponse.json({ error: 'User not found' }, { status: 404 });
     }
 
-    // For now, we'll assume the user's organization is their user ID
-    const organizationId = session.user.id;
-    const userRole = user.role || 'user';
-
-    // Check if user has admin permissions (only admins can view team members)
-    const isAdmin = userRole === 'admin' || user._id.toString() === organizationId;
-    
-    if (!isAdmin) {
-      return NextResponse.json(
-        { error: 'Only administrators can view team members' },
-        { status: 403 }
-      );
-    }
+    // Resolve the organization and role the user acts with (only admins can view team members)
+    const { organizationId } = await authorizeSession(session, 'canManageTeam');
 
     // Parse query parameters
     const { searchParams } = new URL(request.url);
@@ -95,6 +85,10 @@ export async function GET(request) {
     });
 
   } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
     console.error('Error fetching team members:', error);
     return NextResponse.json(
       { error: 'Failed to fetch team members' },
@@ -0,0 +1,52 @@
+/**
+ * Team Lockouts API
+ * Lists sign-in lockouts of the organization's members
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
+import { getLockoutEvents } from '@/lib/auth/attempt-limiter.js';
+import { getTeamDirectory } from '@/lib/team/invitation-db.js';
+
+/**
+ * GET /api/team/security/lockouts - Recent lockouts of member accounts, newest first (`limit`)
+ */
+export async function GET(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { organizationId } = await authorizeSession(session, 'canManageTeam');
+
+    const { searchParams } = new URL(request.url);
+    const [events, directory] = await Promise.all([
+      getLockoutEvents(organizationId, { limit: searchParams.get('limit') || 50 }),
+      getTeamDirectory(organizationId)
+    ]);
+
+    const members = new Map(directory.map(member => [member.userId, member]));
+
+    return NextResponse.json({
+      success: true,
+      data: events.map(event => ({
+        ...event,
+        memberName: event.userId ? members.get(event.userId)?.name || null : null
+      }))
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    console.error('Error fetching lockouts:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch lockouts' },
+      { status: 500 }
+    );
+  }
+}
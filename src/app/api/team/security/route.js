@@ -0,0 +1,125 @@
+/**
+ * Team Security API
+ * Handles the security policies an Admin sets for the whole organization
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
+import { getOrganizationSettings, updateOrganizationSettings } from '@/lib/team/organization-settings.js';
+import { recordAuditEvent, AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '@/lib/audit/audit-log.js';
+import { getTeamTwoFactorStatus } from '@/lib/auth/two-factor.js';
+
+/**
+ * GET /api/team/security - Retrieve the organization's security policy and each member's 2FA status
+ */
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { organizationId } = await authorizeSession(session, 'canManageTeam');
+
+    const [settings, members] = await Promise.all([
+      getOrganizationSettings(organizationId),
+      getTeamTwoFactorStatus(organizationId)
+    ]);
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        requireTwoFactor: settings.requireTwoFactor,
+        members
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    console.error('Error fetching team security settings:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch security settings' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/team/security - Update the organization's security policy
+ * Body: { requireTwoFactor }
+ * Admins signing in with a password have to set up 2FA themselves before requiring it
+ */
+export async function PUT(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { organizationId, userId } = await authorizeSession(session, 'canManageTeam');
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (parseError) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid request format. Please send valid JSON.', code: 'INVALID_JSON' },
+        { status: 400 }
+      );
+    }
+
+    if (body?.requireTwoFactor === true && session.user.provider === 'credentials' && !session.user.twoFactorEnabled) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Set up two-factor authentication for your own account before requiring it for the team',
+          code: 'TWO_FACTOR_NOT_ENABLED'
+        },
+        { status: 400 }
+      );
+    }
+
+    const previousSettings = await getOrganizationSettings(organizationId);
+    const settings = await updateOrganizationSettings(organizationId, body, userId);
+
+    await recordAuditEvent({
+      organizationId,
+      actorId: userId,
+      action: AUDIT_ACTIONS.SECURITY_SETTINGS_UPDATED,
+      target: { type: AUDIT_TARGET_TYPES.ORGANIZATION, id: organizationId, label: 'Security settings' },
+      before: previousSettings,
+      after: settings
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: settings.requireTwoFactor
+        ? 'Two-factor authentication is now required for every member'
+        : 'Two-factor authentication is now optional',
+      data: settings
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'OrganizationSettingsError') {
+      return NextResponse.json(
+        { success: false, error: error.message, code: error.code },
+        { status: error.statusCode }
+      );
+    }
+
+    console.error('Error updating team security settings:', error);
+    return NextResponse.json(
+      { error: 'Failed to update security settings' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Team Single Sign-On API
+ * Handles the OpenID Connect provider an organization's members sign in with
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
+import {
+  getOrganizationSettings,
+  updateOrganizationSettings,
+  isValidIssuerUrl,
+  describeSsoDomains
+} from '@/lib/team/organization-settings.js';
+import { discoverOidcProvider } from '@/lib/auth/oidc.js';
+import { getSsoRedirectUri, SSO_PROVIDER } from '@/lib/auth/sso.js';
+import { recordAuditEvent, AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '@/lib/audit/audit-log.js';
+
+/**
+ * GET /api/team/sso - Retrieve the organization's SSO settings, the redirect URI to
+ * register and the DNS record that verifies each domain
+ * The client secret is never returned, only whether one is saved
+ */
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { organizationId } = await authorizeSession(session, 'canManageTeam');
+    const settings = await getOrganizationSettings(organizationId);
+
+    return NextResponse.json({
+      success: true,
+      data: {
+        ...settings.sso,
+        domains: describeSsoDomains(organizationId, settings.sso),
+        redirectUri: getSsoRedirectUri(),
+        signedInWithSso: session.user.provider === SSO_PROVIDER
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    console.error('Error fetching SSO settings:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch SSO settings' },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * PUT /api/team/sso - Update the organization's SSO settings
+ * Body: { issuer, clientId, clientSecret, allowedDomains, defaultRole, enabled, enforced }
+ * A blank clientSecret keeps the saved one. SSO can only be turned on once one
+ * of the domains is verified, the issuer's discovery document is checked before
+ * it is, and Admins have to sign in with SSO themselves before password and
+ * Google sign-in can be turned off
+ */
+export async function PUT(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { organizationId, userId } = await authorizeSession(session, 'canManageTeam');
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (parseError) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid request format. Please send valid JSON.', code: 'INVALID_JSON' },
+        { status: 400 }
+      );
+    }
+
+    const previousSettings = await getOrganizationSettings(organizationId);
+
+    if (body?.enforced === true && !previousSettings.sso.enforced && session.user.provider !== SSO_PROVIDER) {
+      return NextResponse.json(
+        {
+          success: false,
+          error: 'Sign in with single sign-on yourself before requiring it for the team',
+          code: 'SSO_NOT_VERIFIED'
+        },
+        { status: 400 }
+      );
+    }
+
+    const issuer = body?.issuer === undefined
+      ? previousSettings.sso.issuer
+      : (typeof body.issuer === 'string' ? body.issuer.trim() : null);
+    const enabling = body?.enabled === undefined ? previousSettings.sso.enabled : body.enabled === true;
+
+    // Catch a mistyped issuer now rather than when someone tries to sign in;
+    // malformed URLs are rejected by the settings validation below
+    if (enabling && isValidIssuerUrl(issuer) && issuer !== previousSettings.sso.issuer) {
+      try {
+        await discoverOidcProvider(issuer, { refresh: true });
+      } catch (discoveryError) {
+        return NextResponse.json(
+          { success: false, error: discoveryError.message, code: 'INVALID_ISSUER' },
+          { status: 400 }
+        );
+      }
+    }
+
+    const settings = await updateOrganizationSettings(organizationId, { sso: body }, userId);
+
+    await recordAuditEvent({
+      organizationId,
+      actorId: userId,
+      action: AUDIT_ACTIONS.SECURITY_SETTINGS_UPDATED,
+      target: { type: AUDIT_TARGET_TYPES.ORGANIZATION, id: organizationId, label: 'Single sign-on' },
+      before: { sso: previousSettings.sso },
+      after: { sso: settings.sso },
+      metadata: body?.clientSecret ? { clientSecretChanged: true } : null
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: !settings.sso.enabled
+        ? 'Single sign-on is off'
+        : settings.sso.enforced
+          ? 'Single sign-on is on and required; password and Google sign-in are off for your domains'
+          : 'Single sign-on is on',
+      data: {
+        ...settings.sso,
+        domains: describeSsoDomains(organizationId, settings.sso),
+        redirectUri: getSsoRedirectUri(),
+        signedInWithSso: session.user.provider === SSO_PROVIDER
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'OrganizationSettingsError') {
+      return NextResponse.json(
+        { success: false, error: error.message, code: error.code },
+        { status: error.statusCode }
+      );
+    }
+
+    console.error('Error updating SSO settings:', error);
+    return NextResponse.json(
+      { error: 'Failed to update SSO settings' },
+      { status: 500 }
+    );
+  }
+}
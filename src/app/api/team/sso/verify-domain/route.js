@@ -0,0 +1,87 @@
+/**
+ * Team Single Sign-On Domain Verification API
+ * Checks the DNS record that proves the organization owns an SSO email domain
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth';
+import { authOptions } from '@/app/api/auth/[...nextauth]/route';
+import { authorizeSession, AuthorizationError, formatAuthorizationError } from '@/lib/team/authorization.js';
+import { verifySsoDomain, describeSsoDomains } from '@/lib/team/organization-settings.js';
+import { getSsoRedirectUri, SSO_PROVIDER } from '@/lib/auth/sso.js';
+import { recordAuditEvent, AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '@/lib/audit/audit-log.js';
+
+/**
+ * POST /api/team/sso/verify-domain - Verify one of the organization's SSO domains
+ * Body: { domain }
+ * Looks up the domain's _nexus-ats TXT record; only verified domains sign anyone in
+ */
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { organizationId, userId } = await authorizeSession(session, 'canManageTeam');
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (parseError) {
+      return NextResponse.json(
+        { success: false, error: 'Invalid request format. Please send valid JSON.', code: 'INVALID_JSON' },
+        { status: 400 }
+      );
+    }
+
+    const domain = typeof body?.domain === 'string' ? body.domain.trim().toLowerCase().replace(/^@/, '') : '';
+    if (!domain) {
+      return NextResponse.json(
+        { success: false, error: 'Domain is required', code: 'MISSING_DOMAIN' },
+        { status: 400 }
+      );
+    }
+
+    const { settings, verifiedNow } = await verifySsoDomain(organizationId, domain, userId);
+
+    if (verifiedNow) {
+      await recordAuditEvent({
+        organizationId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.SSO_DOMAIN_VERIFIED,
+        target: { type: AUDIT_TARGET_TYPES.ORGANIZATION, id: organizationId, label: domain },
+        after: { domain }
+      });
+    }
+
+    return NextResponse.json({
+      success: true,
+      message: `${domain} is verified`,
+      data: {
+        ...settings.sso,
+        domains: describeSsoDomains(organizationId, settings.sso),
+        redirectUri: getSsoRedirectUri(),
+        signedInWithSso: session.user.provider === SSO_PROVIDER
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof AuthorizationError) {
+      return NextResponse.json(formatAuthorizationError(error), { status: error.statusCode });
+    }
+
+    if (error.name === 'OrganizationSettingsError') {
+      return NextResponse.json(
+        { success: false, error: error.message, code: error.code },
+        { status: error.statusCode }
+      );
+    }
+
+    console.error('Error verifying SSO domain:', error);
+    return NextResponse.json(
+      { error: 'Failed to verify domain' },
+      { status: 500 }
+    );
+  }
+}
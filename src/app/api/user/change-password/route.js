@@ -9,6 +9,8 @@ import { authOptions } from '@/app/api/auth/[...nextauth]/route';
 import { getCollection } from '@/lib/mongodb';
 import { ObjectId } from 'mongodb';
 import bcrypt from 'bcryptjs';
+import { SESSION_REVOKE_REASONS, revokeUserSessions } from '@/lib/auth/user-sessions';
+import { reissueSessionToken } from '@/lib/auth/session-token';
 
 /**
  * POST /api/user/change-password - Change user password
@@ -93,32 +95,50 @@ export async function POST(request) {
     const saltRounds = 12;
     const hashedNewPassword = await bcrypt.hash(newPassword, saltRounds);
 
-    // Update password in database
-    const updateResult = await usersCollection.updateOne(
+    // Update password in database; sessions carry the version they were
+    // issued with and are rejected once it changes
+    const updatedUser = await usersCollection.findOneAndUpdate(
       { _id: userId },
       { 
         $set: { 
           password: hashedNewPassword,
+          passwordChangedAt: new Date(),
           updatedAt: new Date()
-        }
-      }
+        },
+        $inc: { sessionVersion: 1 }
+      },
+      { returnDocument: 'after', projection: { sessionVersion: 1 } }
     );
 
-    if (updateResult.modifiedCount === 0) {
+    if (!updatedUser) {
       return NextResponse.json(
         { error: 'Failed to update password' },
         { status: 500 }
       );
     }
 
+    // Anyone else signed in with the old password is signed out; this session stays
+    const signedOutSessions = await revokeUserSessions(userId, {
+      exceptSessionId: session.user.sessionId,
+      reason: SESSION_REVOKE_REASONS.PASSWORD_CHANGED
+    });
+
     // Log password change for security audit
     console.log(`Password changed for user: ${userId} at ${new Date().toISOString()}`);
 
-    return NextResponse.json({
+    const response = NextResponse.json({
       success: true,
-      message: 'Password updated successfully'
+      message: signedOutSessions > 0
+        ? 'Password updated successfully. Your other sessions have been signed out.'
+        : 'Password updated successfully',
+      signedOutSessions
     });
 
+    // This device gets a token with the new version so it stays signed in
+    await reissueSessionToken(request, response, { sessionVersion: updatedUser.sessionVersion }, authOptions.session.maxAge);
+
+    return response;
+
   } catch (error) {
     console.error('Error changing password:', error);
     return NextResponse.json(
@@ -157,7 +177,7 @@ export async function GET(request) {
     // Determine if user can change password
     const canChangePassword = !!(user.password);
     const isOAuthUser = !user.password;
-    const provider = isOAuthUser ? 'google' : 'email';
+    const provider = isOAuthUser ? (user.provider === 'sso' ? 'sso' : 'google') : 'email';
 
     return NextResponse.json({
       success: true,
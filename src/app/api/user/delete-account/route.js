@@ -1,6 +1,8 @@
 /**
  * Delete Account API
- * Handles permanent account deletion with all associated data
+ * Handles permanent account deletion. Only the account's own organization
+ * (its personal workspace) is deleted with it; records it added to teams it
+ * joined belong to those teams and stay
  */
 
 import { NextResponse } from 'next/server';
@@ -8,6 +10,42 @@ import { getServerSession } from 'next-auth';
 import { authOptions } from '@/app/api/auth/[...nextauth]/route';
 import { getCollection } from '@/lib/mongodb';
 import { ObjectId } from 'mongodb';
+import { SESSION_REVOKE_REASONS, revokeUserSessions } from '@/lib/auth/user-sessions';
+import { COLLECTIONS } from '@/lib/team/invitation-db';
+import { MEMBER_STATUS } from '@/lib/team/invitation-models';
+import { recordAuditEvent, AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '@/lib/audit/audit-log';
+
+/**
+ * Queries for the records that go with an account: those of its own
+ * organization, which is keyed by its user ID, and any it created before
+ * records were scoped to an organization
+ * @param {ObjectId} userId - User ID
+ * @param {string} createdByField - Field holding the creator
+ * @returns {Object} MongoDB query
+ */
+function personalRecordsQuery(userId, createdByField) {
+  return {
+    $or: [
+      { organizationId: userId },
+      { organizationId: { $exists: false }, [createdByField]: userId }
+    ]
+  };
+}
+
+/**
+ * Active members of the account's own organization other than itself
+ * @param {Collection} membersCollection - Team members collection
+ * @param {ObjectId} userId - User ID (and organization ID)
+ * @returns {Promise<number>} Member count
+ */
+function countOtherTeamMembers(membersCollection, userId) {
+  return membersCollection.countDocuments({
+    organizationId: userId,
+    userId: { $ne: userId },
+    status: MEMBER_STATUS.ACTIVE,
+    'metadata.isActive': { $ne: false }
+  });
+}
 
 /**
  * DELETE /api/user/delete-account - Permanently delete user account and all data
@@ -37,14 +75,38 @@ export async function DELETE(request) {
       usersCollection,
       candidatesCollection,
       jobsCollection,
-      interviewsCollection
+      interviewsCollection,
+      membersCollection
     ] = await Promise.all([
       getCollection('users'),
       getCollection('candidates'),
       getCollection('jobs'),
-      getCollection('interviews')
+      getCollection('interviews'),
+      getCollection(COLLECTIONS.MEMBERS)
     ]);
 
+    // The owner's team would lose its whole pipeline, so it has to be emptied first
+    if (await countOtherTeamMembers(membersCollection, userId) > 0) {
+      return NextResponse.json(
+        {
+          error: 'Your organization still has other team members. Remove them under Settings → Team before deleting your account.',
+          code: 'ORGANIZATION_HAS_MEMBERS'
+        },
+        { status: 409 }
+      );
+    }
+
+    const user = await usersCollection.findOne({ _id: userId }, { projection: { email: 1, name: 1 } });
+    if (!user) {
+      return NextResponse.json(
+        { error: 'User account not found or already deleted' },
+        { status: 404 }
+      );
+    }
+    const memberships = await membersCollection
+      .find({ userId, organizationId: { $ne: userId }, status: MEMBER_STATUS.ACTIVE })
+      .toArray();
+
     // Delete user data sequentially (simpler approach without transactions)
     const deletionResults = {
       candidates: 0,
@@ -54,24 +116,36 @@ export async function DELETE(request) {
     };
 
     try {
-      // Delete user's candidates
-      const candidatesResult = await candidatesCollection.deleteMany({ 
-        'metadata.createdBy': userId 
-      });
+      // Delete the candidates of the user's own organization
+      const candidatesResult = await candidatesCollection.deleteMany(
+        personalRecordsQuery(userId, 'metadata.createdBy')
+      );
       deletionResults.candidates = candidatesResult.deletedCount;
 
-      // Delete user's job postings
-      const jobsResult = await jobsCollection.deleteMany({ 
-        createdBy: userId 
-      });
+      // Delete its job postings
+      const jobsResult = await jobsCollection.deleteMany(
+        personalRecordsQuery(userId, 'createdBy')
+      );
       deletionResults.jobs = jobsResult.deletedCount;
 
-      // Delete user's interviews
-      const interviewsResult = await interviewsCollection.deleteMany({ 
-        'metadata.createdBy': userId 
-      });
+      // Delete its interviews
+      const interviewsResult = await interviewsCollection.deleteMany(
+        personalRecordsQuery(userId, 'metadata.createdBy')
+      );
       deletionResults.interviews = interviewsResult.deletedCount;
 
+      // Leave the teams the user joined; what they added stays with those teams
+      await membersCollection.updateMany(
+        { userId, organizationId: { $ne: userId } },
+        {
+          $set: {
+            status: MEMBER_STATUS.INACTIVE,
+            'metadata.isActive': false,
+            'metadata.updatedAt': new Date()
+          }
+        }
+      );
+
       // Finally, delete the user account
       const userResult = await usersCollection.deleteOne({ 
         _id: userId 
@@ -85,6 +159,26 @@ export async function DELETE(request) {
         );
       }
 
+      // Every session of the deleted account stops working, not just this one
+      await revokeUserSessions(userId, { reason: SESSION_REVOKE_REASONS.ACCOUNT_DELETED });
+
+      const label = user.name || user.email;
+      await recordAuditEvent({
+        organizationId: userId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.ACCOUNT_DELETED,
+        target: { type: AUDIT_TARGET_TYPES.ORGANIZATION, id: userId, label },
+        before: { email: user.email },
+        metadata: { deletedData: deletionResults }
+      });
+      await Promise.all(memberships.map(membership => recordAuditEvent({
+        organizationId: membership.organizationId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.ACCOUNT_DELETED,
+        target: { type: AUDIT_TARGET_TYPES.MEMBER, id: membership._id, label },
+        before: { email: user.email, role: membership.role }
+      })));
+
       // Log the account deletion for audit purposes
       console.log(`Account deleted successfully:`, {
         userId: userId.toString(),
@@ -94,7 +188,7 @@ export async function DELETE(request) {
 
       return NextResponse.json({ 
         success: true, 
-        message: 'Account and all associated data have been permanently deleted.',
+        message: 'Account and its data have been permanently deleted.',
         deletedData: deletionResults
       });
 
@@ -131,17 +225,20 @@ export async function GET(request) {
     const [
       candidatesCollection,
       jobsCollection,
-      interviewsCollection
+      interviewsCollection,
+      membersCollection
     ] = await Promise.all([
       getCollection('candidates'),
       getCollection('jobs'),
-      getCollection('interviews')
+      getCollection('interviews'),
+      getCollection(COLLECTIONS.MEMBERS)
     ]);
 
-    const [candidatesCount, jobsCount, interviewsCount] = await Promise.all([
-      candidatesCollection.countDocuments({ 'metadata.createdBy': userId }),
-      jobsCollection.countDocuments({ createdBy: userId }),
-      interviewsCollection.countDocuments({ 'metadata.createdBy': userId })
+    const [candidatesCount, jobsCount, interviewsCount, teamMembersCount] = await Promise.all([
+      candidatesCollection.countDocuments(personalRecordsQuery(userId, 'metadata.createdBy')),
+      jobsCollection.countDocuments(personalRecordsQuery(userId, 'createdBy')),
+      interviewsCollection.countDocuments(personalRecordsQuery(userId, 'metadata.createdBy')),
+      countOtherTeamMembers(membersCollection, userId)
     ]);
 
     return NextResponse.json({
@@ -150,7 +247,8 @@ export async function GET(request) {
         candidatesCount,
         jobsCount,
         interviewsCount,
-        totalItems: candidatesCount + jobsCount + interviewsCount
+        totalItems: candidatesCount + jobsCount + interviewsCount,
+        teamMembersCount
       }
     });
 
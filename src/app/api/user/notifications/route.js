@@ -0,0 +1,93 @@
+/**
+ * User Notification Preferences API Routes
+ * Handles how the current user receives each notification email
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../auth/[...nextauth]/route.js';
+import {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  formatNotificationPreferencesError
+} from '@/lib/notifications/notification-preferences.js';
+
+/**
+ * GET /api/user/notifications
+ * Retrieves the current user's notification preferences
+ */
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: { message: 'Authentication required', code: 'UNAUTHORIZED' } },
+        { status: 401 }
+      );
+    }
+
+    const preferences = await getNotificationPreferences(session.user.id);
+
+    return NextResponse.json({
+      success: true,
+      data: preferences
+    });
+
+  } catch (error) {
+    console.error('Notification preferences GET error:', error);
+    const errorResponse = formatNotificationPreferencesError(error);
+
+    const statusCode = error.code === 'USER_NOT_FOUND' ? 404 : 500;
+    return NextResponse.json(errorResponse, { status: statusCode });
+  }
+}
+
+/**
+ * PUT /api/user/notifications
+ * Updates the current user's notification preferences
+ * Body: { preferences?: { [event]: 'immediate' | 'digest' | 'off' }, digestFrequency?: 'daily' | 'weekly' | 'off' }
+ */
+export async function PUT(request) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: { message: 'Authentication required', code: 'UNAUTHORIZED' } },
+        { status: 401 }
+      );
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (parseError) {
+      return NextResponse.json(
+        { success: false, error: { message: 'Invalid request format. Please send valid JSON.', code: 'INVALID_JSON' } },
+        { status: 400 }
+      );
+    }
+
+    const preferences = await updateNotificationPreferences(session.user.id, body?.preferences, body?.digestFrequency);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Notification preferences saved',
+      data: preferences
+    });
+
+  } catch (error) {
+    console.error('Notification preferences PUT error:', error);
+    const errorResponse = formatNotificationPreferencesError(error);
+
+    let statusCode = 500;
+    if (error.code === 'USER_NOT_FOUND') {
+      statusCode = 404;
+    } else if (error.code === 'USER_ID_REQUIRED' || error.code === 'PREFERENCES_INVALID_TYPE' || error.field) {
+      statusCode = 400;
+    }
+
+    return NextResponse.json(errorResponse, { status: statusCode });
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * User Session API Route
+ * Signs out one of the current user's sessions
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../auth/[...nextauth]/route.js';
+import {
+  revokeUserSession,
+  getUserSessionErrorStatus,
+  formatUserSessionError
+} from '@/lib/auth/user-sessions.js';
+
+/**
+ * DELETE /api/user/sessions/[sessionId]
+ * The session is signed out on its next request
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: { message: 'Authentication required', code: 'UNAUTHORIZED' } },
+        { status: 401 }
+      );
+    }
+
+    const { sessionId } = await params;
+    await revokeUserSession(session.user.id, sessionId);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Session signed out',
+      data: { isCurrent: sessionId === session.user.sessionId }
+    });
+
+  } catch (error) {
+    console.error('Session DELETE error:', error);
+    return NextResponse.json(formatUserSessionError(error), { status: getUserSessionErrorStatus(error) });
+  }
+}
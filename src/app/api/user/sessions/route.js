@@ -0,0 +1,74 @@
+/**
+ * User Sessions API Route
+ * Lists where the current user is signed in and signs them out everywhere
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../auth/[...nextauth]/route.js';
+import {
+  SESSION_REVOKE_REASONS,
+  listUserSessions,
+  revokeUserSessions,
+  getUserSessionErrorStatus,
+  formatUserSessionError
+} from '@/lib/auth/user-sessions.js';
+
+/**
+ * GET /api/user/sessions
+ * Returns the active sessions, the current one first and marked isCurrent
+ */
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: { message: 'Authentication required', code: 'UNAUTHORIZED' } },
+        { status: 401 }
+      );
+    }
+
+    const sessions = await listUserSessions(session.user.id, session.user.sessionId);
+
+    return NextResponse.json({
+      success: true,
+      data: sessions
+    });
+
+  } catch (error) {
+    console.error('Sessions GET error:', error);
+    return NextResponse.json(formatUserSessionError(error), { status: getUserSessionErrorStatus(error) });
+  }
+}
+
+/**
+ * DELETE /api/user/sessions
+ * Signs out every session, including this one; the client then clears its cookie
+ */
+export async function DELETE() {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: { message: 'Authentication required', code: 'UNAUTHORIZED' } },
+        { status: 401 }
+      );
+    }
+
+    const revokedCount = await revokeUserSessions(session.user.id, {
+      reason: SESSION_REVOKE_REASONS.SIGNED_OUT_EVERYWHERE
+    });
+
+    return NextResponse.json({
+      success: true,
+      message: 'Signed out everywhere',
+      data: { revokedCount }
+    });
+
+  } catch (error) {
+    console.error('Sessions DELETE error:', error);
+    return NextResponse.json(formatUserSessionError(error), { status: getUserSessionErrorStatus(error) });
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Recovery Codes API Route
+ * Replaces the current user's two-factor recovery codes
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../../auth/[...nextauth]/route.js';
+import {
+  regenerateRecoveryCodes,
+  getTwoFactorErrorStatus,
+  formatTwoFactorError
+} from '@/lib/auth/two-factor.js';
+
+/**
+ * POST /api/user/two-factor/recovery-codes
+ * Body: { code } from the authenticator app
+ * Returns a new set of recovery codes; the previous ones stop working
+ */
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: { message: 'Authentication required', code: 'UNAUTHORIZED' } },
+        { status: 401 }
+      );
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (parseError) {
+      return NextResponse.json(
+        { success: false, error: { message: 'Invalid request format. Please send valid JSON.', code: 'INVALID_JSON' } },
+        { status: 400 }
+      );
+    }
+
+    const result = await regenerateRecoveryCodes(session.user.id, body?.code);
+
+    return NextResponse.json({
+      success: true,
+      message: 'New recovery codes created',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Recovery codes POST error:', error);
+    return NextResponse.json(formatTwoFactorError(error), { status: getTwoFactorErrorStatus(error) });
+  }
+}
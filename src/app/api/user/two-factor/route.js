@@ -0,0 +1,152 @@
+/**
+ * Two-Factor Authentication API Routes
+ * Handles enrolling in, checking and turning off TOTP two-factor authentication
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../auth/[...nextauth]/route.js';
+import {
+  getTwoFactorStatus,
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  disableTwoFactor,
+  getTwoFactorErrorStatus,
+  formatTwoFactorError
+} from '@/lib/auth/two-factor.js';
+
+/**
+ * GET /api/user/two-factor
+ * Retrieves the current user's two-factor status and whether their organization requires it
+ */
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: { message: 'Authentication required', code: 'UNAUTHORIZED' } },
+        { status: 401 }
+      );
+    }
+
+    const status = await getTwoFactorStatus(session.user.id);
+
+    return NextResponse.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    console.error('Two-factor GET error:', error);
+    return NextResponse.json(formatTwoFactorError(error), { status: getTwoFactorErrorStatus(error) });
+  }
+}
+
+/**
+ * POST /api/user/two-factor
+ * Starts enrollment: returns a new secret and its otpauth:// URI for the authenticator app
+ */
+export async function POST() {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: { message: 'Authentication required', code: 'UNAUTHORIZED' } },
+        { status: 401 }
+      );
+    }
+
+    const enrollment = await startTwoFactorEnrollment(session.user.id);
+
+    return NextResponse.json({
+      success: true,
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('Two-factor POST error:', error);
+    return NextResponse.json(formatTwoFactorError(error), { status: getTwoFactorErrorStatus(error) });
+  }
+}
+
+/**
+ * PUT /api/user/two-factor
+ * Confirms enrollment with a code from the authenticator app
+ * Body: { code }
+ * Returns the recovery codes; they are not shown again
+ */
+export async function PUT(request) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: { message: 'Authentication required', code: 'UNAUTHORIZED' } },
+        { status: 401 }
+      );
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (parseError) {
+      return NextResponse.json(
+        { success: false, error: { message: 'Invalid request format. Please send valid JSON.', code: 'INVALID_JSON' } },
+        { status: 400 }
+      );
+    }
+
+    const result = await confirmTwoFactorEnrollment(session.user.id, body?.code);
+
+    return NextResponse.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Two-factor PUT error:', error);
+    return NextResponse.json(formatTwoFactorError(error), { status: getTwoFactorErrorStatus(error) });
+  }
+}
+
+/**
+ * DELETE /api/user/two-factor
+ * Turns two-factor authentication off
+ * Body: { password, code } where code is an authenticator or recovery code
+ */
+export async function DELETE(request) {
+  try {
+    const session = await getServerSession(authOptions);
+
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { success: false, error: { message: 'Authentication required', code: 'UNAUTHORIZED' } },
+        { status: 401 }
+      );
+    }
+
+    let body;
+    try {
+      body = await request.json();
+    } catch (parseError) {
+      return NextResponse.json(
+        { success: false, error: { message: 'Invalid request format. Please send valid JSON.', code: 'INVALID_JSON' } },
+        { status: 400 }
+      );
+    }
+
+    await disableTwoFactor(session.user.id, { password: body?.password, code: body?.code });
+
+    return NextResponse.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor DELETE error:', error);
+    return NextResponse.json(formatTwoFactorError(error), { status: getTwoFactorErrorStatus(error) });
+  }
+}
@@ -0,0 +1,177 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { signOut } from 'next-auth/react';
+import { Monitor, Smartphone, LogOut, Loader2, RefreshCw, XCircle } from 'lucide-react';
+import {
+    Button,
+    Badge,
+    Card,
+    CardContent,
+    CardHeader,
+    CardTitle
+} from '@/components/ui/common';
+
+// Where the current user is signed in, with remote sign-out
+function ActiveSessionsCard() {
+    const [sessions, setSessions] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [pendingId, setPendingId] = useState(null);
+    const [isSigningOutEverywhere, setIsSigningOutEverywhere] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        loadSessions();
+    }, []);
+
+    const loadSessions = async () => {
+        setIsLoading(true);
+        try {
+            const response = await fetch('/api/user/sessions');
+            const data = await response.json();
+
+            if (data.success) {
+                setSessions(data.data);
+                setError('');
+            } else {
+                setError(data.error?.message || 'Failed to load sessions');
+            }
+        } catch (loadError) {
+            console.error('Error loading sessions:', loadError);
+            setError('Network error. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const handleSignOutSession = async (session) => {
+        // Signing out here goes through the normal sign-out, which also ends the session
+        if (session.isCurrent) {
+            await signOut({ callbackUrl: '/login' });
+            return;
+        }
+
+        setPendingId(session.id);
+        setError('');
+        try {
+            const response = await fetch(`/api/user/sessions/${session.id}`, { method: 'DELETE' });
+            const data = await response.json();
+
+            if (data.success) {
+                setSessions(current => current.filter(item => item.id !== session.id));
+            } else {
+                setError(data.error?.message || 'Failed to sign out session');
+            }
+        } catch (signOutError) {
+            console.error('Error signing out session:', signOutError);
+            setError('Network error. Please try again.');
+        } finally {
+            setPendingId(null);
+        }
+    };
+
+    const handleSignOutEverywhere = async () => {
+        if (!window.confirm('Sign out of every device, including this one?')) {
+            return;
+        }
+
+        setIsSigningOutEverywhere(true);
+        setError('');
+        try {
+            const response = await fetch('/api/user/sessions', { method: 'DELETE' });
+            const data = await response.json();
+
+            if (data.success) {
+                await signOut({ callbackUrl: '/login' });
+                return;
+            }
+            setError(data.error?.message || 'Failed to sign out everywhere');
+        } catch (signOutError) {
+            console.error('Error signing out everywhere:', signOutError);
+            setError('Network error. Please try again.');
+        }
+        setIsSigningOutEverywhere(false);
+    };
+
+    return (
+        <Card>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0">
+                <CardTitle>Active Sessions</CardTitle>
+                <Button variant="ghost" size="sm" onClick={loadSessions} disabled={isLoading}>
+                    <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+                </Button>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                <p className="text-sm text-muted-foreground">
+                    Devices where you&apos;re signed in. Changing your password signs out all of them except this one.
+                </p>
+
+                {error && (
+                    <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                        <div className="flex items-center gap-2">
+                            <XCircle className="h-4 w-4 text-red-600" />
+                            <p className="text-sm text-red-800">{error}</p>
+                        </div>
+                    </div>
+                )}
+
+                {isLoading && sessions.length === 0 ? (
+                    <div className="flex items-center justify-center py-6">
+                        <Loader2 className="h-6 w-6 animate-spin" />
+                    </div>
+                ) : (
+                    <div className="divide-y border rounded-md">
+                        {sessions.map(session => {
+                            const DeviceIcon = session.isMobile ? Smartphone : Monitor;
+
+                            return (
+                                <div key={session.id} className="flex items-center justify-between gap-4 px-3 py-2 text-sm">
+                                    <div className="flex items-start gap-2 min-w-0">
+                                        <DeviceIcon className="h-4 w-4 text-muted-foreground mt-0.5 flex-shrink-0" />
+                                        <div className="min-w-0">
+                                            <p className="font-medium truncate">
+                                                {session.device}
+                                                {session.isCurrent && (
+                                                    <Badge variant="success" className="ml-2">This device</Badge>
+                                                )}
+                                            </p>
+                                            <p className="text-xs text-muted-foreground">
+                                                {session.ipAddress || 'Unknown IP'}
+                                                {' · '}Last seen {new Date(session.lastSeenAt).toLocaleString()}
+                                                {' · '}Signed in {new Date(session.createdAt).toLocaleDateString()}
+                                            </p>
+                                        </div>
+                                    </div>
+                                    <Button
+                                        variant="ghost"
+                                        size="sm"
+                                        onClick={() => handleSignOutSession(session)}
+                                        disabled={pendingId === session.id || isSigningOutEverywhere}
+                                    >
+                                        {pendingId === session.id
+                                            ? <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                                            : <LogOut className="mr-2 h-4 w-4" />}
+                                        Sign out
+                                    </Button>
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+
+                <div className="flex justify-end">
+                    <Button
+                        variant="outline"
+                        onClick={handleSignOutEverywhere}
+                        disabled={isSigningOutEverywhere || sessions.length === 0}
+                    >
+                        {isSigningOutEverywhere && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                        Sign out everywhere
+                    </Button>
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
+
+export { ActiveSessionsCard };
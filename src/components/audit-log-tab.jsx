@@ -0,0 +1,357 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { ScrollText, Download, Loader2, AlertCircle, RefreshCw, ChevronDown, ChevronRight } from 'lucide-react';
+import {
+    Button,
+    Input,
+    Label,
+    Select,
+    Badge,
+    Card,
+    CardContent,
+    CardHeader,
+    CardTitle
+} from '@/components/ui/common';
+
+const ACTION_LABELS = {
+    'candidate.created': 'Candidate created',
+    'candidate.updated': 'Candidate updated',
+    'candidate.deleted': 'Candidate deleted',
+    'candidate.stage_changed': 'Stage changed',
+    'candidate.closed': 'Candidate closed',
+    'candidate.reopened': 'Candidate reopened',
+    'document.uploaded': 'Document uploaded',
+    'document.downloaded': 'Document downloaded',
+    'document.deleted': 'Document deleted',
+    'interview.scheduled': 'Interview scheduled',
+    'interview.updated': 'Interview updated',
+    'interview.deleted': 'Interview deleted',
+    'interview.scorecard_submitted': 'Scorecard submitted',
+    'job.created': 'Job created',
+    'job.updated': 'Job updated',
+    'job.archived': 'Job archived',
+    'team.member_invited': 'Member invited',
+    'team.member_joined': 'Member joined',
+    'team.invitation_revoked': 'Invitation revoked',
+    'team.member_provisioned': 'Member added by SSO',
+    'team.security_settings_updated': 'Security settings changed',
+    'team.sso_domain_verified': 'SSO domain verified',
+    'team.account_deleted': 'Account deleted'
+};
+
+const TARGET_LABELS = {
+    candidate: 'Candidates',
+    document: 'Documents',
+    interview: 'Interviews',
+    job: 'Jobs',
+    invitation: 'Invitations',
+    member: 'Members',
+    organization: 'Organization'
+};
+
+const EMPTY_FILTERS = {
+    action: '',
+    actorId: '',
+    targetType: '',
+    from: '',
+    to: ''
+};
+
+/**
+ * Builds the query string for the chosen filters
+ * @param {Object} filters - Filter state
+ * @returns {URLSearchParams} Query parameters without empty filters
+ */
+function buildFilterParams(filters) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) {
+            params.set(key, value);
+        }
+    });
+    return params;
+}
+
+/**
+ * Shows a changed value compactly
+ * @param {*} value - Value from the diff
+ * @returns {string} Display text
+ */
+function formatChangeValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return '—';
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Admin view of the organization's audit log with filters and CSV export
+function AuditLogTab() {
+    const [entries, setEntries] = useState([]);
+    const [pagination, setPagination] = useState(null);
+    const [options, setOptions] = useState({ actions: [], targetTypes: [], members: [] });
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [expandedId, setExpandedId] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isForbidden, setIsForbidden] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        loadEntries(EMPTY_FILTERS, 1);
+    }, []);
+
+    const loadEntries = async (activeFilters, page) => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const params = buildFilterParams(activeFilters);
+            params.set('page', String(page));
+            params.set('limit', '25');
+
+            const response = await fetch(`/api/team/audit-log?${params.toString()}`);
+            const data = await response.json();
+
+            if (response.status === 403) {
+                setIsForbidden(true);
+                return;
+            }
+
+            if (data.success) {
+                setEntries(data.data);
+                setPagination(data.pagination);
+                setOptions({ actions: data.actions, targetTypes: data.targetTypes, members: data.members });
+            } else {
+                setError(data.error || 'Failed to load the audit log');
+            }
+        } catch (loadError) {
+            console.error('Error loading audit log:', loadError);
+            setError('Network error. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const updateFilter = (field, value) => {
+        setFilters(current => ({ ...current, [field]: value }));
+    };
+
+    const handleApply = () => {
+        loadEntries(filters, 1);
+    };
+
+    const handleReset = () => {
+        setFilters(EMPTY_FILTERS);
+        loadEntries(EMPTY_FILTERS, 1);
+    };
+
+    const handleExport = () => {
+        // The browser downloads the CSV from the export endpoint with the same filters
+        window.location.href = `/api/team/audit-log/export?${buildFilterParams(filters).toString()}`;
+    };
+
+    if (isForbidden) {
+        return (
+            <Card>
+                <CardContent className="flex items-center gap-2 py-6 text-sm text-muted-foreground">
+                    <AlertCircle className="h-4 w-4" />
+                    Only Admins can view the audit log.
+                </CardContent>
+            </Card>
+        );
+    }
+
+    return (
+        <Card>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0">
+                <CardTitle className="flex items-center gap-2">
+                    <ScrollText className="h-5 w-5" />
+                    Audit Log
+                </CardTitle>
+                <div className="flex items-center gap-2">
+                    <Button variant="outline" size="sm" onClick={handleExport} disabled={isLoading}>
+                        <Download className="mr-2 h-4 w-4" />
+                        Export CSV
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={() => loadEntries(filters, pagination?.page || 1)} disabled={isLoading}>
+                        <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+                    </Button>
+                </div>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                <p className="text-sm text-muted-foreground">
+                    Every sensitive change in your organization: who made it, what changed, from which IP address and when. Entries can&apos;t be edited or deleted.
+                </p>
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    <div className="space-y-1">
+                        <Label htmlFor="audit-action">Action</Label>
+                        <Select
+                            id="audit-action"
+                            value={filters.action}
+                            onChange={(e) => updateFilter('action', e.target.value)}
+                        >
+                            <option value="">All actions</option>
+                            {options.actions.map(action => (
+                                <option key={action} value={action}>{ACTION_LABELS[action] || action}</option>
+                            ))}
+                        </Select>
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="audit-target">Record type</Label>
+                        <Select
+                            id="audit-target"
+                            value={filters.targetType}
+                            onChange={(e) => updateFilter('targetType', e.target.value)}
+                        >
+                            <option value="">All records</option>
+                            {options.targetTypes.map(type => (
+                                <option key={type} value={type}>{TARGET_LABELS[type] || type}</option>
+                            ))}
+                        </Select>
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="audit-actor">Member</Label>
+                        <Select
+                            id="audit-actor"
+                            value={filters.actorId}
+                            onChange={(e) => updateFilter('actorId', e.target.value)}
+                        >
+                            <option value="">Anyone</option>
+                            {options.members.map(member => (
+                                <option key={member.userId} value={member.userId}>{member.name}</option>
+                            ))}
+                        </Select>
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="audit-from">From</Label>
+                        <Input
+                            id="audit-from"
+                            type="date"
+                            value={filters.from}
+                            onChange={(e) => updateFilter('from', e.target.value)}
+                        />
+                    </div>
+                    <div className="space-y-1">
+                        <Label htmlFor="audit-to">To</Label>
+                        <Input
+                            id="audit-to"
+                            type="date"
+                            value={filters.to}
+                            onChange={(e) => updateFilter('to', e.target.value)}
+                        />
+                    </div>
+                    <div className="flex items-end gap-2">
+                        <Button onClick={handleApply} disabled={isLoading}>
+                            {isLoading && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                            Apply
+                        </Button>
+                        <Button variant="ghost" onClick={handleReset} disabled={isLoading}>
+                            Reset
+                        </Button>
+                    </div>
+                </div>
+
+                {error && (
+                    <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                        <div className="flex items-center gap-2">
+                            <AlertCircle className="h-4 w-4 text-red-600" />
+                            <p className="text-sm text-red-800">{error}</p>
+                        </div>
+                    </div>
+                )}
+
+                {isLoading && entries.length === 0 ? (
+                    <div className="flex items-center justify-center py-8">
+                        <Loader2 className="h-6 w-6 animate-spin" />
+                    </div>
+                ) : entries.length === 0 ? (
+                    <p className="text-sm text-muted-foreground">No entries match these filters.</p>
+                ) : (
+                    <div className="divide-y border rounded-md">
+                        {entries.map(entry => {
+                            const isExpanded = expandedId === entry.id;
+                            const hasDetails = entry.changes.length > 0 || entry.metadata;
+
+                            return (
+                                <div key={entry.id} className="px-3 py-2 text-sm">
+                                    <button
+                                        type="button"
+                                        className="flex w-full items-start justify-between gap-4 text-left"
+                                        onClick={() => setExpandedId(isExpanded ? null : entry.id)}
+                                        disabled={!hasDetails}
+                                    >
+                                        <div className="flex items-start gap-2 min-w-0">
+                                            {hasDetails
+                                                ? (isExpanded
+                                                    ? <ChevronDown className="h-4 w-4 mt-0.5 flex-shrink-0 text-muted-foreground" />
+                                                    : <ChevronRight className="h-4 w-4 mt-0.5 flex-shrink-0 text-muted-foreground" />)
+                                                : <span className="w-4 flex-shrink-0" />}
+                                            <div className="min-w-0">
+                                                <p className="font-medium truncate">
+                                                    {ACTION_LABELS[entry.action] || entry.action}
+                                                    {entry.targetLabel && (
+                                                        <span className="font-normal text-muted-foreground"> · {entry.targetLabel}</span>
+                                                    )}
+                                                </p>
+                                                <p className="text-xs text-muted-foreground">
+                                                    {entry.actorName || entry.actorEmail || (entry.actorId ? 'Former user' : 'System')}
+                                                    {entry.ipAddress ? ` · ${entry.ipAddress}` : ''}
+                                                    {' · '}{new Date(entry.createdAt).toLocaleString()}
+                                                </p>
+                                            </div>
+                                        </div>
+                                        <Badge variant="outline">{TARGET_LABELS[entry.targetType] || entry.targetType}</Badge>
+                                    </button>
+
+                                    {isExpanded && (
+                                        <div className="mt-2 ml-6 space-y-1 text-xs">
+                                            {entry.changes.map(change => (
+                                                <p key={change.field} className="break-all">
+                                                    <span className="font-mono text-muted-foreground">{change.field}</span>
+                                                    {': '}{formatChangeValue(change.from)}{' → '}{formatChangeValue(change.to)}
+                                                </p>
+                                            ))}
+                                            {entry.metadata && Object.entries(entry.metadata).map(([key, value]) => (
+                                                <p key={key} className="break-all text-muted-foreground">
+                                                    {key}: {formatChangeValue(value)}
+                                                </p>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+
+                {pagination && pagination.pages > 1 && (
+                    <div className="flex items-center justify-between text-sm">
+                        <span className="text-muted-foreground">
+                            Page {pagination.page} of {pagination.pages} · {pagination.total} entries
+                        </span>
+                        <div className="flex gap-2">
+                            <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => loadEntries(filters, pagination.page - 1)}
+                                disabled={!pagination.hasPrev || isLoading}
+                            >
+                                Previous
+                            </Button>
+                            <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => loadEntries(filters, pagination.page + 1)}
+                                disabled={!pagination.hasNext || isLoading}
+                            >
+                                Next
+                            </Button>
+                        </div>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+export { AuditLogTab };
@@ -0,0 +1,601 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { Zap, Loader2, AlertCircle, Plus, Pencil, Trash2, RefreshCw } from 'lucide-react';
+import {
+    Button,
+    Input,
+    Label,
+    Select,
+    Textarea,
+    Badge,
+    Card,
+    CardContent,
+    CardHeader,
+    CardTitle
+} from '@/components/ui/common';
+import { cn } from '@/lib/utils';
+
+const ROLES = ['Admin', 'Recruiter', 'Interviewer'];
+
+const ACTION_LABELS = {
+    send_template: 'Send email template',
+    create_task: 'Create a task',
+    notify_role: 'Notify a role'
+};
+
+const RUN_STATUS_STYLES = {
+    pending: 'bg-yellow-100 text-yellow-800',
+    running: 'bg-blue-100 text-blue-800',
+    succeeded: 'bg-green-100 text-green-800',
+    skipped: 'bg-gray-100 text-gray-700',
+    failed: 'bg-red-100 text-red-800'
+};
+
+const EMPTY_DRAFT = {
+    id: null,
+    name: '',
+    isEnabled: true,
+    stage: '',
+    jobId: '',
+    delayDays: 0,
+    actionType: 'send_template',
+    templateId: '',
+    title: '',
+    assigneeRole: 'Recruiter',
+    dueInDays: 1,
+    role: 'Admin',
+    message: ''
+};
+
+/**
+ * Builds the API action for the chosen action type
+ * @param {Object} draft - Editor state
+ * @returns {Object} Action
+ */
+function buildAction(draft) {
+    switch (draft.actionType) {
+        case 'send_template':
+            return { type: draft.actionType, templateId: draft.templateId };
+        case 'create_task':
+            return {
+                type: draft.actionType,
+                title: draft.title,
+                assigneeRole: draft.assigneeRole,
+                dueInDays: Number(draft.dueInDays) || 0
+            };
+        default:
+            return { type: draft.actionType, role: draft.role, message: draft.message };
+    }
+}
+
+// Automation Rules Tab Component
+function AutomationRulesTab() {
+    const [rules, setRules] = useState([]);
+    const [runs, setRuns] = useState([]);
+    const [stages, setStages] = useState([]);
+    const [jobs, setJobs] = useState([]);
+    const [emailTemplates, setEmailTemplates] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isLoadingRuns, setIsLoadingRuns] = useState(false);
+    const [error, setError] = useState(null);
+    const [draft, setDraft] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        loadRules();
+        loadRuns();
+        loadOptions();
+    }, []);
+
+    const loadRules = async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const response = await fetch('/api/automations');
+            const data = await response.json();
+
+            if (data.success) {
+                setRules(data.rules || []);
+            } else {
+                setError(data.error || 'Failed to load automation rules');
+            }
+        } catch (error) {
+            console.error('Error loading automation rules:', error);
+            setError('Network error. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const loadRuns = async () => {
+        setIsLoadingRuns(true);
+        try {
+            const response = await fetch('/api/automations/runs?limit=20');
+            const data = await response.json();
+
+            if (data.success) {
+                setRuns(data.runs || []);
+            }
+        } catch (error) {
+            console.error('Error loading automation runs:', error);
+        } finally {
+            setIsLoadingRuns(false);
+        }
+    };
+
+    // Stages of every pipeline, jobs and email templates for the rule editor
+    const loadOptions = async () => {
+        try {
+            const [pipelineResponse, jobsResponse, templatesResponse] = await Promise.all([
+                fetch('/api/pipeline-templates'),
+                fetch('/api/jobs?limit=100'),
+                fetch('/api/email-templates')
+            ]);
+            const [pipelineData, jobsData, templatesData] = await Promise.all([
+                pipelineResponse.json(),
+                jobsResponse.json(),
+                templatesResponse.json()
+            ]);
+
+            if (pipelineData.success) {
+                const byKey = new Map();
+                (pipelineData.templates || []).forEach(template => {
+                    template.stages.forEach(stage => {
+                        if (!byKey.has(stage.key)) byKey.set(stage.key, stage.label);
+                    });
+                });
+                setStages([...byKey].map(([key, label]) => ({ key, label })));
+            }
+            if (jobsData.success) setJobs(jobsData.jobs || []);
+            if (templatesData.success) setEmailTemplates(templatesData.templates || []);
+        } catch (error) {
+            console.error('Error loading automation options:', error);
+        }
+    };
+
+    const openEditor = (rule) => {
+        setError(null);
+
+        if (!rule) {
+            setDraft({
+                ...EMPTY_DRAFT,
+                stage: stages[0]?.key || '',
+                templateId: emailTemplates[0]?.id || ''
+            });
+            return;
+        }
+
+        setDraft({
+            ...EMPTY_DRAFT,
+            id: rule.id,
+            name: rule.name,
+            isEnabled: rule.isEnabled,
+            stage: rule.trigger.stage,
+            jobId: rule.trigger.jobId || '',
+            delayDays: rule.delayDays,
+            actionType: rule.action.type,
+            ...rule.action,
+            templateId: rule.action.templateId || emailTemplates[0]?.id || ''
+        });
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError(null);
+
+        const body = {
+            name: draft.name,
+            isEnabled: draft.isEnabled,
+            trigger: { stage: draft.stage, jobId: draft.jobId || null },
+            action: buildAction(draft),
+            delayDays: Number(draft.delayDays) || 0
+        };
+
+        try {
+            const response = await fetch(draft.id ? `/api/automations/${draft.id}` : '/api/automations', {
+                method: draft.id ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(body),
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setDraft(null);
+                loadRules();
+            } else {
+                setError(data.error || 'Failed to save automation rule');
+            }
+        } catch (error) {
+            console.error('Error saving automation rule:', error);
+            setError('Network error. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleToggle = async (rule) => {
+        try {
+            const response = await fetch(`/api/automations/${rule.id}`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ isEnabled: !rule.isEnabled }),
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setRules(current => current.map(item => (item.id === rule.id ? data.rule : item)));
+            } else {
+                setError(data.error || 'Failed to update automation rule');
+            }
+        } catch (error) {
+            console.error('Error updating automation rule:', error);
+            setError('Network error. Please try again.');
+        }
+    };
+
+    const handleArchive = async (rule) => {
+        if (!confirm(`Are you sure you want to delete the "${rule.name}" rule?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/automations/${rule.id}`, {
+                method: 'DELETE',
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                loadRules();
+            } else {
+                setError(data.error || 'Failed to delete automation rule');
+            }
+        } catch (error) {
+            console.error('Error deleting automation rule:', error);
+            setError('Network error. Please try again.');
+        }
+    };
+
+    const updateDraft = (field, value) => {
+        setDraft(current => ({ ...current, [field]: value }));
+    };
+
+    const stageLabel = (key) => stages.find(stage => stage.key === key)?.label || key;
+
+    const describeRule = (rule) => {
+        const job = rule.trigger.jobId
+            ? ` for ${jobs.find(item => item.id === rule.trigger.jobId)?.title || 'a job'}`
+            : '';
+        const delay = rule.delayDays > 0 ? `, after ${rule.delayDays} day${rule.delayDays === 1 ? '' : 's'}` : '';
+
+        let action;
+        if (rule.action.type === 'send_template') {
+            action = `send "${emailTemplates.find(template => template.id === rule.action.templateId)?.name || 'email template'}"`;
+        } else if (rule.action.type === 'create_task') {
+            action = `create task "${rule.action.title}" for ${rule.action.assigneeRole}s`;
+        } else {
+            action = `notify ${rule.action.role}s`;
+        }
+
+        return `When a candidate enters ${stageLabel(rule.trigger.stage)}${job}, ${action}${delay}`;
+    };
+
+    return (
+        <>
+            {error && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-md flex items-center gap-2">
+                    <AlertCircle className="h-4 w-4 text-red-600 flex-shrink-0" />
+                    <p className="text-sm text-red-800">{error}</p>
+                </div>
+            )}
+
+            {draft ? (
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{draft.id ? 'Edit Rule' : 'New Rule'}</CardTitle>
+                        <p className="text-sm text-muted-foreground mt-1">
+                            Runs after a candidate is moved into the chosen stage
+                        </p>
+                    </CardHeader>
+                    <CardContent>
+                        <form onSubmit={handleSave} className="space-y-4">
+                            <div className="space-y-2">
+                                <Label htmlFor="rule-name">Name</Label>
+                                <Input
+                                    id="rule-name"
+                                    value={draft.name}
+                                    onChange={(e) => updateDraft('name', e.target.value)}
+                                    disabled={isSaving}
+                                    maxLength={100}
+                                />
+                            </div>
+
+                            <div className="grid gap-4 md:grid-cols-3">
+                                <div className="space-y-2">
+                                    <Label htmlFor="rule-stage">When a candidate enters</Label>
+                                    <Select
+                                        id="rule-stage"
+                                        value={draft.stage}
+                                        onChange={(e) => updateDraft('stage', e.target.value)}
+                                        disabled={isSaving}
+                                    >
+                                        {stages.map(stage => (
+                                            <option key={stage.key} value={stage.key}>{stage.label}</option>
+                                        ))}
+                                    </Select>
+                                </div>
+                                <div className="space-y-2">
+                                    <Label htmlFor="rule-job">For job</Label>
+                                    <Select
+                                        id="rule-job"
+                                        value={draft.jobId}
+                                        onChange={(e) => updateDraft('jobId', e.target.value)}
+                                        disabled={isSaving}
+                                    >
+                                        <option value="">Any job</option>
+                                        {jobs.map(job => (
+                                            <option key={job.id} value={job.id}>{job.title}</option>
+                                        ))}
+                                    </Select>
+                                </div>
+                                <div className="space-y-2">
+                                    <Label htmlFor="rule-delay">Delay (days)</Label>
+                                    <Input
+                                        id="rule-delay"
+                                        type="number"
+                                        min={0}
+                                        max={365}
+                                        value={draft.delayDays}
+                                        onChange={(e) => updateDraft('delayDays', e.target.value)}
+                                        disabled={isSaving}
+                                    />
+                                </div>
+                            </div>
+
+                            <div className="space-y-2">
+                                <Label htmlFor="rule-action">Then</Label>
+                                <Select
+                                    id="rule-action"
+                                    value={draft.actionType}
+                                    onChange={(e) => updateDraft('actionType', e.target.value)}
+                                    disabled={isSaving}
+                                >
+                                    {Object.entries(ACTION_LABELS).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                </Select>
+                            </div>
+
+                            {draft.actionType === 'send_template' && (
+                                <div className="space-y-2">
+                                    <Label htmlFor="rule-template">Email template</Label>
+                                    <Select
+                                        id="rule-template"
+                                        value={draft.templateId}
+                                        onChange={(e) => updateDraft('templateId', e.target.value)}
+                                        disabled={isSaving}
+                                    >
+                                        {emailTemplates.map(template => (
+                                            <option key={template.id} value={template.id}>{template.name}</option>
+                                        ))}
+                                    </Select>
+                                    <p className="text-xs text-muted-foreground">
+                                        Sent as the person who moved the candidate
+                                    </p>
+                                </div>
+                            )}
+
+                            {draft.actionType === 'create_task' && (
+                                <div className="grid gap-4 md:grid-cols-3">
+                                    <div className="space-y-2 md:col-span-2">
+                                        <Label htmlFor="rule-task-title">Task</Label>
+                                        <Input
+                                            id="rule-task-title"
+                                            value={draft.title}
+                                            onChange={(e) => updateDraft('title', e.target.value)}
+                                            placeholder="e.g. Schedule the onsite"
+                                            disabled={isSaving}
+                                            maxLength={200}
+                                        />
+                                    </div>
+                                    <div className="space-y-2">
+                                        <Label htmlFor="rule-task-due">Due in (days)</Label>
+                                        <Input
+                                            id="rule-task-due"
+                                            type="number"
+                                            min={0}
+                                            max={365}
+                                            value={draft.dueInDays}
+                                            onChange={(e) => updateDraft('dueInDays', e.target.value)}
+                                            disabled={isSaving}
+                                        />
+                                    </div>
+                                    <div className="space-y-2">
+                                        <Label htmlFor="rule-task-role">Assign to</Label>
+                                        <Select
+                                            id="rule-task-role"
+                                            value={draft.assigneeRole}
+                                            onChange={(e) => updateDraft('assigneeRole', e.target.value)}
+                                            disabled={isSaving}
+                                        >
+                                            {ROLES.map(role => <option key={role} value={role}>{role}s</option>)}
+                                        </Select>
+                                    </div>
+                                </div>
+                            )}
+
+                            {draft.actionType === 'notify_role' && (
+                                <div className="space-y-4">
+                                    <div className="space-y-2">
+                                        <Label htmlFor="rule-role">Notify</Label>
+                                        <Select
+                                            id="rule-role"
+                                            value={draft.role}
+                                            onChange={(e) => updateDraft('role', e.target.value)}
+                                            disabled={isSaving}
+                                        >
+                                            {ROLES.map(role => <option key={role} value={role}>{role}s</option>)}
+                                        </Select>
+                                    </div>
+                                    <div className="space-y-2">
+                                        <Label htmlFor="rule-message">Message (optional)</Label>
+                                        <Textarea
+                                            id="rule-message"
+                                            value={draft.message}
+                                            onChange={(e) => updateDraft('message', e.target.value)}
+                                            disabled={isSaving}
+                                            maxLength={500}
+                                        />
+                                    </div>
+                                </div>
+                            )}
+
+                            <label className="flex items-center gap-2 text-sm">
+                                <input
+                                    type="checkbox"
+                                    checked={draft.isEnabled}
+                                    onChange={(e) => updateDraft('isEnabled', e.target.checked)}
+                                    disabled={isSaving}
+                                />
+                                Enabled
+                            </label>
+
+                            <div className="flex justify-end gap-2">
+                                <Button
+                                    type="button"
+                                    variant="outline"
+                                    onClick={() => setDraft(null)}
+                                    disabled={isSaving}
+                                >
+                                    Cancel
+                                </Button>
+                                <Button type="submit" disabled={isSaving}>
+                                    {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                                    Save Rule
+                                </Button>
+                            </div>
+                        </form>
+                    </CardContent>
+                </Card>
+            ) : (
+                <Card>
+                    <CardHeader className="flex flex-row items-center justify-between">
+                        <div>
+                            <CardTitle>Automations</CardTitle>
+                            <p className="text-sm text-muted-foreground mt-1">
+                                Follow-ups that happen automatically when a candidate changes stage
+                            </p>
+                        </div>
+                        <Button size="sm" onClick={() => openEditor(null)} disabled={stages.length === 0}>
+                            <Plus className="mr-2 h-4 w-4" />
+                            New Rule
+                        </Button>
+                    </CardHeader>
+                    <CardContent>
+                        {isLoading ? (
+                            <div className="flex items-center justify-center py-8">
+                                <Loader2 className="h-6 w-6 animate-spin" />
+                            </div>
+                        ) : rules.length === 0 ? (
+                            <p className="text-sm text-muted-foreground text-center py-6">No automation rules yet</p>
+                        ) : (
+                            <div className="space-y-3">
+                                {rules.map(rule => (
+                                    <div
+                                        key={rule.id}
+                                        className="flex items-center justify-between p-4 border rounded-lg hover:bg-gray-50 transition-colors"
+                                    >
+                                        <div className="flex items-start gap-3 min-w-0">
+                                            <Zap className={cn('h-5 w-5 mt-0.5 flex-shrink-0', rule.isEnabled ? 'text-yellow-500' : 'text-gray-300')} />
+                                            <div className="min-w-0">
+                                                <div className="flex items-center gap-2">
+                                                    <p className="font-medium text-sm">{rule.name}</p>
+                                                    {!rule.isEnabled && <Badge variant="secondary">Paused</Badge>}
+                                                </div>
+                                                <p className="text-xs text-gray-500">{describeRule(rule)}</p>
+                                            </div>
+                                        </div>
+                                        <div className="flex items-center gap-1 flex-shrink-0">
+                                            <Button size="sm" variant="ghost" onClick={() => handleToggle(rule)}>
+                                                {rule.isEnabled ? 'Pause' : 'Resume'}
+                                            </Button>
+                                            <Button
+                                                size="sm"
+                                                variant="ghost"
+                                                onClick={() => openEditor(rule)}
+                                                title="Edit"
+                                            >
+                                                <Pencil className="h-4 w-4" />
+                                            </Button>
+                                            <Button
+                                                size="sm"
+                                                variant="ghost"
+                                                onClick={() => handleArchive(rule)}
+                                                className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                                                title="Delete"
+                                            >
+                                                <Trash2 className="h-4 w-4" />
+                                            </Button>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </CardContent>
+                </Card>
+            )}
+
+            <Card>
+                <CardHeader className="flex flex-row items-center justify-between">
+                    <div>
+                        <CardTitle>Recent Runs</CardTitle>
+                        <p className="text-sm text-muted-foreground mt-1">
+                            What fired, why, and what happened
+                        </p>
+                    </div>
+                    <Button size="sm" variant="outline" onClick={loadRuns} disabled={isLoadingRuns}>
+                        <RefreshCw className={cn('h-4 w-4', isLoadingRuns && 'animate-spin')} />
+                    </Button>
+                </CardHeader>
+                <CardContent>
+                    {runs.length === 0 ? (
+                        <p className="text-sm text-muted-foreground text-center py-6">No rules have run yet</p>
+                    ) : (
+                        <ul className="divide-y">
+                            {runs.map(run => (
+                                <li key={run.id} className="py-3 space-y-1">
+                                    <div className="flex items-center justify-between gap-2">
+                                        <p className="text-sm font-medium truncate">
+                                            {run.ruleName} · {run.candidateName}
+                                        </p>
+                                        <span className={cn(
+                                            'text-[10px] px-1.5 py-0.5 rounded capitalize flex-shrink-0',
+                                            RUN_STATUS_STYLES[run.status]
+                                        )}>
+                                            {run.status}
+                                        </span>
+                                    </div>
+                                    <p className="text-xs text-muted-foreground">
+                                        {run.reason}{run.changedBy ? ` by ${run.changedBy}` : ''} · {new Date(run.createdAt).toLocaleString()}
+                                    </p>
+                                    {run.status === 'pending' && (
+                                        <p className="text-xs text-muted-foreground">Due {new Date(run.runAt).toLocaleString()}</p>
+                                    )}
+                                    {run.result && <p className="text-xs">{run.result}</p>}
+                                    {run.lastError && <p className="text-xs text-red-600">{run.lastError}</p>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </CardContent>
+            </Card>
+        </>
+    );
+}
+
+export { AutomationRulesTab };
@@ -11,14 +11,15 @@ import {
     Calendar,
     Settings,
     LogOut,
-    Bell,
     Search,
     Menu,
     X,
-    AlertCircle
+    AlertCircle,
+    ShieldAlert
 } from 'lucide-react';
 import { cn } from '@/lib/utils';
 import { Button } from '@/components/ui/common';
+import { NotificationBell } from '@/components/notification-bell';
 import { normalizeImageUrl, getFallbackImageUrl } from '@/lib/utils/image-utils';
 
 const ProfileAvatar = ({ profile, session }) => {
@@ -113,6 +114,8 @@ export default function DashboardLayout({ children }) {
     const pathname = usePathname();
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
     const [profile, setProfile] = useState(null);
+    const [isTwoFactorRequired, setIsTwoFactorRequired] = useState(false);
+    const [isSsoRequired, setIsSsoRequired] = useState(false);
     const profileLoadedRef = useRef(false);
     const currentUserIdRef = useRef(null);
 
@@ -155,6 +158,43 @@ export default function DashboardLayout({ children }) {
         }
     }, [session?.user?.id]);
 
+    // Password accounts without 2FA check whether their organization requires it
+    const needsTwoFactorCheck = session?.user?.provider === 'credentials' && !session.user.twoFactorEnabled;
+    const isTwoFactorSetupRequired = needsTwoFactorCheck && isTwoFactorRequired;
+
+    useEffect(() => {
+        if (!needsTwoFactorCheck) {
+            return;
+        }
+
+        fetch('/api/user/two-factor')
+            .then(response => response.json())
+            .then(data => {
+                setIsTwoFactorRequired(Boolean(data.success && data.data.required && !data.data.enabled));
+            })
+            .catch(error => {
+                console.error('Two-factor status error:', error);
+            });
+    }, [needsTwoFactorCheck]);
+
+    // Sessions that didn't come from single sign-on check whether the organization now requires it
+    const needsSsoCheck = Boolean(session?.user?.provider) && session.user.provider !== 'sso';
+
+    useEffect(() => {
+        if (!needsSsoCheck) {
+            return;
+        }
+
+        fetch('/api/auth/sso/status')
+            .then(response => response.json())
+            .then(data => {
+                setIsSsoRequired(Boolean(data.success && data.data.required));
+            })
+            .catch(error => {
+                console.error('SSO status error:', error);
+            });
+    }, [needsSsoCheck]);
+
     // Refresh profile when user navigates back (e.g., after email verification)
     useEffect(() => {
         const handleFocus = () => {
@@ -306,10 +346,7 @@ export default function DashboardLayout({ children }) {
                     </div>
 
                     <div className="flex items-center gap-2 md:gap-4">
-                        <button className="relative p-2 rounded-full hover:bg-muted transition-colors">
-                            <Bell className="h-5 w-5 text-muted-foreground" />
-                            <span className="absolute top-1.5 right-1.5 h-2 w-2 rounded-full bg-red-500 border-2 border-background"></span>
-                        </button>
+                        <NotificationBell />
                         <ProfileAvatar profile={profile} session={session} />
                     </div>
                 </header>
@@ -338,6 +375,57 @@ export default function DashboardLayout({ children }) {
                     </div>
                 )}
 
+                {/* Single Sign-On Requirement Banner */}
+                {needsSsoCheck && isSsoRequired && (
+                    <div className="bg-red-50 border-b border-red-200 px-4 py-3">
+                        <div className="flex items-center justify-between max-w-7xl mx-auto">
+                            <div className="flex items-center gap-3">
+                                <ShieldAlert className="h-5 w-5 text-red-600" />
+                                <div>
+                                    <p className="text-sm font-medium text-red-800">
+                                        Your organization requires single sign-on
+                                    </p>
+                                    <p className="text-xs text-red-700">
+                                        Sign in again through your identity provider to get access to your team&apos;s data.
+                                    </p>
+                                </div>
+                            </div>
+                            <Button
+                                variant="outline"
+                                size="sm"
+                                className="border-red-300 text-red-800 hover:bg-red-100"
+                                onClick={() => signOut({ callbackUrl: '/login?error=sso-required' })}
+                            >
+                                Sign In with SSO
+                            </Button>
+                        </div>
+                    </div>
+                )}
+
+                {/* Two-Factor Requirement Banner */}
+                {isTwoFactorSetupRequired && (
+                    <div className="bg-red-50 border-b border-red-200 px-4 py-3">
+                        <div className="flex items-center justify-between max-w-7xl mx-auto">
+                            <div className="flex items-center gap-3">
+                                <ShieldAlert className="h-5 w-5 text-red-600" />
+                                <div>
+                                    <p className="text-sm font-medium text-red-800">
+                                        Your organization requires two-factor authentication
+                                    </p>
+                                    <p className="text-xs text-red-700">
+                                        Set it up to get access to candidates, jobs and the rest of your team&apos;s data again.
+                                    </p>
+                                </div>
+                            </div>
+                            <Link href="/settings?tab=security">
+                                <Button variant="outline" size="sm" className="border-red-300 text-red-800 hover:bg-red-100">
+                                    Set Up 2FA
+                                </Button>
+                            </Link>
+                        </div>
+                    </div>
+                )}
+
                 {/* Page Content */}
                 <div className="flex-1 overflow-auto p-4 md:p-8 bg-muted/20">
                     {children}
@@ -0,0 +1,425 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { Mail, Loader2, AlertCircle, Plus, Copy, Pencil, Trash2, Eye } from 'lucide-react';
+import {
+    Button,
+    Input,
+    Label,
+    Select,
+    Textarea,
+    Badge,
+    Card,
+    CardContent,
+    CardHeader,
+    CardTitle
+} from '@/components/ui/common';
+
+const EMPTY_DRAFT = {
+    id: null,
+    name: '',
+    description: '',
+    subject: '',
+    htmlBody: '',
+    textBody: ''
+};
+
+// Email Templates Tab Component
+function EmailTemplatesTab() {
+    const [templates, setTemplates] = useState([]);
+    const [mergeFields, setMergeFields] = useState([]);
+    const [candidates, setCandidates] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [draft, setDraft] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [previewCandidateId, setPreviewCandidateId] = useState('');
+    const [preview, setPreview] = useState(null);
+    const [isPreviewing, setIsPreviewing] = useState(false);
+
+    useEffect(() => {
+        loadTemplates();
+        loadCandidates();
+    }, []);
+
+    const loadTemplates = async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const response = await fetch('/api/email-templates');
+            const data = await response.json();
+
+            if (data.success) {
+                setTemplates(data.templates || []);
+                setMergeFields(data.mergeFields || []);
+            } else {
+                setError(data.error || 'Failed to load email templates');
+            }
+        } catch (error) {
+            console.error('Error loading email templates:', error);
+            setError('Network error. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const loadCandidates = async () => {
+        try {
+            const response = await fetch('/api/candidates?limit=50');
+            const data = await response.json();
+
+            if (data.success) {
+                setCandidates(data.candidates || []);
+                setPreviewCandidateId(current => current || data.candidates?.[0]?._id || '');
+            }
+        } catch (error) {
+            console.error('Error loading candidates for preview:', error);
+        }
+    };
+
+    const openEditor = (template, { copy = false } = {}) => {
+        setPreview(null);
+        setError(null);
+
+        if (!template) {
+            setDraft({ ...EMPTY_DRAFT });
+            return;
+        }
+
+        setDraft({
+            id: copy ? null : template.id,
+            name: copy ? `${template.name} (copy)` : template.name,
+            description: template.description || '',
+            subject: template.subject,
+            htmlBody: template.htmlBody,
+            textBody: template.textBody
+        });
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError(null);
+
+        const { id, ...fields } = draft;
+
+        try {
+            const response = await fetch(id ? `/api/email-templates/${id}` : '/api/email-templates', {
+                method: id ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify(fields),
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setDraft(null);
+                setPreview(null);
+                loadTemplates();
+            } else {
+                setError(data.error || 'Failed to save email template');
+            }
+        } catch (error) {
+            console.error('Error saving email template:', error);
+            setError('Network error. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleArchive = async (template) => {
+        if (!confirm(`Are you sure you want to delete the "${template.name}" template?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/email-templates/${template.id}`, {
+                method: 'DELETE',
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                loadTemplates();
+            } else {
+                setError(data.error || 'Failed to delete email template');
+            }
+        } catch (error) {
+            console.error('Error deleting email template:', error);
+            setError('Network error. Please try again.');
+        }
+    };
+
+    const handlePreview = async () => {
+        setIsPreviewing(true);
+        setError(null);
+
+        try {
+            const response = await fetch('/api/email-templates/preview', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    candidateId: previewCandidateId,
+                    template: {
+                        subject: draft.subject,
+                        htmlBody: draft.htmlBody,
+                        textBody: draft.textBody
+                    }
+                }),
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setPreview(data.preview);
+            } else {
+                setPreview(null);
+                setError(data.error || 'Failed to preview email template');
+            }
+        } catch (error) {
+            console.error('Error previewing email template:', error);
+            setError('Network error. Please try again.');
+        } finally {
+            setIsPreviewing(false);
+        }
+    };
+
+    const updateDraft = (field, value) => {
+        setDraft(current => ({ ...current, [field]: value }));
+    };
+
+    return (
+        <>
+            {error && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-md flex items-center gap-2">
+                    <AlertCircle className="h-4 w-4 text-red-600 flex-shrink-0" />
+                    <p className="text-sm text-red-800">{error}</p>
+                </div>
+            )}
+
+            {draft ? (
+                <Card>
+                    <CardHeader>
+                        <CardTitle>{draft.id ? 'Edit Template' : 'New Template'}</CardTitle>
+                        <p className="text-sm text-muted-foreground mt-1">
+                            Use merge fields such as {'{{candidate.firstName}}'} to fill in details when the email is sent
+                        </p>
+                    </CardHeader>
+                    <CardContent>
+                        <form onSubmit={handleSave} className="space-y-4">
+                            <div className="grid gap-4 md:grid-cols-2">
+                                <div className="space-y-2">
+                                    <Label htmlFor="template-name">Name</Label>
+                                    <Input
+                                        id="template-name"
+                                        value={draft.name}
+                                        onChange={(e) => updateDraft('name', e.target.value)}
+                                        disabled={isSaving}
+                                        maxLength={100}
+                                    />
+                                </div>
+                                <div className="space-y-2">
+                                    <Label htmlFor="template-description">Description</Label>
+                                    <Input
+                                        id="template-description"
+                                        value={draft.description}
+                                        onChange={(e) => updateDraft('description', e.target.value)}
+                                        disabled={isSaving}
+                                        maxLength={500}
+                                    />
+                                </div>
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="template-subject">Subject</Label>
+                                <Input
+                                    id="template-subject"
+                                    value={draft.subject}
+                                    onChange={(e) => updateDraft('subject', e.target.value)}
+                                    disabled={isSaving}
+                                    maxLength={200}
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="template-html">HTML version</Label>
+                                <Textarea
+                                    id="template-html"
+                                    value={draft.htmlBody}
+                                    onChange={(e) => updateDraft('htmlBody', e.target.value)}
+                                    className="min-h-[160px] font-mono text-xs"
+                                    disabled={isSaving}
+                                />
+                            </div>
+                            <div className="space-y-2">
+                                <Label htmlFor="template-text">Text version</Label>
+                                <Textarea
+                                    id="template-text"
+                                    value={draft.textBody}
+                                    onChange={(e) => updateDraft('textBody', e.target.value)}
+                                    className="min-h-[160px] font-mono text-xs"
+                                    disabled={isSaving}
+                                />
+                            </div>
+
+                            <div className="rounded-md border p-3">
+                                <p className="text-sm font-medium mb-2">Merge fields</p>
+                                <div className="flex flex-wrap gap-1">
+                                    {mergeFields.map(field => (
+                                        <span
+                                            key={field.key}
+                                            title={field.label}
+                                            className="text-xs font-mono bg-secondary text-secondary-foreground px-1.5 py-0.5 rounded"
+                                        >
+                                            {`{{${field.key}}}`}
+                                        </span>
+                                    ))}
+                                </div>
+                            </div>
+
+                            <div className="rounded-md border p-3 space-y-3">
+                                <div className="flex flex-col sm:flex-row gap-2 sm:items-end">
+                                    <div className="flex-1 space-y-2">
+                                        <Label htmlFor="preview-candidate">Preview for</Label>
+                                        <Select
+                                            id="preview-candidate"
+                                            value={previewCandidateId}
+                                            onChange={(e) => setPreviewCandidateId(e.target.value)}
+                                        >
+                                            {candidates.length === 0 && <option value="">No candidates yet</option>}
+                                            {candidates.map(candidate => (
+                                                <option key={candidate._id} value={candidate._id}>
+                                                    {candidate.personalInfo.firstName} {candidate.personalInfo.lastName}
+                                                </option>
+                                            ))}
+                                        </Select>
+                                    </div>
+                                    <Button
+                                        type="button"
+                                        variant="outline"
+                                        onClick={handlePreview}
+                                        disabled={!previewCandidateId || isPreviewing}
+                                    >
+                                        {isPreviewing ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Eye className="mr-2 h-4 w-4" />}
+                                        Preview
+                                    </Button>
+                                </div>
+
+                                {preview && (
+                                    <div className="space-y-2">
+                                        {preview.missingFields.length > 0 && (
+                                            <p className="text-xs text-yellow-700">
+                                                No value yet for {preview.missingFields.map(key => `{{${key}}}`).join(', ')}
+                                            </p>
+                                        )}
+                                        <p className="text-sm"><span className="text-muted-foreground">Subject:</span> {preview.subject}</p>
+                                        {/* Sandboxed so template markup cannot run scripts in the app */}
+                                        <iframe
+                                            title="Email preview"
+                                            sandbox=""
+                                            srcDoc={preview.html}
+                                            className="w-full h-72 border rounded-md bg-white"
+                                        />
+                                        <pre className="whitespace-pre-wrap text-xs bg-muted/50 rounded-md p-3">{preview.text}</pre>
+                                    </div>
+                                )}
+                            </div>
+
+                            <div className="flex justify-end gap-2">
+                                <Button
+                                    type="button"
+                                    variant="outline"
+                                    onClick={() => {
+                                        setDraft(null);
+                                        setPreview(null);
+                                    }}
+                                    disabled={isSaving}
+                                >
+                                    Cancel
+                                </Button>
+                                <Button type="submit" disabled={isSaving}>
+                                    {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                                    Save Template
+                                </Button>
+                            </div>
+                        </form>
+                    </CardContent>
+                </Card>
+            ) : (
+                <Card>
+                    <CardHeader className="flex flex-row items-center justify-between">
+                        <div>
+                            <CardTitle>Email Templates</CardTitle>
+                            <p className="text-sm text-muted-foreground mt-1">
+                                Reusable emails your team can send to candidates
+                            </p>
+                        </div>
+                        <Button size="sm" onClick={() => openEditor(null)}>
+                            <Plus className="mr-2 h-4 w-4" />
+                            New Template
+                        </Button>
+                    </CardHeader>
+                    <CardContent>
+                        {isLoading ? (
+                            <div className="flex items-center justify-center py-8">
+                                <Loader2 className="h-6 w-6 animate-spin" />
+                            </div>
+                        ) : (
+                            <div className="space-y-3">
+                                {templates.map(template => (
+                                    <div
+                                        key={template.id}
+                                        className="flex items-center justify-between p-4 border rounded-lg hover:bg-gray-50 transition-colors"
+                                    >
+                                        <div className="flex items-start gap-3 min-w-0">
+                                            <Mail className="h-5 w-5 text-gray-400 mt-0.5 flex-shrink-0" />
+                                            <div className="min-w-0">
+                                                <div className="flex items-center gap-2">
+                                                    <p className="font-medium text-sm">{template.name}</p>
+                                                    {template.isBuiltIn && <Badge variant="secondary">Built-in</Badge>}
+                                                </div>
+                                                <p className="text-xs text-gray-500 truncate">{template.subject}</p>
+                                            </div>
+                                        </div>
+                                        <div className="flex items-center gap-1 flex-shrink-0">
+                                            <Button
+                                                size="sm"
+                                                variant="ghost"
+                                                onClick={() => openEditor(template, { copy: true })}
+                                                title="Copy into a new template"
+                                            >
+                                                <Copy className="h-4 w-4" />
+                                            </Button>
+                                            {!template.isBuiltIn && (
+                                                <>
+                                                    <Button
+                                                        size="sm"
+                                                        variant="ghost"
+                                                        onClick={() => openEditor(template)}
+                                                        title="Edit"
+                                                    >
+                                                        <Pencil className="h-4 w-4" />
+                                                    </Button>
+                                                    <Button
+                                                        size="sm"
+                                                        variant="ghost"
+                                                        onClick={() => handleArchive(template)}
+                                                        className="text-red-600 hover:text-red-700 hover:bg-red-50"
+                                                        title="Delete"
+                                                    >
+                                                        <Trash2 className="h-4 w-4" />
+                                                    </Button>
+                                                </>
+                                            )}
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </CardContent>
+                </Card>
+            )}
+        </>
+    );
+}
+
+export { EmailTemplatesTab };
@@ -0,0 +1,104 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { Lock, RefreshCw } from 'lucide-react';
+import {
+    Button,
+    Badge,
+    Card,
+    CardContent,
+    CardHeader,
+    CardTitle
+} from '@/components/ui/common';
+
+const SCOPE_LABELS = {
+    login: 'Sign-in',
+    register: 'Sign-up',
+    resend_verification: 'Verification emails',
+    password_reset: 'Password reset emails',
+    apply: 'Job applications',
+    invitation: 'Invitation links'
+};
+
+// Recent lockouts of member accounts, only shown to Admins
+function LockoutEventsCard() {
+    const [events, setEvents] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    useEffect(() => {
+        loadEvents();
+    }, []);
+
+    const loadEvents = async () => {
+        setIsLoading(true);
+        try {
+            const response = await fetch('/api/team/security/lockouts?limit=20');
+            const data = await response.json();
+
+            // Anyone but an Admin gets a 403 and doesn't see the card
+            if (data.success) {
+                setEvents(data.data);
+            }
+        } catch (error) {
+            console.error('Error loading lockouts:', error);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    if (!events) {
+        return null;
+    }
+
+    return (
+        <Card>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0">
+                <CardTitle>Lockouts</CardTitle>
+                <Button variant="ghost" size="sm" onClick={loadEvents} disabled={isLoading}>
+                    <RefreshCw className={`h-4 w-4 ${isLoading ? 'animate-spin' : ''}`} />
+                </Button>
+            </CardHeader>
+            <CardContent>
+                {events.length === 0 ? (
+                    <p className="text-sm text-muted-foreground">
+                        No member has been locked out after failed attempts.
+                    </p>
+                ) : (
+                    <div className="divide-y border rounded-md">
+                        {events.map(event => (
+                            <div key={event.id} className="flex items-center justify-between gap-4 px-3 py-2 text-sm">
+                                <div className="flex items-start gap-2 min-w-0">
+                                    <Lock className="h-4 w-4 text-muted-foreground mt-0.5 flex-shrink-0" />
+                                    <div className="min-w-0">
+                                        <p className="font-medium truncate">
+                                            {event.keyType === 'account'
+                                                ? event.memberName || event.key
+                                                : `IP ${event.key}`}
+                                            {event.keyType === 'ip' && event.memberName && (
+                                                <span className="font-normal text-muted-foreground"> (guessing at {event.memberName})</span>
+                                            )}
+                                        </p>
+                                        <p className="text-xs text-muted-foreground">
+                                            {SCOPE_LABELS[event.scope] || event.scope} · {event.failures} failed attempts
+                                            {event.ipAddress && event.keyType === 'account' ? ` · from ${event.ipAddress}` : ''}
+                                            {' · '}{new Date(event.createdAt).toLocaleString()}
+                                        </p>
+                                    </div>
+                                </div>
+                                {event.isActive ? (
+                                    <Badge variant="destructive">
+                                        Locked until {new Date(event.lockedUntil).toLocaleTimeString()}
+                                    </Badge>
+                                ) : (
+                                    <Badge variant="outline">Expired</Badge>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+export { LockoutEventsCard };
@@ -0,0 +1,206 @@
+'use client';
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import Link from 'next/link';
+import { Bell, Loader2 } from 'lucide-react';
+import { cn } from '@/lib/utils';
+
+// How often the unread count is refreshed while the dashboard is open
+const POLL_INTERVAL_MS = 60 * 1000;
+
+const formatTimeAgo = (date) => {
+    const diffInSeconds = Math.floor((Date.now() - new Date(date).getTime()) / 1000);
+
+    if (diffInSeconds < 60) {
+        return 'Just now';
+    } else if (diffInSeconds < 3600) {
+        const minutes = Math.floor(diffInSeconds / 60);
+        return `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
+    } else if (diffInSeconds < 86400) {
+        const hours = Math.floor(diffInSeconds / 3600);
+        return `${hours} hour${hours > 1 ? 's' : ''} ago`;
+    } else if (diffInSeconds < 604800) {
+        const days = Math.floor(diffInSeconds / 86400);
+        return `${days} day${days > 1 ? 's' : ''} ago`;
+    }
+    return new Date(date).toLocaleDateString();
+};
+
+// Notification bell with unread count and dropdown for the dashboard header
+function NotificationBell() {
+    const [isOpen, setIsOpen] = useState(false);
+    const [notifications, setNotifications] = useState([]);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const containerRef = useRef(null);
+
+    const loadNotifications = useCallback(async () => {
+        try {
+            const response = await fetch('/api/notifications');
+            const data = await response.json();
+
+            if (data.success) {
+                setNotifications(data.notifications || []);
+                setUnreadCount(data.unreadCount || 0);
+                setError(null);
+            } else {
+                setError(data.error || 'Failed to load notifications');
+            }
+        } catch (err) {
+            console.error('Error loading notifications:', err);
+            setError('Network error. Please try again.');
+        }
+    }, []);
+
+    // Load on mount, then keep the count fresh while the tab is open
+    useEffect(() => {
+        const initialLoad = setTimeout(loadNotifications, 0);
+        const intervalId = setInterval(loadNotifications, POLL_INTERVAL_MS);
+        window.addEventListener('focus', loadNotifications);
+
+        return () => {
+            clearTimeout(initialLoad);
+            clearInterval(intervalId);
+            window.removeEventListener('focus', loadNotifications);
+        };
+    }, [loadNotifications]);
+
+    // Close the dropdown when clicking outside it or pressing Escape
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const handleClick = (event) => {
+            if (containerRef.current && !containerRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+        const handleKeyDown = (event) => {
+            if (event.key === 'Escape') {
+                setIsOpen(false);
+            }
+        };
+
+        document.addEventListener('mousedown', handleClick);
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('mousedown', handleClick);
+            document.removeEventListener('keydown', handleKeyDown);
+        };
+    }, [isOpen]);
+
+    const handleToggle = async () => {
+        const opening = !isOpen;
+        setIsOpen(opening);
+
+        if (opening) {
+            setIsLoading(true);
+            await loadNotifications();
+            setIsLoading(false);
+        }
+    };
+
+    const handleOpenNotification = (notification) => {
+        setIsOpen(false);
+        if (notification.read) return;
+
+        setNotifications(prev => prev.map(item =>
+            item.id === notification.id ? { ...item, read: true } : item
+        ));
+        setUnreadCount(prev => Math.max(0, prev - 1));
+
+        fetch(`/api/notifications/${notification.id}/read`, { method: 'POST' })
+            .catch(err => console.error('Error marking notification as read:', err));
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            const response = await fetch('/api/notifications/read-all', { method: 'POST' });
+            const data = await response.json();
+
+            if (data.success) {
+                setNotifications(prev => prev.map(item => ({ ...item, read: true })));
+                setUnreadCount(0);
+            } else {
+                setError(data.error || 'Failed to mark notifications as read');
+            }
+        } catch (err) {
+            console.error('Error marking notifications as read:', err);
+            setError('Network error. Please try again.');
+        }
+    };
+
+    return (
+        <div className="relative" ref={containerRef}>
+            <button
+                className="relative p-2 rounded-full hover:bg-muted transition-colors"
+                onClick={handleToggle}
+                aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+                aria-expanded={isOpen}
+            >
+                <Bell className="h-5 w-5 text-muted-foreground" />
+                {unreadCount > 0 && (
+                    <span className="absolute top-0.5 right-0.5 min-w-[1.125rem] h-[1.125rem] px-1 rounded-full bg-red-500 border-2 border-background text-[10px] font-semibold leading-none text-white flex items-center justify-center">
+                        {unreadCount > 99 ? '99+' : unreadCount}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 mt-2 w-80 sm:w-96 max-w-[calc(100vw-2rem)] rounded-md border bg-card shadow-lg z-50">
+                    <div className="flex items-center justify-between px-4 py-3 border-b">
+                        <span className="font-semibold text-sm">Notifications</span>
+                        {unreadCount > 0 && (
+                            <button
+                                onClick={handleMarkAllRead}
+                                className="text-xs font-medium text-primary hover:underline"
+                            >
+                                Mark all as read
+                            </button>
+                        )}
+                    </div>
+
+                    <div className="max-h-96 overflow-y-auto">
+                        {isLoading && notifications.length === 0 ? (
+                            <div className="flex items-center justify-center py-8">
+                                <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+                            </div>
+                        ) : error && notifications.length === 0 ? (
+                            <p className="px-4 py-8 text-center text-sm text-destructive">{error}</p>
+                        ) : notifications.length === 0 ? (
+                            <p className="px-4 py-8 text-center text-sm text-muted-foreground">You&apos;re all caught up.</p>
+                        ) : (
+                            notifications.map(notification => (
+                                <Link
+                                    key={notification.id}
+                                    href={notification.link || '/'}
+                                    onClick={() => handleOpenNotification(notification)}
+                                    className={cn(
+                                        "flex gap-3 px-4 py-3 border-b last:border-b-0 hover:bg-muted/50 transition-colors",
+                                        !notification.read && "bg-primary/5"
+                                    )}
+                                >
+                                    <span
+                                        className={cn(
+                                            "mt-1.5 h-2 w-2 flex-shrink-0 rounded-full",
+                                            notification.read ? "bg-transparent" : "bg-primary"
+                                        )}
+                                    />
+                                    <div className="min-w-0">
+                                        <p className={cn("text-sm", !notification.read && "font-medium")}>{notification.title}</p>
+                                        {notification.body && (
+                                            <p className="text-xs text-muted-foreground line-clamp-2">{notification.body}</p>
+                                        )}
+                                        <p className="mt-1 text-xs text-muted-foreground">{formatTimeAgo(notification.createdAt)}</p>
+                                    </div>
+                                </Link>
+                            ))
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export { NotificationBell };
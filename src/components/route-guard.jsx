@@ -10,7 +10,7 @@ export default function RouteGuard({ children }) {
     const router = useRouter();
     const pathname = usePathname();
 
-    const isAuthPage = pathname === '/login' || pathname === '/register';
+    const isAuthPage = ['/login', '/register', '/forgot-password', '/reset-password'].includes(pathname);
     const isPublicPage = isAuthPage; // Add other public pages here if needed
 
     useEffect(() => {
@@ -0,0 +1,372 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { KeyRound, Loader2, CheckCircle, XCircle, Copy, Link2 } from 'lucide-react';
+import {
+    Button,
+    Input,
+    Label,
+    Select,
+    Switch,
+    Badge,
+    Card,
+    CardContent,
+    CardHeader,
+    CardTitle
+} from '@/components/ui/common';
+
+/**
+ * Form state for saved SSO settings
+ * @param {Object} sso - Settings from the API
+ * @returns {Object} Editable form fields
+ */
+function toFormState(sso) {
+    return {
+        issuer: sso.issuer || '',
+        clientId: sso.clientId || '',
+        clientSecret: '',
+        allowedDomains: sso.allowedDomains.join(', '),
+        defaultRole: sso.defaultRole,
+        enabled: sso.enabled,
+        enforced: sso.enforced
+    };
+}
+
+// Organization's OpenID Connect provider, only shown to Admins
+function SsoSettingsCard() {
+    const [sso, setSso] = useState(null);
+    const [form, setForm] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [verifyingDomain, setVerifyingDomain] = useState(null);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        loadSettings();
+    }, []);
+
+    const loadSettings = async () => {
+        try {
+            const response = await fetch('/api/team/sso');
+            const data = await response.json();
+
+            // Anyone but an Admin gets a 403 and doesn't see the card
+            if (data.success) {
+                setSso(data.data);
+                setForm(toFormState(data.data));
+            }
+        } catch (error) {
+            console.error('Error loading SSO settings:', error);
+        }
+    };
+
+    const updateField = (field, value) => {
+        setForm(current => ({ ...current, [field]: value }));
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setError('');
+        setSuccess('');
+        try {
+            const response = await fetch('/api/team/sso', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    issuer: form.issuer.trim() || null,
+                    clientId: form.clientId.trim() || null,
+                    clientSecret: form.clientSecret,
+                    allowedDomains: form.allowedDomains.split(/[\s,]+/).filter(Boolean),
+                    defaultRole: form.defaultRole,
+                    enabled: form.enabled,
+                    enforced: form.enabled && form.enforced
+                })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setSuccess(data.message);
+                setSso(data.data);
+                setForm(toFormState(data.data));
+            } else {
+                setError(data.error || 'Failed to update single sign-on');
+            }
+        } catch (error) {
+            console.error('Error updating SSO settings:', error);
+            setError('Network error. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleVerifyDomain = async (domain) => {
+        setVerifyingDomain(domain);
+        setError('');
+        setSuccess('');
+        try {
+            const response = await fetch('/api/team/sso/verify-domain', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ domain })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setSuccess(data.message);
+                setSso(data.data);
+            } else {
+                setError(data.error || 'Failed to verify the domain');
+            }
+        } catch (error) {
+            console.error('Error verifying SSO domain:', error);
+            setError('Network error. Please try again.');
+        } finally {
+            setVerifyingDomain(null);
+        }
+    };
+
+    const handleCopyRedirectUri = () => {
+        navigator.clipboard?.writeText(sso.redirectUri);
+    };
+
+    if (!sso || !form) {
+        return null;
+    }
+
+    // Requiring SSO before an Admin has used it could lock the whole team out
+    const canEnforce = sso.signedInWithSso || sso.enforced;
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                    <KeyRound className="h-5 w-5" />
+                    Single Sign-On
+                    {sso.enabled
+                        ? <Badge variant="success">{sso.enforced ? 'Required' : 'On'}</Badge>
+                        : <Badge variant="outline">Off</Badge>}
+                </CardTitle>
+            </CardHeader>
+            <CardContent>
+                <form onSubmit={handleSave} className="space-y-4">
+                    <p className="text-sm text-muted-foreground">
+                        Let members sign in through your company&apos;s OpenID Connect identity provider.
+                        People with a verified email domain join your team with the default role the first time they sign in.
+                    </p>
+
+                    {success && (
+                        <div className="p-3 bg-green-50 border border-green-200 rounded-md">
+                            <div className="flex items-center gap-2">
+                                <CheckCircle className="h-4 w-4 text-green-600" />
+                                <p className="text-sm text-green-800">{success}</p>
+                            </div>
+                        </div>
+                    )}
+                    {error && (
+                        <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                            <div className="flex items-center gap-2">
+                                <XCircle className="h-4 w-4 text-red-600" />
+                                <p className="text-sm text-red-800">{error}</p>
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="space-y-1">
+                        <Label>Redirect URI</Label>
+                        <div className="flex items-center gap-2">
+                            <code className="flex-1 rounded bg-muted px-2 py-1.5 text-xs break-all">{sso.redirectUri}</code>
+                            <Button type="button" variant="ghost" size="sm" onClick={handleCopyRedirectUri}>
+                                <Copy className="h-4 w-4" />
+                            </Button>
+                        </div>
+                        <p className="text-xs text-muted-foreground">Register this with your identity provider.</p>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div className="space-y-1 md:col-span-2">
+                            <Label htmlFor="sso-issuer">Issuer URL</Label>
+                            <Input
+                                id="sso-issuer"
+                                type="url"
+                                placeholder="https://login.example.com"
+                                value={form.issuer}
+                                onChange={(e) => updateField('issuer', e.target.value)}
+                                disabled={isSaving}
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="sso-client-id">Client ID</Label>
+                            <Input
+                                id="sso-client-id"
+                                value={form.clientId}
+                                onChange={(e) => updateField('clientId', e.target.value)}
+                                disabled={isSaving}
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="sso-client-secret">Client secret</Label>
+                            <Input
+                                id="sso-client-secret"
+                                type="password"
+                                autoComplete="new-password"
+                                placeholder={sso.hasClientSecret ? 'Saved. Leave blank to keep it' : ''}
+                                value={form.clientSecret}
+                                onChange={(e) => updateField('clientSecret', e.target.value)}
+                                disabled={isSaving}
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="sso-domains">Allowed email domains</Label>
+                            <Input
+                                id="sso-domains"
+                                placeholder="example.com, example.co.uk"
+                                value={form.allowedDomains}
+                                onChange={(e) => updateField('allowedDomains', e.target.value)}
+                                disabled={isSaving}
+                            />
+                        </div>
+                        <div className="space-y-1">
+                            <Label htmlFor="sso-role">Role for new members</Label>
+                            <Select
+                                id="sso-role"
+                                value={form.defaultRole}
+                                onChange={(e) => updateField('defaultRole', e.target.value)}
+                                disabled={isSaving}
+                            >
+                                <option value="Recruiter">Recruiter</option>
+                                <option value="Interviewer">Interviewer</option>
+                            </Select>
+                        </div>
+                    </div>
+
+                    {sso.domains.length > 0 && (
+                        <div className="space-y-2">
+                            <Label>Domain verification</Label>
+                            <p className="text-xs text-muted-foreground">
+                                Add each TXT record to the domain&apos;s DNS to prove you own it. Only verified domains can sign in with SSO.
+                            </p>
+                            {sso.domains.map(entry => (
+                                <div key={entry.domain} className="rounded border p-2 space-y-1">
+                                    <div className="flex items-center justify-between gap-2">
+                                        <span className="text-sm font-medium">{entry.domain}</span>
+                                        {entry.verified ? (
+                                            <Badge variant="success">Verified</Badge>
+                                        ) : (
+                                            <Button
+                                                type="button"
+                                                variant="outline"
+                                                size="sm"
+                                                onClick={() => handleVerifyDomain(entry.domain)}
+                                                disabled={isSaving || verifyingDomain !== null}
+                                            >
+                                                {verifyingDomain === entry.domain && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                                                Verify
+                                            </Button>
+                                        )}
+                                    </div>
+                                    {!entry.verified && (
+                                        <div className="text-xs text-muted-foreground space-y-0.5">
+                                            <p>Name: <code className="break-all">{entry.recordName}</code></p>
+                                            <p>Value: <code className="break-all">{entry.recordValue}</code></p>
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <div className="flex items-center justify-between gap-4">
+                        <div>
+                            <p className="font-medium text-sm">Turn on single sign-on</p>
+                            <p className="text-sm text-muted-foreground">
+                                Adds &quot;Sign in with SSO&quot; for your verified email domains.
+                            </p>
+                        </div>
+                        <Switch
+                            checked={form.enabled}
+                            onCheckedChange={(checked) => updateField('enabled', checked)}
+                            disabled={isSaving}
+                        />
+                    </div>
+
+                    <div className="flex items-center justify-between gap-4">
+                        <div>
+                            <p className="font-medium text-sm">Require single sign-on</p>
+                            <p className="text-sm text-muted-foreground">
+                                {canEnforce
+                                    ? 'Turns off password and Google sign-in for team members with your verified email domains.'
+                                    : 'Sign in with SSO yourself first, so you know it works before password sign-in is turned off.'}
+                            </p>
+                        </div>
+                        <Switch
+                            checked={form.enabled && form.enforced}
+                            onCheckedChange={(checked) => updateField('enforced', checked)}
+                            disabled={isSaving || !form.enabled || !canEnforce}
+                        />
+                    </div>
+
+                    <Button type="submit" disabled={isSaving}>
+                        {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                        Save
+                    </Button>
+                </form>
+            </CardContent>
+        </Card>
+    );
+}
+
+// Lets someone whose email domain has SSO link their existing account to it
+function SsoLinkCard() {
+    const [status, setStatus] = useState(null);
+
+    useEffect(() => {
+        fetch('/api/auth/sso/status')
+            .then(response => response.json())
+            .then(data => {
+                if (data.success) {
+                    setStatus(data.data);
+                }
+            })
+            .catch(error => {
+                console.error('Error loading SSO status:', error);
+            });
+    }, []);
+
+    const handleLink = () => {
+        const params = new URLSearchParams({ link: '1', callbackUrl: '/settings' });
+        window.location.href = `/api/auth/sso/start?${params.toString()}`;
+    };
+
+    if (!status?.available) {
+        return null;
+    }
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                    <Link2 className="h-5 w-5" />
+                    Single Sign-On
+                    {status.linked
+                        ? <Badge variant="success">Linked</Badge>
+                        : <Badge variant="outline">Not linked</Badge>}
+                </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                <p className="text-sm text-muted-foreground">
+                    {status.linked
+                        ? 'This account signs in through your organization\'s identity provider.'
+                        : 'Your organization signs in through its identity provider. Link this account to sign in with SSO; you\'ll be asked to sign in there with the same email address.'}
+                </p>
+                {!status.linked && (
+                    <Button type="button" onClick={handleLink}>
+                        Link single sign-on
+                    </Button>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+export { SsoSettingsCard, SsoLinkCard };
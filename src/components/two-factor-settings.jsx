@@ -0,0 +1,457 @@
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, ShieldAlert, Loader2, CheckCircle, XCircle, KeyRound, Copy } from 'lucide-react';
+import {
+    Button,
+    Input,
+    Label,
+    Badge,
+    Card,
+    CardContent,
+    CardHeader,
+    CardTitle
+} from '@/components/ui/common';
+
+/**
+ * Splits a base32 secret into groups of four for typing into an authenticator app
+ * @param {string} secret - Base32 secret
+ * @returns {string} Grouped secret
+ */
+function formatSecret(secret) {
+    return secret.match(/.{1,4}/g).join(' ');
+}
+
+// Success and error banners shared by both cards
+function StatusMessages({ success, error }) {
+    return (
+        <>
+            {success && (
+                <div className="p-3 bg-green-50 border border-green-200 rounded-md">
+                    <div className="flex items-center gap-2">
+                        <CheckCircle className="h-4 w-4 text-green-600" />
+                        <p className="text-sm text-green-800">{success}</p>
+                    </div>
+                </div>
+            )}
+            {error && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+                    <div className="flex items-center gap-2">
+                        <XCircle className="h-4 w-4 text-red-600" />
+                        <p className="text-sm text-red-800">{error}</p>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+}
+
+// Recovery codes, shown once after enrollment or regeneration
+function RecoveryCodesList({ codes, onDone }) {
+    const handleCopy = () => {
+        navigator.clipboard?.writeText(codes.join('\n'));
+    };
+
+    return (
+        <div className="space-y-3">
+            <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                <p className="text-sm font-medium text-yellow-900">Save your recovery codes</p>
+                <p className="text-sm text-yellow-800 mt-1">
+                    Each code signs you in once if you lose your phone. They will not be shown again.
+                </p>
+            </div>
+            <div className="grid grid-cols-2 gap-2 p-4 bg-muted/50 rounded-lg font-mono text-sm">
+                {codes.map(code => (
+                    <span key={code}>{code}</span>
+                ))}
+            </div>
+            <div className="flex gap-2">
+                <Button variant="outline" onClick={handleCopy}>
+                    <Copy className="mr-2 h-4 w-4" />
+                    Copy Codes
+                </Button>
+                <Button onClick={onDone}>I Saved My Codes</Button>
+            </div>
+        </div>
+    );
+}
+
+// Two-factor authentication card for the Security tab
+function TwoFactorCard() {
+    const [status, setStatus] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isWorking, setIsWorking] = useState(false);
+    const [enrollment, setEnrollment] = useState(null);
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [action, setAction] = useState(null);
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        loadStatus();
+    }, []);
+
+    const loadStatus = async () => {
+        setIsLoading(true);
+        try {
+            const response = await fetch('/api/user/two-factor');
+            const data = await response.json();
+
+            if (data.success) {
+                setStatus(data.data);
+            } else {
+                setError(data.error?.message || 'Failed to load two-factor settings');
+            }
+        } catch (error) {
+            console.error('Error loading two-factor status:', error);
+            setError('Network error. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const resetForm = () => {
+        setAction(null);
+        setCode('');
+        setPassword('');
+    };
+
+    // Sends a request and returns its data, or null after showing the error
+    const send = async (url, method, body) => {
+        setIsWorking(true);
+        setError('');
+        setSuccess('');
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const data = await response.json();
+
+            if (!data.success) {
+                setError(data.error?.message || 'Request failed. Please try again.');
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.error('Two-factor request error:', error);
+            setError('Network error. Please try again.');
+            return null;
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const handleStart = async () => {
+        const data = await send('/api/user/two-factor', 'POST');
+        if (data) {
+            setEnrollment(data.data);
+            setCode('');
+        }
+    };
+
+    const handleConfirm = async () => {
+        const data = await send('/api/user/two-factor', 'PUT', { code });
+        if (data) {
+            setEnrollment(null);
+            setRecoveryCodes(data.data.recoveryCodes);
+            setCode('');
+            setSuccess('Two-factor authentication is on. You will be asked for a code when you sign in.');
+            loadStatus();
+        }
+    };
+
+    const handleDisable = async () => {
+        const data = await send('/api/user/two-factor', 'DELETE', { password, code });
+        if (data) {
+            resetForm();
+            setSuccess('Two-factor authentication is off.');
+            loadStatus();
+        }
+    };
+
+    const handleRegenerate = async () => {
+        const data = await send('/api/user/two-factor/recovery-codes', 'POST', { code });
+        if (data) {
+            resetForm();
+            setRecoveryCodes(data.data.recoveryCodes);
+            loadStatus();
+        }
+    };
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                    Two-Factor Authentication
+                    {status?.enabled && <Badge variant="success">On</Badge>}
+                </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                <StatusMessages success={success} error={error} />
+
+                {isLoading ? (
+                    <div className="flex items-center justify-center py-8">
+                        <Loader2 className="h-6 w-6 animate-spin" />
+                    </div>
+                ) : !status ? null : !status.available ? (
+                    <p className="text-sm text-muted-foreground">
+                        You sign in with Google, so 2-step verification is managed in your Google Account.
+                    </p>
+                ) : recoveryCodes ? (
+                    <RecoveryCodesList codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+                ) : enrollment ? (
+                    <div className="space-y-4">
+                        <ol className="list-decimal pl-5 space-y-2 text-sm text-muted-foreground">
+                            <li>
+                                Open your authenticator app (Google Authenticator, 1Password, Authy...) and add an account.
+                                On your phone you can{' '}
+                                <a href={enrollment.otpauthUri} className="text-primary hover:underline">
+                                    open this setup link
+                                </a>
+                                {' '}directly.
+                            </li>
+                            <li>
+                                Or enter this key manually:
+                                <div className="mt-1 p-2 bg-muted/50 rounded font-mono text-foreground break-all">
+                                    {formatSecret(enrollment.secret)}
+                                </div>
+                            </li>
+                            <li>Enter the six-digit code the app shows.</li>
+                        </ol>
+                        <div className="space-y-2">
+                            <Label htmlFor="twoFactorSetupCode">Verification code</Label>
+                            <Input
+                                id="twoFactorSetupCode"
+                                inputMode="numeric"
+                                autoComplete="one-time-code"
+                                placeholder="123456"
+                                value={code}
+                                onChange={e => setCode(e.target.value)}
+                                disabled={isWorking}
+                            />
+                        </div>
+                        <div className="flex gap-2">
+                            <Button onClick={handleConfirm} disabled={isWorking || !code.trim()}>
+                                {isWorking && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                                Turn On
+                            </Button>
+                            <Button variant="outline" onClick={() => setEnrollment(null)} disabled={isWorking}>
+                                Cancel
+                            </Button>
+                        </div>
+                    </div>
+                ) : status.enabled ? (
+                    <div className="space-y-4">
+                        <div className="flex items-start gap-3">
+                            <ShieldCheck className="h-5 w-5 text-green-600 mt-0.5" />
+                            <div className="text-sm">
+                                <p>Signing in needs your password and a code from your authenticator app.</p>
+                                <p className="text-muted-foreground">
+                                    {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left.
+                                </p>
+                            </div>
+                        </div>
+
+                        {action ? (
+                            <div className="space-y-3">
+                                {action === 'disable' && (
+                                    <div className="space-y-2">
+                                        <Label htmlFor="twoFactorPassword">Password</Label>
+                                        <Input
+                                            id="twoFactorPassword"
+                                            type="password"
+                                            value={password}
+                                            onChange={e => setPassword(e.target.value)}
+                                            disabled={isWorking}
+                                        />
+                                    </div>
+                                )}
+                                <div className="space-y-2">
+                                    <Label htmlFor="twoFactorActionCode">
+                                        {action === 'disable' ? 'Authentication or recovery code' : 'Authentication code'}
+                                    </Label>
+                                    <Input
+                                        id="twoFactorActionCode"
+                                        autoComplete="one-time-code"
+                                        value={code}
+                                        onChange={e => setCode(e.target.value)}
+                                        disabled={isWorking}
+                                    />
+                                </div>
+                                <div className="flex gap-2">
+                                    <Button
+                                        variant={action === 'disable' ? 'destructive' : 'default'}
+                                        onClick={action === 'disable' ? handleDisable : handleRegenerate}
+                                        disabled={isWorking || !code.trim() || (action === 'disable' && !password)}
+                                    >
+                                        {isWorking && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                                        {action === 'disable' ? 'Turn Off' : 'Create New Codes'}
+                                    </Button>
+                                    <Button variant="outline" onClick={resetForm} disabled={isWorking}>
+                                        Cancel
+                                    </Button>
+                                </div>
+                            </div>
+                        ) : (
+                            <div className="flex flex-wrap gap-2">
+                                <Button variant="outline" onClick={() => setAction('regenerate')}>
+                                    <KeyRound className="mr-2 h-4 w-4" />
+                                    New Recovery Codes
+                                </Button>
+                                {!status.required && (
+                                    <Button variant="outline" onClick={() => setAction('disable')}>
+                                        Turn Off
+                                    </Button>
+                                )}
+                            </div>
+                        )}
+                        {status.required && (
+                            <p className="text-xs text-muted-foreground">
+                                Your organization requires two-factor authentication, so it can&apos;t be turned off.
+                            </p>
+                        )}
+                    </div>
+                ) : (
+                    <div className="space-y-4">
+                        {status.required && (
+                            <div className="flex items-start gap-2 p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+                                <ShieldAlert className="h-4 w-4 text-yellow-600 mt-0.5" />
+                                <p className="text-sm text-yellow-800">
+                                    Your organization requires two-factor authentication. Set it up to keep using Nexus ATS.
+                                </p>
+                            </div>
+                        )}
+                        <p className="text-sm text-muted-foreground">
+                            Add a second step to signing in: a six-digit code from an authenticator app on your phone.
+                        </p>
+                        <Button onClick={handleStart} disabled={isWorking}>
+                            {isWorking && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                            <ShieldCheck className="mr-2 h-4 w-4" />
+                            Set Up Two-Factor Authentication
+                        </Button>
+                    </div>
+                )}
+            </CardContent>
+        </Card>
+    );
+}
+
+// Organization-wide 2FA requirement, only shown to Admins
+function TeamTwoFactorPolicyCard() {
+    const [policy, setPolicy] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        loadPolicy();
+    }, []);
+
+    const loadPolicy = async () => {
+        try {
+            const response = await fetch('/api/team/security');
+            const data = await response.json();
+
+            // Anyone but an Admin gets a 403 and doesn't see the card
+            if (data.success) {
+                setPolicy(data.data);
+            }
+        } catch (error) {
+            console.error('Error loading team security settings:', error);
+        }
+    };
+
+    const handleToggle = async () => {
+        setIsSaving(true);
+        setError('');
+        setSuccess('');
+        try {
+            const response = await fetch('/api/team/security', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ requireTwoFactor: !policy.requireTwoFactor })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setSuccess(data.message);
+                loadPolicy();
+            } else {
+                setError(data.error || 'Failed to update security settings');
+            }
+        } catch (error) {
+            console.error('Error updating team security settings:', error);
+            setError('Network error. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (!policy) {
+        return null;
+    }
+
+    const membersWithout = policy.members.filter(member => !member.twoFactorEnabled && !member.managedByGoogle && !member.managedBySso);
+
+    return (
+        <Card>
+            <CardHeader>
+                <CardTitle>Organization Security</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+                <StatusMessages success={success} error={error} />
+
+                <div className="flex items-center justify-between gap-4">
+                    <div>
+                        <p className="font-medium text-sm">Require two-factor authentication</p>
+                        <p className="text-sm text-muted-foreground">
+                            Members who sign in with a password must set up 2FA before they can use Nexus ATS.
+                            Google and single sign-on accounts rely on their identity provider&apos;s verification.
+                        </p>
+                    </div>
+                    <Button
+                        variant={policy.requireTwoFactor ? 'outline' : 'default'}
+                        onClick={handleToggle}
+                        disabled={isSaving}
+                    >
+                        {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                        {policy.requireTwoFactor ? 'Make Optional' : 'Require'}
+                    </Button>
+                </div>
+
+                <div className="space-y-2">
+                    <p className="text-sm font-medium">
+                        {membersWithout.length === 0
+                            ? 'Every member is covered.'
+                            : `${membersWithout.length} member${membersWithout.length === 1 ? '' : 's'} without 2FA`}
+                    </p>
+                    <div className="divide-y border rounded-md">
+                        {policy.members.map(member => (
+                            <div key={member.userId} className="flex items-center justify-between px-3 py-2 text-sm">
+                                <div>
+                                    <p className="font-medium">{member.name}</p>
+                                    <p className="text-xs text-muted-foreground">{member.email} · {member.role}</p>
+                                </div>
+                                {member.twoFactorEnabled ? (
+                                    <Badge variant="success">2FA on</Badge>
+                                ) : member.managedBySso ? (
+                                    <Badge variant="secondary">SSO</Badge>
+                                ) : member.managedByGoogle ? (
+                                    <Badge variant="secondary">Google</Badge>
+                                ) : (
+                                    <Badge variant="outline">No 2FA</Badge>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            </CardContent>
+        </Card>
+    );
+}
+
+export { TwoFactorCard, TeamTwoFactorPolicyCard };
@@ -0,0 +1,418 @@
+/**
+ * Candidate Detail Dialog Component
+ * Modal with a candidate's notes, tasks and their threaded email history
+ */
+
+'use client';
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, User, Loader2, AlertCircle, ArrowUpRight, ArrowDownLeft, CheckCircle2, Circle } from 'lucide-react';
+import { Button, Badge } from '@/components/ui/common';
+import { cn } from '@/lib/utils';
+
+const STATUS_STYLES = {
+    queued: 'bg-yellow-100 text-yellow-800',
+    sent: 'bg-green-100 text-green-800',
+    failed: 'bg-red-100 text-red-800',
+    received: 'bg-blue-100 text-blue-800'
+};
+
+const formatDateTime = (value) => new Date(value).toLocaleString(undefined, {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+});
+
+function NotesPanel({ candidateId }) {
+    const [notes, setNotes] = useState([]);
+    const [content, setContent] = useState('');
+    const [isLoading, setIsLoading] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        const loadNotes = async () => {
+            setIsLoading(true);
+            try {
+                const response = await fetch(`/api/candidates/${candidateId}/notes`);
+                const data = await response.json();
+
+                if (cancelled) return;
+                if (response.ok) {
+                    setNotes(data.notes || []);
+                } else {
+                    setError(data.error || 'Failed to load notes');
+                }
+            } catch (err) {
+                console.error('Error loading notes:', err);
+                if (!cancelled) setError('Network error. Please try again.');
+            } finally {
+                if (!cancelled) setIsLoading(false);
+            }
+        };
+
+        loadNotes();
+        return () => {
+            cancelled = true;
+        };
+    }, [candidateId]);
+
+    const handleAddNote = async (e) => {
+        e.preventDefault();
+        if (!content.trim()) return;
+
+        setIsSaving(true);
+        setError(null);
+        try {
+            const response = await fetch(`/api/candidates/${candidateId}/notes`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ content }),
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                setNotes(current => [...current, data.note]);
+                setContent('');
+            } else {
+                setError(data.error || 'Failed to add note');
+            }
+        } catch (err) {
+            console.error('Error adding note:', err);
+            setError('Network error. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center justify-center py-12">
+                <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            {error && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-md flex items-start gap-2">
+                    <AlertCircle className="h-4 w-4 text-red-600 flex-shrink-0 mt-0.5" />
+                    <p className="text-sm text-red-800">{error}</p>
+                </div>
+            )}
+
+            {notes.length === 0 ? (
+                <p className="text-sm text-muted-foreground text-center py-6">No notes yet</p>
+            ) : (
+                <ul className="space-y-3">
+                    {[...notes].reverse().map(note => (
+                        <li key={note._id} className="p-3 border rounded-md">
+                            <div className="flex items-center justify-between mb-1">
+                                <Badge variant="secondary" className="text-[10px] px-1.5 capitalize">{note.type}</Badge>
+                                <span className="text-xs text-muted-foreground">{formatDateTime(note.createdAt)}</span>
+                            </div>
+                            <p className="text-sm whitespace-pre-wrap">{note.content}</p>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <form onSubmit={handleAddNote} className="space-y-2">
+                <textarea
+                    value={content}
+                    onChange={(e) => setContent(e.target.value)}
+                    placeholder="Add a note... mention teammates with @Name"
+                    maxLength={1000}
+                    rows={3}
+                    className="w-full rounded-md border border-input bg-background px-3 py-2 text-sm focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring"
+                    disabled={isSaving}
+                />
+                <div className="flex justify-end">
+                    <Button type="submit" size="sm" disabled={isSaving || !content.trim()}>
+                        {isSaving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                        Add Note
+                    </Button>
+                </div>
+            </form>
+        </div>
+    );
+}
+
+function TasksPanel({ candidateId }) {
+    const [tasks, setTasks] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [updatingId, setUpdatingId] = useState(null);
+    const [error, setError] = useState(null);
+
+    const loadTasks = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const response = await fetch(`/api/candidates/${candidateId}/tasks`);
+            const data = await response.json();
+
+            if (data.success) {
+                setTasks(data.tasks || []);
+            } else {
+                setError(data.error || 'Failed to load tasks');
+            }
+        } catch (err) {
+            console.error('Error loading tasks:', err);
+            setError('Network error. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [candidateId]);
+
+    useEffect(() => {
+        loadTasks();
+    }, [loadTasks]);
+
+    const handleToggle = async (task) => {
+        setUpdatingId(task.id);
+        setError(null);
+        try {
+            const response = await fetch(`/api/candidates/${candidateId}/tasks/${task.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ status: task.status === 'done' ? 'open' : 'done' })
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setTasks(current => current.map(item => (item.id === task.id ? data.task : item)));
+            } else {
+                setError(data.error || 'Failed to update task');
+            }
+        } catch (err) {
+            console.error('Error updating task:', err);
+            setError('Network error. Please try again.');
+        } finally {
+            setUpdatingId(null);
+        }
+    };
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center justify-center py-12">
+                <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-4">
+            {error && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-md flex items-start gap-2">
+                    <AlertCircle className="h-4 w-4 text-red-600 flex-shrink-0 mt-0.5" />
+                    <p className="text-sm text-red-800">{error}</p>
+                </div>
+            )}
+
+            {tasks.length === 0 ? (
+                <p className="text-sm text-muted-foreground text-center py-6">No tasks yet</p>
+            ) : (
+                <ul className="divide-y border rounded-md">
+                    {tasks.map(task => {
+                        const isDone = task.status === 'done';
+                        const isOverdue = !isDone && task.dueAt && new Date(task.dueAt) < new Date();
+
+                        return (
+                            <li key={task.id} className="p-3 flex items-start gap-3">
+                                <button
+                                    onClick={() => handleToggle(task)}
+                                    disabled={updatingId === task.id}
+                                    className="mt-0.5 text-muted-foreground hover:text-foreground disabled:opacity-50"
+                                    title={isDone ? 'Reopen' : 'Mark done'}
+                                >
+                                    {isDone
+                                        ? <CheckCircle2 className="h-4 w-4 text-green-600" />
+                                        : <Circle className="h-4 w-4" />}
+                                </button>
+                                <div className="min-w-0 space-y-0.5">
+                                    <p className={cn('text-sm', isDone && 'line-through text-muted-foreground')}>{task.title}</p>
+                                    <p className="text-xs text-muted-foreground">
+                                        {task.assigneeRole}s
+                                        {task.dueAt && (
+                                            <span className={cn(isOverdue && 'text-red-600')}> · due {formatDateTime(task.dueAt)}</span>
+                                        )}
+                                        {task.ruleName && ` · from "${task.ruleName}"`}
+                                        {isDone && task.completedBy && ` · done by ${task.completedBy}`}
+                                    </p>
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+function CommunicationsPanel({ candidateId }) {
+    const [threads, setThreads] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const loadThreads = useCallback(async () => {
+        setIsLoading(true);
+        setError(null);
+        try {
+            const response = await fetch(`/api/candidates/${candidateId}/communications`);
+            const data = await response.json();
+
+            if (data.success) {
+                setThreads(data.threads || []);
+            } else {
+                setError(data.error || 'Failed to load communications');
+            }
+        } catch (err) {
+            console.error('Error loading communications:', err);
+            setError('Network error. Please try again.');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [candidateId]);
+
+    useEffect(() => {
+        loadThreads();
+    }, [loadThreads]);
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center justify-center py-12">
+                <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+        );
+    }
+
+    if (error) {
+        return (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-md flex items-start gap-2">
+                <AlertCircle className="h-4 w-4 text-red-600 flex-shrink-0 mt-0.5" />
+                <p className="text-sm text-red-800">{error}</p>
+            </div>
+        );
+    }
+
+    if (threads.length === 0) {
+        return <p className="text-sm text-muted-foreground text-center py-6">No emails yet</p>;
+    }
+
+    return (
+        <ul className="space-y-4">
+            {threads.map(thread => (
+                <li key={thread.id} className="border rounded-md">
+                    <div className="px-3 py-2 border-b bg-secondary/40 flex items-center justify-between">
+                        <p className="text-sm font-medium truncate">{thread.subject}</p>
+                        <span className="text-xs text-muted-foreground flex-shrink-0 ml-2">
+                            {thread.messages.length} {thread.messages.length === 1 ? 'message' : 'messages'}
+                        </span>
+                    </div>
+                    <ul className="divide-y">
+                        {thread.messages.map(message => (
+                            <li key={message.id} className="p-3 space-y-1">
+                                <div className="flex items-center justify-between gap-2">
+                                    <div className="flex items-center gap-1.5 text-xs text-muted-foreground min-w-0">
+                                        {message.direction === 'inbound' ? (
+                                            <ArrowDownLeft className="h-3.5 w-3.5 text-blue-600 flex-shrink-0" />
+                                        ) : (
+                                            <ArrowUpRight className="h-3.5 w-3.5 text-gray-500 flex-shrink-0" />
+                                        )}
+                                        <span className="truncate">
+                                            {message.direction === 'inbound'
+                                                ? `From ${message.from}`
+                                                : `${message.senderName || 'Automatic'} to ${message.to}`}
+                                            {message.templateName && ` · ${message.templateName}`}
+                                        </span>
+                                    </div>
+                                    <span className={cn(
+                                        'text-[10px] px-1.5 py-0.5 rounded capitalize flex-shrink-0',
+                                        STATUS_STYLES[message.status]
+                                    )}>
+                                        {message.status}
+                                    </span>
+                                </div>
+                                <p className="text-xs text-muted-foreground">{formatDateTime(message.createdAt)}</p>
+                                {message.error && <p className="text-xs text-red-600">{message.error}</p>}
+                                <p className="text-sm whitespace-pre-wrap line-clamp-6">{message.body}</p>
+                            </li>
+                        ))}
+                    </ul>
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+export function CandidateDetailDialog({ isOpen, onClose, candidate }) {
+    const [activeTab, setActiveTab] = useState('notes');
+
+    if (!isOpen || !candidate) return null;
+
+    const handleClose = () => {
+        setActiveTab('notes');
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 animate-in fade-in duration-200">
+            <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-auto animate-in zoom-in duration-200">
+                {/* Header */}
+                <div className="flex items-center justify-between p-6 border-b">
+                    <div className="flex items-center gap-3">
+                        <div className="h-10 w-10 rounded-full bg-blue-100 flex items-center justify-center">
+                            <User className="h-5 w-5 text-blue-600" />
+                        </div>
+                        <div>
+                            <h2 className="text-lg font-semibold">
+                                {candidate.personalInfo.firstName} {candidate.personalInfo.lastName}
+                            </h2>
+                            <p className="text-sm text-gray-500">{candidate.personalInfo.email}</p>
+                        </div>
+                    </div>
+                    <button
+                        onClick={handleClose}
+                        className="text-gray-400 hover:text-gray-600"
+                    >
+                        <X className="h-5 w-5" />
+                    </button>
+                </div>
+
+                {/* Tabs */}
+                <div className="flex gap-1 px-6 pt-4 border-b">
+                    {[
+                        { key: 'notes', label: 'Notes' },
+                        { key: 'tasks', label: 'Tasks' },
+                        { key: 'communications', label: 'Communications' }
+                    ].map(tab => (
+                        <button
+                            key={tab.key}
+                            onClick={() => setActiveTab(tab.key)}
+                            className={cn(
+                                'px-3 py-2 text-sm border-b-2 -mb-px transition-colors',
+                                activeTab === tab.key
+                                    ? 'border-primary text-foreground font-medium'
+                                    : 'border-transparent text-muted-foreground hover:text-foreground'
+                            )}
+                        >
+                            {tab.label}
+                        </button>
+                    ))}
+                </div>
+
+                {/* Content */}
+                <div className="p-6">
+                    {activeTab === 'notes' && <NotesPanel candidateId={candidate._id} />}
+                    {activeTab === 'tasks' && <TasksPanel candidateId={candidate._id} />}
+                    {activeTab === 'communications' && <CommunicationsPanel candidateId={candidate._id} />}
+                </div>
+            </div>
+        </div>
+    );
+}
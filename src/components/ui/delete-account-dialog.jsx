@@ -74,10 +74,19 @@ export function DeleteAccountDialog({ isOpen, onClose, onConfirm, accountData })
           <div className="bg-red-50 border border-red-200 rounded-lg p-4">
             <h3 className="font-medium text-red-900 mb-2">⚠️ This action cannot be undone</h3>
             <p className="text-sm text-red-800">
-              Deleting your account will permanently remove all your data from our servers, including:
+              Deleting your account will permanently remove your own workspace from our servers, including:
             </p>
           </div>
 
+          {accountData?.teamMembersCount > 0 && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+              <p className="text-sm text-yellow-800">
+                Your organization still has {accountData.teamMembersCount} other team member{accountData.teamMembersCount === 1 ? '' : 's'}.
+                Remove them under Settings → Team before deleting your account.
+              </p>
+            </div>
+          )}
+
           {/* Data summary */}
           {accountData && (
             <div className="bg-gray-50 rounded-lg p-4 space-y-2">
@@ -89,6 +98,9 @@ export function DeleteAccountDialog({ isOpen, onClose, onConfirm, accountData })
                 <li>• Your profile and account settings</li>
                 <li>• All associated files and documents</li>
               </ul>
+              <p className="text-xs text-gray-600">
+                Records you added to teams you joined stay with those teams.
+              </p>
               <p className="text-sm font-medium text-gray-900 mt-2">
                 Total items: {accountData.totalItems}
               </p>
@@ -143,7 +155,7 @@ export function DeleteAccountDialog({ isOpen, onClose, onConfirm, accountData })
           <Button
             variant="destructive"
             onClick={handleConfirm}
-            disabled={!isConfirmationValid || isDeleting}
+            disabled={!isConfirmationValid || isDeleting || accountData?.teamMembersCount > 0}
           >
             {isDeleting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
             {isDeleting ? 'Deleting Account...' : 'Delete Account'}
@@ -0,0 +1,272 @@
+/**
+ * Send Candidate Email Dialog Component
+ * Modal for choosing an email template, previewing it for a candidate and sending it
+ */
+
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { X, Mail, Loader2, CheckCircle, AlertCircle } from 'lucide-react';
+import {
+    Button,
+    Label,
+    Select
+} from '@/components/ui/common';
+
+export function SendCandidateEmailDialog({ isOpen, onClose, candidate, onEmailSent }) {
+    const [templates, setTemplates] = useState([]);
+    const [templateId, setTemplateId] = useState('');
+    const [preview, setPreview] = useState(null);
+    const [isLoadingTemplates, setIsLoadingTemplates] = useState(false);
+    const [isLoadingPreview, setIsLoadingPreview] = useState(false);
+    const [isSending, setIsSending] = useState(false);
+    const [error, setError] = useState(null);
+    const [sentTo, setSentTo] = useState(null);
+
+    const candidateId = candidate?._id;
+
+    // Load the template library each time the dialog opens
+    useEffect(() => {
+        if (!isOpen) return;
+
+        let cancelled = false;
+        const loadTemplates = async () => {
+            setIsLoadingTemplates(true);
+            setError(null);
+            try {
+                const response = await fetch('/api/email-templates');
+                const data = await response.json();
+
+                if (cancelled) return;
+                if (data.success) {
+                    setTemplates(data.templates || []);
+                    setTemplateId(current => current || data.templates?.[0]?.id || '');
+                } else {
+                    setError(data.error || 'Failed to load email templates');
+                }
+            } catch (err) {
+                console.error('Error loading email templates:', err);
+                if (!cancelled) setError('Network error. Please try again.');
+            } finally {
+                if (!cancelled) setIsLoadingTemplates(false);
+            }
+        };
+
+        loadTemplates();
+        return () => {
+            cancelled = true;
+        };
+    }, [isOpen]);
+
+    // Render the chosen template against this candidate
+    useEffect(() => {
+        if (!isOpen || !templateId || !candidateId) return;
+
+        let cancelled = false;
+        const loadPreview = async () => {
+            setIsLoadingPreview(true);
+            setError(null);
+            try {
+                const response = await fetch('/api/email-templates/preview', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ templateId, candidateId }),
+                });
+                const data = await response.json();
+
+                if (cancelled) return;
+                if (data.success) {
+                    setPreview(data.preview);
+                } else {
+                    setPreview(null);
+                    setError(data.error || 'Failed to preview email');
+                }
+            } catch (err) {
+                console.error('Error previewing email:', err);
+                if (!cancelled) setError('Network error. Please try again.');
+            } finally {
+                if (!cancelled) setIsLoadingPreview(false);
+            }
+        };
+
+        loadPreview();
+        return () => {
+            cancelled = true;
+        };
+    }, [isOpen, templateId, candidateId]);
+
+    const handleSend = async () => {
+        setIsSending(true);
+        setError(null);
+
+        try {
+            const response = await fetch(`/api/candidates/${candidateId}/emails`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    templateId,
+                    jobId: preview?.jobId || undefined,
+                    interviewId: preview?.interviewId || undefined
+                }),
+            });
+            const data = await response.json();
+
+            if (data.success) {
+                setSentTo(data.email.to);
+                if (onEmailSent) {
+                    onEmailSent(data.email);
+                }
+
+                // Close dialog after a brief delay
+                setTimeout(() => {
+                    handleClose(true);
+                }, 1500);
+            } else {
+                setError(data.error || 'Failed to send email');
+            }
+        } catch (err) {
+            console.error('Error sending email:', err);
+            setError('Network error. Please try again.');
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    const handleClose = (force = false) => {
+        if (isSending && !force) return;
+
+        setTemplateId('');
+        setPreview(null);
+        setError(null);
+        setSentTo(null);
+        onClose();
+    };
+
+    if (!isOpen || !candidate) return null;
+
+    const missingFields = preview?.missingFields || [];
+    const canSend = Boolean(preview) && preview.to && missingFields.length === 0 && !isSending && !sentTo;
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 animate-in fade-in duration-200">
+            <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] overflow-auto animate-in zoom-in duration-200">
+                {/* Header */}
+                <div className="flex items-center justify-between p-6 border-b">
+                    <div className="flex items-center gap-3">
+                        <div className="h-10 w-10 rounded-full bg-blue-100 flex items-center justify-center">
+                            <Mail className="h-5 w-5 text-blue-600" />
+                        </div>
+                        <div>
+                            <h2 className="text-lg font-semibold">Email Candidate</h2>
+                            <p className="text-sm text-gray-500">
+                                {candidate.personalInfo.firstName} {candidate.personalInfo.lastName}
+                            </p>
+                        </div>
+                    </div>
+                    <button
+                        onClick={() => handleClose()}
+                        disabled={isSending}
+                        className="text-gray-400 hover:text-gray-600 disabled:opacity-50"
+                    >
+                        <X className="h-5 w-5" />
+                    </button>
+                </div>
+
+                {/* Content */}
+                <div className="p-6 space-y-4">
+                    {sentTo && (
+                        <div className="p-3 bg-green-50 border border-green-200 rounded-md flex items-center gap-2">
+                            <CheckCircle className="h-4 w-4 text-green-600 flex-shrink-0" />
+                            <p className="text-sm text-green-800">Email sent to {sentTo}</p>
+                        </div>
+                    )}
+
+                    {error && (
+                        <div className="p-3 bg-red-50 border border-red-200 rounded-md flex items-start gap-2">
+                            <AlertCircle className="h-4 w-4 text-red-600 flex-shrink-0 mt-0.5" />
+                            <p className="text-sm text-red-800">{error}</p>
+                        </div>
+                    )}
+
+                    <div className="space-y-2">
+                        <Label htmlFor="email-template">Template</Label>
+                        <Select
+                            id="email-template"
+                            value={templateId}
+                            onChange={(e) => setTemplateId(e.target.value)}
+                            disabled={isLoadingTemplates || isSending}
+                        >
+                            {templates.map(template => (
+                                <option key={template.id} value={template.id}>
+                                    {template.name}{template.isBuiltIn ? ' (built-in)' : ''}
+                                </option>
+                            ))}
+                        </Select>
+                    </div>
+
+                    {isLoadingTemplates || isLoadingPreview ? (
+                        <div className="flex items-center justify-center py-12">
+                            <Loader2 className="h-6 w-6 animate-spin" />
+                        </div>
+                    ) : preview && (
+                        <div className="space-y-3">
+                            {!preview.to && (
+                                <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md flex items-start gap-2">
+                                    <AlertCircle className="h-4 w-4 text-yellow-600 flex-shrink-0 mt-0.5" />
+                                    <p className="text-sm text-yellow-800">This candidate has no email address.</p>
+                                </div>
+                            )}
+                            {missingFields.length > 0 && (
+                                <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md flex items-start gap-2">
+                                    <AlertCircle className="h-4 w-4 text-yellow-600 flex-shrink-0 mt-0.5" />
+                                    <p className="text-sm text-yellow-800">
+                                        This template needs {missingFields.map(key => `{{${key}}}`).join(', ')}, which this candidate does not have yet.
+                                    </p>
+                                </div>
+                            )}
+
+                            <div className="text-sm space-y-1">
+                                <p><span className="text-muted-foreground">To:</span> {preview.to || '—'}</p>
+                                <p><span className="text-muted-foreground">Subject:</span> {preview.subject}</p>
+                            </div>
+
+                            {/* Sandboxed so template markup cannot run scripts in the app */}
+                            <iframe
+                                title="Email preview"
+                                sandbox=""
+                                srcDoc={preview.html}
+                                className="w-full h-80 border rounded-md bg-white"
+                            />
+                        </div>
+                    )}
+
+                    {/* Actions */}
+                    <div className="flex gap-3 pt-4">
+                        <Button
+                            type="button"
+                            variant="outline"
+                            onClick={() => handleClose()}
+                            disabled={isSending}
+                            className="flex-1"
+                        >
+                            Cancel
+                        </Button>
+                        <Button
+                            type="button"
+                            onClick={handleSend}
+                            disabled={!canSend}
+                            className="flex-1"
+                        >
+                            {isSending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                            Send Email
+                        </Button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -3,8 +3,14 @@
  * Handles job application operations with validation and MongoDB integration
  */
 
-import { getCollection } from '../mongodb.js';
+import { getCollection, getUsersCollection } from '../mongodb.js';
 import { validateApplicationData, sanitizeApplicationInput, APPLICATION_STATUSES } from './application-validation.js';
+import { scopeQuery, OrganizationScopeError } from '../team/organization-scope.js';
+import { dispatchNotification, getTeamRecipients } from '../notifications/notification-dispatcher.js';
+import { NOTIFICATION_EVENTS } from '../notifications/notification-models.js';
+import { notifyUsers, buildNotificationLink, USER_NOTIFICATION_TYPES } from '../notifications/notification-center.js';
+import { generateCandidateAppliedEmail } from '../email/notification-templates.js';
+import { getEnvConfig } from '../env.js';
 import { ObjectId } from 'mongodb';
 
 /**
@@ -36,6 +42,56 @@ export async function getApplicationsCollection() {
   }
 }
 
+/**
+ * Tells the team that posted a job about a new application, and notifies the
+ * person who posted it in the app
+ * Failures are logged and never fail the application
+ * @param {Object} job - Job document ({ organizationId, title, createdBy })
+ * @param {string} jobId - Job ID
+ * @param {string} userId - ID of the applicant
+ * @returns {Promise<void>}
+ */
+async function notifyTeamOfApplication(job, jobId, userId) {
+  if (!job.organizationId) {
+    return;
+  }
+
+  try {
+    const usersCollection = await getUsersCollection();
+    const applicant = await usersCollection.findOne(
+      { _id: new ObjectId(userId) },
+      { projection: { name: 1, email: 1 } }
+    );
+    const recipients = await getTeamRecipients(job.organizationId, { excludeUserId: userId });
+    const applicantName = applicant?.name || applicant?.email || 'A candidate';
+    const link = `${getEnvConfig().NEXTAUTH_URL}/jobs/${jobId}/applications`;
+
+    await dispatchNotification(NOTIFICATION_EVENTS.CANDIDATE_APPLIED, recipients, recipient =>
+      generateCandidateAppliedEmail({
+        recipientName: recipient.name,
+        applicantName,
+        jobTitle: job.title,
+        link
+      }),
+      { organizationId: job.organizationId }
+    );
+
+    // The person who posted the job also sees it in the app
+    if (job.createdBy) {
+      await notifyUsers([job.createdBy], {
+        organizationId: job.organizationId,
+        type: USER_NOTIFICATION_TYPES.CANDIDATE_APPLIED,
+        title: `New application for ${job.title}`,
+        body: `${applicantName} applied.`,
+        link: buildNotificationLink('job', jobId),
+        actor: { userId }
+      });
+    }
+  } catch (error) {
+    console.error('Failed to notify team of new application:', error);
+  }
+}
+
 /**
  * Creates a new job application
  * @param {Object} applicationData - Application data
@@ -70,6 +126,21 @@ export async function createApplication(applicationData, jobId, userId) {
       );
     }
 
+    // Applications belong to the organization that posted the job
+    const jobsCollection = await getCollection('jobs');
+    const job = await jobsCollection.findOne(
+      { _id: new ObjectId(jobId) },
+      { projection: { organizationId: 1, status: 1, title: 1, createdBy: 1 } }
+    );
+
+    if (!job || job.status !== 'active') {
+      throw new ApplicationError(
+        'This job is not accepting applications',
+        'jobId',
+        'JOB_NOT_FOUND'
+      );
+    }
+
     // Check if user already applied for this job
     const applicationsCollection = await getApplicationsCollection();
     const existingApplication = await applicationsCollection.findOne({
@@ -98,6 +169,7 @@ export async function createApplication(applicationData, jobId, userId) {
     // Prepare application document
     const now = new Date();
     const applicationDocument = {
+      organizationId: job.organizationId || null,
       jobId: new ObjectId(jobId),
       applicantId: new ObjectId(userId),
       coverLetter: sanitizedData.coverLetter,
@@ -124,7 +196,6 @@ export async function createApplication(applicationData, jobId, userId) {
 
     // Update job application count
     try {
-      const jobsCollection = await getCollection('jobs');
       await jobsCollection.updateOne(
         { _id: new ObjectId(jobId) },
         { $inc: { applicationCount: 1 } }
@@ -134,10 +205,13 @@ export async function createApplication(applicationData, jobId, userId) {
       // Don't fail the application if count update fails
     }
 
+    await notifyTeamOfApplication(job, jobId, userId);
+
     // Return created application with string ID
     return {
       id: result.insertedId.toString(),
       ...applicationDocument,
+      organizationId: job.organizationId ? job.organizationId.toString() : null,
       jobId: jobId,
       applicantId: userId
     };
@@ -160,9 +234,10 @@ export async function createApplication(applicationData, jobId, userId) {
  * Gets applications for a specific job
  * @param {string} jobId - Job ID
  * @param {Object} options - Query options (limit, skip, sort)
+ * @param {string} organizationId - Organization the job belongs to
  * @returns {Promise<Array>} Array of application objects
  */
-export async function getApplicationsByJob(jobId, options = {}) {
+export async function getApplicationsByJob(jobId, options = {}, organizationId) {
   try {
     if (!jobId || typeof jobId !== 'string') {
       throw new ApplicationError('Job ID is required', 'jobId', 'JOB_ID_REQUIRED');
@@ -174,7 +249,7 @@ export async function getApplicationsByJob(jobId, options = {}) {
 
     const applicationsCollection = await getApplicationsCollection();
     
-    const query = { jobId: new ObjectId(jobId) };
+    const query = scopeQuery({ jobId: new ObjectId(jobId) }, organizationId);
     const { limit = 50, skip = 0, sort = { appliedAt: -1 } } = options;
 
     const applications = await applicationsCollection
@@ -189,12 +264,13 @@ export async function getApplicationsByJob(jobId, options = {}) {
       id: app._id.toString(),
       ...app,
       _id: undefined,
+      organizationId: app.organizationId.toString(),
       jobId: app.jobId.toString(),
       applicantId: app.applicantId.toString()
     }));
 
   } catch (error) {
-    if (error instanceof ApplicationError) {
+    if (error instanceof ApplicationError || error instanceof OrganizationScopeError) {
       throw error;
     }
 
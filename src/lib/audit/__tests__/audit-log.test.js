@@ -0,0 +1,273 @@
+/**
+ * Property-Based Tests for the Audit Log
+ * Feature: audit-log, Property 1: Diffs Show Exactly What Changed
+ * Feature: audit-log, Property 2: Exported Cells Round-Trip Safely
+ */
+
+import fc from 'fast-check';
+import { ObjectId } from 'mongodb';
+import {
+  AUDIT_ACTIONS,
+  AUDIT_TARGET_TYPES,
+  AuditLogError,
+  diffAuditValues,
+  describeCandidateTarget,
+  readAuditFilters,
+  buildAuditQuery,
+  toCsvCell,
+  buildAuditCsv
+} from '../audit-log.js';
+
+/**
+ * Reads one CSV cell back the way a spreadsheet would
+ */
+function parseCsvCell(cell) {
+  if (cell.startsWith('"')) {
+    return cell.slice(1, -1).replace(/""/g, '"');
+  }
+  return cell;
+}
+
+describe('Audit Log Property Tests', () => {
+
+  /**
+   * Property 1: Diffs Show Exactly What Changed
+   * Every changed field is listed once with its old and new value, and
+   * unchanged fields never are.
+   */
+  describe('Property 1: Diffs Show Exactly What Changed', () => {
+    const personalFields = fc.constantFrom('firstName', 'lastName', 'email', 'phone', 'location');
+
+    test('changed fields are listed with their old and new values', () => {
+      fc.assert(
+        fc.property(
+          fc.dictionary(personalFields, fc.string({ maxLength: 20 })),
+          fc.dictionary(personalFields, fc.string({ maxLength: 20 })),
+          (before, after) => {
+            const changes = diffAuditValues({ personalInfo: before }, { personalInfo: after });
+            const changedFields = Object.keys({ ...before, ...after })
+              .filter(key => (before[key] ?? null) !== (after[key] ?? null))
+              .map(key => `personalInfo.${key}`)
+              .sort();
+
+            expect(changes.map(change => change.field)).toEqual(changedFields);
+            changes.forEach(change => {
+              const key = change.field.split('.').pop();
+              expect(change.from).toBe(before[key] ?? null);
+              expect(change.to).toBe(after[key] ?? null);
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('identical records have no changes', () => {
+      fc.assert(
+        fc.property(fc.dictionary(fc.string({ maxLength: 10 }), fc.jsonValue({ maxDepth: 3 })), (record) => {
+          expect(diffAuditValues(record, JSON.parse(JSON.stringify(record)))).toEqual([]);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('created and deleted records list every field on one side', () => {
+      const candidate = { personalInfo: { firstName: 'Ada', lastName: 'Lovelace' }, currentStage: 'Applied' };
+
+      expect(diffAuditValues(null, candidate)).toEqual([
+        { field: 'currentStage', from: null, to: 'Applied' },
+        { field: 'personalInfo.firstName', from: null, to: 'Ada' },
+        { field: 'personalInfo.lastName', from: null, to: 'Lovelace' }
+      ]);
+      expect(diffAuditValues(candidate, null).every(change => change.to === null)).toBe(true);
+    });
+
+    test('timestamps are ignored, ids and dates are stored as strings', () => {
+      const id = new ObjectId();
+      const changes = diffAuditValues(
+        { updatedAt: new Date('2026-01-01'), ownerId: null, dueAt: new Date('2026-02-01T09:00:00Z') },
+        { updatedAt: new Date('2026-01-02'), ownerId: id, dueAt: new Date('2026-02-02T09:00:00Z') }
+      );
+
+      expect(changes).toEqual([
+        { field: 'dueAt', from: '2026-02-01T09:00:00.000Z', to: '2026-02-02T09:00:00.000Z' },
+        { field: 'ownerId', from: null, to: id.toString() }
+      ]);
+    });
+
+    test('arrays are compared as a whole', () => {
+      expect(diffAuditValues({ tags: ['a', 'b'] }, { tags: ['a', 'b'] })).toEqual([]);
+      expect(diffAuditValues({ tags: ['a'] }, { tags: ['a', 'b'] })).toEqual([
+        { field: 'tags', from: ['a'], to: ['a', 'b'] }
+      ]);
+    });
+
+    test('secret values are masked but the change is still recorded', () => {
+      const changes = diffAuditValues(
+        { settings: { webhookSecret: 'old-secret', passwordHash: null } },
+        { settings: { webhookSecret: 'new-secret', passwordHash: '$2a$12$abc' } }
+      );
+
+      expect(changes).toEqual([
+        { field: 'settings.passwordHash', from: null, to: '[redacted]' },
+        { field: 'settings.webhookSecret', from: '[redacted]', to: '[redacted]' }
+      ]);
+    });
+
+    test('long values are truncated', () => {
+      const [change] = diffAuditValues({ notes: '' }, { notes: 'x'.repeat(5000) });
+
+      expect(change.to.length).toBe(1001);
+    });
+
+    test('candidate targets are labelled with their name or email', () => {
+      const id = new ObjectId();
+
+      expect(describeCandidateTarget({ _id: id, personalInfo: { firstName: 'Ada', lastName: 'Lovelace' } }))
+        .toEqual({ type: AUDIT_TARGET_TYPES.CANDIDATE, id, label: 'Ada Lovelace' });
+      expect(describeCandidateTarget({ _id: id, personalInfo: { email: 'ada@example.com' } }).label)
+        .toBe('ada@example.com');
+    });
+  });
+
+  describe('Filters', () => {
+    const organizationId = new ObjectId().toString();
+
+    test('filters are read from the query string', () => {
+      const params = new URLSearchParams('action=candidate.deleted&from=2026-01-01&page=2');
+
+      expect(readAuditFilters(params)).toEqual({
+        action: 'candidate.deleted',
+        actorId: null,
+        targetType: null,
+        targetId: null,
+        from: '2026-01-01',
+        to: null
+      });
+    });
+
+    test('queries are always scoped to the organization', () => {
+      fc.assert(
+        fc.property(
+          fc.option(fc.constantFrom(...Object.values(AUDIT_ACTIONS)), { nil: null }),
+          fc.option(fc.constantFrom(...Object.values(AUDIT_TARGET_TYPES)), { nil: null }),
+          (action, targetType) => {
+            const query = buildAuditQuery(organizationId, { action, targetType });
+
+            expect(query.organizationId.toString()).toBe(organizationId);
+            expect(query.action).toBe(action || undefined);
+            expect(query.targetType).toBe(targetType || undefined);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    test('a bare "to" date covers the whole day', () => {
+      const query = buildAuditQuery(organizationId, { from: '2026-03-01', to: '2026-03-31' });
+
+      expect(query.createdAt.$gte.toISOString()).toBe('2026-03-01T00:00:00.000Z');
+      expect(query.createdAt.$lte.toISOString()).toBe('2026-03-31T23:59:59.999Z');
+    });
+
+    test('invalid filters are rejected with the offending field', () => {
+      const cases = [
+        [{ action: 'candidate.exploded' }, 'action'],
+        [{ targetType: 'spaceship' }, 'targetType'],
+        [{ actorId: 'not-an-id' }, 'actorId'],
+        [{ from: 'yesterday-ish' }, 'from'],
+        [{ to: '2026-13-45' }, 'to']
+      ];
+
+      cases.forEach(([filters, field]) => {
+        let thrown = null;
+        try {
+          buildAuditQuery(organizationId, filters);
+        } catch (error) {
+          thrown = error;
+        }
+
+        expect(thrown).toBeInstanceOf(AuditLogError);
+        expect(thrown.code).toBe('INVALID_FILTER');
+        expect(thrown.field).toBe(field);
+      });
+    });
+  });
+
+  /**
+   * Property 2: Exported Cells Round-Trip Safely
+   * Any text survives CSV quoting, and text a spreadsheet would run as a
+   * formula is neutralized.
+   */
+  describe('Property 2: Exported Cells Round-Trip Safely', () => {
+    test('quoted cells read back as the original text', () => {
+      fc.assert(
+        fc.property(fc.string({ maxLength: 50 }), (text) => {
+          fc.pre(!/^[=+\-@\t\r]/.test(text));
+
+          expect(parseCsvCell(toCsvCell(text))).toBe(text);
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    test('formula-like text is prefixed so it stays text', () => {
+      fc.assert(
+        fc.property(fc.constantFrom('=', '+', '-', '@'), fc.string({ maxLength: 30 }), (lead, rest) => {
+          expect(parseCsvCell(toCsvCell(`${lead}${rest}`))).toBe(`'${lead}${rest}`);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('numbers and empty values are not altered', () => {
+      expect(toCsvCell(-5)).toBe('-5');
+      expect(toCsvCell(null)).toBe('');
+      expect(toCsvCell(undefined)).toBe('');
+      expect(toCsvCell({ a: 1 })).toBe('"{""a"":1}"');
+    });
+
+    test('the export has a header row and one row per entry', () => {
+      const entries = [
+        {
+          createdAt: new Date('2026-03-01T10:00:00Z'),
+          actorId: new ObjectId().toString(),
+          actorName: 'Grace Hopper',
+          actorEmail: 'grace@example.com',
+          action: AUDIT_ACTIONS.CANDIDATE_STAGE_CHANGED,
+          targetType: AUDIT_TARGET_TYPES.CANDIDATE,
+          targetId: new ObjectId().toString(),
+          targetLabel: 'Ada, Lovelace',
+          changes: [{ field: 'currentStage', from: 'Applied', to: 'Interview' }],
+          metadata: null,
+          ipAddress: '203.0.113.7',
+          userAgent: null
+        },
+        {
+          createdAt: new Date('2026-03-01T09:00:00Z'),
+          actorId: null,
+          actorName: null,
+          actorEmail: null,
+          action: AUDIT_ACTIONS.JOB_ARCHIVED,
+          targetType: AUDIT_TARGET_TYPES.JOB,
+          targetId: 'job-1',
+          targetLabel: '=HYPERLINK("http://evil")',
+          changes: [],
+          metadata: null,
+          ipAddress: null,
+          userAgent: null
+        }
+      ];
+
+      const lines = buildAuditCsv(entries).split('\r\n');
+
+      expect(lines).toHaveLength(4);
+      expect(lines[0]).toBe('Timestamp,Actor,Actor Email,Action,Target Type,Target ID,Target,Changes,Details,IP Address,User Agent');
+      expect(lines[1]).toContain('2026-03-01T10:00:00.000Z,Grace Hopper,grace@example.com,candidate.stage_changed');
+      expect(lines[1]).toContain('"Ada, Lovelace"');
+      expect(lines[2]).toContain(',System,');
+      expect(lines[2]).toContain(`"'=HYPERLINK(""http://evil"")"`);
+      expect(lines[3]).toBe('');
+    });
+  });
+});
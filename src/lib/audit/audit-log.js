@@ -0,0 +1,542 @@
+/**
+ * Audit Log Service
+ * Append-only record of sensitive actions in an organization: who did what to
+ * which record, what changed, from where and when. Entries are only ever
+ * inserted; nothing in the app updates or deletes them
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, getUsersCollection } from '../mongodb.js';
+import { readRequestContext } from '../request-context.js';
+
+/**
+ * Collection name for audit entries
+ */
+export const AUDIT_LOG_COLLECTION = 'audit_log';
+
+/**
+ * Kinds of records an entry can be about
+ */
+export const AUDIT_TARGET_TYPES = {
+  CANDIDATE: 'candidate',
+  DOCUMENT: 'document',
+  INTERVIEW: 'interview',
+  JOB: 'job',
+  INVITATION: 'invitation',
+  MEMBER: 'member',
+  ORGANIZATION: 'organization'
+};
+
+/**
+ * Recorded actions, named <target>.<verb>
+ */
+export const AUDIT_ACTIONS = {
+  CANDIDATE_CREATED: 'candidate.created',
+  CANDIDATE_UPDATED: 'candidate.updated',
+  CANDIDATE_DELETED: 'candidate.deleted',
+  CANDIDATE_STAGE_CHANGED: 'candidate.stage_changed',
+  CANDIDATE_CLOSED: 'candidate.closed',
+  CANDIDATE_REOPENED: 'candidate.reopened',
+  DOCUMENT_UPLOADED: 'document.uploaded',
+  DOCUMENT_DOWNLOADED: 'document.downloaded',
+  DOCUMENT_DELETED: 'document.deleted',
+  INTERVIEW_SCHEDULED: 'interview.scheduled',
+  INTERVIEW_UPDATED: 'interview.updated',
+  INTERVIEW_DELETED: 'interview.deleted',
+  SCORECARD_SUBMITTED: 'interview.scorecard_submitted',
+  JOB_CREATED: 'job.created',
+  JOB_UPDATED: 'job.updated',
+  JOB_ARCHIVED: 'job.archived',
+  MEMBER_INVITED: 'team.member_invited',
+  MEMBER_JOINED: 'team.member_joined',
+  INVITATION_REVOKED: 'team.invitation_revoked',
+  MEMBER_PROVISIONED: 'team.member_provisioned',
+  SECURITY_SETTINGS_UPDATED: 'team.security_settings_updated',
+  SSO_DOMAIN_VERIFIED: 'team.sso_domain_verified',
+  ACCOUNT_DELETED: 'team.account_deleted'
+};
+
+/**
+ * Most entries one CSV export contains, newest first
+ */
+export const AUDIT_EXPORT_LIMIT = 10000;
+
+const MAX_CHANGES = 100;
+const MAX_VALUE_LENGTH = 1000;
+
+// Bookkeeping fields that change on every write and say nothing about the action
+const IGNORED_DIFF_FIELDS = new Set(['_id', 'createdAt', 'updatedAt']);
+
+// Fields whose values never go into the log, only the fact that they changed
+const REDACTED_DIFF_FIELD = /password|secret|token|hash/i;
+
+/**
+ * Audit log errors
+ */
+export class AuditLogError extends Error {
+  constructor(message, code = 'AUDIT_LOG_ERROR', field = null) {
+    super(message);
+    this.name = 'AuditLogError';
+    this.code = code;
+    this.field = field;
+  }
+}
+
+let auditIndexesReady = false;
+
+/**
+ * Gets the audit collection, creating its indexes on first use
+ * @returns {Promise<Collection>} Audit collection
+ * @private
+ */
+async function getAuditCollection() {
+  const collection = await getCollection(AUDIT_LOG_COLLECTION);
+
+  if (!auditIndexesReady) {
+    await collection.createIndex({ organizationId: 1, createdAt: -1 });
+    await collection.createIndex({ organizationId: 1, action: 1, createdAt: -1 });
+    await collection.createIndex({ organizationId: 1, actorId: 1, createdAt: -1 });
+    await collection.createIndex({ organizationId: 1, targetType: 1, targetId: 1, createdAt: -1 });
+    auditIndexesReady = true;
+  }
+
+  return collection;
+}
+
+/**
+ * Checks for an object whose fields should be compared one by one
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ * @private
+ */
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Turns a stored value into plain JSON (ids as strings, dates as ISO strings)
+ * @param {*} value - Value to normalize
+ * @returns {*} JSON value
+ * @private
+ */
+function normalizeAuditValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof ObjectId) {
+    return value.toString();
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeAuditValue);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, normalizeAuditValue(item)])
+    );
+  }
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return `${value.slice(0, MAX_VALUE_LENGTH)}…`;
+  }
+  return value;
+}
+
+/**
+ * Flattens nested objects into dot paths; arrays and other values are leaves
+ * @param {*} value - Value to flatten
+ * @param {string} prefix - Path so far
+ * @param {Object} output - Paths collected so far
+ * @returns {Object} { path: value }
+ * @private
+ */
+function flattenAuditValue(value, prefix = '', output = {}) {
+  if (isPlainObject(value)) {
+    Object.entries(value).forEach(([key, item]) => {
+      flattenAuditValue(item, prefix ? `${prefix}.${key}` : key, output);
+    });
+    return output;
+  }
+
+  if (prefix) {
+    output[prefix] = normalizeAuditValue(value);
+  }
+  return output;
+}
+
+/**
+ * Lists the fields that differ between two versions of a record
+ * Nested objects are compared field by field, arrays as a whole; timestamps
+ * are ignored and secrets are masked
+ * @param {Object|null} before - Record before the action (null when created)
+ * @param {Object|null} after - Record after the action (null when deleted)
+ * @returns {Array<Object>} [{ field, from, to }] sorted by field
+ */
+export function diffAuditValues(before, after) {
+  const from = flattenAuditValue(before || {});
+  const to = flattenAuditValue(after || {});
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+  const changes = [];
+  for (const field of fields) {
+    const name = field.split('.').pop();
+    if (IGNORED_DIFF_FIELDS.has(name)) {
+      continue;
+    }
+
+    const previous = from[field] ?? null;
+    const next = to[field] ?? null;
+    if (JSON.stringify(previous) === JSON.stringify(next)) {
+      continue;
+    }
+
+    if (REDACTED_DIFF_FIELD.test(name)) {
+      changes.push({ field, from: previous === null ? null : '[redacted]', to: next === null ? null : '[redacted]' });
+    } else {
+      changes.push({ field, from: previous, to: next });
+    }
+
+    if (changes.length === MAX_CHANGES) {
+      break;
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Builds the target of an entry about a candidate
+ * @param {Object} candidate - Candidate document
+ * @returns {Object} { type, id, label }
+ */
+export function describeCandidateTarget(candidate) {
+  const name = `${candidate?.personalInfo?.firstName || ''} ${candidate?.personalInfo?.lastName || ''}`.trim();
+
+  return {
+    type: AUDIT_TARGET_TYPES.CANDIDATE,
+    id: candidate?._id,
+    label: name || candidate?.personalInfo?.email || null
+  };
+}
+
+/**
+ * Records an action in the audit log
+ * Never throws: a failed audit write is logged and the action goes ahead.
+ * The IP address and device are read from the request being handled unless
+ * they are passed in
+ * @param {Object} event - Event details
+ * @param {string|ObjectId} event.organizationId - Organization the action happened in
+ * @param {string|ObjectId} event.actorId - User who acted, null for the system
+ * @param {string} event.action - One of AUDIT_ACTIONS
+ * @param {Object} event.target - { type, id, label } of the record acted on
+ * @param {Object} event.before - Record before the action
+ * @param {Object} event.after - Record after the action
+ * @param {Object} event.metadata - Extra details (e.g. notes, file name)
+ * @param {string} event.ipAddress - Caller's IP address
+ * @param {string} event.userAgent - Caller's user agent
+ * @returns {Promise<Object|null>} Stored entry, or null if it couldn't be written
+ */
+export async function recordAuditEvent({
+  organizationId,
+  actorId = null,
+  action,
+  target = {},
+  before = null,
+  after = null,
+  metadata = null,
+  ipAddress,
+  userAgent
+} = {}) {
+  try {
+    if (!organizationId || !ObjectId.isValid(organizationId) || !action) {
+      console.error('Audit event without organization or action:', { organizationId, action });
+      return null;
+    }
+
+    const context = ipAddress === undefined
+      ? await readRequestContext()
+      : { ipAddress, userAgent };
+
+    const entry = {
+      organizationId: new ObjectId(organizationId),
+      actorId: actorId && ObjectId.isValid(actorId) ? new ObjectId(actorId) : null,
+      action,
+      targetType: target.type || null,
+      targetId: target.id ? target.id.toString() : null,
+      targetLabel: target.label || null,
+      changes: diffAuditValues(before, after),
+      metadata: metadata ? normalizeAuditValue(metadata) : null,
+      ipAddress: context.ipAddress && context.ipAddress !== 'unknown' ? context.ipAddress : null,
+      userAgent: context.userAgent ? String(context.userAgent).slice(0, 512) : null,
+      createdAt: new Date()
+    };
+
+    const collection = await getAuditCollection();
+    const result = await collection.insertOne(entry);
+
+    return { ...entry, _id: result.insertedId };
+  } catch (error) {
+    // The action already happened; losing its entry must not turn it into an error
+    console.error(`Failed to record audit event ${action}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Parses a filter date; a bare YYYY-MM-DD "to" date covers that whole day
+ * @param {string} value - Date string
+ * @param {string} field - Filter name
+ * @param {boolean} endOfDay - Whether a bare date means the end of the day
+ * @returns {Date|null} Parsed date
+ * @private
+ */
+function parseFilterDate(value, field, endOfDay = false) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AuditLogError(`Invalid ${field} date`, 'INVALID_FILTER', field);
+  }
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Reads the audit filters from a query string
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {Object} { action, actorId, targetType, targetId, from, to }
+ */
+export function readAuditFilters(searchParams) {
+  return {
+    action: searchParams.get('action') || null,
+    actorId: searchParams.get('actorId') || null,
+    targetType: searchParams.get('targetType') || null,
+    targetId: searchParams.get('targetId') || null,
+    from: searchParams.get('from') || null,
+    to: searchParams.get('to') || null
+  };
+}
+
+/**
+ * Builds the MongoDB query for a filtered view of an organization's log
+ * @param {string|ObjectId} organizationId - Organization ID
+ * @param {Object} filters - { action, actorId, targetType, targetId, from, to }
+ * @returns {Object} MongoDB query
+ */
+export function buildAuditQuery(organizationId, filters = {}) {
+  const query = { organizationId: new ObjectId(organizationId) };
+
+  if (filters.action) {
+    if (!Object.values(AUDIT_ACTIONS).includes(filters.action)) {
+      throw new AuditLogError('Unknown action', 'INVALID_FILTER', 'action');
+    }
+    query.action = filters.action;
+  }
+
+  if (filters.actorId) {
+    if (!ObjectId.isValid(filters.actorId)) {
+      throw new AuditLogError('Invalid actor ID', 'INVALID_FILTER', 'actorId');
+    }
+    query.actorId = new ObjectId(filters.actorId);
+  }
+
+  if (filters.targetType) {
+    if (!Object.values(AUDIT_TARGET_TYPES).includes(filters.targetType)) {
+      throw new AuditLogError('Unknown target type', 'INVALID_FILTER', 'targetType');
+    }
+    query.targetType = filters.targetType;
+  }
+
+  if (filters.targetId) {
+    query.targetId = String(filters.targetId);
+  }
+
+  const from = parseFilterDate(filters.from, 'from');
+  const to = parseFilterDate(filters.to, 'to', true);
+  if (from || to) {
+    query.createdAt = {};
+    if (from) {
+      query.createdAt.$gte = from;
+    }
+    if (to) {
+      query.createdAt.$lte = to;
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Formats entries for API responses, with the actors' names and emails
+ * @param {Array<Object>} entries - Audit documents
+ * @returns {Promise<Array<Object>>} Formatted entries
+ * @private
+ */
+async function formatAuditEntries(entries) {
+  const actorIds = [...new Set(entries.filter(entry => entry.actorId).map(entry => entry.actorId.toString()))];
+
+  // Looked up by user rather than team membership, so people who have left still show by name
+  let actors = new Map();
+  if (actorIds.length > 0) {
+    const usersCollection = await getUsersCollection();
+    const users = await usersCollection
+      .find({ _id: { $in: actorIds.map(id => new ObjectId(id)) } }, { projection: { name: 1, email: 1 } })
+      .toArray();
+    actors = new Map(users.map(user => [user._id.toString(), user]));
+  }
+
+  return entries.map(entry => {
+    const actor = entry.actorId ? actors.get(entry.actorId.toString()) : null;
+
+    return {
+      id: entry._id.toString(),
+      action: entry.action,
+      actorId: entry.actorId ? entry.actorId.toString() : null,
+      actorName: actor?.name || null,
+      actorEmail: actor?.email || null,
+      targetType: entry.targetType,
+      targetId: entry.targetId,
+      targetLabel: entry.targetLabel,
+      changes: entry.changes || [],
+      metadata: entry.metadata || null,
+      ipAddress: entry.ipAddress,
+      userAgent: entry.userAgent,
+      createdAt: entry.createdAt
+    };
+  });
+}
+
+/**
+ * Lists an organization's audit entries, newest first
+ * @param {string|ObjectId} organizationId - Organization ID
+ * @param {Object} filters - { action, actorId, targetType, targetId, from, to }
+ * @param {Object} pagination - { page, limit }
+ * @returns {Promise<Object>} { entries, pagination }
+ */
+export async function listAuditEvents(organizationId, filters = {}, pagination = {}) {
+  try {
+    const query = buildAuditQuery(organizationId, filters);
+    const page = Math.max(1, parseInt(pagination.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(pagination.limit, 10) || 50));
+
+    const collection = await getAuditCollection();
+    const [entries, total] = await Promise.all([
+      collection.find(query).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      collection.countDocuments(query)
+    ]);
+
+    return {
+      entries: await formatAuditEntries(entries),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    };
+  } catch (error) {
+    if (error instanceof AuditLogError) {
+      throw error;
+    }
+    console.error('Error listing audit events:', error);
+    throw new AuditLogError('Failed to load the audit log', 'DATABASE_ERROR');
+  }
+}
+
+/**
+ * Quotes a CSV cell when needed and keeps spreadsheet apps from running it as a formula
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+export function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const isText = typeof value === 'string';
+  let text = isText ? value : JSON.stringify(value);
+  if (isText && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Columns of the CSV export
+ */
+const AUDIT_CSV_COLUMNS = [
+  ['Timestamp', entry => new Date(entry.createdAt).toISOString()],
+  ['Actor', entry => entry.actorName || (entry.actorId ? entry.actorId : 'System')],
+  ['Actor Email', entry => entry.actorEmail],
+  ['Action', entry => entry.action],
+  ['Target Type', entry => entry.targetType],
+  ['Target ID', entry => entry.targetId],
+  ['Target', entry => entry.targetLabel],
+  ['Changes', entry => entry.changes.length > 0 ? entry.changes : null],
+  ['Details', entry => entry.metadata],
+  ['IP Address', entry => entry.ipAddress],
+  ['User Agent', entry => entry.userAgent]
+];
+
+/**
+ * Builds CSV text from formatted entries
+ * @param {Array<Object>} entries - Formatted entries
+ * @returns {string} CSV with a header row
+ */
+export function buildAuditCsv(entries) {
+  const rows = [
+    AUDIT_CSV_COLUMNS.map(([header]) => header),
+    ...entries.map(entry => AUDIT_CSV_COLUMNS.map(([, read]) => read(entry)))
+  ];
+
+  return rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Exports an organization's audit entries matching the filters as CSV, newest first
+ * @param {string|ObjectId} organizationId - Organization ID
+ * @param {Object} filters - { action, actorId, targetType, targetId, from, to }
+ * @returns {Promise<Object>} { csv, count, truncated }
+ */
+export async function exportAuditEventsCsv(organizationId, filters = {}) {
+  try {
+    const query = buildAuditQuery(organizationId, filters);
+
+    const collection = await getAuditCollection();
+    const entries = await collection
+      .find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(AUDIT_EXPORT_LIMIT + 1)
+      .toArray();
+
+    const truncated = entries.length > AUDIT_EXPORT_LIMIT;
+    const formatted = await formatAuditEntries(entries.slice(0, AUDIT_EXPORT_LIMIT));
+
+    return {
+      csv: buildAuditCsv(formatted),
+      count: formatted.length,
+      truncated
+    };
+  } catch (error) {
+    if (error instanceof AuditLogError) {
+      throw error;
+    }
+    console.error('Error exporting audit events:', error);
+    throw new AuditLogError('Failed to export the audit log', 'DATABASE_ERROR');
+  }
+}
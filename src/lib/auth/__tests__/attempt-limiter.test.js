@@ -0,0 +1,173 @@
+/**
+ * Property-Based Tests for the Attempt Limiter
+ * Feature: brute-force-protection, Property 1: Delays Grow Until the Lockout
+ */
+
+import fc from 'fast-check';
+import {
+  ATTEMPT_POLICIES,
+  ATTEMPT_SCOPES,
+  ATTEMPT_KEY_TYPES,
+  AttemptLimitError,
+  computeAttemptState,
+  buildAttemptKeys,
+  getClientIp,
+  describeRetryAfter,
+  formatAttemptLimitError,
+  getRetryAfterHeaders
+} from '../attempt-limiter.js';
+
+const allPolicies = Object.values(ATTEMPT_POLICIES).flatMap(scope => Object.values(scope));
+
+describe('Attempt Limiter Property Tests', () => {
+
+  /**
+   * Property 1: Delays Grow Until the Lockout
+   * The first failures are free; after them every failure waits at least as
+   * long as the one before, never longer than the maximum, until the lockout.
+   */
+  describe('Property 1: Delays Grow Until the Lockout', () => {
+    test('free attempts have no delay and no lockout', () => {
+      const now = new Date('2026-03-01T10:00:00Z');
+
+      allPolicies.forEach(policy => {
+        for (let failures = 0; failures <= policy.freeAttempts; failures++) {
+          expect(computeAttemptState(failures, policy, now)).toEqual({ nextAttemptAt: null, lockedUntil: null });
+        }
+      });
+    });
+
+    test('delays never shrink and stay within the maximum before the lockout', () => {
+      const now = new Date('2026-03-01T10:00:00Z');
+
+      fc.assert(
+        fc.property(fc.constantFrom(...allPolicies), (policy) => {
+          let previousDelay = 0;
+
+          for (let failures = policy.freeAttempts + 1; failures < policy.lockoutAfter; failures++) {
+            const state = computeAttemptState(failures, policy, now);
+            const delay = state.nextAttemptAt - now;
+
+            expect(state.lockedUntil).toBeNull();
+            expect(delay).toBeGreaterThanOrEqual(previousDelay);
+            expect(delay).toBeLessThanOrEqual(policy.maxDelayMs);
+            previousDelay = delay;
+          }
+        }),
+        { numRuns: 20 }
+      );
+    });
+
+    test('reaching the threshold locks the key out for the lockout period', () => {
+      const now = new Date('2026-03-01T10:00:00Z');
+
+      fc.assert(
+        fc.property(fc.constantFrom(...allPolicies), fc.integer({ min: 0, max: 20 }), (policy, extra) => {
+          const state = computeAttemptState(policy.lockoutAfter + extra, policy, now);
+
+          expect(state.nextAttemptAt).toBeNull();
+          expect(state.lockedUntil - now).toBe(policy.lockoutMs);
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    test('sign-in is locked out per account sooner than per IP', () => {
+      const login = ATTEMPT_POLICIES[ATTEMPT_SCOPES.LOGIN];
+
+      expect(login[ATTEMPT_KEY_TYPES.ACCOUNT].lockoutAfter).toBeLessThan(login[ATTEMPT_KEY_TYPES.IP].lockoutAfter);
+    });
+  });
+
+  describe('Keys and IP addresses', () => {
+    const originalError = console.error;
+    const warnings = [];
+
+    beforeAll(() => {
+      console.error = (...args) => warnings.push(args.join(' '));
+    });
+
+    afterAll(() => {
+      console.error = originalError;
+    });
+
+    test('account keys are normalized and unknown IPs are left out', () => {
+      expect(buildAttemptKeys({ account: ' Ada@Example.com ', ip: '203.0.113.7' })).toEqual([
+        { type: 'account', value: 'ada@example.com' },
+        { type: 'ip', value: '203.0.113.7' }
+      ]);
+      expect(buildAttemptKeys({ ip: 'unknown' })).toEqual([]);
+      expect(buildAttemptKeys()).toEqual([]);
+    });
+
+    test('the address seen by the outermost trusted proxy is the client', () => {
+      const request = new Request('http://localhost/api', {
+        headers: { 'x-forwarded-for': '1.2.3.4, 203.0.113.7, 10.0.0.1', 'x-real-ip': '10.0.0.1' }
+      });
+
+      // A client-supplied first entry is never trusted
+      expect(getClientIp(request, 1)).toBe('10.0.0.1');
+      expect(getClientIp(request, 2)).toBe('203.0.113.7');
+      expect(getClientIp(request, 10)).toBe('1.2.3.4');
+      expect(getClientIp({ headers: { 'x-real-ip': '198.51.100.2' } }, 1)).toBe('198.51.100.2');
+      expect(getClientIp({ headers: {} }, 1)).toBe('unknown');
+      expect(getClientIp(undefined, 1)).toBe('unknown');
+    });
+
+    test('without trusted proxies only the connection address is used', () => {
+      const request = {
+        headers: { 'x-forwarded-for': '1.2.3.4', 'x-real-ip': '1.2.3.4' },
+        socket: { remoteAddress: '198.51.100.9' }
+      };
+
+      expect(getClientIp(request, 0)).toBe('198.51.100.9');
+      expect(getClientIp({ headers: {} }, 0)).toBe('unknown');
+      expect(getClientIp({ headers: {}, socket: { remoteAddress: '198.51.100.9' } }, 1)).toBe('198.51.100.9');
+    });
+
+    test('a direct connection can\'t choose its address with X-Forwarded-For', () => {
+      const previous = process.env.TRUSTED_PROXY_COUNT;
+
+      try {
+        delete process.env.TRUSTED_PROXY_COUNT;
+        fc.assert(
+          fc.property(fc.ipV4(), fc.ipV4(), (spoofed, actual) => {
+            const spoofedHeaders = { 'x-forwarded-for': spoofed, 'x-real-ip': spoofed };
+
+            // Without TRUSTED_PROXY_COUNT no header is trusted
+            expect(getClientIp({ headers: spoofedHeaders, socket: { remoteAddress: actual } })).toBe(actual);
+            expect(getClientIp(new Request('http://localhost/api', { headers: spoofedHeaders }))).toBe('unknown');
+            expect(getClientIp(new Request('http://localhost/api', { headers: spoofedHeaders }), 0)).toBe('unknown');
+          }),
+          { numRuns: 50 }
+        );
+
+        // No address means no per-IP limit, which is logged once rather than for every request
+        expect(warnings).toHaveLength(1);
+        expect(warnings[0]).toContain('TRUSTED_PROXY_COUNT');
+      } finally {
+        if (previous === undefined) {
+          delete process.env.TRUSTED_PROXY_COUNT;
+        } else {
+          process.env.TRUSTED_PROXY_COUNT = previous;
+        }
+      }
+    });
+  });
+
+  describe('Error formatting', () => {
+    test('waits are described in seconds or minutes and sent as Retry-After', () => {
+      expect(describeRetryAfter(1)).toBe('1 second');
+      expect(describeRetryAfter(30 * 1000)).toBe('30 seconds');
+      expect(describeRetryAfter(61 * 1000)).toBe('2 minutes');
+
+      const error = new AttemptLimitError('Too many attempts.', 'LOCKED_OUT', 90 * 1000);
+      expect(error.statusCode).toBe(429);
+      expect(formatAttemptLimitError(error)).toEqual({
+        success: false,
+        error: { message: 'Too many attempts.', code: 'LOCKED_OUT', retryAfterSeconds: 90 }
+      });
+      expect(getRetryAfterHeaders(error)).toEqual({ 'Retry-After': '90' });
+    });
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * Property-Based Tests for the OpenID Connect Client
+ * Feature: oidc-sso, Property 1: Only Genuine ID Tokens for This Sign-In Are Accepted
+ * Feature: oidc-sso, Property 2: PKCE Challenges Match Their Verifiers
+ */
+
+import crypto from 'crypto';
+import fc from 'fast-check';
+import {
+  OidcError,
+  OIDC_CLOCK_TOLERANCE_SECONDS,
+  createPkcePair,
+  generateOidcToken,
+  decodeJwt,
+  verifyIdToken,
+  discoverOidcProvider,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  validateIdToken,
+  isPrivateAddress
+} from '../oidc.js';
+import { startMockOidcIssuer } from '../../../scripts/mock-oidc-issuer.js';
+
+const ISSUER = 'https://login.example.com';
+const CLIENT_ID = 'nexus-ats';
+const NOW = Date.UTC(2026, 5, 1, 12, 0, 0);
+
+const rsaKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+const RSA_JWK = { ...rsaKeys.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', use: 'sig' };
+const EC_JWK = { ...ecKeys.publicKey.export({ format: 'jwk' }), kid: 'ec-1', use: 'sig' };
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Signs a test ID token
+ */
+function signToken(payload, { alg = 'RS256', kid = 'rsa-1', privateKey = rsaKeys.privateKey } = {}) {
+  const signingInput = `${encode({ alg, typ: 'JWT', kid })}.${encode(payload)}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), {
+    key: privateKey,
+    ...(alg.startsWith('ES') ? { dsaEncoding: 'ieee-p1363' } : {})
+  });
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+function validClaims(overrides = {}) {
+  const seconds = Math.floor(NOW / 1000);
+  return {
+    iss: ISSUER,
+    aud: CLIENT_ID,
+    sub: 'user-123',
+    iat: seconds,
+    exp: seconds + 300,
+    nonce: 'nonce-abc',
+    email: 'ada@example.com',
+    email_verified: true,
+    ...overrides
+  };
+}
+
+function verify(token, options = {}) {
+  return verifyIdToken(token, {
+    keys: [RSA_JWK, EC_JWK],
+    issuer: ISSUER,
+    clientId: CLIENT_ID,
+    nonce: 'nonce-abc',
+    now: NOW,
+    ...options
+  });
+}
+
+function verifyError(token, options) {
+  try {
+    verify(token, options);
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('OpenID Connect Property Tests', () => {
+
+  /**
+   * Property 1: Only Genuine ID Tokens for This Sign-In Are Accepted
+   * A token is accepted only when our provider's key signed it, for our
+   * client, for this sign-in's nonce, and it hasn't expired.
+   */
+  describe('Property 1: Only Genuine ID Tokens for This Sign-In Are Accepted', () => {
+    test('valid tokens return their claims', () => {
+      fc.assert(
+        fc.property(fc.string({ minLength: 1, maxLength: 40 }), fc.emailAddress(), (sub, email) => {
+          const claims = verify(signToken(validClaims({ sub, email })));
+
+          expect(claims.sub).toBe(sub);
+          expect(claims.email).toBe(email);
+        }),
+        { numRuns: 25 }
+      );
+    });
+
+    test('ES256 tokens are accepted', () => {
+      const token = signToken(validClaims(), { alg: 'ES256', kid: 'ec-1', privateKey: ecKeys.privateKey });
+
+      expect(verify(token).sub).toBe('user-123');
+    });
+
+    test('any change to the payload breaks the signature', () => {
+      fc.assert(
+        fc.property(fc.string({ minLength: 1, maxLength: 20 }), (sub) => {
+          fc.pre(sub !== 'user-123');
+          const [header, , signature] = signToken(validClaims()).split('.');
+          const forged = `${header}.${encode(validClaims({ sub }))}.${signature}`;
+
+          const error = verifyError(forged);
+          expect(error).toBeInstanceOf(OidcError);
+          expect(error.code).toBe('INVALID_ID_TOKEN');
+        }),
+        { numRuns: 25 }
+      );
+    });
+
+    test('tokens for another issuer, client or sign-in are rejected', () => {
+      const cases = [
+        validClaims({ iss: 'https://evil.example.com' }),
+        validClaims({ aud: 'someone-else' }),
+        validClaims({ aud: [CLIENT_ID, 'someone-else'], azp: 'someone-else' }),
+        validClaims({ nonce: 'another-nonce' }),
+        validClaims({ nonce: undefined }),
+        validClaims({ sub: undefined })
+      ];
+
+      cases.forEach(claims => {
+        expect(verifyError(signToken(claims))?.code).toBe('INVALID_ID_TOKEN');
+      });
+      expect(verify(signToken(validClaims({ aud: [CLIENT_ID, 'other'], azp: CLIENT_ID }))).sub).toBe('user-123');
+    });
+
+    test('tokens are accepted until they expire, allowing for clock drift', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: -600, max: 600 }), (offset) => {
+          const exp = Math.floor(NOW / 1000) + offset;
+          const error = verifyError(signToken(validClaims({ exp })));
+
+          if (offset + OIDC_CLOCK_TOLERANCE_SECONDS >= 0) {
+            expect(error).toBeNull();
+          } else {
+            expect(error.code).toBe('INVALID_ID_TOKEN');
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('unsigned and shared-secret tokens are never accepted', () => {
+      const payload = encode(validClaims());
+      const unsigned = `${encode({ alg: 'none', typ: 'JWT' })}.${payload}.`;
+      const hmacInput = `${encode({ alg: 'HS256', typ: 'JWT', kid: 'rsa-1' })}.${payload}`;
+      const hmac = `${hmacInput}.${crypto.createHmac('sha256', 'secret').update(hmacInput).digest('base64url')}`;
+
+      expect(verifyError(unsigned).code).toBe('INVALID_ID_TOKEN');
+      expect(verifyError(hmac).code).toBe('INVALID_ID_TOKEN');
+    });
+
+    test('tokens signed with an unknown key are reported so keys can be refetched', () => {
+      expect(verifyError(signToken(validClaims(), { kid: 'rotated' })).code).toBe('UNKNOWN_SIGNING_KEY');
+    });
+
+    test('tokens without three parts are rejected', () => {
+      fc.assert(
+        fc.property(fc.string({ maxLength: 60 }), (token) => {
+          fc.pre(token.split('.').length !== 3);
+          expect(() => decodeJwt(token)).toThrow(OidcError);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * Property 2: PKCE Challenges Match Their Verifiers
+   * The challenge is the S256 hash of a fresh, high-entropy verifier.
+   */
+  describe('Property 2: PKCE Challenges Match Their Verifiers', () => {
+    test('challenges are the base64url SHA-256 of the verifier', () => {
+      fc.assert(
+        fc.property(fc.constant(null), () => {
+          const { codeVerifier, codeChallenge } = createPkcePair();
+
+          expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43,128}$/);
+          expect(codeChallenge).toBe(crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+        }),
+        { numRuns: 20 }
+      );
+    });
+
+    test('tokens are not repeated', () => {
+      const tokens = new Set(Array.from({ length: 200 }, () => generateOidcToken()));
+
+      expect(tokens.size).toBe(200);
+    });
+  });
+
+  describe('Provider requests stay on the public internet', () => {
+    test('loopback, private, link-local and mapped addresses are private', () => {
+      [
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+        '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+        '::1', '::', '[::1]', 'fd12:3456::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:7f00:1'
+      ].forEach(address => {
+        expect(isPrivateAddress(address)).toBe(true);
+      });
+    });
+
+    test('public addresses and host names are not', () => {
+      ['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700:4700::1111', 'login.example.com'].forEach(address => {
+        expect(isPrivateAddress(address)).toBe(false);
+      });
+    });
+
+    test('issuers on this machine are refused outside development', async () => {
+      const mock = await startMockOidcIssuer({ port: 0 });
+      try {
+        await expect(discoverOidcProvider(mock.issuer, { refresh: true }))
+          .rejects.toMatchObject({ code: 'DISCOVERY_FAILED' });
+        await expect(discoverOidcProvider('https://169.254.169.254', { refresh: true }))
+          .rejects.toMatchObject({ code: 'DISCOVERY_FAILED', message: expect.stringContaining('public internet') });
+      } finally {
+        await mock.close();
+      }
+    });
+  });
+
+  describe('Against the mock issuer', () => {
+    let mock;
+    let nodeEnv;
+
+    // The mock issuer runs on 127.0.0.1, which only development allows
+    beforeAll(async () => {
+      nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'development';
+      mock = await startMockOidcIssuer({ port: 0 });
+    });
+
+    afterAll(async () => {
+      process.env.NODE_ENV = nodeEnv;
+      await mock.close();
+    });
+
+    test('a full sign-in returns the person\'s verified claims', async () => {
+      const provider = await discoverOidcProvider(mock.issuer, { refresh: true });
+      const { codeVerifier, codeChallenge } = createPkcePair();
+      const redirectUri = 'http://localhost:3000/api/auth/sso/callback';
+
+      const authorizationUrl = new URL(buildAuthorizationUrl(provider, {
+        clientId: mock.clientId,
+        redirectUri,
+        state: 'state-1',
+        nonce: 'nonce-1',
+        codeChallenge,
+        loginHint: 'grace@example.com'
+      }));
+      const signInPage = await fetch(authorizationUrl);
+      expect(await signInPage.text()).toContain('value="grace@example.com"');
+
+      const form = new URLSearchParams(authorizationUrl.searchParams);
+      form.set('email', 'grace@example.com');
+      form.set('name', 'Grace Hopper');
+      form.set('email_verified', 'on');
+      const approved = await fetch(`${mock.issuer}/authorize`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: form.toString(),
+        redirect: 'manual'
+      });
+      const callback = new URL(approved.headers.get('location'));
+      expect(callback.searchParams.get('state')).toBe('state-1');
+
+      const tokens = await exchangeAuthorizationCode(provider, {
+        clientId: mock.clientId,
+        clientSecret: mock.clientSecret,
+        code: callback.searchParams.get('code'),
+        redirectUri,
+        codeVerifier
+      });
+      const claims = await validateIdToken(provider, tokens.id_token, { clientId: mock.clientId, nonce: 'nonce-1' });
+
+      expect(claims).toMatchObject({ iss: mock.issuer, email: 'grace@example.com', email_verified: true, name: 'Grace Hopper' });
+    });
+
+    test('the code exchange fails without the PKCE verifier or the right secret', async () => {
+      const provider = await discoverOidcProvider(mock.issuer);
+      const redirectUri = 'http://localhost:3000/api/auth/sso/callback';
+
+      const signIn = async () => {
+        const { codeChallenge } = createPkcePair();
+        const response = await fetch(`${mock.issuer}/authorize`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: new URLSearchParams({
+            client_id: mock.clientId,
+            redirect_uri: redirectUri,
+            state: 's',
+            nonce: 'n',
+            code_challenge: codeChallenge,
+            email: 'grace@example.com'
+          }).toString(),
+          redirect: 'manual'
+        });
+        return new URL(response.headers.get('location')).searchParams.get('code');
+      };
+
+      await expect(exchangeAuthorizationCode(provider, {
+        clientId: mock.clientId,
+        clientSecret: mock.clientSecret,
+        code: await signIn(),
+        redirectUri,
+        codeVerifier: createPkcePair().codeVerifier
+      })).rejects.toMatchObject({ code: 'TOKEN_EXCHANGE_FAILED' });
+
+      await expect(exchangeAuthorizationCode(provider, {
+        clientId: mock.clientId,
+        clientSecret: 'wrong-secret',
+        code: await signIn(),
+        redirectUri,
+        codeVerifier: createPkcePair().codeVerifier
+      })).rejects.toMatchObject({ code: 'TOKEN_EXCHANGE_FAILED' });
+    });
+
+    test('discovery fails for an issuer that doesn\'t match its document', async () => {
+      await expect(discoverOidcProvider(`${mock.issuer}/`, { refresh: true }))
+        .rejects.toMatchObject({ code: 'DISCOVERY_FAILED' });
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Property-Based Tests for Password Reset Tokens
+ * Feature: password-reset, Property 1: Only Token Hashes Are Stored
+ */
+
+import fc from 'fast-check';
+import {
+  generatePasswordResetToken,
+  hashPasswordResetToken,
+  formatPasswordResetError,
+  PasswordResetError
+} from '../password-reset.js';
+
+describe('Password Reset Property Tests', () => {
+
+  /**
+   * Property 1: Only Token Hashes Are Stored
+   * Tokens are random 256-bit values; their stored hash is stable, differs from
+   * the token and differs between tokens.
+   */
+  describe('Property 1: Only Token Hashes Are Stored', () => {
+    test('generated tokens are unique 64-character hex strings', () => {
+      const tokens = Array.from({ length: 50 }, () => generatePasswordResetToken());
+
+      tokens.forEach(token => expect(token).toMatch(/^[0-9a-f]{64}$/));
+      expect(new Set(tokens).size).toBe(tokens.length);
+    });
+
+    test('hashes are stable and never equal the token', () => {
+      fc.assert(
+        fc.property(fc.string({ minLength: 1, maxLength: 128 }), fc.string({ minLength: 1, maxLength: 128 }), (token, other) => {
+          const hash = hashPasswordResetToken(token);
+
+          expect(hash).toMatch(/^[0-9a-f]{64}$/);
+          expect(hash).not.toBe(token);
+          expect(hashPasswordResetToken(token)).toBe(hash);
+          if (token !== other) {
+            expect(hashPasswordResetToken(other)).not.toBe(hash);
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Error formatting', () => {
+    test('reset errors keep their code and field; others are generic', () => {
+      expect(formatPasswordResetError(new PasswordResetError('Too weak', 'WEAK_PASSWORD', 'password'))).toEqual({
+        success: false,
+        error: { message: 'Too weak', code: 'WEAK_PASSWORD', field: 'password' }
+      });
+      expect(formatPasswordResetError(new Error('boom')).error.code).toBe('UNKNOWN_ERROR');
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Property-Based Tests for Two-Factor Authentication
+ * Feature: two-factor-auth, Property 1: Codes Match RFC 6238 and Work Once
+ * Feature: two-factor-auth, Property 2: Only Recovery Code Hashes Are Stored
+ */
+
+import fc from 'fast-check';
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  getTotpStep,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  encryptTwoFactorSecret,
+  decryptTwoFactorSecret,
+  formatTwoFactorError,
+  getTwoFactorErrorStatus,
+  TwoFactorError,
+  TOTP_PERIOD_SECONDS
+} from '../two-factor.js';
+
+// The RFC 6238 SHA-1 test key "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('Two-Factor Property Tests', () => {
+
+  /**
+   * Property 1: Codes Match RFC 6238 and Work Once
+   * Codes are the last six digits of the RFC test vectors, are accepted one
+   * period either side of now and never at or before the last used step.
+   */
+  describe('Property 1: Codes Match RFC 6238 and Work Once', () => {
+    test('base32 round-trips any bytes', () => {
+      fc.assert(
+        fc.property(fc.uint8Array({ minLength: 0, maxLength: 64 }), (bytes) => {
+          const encoded = base32Encode(Buffer.from(bytes));
+
+          expect(encoded).toMatch(/^[A-Z2-7]*$/);
+          expect(base32Decode(encoded).equals(Buffer.from(bytes))).toBe(true);
+          expect(base32Decode(encoded.toLowerCase()).equals(Buffer.from(bytes))).toBe(true);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('generated codes match the RFC 6238 test vectors', () => {
+      expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+      expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+      expect(generateTotp(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+      expect(generateTotp(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+      expect(generateTotp(RFC_SECRET, 2000000000 * 1000)).toBe('279037');
+    });
+
+    test('codes are accepted within one period of now and refused outside it', () => {
+      const secret = generateTotpSecret();
+      const period = TOTP_PERIOD_SECONDS * 1000;
+
+      fc.assert(
+        fc.property(fc.integer({ min: 1e12, max: 2e12 }), (time) => {
+          const step = getTotpStep(time);
+
+          expect(verifyTotp(secret, generateTotp(secret, time), { time })).toBe(step);
+          expect(verifyTotp(secret, generateTotp(secret, time - period), { time })).toBe(step - 1);
+          expect(verifyTotp(secret, generateTotp(secret, time + period), { time })).toBe(step + 1);
+
+          const stale = generateTotp(secret, time - 5 * period);
+          if (![-1, 0, 1].some(offset => generateTotp(secret, time + offset * period) === stale)) {
+            expect(verifyTotp(secret, stale, { time })).toBeNull();
+          }
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    test('a code is refused once its step has been used', () => {
+      const secret = generateTotpSecret();
+      const time = Date.now();
+      const code = generateTotp(secret, time);
+      const step = verifyTotp(secret, code, { time });
+
+      expect(verifyTotp(secret, code, { time, lastUsedStep: step })).toBeNull();
+      expect(verifyTotp(secret, code, { time, lastUsedStep: step - 1 })).toBe(step);
+    });
+
+    test('malformed codes are refused', () => {
+      const secret = generateTotpSecret();
+
+      ['', '12345', '1234567', 'abcdef', null, undefined].forEach(code => {
+        expect(verifyTotp(secret, code)).toBeNull();
+      });
+      expect(verifyTotp(secret, generateTotp(secret).replace(/(\d{3})/, '$1 '))).not.toBeNull();
+    });
+
+    test('the otpauth URI carries the secret, issuer and account', () => {
+      const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, email: 'ada@example.com' }));
+
+      expect(uri.protocol).toBe('otpauth:');
+      expect(uri.host).toBe('totp');
+      expect(decodeURIComponent(uri.pathname)).toBe('/Nexus ATS:ada@example.com');
+      expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+      expect(uri.searchParams.get('issuer')).toBe('Nexus ATS');
+      expect(uri.searchParams.get('digits')).toBe('6');
+      expect(uri.searchParams.get('period')).toBe('30');
+    });
+  });
+
+  /**
+   * Property 2: Only Recovery Code Hashes Are Stored
+   * Recovery codes are random and their hashes ignore case and separators;
+   * TOTP secrets are encrypted, not stored as typed.
+   */
+  describe('Property 2: Only Recovery Code Hashes Are Stored', () => {
+    test('recovery codes are unique and formatted as xxxxx-xxxxx', () => {
+      const codes = generateRecoveryCodes();
+
+      expect(codes).toHaveLength(10);
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+      expect(new Set(codes).size).toBe(codes.length);
+    });
+
+    test('hashes ignore case and separators and never equal the code', () => {
+      fc.assert(
+        fc.property(fc.stringMatching(/^[0-9a-f]{10}$/), (raw) => {
+          const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+          const hash = hashRecoveryCode(code);
+
+          expect(hash).toMatch(/^[0-9a-f]{64}$/);
+          expect(hash).not.toBe(code);
+          expect(hashRecoveryCode(code.toUpperCase())).toBe(hash);
+          expect(hashRecoveryCode(raw)).toBe(hash);
+          expect(hashRecoveryCode(` ${raw.slice(0, 5)} ${raw.slice(5)} `)).toBe(hash);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('secrets are encrypted and decrypt to the original', () => {
+      const previous = { ...process.env };
+      Object.assign(process.env, {
+        MONGODB_URI: previous.MONGODB_URI || 'mongodb://localhost:27017',
+        NEXTAUTH_URL: previous.NEXTAUTH_URL || 'http://localhost:3000',
+        NEXTAUTH_SECRET: previous.NEXTAUTH_SECRET || 'test-secret',
+        DB_NAME: previous.DB_NAME || 'nexus_ats_test'
+      });
+
+      try {
+        const secret = generateTotpSecret();
+        const stored = encryptTwoFactorSecret(secret);
+
+        expect(stored).not.toContain(secret);
+        expect(encryptTwoFactorSecret(secret)).not.toBe(stored);
+        expect(decryptTwoFactorSecret(stored)).toBe(secret);
+      } finally {
+        process.env = previous;
+      }
+    });
+  });
+
+  describe('Error formatting', () => {
+    test('two-factor errors keep their code and field; others are generic', () => {
+      const error = new TwoFactorError('Invalid verification code', 'INVALID_CODE', 'code');
+
+      expect(formatTwoFactorError(error)).toEqual({
+        success: false,
+        error: { message: 'Invalid verification code', code: 'INVALID_CODE', field: 'code' }
+      });
+      expect(getTwoFactorErrorStatus(error)).toBe(400);
+      expect(getTwoFactorErrorStatus(new TwoFactorError('x', 'TWO_FACTOR_REQUIRED_BY_ORGANIZATION'))).toBe(403);
+      expect(formatTwoFactorError(new Error('boom')).error.code).toBe('UNKNOWN_ERROR');
+      expect(getTwoFactorErrorStatus(new Error('boom'))).toBe(500);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Property-Based Tests for User Sessions
+ * Feature: session-management, Property 1: Only Live Sessions Are Accepted
+ * Feature: session-management, Property 2: Ended Accounts and Sessions Keep No Tokens
+ */
+
+import fc from 'fast-check';
+import { ObjectId } from 'mongodb';
+import {
+  SESSION_MAX_AGE_MS,
+  UserSessionError,
+  describeUserAgent,
+  isSessionActive,
+  isTokenCurrent,
+  formatUserSession,
+  formatUserSessionError,
+  getUserSessionErrorStatus
+} from '../user-sessions.js';
+
+const CHROME_MAC = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+const EDGE_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36 Edg/126.0.0.0';
+const FIREFOX_LINUX = 'Mozilla/5.0 (X11; Linux x86_64; rv:127.0) Gecko/20100101 Firefox/127.0';
+
+describe('User Sessions Property Tests', () => {
+
+  /**
+   * Property 1: Only Live Sessions Are Accepted
+   * A session is usable until it is revoked or has been idle for the max age,
+   * whatever else is stored on it.
+   */
+  describe('Property 1: Only Live Sessions Are Accepted', () => {
+    test('sessions are active until they expire or are revoked', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 1e12, max: 2e12 }),
+          fc.integer({ min: -SESSION_MAX_AGE_MS, max: SESSION_MAX_AGE_MS }),
+          fc.boolean(),
+          (time, offset, revoked) => {
+            const now = new Date(time);
+            const session = {
+              expiresAt: new Date(time + offset),
+              revokedAt: revoked ? new Date(time - 1000) : null
+            };
+
+            expect(isSessionActive(session, now)).toBe(!revoked && offset > 0);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('missing sessions are never active', () => {
+      expect(isSessionActive(null)).toBe(false);
+      expect(isSessionActive(undefined)).toBe(false);
+    });
+  });
+
+  /**
+   * Property 2: Ended Accounts and Sessions Keep No Tokens
+   * Tokens stop working once the account is deleted or deactivated, its
+   * password changes, or, for tokens without a session record, once it ended
+   * its sessions after they were signed in.
+   */
+  describe('Property 2: Ended Accounts and Sessions Keep No Tokens', () => {
+    const SIGNED_IN = new Date('2026-03-01T10:00:00Z');
+    const token = { id: new ObjectId().toString(), sessionId: new ObjectId().toString(), sessionVersion: 2, lastLoginAt: SIGNED_IN };
+    const user = { isActive: true, sessionVersion: 2 };
+
+    test('deleted and deactivated accounts lose every token', () => {
+      expect(isTokenCurrent(token, user)).toBe(true);
+      expect(isTokenCurrent(token, null)).toBe(false);
+      expect(isTokenCurrent(token, { ...user, isActive: false })).toBe(false);
+      expect(isTokenCurrent(token, { sessionVersion: 2 })).toBe(false);
+    });
+
+    test('only tokens with the account\'s session version are accepted', () => {
+      fc.assert(
+        fc.property(fc.nat(20), fc.nat(20), (tokenVersion, userVersion) => {
+          expect(isTokenCurrent({ ...token, sessionVersion: tokenVersion }, { ...user, sessionVersion: userVersion }))
+            .toBe(tokenVersion === userVersion);
+        }),
+        { numRuns: 100 }
+      );
+      expect(isTokenCurrent({ ...token, sessionVersion: undefined }, { isActive: true })).toBe(true);
+    });
+
+    test('tokens without a session are refused when signed in before the sessions were ended', () => {
+      const legacy = { ...token, sessionId: undefined };
+
+      fc.assert(
+        fc.property(fc.integer({ min: -30 * 24 * 60, max: 30 * 24 * 60 }), (minutes) => {
+          const sessionsRevokedAt = new Date(SIGNED_IN.getTime() + minutes * 60 * 1000);
+
+          expect(isTokenCurrent(legacy, { ...user, sessionsRevokedAt })).toBe(minutes < 0);
+          // Tokens with a session record are revoked through it instead
+          expect(isTokenCurrent(token, { ...user, sessionsRevokedAt })).toBe(true);
+        }),
+        { numRuns: 100 }
+      );
+
+      expect(isTokenCurrent(legacy, user)).toBe(true);
+      expect(isTokenCurrent({ ...legacy, lastLoginAt: undefined }, { ...user, sessionsRevokedAt: SIGNED_IN })).toBe(false);
+    });
+  });
+
+  describe('Devices', () => {
+    test('common browsers and systems are recognized', () => {
+      expect(describeUserAgent(CHROME_MAC)).toEqual({ browser: 'Chrome', os: 'macOS', isMobile: false, label: 'Chrome on macOS' });
+      expect(describeUserAgent(SAFARI_IPHONE)).toEqual({ browser: 'Safari', os: 'iOS', isMobile: true, label: 'Safari on iOS' });
+      expect(describeUserAgent(EDGE_WINDOWS).label).toBe('Edge on Windows');
+      expect(describeUserAgent(FIREFOX_LINUX).label).toBe('Firefox on Linux');
+    });
+
+    test('any user agent gets a label', () => {
+      fc.assert(
+        fc.property(fc.option(fc.string({ maxLength: 200 })), (userAgent) => {
+          const device = describeUserAgent(userAgent);
+
+          expect(typeof device.label).toBe('string');
+          expect(device.label.length).toBeGreaterThan(0);
+        }),
+        { numRuns: 100 }
+      );
+      expect(describeUserAgent(null).label).toBe('Unknown device');
+    });
+
+    test('formatted sessions mark the current one and leave out internal fields', () => {
+      const id = new ObjectId();
+      const session = {
+        _id: id,
+        userId: new ObjectId(),
+        provider: 'credentials',
+        userAgent: CHROME_MAC,
+        ipAddress: '203.0.113.7',
+        createdAt: new Date('2026-03-01T10:00:00Z'),
+        lastSeenAt: new Date('2026-03-02T10:00:00Z'),
+        expiresAt: new Date('2026-04-01T10:00:00Z'),
+        revokedAt: null,
+        legacyKey: 'x'
+      };
+
+      const formatted = formatUserSession(session, id.toString());
+
+      expect(formatted).toEqual({
+        id: id.toString(),
+        device: 'Chrome on macOS',
+        browser: 'Chrome',
+        os: 'macOS',
+        isMobile: false,
+        ipAddress: '203.0.113.7',
+        provider: 'credentials',
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        isCurrent: true
+      });
+      expect(formatUserSession(session, new ObjectId().toString()).isCurrent).toBe(false);
+      expect(formatUserSession(session).isCurrent).toBe(false);
+    });
+  });
+
+  describe('Error formatting', () => {
+    test('session errors keep their code; others are generic', () => {
+      const error = new UserSessionError('Session not found or already signed out', 'SESSION_NOT_FOUND');
+
+      expect(formatUserSessionError(error)).toEqual({
+        success: false,
+        error: { message: 'Session not found or already signed out', code: 'SESSION_NOT_FOUND', field: null }
+      });
+      expect(getUserSessionErrorStatus(error)).toBe(404);
+      expect(getUserSessionErrorStatus(new UserSessionError('x', 'INVALID_SESSION_ID'))).toBe(400);
+      expect(formatUserSessionError(new Error('boom')).error.code).toBe('UNKNOWN_ERROR');
+      expect(getUserSessionErrorStatus(new Error('boom'))).toBe(500);
+    });
+  });
+});
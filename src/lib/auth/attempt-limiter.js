@@ -0,0 +1,465 @@
+/**
+ * Attempt Limiter
+ * Tracks failed or repeated attempts per account and per IP address, slows
+ * them down progressively and locks the key out for a while once there are
+ * too many. Shared by sign-in, registration, verification emails, job
+ * applications and invitation links
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, getUsersCollection } from '../mongodb.js';
+import { resolveOrganizationId } from '../team/organization-scope.js';
+
+/**
+ * Collection names for attempt counters and lockout events
+ */
+export const AUTH_ATTEMPTS_COLLECTION = 'auth_attempts';
+export const LOCKOUT_EVENTS_COLLECTION = 'lockout_events';
+
+/**
+ * What is being limited
+ */
+export const ATTEMPT_SCOPES = {
+  LOGIN: 'login',
+  REGISTER: 'register',
+  RESEND_VERIFICATION: 'resend_verification',
+  PASSWORD_RESET: 'password_reset',
+  APPLY: 'apply',
+  INVITATION: 'invitation',
+  SSO: 'sso'
+};
+
+/**
+ * Whose attempts a counter tracks
+ */
+export const ATTEMPT_KEY_TYPES = {
+  ACCOUNT: 'account',
+  IP: 'ip'
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Limits for each scope and key type
+ * - windowMs: failures older than this are forgotten
+ * - freeAttempts: failures allowed before any delay
+ * - baseDelayMs / maxDelayMs: wait after the next failure, doubling each time up to the maximum
+ * - lockoutAfter / lockoutMs: failures that lock the key out, and for how long
+ */
+export const ATTEMPT_POLICIES = {
+  [ATTEMPT_SCOPES.LOGIN]: {
+    [ATTEMPT_KEY_TYPES.ACCOUNT]: { windowMs: 15 * MINUTE, freeAttempts: 3, baseDelayMs: 2000, maxDelayMs: MINUTE, lockoutAfter: 10, lockoutMs: 30 * MINUTE },
+    [ATTEMPT_KEY_TYPES.IP]: { windowMs: 15 * MINUTE, freeAttempts: 10, baseDelayMs: 1000, maxDelayMs: 30 * 1000, lockoutAfter: 50, lockoutMs: 30 * MINUTE }
+  },
+  [ATTEMPT_SCOPES.REGISTER]: {
+    [ATTEMPT_KEY_TYPES.IP]: { windowMs: HOUR, freeAttempts: 5, baseDelayMs: 5000, maxDelayMs: MINUTE, lockoutAfter: 20, lockoutMs: HOUR }
+  },
+  [ATTEMPT_SCOPES.RESEND_VERIFICATION]: {
+    [ATTEMPT_KEY_TYPES.IP]: { windowMs: HOUR, freeAttempts: 3, baseDelayMs: 10 * 1000, maxDelayMs: 5 * MINUTE, lockoutAfter: 10, lockoutMs: HOUR }
+  },
+  [ATTEMPT_SCOPES.PASSWORD_RESET]: {
+    [ATTEMPT_KEY_TYPES.IP]: { windowMs: HOUR, freeAttempts: 3, baseDelayMs: 10 * 1000, maxDelayMs: 5 * MINUTE, lockoutAfter: 10, lockoutMs: HOUR }
+  },
+  [ATTEMPT_SCOPES.APPLY]: {
+    [ATTEMPT_KEY_TYPES.ACCOUNT]: { windowMs: HOUR, freeAttempts: 10, baseDelayMs: 2000, maxDelayMs: MINUTE, lockoutAfter: 30, lockoutMs: HOUR },
+    [ATTEMPT_KEY_TYPES.IP]: { windowMs: HOUR, freeAttempts: 20, baseDelayMs: 2000, maxDelayMs: MINUTE, lockoutAfter: 60, lockoutMs: HOUR }
+  },
+  [ATTEMPT_SCOPES.INVITATION]: {
+    [ATTEMPT_KEY_TYPES.IP]: { windowMs: 15 * MINUTE, freeAttempts: 5, baseDelayMs: 2000, maxDelayMs: MINUTE, lockoutAfter: 20, lockoutMs: HOUR }
+  },
+  [ATTEMPT_SCOPES.SSO]: {
+    [ATTEMPT_KEY_TYPES.IP]: { windowMs: 15 * MINUTE, freeAttempts: 20, baseDelayMs: 1000, maxDelayMs: 30 * 1000, lockoutAfter: 60, lockoutMs: 30 * MINUTE }
+  }
+};
+
+/**
+ * Attempt limiter errors
+ */
+export class AttemptLimitError extends Error {
+  constructor(message, code = 'TOO_MANY_ATTEMPTS', retryAfterMs = 0) {
+    super(message);
+    this.name = 'AttemptLimitError';
+    this.code = code;
+    this.statusCode = 429;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Whether the indexes have been created in this process
+ */
+let limiterIndexesReady = false;
+
+/**
+ * Gets the attempt counter and lockout event collections, creating their indexes on first use
+ * @returns {Promise<Array<Collection>>} [attempts, lockoutEvents]
+ * @private
+ */
+async function getLimiterCollections() {
+  const [attempts, lockoutEvents] = await Promise.all([
+    getCollection(AUTH_ATTEMPTS_COLLECTION),
+    getCollection(LOCKOUT_EVENTS_COLLECTION)
+  ]);
+
+  if (!limiterIndexesReady) {
+    await attempts.createIndex({ scope: 1, keyType: 1, key: 1 }, { unique: true });
+    // Counters remove themselves once nothing about them matters any more
+    await attempts.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await lockoutEvents.createIndex({ organizationId: 1, createdAt: -1 });
+    limiterIndexesReady = true;
+  }
+
+  return [attempts, lockoutEvents];
+}
+
+let warnedUnknownClientIp = false;
+
+/**
+ * Number of reverse proxies in front of the app that append to X-Forwarded-For
+ * Defaults to 0, so no header is trusted until TRUSTED_PROXY_COUNT says a
+ * proxy writes it
+ * @returns {number} Trusted proxy count
+ */
+function getTrustedProxyCount() {
+  const count = parseInt(process.env.TRUSTED_PROXY_COUNT, 10);
+  return Number.isInteger(count) && count >= 0 ? count : 0;
+}
+
+/**
+ * Gets the caller's IP address from the proxy headers of a request
+ * Clients can put anything at the start of X-Forwarded-For, so the address is
+ * read from the right: the entry added by the outermost trusted proxy. Without
+ * trusted proxies only the connection's own address is used; route handlers
+ * don't have one, so per-IP limits need a trusted proxy, and a loud warning
+ * says so the first time no address can be found
+ * Works with Fetch API headers and the plain header objects NextAuth passes to authorize
+ * @param {Object} request - Request with headers
+ * @param {number} [trustedProxies] - Proxies in front of the app (TRUSTED_PROXY_COUNT when omitted)
+ * @returns {string} IP address, or 'unknown'
+ */
+export function getClientIp(request, trustedProxies = getTrustedProxyCount()) {
+  const ip = readClientIp(request, trustedProxies);
+
+  if (ip === 'unknown' && !warnedUnknownClientIp) {
+    warnedUnknownClientIp = true;
+    console.error(
+      'Client IP address could not be determined, so per-IP attempt limits are off. ' +
+      'Put the app behind a reverse proxy that sets X-Forwarded-For and set TRUSTED_PROXY_COUNT to the number of proxies.'
+    );
+  }
+
+  return ip;
+}
+
+/**
+ * Reads the caller's IP address for getClientIp
+ * @param {Object} request - Request with headers
+ * @param {number} trustedProxies - Proxies in front of the app
+ * @returns {string} IP address, or 'unknown'
+ * @private
+ */
+function readClientIp(request, trustedProxies) {
+  const headers = request?.headers;
+  const read = (name) => {
+    if (!headers) {
+      return null;
+    }
+    return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  };
+  const socketAddress = request?.socket?.remoteAddress || 'unknown';
+
+  if (trustedProxies === 0) {
+    return socketAddress;
+  }
+
+  const forwarded = (read('x-forwarded-for') || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean);
+  if (forwarded.length > 0) {
+    return forwarded[Math.max(0, forwarded.length - trustedProxies)];
+  }
+
+  return read('x-real-ip') || socketAddress;
+}
+
+/**
+ * Builds the keys an attempt is counted against, leaving out missing values
+ * @param {Object} params - { account, ip }
+ * @returns {Array<Object>} [{ type, value }]
+ */
+export function buildAttemptKeys({ account = null, ip = null } = {}) {
+  const keys = [];
+
+  if (account) {
+    keys.push({ type: ATTEMPT_KEY_TYPES.ACCOUNT, value: account.toString().toLowerCase().trim() });
+  }
+  if (ip && ip !== 'unknown') {
+    keys.push({ type: ATTEMPT_KEY_TYPES.IP, value: ip });
+  }
+
+  return keys;
+}
+
+/**
+ * Works out the delay and lockout that follow a number of failures
+ * @param {number} failures - Failures in the current window
+ * @param {Object} policy - ATTEMPT_POLICIES entry
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { nextAttemptAt, lockedUntil } (either may be null)
+ */
+export function computeAttemptState(failures, policy, now = new Date()) {
+  if (failures >= policy.lockoutAfter) {
+    return { nextAttemptAt: null, lockedUntil: new Date(now.getTime() + policy.lockoutMs) };
+  }
+
+  if (failures <= policy.freeAttempts) {
+    return { nextAttemptAt: null, lockedUntil: null };
+  }
+
+  const delay = Math.min(policy.baseDelayMs * 2 ** (failures - policy.freeAttempts - 1), policy.maxDelayMs);
+  return { nextAttemptAt: new Date(now.getTime() + delay), lockedUntil: null };
+}
+
+/**
+ * Describes how long until something can be tried again
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "30 seconds" or "15 minutes"
+ */
+export function describeRetryAfter(ms) {
+  const seconds = Math.max(1, Math.ceil(ms / 1000));
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Throws when any of the keys is locked out or still has to wait
+ * @param {string} scope - ATTEMPT_SCOPES value
+ * @param {Array<Object>} keys - Keys from buildAttemptKeys
+ * @param {Date} [now] - Reference time
+ * @throws {AttemptLimitError} LOCKED_OUT or TOO_MANY_ATTEMPTS
+ */
+export async function checkAttempt(scope, keys, now = new Date()) {
+  const tracked = keys.filter(key => ATTEMPT_POLICIES[scope]?.[key.type]);
+  if (tracked.length === 0) {
+    return;
+  }
+
+  const [attempts] = await getLimiterCollections();
+  const counters = await attempts.find({
+    scope,
+    $or: tracked.map(key => ({ keyType: key.type, key: key.value }))
+  }).toArray();
+
+  let waitMs = 0;
+
+  for (const counter of counters) {
+    if (counter.lockedUntil && counter.lockedUntil > now) {
+      const retryAfterMs = counter.lockedUntil - now;
+      throw new AttemptLimitError(
+        `Too many attempts. Try again in ${describeRetryAfter(retryAfterMs)}.`,
+        'LOCKED_OUT',
+        retryAfterMs
+      );
+    }
+    if (counter.nextAttemptAt && counter.nextAttemptAt > now) {
+      waitMs = Math.max(waitMs, counter.nextAttemptAt - now);
+    }
+  }
+
+  if (waitMs > 0) {
+    throw new AttemptLimitError(
+      `Too many attempts. Please wait ${describeRetryAfter(waitMs)} and try again.`,
+      'TOO_MANY_ATTEMPTS',
+      waitMs
+    );
+  }
+}
+
+/**
+ * Counts a failed (or throttled) attempt against each key
+ * Keys that reach their lockout are locked and a lockout event is stored
+ * @param {string} scope - ATTEMPT_SCOPES value
+ * @param {Array<Object>} keys - Keys from buildAttemptKeys
+ * @param {Object} [options] - { ip, userId, now } where userId is the account the attempt was for
+ * @returns {Promise<Array<Object>>} Lockout events created by this attempt
+ */
+export async function recordFailedAttempt(scope, keys, { ip = null, userId = null, now = new Date() } = {}) {
+  const [attempts, lockoutEvents] = await getLimiterCollections();
+  const lockouts = [];
+
+  for (const key of keys) {
+    const policy = ATTEMPT_POLICIES[scope]?.[key.type];
+    if (!policy) {
+      continue;
+    }
+
+    // Restart the count when the window has passed; done in the update so parallel failures all count
+    const windowStart = new Date(now.getTime() - policy.windowMs);
+    const inWindow = { $gt: ['$windowStartedAt', windowStart] };
+    const counter = await attempts.findOneAndUpdate(
+      { scope, keyType: key.type, key: key.value },
+      [{
+        $set: {
+          scope,
+          keyType: key.type,
+          key: key.value,
+          failures: { $cond: [inWindow, { $add: [{ $ifNull: ['$failures', 0] }, 1] }, 1] },
+          windowStartedAt: { $cond: [inWindow, '$windowStartedAt', now] },
+          lastFailureAt: now
+        }
+      }],
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    const { nextAttemptAt, lockedUntil } = computeAttemptState(counter.failures, policy, now);
+    const expiresAt = new Date(Math.max(
+      now.getTime() + policy.windowMs,
+      lockedUntil ? lockedUntil.getTime() : 0
+    ));
+
+    await attempts.updateOne(
+      { _id: counter._id },
+      {
+        $set: lockedUntil
+          // A lockout starts a fresh count, so it isn't extended by every later failure
+          ? { lockedUntil, nextAttemptAt: null, failures: 0, windowStartedAt: now, expiresAt }
+          : { nextAttemptAt, expiresAt }
+      }
+    );
+
+    if (lockedUntil) {
+      const event = {
+        scope,
+        keyType: key.type,
+        key: key.value,
+        ipAddress: ip,
+        userId: userId && ObjectId.isValid(userId.toString()) ? new ObjectId(userId.toString()) : null,
+        organizationId: null,
+        failures: counter.failures,
+        lockedUntil,
+        createdAt: now
+      };
+
+      // Lockouts of a member's account are shown to their organization's Admins
+      if (event.userId) {
+        event.organizationId = new ObjectId(await resolveOrganizationId(event.userId.toString()));
+      }
+
+      await lockoutEvents.insertOne(event);
+      lockouts.push(event);
+
+      console.warn(`🔒 ${scope} locked out for ${key.type} ${key.value} until ${lockedUntil.toISOString()}`);
+    }
+  }
+
+  return lockouts;
+}
+
+/**
+ * Checks the keys and counts the attempt in one go, for requests limited by
+ * how often they are made rather than whether they fail
+ * @param {string} scope - ATTEMPT_SCOPES value
+ * @param {Array<Object>} keys - Keys from buildAttemptKeys
+ * @param {Object} [options] - Same as recordFailedAttempt
+ * @throws {AttemptLimitError} If the keys are locked out or have to wait
+ */
+export async function consumeAttempt(scope, keys, options = {}) {
+  await checkAttempt(scope, keys, options.now);
+  await recordFailedAttempt(scope, keys, options);
+}
+
+/**
+ * Forgets the failures of the keys after a successful attempt
+ * Only pass the account key for sign-ins: clearing the IP would let one valid
+ * account reset the count for guesses at others
+ * @param {string} scope - ATTEMPT_SCOPES value
+ * @param {Array<Object>} keys - Keys from buildAttemptKeys
+ */
+export async function clearAttempts(scope, keys) {
+  if (keys.length === 0) {
+    return;
+  }
+
+  const [attempts] = await getLimiterCollections();
+  await attempts.deleteMany({
+    scope,
+    $or: keys.map(key => ({ keyType: key.type, key: key.value }))
+  });
+}
+
+/**
+ * Finds the active account behind an email address, for lockout events and emails
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} { _id, email, name } or null
+ */
+export async function findAccountByEmail(email) {
+  if (!email) {
+    return null;
+  }
+
+  const usersCollection = await getUsersCollection();
+  return usersCollection.findOne(
+    { email: email.toLowerCase().trim(), isActive: true },
+    { projection: { email: 1, name: 1 } }
+  );
+}
+
+/**
+ * Lists the lockouts of an organization's members, newest first
+ * @param {string} organizationId - Organization ID
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Array<Object>>} [{ id, scope, keyType, key, ipAddress, userId, failures, lockedUntil, isActive, createdAt }]
+ */
+export async function getLockoutEvents(organizationId, { limit = 50 } = {}) {
+  const [, lockoutEvents] = await getLimiterCollections();
+  const now = new Date();
+
+  const events = await lockoutEvents.find({ organizationId: new ObjectId(organizationId.toString()) })
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200))
+    .toArray();
+
+  return events.map(event => ({
+    id: event._id.toString(),
+    scope: event.scope,
+    keyType: event.keyType,
+    key: event.key,
+    ipAddress: event.ipAddress,
+    userId: event.userId ? event.userId.toString() : null,
+    failures: event.failures,
+    lockedUntil: event.lockedUntil,
+    isActive: event.lockedUntil > now,
+    createdAt: event.createdAt
+  }));
+}
+
+/**
+ * Formats an attempt limit error as the response body of the auth routes
+ * @param {AttemptLimitError} error - Attempt limit error
+ * @returns {Object} Response body
+ */
+export function formatAttemptLimitError(error) {
+  return {
+    success: false,
+    error: {
+      message: error.message,
+      code: error.code,
+      retryAfterSeconds: Math.ceil(error.retryAfterMs / 1000)
+    }
+  };
+}
+
+/**
+ * Builds the headers of a 429 response
+ * @param {AttemptLimitError} error - Attempt limit error
+ * @returns {Object} Headers with Retry-After
+ */
+export function getRetryAfterHeaders(error) {
+  return { 'Retry-After': String(Math.max(1, Math.ceil(error.retryAfterMs / 1000))) };
+}
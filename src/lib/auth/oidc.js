@@ -0,0 +1,451 @@
+/**
+ * OpenID Connect Client
+ * The parts of the OpenID Connect authorization code flow used to sign people
+ * in through their organization's identity provider: discovery, PKCE, the
+ * code exchange and ID token validation
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+
+/**
+ * Scopes requested from identity providers
+ */
+export const OIDC_SCOPES = 'openid email profile';
+
+/**
+ * How long discovery documents and signing keys are reused before being fetched again
+ */
+export const OIDC_METADATA_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Clock difference allowed between us and the identity provider
+ */
+export const OIDC_CLOCK_TOLERANCE_SECONDS = 60;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Addresses identity provider requests never go to outside development:
+ * loopback, private networks, link-local (where cloud metadata services
+ * live), shared carrier space, multicast and reserved ranges
+ */
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * ID token signature algorithms accepted and how to verify each
+ * Unsigned (none) and shared-secret (HS*) tokens are never accepted
+ */
+const SIGNING_ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+/**
+ * OpenID Connect errors
+ */
+export class OidcError extends Error {
+  constructor(message, code = 'OIDC_ERROR') {
+    super(message);
+    this.name = 'OidcError';
+    this.code = code;
+  }
+}
+
+const discoveryCache = new Map();
+const signingKeyCache = new Map();
+
+/**
+ * Generates a random value for state, nonce or a PKCE verifier
+ * @returns {string} 256 random bits, base64url encoded
+ */
+export function generateOidcToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Creates a PKCE verifier and its S256 challenge
+ * @returns {Object} { codeVerifier, codeChallenge }
+ */
+export function createPkcePair() {
+  const codeVerifier = generateOidcToken();
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  return { codeVerifier, codeChallenge };
+}
+
+/**
+ * Whether an IP address is loopback, private or otherwise not on the public internet
+ * @param {string} address - IPv4 or IPv6 address (IPv6 may be in brackets)
+ * @returns {boolean} True for addresses identity providers can't be on
+ */
+export function isPrivateAddress(address) {
+  let ip = String(address ?? '').replace(/^\[(.*)\]$/, '$1');
+
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1 or ::ffff:7f00:1) reach the IPv4 address
+  const mapped = ip.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i);
+  if (mapped) {
+    ip = mapped[1] || [mapped[2], mapped[3]]
+      .map(group => parseInt(group, 16))
+      .flatMap(value => [value >> 8, value & 0xff])
+      .join('.');
+  }
+
+  const family = net.isIP(ip);
+  if (!family) {
+    return false;
+  }
+
+  return PRIVATE_ADDRESSES.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Whether identity providers on this machine or the local network can be used
+ * Only in development, where the mock issuer runs on 127.0.0.1
+ * @returns {boolean} True in development
+ */
+export function allowsLocalIdentityProviders() {
+  return process.env.NODE_ENV === 'development';
+}
+
+/**
+ * Checks a URL is safe to send a server-side request to
+ * Outside development it must use HTTPS and every address its host resolves
+ * to must be public, so an issuer or a discovery document can't point our
+ * requests at internal services
+ * @param {string} url - URL to fetch
+ * @param {string} code - Error code when it can't be used
+ * @returns {Promise<void>}
+ * @throws {OidcError} If the URL can't be used
+ * @private
+ */
+async function assertPublicUrl(url, code) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new OidcError(`The identity provider gave an invalid URL: ${url}`, code);
+  }
+
+  if (allowsLocalIdentityProviders()) {
+    return;
+  }
+  if (parsed.protocol !== 'https:') {
+    throw new OidcError(`The identity provider at ${parsed.origin} must use HTTPS`, code);
+  }
+
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw new OidcError(`Could not reach the identity provider at ${parsed.origin}: ${error.message}`, code);
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new OidcError(`The identity provider at ${parsed.origin} is not on the public internet`, code);
+  }
+}
+
+/**
+ * Fetches JSON from an identity provider
+ * Redirects aren't followed, so a checked URL can't hand the request on
+ * @param {string} url - URL to fetch
+ * @param {Object} options - fetch options
+ * @param {string} code - Error code when it fails
+ * @returns {Promise<Object>} Response body
+ * @private
+ */
+async function fetchJson(url, options, code) {
+  await assertPublicUrl(url, code);
+
+  let response;
+  try {
+    response = await fetch(url, { ...options, redirect: 'error', signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  } catch (error) {
+    throw new OidcError(`Could not reach the identity provider at ${new URL(url).origin}: ${error.message}`, code);
+  }
+
+  let body = null;
+  try {
+    body = await response.json();
+  } catch {
+    // Reported below with the status
+  }
+
+  if (!response.ok || !body || typeof body !== 'object') {
+    const detail = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw new OidcError(`The identity provider rejected the request: ${detail}`, code);
+  }
+  return body;
+}
+
+/**
+ * Loads an identity provider's configuration from its discovery document
+ * @param {string} issuer - Issuer URL
+ * @param {Object} options - { refresh } to skip the cache
+ * @returns {Promise<Object>} Provider metadata
+ */
+export async function discoverOidcProvider(issuer, { refresh = false } = {}) {
+  const cached = discoveryCache.get(issuer);
+  if (!refresh && cached && Date.now() - cached.fetchedAt < OIDC_METADATA_TTL_MS) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(
+    `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`,
+    { headers: { Accept: 'application/json' } },
+    'DISCOVERY_FAILED'
+  );
+
+  // A discovery document has to describe the issuer it was fetched for
+  if (metadata.issuer !== issuer) {
+    throw new OidcError(
+      `The discovery document is for ${metadata.issuer || 'an unknown issuer'}, not ${issuer}`,
+      'DISCOVERY_FAILED'
+    );
+  }
+  if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.jwks_uri) {
+    throw new OidcError('The discovery document is missing required endpoints', 'DISCOVERY_FAILED');
+  }
+
+  discoveryCache.set(issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+}
+
+/**
+ * Gets the keys an identity provider signs ID tokens with
+ * @param {string} jwksUri - JWKS URL from discovery
+ * @param {Object} options - { refresh } to skip the cache
+ * @returns {Promise<Array<Object>>} JSON Web Keys
+ * @private
+ */
+async function getSigningKeys(jwksUri, { refresh = false } = {}) {
+  const cached = signingKeyCache.get(jwksUri);
+  if (!refresh && cached && Date.now() - cached.fetchedAt < OIDC_METADATA_TTL_MS) {
+    return cached.keys;
+  }
+
+  const jwks = await fetchJson(jwksUri, { headers: { Accept: 'application/json' } }, 'DISCOVERY_FAILED');
+  const keys = Array.isArray(jwks.keys) ? jwks.keys : [];
+
+  signingKeyCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+  return keys;
+}
+
+/**
+ * Builds the URL that sends the browser to the identity provider
+ * @param {Object} provider - Provider metadata
+ * @param {Object} params - { clientId, redirectUri, state, nonce, codeChallenge, loginHint }
+ * @returns {string} Authorization URL
+ */
+export function buildAuthorizationUrl(provider, { clientId, redirectUri, state, nonce, codeChallenge, loginHint }) {
+  const url = new URL(provider.authorization_endpoint);
+
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', OIDC_SCOPES);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (loginHint) {
+    url.searchParams.set('login_hint', loginHint);
+  }
+
+  return url.toString();
+}
+
+/**
+ * Exchanges an authorization code for tokens
+ * Clients authenticate with HTTP Basic unless the provider only supports
+ * sending the secret in the body
+ * @param {Object} provider - Provider metadata
+ * @param {Object} params - { clientId, clientSecret, code, redirectUri, codeVerifier }
+ * @returns {Promise<Object>} Token response with id_token
+ */
+export async function exchangeAuthorizationCode(provider, { clientId, clientSecret, code, redirectUri, codeVerifier }) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier
+  });
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json'
+  };
+
+  const methods = provider.token_endpoint_auth_methods_supported;
+  if (Array.isArray(methods) && !methods.includes('client_secret_basic') && methods.includes('client_secret_post')) {
+    body.set('client_id', clientId);
+    body.set('client_secret', clientSecret);
+  } else {
+    const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(
+    provider.token_endpoint,
+    { method: 'POST', headers, body: body.toString() },
+    'TOKEN_EXCHANGE_FAILED'
+  );
+
+  if (typeof tokens.id_token !== 'string') {
+    throw new OidcError('The identity provider did not return an ID token', 'TOKEN_EXCHANGE_FAILED');
+  }
+  return tokens;
+}
+
+/**
+ * Fetches the signed-in person's claims from the userinfo endpoint
+ * @param {Object} provider - Provider metadata
+ * @param {string} accessToken - Access token from the code exchange
+ * @returns {Promise<Object>} Claims
+ */
+export async function fetchUserInfo(provider, accessToken) {
+  return fetchJson(
+    provider.userinfo_endpoint,
+    { headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' } },
+    'USERINFO_FAILED'
+  );
+}
+
+/**
+ * Splits a JWT into its decoded parts
+ * @param {string} token - Compact JWT
+ * @returns {Object} { header, payload, signingInput, signature }
+ * @throws {OidcError} If it is not a well-formed JWT
+ */
+export function decodeJwt(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new OidcError('The ID token is not a valid JWT', 'INVALID_ID_TOKEN');
+  }
+
+  try {
+    return {
+      header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+      payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  } catch {
+    throw new OidcError('The ID token is not a valid JWT', 'INVALID_ID_TOKEN');
+  }
+}
+
+/**
+ * Checks a JWT signature against one JSON Web Key
+ * @param {Object} decoded - Output of decodeJwt
+ * @param {Object} jwk - Public key
+ * @returns {boolean} True when the key signed it
+ * @private
+ */
+function verifySignature(decoded, jwk) {
+  const algorithm = SIGNING_ALGORITHMS[decoded.header.alg];
+
+  try {
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    return crypto.verify(
+      algorithm.hash,
+      Buffer.from(decoded.signingInput),
+      {
+        key,
+        ...(algorithm.padding ? { padding: algorithm.padding, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST } : {}),
+        ...(algorithm.dsaEncoding ? { dsaEncoding: algorithm.dsaEncoding } : {})
+      },
+      decoded.signature
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validates an ID token's signature and claims
+ * @param {string} idToken - Compact JWT
+ * @param {Object} options - { keys, issuer, clientId, nonce, now }
+ * @returns {Object} Verified claims
+ * @throws {OidcError} If the token is not valid for this sign-in
+ */
+export function verifyIdToken(idToken, { keys, issuer, clientId, nonce, now = Date.now() }) {
+  const decoded = decodeJwt(idToken);
+  const { header, payload } = decoded;
+
+  if (!SIGNING_ALGORITHMS[header.alg]) {
+    throw new OidcError(`ID tokens signed with ${header.alg || 'no algorithm'} are not accepted`, 'INVALID_ID_TOKEN');
+  }
+
+  const candidates = (keys || []).filter(key =>
+    (!header.kid || key.kid === header.kid) && (!key.use || key.use === 'sig')
+  );
+  if (candidates.length === 0) {
+    throw new OidcError('No signing key matches the ID token', 'UNKNOWN_SIGNING_KEY');
+  }
+  if (!candidates.some(key => verifySignature(decoded, key))) {
+    throw new OidcError('The ID token signature is not valid', 'INVALID_ID_TOKEN');
+  }
+
+  const seconds = Math.floor(now / 1000);
+  const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+
+  if (payload.iss !== issuer) {
+    throw new OidcError('The ID token was issued by a different provider', 'INVALID_ID_TOKEN');
+  }
+  if (!audiences.includes(clientId) || (audiences.length > 1 && payload.azp && payload.azp !== clientId)) {
+    throw new OidcError('The ID token was issued for a different client', 'INVALID_ID_TOKEN');
+  }
+  if (typeof payload.exp !== 'number' || payload.exp + OIDC_CLOCK_TOLERANCE_SECONDS < seconds) {
+    throw new OidcError('The ID token has expired', 'INVALID_ID_TOKEN');
+  }
+  if (typeof payload.iat === 'number' && payload.iat - OIDC_CLOCK_TOLERANCE_SECONDS > seconds) {
+    throw new OidcError('The ID token was issued in the future', 'INVALID_ID_TOKEN');
+  }
+  if (!nonce || payload.nonce !== nonce) {
+    throw new OidcError('The ID token does not belong to this sign-in', 'INVALID_ID_TOKEN');
+  }
+  if (!payload.sub) {
+    throw new OidcError('The ID token has no subject', 'INVALID_ID_TOKEN');
+  }
+
+  return payload;
+}
+
+/**
+ * Validates an ID token from a provider, fetching its signing keys
+ * Keys are fetched again once when the token names one we haven't seen, so
+ * key rotation at the provider doesn't break sign-in
+ * @param {Object} provider - Provider metadata
+ * @param {string} idToken - Compact JWT
+ * @param {Object} options - { clientId, nonce }
+ * @returns {Promise<Object>} Verified claims
+ */
+export async function validateIdToken(provider, idToken, { clientId, nonce }) {
+  const options = { issuer: provider.issuer, clientId, nonce };
+
+  try {
+    return verifyIdToken(idToken, { ...options, keys: await getSigningKeys(provider.jwks_uri) });
+  } catch (error) {
+    if (error.code !== 'UNKNOWN_SIGNING_KEY') {
+      throw error;
+    }
+    return verifyIdToken(idToken, { ...options, keys: await getSigningKeys(provider.jwks_uri, { refresh: true }) });
+  }
+}
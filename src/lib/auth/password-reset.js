@@ -0,0 +1,226 @@
+/**
+ * Password Reset Service
+ * Handles forgotten-password tokens and setting a new password with them
+ */
+
+import { getUsersCollection } from '../mongodb.js';
+import { hashPassword, validatePasswordStrength } from './password.js';
+import { SESSION_REVOKE_REASONS, revokeUserSessions } from './user-sessions.js';
+import crypto from 'crypto';
+
+/**
+ * How long a reset link stays valid (matches the reset email)
+ */
+export const PASSWORD_RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Minimum time between two reset emails for the same account
+ */
+export const PASSWORD_RESET_COOLDOWN_MS = 5 * 60 * 1000;
+
+/**
+ * Password reset errors
+ */
+export class PasswordResetError extends Error {
+  constructor(message, code = 'PASSWORD_RESET_ERROR', field = null) {
+    super(message);
+    this.name = 'PasswordResetError';
+    this.code = code;
+    this.field = field;
+  }
+}
+
+/**
+ * Generates a secure reset token
+ * @returns {string} Reset token sent to the user
+ */
+export function generatePasswordResetToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hashes a reset token for storage
+ * Only the hash is stored, so a leaked database can't be used to reset passwords
+ * @param {string} token - Reset token
+ * @returns {string} SHA-256 hash in hex
+ */
+export function hashPasswordResetToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Creates a reset token for the account with an email address
+ * Returns null instead of failing when there is no active account or a link
+ * was sent moments ago, so callers can answer the same way either way and
+ * not reveal which emails are registered
+ * @param {string} email - Account email
+ * @returns {Promise<Object|null>} { token, user: { id, email, name } } or null
+ */
+export async function requestPasswordReset(email) {
+  try {
+    if (!email || typeof email !== 'string') {
+      throw new PasswordResetError('Email is required', 'EMAIL_REQUIRED', 'email');
+    }
+
+    const usersCollection = await getUsersCollection();
+    const normalizedEmail = email.toLowerCase().trim();
+    const user = await usersCollection.findOne(
+      { email: normalizedEmail, isActive: true },
+      { projection: { _id: 1, email: 1, name: 1, passwordResetRequestedAt: 1 } }
+    );
+
+    if (!user) {
+      return null;
+    }
+
+    const now = new Date();
+    if (user.passwordResetRequestedAt && now - user.passwordResetRequestedAt < PASSWORD_RESET_COOLDOWN_MS) {
+      return null;
+    }
+
+    // A new link replaces any earlier one
+    const token = generatePasswordResetToken();
+    await usersCollection.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          passwordResetTokenHash: hashPasswordResetToken(token),
+          passwordResetTokenExpires: new Date(now.getTime() + PASSWORD_RESET_TOKEN_TTL_MS),
+          passwordResetRequestedAt: now,
+          updatedAt: now
+        }
+      }
+    );
+
+    console.log(`Password reset requested for user: ${user.email}`);
+
+    return {
+      token,
+      user: {
+        id: user._id.toString(),
+        email: user.email,
+        name: user.name
+      }
+    };
+
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      throw error;
+    }
+
+    console.error('Failed to create password reset token:', error);
+    throw new PasswordResetError(
+      'Failed to start password reset. Please try again.',
+      'RESET_REQUEST_FAILED'
+    );
+  }
+}
+
+/**
+ * Sets a new password with a reset token
+ * The token is consumed in the same update that changes the password, so it
+ * works once; every session signed in before the reset is ended
+ * @param {string} token - Reset token from the email
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} { success, user: { id, email } }
+ */
+export async function resetPassword(token, newPassword) {
+  try {
+    if (!token || typeof token !== 'string') {
+      throw new PasswordResetError('Reset token is required', 'TOKEN_REQUIRED', 'token');
+    }
+
+    const strength = validatePasswordStrength(newPassword);
+    if (!strength.isValid) {
+      throw new PasswordResetError(strength.errors[0], 'WEAK_PASSWORD', 'password');
+    }
+
+    const hashedPassword = await hashPassword(newPassword);
+    const now = new Date();
+
+    const usersCollection = await getUsersCollection();
+    const user = await usersCollection.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashPasswordResetToken(token),
+        passwordResetTokenExpires: { $gt: now },
+        isActive: true
+      },
+      {
+        $set: {
+          password: hashedPassword,
+          passwordChangedAt: now,
+          updatedAt: now
+        },
+        $unset: {
+          passwordResetTokenHash: '',
+          passwordResetTokenExpires: ''
+        },
+        // Sessions carry the version they were issued with and are rejected once it changes
+        $inc: { sessionVersion: 1 }
+      },
+      { projection: { _id: 1, email: 1 } }
+    );
+
+    if (!user) {
+      throw new PasswordResetError(
+        'Invalid or expired reset link. Please request a new one.',
+        'TOKEN_INVALID',
+        'token'
+      );
+    }
+
+    // The version bump already rejects old sessions; this takes them off the sessions list
+    try {
+      await revokeUserSessions(user._id, { reason: SESSION_REVOKE_REASONS.PASSWORD_RESET });
+    } catch (error) {
+      console.error('Failed to revoke sessions after password reset:', error);
+    }
+
+    console.log(`Password reset for user: ${user.email}`);
+
+    return {
+      success: true,
+      user: {
+        id: user._id.toString(),
+        email: user.email
+      }
+    };
+
+  } catch (error) {
+    if (error instanceof PasswordResetError) {
+      throw error;
+    }
+
+    console.error('Password reset failed:', error);
+    throw new PasswordResetError(
+      'Password reset failed. Please try again.',
+      'RESET_FAILED'
+    );
+  }
+}
+
+/**
+ * Formats password reset error for API response
+ * @param {Error} error - Error to format
+ * @returns {Object} Formatted error response
+ */
+export function formatPasswordResetError(error) {
+  if (error instanceof PasswordResetError) {
+    return {
+      success: false,
+      error: {
+        message: error.message,
+        code: error.code,
+        field: error.field
+      }
+    };
+  }
+
+  return {
+    success: false,
+    error: {
+      message: 'Password reset failed. Please try again.',
+      code: 'UNKNOWN_ERROR'
+    }
+  };
+}
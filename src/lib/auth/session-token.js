@@ -0,0 +1,40 @@
+/**
+ * Session Token Service
+ * Re-issues the NextAuth session cookie of the request making a change that
+ * ends the account's other sessions, so the device making it stays signed in
+ */
+
+import { getToken, encode } from 'next-auth/jwt';
+import { getEnvConfig } from '../env.js';
+
+/**
+ * Sets a new session cookie on a response, carrying the request's token with
+ * some of its fields changed
+ * @param {Request} request - Request with the current session cookie
+ * @param {NextResponse} response - Response to set the cookie on
+ * @param {Object} changes - Token fields to change, e.g. { sessionVersion }
+ * @param {number} maxAge - Session lifetime in seconds (authOptions.session.maxAge)
+ * @returns {Promise<boolean>} False when the request had no session token
+ */
+export async function reissueSessionToken(request, response, changes, maxAge) {
+  const { NEXTAUTH_URL, NEXTAUTH_SECRET } = getEnvConfig();
+  // Same cookie name and flags NextAuth uses
+  const secureCookie = NEXTAUTH_URL.startsWith('https://');
+  const cookieName = `${secureCookie ? '__Secure-' : ''}next-auth.session-token`;
+
+  const token = await getToken({ req: request, secret: NEXTAUTH_SECRET, secureCookie });
+  if (!token) {
+    return false;
+  }
+
+  const value = await encode({ token: { ...token, ...changes }, secret: NEXTAUTH_SECRET, maxAge });
+  response.cookies.set(cookieName, value, {
+    httpOnly: true,
+    sameSite: 'lax',
+    path: '/',
+    secure: secureCookie,
+    expires: new Date(Date.now() + maxAge * 1000)
+  });
+
+  return true;
+}
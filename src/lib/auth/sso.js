@@ -0,0 +1,490 @@
+/**
+ * Single Sign-On Service
+ * Signs people in through their organization's OpenID Connect provider and
+ * adds them to that organization's team the first time they sign in.
+ *
+ * The browser is sent to the provider from /api/auth/sso/start and comes back
+ * to /api/auth/sso/callback, which checks the ID token and hands the login
+ * page a one-time ticket; the ticket is redeemed through the "sso" NextAuth
+ * provider, so SSO sessions are ordinary NextAuth sessions
+ */
+
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { getCollection, getUsersCollection } from '../mongodb.js';
+import { getEnvConfig } from '../env.js';
+import {
+  generateOidcToken,
+  createPkcePair,
+  discoverOidcProvider,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  fetchUserInfo,
+  validateIdToken,
+  OidcError
+} from './oidc.js';
+import {
+  findSsoOrganizationByEmail,
+  getSsoClientConfiguration,
+  getEmailDomain
+} from '../team/organization-settings.js';
+import { findTeamMember, createTeamMember } from '../team/invitation-db.js';
+import { createTeamMemberDocument, MEMBER_STATUS } from '../team/invitation-models.js';
+import { recordAuditEvent, AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '../audit/audit-log.js';
+
+/**
+ * Collection for sign-ins waiting on the identity provider
+ */
+export const SSO_STATES_COLLECTION = 'sso_states';
+
+/**
+ * Collection for one-time tickets that finish a sign-in
+ */
+export const SSO_TICKETS_COLLECTION = 'sso_tickets';
+
+/**
+ * How long someone has to finish signing in at the identity provider
+ */
+export const SSO_STATE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * How long the login page has to redeem a ticket
+ */
+export const SSO_TICKET_TTL_MS = 2 * 60 * 1000;
+
+/**
+ * Cookie tying a sign-in to the browser that started it
+ */
+export const SSO_STATE_COOKIE = 'nexus-sso-state';
+
+/**
+ * NextAuth provider ID and session provider of SSO sign-ins
+ */
+export const SSO_PROVIDER = 'sso';
+
+/**
+ * Single sign-on errors
+ */
+export class SsoError extends Error {
+  constructor(message, code = 'SSO_ERROR', statusCode = 400) {
+    super(message);
+    this.name = 'SsoError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+let ssoIndexesReady = false;
+
+/**
+ * Gets the state and ticket collections, creating their indexes on first use
+ * @returns {Promise<Object>} { states, tickets }
+ * @private
+ */
+async function getSsoCollections() {
+  const states = await getCollection(SSO_STATES_COLLECTION);
+  const tickets = await getCollection(SSO_TICKETS_COLLECTION);
+
+  if (!ssoIndexesReady) {
+    await states.createIndex({ stateHash: 1 }, { unique: true });
+    await states.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await tickets.createIndex({ ticketHash: 1 }, { unique: true });
+    await tickets.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    ssoIndexesReady = true;
+  }
+
+  return { states, tickets };
+}
+
+/**
+ * Hashes a state or ticket; only hashes are stored
+ * @param {string} value - Random value handed to the browser
+ * @returns {string} SHA-256 hex digest
+ * @private
+ */
+function hashSsoValue(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Gets the URL identity providers send people back to
+ * Admins register it with their provider
+ * @returns {string} Callback URL
+ */
+export function getSsoRedirectUri() {
+  return `${getEnvConfig().NEXTAUTH_URL.replace(/\/$/, '')}/api/auth/sso/callback`;
+}
+
+/**
+ * Keeps the page to return to after sign-in on this site
+ * @param {string} callbackUrl - Requested page
+ * @returns {string} Relative path
+ */
+export function sanitizeCallbackUrl(callbackUrl) {
+  if (typeof callbackUrl !== 'string' || !callbackUrl.startsWith('/') || callbackUrl.startsWith('//') || callbackUrl.includes('\\')) {
+    return '/';
+  }
+  return callbackUrl;
+}
+
+/**
+ * Names the login page error for a failed SSO sign-in
+ * @param {Error} error - Error from this service
+ * @returns {string} Value for /login?error=
+ */
+export function getSsoLoginError(error) {
+  return error instanceof SsoError
+    ? `sso-${error.code.replace(/^SSO_/, '').toLowerCase().replace(/_/g, '-')}`
+    : 'sso-failed';
+}
+
+/**
+ * Whether a user is the owner or an active member of an organization
+ * @param {ObjectId|string} userId - User ID
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<boolean>} True when they are on its team
+ * @private
+ */
+async function isActiveOrganizationMember(userId, organizationId) {
+  // The organization's owner is its Admin without a membership
+  if (userId.toString() === organizationId.toString()) {
+    return true;
+  }
+
+  const membership = await findTeamMember(userId, organizationId);
+  return Boolean(membership && membership.status === MEMBER_STATUS.ACTIVE && membership.metadata?.isActive !== false);
+}
+
+/**
+ * Whether an organization requires single sign-on for an account, so it
+ * can't sign in with a password or Google
+ * Only the organization's own team is held to its policy: an account that
+ * merely shares the email domain, or has no account yet, is left alone
+ * @param {string} email - Email address of the account
+ * @returns {Promise<boolean>} True when SSO is required
+ */
+export async function isSsoRequiredForAccount(email) {
+  const organization = await findSsoOrganizationByEmail(email);
+  if (!organization?.sso.enforced) {
+    return false;
+  }
+
+  const usersCollection = await getUsersCollection();
+  const user = await usersCollection.findOne(
+    { email: email.toLowerCase().trim() },
+    { projection: { _id: 1 } }
+  );
+
+  return Boolean(user) && isActiveOrganizationMember(user._id, organization.organizationId);
+}
+
+/**
+ * Whether an account's organization offers single sign-on for its email and
+ * whether the account is already linked to it
+ * @param {string} userId - Signed-in user's ID
+ * @param {string} email - Their email address
+ * @returns {Promise<Object>} { available, linked }
+ */
+export async function getSsoLinkStatus(userId, email) {
+  const organization = await findSsoOrganizationByEmail(email);
+  if (!organization || !ObjectId.isValid(userId)) {
+    return { available: false, linked: false };
+  }
+
+  const usersCollection = await getUsersCollection();
+  const user = await usersCollection.findOne(
+    { _id: new ObjectId(userId) },
+    { projection: { ssoIdentity: 1 } }
+  );
+
+  return {
+    available: true,
+    linked: user?.ssoIdentity?.organizationId?.toString() === organization.organizationId.toString()
+  };
+}
+
+/**
+ * Starts signing in through the identity provider that covers an email address
+ * Passing linkUserId links that signed-in account to the identity it comes
+ * back with, which is the only way an account outside the team gets SSO
+ * @param {Object} params - { email, callbackUrl, linkUserId? }
+ * @returns {Promise<Object>} { url, state } - where to send the browser, and the state for its cookie
+ * @throws {SsoError} If no organization signs in this email's domain with SSO
+ */
+export async function startSsoSignIn({ email, callbackUrl, linkUserId = null }) {
+  const normalizedEmail = typeof email === 'string' ? email.toLowerCase().trim() : '';
+  const organization = await findSsoOrganizationByEmail(normalizedEmail);
+  const config = organization && await getSsoClientConfiguration(organization.organizationId);
+
+  if (!config) {
+    throw new SsoError('Single sign-on is not set up for this email domain', 'SSO_NOT_CONFIGURED', 404);
+  }
+
+  let provider;
+  try {
+    provider = await discoverOidcProvider(config.issuer);
+  } catch (error) {
+    console.error(`SSO discovery failed for organization ${config.organizationId}:`, error.message);
+    throw new SsoError('Your identity provider could not be reached. Please try again later.', 'SSO_PROVIDER_UNAVAILABLE', 502);
+  }
+
+  const state = generateOidcToken();
+  const nonce = generateOidcToken();
+  const { codeVerifier, codeChallenge } = createPkcePair();
+  const now = new Date();
+
+  const { states } = await getSsoCollections();
+  await states.insertOne({
+    stateHash: hashSsoValue(state),
+    organizationId: new ObjectId(config.organizationId),
+    nonce,
+    codeVerifier,
+    email: normalizedEmail,
+    callbackUrl: sanitizeCallbackUrl(callbackUrl),
+    linkUserId: linkUserId && ObjectId.isValid(linkUserId) ? new ObjectId(linkUserId) : null,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + SSO_STATE_TTL_MS)
+  });
+
+  return {
+    state,
+    url: buildAuthorizationUrl(provider, {
+      clientId: config.clientId,
+      redirectUri: getSsoRedirectUri(),
+      state,
+      nonce,
+      codeChallenge,
+      loginHint: normalizedEmail
+    })
+  };
+}
+
+/**
+ * Finds or creates the account for a verified SSO identity and makes sure it
+ * is on the organization's team
+ * New people join with the organization's default role; people an Admin has
+ * removed from the team are not let back in. An existing account is only
+ * signed in when it is already linked to this identity, is on the team, or
+ * its owner is signed in and asked to link it, so owning the provider isn't
+ * enough to take over someone else's account
+ * @param {Object} config - SSO settings from getSsoClientConfiguration
+ * @param {Object} claims - Verified ID token (and userinfo) claims
+ * @param {Object} [options] - { linkUserId } - the signed-in account asking to be linked
+ * @returns {Promise<Object>} User document
+ * @throws {SsoError} If the identity can't be used to sign in to this organization
+ */
+export async function provisionSsoUser(config, claims, { linkUserId = null } = {}) {
+  const email = typeof claims.email === 'string' ? claims.email.toLowerCase().trim() : '';
+
+  if (!email || claims.email_verified === false) {
+    throw new SsoError('Your identity provider did not share a verified email address', 'SSO_EMAIL_MISSING', 403);
+  }
+  if (!config.verifiedDomains.includes(getEmailDomain(email))) {
+    throw new SsoError('Your email domain is not allowed to sign in to this organization', 'SSO_DOMAIN_NOT_ALLOWED', 403);
+  }
+
+  const now = new Date();
+  const identity = {
+    organizationId: new ObjectId(config.organizationId),
+    issuer: config.issuer,
+    subject: String(claims.sub),
+    lastSignInAt: now
+  };
+  const name = claims.name
+    || [claims.given_name, claims.family_name].filter(Boolean).join(' ')
+    || email.split('@')[0];
+
+  const usersCollection = await getUsersCollection();
+  let user = await usersCollection.findOne({ email });
+
+  if (linkUserId && user?._id.toString() !== linkUserId.toString()) {
+    throw new SsoError('Your identity provider signed you in with a different email address than this account', 'SSO_LINK_MISMATCH', 403);
+  }
+
+  if (user) {
+    if (!user.isActive) {
+      throw new SsoError('This account has been deactivated', 'SSO_ACCESS_REVOKED', 403);
+    }
+
+    // An email address that moved to someone else at the provider doesn't get the old account
+    const previous = user.ssoIdentity;
+    if (previous && previous.issuer === identity.issuer && previous.subject !== identity.subject) {
+      throw new SsoError('This email address belongs to a different identity at your provider', 'SSO_IDENTITY_MISMATCH', 403);
+    }
+
+    const alreadyLinked = previous?.organizationId?.toString() === config.organizationId.toString()
+      && previous.issuer === identity.issuer
+      && previous.subject === identity.subject;
+    if (!alreadyLinked && !linkUserId && !(await isActiveOrganizationMember(user._id, config.organizationId))) {
+      throw new SsoError(
+        'An account with this email already exists. Sign in with your password, then link single sign-on under Settings → Security.',
+        'SSO_ACCOUNT_EXISTS',
+        409
+      );
+    }
+
+    await usersCollection.updateOne(
+      { _id: user._id },
+      { $set: { ssoIdentity: identity, lastLoginAt: now, updatedAt: now } }
+    );
+    user = { ...user, ssoIdentity: identity, lastLoginAt: now };
+  } else {
+    const newUser = {
+      email,
+      password: null, // SSO users sign in at their identity provider
+      name,
+      bio: null,
+      photoURL: typeof claims.picture === 'string' ? claims.picture : null,
+      role: 'user',
+      provider: SSO_PROVIDER,
+      ssoIdentity: identity,
+      createdAt: now,
+      updatedAt: now,
+      lastLoginAt: now,
+      isActive: true,
+      emailVerified: true // Vouched for by the identity provider
+    };
+
+    try {
+      const result = await usersCollection.insertOne(newUser);
+      user = { ...newUser, _id: result.insertedId };
+    } catch (error) {
+      // Two first sign-ins at once; the other one created the account
+      if (error.code !== 11000) {
+        throw error;
+      }
+      user = await usersCollection.findOne({ email });
+    }
+  }
+
+  // The organization's owner is its Admin without a membership
+  if (user._id.toString() === config.organizationId) {
+    return user;
+  }
+
+  const membership = await findTeamMember(user._id, config.organizationId);
+  if (membership && (membership.status !== MEMBER_STATUS.ACTIVE || membership.metadata?.isActive === false)) {
+    throw new SsoError('You have been removed from this organization. Ask an Admin to invite you again.', 'SSO_ACCESS_REVOKED', 403);
+  }
+
+  if (!membership) {
+    const member = await createTeamMember(createTeamMemberDocument({
+      organizationId: config.organizationId,
+      userId: user._id,
+      role: config.defaultRole
+    }));
+
+    await recordAuditEvent({
+      organizationId: config.organizationId,
+      actorId: user._id,
+      action: AUDIT_ACTIONS.MEMBER_PROVISIONED,
+      target: { type: AUDIT_TARGET_TYPES.MEMBER, id: member._id, label: user.name || email },
+      after: { email, role: member.role },
+      metadata: { issuer: config.issuer }
+    });
+  }
+
+  return user;
+}
+
+/**
+ * Finishes a sign-in when the identity provider sends the browser back
+ * @param {Object} params - { code, state, stateCookie, error } from the callback request
+ * @returns {Promise<Object>} { ticket, callbackUrl } - one-time ticket for the login page
+ * @throws {SsoError} If the sign-in can't be completed
+ */
+export async function completeSsoSignIn({ code, state, stateCookie, error }) {
+  const { states, tickets } = await getSsoCollections();
+
+  // The state has to come back to the same browser that started the sign-in
+  const stateMatches = typeof state === 'string' && typeof stateCookie === 'string'
+    && state.length === stateCookie.length
+    && crypto.timingSafeEqual(Buffer.from(state), Buffer.from(stateCookie));
+  if (!stateMatches) {
+    throw new SsoError('This sign-in was started in a different browser. Please start again.', 'SSO_STATE_MISMATCH');
+  }
+
+  const pending = await states.findOneAndDelete({ stateHash: hashSsoValue(state) });
+  if (!pending || pending.expiresAt < new Date()) {
+    throw new SsoError('This sign-in took too long. Please start again.', 'SSO_EXPIRED');
+  }
+
+  if (error) {
+    throw new SsoError('Your identity provider did not sign you in', 'SSO_DENIED', 403);
+  }
+  if (!code) {
+    throw new SsoError('Your identity provider did not return an authorization code', 'SSO_FAILED');
+  }
+
+  const config = await getSsoClientConfiguration(pending.organizationId);
+  if (!config) {
+    throw new SsoError('Single sign-on is no longer set up for this organization', 'SSO_NOT_CONFIGURED', 404);
+  }
+
+  let claims;
+  try {
+    const provider = await discoverOidcProvider(config.issuer);
+    const tokens = await exchangeAuthorizationCode(provider, {
+      clientId: config.clientId,
+      clientSecret: config.clientSecret,
+      code,
+      redirectUri: getSsoRedirectUri(),
+      codeVerifier: pending.codeVerifier
+    });
+    claims = await validateIdToken(provider, tokens.id_token, { clientId: config.clientId, nonce: pending.nonce });
+
+    // Some providers only put the email in userinfo
+    if (!claims.email && provider.userinfo_endpoint && tokens.access_token) {
+      const userInfo = await fetchUserInfo(provider, tokens.access_token);
+      if (userInfo.sub === claims.sub) {
+        claims = { ...userInfo, ...claims, email: userInfo.email, email_verified: userInfo.email_verified };
+      }
+    }
+  } catch (oidcError) {
+    if (oidcError instanceof OidcError) {
+      console.error(`SSO sign-in failed for organization ${config.organizationId}:`, oidcError.message);
+      throw new SsoError('Your identity provider\'s response could not be verified', 'SSO_FAILED', 502);
+    }
+    throw oidcError;
+  }
+
+  const user = await provisionSsoUser(config, claims, { linkUserId: pending.linkUserId });
+
+  const ticket = generateOidcToken();
+  const now = new Date();
+  await tickets.insertOne({
+    ticketHash: hashSsoValue(ticket),
+    userId: user._id,
+    organizationId: pending.organizationId,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + SSO_TICKET_TTL_MS)
+  });
+
+  return { ticket, callbackUrl: pending.callbackUrl };
+}
+
+/**
+ * Redeems a sign-in ticket for the account it was issued to
+ * Each ticket works once
+ * @param {string} ticket - Ticket from completeSsoSignIn
+ * @returns {Promise<Object|null>} User document, or null if the ticket is unknown, used or expired
+ */
+export async function redeemSsoTicket(ticket) {
+  if (typeof ticket !== 'string' || !ticket) {
+    return null;
+  }
+
+  const { tickets } = await getSsoCollections();
+  const redeemed = await tickets.findOneAndDelete({
+    ticketHash: hashSsoValue(ticket),
+    expiresAt: { $gt: new Date() }
+  });
+  if (!redeemed) {
+    return null;
+  }
+
+  const usersCollection = await getUsersCollection();
+  const user = await usersCollection.findOne({ _id: redeemed.userId });
+
+  return user?.isActive ? user : null;
+}
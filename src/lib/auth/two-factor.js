@@ -0,0 +1,725 @@
+/**
+ * Two-Factor Authentication Service
+ * Time-based one-time passwords (RFC 6238) and single-use recovery codes for
+ * accounts that sign in with an email and password
+ */
+
+import { ObjectId } from 'mongodb';
+import { getUsersCollection } from '../mongodb.js';
+import { getEnvConfig } from '../env.js';
+import { verifyPassword } from './password.js';
+import { resolveOrganizationId } from '../team/organization-scope.js';
+import { getOrganizationSettings } from '../team/organization-settings.js';
+import { getTeamDirectory } from '../team/invitation-db.js';
+import crypto from 'crypto';
+
+/**
+ * Issuer shown in authenticator apps
+ */
+export const TWO_FACTOR_ISSUER = 'Nexus ATS';
+
+/**
+ * TOTP parameters (the defaults every authenticator app supports)
+ */
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+/**
+ * Codes from one period either side of the current one are accepted, to
+ * allow for clock drift between the server and the phone
+ */
+export const TOTP_WINDOW = 1;
+
+/**
+ * Number of recovery codes created at enrollment
+ */
+export const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * How long a started enrollment can be confirmed
+ */
+export const TWO_FACTOR_ENROLLMENT_TTL_MS = 15 * 60 * 1000;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Two-factor authentication errors
+ */
+export class TwoFactorError extends Error {
+  constructor(message, code = 'TWO_FACTOR_ERROR', field = null) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.code = code;
+    this.field = field;
+  }
+}
+
+/**
+ * Encodes bytes as unpadded base32, the format authenticator apps expect
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * Decodes a base32 string, ignoring case, spaces and padding
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+export function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new TwoFactorError('Invalid two-factor secret', 'INVALID_SECRET');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generates a new TOTP secret
+ * @returns {string} 160-bit secret in base32
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Gets the TOTP time step a moment falls in
+ * @param {number} [time] - Milliseconds since the epoch
+ * @returns {number} Time step
+ */
+export function getTotpStep(time = Date.now()) {
+  return Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Generates the HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter (the TOTP time step)
+ * @returns {string} Zero-padded code
+ * @private
+ */
+function generateHotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Generates the TOTP code for a moment
+ * @param {string} secret - Base32 secret
+ * @param {number} [time] - Milliseconds since the epoch
+ * @returns {string} Six-digit code
+ */
+export function generateTotp(secret, time = Date.now()) {
+  return generateHotp(secret, getTotpStep(time));
+}
+
+/**
+ * Checks a TOTP code against the current time step and its neighbours
+ * A step at or before lastUsedStep is refused, so a code can't be replayed
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options] - { time, lastUsedStep }
+ * @returns {number|null} Matching time step, or null when the code is wrong
+ */
+export function verifyTotp(secret, code, { time = Date.now(), lastUsedStep = null } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTotpStep(time);
+
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Builds the otpauth:// URI authenticator apps import (usually as a QR code)
+ * @param {Object} params - { secret, email, issuer }
+ * @returns {string} otpauth URI
+ */
+export function buildOtpauthUri({ secret, email, issuer = TWO_FACTOR_ISSUER }) {
+  const label = encodeURIComponent(`${issuer}:${email}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${query.toString()}`;
+}
+
+/**
+ * Generates a set of recovery codes
+ * @param {number} [count] - Number of codes
+ * @returns {Array<string>} Codes formatted as xxxxx-xxxxx
+ */
+export function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * Normalizes a recovery code as typed by the user
+ * @param {string} code - Recovery code
+ * @returns {string} Lowercase code without separators
+ */
+export function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^0-9a-z]/g, '');
+}
+
+/**
+ * Hashes a recovery code for storage
+ * Only hashes are stored, so a leaked database can't be used to get past 2FA
+ * @param {string} code - Recovery code
+ * @returns {string} SHA-256 hash in hex
+ */
+export function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * Derives the key TOTP secrets are encrypted with
+ * @returns {Buffer} 256-bit key
+ * @private
+ */
+function getSecretKey() {
+  return crypto.createHash('sha256').update(`two-factor:${getEnvConfig().NEXTAUTH_SECRET}`).digest();
+}
+
+/**
+ * Encrypts a TOTP secret for storage
+ * The server needs the secret itself to check codes, so it is encrypted
+ * (AES-256-GCM) rather than hashed
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv:tag:ciphertext in base64
+ */
+export function encryptTwoFactorSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getSecretKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypts a stored TOTP secret
+ * @param {string} stored - Value from encryptTwoFactorSecret
+ * @returns {string} Base32 secret
+ */
+export function decryptTwoFactorSecret(stored) {
+  const [iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getSecretKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Whether an account can use two-factor authentication
+ * Accounts without a password sign in with Google, which runs its own 2-step verification
+ * @param {Object} user - User document
+ * @returns {boolean} True for password accounts
+ */
+export function canUseTwoFactor(user) {
+  return Boolean(user?.password);
+}
+
+/**
+ * Whether an account has finished enrolling in two-factor authentication
+ * @param {Object} user - User document
+ * @returns {boolean} True once enrollment is confirmed
+ */
+export function isTwoFactorEnabled(user) {
+  return Boolean(user?.twoFactor?.enabled && user.twoFactor.secret);
+}
+
+/**
+ * Whether the organization a user works in requires two-factor authentication
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True when an Admin turned the requirement on
+ */
+export async function isTwoFactorRequired(userId) {
+  const settings = await getOrganizationSettings(await resolveOrganizationId(userId));
+
+  return settings.requireTwoFactor;
+}
+
+/**
+ * Loads the account for a two-factor operation
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User document
+ * @private
+ */
+async function loadUser(userId) {
+  if (!userId || !ObjectId.isValid(userId)) {
+    throw new TwoFactorError('User not found', 'USER_NOT_FOUND');
+  }
+
+  const usersCollection = await getUsersCollection();
+  const user = await usersCollection.findOne(
+    { _id: new ObjectId(userId), isActive: true },
+    { projection: { email: 1, password: 1, twoFactor: 1 } }
+  );
+
+  if (!user) {
+    throw new TwoFactorError('User not found', 'USER_NOT_FOUND');
+  }
+
+  return user;
+}
+
+/**
+ * Creates the stored form of a set of recovery codes
+ * @param {Array<string>} codes - Recovery codes
+ * @returns {Array<Object>} [{ hash, usedAt }]
+ * @private
+ */
+function toStoredRecoveryCodes(codes) {
+  return codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null }));
+}
+
+/**
+ * Gets a user's two-factor status
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { available, enabled, enabledAt, recoveryCodesRemaining, required }
+ */
+export async function getTwoFactorStatus(userId) {
+  try {
+    const user = await loadUser(userId);
+    const enabled = isTwoFactorEnabled(user);
+
+    return {
+      available: canUseTwoFactor(user),
+      enabled,
+      enabledAt: enabled ? user.twoFactor.enabledAt || null : null,
+      recoveryCodesRemaining: enabled
+        ? (user.twoFactor.recoveryCodes || []).filter(code => !code.usedAt).length
+        : 0,
+      required: await isTwoFactorRequired(userId)
+    };
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      throw error;
+    }
+
+    console.error('Failed to get two-factor status:', error);
+    throw new TwoFactorError('Failed to load two-factor settings', 'TWO_FACTOR_STATUS_FAILED');
+  }
+}
+
+/**
+ * Starts enrolling a user in two-factor authentication
+ * The secret is kept as pending until a code from the authenticator app confirms it
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { secret, otpauthUri, expiresAt }
+ */
+export async function startTwoFactorEnrollment(userId) {
+  try {
+    const user = await loadUser(userId);
+
+    if (!canUseTwoFactor(user)) {
+      throw new TwoFactorError(
+        'Two-factor authentication for Google accounts is managed by Google',
+        'TWO_FACTOR_NOT_AVAILABLE'
+      );
+    }
+
+    if (isTwoFactorEnabled(user)) {
+      throw new TwoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const secret = generateTotpSecret();
+    const now = new Date();
+
+    const usersCollection = await getUsersCollection();
+    await usersCollection.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          twoFactor: {
+            enabled: false,
+            pendingSecret: encryptTwoFactorSecret(secret),
+            pendingCreatedAt: now
+          },
+          updatedAt: now
+        }
+      }
+    );
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, email: user.email }),
+      expiresAt: new Date(now.getTime() + TWO_FACTOR_ENROLLMENT_TTL_MS)
+    };
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      throw error;
+    }
+
+    console.error('Failed to start two-factor enrollment:', error);
+    throw new TwoFactorError('Failed to start two-factor setup. Please try again.', 'ENROLLMENT_FAILED');
+  }
+}
+
+/**
+ * Confirms enrollment with a code from the authenticator app
+ * Returns the recovery codes, which are only ever shown this once
+ * @param {string} userId - User ID
+ * @param {string} code - Six-digit code
+ * @returns {Promise<Object>} { recoveryCodes }
+ */
+export async function confirmTwoFactorEnrollment(userId, code) {
+  try {
+    if (!code) {
+      throw new TwoFactorError('Verification code is required', 'CODE_REQUIRED', 'code');
+    }
+
+    const user = await loadUser(userId);
+
+    if (isTwoFactorEnabled(user)) {
+      throw new TwoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+    }
+
+    const pendingSecret = user.twoFactor?.pendingSecret;
+    const pendingCreatedAt = user.twoFactor?.pendingCreatedAt;
+    const now = new Date();
+
+    if (!pendingSecret || !pendingCreatedAt || now - new Date(pendingCreatedAt) > TWO_FACTOR_ENROLLMENT_TTL_MS) {
+      throw new TwoFactorError('Two-factor setup expired. Please start again.', 'ENROLLMENT_EXPIRED');
+    }
+
+    const step = verifyTotp(decryptTwoFactorSecret(pendingSecret), code, { time: now.getTime() });
+    if (step === null) {
+      throw new TwoFactorError('Invalid verification code', 'INVALID_CODE', 'code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    // Matching the pending secret keeps a second enrollment started meanwhile from being confirmed by this code
+    const usersCollection = await getUsersCollection();
+    const result = await usersCollection.updateOne(
+      { _id: user._id, 'twoFactor.pendingSecret': pendingSecret },
+      {
+        $set: {
+          twoFactor: {
+            enabled: true,
+            secret: pendingSecret,
+            recoveryCodes: toStoredRecoveryCodes(recoveryCodes),
+            lastUsedStep: step,
+            enabledAt: now
+          },
+          updatedAt: now
+        }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new TwoFactorError('Two-factor setup expired. Please start again.', 'ENROLLMENT_EXPIRED');
+    }
+
+    console.log(`Two-factor authentication enabled for user: ${user.email}`);
+
+    return { recoveryCodes };
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      throw error;
+    }
+
+    console.error('Failed to confirm two-factor enrollment:', error);
+    throw new TwoFactorError('Failed to enable two-factor authentication. Please try again.', 'ENROLLMENT_FAILED');
+  }
+}
+
+/**
+ * Checks a sign-in code: a TOTP code or one of the recovery codes
+ * The code is consumed in the same update that accepts it, so a TOTP code
+ * works once and a recovery code can't be used twice
+ * @param {Object} user - User document with twoFactor
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<string|null>} 'totp' or 'recovery', or null when the code is wrong
+ */
+export async function verifyTwoFactorCode(user, code) {
+  if (!isTwoFactorEnabled(user) || !code) {
+    return null;
+  }
+
+  const usersCollection = await getUsersCollection();
+  const step = verifyTotp(decryptTwoFactorSecret(user.twoFactor.secret), code, {
+    lastUsedStep: user.twoFactor.lastUsedStep
+  });
+
+  if (step !== null) {
+    const result = await usersCollection.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': { $lt: step } },
+          { 'twoFactor.lastUsedStep': null }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount > 0 ? 'totp' : null;
+  }
+
+  const result = await usersCollection.updateOne(
+    {
+      _id: user._id,
+      'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(code), usedAt: null } }
+    },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Recovery code used for user: ${user.email}`);
+    return 'recovery';
+  }
+
+  return null;
+}
+
+/**
+ * Turns two-factor authentication off
+ * Needs the account password and a current code; not allowed while the
+ * user's organization requires 2FA
+ * @param {string} userId - User ID
+ * @param {Object} params - { password, code }
+ * @returns {Promise<Object>} { success }
+ */
+export async function disableTwoFactor(userId, { password, code } = {}) {
+  try {
+    if (!password) {
+      throw new TwoFactorError('Password is required', 'PASSWORD_REQUIRED', 'password');
+    }
+    if (!code) {
+      throw new TwoFactorError('Verification code is required', 'CODE_REQUIRED', 'code');
+    }
+
+    const user = await loadUser(userId);
+
+    if (!isTwoFactorEnabled(user)) {
+      throw new TwoFactorError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    if (await isTwoFactorRequired(userId)) {
+      throw new TwoFactorError(
+        'Your organization requires two-factor authentication',
+        'TWO_FACTOR_REQUIRED_BY_ORGANIZATION'
+      );
+    }
+
+    if (!await verifyPassword(password, user.password)) {
+      throw new TwoFactorError('Password is incorrect', 'INVALID_PASSWORD', 'password');
+    }
+
+    if (!await verifyTwoFactorCode(user, code)) {
+      throw new TwoFactorError('Invalid verification code', 'INVALID_CODE', 'code');
+    }
+
+    const usersCollection = await getUsersCollection();
+    await usersCollection.updateOne(
+      { _id: user._id },
+      {
+        $unset: { twoFactor: '' },
+        $set: { updatedAt: new Date() }
+      }
+    );
+
+    console.log(`Two-factor authentication disabled for user: ${user.email}`);
+
+    return { success: true };
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      throw error;
+    }
+
+    console.error('Failed to disable two-factor authentication:', error);
+    throw new TwoFactorError('Failed to disable two-factor authentication. Please try again.', 'DISABLE_FAILED');
+  }
+}
+
+/**
+ * Replaces a user's recovery codes; the old ones stop working
+ * @param {string} userId - User ID
+ * @param {string} code - Current code from the authenticator app
+ * @returns {Promise<Object>} { recoveryCodes }
+ */
+export async function regenerateRecoveryCodes(userId, code) {
+  try {
+    if (!code) {
+      throw new TwoFactorError('Verification code is required', 'CODE_REQUIRED', 'code');
+    }
+
+    const user = await loadUser(userId);
+
+    if (!isTwoFactorEnabled(user)) {
+      throw new TwoFactorError('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    if (await verifyTwoFactorCode(user, code) !== 'totp') {
+      throw new TwoFactorError('Invalid verification code', 'INVALID_CODE', 'code');
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    const usersCollection = await getUsersCollection();
+    await usersCollection.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.recoveryCodes': toStoredRecoveryCodes(recoveryCodes),
+          updatedAt: new Date()
+        }
+      }
+    );
+
+    return { recoveryCodes };
+
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      throw error;
+    }
+
+    console.error('Failed to regenerate recovery codes:', error);
+    throw new TwoFactorError('Failed to create new recovery codes. Please try again.', 'RECOVERY_CODES_FAILED');
+  }
+}
+
+/**
+ * Lists the members of an organization with whether each has 2FA set up
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array<Object>>} [{ userId, name, email, role, twoFactorEnabled, managedByGoogle, managedBySso }]
+ */
+export async function getTeamTwoFactorStatus(organizationId) {
+  const directory = await getTeamDirectory(organizationId);
+
+  const usersCollection = await getUsersCollection();
+  const users = await usersCollection.find(
+    { _id: { $in: directory.map(member => new ObjectId(member.userId)) } },
+    { projection: { password: 1, provider: 1, 'twoFactor.enabled': 1, 'twoFactor.secret': 1 } }
+  ).toArray();
+  const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+  return directory.map(member => {
+    const user = byId.get(member.userId);
+    const managedBySso = user?.provider === 'sso';
+    return {
+      ...member,
+      twoFactorEnabled: isTwoFactorEnabled(user),
+      managedByGoogle: Boolean(user) && !managedBySso && !canUseTwoFactor(user),
+      managedBySso
+    };
+  });
+}
+
+/**
+ * HTTP status for each two-factor error code
+ */
+const TWO_FACTOR_ERROR_STATUS = {
+  USER_NOT_FOUND: 404,
+  CODE_REQUIRED: 400,
+  PASSWORD_REQUIRED: 400,
+  INVALID_CODE: 400,
+  INVALID_PASSWORD: 400,
+  ENROLLMENT_EXPIRED: 400,
+  TWO_FACTOR_NOT_AVAILABLE: 400,
+  TWO_FACTOR_NOT_ENABLED: 400,
+  TWO_FACTOR_ALREADY_ENABLED: 409,
+  TWO_FACTOR_REQUIRED_BY_ORGANIZATION: 403
+};
+
+/**
+ * Gets the HTTP status for a two-factor error
+ * @param {Error} error - Error thrown by this service
+ * @returns {number} HTTP status code
+ */
+export function getTwoFactorErrorStatus(error) {
+  return TWO_FACTOR_ERROR_STATUS[error?.code] || 500;
+}
+
+/**
+ * Formats two-factor error for API response
+ * @param {Error} error - Error to format
+ * @returns {Object} Formatted error response
+ */
+export function formatTwoFactorError(error) {
+  if (error instanceof TwoFactorError) {
+    return {
+      success: false,
+      error: {
+        message: error.message,
+        code: error.code,
+        field: error.field
+      }
+    };
+  }
+
+  return {
+    success: false,
+    error: {
+      message: 'Two-factor authentication request failed. Please try again.',
+      code: 'UNKNOWN_ERROR'
+    }
+  };
+}
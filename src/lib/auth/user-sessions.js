@@ -0,0 +1,462 @@
+/**
+ * User Sessions Service
+ * Tracks every signed-in session server-side (device, IP address, last seen)
+ * so users can see where they're signed in and end sessions remotely. The
+ * session id travels in the JWT and is checked on every request
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, getUsersCollection } from '../mongodb.js';
+
+/**
+ * Collection name for sessions
+ */
+export const USER_SESSIONS_COLLECTION = 'user_sessions';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * How long an idle session lives (matches the NextAuth session maxAge)
+ */
+export const SESSION_MAX_AGE_MS = 30 * DAY;
+
+/**
+ * Minimum time between two "last seen" updates of the same session, so
+ * busy pages don't write on every request
+ */
+export const SESSION_TOUCH_INTERVAL_MS = 5 * MINUTE;
+
+/**
+ * Why a session was ended
+ */
+export const SESSION_REVOKE_REASONS = {
+  SIGNED_OUT: 'signed_out',
+  REVOKED: 'revoked',
+  SIGNED_OUT_EVERYWHERE: 'signed_out_everywhere',
+  PASSWORD_CHANGED: 'password_changed',
+  PASSWORD_RESET: 'password_reset',
+  ACCOUNT_DELETED: 'account_deleted'
+};
+
+/**
+ * User session errors
+ */
+export class UserSessionError extends Error {
+  constructor(message, code = 'USER_SESSION_ERROR', field = null) {
+    super(message);
+    this.name = 'UserSessionError';
+    this.code = code;
+    this.field = field;
+  }
+}
+
+const USER_SESSION_ERROR_STATUS = {
+  INVALID_SESSION_ID: 400,
+  SESSION_NOT_FOUND: 404
+};
+
+let sessionIndexesReady = false;
+
+/**
+ * Gets the sessions collection, creating its indexes on first use
+ * @returns {Promise<Collection>} Sessions collection
+ * @private
+ */
+async function getSessionsCollection() {
+  const collection = await getCollection(USER_SESSIONS_COLLECTION);
+
+  if (!sessionIndexesReady) {
+    await collection.createIndex({ userId: 1, lastSeenAt: -1 });
+    await collection.createIndex(
+      { legacyKey: 1 },
+      { unique: true, partialFilterExpression: { legacyKey: { $exists: true } } }
+    );
+    // Sessions nobody has used for the whole max age remove themselves
+    await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    sessionIndexesReady = true;
+  }
+
+  return collection;
+}
+
+/**
+ * Describes the browser and operating system in a user agent
+ * @param {string} userAgent - User-Agent header
+ * @returns {Object} { browser, os, isMobile, label }
+ */
+export function describeUserAgent(userAgent) {
+  const ua = typeof userAgent === 'string' ? userAgent : '';
+
+  let browser = null;
+  if (/Edg(A|iOS)?\//.test(ua)) {
+    browser = 'Edge';
+  } else if (/OPR\/|Opera/.test(ua)) {
+    browser = 'Opera';
+  } else if (/Firefox\/|FxiOS\//.test(ua)) {
+    browser = 'Firefox';
+  } else if (/Chrome\/|CriOS\//.test(ua)) {
+    browser = 'Chrome';
+  } else if (/Safari\//.test(ua) && /Version\//.test(ua)) {
+    browser = 'Safari';
+  }
+
+  let os = null;
+  if (/iPhone|iPad|iPod/.test(ua)) {
+    os = 'iOS';
+  } else if (/Android/.test(ua)) {
+    os = 'Android';
+  } else if (/CrOS/.test(ua)) {
+    os = 'ChromeOS';
+  } else if (/Windows/.test(ua)) {
+    os = 'Windows';
+  } else if (/Mac OS X|Macintosh/.test(ua)) {
+    os = 'macOS';
+  } else if (/Linux/.test(ua)) {
+    os = 'Linux';
+  }
+
+  let label = 'Unknown device';
+  if (browser && os) {
+    label = `${browser} on ${os}`;
+  } else if (browser || os) {
+    label = browser || os;
+  }
+
+  return {
+    browser,
+    os,
+    isMobile: /Mobi|iPhone|iPod|Android.*Mobile/.test(ua),
+    label
+  };
+}
+
+/**
+ * Checks whether a stored session can still be used
+ * @param {Object|null} session - Session document
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the session exists, isn't revoked and hasn't expired
+ */
+export function isSessionActive(session, now = new Date()) {
+  return Boolean(session) && !session.revokedAt && new Date(session.expiresAt) > now;
+}
+
+/**
+ * Checks whether a JWT can still be used for the account it was issued to
+ * Deleted and deactivated accounts lose every session, a password change or
+ * reset bumps the version tokens carry, and tokens from before sessions were
+ * tracked have no session record to revoke, so they are refused when they
+ * were signed in before the account last ended its sessions
+ * @param {Object} token - Decoded JWT
+ * @param {Object|null} user - User with isActive, sessionVersion and sessionsRevokedAt
+ * @returns {boolean} True if the token may be used
+ */
+export function isTokenCurrent(token, user) {
+  if (!user || !user.isActive) {
+    return false;
+  }
+
+  if ((user.sessionVersion || 0) !== (token?.sessionVersion || 0)) {
+    return false;
+  }
+
+  if (!token?.sessionId && user.sessionsRevokedAt) {
+    const signedInAt = token?.lastLoginAt ? new Date(token.lastLoginAt) : null;
+    if (!signedInAt || Number.isNaN(signedInAt.getTime()) || signedInAt <= new Date(user.sessionsRevokedAt)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Builds the fields recording where a session was last seen
+ * Unknown values are left out so they don't overwrite known ones
+ * @param {Object} context - { userAgent, ipAddress }
+ * @returns {Object} Fields to set
+ * @private
+ */
+function buildSeenFrom({ userAgent, ipAddress } = {}) {
+  const fields = {};
+  if (userAgent) {
+    fields.userAgent = String(userAgent).slice(0, 512);
+  }
+  if (ipAddress && ipAddress !== 'unknown') {
+    fields.ipAddress = ipAddress;
+  }
+  return fields;
+}
+
+/**
+ * Records a new session when a user signs in
+ * @param {string|ObjectId} userId - User ID
+ * @param {Object} options - { provider, userAgent, ipAddress, now }
+ * @returns {Promise<string>} Session ID to keep in the JWT
+ */
+export async function createUserSession(userId, { provider = null, userAgent = null, ipAddress = null, now = new Date() } = {}) {
+  try {
+    const sessions = await getSessionsCollection();
+
+    const result = await sessions.insertOne({
+      userId: new ObjectId(userId),
+      provider,
+      userAgent: null,
+      ipAddress: null,
+      ...buildSeenFrom({ userAgent, ipAddress }),
+      createdAt: now,
+      lastSeenAt: now,
+      expiresAt: new Date(now.getTime() + SESSION_MAX_AGE_MS),
+      revokedAt: null,
+      revokedReason: null
+    });
+
+    return result.insertedId.toString();
+  } catch (error) {
+    console.error('Error creating user session:', error);
+    throw new UserSessionError('Failed to create session', 'DATABASE_ERROR');
+  }
+}
+
+/**
+ * Finds the session of a token issued before sessions were tracked, creating
+ * it on first sight. The key is stable for the token's lifetime so repeated
+ * requests share one record
+ * @param {Collection} sessions - Sessions collection
+ * @param {Object} token - Decoded JWT
+ * @param {Object} context - { userAgent, ipAddress, now }
+ * @returns {Promise<Object>} Session document
+ * @private
+ */
+async function findOrCreateLegacySession(sessions, token, { userAgent, ipAddress, now }) {
+  const legacyKey = `${token.id}:${token.lastLoginAt || 'unknown'}`;
+
+  try {
+    return await sessions.findOneAndUpdate(
+      { legacyKey },
+      {
+        $setOnInsert: {
+          userId: new ObjectId(token.id),
+          provider: token.provider || null,
+          userAgent: null,
+          ipAddress: null,
+          ...buildSeenFrom({ userAgent, ipAddress }),
+          createdAt: now,
+          lastSeenAt: now,
+          expiresAt: new Date(now.getTime() + SESSION_MAX_AGE_MS),
+          revokedAt: null,
+          revokedReason: null,
+          legacyKey
+        }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+  } catch (error) {
+    // Two requests raced to create it; the other one won
+    if (error.code === 11000) {
+      return sessions.findOne({ legacyKey });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Looks up the session behind a JWT and records that it was seen
+ * @param {Object} token - Decoded JWT with id and sessionId
+ * @param {Object} options - { userAgent, ipAddress, now }
+ * @returns {Promise<Object|null>} Session document, or null if it was ended
+ */
+export async function resolveUserSession(token, { userAgent = null, ipAddress = null, now = new Date() } = {}) {
+  try {
+    if (!token?.id || !ObjectId.isValid(token.id)) {
+      return null;
+    }
+
+    const sessions = await getSessionsCollection();
+
+    let session = null;
+    if (!token.sessionId) {
+      session = await findOrCreateLegacySession(sessions, token, { userAgent, ipAddress, now });
+    } else if (ObjectId.isValid(token.sessionId)) {
+      session = await sessions.findOne({
+        _id: new ObjectId(token.sessionId),
+        userId: new ObjectId(token.id)
+      });
+    }
+
+    if (!isSessionActive(session, now)) {
+      return null;
+    }
+
+    if (now - new Date(session.lastSeenAt) >= SESSION_TOUCH_INTERVAL_MS) {
+      await sessions.updateOne(
+        { _id: session._id, revokedAt: null },
+        {
+          $set: {
+            ...buildSeenFrom({ userAgent, ipAddress }),
+            lastSeenAt: now,
+            expiresAt: new Date(now.getTime() + SESSION_MAX_AGE_MS)
+          }
+        }
+      );
+    }
+
+    return session;
+  } catch (error) {
+    console.error('Error resolving user session:', error);
+    throw new UserSessionError('Failed to check session', 'DATABASE_ERROR');
+  }
+}
+
+/**
+ * Formats a session for API responses
+ * @param {Object} session - Session document
+ * @param {string} currentSessionId - Session making the request
+ * @returns {Object} Session without internal fields
+ */
+export function formatUserSession(session, currentSessionId = null) {
+  const id = session._id.toString();
+  const device = describeUserAgent(session.userAgent);
+
+  return {
+    id,
+    device: device.label,
+    browser: device.browser,
+    os: device.os,
+    isMobile: device.isMobile,
+    ipAddress: session.ipAddress || null,
+    provider: session.provider || null,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    isCurrent: Boolean(currentSessionId) && id === currentSessionId
+  };
+}
+
+/**
+ * Lists a user's active sessions, the current one first and then by last seen
+ * @param {string|ObjectId} userId - User ID
+ * @param {string} currentSessionId - Session making the request
+ * @returns {Promise<Array<Object>>} Formatted sessions
+ */
+export async function listUserSessions(userId, currentSessionId = null) {
+  try {
+    const sessions = await getSessionsCollection();
+    const now = new Date();
+
+    const documents = await sessions
+      .find({ userId: new ObjectId(userId), revokedAt: null, expiresAt: { $gt: now } })
+      .sort({ lastSeenAt: -1 })
+      .limit(100)
+      .toArray();
+
+    return documents
+      .map(session => formatUserSession(session, currentSessionId))
+      .sort((a, b) => Number(b.isCurrent) - Number(a.isCurrent));
+  } catch (error) {
+    console.error('Error listing user sessions:', error);
+    throw new UserSessionError('Failed to load sessions', 'DATABASE_ERROR');
+  }
+}
+
+/**
+ * Ends one of a user's sessions; its next request is signed out
+ * @param {string|ObjectId} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - One of SESSION_REVOKE_REASONS
+ * @returns {Promise<Object>} { revoked: true }
+ */
+export async function revokeUserSession(userId, sessionId, reason = SESSION_REVOKE_REASONS.REVOKED) {
+  try {
+    if (!sessionId || !ObjectId.isValid(sessionId)) {
+      throw new UserSessionError('Invalid session ID', 'INVALID_SESSION_ID', 'sessionId');
+    }
+
+    const sessions = await getSessionsCollection();
+    const result = await sessions.updateOne(
+      { _id: new ObjectId(sessionId), userId: new ObjectId(userId), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new UserSessionError('Session not found or already signed out', 'SESSION_NOT_FOUND');
+    }
+
+    return { revoked: true };
+  } catch (error) {
+    if (error instanceof UserSessionError) {
+      throw error;
+    }
+    console.error('Error revoking user session:', error);
+    throw new UserSessionError('Failed to sign out session', 'DATABASE_ERROR');
+  }
+}
+
+/**
+ * Ends all of a user's sessions, optionally keeping the one making the request
+ * The time is kept on the user too, so tokens that don't have a session
+ * record yet are refused (see isTokenCurrent)
+ * @param {string|ObjectId} userId - User ID
+ * @param {Object} options - { exceptSessionId, reason }
+ * @returns {Promise<number>} Number of sessions ended
+ */
+export async function revokeUserSessions(userId, { exceptSessionId = null, reason = SESSION_REVOKE_REASONS.SIGNED_OUT_EVERYWHERE } = {}) {
+  try {
+    const sessions = await getSessionsCollection();
+
+    const filter = { userId: new ObjectId(userId), revokedAt: null };
+    if (exceptSessionId && ObjectId.isValid(exceptSessionId)) {
+      filter._id = { $ne: new ObjectId(exceptSessionId) };
+    }
+
+    const now = new Date();
+    const result = await sessions.updateMany(filter, {
+      $set: { revokedAt: now, revokedReason: reason }
+    });
+
+    const usersCollection = await getUsersCollection();
+    await usersCollection.updateOne(
+      { _id: new ObjectId(userId) },
+      { $set: { sessionsRevokedAt: now } }
+    );
+
+    return result.modifiedCount;
+  } catch (error) {
+    console.error('Error revoking user sessions:', error);
+    throw new UserSessionError('Failed to sign out sessions', 'DATABASE_ERROR');
+  }
+}
+
+/**
+ * Maps a session error to its HTTP status code
+ * @param {Error} error - Error thrown by this service
+ * @returns {number} HTTP status code
+ */
+export function getUserSessionErrorStatus(error) {
+  return USER_SESSION_ERROR_STATUS[error?.code] || 500;
+}
+
+/**
+ * Formats session error for API response
+ * @param {Error} error - Error to format
+ * @returns {Object} Formatted error response
+ */
+export function formatUserSessionError(error) {
+  if (error instanceof UserSessionError) {
+    return {
+      success: false,
+      error: {
+        message: error.message,
+        code: error.code,
+        field: error.field
+      }
+    };
+  }
+
+  return {
+    success: false,
+    error: {
+      message: 'Session request failed. Please try again.',
+      code: 'UNKNOWN_ERROR'
+    }
+  };
+}
@@ -0,0 +1,268 @@
+/**
+ * Property-Based Tests for Stage Automations
+ * Feature: stage-automations, Property 1: Rules Fire Only for Their Stage and Job
+ * Feature: stage-automations, Property 2: Runs Are Scheduled After the Rule's Delay
+ * Feature: stage-automations, Property 3: Failed Runs Are Retried Until They Give Up
+ * Feature: stage-automations, Property 4: Actions Keep Only Their Own Settings
+ * Validates: Requirements 19.1, 19.2, 19.3, 19.4
+ */
+
+import fc from 'fast-check';
+import { ObjectId } from 'mongodb';
+import {
+  createAutomationRuleDocument,
+  createAutomationRun,
+  ruleMatchesStageChange,
+  buildRunAttemptUpdate,
+  buildStalledRunUpdate,
+  AUTOMATION_ACTIONS,
+  AUTOMATION_RUN_STATUS,
+  AUTOMATION_RETRY,
+  AUTOMATION_RUN_INDEXES
+} from '../automation-models.js';
+import { validateAutomationRuleData } from '../automation-validation.js';
+import { ValidationError } from '../../candidates/candidate-validation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const stageGen = () => fc.constantFrom('applied', 'screening', 'interview', 'offer', 'hired', 'rejected');
+
+const objectIdGen = () => fc.stringMatching(/^[a-f0-9]{24}$/);
+
+const buildRule = ({ stage, jobId = null, delayDays = 0, isEnabled = true }) => ({
+  _id: new ObjectId(),
+  ...createAutomationRuleDocument(
+    {
+      name: 'Follow up',
+      isEnabled,
+      trigger: { stage, jobId },
+      action: { type: AUTOMATION_ACTIONS.NOTIFY_ROLE, role: 'Admin', message: '' },
+      delayDays
+    },
+    null,
+    new ObjectId()
+  )
+});
+
+const buildCandidate = (jobIds = []) => ({
+  _id: new ObjectId(),
+  personalInfo: { firstName: 'Ada', lastName: 'Lovelace' },
+  jobApplications: jobIds.map(jobId => ({ jobId: new ObjectId(jobId) }))
+});
+
+describe('Stage Automation Property Tests', () => {
+
+  /**
+   * Property 1: Rules Fire Only for Their Stage and Job
+   * An enabled rule fires exactly when the candidate enters its stage and,
+   * for job-scoped rules, has applied to the rule's job.
+   */
+  describe('Property 1: Rules Fire Only for Their Stage and Job', () => {
+    test('unscoped rules fire for their stage only', () => {
+      fc.assert(
+        fc.property(stageGen(), stageGen(), (ruleStage, toStage) => {
+          const rule = buildRule({ stage: ruleStage });
+          expect(ruleMatchesStageChange(rule, buildCandidate(), toStage)).toBe(ruleStage === toStage);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('job-scoped rules fire only for applicants to that job', () => {
+      fc.assert(
+        fc.property(
+          stageGen(),
+          objectIdGen(),
+          fc.array(objectIdGen(), { maxLength: 4 }),
+          (stage, jobId, appliedTo) => {
+            const rule = buildRule({ stage, jobId });
+            const candidate = buildCandidate(appliedTo);
+            expect(ruleMatchesStageChange(rule, candidate, stage)).toBe(appliedTo.includes(jobId));
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('disabled and deleted rules never fire', () => {
+      fc.assert(
+        fc.property(stageGen(), fc.boolean(), (stage, disabled) => {
+          const rule = buildRule({ stage, isEnabled: !disabled });
+          if (!disabled) rule.metadata.isActive = false;
+          expect(ruleMatchesStageChange(rule, buildCandidate(), stage)).toBe(false);
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  /**
+   * Property 2: Runs Are Scheduled After the Rule's Delay
+   * A run is due the rule's delay in days after the stage change and records
+   * why it fired.
+   */
+  describe('Property 2: Runs Are Scheduled After the Rule\'s Delay', () => {
+    test('runAt is the change time plus the delay', () => {
+      fc.assert(
+        fc.property(
+          stageGen(),
+          fc.integer({ min: 0, max: 365 }),
+          fc.date({ min: new Date('2020-01-01'), max: new Date('2030-01-01'), noInvalidDate: true }),
+          (stage, delayDays, now) => {
+            const rule = buildRule({ stage, delayDays });
+            const run = createAutomationRun(rule, {
+              candidate: buildCandidate(),
+              fromStage: 'applied',
+              toStage: stage,
+              fromStageLabel: 'Applied',
+              toStageLabel: 'Target'
+            }, now);
+
+            expect(run.status).toBe(AUTOMATION_RUN_STATUS.PENDING);
+            expect(run.runAt.getTime() - now.getTime()).toBe(delayDays * DAY_MS);
+            expect(run.candidateName).toBe('Ada Lovelace');
+            expect(run.reason).toContain('Entered Target from Applied');
+            expect(run.reason.includes('later')).toBe(delayDays > 0);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('scheduling the same stage change twice can only store one run per rule', () => {
+      const rule = buildRule({ stage: 'offer', delayDays: 2 });
+      const candidate = buildCandidate();
+      const changedAt = new Date('2026-03-01T09:30:00Z');
+      const change = { candidate, fromStage: 'interview', toStage: 'offer', fromStageLabel: 'Interview', toStageLabel: 'Offer' };
+
+      const first = createAutomationRun(rule, change, changedAt);
+      const second = createAutomationRun(rule, change, new Date(changedAt));
+      const unique = AUTOMATION_RUN_INDEXES.find(index => index.options?.unique);
+      const keyOf = run => Object.keys(unique.key).map(path => {
+        const value = path.split('.').reduce((field, part) => field?.[part], run);
+        return value instanceof Date ? value.toISOString() : String(value);
+      });
+
+      expect(keyOf(first)).toEqual(keyOf(second));
+      expect(keyOf(createAutomationRun(rule, change, new Date(changedAt.getTime() + 1)))).not.toEqual(keyOf(first));
+    });
+  });
+
+  /**
+   * Property 3: Failed Runs Are Retried Until They Give Up
+   * Transient failures go back to pending with a later runAt until the last
+   * attempt, as does a run whose execution stopped with a crash; permanent
+   * failures and skips finish the run immediately.
+   */
+  describe('Property 3: Failed Runs Are Retried Until They Give Up', () => {
+    const claimedRun = (attemptCount) => ({
+      attemptCount,
+      maxAttempts: AUTOMATION_RETRY.MAX_ATTEMPTS,
+      runAt: new Date('2026-01-01T00:00:00Z')
+    });
+
+    test('transient failures retry until the last attempt', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 0, max: AUTOMATION_RETRY.MAX_ATTEMPTS - 1 }), (attemptCount) => {
+          const now = new Date('2026-01-02T00:00:00Z');
+          const { $set, $push } = buildRunAttemptUpdate(claimedRun(attemptCount), { error: 'SMTP timeout' }, now);
+          const isLast = attemptCount + 1 >= AUTOMATION_RETRY.MAX_ATTEMPTS;
+
+          expect($set.attemptCount).toBe(attemptCount + 1);
+          expect($set.status).toBe(isLast ? AUTOMATION_RUN_STATUS.FAILED : AUTOMATION_RUN_STATUS.PENDING);
+          expect($set.lastError).toBe('SMTP timeout');
+          expect($set.lockedUntil).toBeNull();
+          if (!isLast) {
+            expect($set.runAt.getTime()).toBeGreaterThan(now.getTime());
+            expect($set.completedAt).toBeNull();
+          }
+          expect($push.attempts.status).toBe(AUTOMATION_RUN_STATUS.FAILED);
+        }),
+        { numRuns: 30 }
+      );
+    });
+
+    test('permanent failures, skips and successes finish the run', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(
+            { outcome: { error: 'Template not found', permanent: true }, status: AUTOMATION_RUN_STATUS.FAILED },
+            { outcome: { skipped: 'Candidate left the stage' }, status: AUTOMATION_RUN_STATUS.SKIPPED },
+            { outcome: { result: 'Notified 2 Admins' }, status: AUTOMATION_RUN_STATUS.SUCCEEDED }
+          ),
+          ({ outcome, status }) => {
+            const now = new Date();
+            const { $set } = buildRunAttemptUpdate(claimedRun(0), outcome, now);
+
+            expect($set.status).toBe(status);
+            expect($set.completedAt).toBe(now);
+            expect($set.result).toBe(outcome.skipped || outcome.result || null);
+          }
+        ),
+        { numRuns: 10 }
+      );
+    });
+
+    test('a run that stopped mid-execution counts as a failed attempt and is unlocked', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 0, max: AUTOMATION_RETRY.MAX_ATTEMPTS - 1 }), (attemptCount) => {
+          const now = new Date('2026-01-02T00:00:00Z');
+          const { $set, $push } = buildStalledRunUpdate(claimedRun(attemptCount), now);
+          const isLast = attemptCount + 1 >= AUTOMATION_RETRY.MAX_ATTEMPTS;
+
+          expect($set.attemptCount).toBe(attemptCount + 1);
+          expect($set.status).toBe(isLast ? AUTOMATION_RUN_STATUS.FAILED : AUTOMATION_RUN_STATUS.PENDING);
+          expect($set.status).not.toBe(AUTOMATION_RUN_STATUS.RUNNING);
+          expect($set.lockedUntil).toBeNull();
+          expect($set.lastError).toBeTruthy();
+          expect($push.attempts.status).toBe(AUTOMATION_RUN_STATUS.FAILED);
+        }),
+        { numRuns: 30 }
+      );
+    });
+  });
+
+  /**
+   * Property 4: Actions Keep Only Their Own Settings
+   * Validation normalizes the action to the fields its type uses and rejects
+   * unknown roles, action types and out-of-range delays.
+   */
+  describe('Property 4: Actions Keep Only Their Own Settings', () => {
+    test('stray action fields are dropped', () => {
+      const rule = validateAutomationRuleData({
+        name: '  Offer follow-up ',
+        trigger: { stage: 'Offer' },
+        action: { type: 'create_task', title: 'Send the contract', assigneeRole: 'Recruiter', dueInDays: '2', templateId: 'x' },
+        delayDays: 1
+      });
+
+      expect(rule.name).toBe('Offer follow-up');
+      expect(rule.trigger).toEqual({ stage: 'offer', jobId: null });
+      expect(rule.action).toEqual({ type: 'create_task', title: 'Send the contract', assigneeRole: 'Recruiter', dueInDays: 2 });
+    });
+
+    test('invalid roles, actions and delays are rejected', () => {
+      const base = { name: 'Rule', trigger: { stage: 'offer' }, action: { type: 'notify_role', role: 'Admin' } };
+
+      fc.assert(
+        fc.property(
+          fc.oneof(
+            fc.constant({ action: { type: 'notify_role', role: 'Hiring Manager' } }),
+            fc.constant({ action: { type: 'post_to_slack' } }),
+            fc.integer({ min: 366, max: 10000 }).map(delayDays => ({ delayDays })),
+            fc.integer({ min: -1000, max: -1 }).map(delayDays => ({ delayDays })),
+            fc.constant({ delayDays: 1.5 })
+          ),
+          (override) => {
+            expect(() => validateAutomationRuleData({ ...base, ...override })).toThrow(ValidationError);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    test('partial updates only validate the fields given', () => {
+      expect(validateAutomationRuleData({ isEnabled: false }, { partial: true })).toEqual({ isEnabled: false });
+    });
+  });
+});
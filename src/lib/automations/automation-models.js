@@ -0,0 +1,306 @@
+/**
+ * Automation Rule Data Models
+ * Organization rules of the form "when a candidate enters stage X (optionally
+ * for job Y), then send template Z / create a task / notify role R", with an
+ * optional delay in days. Every time a rule fires it leaves a run: a durable
+ * record of what was triggered, why, and how executing it went
+ */
+
+import { ObjectId } from 'mongodb';
+import { getRetryDelay } from '../email/email-outbox.js';
+
+/**
+ * Events a rule can be triggered by
+ */
+export const AUTOMATION_TRIGGERS = {
+  STAGE_ENTERED: 'stage_entered'
+};
+
+/**
+ * What a rule does when it fires
+ */
+export const AUTOMATION_ACTIONS = {
+  SEND_TEMPLATE: 'send_template',
+  CREATE_TASK: 'create_task',
+  NOTIFY_ROLE: 'notify_role'
+};
+
+/**
+ * Run statuses
+ */
+export const AUTOMATION_RUN_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+/**
+ * Limits for rule definitions
+ */
+export const AUTOMATION_LIMITS = {
+  NAME_MAX_LENGTH: 100,
+  MESSAGE_MAX_LENGTH: 500,
+  TASK_TITLE_MAX_LENGTH: 200,
+  MAX_DELAY_DAYS: 365,
+  MAX_TASK_DUE_DAYS: 365
+};
+
+/**
+ * Retry policy for runs whose action failed
+ */
+export const AUTOMATION_RETRY = {
+  MAX_ATTEMPTS: 3,
+  // A run stuck in "running" longer than this (e.g. the process crashed) is reclaimed by the worker
+  LOCK_MS: 5 * 60 * 1000
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates the stored trigger of a rule
+ * @param {Object} trigger - Validated trigger ({ stage, jobId })
+ * @returns {Object} Trigger
+ */
+export function createAutomationTrigger(trigger) {
+  return {
+    type: AUTOMATION_TRIGGERS.STAGE_ENTERED,
+    stage: trigger.stage,
+    jobId: trigger.jobId ? new ObjectId(trigger.jobId) : null
+  };
+}
+
+/**
+ * Creates a rule document
+ * @param {Object} ruleData - Validated rule data ({ name, isEnabled, trigger, action, delayDays })
+ * @param {string} userId - ID of the user creating the rule
+ * @param {ObjectId} organizationId - Organization the rule belongs to
+ * @returns {Object} Rule document
+ */
+export function createAutomationRuleDocument(ruleData, userId, organizationId) {
+  const now = new Date();
+
+  return {
+    organizationId: new ObjectId(organizationId.toString()),
+    name: ruleData.name,
+    isEnabled: ruleData.isEnabled !== false,
+    trigger: createAutomationTrigger(ruleData.trigger),
+    action: ruleData.action,
+    delayDays: ruleData.delayDays || 0,
+    metadata: {
+      createdAt: now,
+      updatedAt: now,
+      createdBy: userId && ObjectId.isValid(userId) ? new ObjectId(userId) : null,
+      isActive: true
+    }
+  };
+}
+
+/**
+ * Formats a rule for API responses
+ * @param {Object} rule - Rule document
+ * @returns {Object} Formatted rule
+ */
+export function formatAutomationRule(rule) {
+  return {
+    id: rule._id.toString(),
+    name: rule.name,
+    isEnabled: rule.isEnabled,
+    trigger: {
+      type: rule.trigger.type,
+      stage: rule.trigger.stage,
+      jobId: rule.trigger.jobId?.toString() || null
+    },
+    action: { ...rule.action },
+    delayDays: rule.delayDays,
+    createdAt: rule.metadata?.createdAt,
+    updatedAt: rule.metadata?.updatedAt
+  };
+}
+
+/**
+ * Checks whether a rule fires for a stage change
+ * Rules scoped to a job only fire for candidates who applied to it
+ * @param {Object} rule - Rule document
+ * @param {Object} candidate - Candidate document after the change
+ * @param {string} toStage - Stage the candidate entered
+ * @returns {boolean} Whether the rule fires
+ */
+export function ruleMatchesStageChange(rule, candidate, toStage) {
+  if (!rule.isEnabled || rule.metadata?.isActive === false) {
+    return false;
+  }
+
+  if (rule.trigger.type !== AUTOMATION_TRIGGERS.STAGE_ENTERED || rule.trigger.stage !== toStage) {
+    return false;
+  }
+
+  if (!rule.trigger.jobId) {
+    return true;
+  }
+
+  const jobId = rule.trigger.jobId.toString();
+  return (candidate.jobApplications || []).some(application => application.jobId?.toString() === jobId);
+}
+
+/**
+ * Explains why a rule fired, for the run log
+ * @param {Object} rule - Rule document
+ * @param {Object} change - { fromStageLabel, toStageLabel, jobTitle }
+ * @returns {string} Reason
+ */
+export function describeRuleMatch(rule, change) {
+  const job = rule.trigger.jobId ? ` and applied to ${change.jobTitle || 'the rule\'s job'}` : '';
+  const delay = rule.delayDays > 0 ? `; scheduled ${rule.delayDays} day${rule.delayDays === 1 ? '' : 's'} later` : '';
+
+  return `Entered ${change.toStageLabel} from ${change.fromStageLabel}${job}${delay}`;
+}
+
+/**
+ * Creates the run of a rule for a stage change
+ * @param {Object} rule - Rule that fired
+ * @param {Object} change - { candidate, fromStage, toStage, fromStageLabel, toStageLabel, jobTitle, changedBy }
+ * @param {Date} [now] - When the stage changed
+ * @returns {Object} Run document
+ */
+export function createAutomationRun(rule, change, now = new Date()) {
+  const { firstName, lastName } = change.candidate.personalInfo;
+
+  return {
+    organizationId: rule.organizationId,
+    ruleId: rule._id,
+    ruleName: rule.name,
+    candidateId: change.candidate._id,
+    candidateName: `${firstName} ${lastName}`,
+    trigger: {
+      type: rule.trigger.type,
+      stage: change.toStage,
+      stageLabel: change.toStageLabel || change.toStage,
+      fromStage: change.fromStage,
+      jobId: rule.trigger.jobId || null,
+      changedBy: change.changedBy || null,
+      changedAt: now
+    },
+    reason: describeRuleMatch(rule, change),
+    action: { ...rule.action },
+    delayDays: rule.delayDays || 0,
+    status: AUTOMATION_RUN_STATUS.PENDING,
+    runAt: new Date(now.getTime() + (rule.delayDays || 0) * DAY_MS),
+    attemptCount: 0,
+    maxAttempts: AUTOMATION_RETRY.MAX_ATTEMPTS,
+    lockedUntil: null,
+    result: null,
+    lastError: null,
+    attempts: [],
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null
+  };
+}
+
+/**
+ * Works out a run's state after an attempt to execute it
+ * Failures are retried with the outbox's backoff unless they are permanent
+ * (e.g. the template was deleted); a skipped run is never retried
+ * @param {Object} run - Run (as claimed, before the attempt is counted)
+ * @param {Object} outcome - { result }, { skipped } or { error, permanent }
+ * @param {Date} [now] - When the attempt finished
+ * @returns {Object} { $set, $push } update for the run
+ */
+export function buildRunAttemptUpdate(run, outcome, now = new Date()) {
+  const attemptCount = run.attemptCount + 1;
+
+  let status;
+  if (outcome.skipped) {
+    status = AUTOMATION_RUN_STATUS.SKIPPED;
+  } else if (!outcome.error) {
+    status = AUTOMATION_RUN_STATUS.SUCCEEDED;
+  } else if (outcome.permanent || attemptCount >= run.maxAttempts) {
+    status = AUTOMATION_RUN_STATUS.FAILED;
+  } else {
+    status = AUTOMATION_RUN_STATUS.PENDING;
+  }
+
+  const result = outcome.skipped || outcome.result || null;
+
+  return {
+    $set: {
+      status,
+      attemptCount,
+      lockedUntil: null,
+      runAt: status === AUTOMATION_RUN_STATUS.PENDING ? new Date(now.getTime() + getRetryDelay(attemptCount)) : run.runAt,
+      result,
+      lastError: outcome.error || null,
+      updatedAt: now,
+      completedAt: status === AUTOMATION_RUN_STATUS.PENDING ? null : now
+    },
+    $push: {
+      attempts: {
+        number: attemptCount,
+        status: outcome.error ? AUTOMATION_RUN_STATUS.FAILED : status,
+        result,
+        error: outcome.error || null,
+        at: now
+      }
+    }
+  };
+}
+
+/**
+ * Works out a run's state after its execution stopped without recording an
+ * outcome (the process crashed or was killed while the run was locked)
+ * The lost execution counts as a failed attempt, so a run that keeps taking
+ * the process down gives up instead of being picked up forever
+ * @param {Object} run - Run whose lock has expired
+ * @param {Date} [now] - When the run was reclaimed
+ * @returns {Object} { $set, $push } update for the run
+ */
+export function buildStalledRunUpdate(run, now = new Date()) {
+  return buildRunAttemptUpdate(run, { error: 'Execution stopped before it finished' }, now);
+}
+
+/**
+ * Formats a run for the execution log
+ * @param {Object} run - Run document
+ * @returns {Object} Formatted run
+ */
+export function formatAutomationRun(run) {
+  return {
+    id: run._id.toString(),
+    ruleId: run.ruleId.toString(),
+    ruleName: run.ruleName,
+    candidateId: run.candidateId.toString(),
+    candidateName: run.candidateName,
+    stage: run.trigger.stageLabel || run.trigger.stage,
+    fromStage: run.trigger.fromStage,
+    changedBy: run.trigger.changedBy?.name || null,
+    reason: run.reason,
+    action: run.action.type,
+    status: run.status,
+    result: run.result,
+    lastError: run.lastError,
+    attemptCount: run.attemptCount,
+    runAt: run.runAt,
+    createdAt: run.createdAt,
+    completedAt: run.completedAt
+  };
+}
+
+/**
+ * MongoDB indexes for rules
+ */
+export const AUTOMATION_RULE_INDEXES = [
+  { key: { organizationId: 1, 'metadata.isActive': 1, 'trigger.stage': 1 } }
+];
+
+/**
+ * MongoDB indexes for runs
+ */
+export const AUTOMATION_RUN_INDEXES = [
+  { key: { status: 1, runAt: 1 } },
+  // A stage change fires each rule once, even if it is scheduled twice
+  { key: { ruleId: 1, candidateId: 1, 'trigger.changedAt': 1 }, options: { unique: true } },
+  { key: { organizationId: 1, createdAt: -1 } },
+  { key: { organizationId: 1, ruleId: 1, createdAt: -1 } }
+];
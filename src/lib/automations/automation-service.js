@@ -0,0 +1,640 @@
+/**
+ * Automation Service
+ * Manages an organization's stage-change automation rules and executes them.
+ * When a stage change has been saved, each matching rule is written to the
+ * runs collection first and executed from there, so a crash or a failing
+ * action never loses it: due runs are picked up by the automation worker and
+ * retried, and each run records what fired, why, and what happened
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection } from '../mongodb.js';
+import { getCandidatesCollection } from '../candidates/candidate-db.js';
+import { ValidationError } from '../candidates/candidate-validation.js';
+import { pipelineTemplateService } from '../candidates/pipeline-template-service.js';
+import { addCandidateTask } from '../candidates/candidate-tasks.js';
+import { candidateEmailTemplateService } from '../email/candidate-email-template-service.js';
+import { getJobById } from '../jobs/job-service.js';
+import { getTeamDirectory } from '../team/invitation-db.js';
+import { notifyUsers, buildNotificationLink, USER_NOTIFICATION_TYPES } from '../notifications/notification-center.js';
+import { scopeQuery, toOrganizationObjectId, OrganizationScopeError } from '../team/organization-scope.js';
+import {
+  AUTOMATION_ACTIONS,
+  AUTOMATION_RUN_STATUS,
+  AUTOMATION_RETRY,
+  AUTOMATION_RULE_INDEXES,
+  AUTOMATION_RUN_INDEXES,
+  createAutomationTrigger,
+  createAutomationRuleDocument,
+  formatAutomationRule,
+  ruleMatchesStageChange,
+  createAutomationRun,
+  buildRunAttemptUpdate,
+  buildStalledRunUpdate,
+  formatAutomationRun
+} from './automation-models.js';
+import { validateAutomationRuleData } from './automation-validation.js';
+
+/**
+ * Collection names
+ */
+export const AUTOMATION_RULES_COLLECTION = 'automation_rules';
+export const AUTOMATION_RUNS_COLLECTION = 'automation_runs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Automation service error class
+ */
+export class AutomationServiceError extends Error {
+  constructor(message, code = 'AUTOMATION_ERROR', statusCode = 500) {
+    super(message);
+    this.name = 'AutomationServiceError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Automation Service Class
+ */
+export class AutomationService {
+  constructor() {
+    this.rulesInitialized = false;
+    this.runsInitialized = false;
+  }
+
+  /**
+   * Gets the rules collection, creating its indexes on first use
+   * @returns {Promise<Collection>} MongoDB collection
+   */
+  async getRulesCollection() {
+    const collection = await getCollection(AUTOMATION_RULES_COLLECTION);
+
+    if (!this.rulesInitialized) {
+      await this._createIndexes(collection, AUTOMATION_RULE_INDEXES);
+      this.rulesInitialized = true;
+    }
+
+    return collection;
+  }
+
+  /**
+   * Gets the runs collection, creating its indexes on first use
+   * @returns {Promise<Collection>} MongoDB collection
+   */
+  async getRunsCollection() {
+    const collection = await getCollection(AUTOMATION_RUNS_COLLECTION);
+
+    if (!this.runsInitialized) {
+      await this._createIndexes(collection, AUTOMATION_RUN_INDEXES);
+      this.runsInitialized = true;
+    }
+
+    return collection;
+  }
+
+  /**
+   * Lists an organization's rules
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} Formatted rules
+   */
+  async listRules(organizationId) {
+    try {
+      const collection = await this.getRulesCollection();
+      const rules = await collection
+        .find(scopeQuery({ 'metadata.isActive': true }, organizationId))
+        .sort({ 'trigger.stage': 1, name: 1 })
+        .toArray();
+
+      return rules.map(formatAutomationRule);
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to retrieve automation rules', 'LIST_ERROR');
+    }
+  }
+
+  /**
+   * Gets a rule by ID and fails with 404 if it does not exist
+   * @param {string} ruleId - Rule ID
+   * @param {string} organizationId - Organization the rule must belong to
+   * @returns {Promise<Object>} Formatted rule
+   */
+  async requireRule(ruleId, organizationId) {
+    try {
+      if (!ruleId || !ObjectId.isValid(ruleId)) {
+        throw new AutomationServiceError('Invalid rule ID format', 'INVALID_ID', 400);
+      }
+
+      const collection = await this.getRulesCollection();
+      const rule = await collection.findOne(scopeQuery({
+        _id: new ObjectId(ruleId),
+        'metadata.isActive': true
+      }, organizationId));
+
+      if (!rule) {
+        throw new AutomationServiceError('Automation rule not found', 'NOT_FOUND', 404);
+      }
+
+      return formatAutomationRule(rule);
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to retrieve automation rule', 'RETRIEVAL_ERROR');
+    }
+  }
+
+  /**
+   * Creates a rule
+   * @param {Object} ruleData - Rule data ({ name, isEnabled, trigger, action, delayDays })
+   * @param {string} userId - ID of the user creating the rule
+   * @param {string} organizationId - Organization the rule belongs to
+   * @returns {Promise<Object>} Formatted rule
+   */
+  async createRule(ruleData, userId, organizationId) {
+    try {
+      const organizationObjectId = toOrganizationObjectId(organizationId);
+      const validated = validateAutomationRuleData(ruleData);
+      await this._checkReferences(validated, organizationId);
+
+      const document = createAutomationRuleDocument(validated, userId, organizationObjectId);
+
+      const collection = await this.getRulesCollection();
+      const result = await collection.insertOne(document);
+
+      console.log(`Created automation rule "${document.name}" for organization ${organizationObjectId}`);
+      return formatAutomationRule({ ...document, _id: result.insertedId });
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to create automation rule', 'CREATE_ERROR');
+    }
+  }
+
+  /**
+   * Updates a rule
+   * A new trigger or action replaces the old one as a whole
+   * @param {string} ruleId - Rule ID
+   * @param {Object} updates - Fields to update
+   * @param {string} userId - ID of the user updating the rule
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} Formatted rule
+   */
+  async updateRule(ruleId, updates, userId, organizationId) {
+    try {
+      await this.requireRule(ruleId, organizationId);
+
+      const validated = validateAutomationRuleData(updates, { partial: true });
+      await this._checkReferences(validated, organizationId);
+
+      const $set = {
+        ...validated,
+        'metadata.updatedAt': new Date(),
+        'metadata.updatedBy': userId && ObjectId.isValid(userId) ? new ObjectId(userId) : null
+      };
+      if (validated.trigger) {
+        $set.trigger = createAutomationTrigger(validated.trigger);
+      }
+
+      const collection = await this.getRulesCollection();
+      const result = await collection.findOneAndUpdate(
+        scopeQuery({ _id: new ObjectId(ruleId), 'metadata.isActive': true }, organizationId),
+        { $set },
+        { returnDocument: 'after' }
+      );
+
+      if (!result) {
+        throw new AutomationServiceError('Automation rule not found', 'NOT_FOUND', 404);
+      }
+
+      return formatAutomationRule(result);
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to update automation rule', 'UPDATE_ERROR');
+    }
+  }
+
+  /**
+   * Archives a rule (soft delete); runs it already scheduled still execute
+   * @param {string} ruleId - Rule ID
+   * @param {string} userId - ID of the user archiving the rule
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async archiveRule(ruleId, userId, organizationId) {
+    try {
+      await this.requireRule(ruleId, organizationId);
+
+      const collection = await this.getRulesCollection();
+      await collection.updateOne(
+        scopeQuery({ _id: new ObjectId(ruleId) }, organizationId),
+        {
+          $set: {
+            isEnabled: false,
+            'metadata.isActive': false,
+            'metadata.updatedAt': new Date(),
+            'metadata.archivedBy': userId && ObjectId.isValid(userId) ? new ObjectId(userId) : null
+          }
+        }
+      );
+
+      return true;
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to archive automation rule', 'ARCHIVE_ERROR');
+    }
+  }
+
+  /**
+   * Schedules the rules a saved stage change triggers
+   * Call it after the change is stored. Runs due now are started straight
+   * away; delayed runs and any that fail here are left for the worker.
+   * Scheduling the same change again creates nothing new
+   * @param {Object} candidate - Candidate document after the change
+   * @param {Object} change - { fromStage, toStage, fromStageLabel, toStageLabel, userId, changedAt }
+   * @returns {Promise<Array<Object>>} Runs created
+   */
+  async scheduleStageChangeRuns(candidate, change) {
+    if (!candidate.organizationId) {
+      return [];
+    }
+
+    const rulesCollection = await this.getRulesCollection();
+    const rules = await rulesCollection.find({
+      organizationId: candidate.organizationId,
+      'metadata.isActive': true,
+      isEnabled: true,
+      'trigger.stage': change.toStage
+    }).toArray();
+
+    const matching = rules.filter(rule => ruleMatchesStageChange(rule, candidate, change.toStage));
+    if (matching.length === 0) {
+      return [];
+    }
+
+    const directory = await getTeamDirectory(candidate.organizationId);
+    const actor = directory.find(member => member.userId === change.userId?.toString());
+    const changedBy = actor ? { userId: actor.userId, name: actor.name, email: actor.email } : null;
+
+    // The change's history timestamp identifies it, so the unique index drops repeats
+    const changedAt = change.changedAt || new Date();
+    const runsCollection = await this.getRunsCollection();
+    const created = [];
+    for (const rule of matching) {
+      const job = rule.trigger.jobId
+        ? await getJobById(rule.trigger.jobId.toString(), candidate.organizationId).catch(() => null)
+        : null;
+      const run = createAutomationRun(rule, { ...change, candidate, changedBy, jobTitle: job?.title }, changedAt);
+
+      try {
+        const result = await runsCollection.insertOne(run);
+        created.push({ ...run, _id: result.insertedId });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    console.log(`⚙️  Stage change to ${change.toStage} triggered ${created.length} automation rule(s)`);
+
+    const now = new Date();
+    created
+      .filter(run => run.runAt <= now)
+      .forEach(run => {
+        this.executeRun(run._id).catch(error => {
+          console.error(`❌ Background execution of automation run ${run._id} failed:`, error);
+        });
+      });
+
+    return created;
+  }
+
+  /**
+   * Executes one run if it is due, recording the attempt
+   * @param {ObjectId|string|null} [id] - Run to execute (the next due run when omitted)
+   * @returns {Promise<Object|null>} Updated run, or null if nothing was due
+   */
+  async executeRun(id = null) {
+    const run = await this._claimRun({ id });
+    if (!run) {
+      return null;
+    }
+
+    let outcome;
+    try {
+      outcome = await this._performAction(run);
+    } catch (error) {
+      // 4xx errors (deleted template, candidate without an email...) will not fix themselves
+      outcome = { error: error.message || 'Unknown error', permanent: error.statusCode >= 400 && error.statusCode < 500 };
+    }
+
+    const collection = await this.getRunsCollection();
+    const updated = await collection.findOneAndUpdate(
+      { _id: run._id, status: AUTOMATION_RUN_STATUS.RUNNING },
+      buildRunAttemptUpdate(run, outcome),
+      { returnDocument: 'after' }
+    );
+
+    if (outcome.error) {
+      console.warn(`⚠️  Automation "${run.ruleName}" for ${run.candidateName} failed: ${outcome.error}`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Reclaims runs whose execution stopped without recording an outcome
+   * A run stays "running" with an expired lock when the process executing it
+   * crashed; the lost execution is counted as a failed attempt and the run
+   * goes back to pending (or fails once it is out of attempts). Runs left
+   * pending because their immediate start died are due, so the next claim
+   * picks them up
+   * @param {Object} [options] - { now }
+   * @returns {Promise<number>} Number of runs reclaimed
+   */
+  async reclaimStalledRuns({ now = new Date() } = {}) {
+    const collection = await this.getRunsCollection();
+    const stalled = await collection.find(
+      { status: AUTOMATION_RUN_STATUS.RUNNING, lockedUntil: { $lte: now } },
+      { projection: { attempts: 0 } }
+    ).toArray();
+
+    let reclaimed = 0;
+    for (const run of stalled) {
+      // Matching the lock again keeps a run another worker has just reclaimed from counting twice
+      const result = await collection.updateOne(
+        { _id: run._id, status: AUTOMATION_RUN_STATUS.RUNNING, lockedUntil: run.lockedUntil },
+        buildStalledRunUpdate(run, now)
+      );
+      if (result.modifiedCount > 0) {
+        console.warn(`⚠️  Automation "${run.ruleName}" for ${run.candidateName} stopped before it finished`);
+        reclaimed++;
+      }
+    }
+
+    return reclaimed;
+  }
+
+  /**
+   * Executes every run that is due, after reclaiming stalled ones
+   * @param {Object} [options] - { limit } on the number of runs handled in one pass
+   * @returns {Promise<Object>} { reclaimed, processed, succeeded, skipped, retrying, failed }
+   */
+  async processDueRuns({ limit = 50 } = {}) {
+    const reclaimed = await this.reclaimStalledRuns();
+    const summary = { reclaimed, processed: 0, succeeded: 0, skipped: 0, retrying: 0, failed: 0 };
+
+    while (summary.processed < limit) {
+      const run = await this.executeRun();
+      if (!run) {
+        break;
+      }
+
+      summary.processed++;
+      if (run.status === AUTOMATION_RUN_STATUS.SUCCEEDED) {
+        summary.succeeded++;
+      } else if (run.status === AUTOMATION_RUN_STATUS.SKIPPED) {
+        summary.skipped++;
+      } else if (run.status === AUTOMATION_RUN_STATUS.FAILED) {
+        summary.failed++;
+      } else {
+        summary.retrying++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Lists an organization's runs, newest first
+   * @param {Object} filters - { ruleId, candidateId, status }
+   * @param {Object} pagination - { page, limit }
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} { runs, pagination }
+   */
+  async listRuns(filters = {}, pagination = {}, organizationId) {
+    try {
+      const query = { organizationId: toOrganizationObjectId(organizationId) };
+
+      if (filters.status) {
+        if (!Object.values(AUTOMATION_RUN_STATUS).includes(filters.status)) {
+          throw new AutomationServiceError(
+            `Status must be one of: ${Object.values(AUTOMATION_RUN_STATUS).join(', ')}`,
+            'INVALID_STATUS',
+            400
+          );
+        }
+        query.status = filters.status;
+      }
+
+      for (const field of ['ruleId', 'candidateId']) {
+        if (filters[field]) {
+          if (!ObjectId.isValid(filters[field])) {
+            throw new AutomationServiceError(`Invalid ${field} format`, 'INVALID_ID', 400);
+          }
+          query[field] = new ObjectId(filters[field]);
+        }
+      }
+
+      const page = Math.max(1, parseInt(pagination.page, 10) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(pagination.limit, 10) || 20));
+
+      const collection = await this.getRunsCollection();
+      const [runs, total] = await Promise.all([
+        collection.find(query, { projection: { attempts: 0 } })
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray(),
+        collection.countDocuments(query)
+      ]);
+
+      return {
+        runs: runs.map(formatAutomationRun),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      };
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to retrieve automation runs', 'RUNS_ERROR');
+    }
+  }
+
+  /**
+   * Claims a run that is due so no other worker executes it
+   * @private
+   */
+  async _claimRun({ id = null, now = new Date() } = {}) {
+    const collection = await this.getRunsCollection();
+    const query = { status: AUTOMATION_RUN_STATUS.PENDING, runAt: { $lte: now } };
+
+    if (id) {
+      query._id = new ObjectId(id.toString());
+    }
+
+    return collection.findOneAndUpdate(
+      query,
+      {
+        $set: {
+          status: AUTOMATION_RUN_STATUS.RUNNING,
+          lockedUntil: new Date(now.getTime() + AUTOMATION_RETRY.LOCK_MS),
+          updatedAt: now
+        }
+      },
+      { sort: { runAt: 1 }, returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Carries out a run's action
+   * Delayed runs are skipped when the candidate has left the stage since
+   * @private
+   */
+  async _performAction(run) {
+    const organizationId = run.organizationId.toString();
+    const candidatesCollection = await getCandidatesCollection();
+    const candidate = await candidatesCollection.findOne(
+      { _id: run.candidateId, organizationId: run.organizationId, 'metadata.isActive': true },
+      { projection: { personalInfo: 1, 'pipelineInfo.currentStage': 1 } }
+    );
+
+    if (!candidate) {
+      return { skipped: 'Candidate was deleted before the rule ran' };
+    }
+
+    const rulesCollection = await this.getRulesCollection();
+    const rule = await rulesCollection.findOne({ _id: run.ruleId }, { projection: { isEnabled: 1, metadata: 1 } });
+
+    if (!rule || !rule.isEnabled || rule.metadata?.isActive === false) {
+      return { skipped: 'Rule was paused or deleted before it ran' };
+    }
+
+    if (run.delayDays > 0 && candidate.pipelineInfo.currentStage !== run.trigger.stage) {
+      return { skipped: `Candidate left ${run.trigger.stageLabel} before the rule was due` };
+    }
+
+    const { action } = run;
+    switch (action.type) {
+      case AUTOMATION_ACTIONS.SEND_TEMPLATE: {
+        const email = await candidateEmailTemplateService.sendToCandidate(
+          action.templateId,
+          { candidateId: run.candidateId.toString(), jobId: run.trigger.jobId?.toString() || null },
+          run.trigger.changedBy,
+          organizationId
+        );
+        return { result: `Emailed "${email.subject}" to ${email.to}` };
+      }
+
+      case AUTOMATION_ACTIONS.CREATE_TASK: {
+        const task = await addCandidateTask(run.candidateId, organizationId, {
+          title: action.title,
+          assigneeRole: action.assigneeRole,
+          dueAt: action.dueInDays > 0 ? new Date(Date.now() + action.dueInDays * DAY_MS) : null,
+          source: { type: 'automation', ruleId: run.ruleId, ruleName: run.ruleName, runId: run._id }
+        });
+
+        const assignees = await this._findMembersWithRole(organizationId, action.assigneeRole);
+        await notifyUsers(assignees.map(member => member.userId), {
+          organizationId,
+          type: USER_NOTIFICATION_TYPES.TASK_ASSIGNED,
+          title: `New task for ${run.candidateName}: ${task.title}`,
+          body: `Created by the "${run.ruleName}" rule.`,
+          link: buildNotificationLink('candidate', run.candidateId)
+        });
+
+        return { result: `Created task "${task.title}" for ${action.assigneeRole}s` };
+      }
+
+      case AUTOMATION_ACTIONS.NOTIFY_ROLE: {
+        const members = await this._findMembersWithRole(organizationId, action.role);
+        const count = await notifyUsers(members.map(member => member.userId), {
+          organizationId,
+          type: USER_NOTIFICATION_TYPES.AUTOMATION_ALERT,
+          title: `${run.candidateName} entered ${run.trigger.stageLabel}`,
+          body: action.message || `Sent by the "${run.ruleName}" rule.`,
+          link: buildNotificationLink('candidate', run.candidateId)
+        });
+
+        return { result: `Notified ${count} ${action.role}${count === 1 ? '' : 's'}` };
+      }
+
+      default:
+        throw new AutomationServiceError(`Unknown action: ${action.type}`, 'INVALID_ACTION', 400);
+    }
+  }
+
+  /**
+   * Lists the members of an organization who have a role
+   * @private
+   */
+  async _findMembersWithRole(organizationId, role) {
+    const directory = await getTeamDirectory(organizationId);
+    return directory.filter(member => member.role === role);
+  }
+
+  /**
+   * Checks that the stage, job and email template a rule refers to exist
+   * @private
+   */
+  async _checkReferences({ trigger, action }, organizationId) {
+    if (trigger) {
+      const templates = await pipelineTemplateService.listTemplates(organizationId);
+      const stageExists = templates.some(template => template.stages.some(stage => stage.key === trigger.stage));
+      if (!stageExists) {
+        throw new ValidationError(`No pipeline has a "${trigger.stage}" stage`, 'trigger.stage');
+      }
+
+      if (trigger.jobId && !(await getJobById(trigger.jobId, organizationId))) {
+        throw new ValidationError('Job not found', 'trigger.jobId');
+      }
+    }
+
+    if (action?.type === AUTOMATION_ACTIONS.SEND_TEMPLATE) {
+      await candidateEmailTemplateService.requireTemplate(action.templateId, organizationId);
+    }
+  }
+
+  /**
+   * Creates a collection's indexes
+   * @private
+   */
+  async _createIndexes(collection, indexes) {
+    // The unique run index is what stops a stage change firing a rule twice,
+    // so the service does not run without it; the next call tries again
+    for (const indexSpec of indexes) {
+      try {
+        await collection.createIndex(indexSpec.key, indexSpec.options || {});
+      } catch (error) {
+        console.error(`❌ Failed to create index ${JSON.stringify(indexSpec.key)} on ${collection.collectionName}:`, error);
+        throw new AutomationServiceError('Automations are unavailable until their indexes can be created', 'INDEX_ERROR', 503);
+      }
+    }
+  }
+
+  /**
+   * Converts errors from validation and the services rules refer to
+   * @private
+   */
+  _wrapError(error, message, code) {
+    if (error instanceof ValidationError) {
+      return new AutomationServiceError(error.message, 'VALIDATION_ERROR', 400);
+    }
+
+    if (error instanceof AutomationServiceError || error instanceof OrganizationScopeError) {
+      return error;
+    }
+
+    if (error.name === 'CandidateEmailTemplateServiceError') {
+      return new AutomationServiceError(error.message, error.code, error.statusCode);
+    }
+
+    console.error(`${message}:`, error);
+    return new AutomationServiceError(message, code, 500);
+  }
+}
+
+// Export singleton instance
+export const automationService = new AutomationService();
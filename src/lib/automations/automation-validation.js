@@ -0,0 +1,178 @@
+/**
+ * Automation Rule Validation
+ * Validates and normalizes organization automation rules
+ */
+
+import { ObjectId } from 'mongodb';
+import { ValidationError, sanitizeString } from '../candidates/candidate-validation.js';
+import { toStageKey } from '../candidates/pipeline-template-models.js';
+import { TEAM_ROLES } from '../team/invitation-models.js';
+import { AUTOMATION_ACTIONS, AUTOMATION_LIMITS } from './automation-models.js';
+
+/**
+ * Validates a required single-line field
+ * @param {string} value - Raw value
+ * @param {string} field - Field name
+ * @param {string} label - Field label for messages
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Sanitized value
+ * @throws {ValidationError} If validation fails
+ */
+function validateLine(value, field, label, maxLength) {
+  if (!value || typeof value !== 'string' || !value.trim()) {
+    throw new ValidationError(`${label} is required`, field);
+  }
+
+  const sanitized = sanitizeString(value);
+  if (sanitized.length > maxLength) {
+    throw new ValidationError(`${label} must be ${maxLength} characters or less`, field);
+  }
+
+  return sanitized;
+}
+
+/**
+ * Validates a whole number of days
+ * @param {*} value - Raw value
+ * @param {string} field - Field name
+ * @param {string} label - Field label for messages
+ * @param {number} max - Largest allowed value
+ * @returns {number} Days
+ * @throws {ValidationError} If validation fails
+ */
+function validateDays(value, field, label, max) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0 || days > max) {
+    throw new ValidationError(`${label} must be a whole number of days from 0 to ${max}`, field);
+  }
+
+  return days;
+}
+
+/**
+ * Validates a team role
+ * @param {string} value - Raw role
+ * @param {string} field - Field name
+ * @returns {string} Role
+ * @throws {ValidationError} If the role is unknown
+ */
+function validateRole(value, field) {
+  if (!Object.values(TEAM_ROLES).includes(value)) {
+    throw new ValidationError(`Role must be one of: ${Object.values(TEAM_ROLES).join(', ')}`, field);
+  }
+
+  return value;
+}
+
+/**
+ * Validates a rule trigger
+ * @param {Object} trigger - { stage, jobId? }
+ * @returns {Object} Normalized trigger
+ * @throws {ValidationError} If validation fails
+ */
+function validateTrigger(trigger) {
+  if (!trigger || typeof trigger !== 'object') {
+    throw new ValidationError('Choose the stage that triggers this rule', 'trigger');
+  }
+
+  const stage = toStageKey(trigger.stage);
+  if (!stage) {
+    throw new ValidationError('Choose the stage that triggers this rule', 'trigger.stage');
+  }
+
+  const jobId = trigger.jobId || null;
+  if (jobId && !ObjectId.isValid(jobId.toString())) {
+    throw new ValidationError('Invalid job ID format', 'trigger.jobId');
+  }
+
+  return { stage, jobId: jobId ? jobId.toString() : null };
+}
+
+/**
+ * Validates a rule action and keeps only the settings its type uses
+ * @param {Object} action - { type, ... }
+ * @returns {Object} Normalized action
+ * @throws {ValidationError} If validation fails
+ */
+function validateAction(action) {
+  if (!action || typeof action !== 'object') {
+    throw new ValidationError('Choose what this rule does', 'action');
+  }
+
+  switch (action.type) {
+    case AUTOMATION_ACTIONS.SEND_TEMPLATE:
+      if (!action.templateId || typeof action.templateId !== 'string') {
+        throw new ValidationError('Choose the email template to send', 'action.templateId');
+      }
+      return { type: action.type, templateId: action.templateId };
+
+    case AUTOMATION_ACTIONS.CREATE_TASK:
+      return {
+        type: action.type,
+        title: validateLine(action.title, 'action.title', 'Task title', AUTOMATION_LIMITS.TASK_TITLE_MAX_LENGTH),
+        assigneeRole: validateRole(action.assigneeRole, 'action.assigneeRole'),
+        dueInDays: validateDays(action.dueInDays, 'action.dueInDays', 'Task due date', AUTOMATION_LIMITS.MAX_TASK_DUE_DAYS)
+      };
+
+    case AUTOMATION_ACTIONS.NOTIFY_ROLE: {
+      const message = sanitizeString(action.message || '');
+      if (message.length > AUTOMATION_LIMITS.MESSAGE_MAX_LENGTH) {
+        throw new ValidationError(
+          `Message must be ${AUTOMATION_LIMITS.MESSAGE_MAX_LENGTH} characters or less`,
+          'action.message'
+        );
+      }
+      return { type: action.type, role: validateRole(action.role, 'action.role'), message };
+    }
+
+    default:
+      throw new ValidationError(
+        `Action must be one of: ${Object.values(AUTOMATION_ACTIONS).join(', ')}`,
+        'action.type'
+      );
+  }
+}
+
+/**
+ * Validates automation rule data
+ * @param {Object} ruleData - Raw rule data ({ name, isEnabled, trigger, action, delayDays })
+ * @param {Object} options - { partial: true } validates only the fields present (for updates)
+ * @returns {Object} Normalized rule data
+ * @throws {ValidationError} If validation fails
+ */
+export function validateAutomationRuleData(ruleData, { partial = false } = {}) {
+  if (!ruleData || typeof ruleData !== 'object') {
+    throw new ValidationError('Rule data is required');
+  }
+
+  const normalized = {};
+
+  if (!partial || ruleData.name !== undefined) {
+    normalized.name = validateLine(ruleData.name, 'name', 'Rule name', AUTOMATION_LIMITS.NAME_MAX_LENGTH);
+  }
+
+  if (ruleData.isEnabled !== undefined) {
+    if (typeof ruleData.isEnabled !== 'boolean') {
+      throw new ValidationError('isEnabled must be true or false', 'isEnabled');
+    }
+    normalized.isEnabled = ruleData.isEnabled;
+  }
+
+  if (!partial || ruleData.trigger !== undefined) {
+    normalized.trigger = validateTrigger(ruleData.trigger);
+  }
+
+  if (!partial || ruleData.action !== undefined) {
+    normalized.action = validateAction(ruleData.action);
+  }
+
+  if (!partial || ruleData.delayDays !== undefined) {
+    normalized.delayDays = validateDays(ruleData.delayDays, 'delayDays', 'Delay', AUTOMATION_LIMITS.MAX_DELAY_DAYS);
+  }
+
+  return normalized;
+}
@@ -0,0 +1,182 @@
+/**
+ * Property-Based Tests for Candidate Communications
+ * Feature: candidate-communications, Property 1: Reply Tokens Round-Trip Through the Address
+ * Feature: candidate-communications, Property 2: Replies Are Parsed Without Quoted Text
+ * Feature: candidate-communications, Property 3: Replies Are Threaded Under Their Email
+ * Validates: Requirements 18.1, 18.2, 18.3
+ */
+
+import fc from 'fast-check';
+import {
+  buildReplyAddress,
+  extractReplyToken,
+  generateReplyToken,
+  createOutboundCommunication,
+  createInboundCommunication,
+  buildCommunicationThreads,
+  COMMUNICATION_STATUS
+} from '../candidate-communications.js';
+import { parseEmailMessage, stripQuotedReply } from '../../email/inbound-email.js';
+import { OUTBOX_STATUS } from '../../email/email-outbox.js';
+
+const tokenGen = () => fc.stringMatching(/^[a-f0-9]{24}$/);
+
+const mailboxGen = () => fc.record({
+  local: fc.stringMatching(/^[a-z][a-z0-9.]{0,11}$/),
+  domain: fc.constantFrom('example.com', 'jobs.example.org', 'mail.test')
+});
+
+describe('Candidate Communication Property Tests', () => {
+
+  /**
+   * Property 1: Reply Tokens Round-Trip Through the Address
+   * The token put in a reply address is found again in any recipient list
+   * that contains it, whatever display name or case the mail client uses.
+   */
+  describe('Property 1: Reply Tokens Round-Trip Through the Address', () => {
+    test('tokens are recovered from the reply address', () => {
+      fc.assert(
+        fc.property(tokenGen(), mailboxGen(), fc.boolean(), (token, { local, domain }, named) => {
+          const mailbox = named ? `Hiring Team <${local}@${domain}>` : `${local}@${domain}`;
+          const address = buildReplyAddress(token, mailbox);
+
+          expect(address).toBe(`${local}+reply-${token}@${domain}`);
+          expect(extractReplyToken(['someone@else.com', address.toUpperCase()])).toBe(token);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('an existing plus tag is replaced and addresses without a token match nothing', () => {
+      const token = generateReplyToken();
+
+      expect(buildReplyAddress(token, 'jobs+careers@example.com')).toBe(`jobs+reply-${token}@example.com`);
+      expect(buildReplyAddress(token, 'not an address')).toBeNull();
+      expect(extractReplyToken(['jobs@example.com', 'jobs+careers@example.com'])).toBeNull();
+    });
+  });
+
+  /**
+   * Property 2: Replies Are Parsed Without Quoted Text
+   * Only what the candidate wrote is kept; the quoted email below it is cut.
+   */
+  describe('Property 2: Replies Are Parsed Without Quoted Text', () => {
+    test('quoted text after an attribution line or ">" is removed', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.stringMatching(/^[A-Za-z][A-Za-z ,.!?]{0,40}$/), { minLength: 1, maxLength: 4 }),
+          fc.constantFrom(
+            'On Mon, Jan 6, 2030 at 9:00 AM Hiring Team <jobs@example.com> wrote:',
+            '-----Original Message-----',
+            '> Thanks for applying'
+          ),
+          (lines, marker) => {
+            const reply = lines.join('\n');
+            expect(stripQuotedReply(`${reply}\n\n${marker}\n> Earlier message`)).toBe(reply.trim());
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('multipart replies are decoded and matched by their recipient', () => {
+      const token = generateReplyToken();
+      const raw = [
+        'From: =?UTF-8?B?QWRhIEzDs3ZlbGFjZQ==?= <ada@example.com>',
+        `To: Hiring Team <jobs+reply-${token}@example.com>`,
+        'Subject: Re: Your interview',
+        'Message-ID: <reply-1@example.com>',
+        'Date: Tue, 07 Jan 2030 10:00:00 +0000',
+        'Content-Type: multipart/alternative; boundary="b1"',
+        '',
+        '--b1',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: quoted-printable',
+        '',
+        'Tuesday works, see you then =E2=80=94 Ada',
+        '',
+        'On Mon, Jan 6, 2030 Hiring Team wrote:',
+        '> Can you make Tuesday?',
+        '--b1',
+        'Content-Type: text/html; charset=utf-8',
+        '',
+        '<p>Tuesday works</p>',
+        '--b1--',
+        ''
+      ].join('\r\n');
+
+      const message = parseEmailMessage(raw);
+
+      expect(message.from).toBe('Ada Lóvelace <ada@example.com>');
+      expect(message.fromAddress).toBe('ada@example.com');
+      expect(message.messageId).toBe('reply-1@example.com');
+      expect(message.date.toISOString()).toBe('2030-01-07T10:00:00.000Z');
+      expect(extractReplyToken(message.recipients)).toBe(token);
+      expect(stripQuotedReply(message.text)).toBe('Tuesday works, see you then — Ada');
+    });
+  });
+
+  /**
+   * Property 3: Replies Are Threaded Under Their Email
+   * Each outbound email starts a thread holding the replies to it in order,
+   * and the thread with the latest activity comes first.
+   */
+  describe('Property 3: Replies Are Threaded Under Their Email', () => {
+    test('replies join the thread of the email they answer', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.nat({ max: 5 }), { minLength: 1, maxLength: 5 }),
+          (replyCounts) => {
+            const start = new Date('2030-01-01T00:00:00Z').getTime();
+            let minute = 0;
+            const at = () => new Date(start + (minute++) * 60000);
+
+            const communications = [];
+            replyCounts.forEach((count, index) => {
+              const email = createOutboundCommunication({ to: 'ada@example.com', subject: `Email ${index}` }, at());
+              communications.push(email);
+              for (let i = 0; i < count; i++) {
+                communications.push(createInboundCommunication(
+                  { from: 'ada@example.com', subject: `Re: Email ${index}`, text: `Reply ${i}` },
+                  email,
+                  at()
+                ));
+              }
+            });
+
+            const shuffled = [...communications].reverse();
+            const threads = buildCommunicationThreads(shuffled);
+
+            expect(threads).toHaveLength(replyCounts.length);
+            threads.forEach(thread => {
+              const index = Number(thread.subject.replace('Email ', ''));
+              expect(thread.messages).toHaveLength(replyCounts[index] + 1);
+              expect(thread.messages[0].direction).toBe('outbound');
+              expect(thread.messages.slice(1).map(message => message.body))
+                .toEqual(Array.from({ length: replyCounts[index] }, (_, i) => `Reply ${i}`));
+            });
+
+            const activity = threads.map(thread => new Date(thread.lastActivityAt).getTime());
+            expect(activity).toEqual([...activity].sort((a, b) => b - a));
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('delivery status follows the outbox message', () => {
+      const email = createOutboundCommunication({ to: 'ada@example.com', subject: 'Hi', outboxId: '65a000000000000000000001' });
+      const statusFor = outboxMessage => buildCommunicationThreads(
+        [email],
+        new Map(outboxMessage ? [[email.outboxId.toString(), outboxMessage]] : [])
+      )[0].messages[0];
+
+      expect(statusFor(null).status).toBe(COMMUNICATION_STATUS.QUEUED);
+      expect(statusFor({ status: OUTBOX_STATUS.SENT, sentAt: new Date() }).status).toBe(COMMUNICATION_STATUS.SENT);
+
+      const failed = statusFor({ status: OUTBOX_STATUS.FAILED, lastError: 'Mailbox unavailable' });
+      expect(failed.status).toBe(COMMUNICATION_STATUS.FAILED);
+      expect(failed.error).toBe('Mailbox unavailable');
+    });
+  });
+});
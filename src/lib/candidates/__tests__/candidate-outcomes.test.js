@@ -0,0 +1,193 @@
+/**
+ * Property-Based Tests for Candidate Outcomes
+ * Feature: candidate-outcomes, Property 1: Outcomes Close Candidates In Place
+ * Validates: Requirements 5.1, 5.2, 5.3
+ */
+
+import fc from 'fast-check';
+import { ObjectId } from 'mongodb';
+import {
+  PIPELINE_STAGES,
+  CANDIDATE_OUTCOMES,
+  OUTCOME_REASONS,
+  OUTCOME_REASON_LABELS,
+  buildOutcomeQuery,
+  createOutcomeRecord,
+  createOutcomeHistoryEntry
+} from '../candidate-models.js';
+import { validateCandidateOutcome, ValidationError } from '../candidate-validation.js';
+import { buildFunnelDropOff } from '../pipeline-service.js';
+import { SearchService } from '../search-service.js';
+import { DEFAULT_PIPELINE_TEMPLATE } from '../pipeline-template-models.js';
+
+// Any outcome paired with one of its own reason codes
+const validOutcomeGen = () => fc.constantFrom(...Object.values(CANDIDATE_OUTCOMES)).chain(outcome =>
+  fc.record({
+    outcome: fc.constant(outcome),
+    reason: fc.constantFrom(...OUTCOME_REASONS[outcome]),
+    note: fc.option(fc.string({ maxLength: 200 }), { nil: undefined })
+  })
+);
+
+describe('Candidate Outcome Property Tests', () => {
+
+  /**
+   * Property 1: Outcomes Close Candidates In Place
+   * For any valid outcome, the candidate keeps the stage they were closed at
+   * and the history records the outcome and its reason.
+   */
+  describe('Property 1: Outcomes Close Candidates In Place', () => {
+
+    test('valid outcomes are recorded at the current stage', () => {
+      fc.assert(
+        fc.property(
+          validOutcomeGen(),
+          fc.constantFrom(...Object.values(PIPELINE_STAGES)),
+          (outcomeData, stage) => {
+            expect(() => validateCandidateOutcome(outcomeData)).not.toThrow();
+
+            const userId = new ObjectId().toString();
+            const record = createOutcomeRecord(stage, outcomeData, userId);
+            const entry = createOutcomeHistoryEntry(record);
+
+            expect(record.type).toBe(outcomeData.outcome);
+            expect(record.reason).toBe(outcomeData.reason);
+            expect(record.stage).toBe(stage);
+            expect(record.decidedBy.toString()).toBe(userId);
+            expect(entry.fromStage).toBe(stage);
+            expect(entry.toStage).toBe(stage);
+            expect(entry.outcome).toBe(outcomeData.outcome);
+            expect(entry.reason).toBe(outcomeData.reason);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('reasons must belong to the outcome', () => {
+      expect(() => validateCandidateOutcome({ outcome: 'rejected', reason: 'counter_offer' })).toThrow(ValidationError);
+      expect(() => validateCandidateOutcome({ outcome: 'withdrawn', reason: 'failed_assessment' })).toThrow(ValidationError);
+      expect(() => validateCandidateOutcome({ outcome: 'offer_declined', reason: 'counter_offer' })).not.toThrow();
+    });
+
+    test('rejects unknown outcomes, missing reasons and long notes', () => {
+      const invalid = [
+        null,
+        { outcome: 'hired', reason: 'other' },
+        { outcome: 'rejected' },
+        { outcome: 'rejected', reason: 'other', note: 42 },
+        { outcome: 'rejected', reason: 'other', note: 'x'.repeat(1001) }
+      ];
+
+      for (const outcomeData of invalid) {
+        expect(() => validateCandidateOutcome(outcomeData)).toThrow(ValidationError);
+      }
+    });
+
+    test('outcomes stay separate from pipeline stages', () => {
+      expect(Object.values(PIPELINE_STAGES)).toHaveLength(5);
+
+      for (const outcome of Object.values(CANDIDATE_OUTCOMES)) {
+        expect(Object.values(PIPELINE_STAGES)).not.toContain(outcome);
+        for (const reason of OUTCOME_REASONS[outcome]) {
+          expect(OUTCOME_REASON_LABELS[reason]).toEqual(expect.any(String));
+        }
+      }
+    });
+  });
+
+  describe('Outcome filters', () => {
+
+    test('builds queries for open, closed and specific outcomes', () => {
+      expect(buildOutcomeQuery('open')).toEqual({ 'pipelineInfo.outcome': null });
+      expect(buildOutcomeQuery('closed')).toEqual({ 'pipelineInfo.outcome': { $ne: null } });
+      expect(buildOutcomeQuery('withdrawn')).toEqual({ 'pipelineInfo.outcome.type': 'withdrawn' });
+      expect(buildOutcomeQuery(undefined)).toBeNull();
+      expect(buildOutcomeQuery('hired')).toBeNull();
+    });
+
+    test('search filters include the outcome', () => {
+      const searchService = new SearchService();
+
+      expect(searchService.buildFilters({ outcome: 'open' })).toEqual({ 'pipelineInfo.outcome': null });
+      expect(searchService.buildFilters({ outcome: 'rejected', stage: 'interview' })).toEqual({
+        'pipelineInfo.currentStage': 'interview',
+        'pipelineInfo.outcome.type': 'rejected'
+      });
+      expect(searchService.buildFilters({ outcome: 'unknown' })).toEqual({});
+    });
+  });
+
+  describe('Funnel drop-off', () => {
+
+    test('counts exits per stage and the candidates that reached each stage', () => {
+      const report = buildFunnelDropOff(
+        DEFAULT_PIPELINE_TEMPLATE,
+        [
+          { _id: 'applied', count: 4 },
+          { _id: 'interview', count: 2 },
+          { _id: 'hired', count: 1 }
+        ],
+        [
+          { _id: { stage: 'screening', outcome: 'rejected', reason: 'not_qualified' }, count: 3 },
+          { _id: { stage: 'screening', outcome: 'withdrawn', reason: 'timing' }, count: 1 },
+          { _id: { stage: 'offer', outcome: 'offer_declined', reason: 'compensation' }, count: 2 }
+        ]
+      );
+
+      const byKey = Object.fromEntries(report.stages.map(stage => [stage.key, stage]));
+
+      expect(report.stages.map(stage => stage.key)).toEqual(Object.values(PIPELINE_STAGES));
+      expect(byKey.screening.exited).toBe(4);
+      expect(byKey.screening.byOutcome).toEqual({ rejected: 3, withdrawn: 1, offer_declined: 0 });
+      expect(byKey.screening.byReason.rejected).toEqual({ not_qualified: 3 });
+      expect(byKey.offer.byReason.offer_declined).toEqual({ compensation: 2 });
+
+      expect(byKey.hired.reached).toBe(1);
+      expect(byKey.offer.reached).toBe(3);
+      expect(byKey.screening.reached).toBe(9);
+      expect(byKey.applied.reached).toBe(13);
+      expect(byKey.screening.dropOffRate).toBeCloseTo((4 / 9) * 100);
+      expect(byKey.applied.dropOffRate).toBe(0);
+
+      expect(report.totals.open).toBe(7);
+      expect(report.totals.exited).toBe(6);
+    });
+
+    test('reached never increases further down the funnel', () => {
+      const stageKeys = Object.values(PIPELINE_STAGES);
+
+      fc.assert(
+        fc.property(
+          fc.array(fc.record({ _id: fc.constantFrom(...stageKeys), count: fc.nat(50) }), { maxLength: 10 }),
+          fc.array(
+            fc.record({
+              stage: fc.constantFrom(...stageKeys),
+              outcomeData: validOutcomeGen(),
+              count: fc.nat(50)
+            }),
+            { maxLength: 10 }
+          ),
+          (openStats, exits) => {
+            const exitStats = exits.map(({ stage, outcomeData, count }) => ({
+              _id: { stage, outcome: outcomeData.outcome, reason: outcomeData.reason },
+              count
+            }));
+
+            const report = buildFunnelDropOff(DEFAULT_PIPELINE_TEMPLATE, openStats, exitStats);
+
+            for (let i = 1; i < report.stages.length; i++) {
+              expect(report.stages[i].reached).toBeLessThanOrEqual(report.stages[i - 1].reached);
+            }
+            expect(report.stages[0].reached).toBe(report.totals.open + report.totals.exited);
+            report.stages.forEach(stage => {
+              expect(stage.dropOffRate).toBeGreaterThanOrEqual(0);
+              expect(stage.dropOffRate).toBeLessThanOrEqual(100);
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Property-Based Tests for Document Search
+ * Feature: document-search, Property 1: Snippets Highlight Every Term They Show
+ * Validates: Requirements 7.1, 7.2, 7.3
+ */
+
+import fc from 'fast-check';
+import zlib from 'zlib';
+import { ObjectId } from 'mongodb';
+import {
+  CANDIDATE_INDEXES,
+  CANDIDATE_TEXT_INDEX_NAME,
+  DOCUMENT_TEXT_MAX_LENGTH,
+  createDocumentMetadata
+} from '../candidate-models.js';
+import { dropOutdatedTextIndexes } from '../candidate-db.js';
+import { DocumentService } from '../document-service.js';
+import { MAX_INFLATED_BYTES } from '../resume-parser.js';
+import {
+  parseSearchTerms,
+  findHighlightRanges,
+  buildSearchSnippet,
+  buildSearchMatches
+} from '../search-service.js';
+
+const RESUME_TEXT = 'Platform engineer. Ran Kubernetes clusters on AWS and migrated services to kubernetes operators.';
+
+const wordGen = () => fc.stringMatching(/^[a-z]{3,10}$/);
+
+describe('Document Search Property Tests', () => {
+
+  /**
+   * Property 1: Snippets Highlight Every Term They Show
+   * For any text containing a search term, the snippet contains the term and
+   * every highlight range covers a word starting with a search term.
+   */
+  describe('Property 1: Snippets Highlight Every Term They Show', () => {
+
+    test('highlights point at the matched words', () => {
+      fc.assert(
+        fc.property(
+          fc.array(wordGen(), { minLength: 1, maxLength: 200 }),
+          wordGen(),
+          fc.nat(),
+          (words, term, position) => {
+            const text = [...words.slice(0, position % (words.length + 1)), term, ...words.slice(position % (words.length + 1))].join(' ');
+            const snippet = buildSearchSnippet(text, [term]);
+
+            expect(snippet).not.toBeNull();
+            expect(snippet.highlights.length).toBeGreaterThan(0);
+            expect(snippet.text.length).toBeLessThanOrEqual(text.length + 2);
+
+            snippet.highlights.forEach(([start, end]) => {
+              expect(end).toBeGreaterThan(start);
+              expect(snippet.text.slice(start, end).toLowerCase().startsWith(term)).toBe(true);
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('returns null when nothing matches', () => {
+      expect(buildSearchSnippet(RESUME_TEXT, ['terraform'])).toBeNull();
+      expect(buildSearchSnippet('', ['kubernetes'])).toBeNull();
+    });
+
+    test('shortens long text around the first hit', () => {
+      const text = `${'lorem '.repeat(100)}Kubernetes${' ipsum'.repeat(100)}`;
+      const snippet = buildSearchSnippet(text, ['kubernetes']);
+
+      expect(snippet.text.startsWith('…')).toBe(true);
+      expect(snippet.text.endsWith('…')).toBe(true);
+      expect(snippet.text.length).toBeLessThan(200);
+      expect(snippet.highlights).toHaveLength(1);
+
+      const [start, end] = snippet.highlights[0];
+      expect(snippet.text.slice(start, end)).toBe('Kubernetes');
+    });
+  });
+
+  describe('Search terms', () => {
+
+    test('keeps phrases together and skips negated words', () => {
+      expect(parseSearchTerms('Kubernetes "site reliability" -java AWS,')).toEqual(['site reliability', 'kubernetes', 'aws']);
+      expect(parseSearchTerms('-"project manager" C++ c#')).toEqual(['c++', 'c#']);
+      expect(parseSearchTerms('   ')).toEqual([]);
+    });
+
+    test('matches word prefixes case-insensitively and merges overlaps', () => {
+      expect(findHighlightRanges('Managed managers; mismanaged', ['manage'])).toEqual([[0, 7], [8, 16]]);
+      expect(findHighlightRanges('site  reliability engineer', ['site reliability', 'reliab'])).toEqual([[0, 17]]);
+    });
+  });
+
+  describe('Search matches', () => {
+
+    const candidate = {
+      personalInfo: { firstName: 'Ada', lastName: 'Byron' },
+      professionalInfo: { currentRole: 'Platform Engineer', skills: ['Go', 'AWS'] },
+      documents: [
+        { _id: new ObjectId(), originalName: 'resume.pdf', documentType: 'resume', isActive: true, textContent: RESUME_TEXT },
+        { _id: new ObjectId(), originalName: 'old.pdf', documentType: 'resume', isActive: false, textContent: 'Kubernetes' },
+        { _id: new ObjectId(), originalName: 'scan.png', documentType: 'other', isActive: true, textContent: '' }
+      ]
+    };
+
+    test('reports hits from active documents with their source', () => {
+      const matches = buildSearchMatches(candidate, parseSearchTerms('kubernetes'));
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0]).toMatchObject({
+        source: 'document',
+        documentId: candidate.documents[0]._id,
+        documentName: 'resume.pdf',
+        documentType: 'resume'
+      });
+      expect(matches[0].snippet.matchCount).toBe(2);
+    });
+
+    test('lists profile hits before document hits', () => {
+      const matches = buildSearchMatches(candidate, parseSearchTerms('platform aws'));
+
+      expect(matches.map(match => match.field)).toEqual(['currentRole', 'skills', 'textContent']);
+      expect(matches.map(match => match.source)).toEqual(['profile', 'profile', 'document']);
+    });
+
+    test('returns nothing without search terms', () => {
+      expect(buildSearchMatches(candidate, [])).toEqual([]);
+    });
+  });
+
+  describe('Document text storage', () => {
+
+    test('stores extracted text up to the limit', () => {
+      const metadata = createDocumentMetadata({
+        originalName: 'resume.txt',
+        mimeType: 'text/plain',
+        size: 10,
+        filePath: '/tmp/resume.txt',
+        textContent: 'x'.repeat(DOCUMENT_TEXT_MAX_LENGTH + 10)
+      });
+
+      expect(metadata.textContent).toHaveLength(DOCUMENT_TEXT_MAX_LENGTH);
+      expect(createDocumentMetadata({ originalName: 'a.png', mimeType: 'image/png' }).textContent).toBe('');
+    });
+
+    test('extracts whitespace-collapsed text and skips unsupported files', () => {
+      const documentService = new DocumentService();
+
+      expect(documentService.extractDocumentText({
+        buffer: Buffer.from('Kubernetes\n\n  and   AWS\n'),
+        mimeType: 'text/plain',
+        originalName: 'notes.txt'
+      })).toBe('Kubernetes and AWS');
+      expect(documentService.extractDocumentText({
+        buffer: Buffer.from('binary'),
+        mimeType: 'image/png',
+        originalName: 'scan.png'
+      })).toBe('');
+    });
+
+    test('documents that decompress past the limit are stored without text', () => {
+      const documentService = new DocumentService();
+      const stream = zlib.deflateSync(Buffer.alloc(MAX_INFLATED_BYTES + 1, 'a'));
+      const pdf = Buffer.concat([
+        Buffer.from(`%PDF-1.4\n1 0 obj\n<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        stream,
+        Buffer.from('\nendstream\nendobj\n%%EOF\n', 'latin1')
+      ]);
+
+      expect(documentService.extractDocumentText({
+        buffer: pdf,
+        mimeType: 'application/pdf',
+        originalName: 'bomb.pdf'
+      })).toBe('');
+    });
+
+    test('the text index covers document contents', () => {
+      const textIndex = CANDIDATE_INDEXES.find(index => Object.values(index.key).includes('text'));
+
+      expect(textIndex.key['documents.textContent']).toBe('text');
+      expect(textIndex.options.name).toBe(CANDIDATE_TEXT_INDEX_NAME);
+    });
+
+    test('drops text indexes created before document search', async () => {
+      const droppedNames = [];
+      const collection = {
+        listIndexes: () => ({
+          toArray: async () => [
+            { name: '_id_', key: { _id: 1 } },
+            { name: 'candidate_text_search', key: { _fts: 'text', _ftsx: 1 } },
+            { name: CANDIDATE_TEXT_INDEX_NAME, key: { _fts: 'text', _ftsx: 1 } }
+          ]
+        }),
+        dropIndex: async (name) => droppedNames.push(name)
+      };
+
+      await expect(dropOutdatedTextIndexes(collection)).resolves.toEqual(['candidate_text_search']);
+      expect(droppedNames).toEqual(['candidate_text_search']);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Property-Based Tests for Candidate Match Scoring
+ * Feature: match-scoring, Property 1: Scores Are Bounded And Monotonic In Skills
+ * Validates: Requirements 8.1, 8.2, 8.3
+ */
+
+import fc from 'fast-check';
+import { KNOWN_SKILLS } from '../resume-parser.js';
+import {
+  MATCH_WEIGHTS,
+  normalizeSkill,
+  parseExperienceYears,
+  extractJobRequirements,
+  scoreCandidateMatch,
+  rankByMatch
+} from '../match-scoring.js';
+
+const BACKEND_JOB = {
+  title: 'Backend Engineer',
+  location: 'Austin, TX',
+  requirements: [
+    '- 5+ years building backend services',
+    '- Strong Node.js and PostgreSQL experience',
+    '- Experience running Docker and Kubernetes in production',
+    '- Nice to have: Go, Terraform'
+  ].join('\n')
+};
+
+const candidateWith = ({ skills = [], experience = '', location = '' } = {}) => ({
+  personalInfo: { firstName: 'Test', lastName: 'Candidate', location },
+  professionalInfo: { skills, experience }
+});
+
+describe('Match Scoring Property Tests', () => {
+
+  /**
+   * Property 1: Scores Are Bounded And Monotonic In Skills
+   * For any candidate, the score is an integer from 0 to 100, the same inputs
+   * give the same score, and adding a required skill never lowers it.
+   */
+  describe('Property 1: Scores Are Bounded And Monotonic In Skills', () => {
+    const requirements = extractJobRequirements(BACKEND_JOB);
+
+    test('scores are deterministic, bounded and never drop when a skill is added', () => {
+      fc.assert(
+        fc.property(
+          fc.subarray(KNOWN_SKILLS),
+          fc.constantFrom(...requirements.skills),
+          fc.option(fc.integer({ min: 0, max: 30 }), { nil: null }),
+          fc.constantFrom('', 'Austin, TX', 'Dallas, TX', 'Berlin, Germany'),
+          (skills, extraSkill, years, location) => {
+            const experience = years === null ? '' : `${years} years`;
+            const candidate = candidateWith({ skills, experience, location });
+            const { score } = scoreCandidateMatch(candidate, requirements);
+
+            expect(Number.isInteger(score)).toBe(true);
+            expect(score).toBeGreaterThanOrEqual(0);
+            expect(score).toBeLessThanOrEqual(100);
+            expect(scoreCandidateMatch(candidate, requirements).score).toBe(score);
+
+            const withSkill = candidateWith({ skills: [...skills, extraSkill], experience, location });
+            expect(scoreCandidateMatch(withSkill, requirements).score).toBeGreaterThanOrEqual(score);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('matched and missing skills partition the job\'s skills', () => {
+      fc.assert(
+        fc.property(fc.subarray(KNOWN_SKILLS), (skills) => {
+          const { breakdown } = scoreCandidateMatch(candidateWith({ skills }), requirements);
+
+          expect([...breakdown.skills.matched, ...breakdown.skills.missing].sort()).toEqual([...requirements.skills].sort());
+          expect([...breakdown.skills.preferredMatched, ...breakdown.skills.preferredMissing].sort())
+            .toEqual([...requirements.preferredSkills].sort());
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Job requirements', () => {
+
+    test('reads required and preferred skills, years and location', () => {
+      expect(extractJobRequirements(BACKEND_JOB)).toEqual({
+        skills: ['PostgreSQL', 'Node.js', 'Docker', 'Kubernetes'].sort((a, b) => KNOWN_SKILLS.indexOf(a) - KNOWN_SKILLS.indexOf(b)),
+        preferredSkills: ['Go', 'Terraform'],
+        minYears: 5,
+        location: 'Austin, TX',
+        isRemote: false
+      });
+    });
+
+    test('uses the lowest year requirement and ignores jobs without one', () => {
+      expect(extractJobRequirements({ requirements: '3-5 years of React. 7+ yrs leading teams.' }).minYears).toBe(3);
+      expect(extractJobRequirements({ requirements: 'A passion for great products.' }).minYears).toBeNull();
+    });
+  });
+
+  describe('Scoring', () => {
+    const requirements = extractJobRequirements(BACKEND_JOB);
+
+    test('a candidate meeting every requirement scores 100', () => {
+      const candidate = candidateWith({
+        skills: ['NodeJS', 'postgres', 'Docker', 'k8s', 'Golang', 'Terraform'],
+        experience: '8 years',
+        location: 'Austin, Texas'
+      });
+
+      const match = scoreCandidateMatch(candidate, requirements);
+
+      expect(match.score).toBe(100);
+      expect(match.breakdown.skills.missing).toEqual([]);
+      expect(match.breakdown.location.status).toBe('same_city');
+    });
+
+    test('explains partial matches', () => {
+      const candidate = candidateWith({ skills: ['Node.js', 'Go'], experience: '2 years', location: 'Dallas, TX' });
+      const { score, breakdown } = scoreCandidateMatch(candidate, requirements);
+
+      // Skills: 1 of 4 required plus half of 1 of 2 preferred = 1.5 / 5
+      expect(breakdown.skills.score).toBeCloseTo(0.3);
+      expect(breakdown.skills.missing).toEqual(expect.arrayContaining(['PostgreSQL', 'Docker', 'Kubernetes']));
+      expect(breakdown.experience).toMatchObject({ candidateYears: 2, requiredYears: 5, score: 0.4 });
+      expect(breakdown.location).toMatchObject({ status: 'same_region', score: 0.5 });
+      expect(score).toBe(Math.round(0.3 * MATCH_WEIGHTS.skills + 0.4 * MATCH_WEIGHTS.experience + 0.5 * MATCH_WEIGHTS.location));
+    });
+
+    test('leaves out parts the job does not specify', () => {
+      const remote = extractJobRequirements({ location: 'Remote', requirements: 'Excellent written communication.' });
+      const { score, breakdown } = scoreCandidateMatch(candidateWith({ location: 'Lisbon' }), remote);
+
+      expect(breakdown.skills.score).toBeNull();
+      expect(breakdown.experience.score).toBeNull();
+      expect(breakdown.location.status).toBe('remote');
+      expect(score).toBe(100);
+    });
+
+    test('normalizes skill spellings', () => {
+      expect(normalizeSkill('Node.js')).toBe(normalizeSkill('node'));
+      expect(normalizeSkill('C#')).not.toBe(normalizeSkill('C++'));
+      expect(normalizeSkill('.NET')).toBe(normalizeSkill('dotnet'));
+    });
+
+    test('parses written experience', () => {
+      expect(parseExperienceYears('5 years')).toBe(5);
+      expect(parseExperienceYears('3-5 yrs')).toBe(3);
+      expect(parseExperienceYears('10+')).toBe(10);
+      expect(parseExperienceYears('Senior')).toBeNull();
+    });
+
+    test('ranks by score, then by name', () => {
+      const ranked = rankByMatch([
+        { _id: '1', personalInfo: { firstName: 'B', lastName: 'Zed' }, match: { score: 50 } },
+        { _id: '2', personalInfo: { firstName: 'A', lastName: 'Young' }, match: { score: 80 } },
+        { _id: '3', personalInfo: { firstName: 'C', lastName: 'Abbot' }, match: { score: 50 } }
+      ]);
+
+      expect(ranked.map(candidate => candidate._id)).toEqual(['2', '3', '1']);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Property-Based Tests for Pipeline Templates
+ * Feature: configurable-pipelines, Property 1: Stage Moves Follow The Template
+ * Validates: Requirements 4.1, 4.2, 4.3
+ */
+
+import fc from 'fast-check';
+import { ObjectId } from 'mongodb';
+import { PIPELINE_STAGES, VALID_STAGE_TRANSITIONS } from '../candidate-models.js';
+import { validateStageTransition, validatePipelineStage, ValidationError } from '../candidate-validation.js';
+import { PipelineService } from '../pipeline-service.js';
+import {
+  DEFAULT_PIPELINE_TEMPLATE,
+  toStageKey,
+  getEntryStage,
+  getHiredStages,
+  getAllowedNextStages,
+  buildTemplateCandidateQuery,
+  resolveStageMapping
+} from '../pipeline-template-models.js';
+import { validatePipelineTemplateData } from '../pipeline-template-validation.js';
+
+// An engineering pipeline with a take-home and onsite loop, moving forward only
+const ENGINEERING_TEMPLATE = validatePipelineTemplateData({
+  name: 'Engineering',
+  stages: ['Applied', 'Take-home', 'Onsite loop', 'Offer', { label: 'Hired', isHired: true }],
+  transitions: {
+    applied: ['take_home'],
+    take_home: ['onsite_loop'],
+    onsite_loop: ['offer'],
+    offer: ['hired']
+  }
+});
+
+// An internship pipeline without an offer stage
+const INTERNSHIP_TEMPLATE = validatePipelineTemplateData({
+  name: 'Internship',
+  stages: ['Applied', 'Interview', 'Hired']
+});
+
+const stageLabelGen = () => fc.stringMatching(/^[A-Za-z][A-Za-z0-9 -]{0,20}$/);
+
+describe('Pipeline Template Property Tests', () => {
+
+  /**
+   * Property 1: Stage Moves Follow The Template
+   * For any template and pair of its stages, a move is accepted exactly when
+   * the template's transitions allow it (or the stage does not change).
+   */
+  describe('Property 1: Stage Moves Follow The Template', () => {
+
+    test('transitions are accepted exactly when the template allows them', () => {
+      const stageKeys = ENGINEERING_TEMPLATE.stages.map(stage => stage.key);
+
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...stageKeys),
+          fc.constantFrom(...stageKeys),
+          (fromStage, toStage) => {
+            const allowed = fromStage === toStage || ENGINEERING_TEMPLATE.transitions[fromStage].includes(toStage);
+
+            if (allowed) {
+              expect(() => validateStageTransition(fromStage, toStage, ENGINEERING_TEMPLATE)).not.toThrow();
+            } else {
+              expect(() => validateStageTransition(fromStage, toStage, ENGINEERING_TEMPLATE)).toThrow(ValidationError);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('stages outside the template are rejected', () => {
+      expect(() => validatePipelineStage('offer', INTERNSHIP_TEMPLATE)).toThrow(ValidationError);
+      expect(() => validateStageTransition('interview', 'offer', INTERNSHIP_TEMPLATE)).toThrow(ValidationError);
+      expect(() => validatePipelineStage('take_home', ENGINEERING_TEMPLATE)).not.toThrow();
+    });
+
+    test('the standard pipeline keeps the legacy behavior', () => {
+      expect(DEFAULT_PIPELINE_TEMPLATE.stages.map(stage => stage.key)).toEqual(Object.values(PIPELINE_STAGES));
+
+      for (const stage of Object.values(PIPELINE_STAGES)) {
+        expect(getAllowedNextStages(DEFAULT_PIPELINE_TEMPLATE, stage)).toEqual(VALID_STAGE_TRANSITIONS[stage]);
+      }
+
+      expect(() => validateStageTransition('applied', 'hired')).not.toThrow();
+      expect(() => validateStageTransition('applied', 'take_home')).toThrow(ValidationError);
+    });
+
+    test('the pipeline service reports next stages from the template', () => {
+      const pipelineService = new PipelineService();
+
+      expect(pipelineService.getValidNextStages('take_home', ENGINEERING_TEMPLATE)).toEqual(['onsite_loop']);
+      expect(pipelineService.getValidNextStages('unknown', ENGINEERING_TEMPLATE)).toEqual([]);
+      expect(pipelineService.validateStageTransition('applied', 'offer', ENGINEERING_TEMPLATE)).toBe(false);
+      expect(pipelineService.validateStageTransition('offer', 'hired', ENGINEERING_TEMPLATE)).toBe(true);
+    });
+  });
+
+  describe('Template definitions', () => {
+
+    test('stage keys are derived from labels and stay in order', () => {
+      fc.assert(
+        fc.property(
+          fc.uniqueArray(stageLabelGen(), { minLength: 2, maxLength: 15, selector: toStageKey }),
+          (labels) => {
+            const template = validatePipelineTemplateData({ name: 'Generated', stages: labels });
+
+            expect(template.stages.map(stage => stage.label)).toEqual(labels.map(label => label.trim().replace(/\s+/g, ' ')));
+            expect(template.stages.map(stage => stage.key)).toEqual(labels.map(toStageKey));
+            expect(getEntryStage(template)).toBe(toStageKey(labels[0]));
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('omitted transitions let every stage move to every other stage', () => {
+      expect(INTERNSHIP_TEMPLATE.transitions).toEqual({
+        applied: ['interview', 'hired'],
+        interview: ['applied', 'hired'],
+        hired: ['applied', 'interview']
+      });
+    });
+
+    test('the last stage counts as the hire unless a stage is flagged', () => {
+      expect(getHiredStages(INTERNSHIP_TEMPLATE)).toEqual(['hired']);
+      expect(getHiredStages(ENGINEERING_TEMPLATE)).toEqual(['hired']);
+
+      const flagged = validatePipelineTemplateData({
+        name: 'Flagged',
+        stages: ['Applied', { label: 'Accepted', isHired: true }, 'Onboarded']
+      });
+      expect(getHiredStages(flagged)).toEqual(['accepted']);
+    });
+
+    test('rejects invalid definitions', () => {
+      const invalid = [
+        { stages: ['Applied', 'Hired'] },
+        { name: 'Too short', stages: ['Applied'] },
+        { name: 'Duplicates', stages: ['Onsite loop', 'Onsite-loop'] },
+        { name: 'Unknown target', stages: ['Applied', 'Hired'], transitions: { applied: ['offer'] } },
+        { name: 'Unknown source', stages: ['Applied', 'Hired'], transitions: { offer: ['hired'] } },
+        { name: 'Blank label', stages: ['Applied', '   '] }
+      ];
+
+      for (const templateData of invalid) {
+        expect(() => validatePipelineTemplateData(templateData)).toThrow(ValidationError);
+      }
+    });
+  });
+
+  describe('Candidate binding and migration', () => {
+
+    test('candidates without a template belong to the standard pipeline', () => {
+      expect(buildTemplateCandidateQuery(null)).toEqual({ 'pipelineInfo.templateId': null });
+      expect(buildTemplateCandidateQuery('default')).toEqual({ 'pipelineInfo.templateId': null });
+
+      const templateId = new ObjectId().toString();
+      expect(buildTemplateCandidateQuery(templateId)['pipelineInfo.templateId'].toString()).toBe(templateId);
+    });
+
+    test('legacy stages map by key unless a mapping is given', () => {
+      const { mapping, unmapped } = resolveStageMapping(
+        ['Applied', 'screening', 'interview', 'offer', 'hired'],
+        ENGINEERING_TEMPLATE,
+        { screening: 'take_home', interview: 'onsite_loop' }
+      );
+
+      expect(mapping).toEqual({
+        Applied: 'applied',
+        screening: 'take_home',
+        interview: 'onsite_loop',
+        offer: 'offer',
+        hired: 'hired'
+      });
+      expect(unmapped).toEqual([]);
+    });
+
+    test('reports stages the template cannot hold', () => {
+      const { mapping, unmapped } = resolveStageMapping(
+        ['applied', 'screening', 'offer'],
+        INTERNSHIP_TEMPLATE,
+        { screening: 'interview' }
+      );
+
+      expect(mapping).toEqual({ applied: 'applied', screening: 'interview' });
+      expect(unmapped).toEqual(['offer']);
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * Property-Based Tests for Resume Parsing
+ * Feature: resume-parsing, Property 1: Parsed Contact Details Round Trip
+ * Validates: Requirements 6.1, 6.2, 6.3
+ */
+
+import fc from 'fast-check';
+import zlib from 'zlib';
+import {
+  RESUME_FORMATS,
+  MAX_INFLATED_BYTES,
+  ResumeParseError,
+  detectResumeFormat,
+  extractResumeText,
+  parseResume,
+  parseResumeText,
+  extractWorkHistory,
+  calculateExperienceYears
+} from '../resume-parser.js';
+import { validateCandidateData } from '../candidate-validation.js';
+
+const SAMPLE_RESUME = [
+  'JANE DOE',
+  'jane.doe@example.com | +1 (555) 123-4567 | San Francisco, CA',
+  '',
+  'Summary',
+  'Frontend engineer with a focus on accessible interfaces.',
+  '',
+  'Work Experience',
+  'Senior Frontend Engineer at Acme Corp',
+  'Mar 2021 - Present',
+  '- Led the design system rewrite in React',
+  'Software Engineer, Globex',
+  'Jan 2017 - Feb 2021',
+  '- Built reporting dashboards',
+  '',
+  'Skills',
+  'Languages: JavaScript, TypeScript, Python',
+  'Frameworks: React, Next.js; Node.js',
+  '',
+  'Education',
+  'B.S. Computer Science, State University, 2016'
+].join('\n');
+
+/**
+ * Builds a DOCX (zip) containing word/document.xml with one paragraph per line
+ */
+function createDocx(lines) {
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const xml = '<?xml version="1.0" encoding="UTF-8"?><w:document><w:body>' +
+    lines.map(line => `<w:p><w:r><w:t xml:space="preserve">${escape(line)}</w:t></w:r></w:p>`).join('') +
+    '</w:body></w:document>';
+
+  const name = Buffer.from('word/document.xml');
+  const data = zlib.deflateRawSync(Buffer.from(xml, 'utf8'));
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(data.length, 18);
+  local.writeUInt32LE(Buffer.byteLength(xml), 22);
+  local.writeUInt16LE(name.length, 26);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(data.length, 20);
+  central.writeUInt32LE(Buffer.byteLength(xml), 24);
+  central.writeUInt16LE(name.length, 28);
+  central.writeUInt32LE(0, 42);
+
+  const centralOffset = local.length + name.length + data.length;
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 8);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(central.length + name.length, 12);
+  end.writeUInt32LE(centralOffset, 16);
+
+  return Buffer.concat([local, name, data, central, name, end]);
+}
+
+/**
+ * Builds a single-page PDF whose Flate-compressed content stream shows each line
+ */
+function createPdf(lines) {
+  const escape = (text) => text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+  const content = 'BT /F1 11 Tf 72 720 Td ' +
+    lines.map(line => `(${escape(line)}) Tj 0 -14 Td`).join(' ') +
+    ' ET';
+  const stream = zlib.deflateSync(Buffer.from(content, 'latin1'));
+
+  return Buffer.concat([
+    Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n', 'latin1'),
+    Buffer.from('2 0 obj\n<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n', 'latin1'),
+    Buffer.from('3 0 obj\n<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>\nendobj\n', 'latin1'),
+    Buffer.from(`4 0 obj\n<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+    stream,
+    Buffer.from('\nendstream\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n', 'latin1')
+  ]);
+}
+
+const nameGen = () => fc.stringMatching(/^[A-Z][a-z]{1,11}$/);
+const emailGen = () => fc.tuple(
+  fc.stringMatching(/^[a-z][a-z0-9.]{0,15}[a-z0-9]$/),
+  fc.stringMatching(/^[a-z]{2,10}$/),
+  fc.constantFrom('com', 'org', 'io', 'co.uk')
+).map(([local, domain, tld]) => `${local}@${domain}.${tld}`);
+
+describe('Resume Parser Property Tests', () => {
+
+  /**
+   * Property 1: Parsed Contact Details Round Trip
+   * For any name and email written into a PDF, DOCX or text resume, parsing
+   * the file returns the same name and email.
+   */
+  describe('Property 1: Parsed Contact Details Round Trip', () => {
+
+    test('names and emails survive every supported format', () => {
+      const builders = {
+        [RESUME_FORMATS.TEXT]: (lines) => Buffer.from(lines.join('\n'), 'utf8'),
+        [RESUME_FORMATS.DOCX]: createDocx,
+        [RESUME_FORMATS.PDF]: createPdf
+      };
+      const mimeTypes = {
+        [RESUME_FORMATS.TEXT]: 'text/plain',
+        [RESUME_FORMATS.DOCX]: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        [RESUME_FORMATS.PDF]: 'application/pdf'
+      };
+
+      fc.assert(
+        fc.property(
+          nameGen(),
+          nameGen(),
+          emailGen(),
+          fc.constantFrom(...Object.values(RESUME_FORMATS)),
+          (firstName, lastName, email, format) => {
+            const buffer = builders[format]([`${firstName} ${lastName}`, `Email: ${email}`, 'Skills', 'Go, SQL']);
+            const { profile } = parseResume(buffer, mimeTypes[format], `resume.${format}`);
+
+            expect(profile.firstName).toBe(firstName);
+            expect(profile.lastName).toBe(lastName);
+            expect(profile.email).toBe(email.toLowerCase());
+            expect(profile.skills).toEqual(['Go', 'SQL']);
+          }
+        ),
+        { numRuns: 60 }
+      );
+    });
+
+    test('the proposal passes candidate validation', () => {
+      const { profile } = parseResume(createDocx(SAMPLE_RESUME.split('\n')), '', 'resume.docx');
+
+      expect(() => validateCandidateData(profile)).not.toThrow();
+    });
+  });
+
+  describe('Field extraction', () => {
+
+    test('extracts contact details, work history and skills', () => {
+      const profile = parseResumeText(SAMPLE_RESUME, { now: new Date('2024-03-15') });
+
+      expect(profile).toMatchObject({
+        firstName: 'Jane',
+        lastName: 'Doe',
+        email: 'jane.doe@example.com',
+        phone: '+1 (555) 123-4567',
+        location: 'San Francisco, CA',
+        currentRole: 'Senior Frontend Engineer',
+        experience: '7 years'
+      });
+      expect(profile.workHistory).toEqual([
+        { title: 'Senior Frontend Engineer', company: 'Acme Corp', startDate: '2021-03', endDate: null, isCurrent: true },
+        { title: 'Software Engineer', company: 'Globex', startDate: '2017-01', endDate: '2021-02', isCurrent: false }
+      ]);
+      expect(profile.skills).toEqual(['JavaScript', 'TypeScript', 'Python', 'React', 'Next.js', 'Node.js']);
+    });
+
+    test('falls back to well-known skills when there is no skills section', () => {
+      const profile = parseResumeText('Sam Lee\nBuilt services in Go and Kubernetes on AWS.');
+
+      expect(profile.skills).toEqual(['Go', 'AWS', 'Kubernetes']);
+    });
+
+    test('reads titles written on the same line as the dates', () => {
+      expect(extractWorkHistory(['Data Analyst | Initech | 2015 - 2018'])).toEqual([
+        { title: 'Data Analyst', company: 'Initech', startDate: '2015', endDate: '2018', isCurrent: false }
+      ]);
+    });
+
+    test('overlapping jobs count once towards experience', () => {
+      const years = calculateExperienceYears([
+        { startDate: '2015-01', endDate: '2019-12' },
+        { startDate: '2018-01', endDate: '2020-12' }
+      ]);
+
+      expect(years).toBe(6);
+    });
+
+    test('date ranges are not mistaken for phone numbers', () => {
+      const profile = parseResumeText('Alex Kim\nExperience\nAnalyst, Umbrella 2012 - 2014');
+
+      expect(profile.phone).toBe('');
+    });
+  });
+
+  describe('Formats', () => {
+
+    test('detects formats from the MIME type or extension', () => {
+      expect(detectResumeFormat('application/pdf', 'cv')).toBe(RESUME_FORMATS.PDF);
+      expect(detectResumeFormat('application/octet-stream', 'CV.DOCX')).toBe(RESUME_FORMATS.DOCX);
+      expect(detectResumeFormat('', 'cv.txt')).toBe(RESUME_FORMATS.TEXT);
+      expect(detectResumeFormat('image/png', 'scan.png')).toBeNull();
+    });
+
+    test('extracts PDF text line by line', () => {
+      const text = extractResumeText(createPdf(['Jane (JD) Doe', 'Skills']), RESUME_FORMATS.PDF);
+
+      expect(text.split('\n').filter(Boolean)).toEqual(['Jane (JD) Doe', 'Skills']);
+    });
+
+    test('rejects unsupported, corrupt and empty files', () => {
+      expect(() => parseResume(Buffer.from('x'), 'image/png', 'scan.png')).toThrow(ResumeParseError);
+      expect(() => parseResume(Buffer.from('not a zip'), '', 'cv.docx')).toThrow(ResumeParseError);
+      expect(() => parseResume(Buffer.from('not a pdf'), 'application/pdf')).toThrow(ResumeParseError);
+      expect(() => parseResume(Buffer.from('   \n '), 'text/plain')).toThrow(ResumeParseError);
+    });
+
+    test('documents that decompress past the limit are unreadable', () => {
+      const oversized = 'a'.repeat(MAX_INFLATED_BYTES + 1);
+      const docx = createDocx([oversized]);
+      const pdf = createPdf([oversized]);
+
+      // A few KB of compressed data would otherwise expand on the request thread
+      expect(docx.length).toBeLessThan(100 * 1024);
+      expect(pdf.length).toBeLessThan(100 * 1024);
+
+      [[docx, '', 'cv.docx'], [pdf, 'application/pdf', 'cv.pdf']].forEach(([buffer, mimeType, name]) => {
+        let thrown = null;
+        try {
+          parseResume(buffer, mimeType, name);
+        } catch (error) {
+          thrown = error;
+        }
+
+        expect(thrown).toBeInstanceOf(ResumeParseError);
+        expect(thrown.code).toBe('UNREADABLE_FILE');
+      });
+    });
+  });
+});
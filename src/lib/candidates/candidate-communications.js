@@ -0,0 +1,370 @@
+/**
+ * Candidate Communications
+ * The email history of a candidate: every email sent to them and the replies
+ * they send back, kept on the candidate document next to their notes.
+ * Outbound emails carry a reply address with a token ("jobs+reply-<token>@...")
+ * so replies can be matched to the email they answer
+ */
+
+import { ObjectId } from 'mongodb';
+import crypto from 'crypto';
+import { getCandidatesCollection } from './candidate-db.js';
+import { sendEmail } from '../email/email-service.js';
+import { getEmailOutboxCollection, OUTBOX_STATUS } from '../email/email-outbox.js';
+import { extractEmailAddress } from '../email/calendar-invite.js';
+import { stripQuotedReply } from '../email/inbound-email.js';
+import { scopeQuery } from '../team/organization-scope.js';
+import { getEnvConfig } from '../env.js';
+
+/**
+ * Direction of a communication
+ */
+export const COMMUNICATION_DIRECTIONS = {
+  OUTBOUND: 'outbound',
+  INBOUND: 'inbound'
+};
+
+/**
+ * Delivery status shown for a communication
+ */
+export const COMMUNICATION_STATUS = {
+  QUEUED: 'queued',
+  SENT: 'sent',
+  FAILED: 'failed',
+  RECEIVED: 'received'
+};
+
+/**
+ * Matches the reply token in a reply address
+ */
+const REPLY_TOKEN_PATTERN = /\+reply-([a-f0-9]{24})@/i;
+
+/**
+ * Candidate communication errors
+ */
+export class CandidateCommunicationError extends Error {
+  constructor(message, code = 'CANDIDATE_COMMUNICATION_ERROR', statusCode = 500) {
+    super(message);
+    this.name = 'CandidateCommunicationError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Generates a reply token
+ * @returns {string} 24 hex characters
+ */
+export function generateReplyToken() {
+  return crypto.randomBytes(12).toString('hex');
+}
+
+/**
+ * Builds the reply address for a token by plus-addressing a mailbox
+ * @param {string} token - Reply token
+ * @param {string} mailbox - Mailbox replies are delivered to ("jobs@example.com" or "Jobs <jobs@example.com>")
+ * @returns {string|null} Reply address, or null without a usable mailbox
+ */
+export function buildReplyAddress(token, mailbox) {
+  const address = extractEmailAddress(mailbox);
+  const at = address.lastIndexOf('@');
+
+  if (!token || at <= 0) {
+    return null;
+  }
+
+  const localPart = address.slice(0, at).split('+')[0];
+  return `${localPart}+reply-${token}${address.slice(at)}`;
+}
+
+/**
+ * Finds the reply token in any of a message's recipient addresses
+ * @param {Array<string>} addresses - Recipient addresses
+ * @returns {string|null} Lowercased reply token
+ */
+export function extractReplyToken(addresses) {
+  for (const address of addresses || []) {
+    const match = REPLY_TOKEN_PATTERN.exec(address);
+    if (match) {
+      return match[1].toLowerCase();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Creates the reply tracking for a new outbound email
+ * Replies go to REPLY_TO_ADDRESS, or to the sending address when it is not set
+ * @returns {Object} { replyToken, replyTo } (both null when no mailbox is configured)
+ */
+export function createReplyTracking() {
+  const config = getEnvConfig();
+  const mailbox = config.REPLY_TO_ADDRESS || config.SMTP_FROM || config.SMTP_USER;
+  const replyToken = generateReplyToken();
+  const replyTo = buildReplyAddress(replyToken, mailbox);
+
+  return replyTo ? { replyToken, replyTo } : { replyToken: null, replyTo: null };
+}
+
+/**
+ * Creates the log entry for an email sent to a candidate
+ * @param {Object} email - { to, subject, text, template, sender, outboxId, replyToken }
+ * @param {Object|null} [email.template] - Template it was written from ({ id, name })
+ * @param {Object|null} [email.sender] - Team member who sent it ({ userId, name, email }); null for automatic emails
+ * @param {Date} [now] - Send time
+ * @returns {Object} Communication entry
+ */
+export function createOutboundCommunication(email, now = new Date()) {
+  return {
+    _id: new ObjectId(),
+    direction: COMMUNICATION_DIRECTIONS.OUTBOUND,
+    channel: 'email',
+    to: email.to,
+    subject: email.subject,
+    body: email.text || '',
+    template: email.template ? { id: email.template.id, name: email.template.name } : null,
+    sender: email.sender
+      ? {
+          userId: email.sender.userId && ObjectId.isValid(email.sender.userId.toString())
+            ? new ObjectId(email.sender.userId.toString())
+            : null,
+          name: email.sender.name || null,
+          email: email.sender.email || null
+        }
+      : null,
+    outboxId: email.outboxId ? new ObjectId(email.outboxId.toString()) : null,
+    replyToken: email.replyToken || null,
+    status: COMMUNICATION_STATUS.QUEUED,
+    createdAt: now
+  };
+}
+
+/**
+ * Creates the log entry for a reply from a candidate
+ * @param {Object} message - Parsed email ({ messageId, from, subject, date, text })
+ * @param {Object} thread - Outbound entry the reply answers
+ * @param {Date} [now] - Import time
+ * @returns {Object} Communication entry
+ */
+export function createInboundCommunication(message, thread, now = new Date()) {
+  return {
+    _id: new ObjectId(),
+    direction: COMMUNICATION_DIRECTIONS.INBOUND,
+    channel: 'email',
+    from: message.from,
+    subject: message.subject,
+    body: stripQuotedReply(message.text),
+    messageId: message.messageId || null,
+    threadId: thread._id,
+    status: COMMUNICATION_STATUS.RECEIVED,
+    createdAt: message.date || now,
+    importedAt: now
+  };
+}
+
+/**
+ * Works out the delivery status of an entry from its outbox message
+ * @param {Object} entry - Communication entry
+ * @param {Object|undefined} outboxMessage - Outbox message ({ status, sentAt, lastError })
+ * @returns {string} COMMUNICATION_STATUS value
+ */
+function getDeliveryStatus(entry, outboxMessage) {
+  if (entry.direction === COMMUNICATION_DIRECTIONS.INBOUND || !outboxMessage) {
+    return entry.status;
+  }
+
+  if (outboxMessage.status === OUTBOX_STATUS.SENT) {
+    return COMMUNICATION_STATUS.SENT;
+  }
+
+  return outboxMessage.status === OUTBOX_STATUS.FAILED ? COMMUNICATION_STATUS.FAILED : COMMUNICATION_STATUS.QUEUED;
+}
+
+/**
+ * Formats a communication entry for the API
+ * @param {Object} entry - Communication entry
+ * @param {Object} [outboxMessage] - Outbox message of an outbound entry
+ * @returns {Object} Formatted communication
+ */
+export function formatCommunication(entry, outboxMessage) {
+  return {
+    id: entry._id.toString(),
+    direction: entry.direction,
+    channel: entry.channel,
+    from: entry.from || null,
+    to: entry.to || null,
+    subject: entry.subject,
+    body: entry.body,
+    templateName: entry.template?.name || null,
+    senderName: entry.sender?.name || null,
+    status: getDeliveryStatus(entry, outboxMessage),
+    error: outboxMessage?.status === OUTBOX_STATUS.FAILED ? outboxMessage.lastError : null,
+    createdAt: entry.createdAt,
+    deliveredAt: outboxMessage?.sentAt || null
+  };
+}
+
+/**
+ * Groups a candidate's communications into threads
+ * Each outbound email starts a thread that collects the replies to it;
+ * threads with the latest activity come first
+ * @param {Array<Object>} communications - Communication entries
+ * @param {Map<string, Object>} [outboxMessages] - Outbox messages by ID
+ * @returns {Array<Object>} [{ id, subject, lastActivityAt, messages }]
+ */
+export function buildCommunicationThreads(communications, outboxMessages = new Map()) {
+  const threads = new Map();
+  const entries = [...(communications || [])].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  entries.forEach(entry => {
+    const threadId = (entry.threadId || entry._id).toString();
+    if (!threads.has(threadId)) {
+      threads.set(threadId, { id: threadId, subject: entry.subject, lastActivityAt: entry.createdAt, messages: [] });
+    }
+
+    const thread = threads.get(threadId);
+    thread.messages.push(formatCommunication(entry, outboxMessages.get(entry.outboxId?.toString())));
+    thread.lastActivityAt = entry.createdAt;
+  });
+
+  return [...threads.values()].sort((a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt));
+}
+
+/**
+ * Adds an email sent to a candidate to their communication log
+ * @param {string|ObjectId} candidateId - Candidate ID
+ * @param {string} organizationId - Organization the candidate belongs to
+ * @param {Object} email - See createOutboundCommunication
+ * @returns {Promise<Object>} Communication entry
+ */
+export async function recordOutboundEmail(candidateId, organizationId, email) {
+  const entry = createOutboundCommunication(email);
+
+  const collection = await getCandidatesCollection();
+  await collection.updateOne(
+    scopeQuery({ _id: new ObjectId(candidateId.toString()) }, organizationId),
+    { $push: { communications: entry } }
+  );
+
+  return entry;
+}
+
+/**
+ * Sends an email to a candidate and logs it in their communication history
+ * The email is queued first; a failure to log it is reported but does not
+ * undo the send
+ * @param {string|ObjectId} candidateId - Candidate ID
+ * @param {Object} email - { to, subject, html, text, icalEvent?, template?, sender? }
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} { to, outboxId, communicationId }
+ */
+export async function sendCandidateEmail(candidateId, email, organizationId) {
+  if (!email.to) {
+    throw new CandidateCommunicationError('This candidate has no email address', 'NO_RECIPIENT', 400);
+  }
+
+  const { replyToken, replyTo } = createReplyTracking();
+  const result = await sendEmail({
+    to: email.to,
+    subject: email.subject,
+    html: email.html,
+    text: email.text,
+    icalEvent: email.icalEvent,
+    replyTo,
+    organizationId
+  });
+
+  let communicationId = null;
+  try {
+    const entry = await recordOutboundEmail(candidateId, organizationId, {
+      ...email,
+      outboxId: result.outboxId,
+      replyToken
+    });
+    communicationId = entry._id.toString();
+  } catch (error) {
+    console.error(`Failed to log email to candidate ${candidateId}:`, error);
+  }
+
+  return { to: email.to, outboxId: result.outboxId, communicationId };
+}
+
+/**
+ * Adds an inbound reply to the communication log of the candidate it answers
+ * Replies are matched by the token in the address they were sent to; a
+ * message that was imported before is not added twice
+ * @param {Object} message - Parsed email (see parseEmailMessage)
+ * @returns {Promise<Object>} { status: 'imported' | 'duplicate' | 'unmatched', candidateId? }
+ */
+export async function importCandidateReply(message) {
+  const token = extractReplyToken(message.recipients);
+  if (!token) {
+    return { status: 'unmatched' };
+  }
+
+  const collection = await getCandidatesCollection();
+  const candidate = await collection.findOne(
+    { 'communications.replyToken': token, 'metadata.isActive': true },
+    { projection: { communications: 1 } }
+  );
+
+  if (!candidate) {
+    return { status: 'unmatched' };
+  }
+
+  const candidateId = candidate._id.toString();
+  if (message.messageId && candidate.communications.some(entry => entry.messageId === message.messageId)) {
+    return { status: 'duplicate', candidateId };
+  }
+
+  const thread = candidate.communications.find(entry => entry.replyToken === token);
+  const entry = createInboundCommunication(message, thread);
+
+  // The message ID condition keeps two concurrent imports from both adding it
+  await collection.updateOne(
+    message.messageId
+      ? { _id: candidate._id, 'communications.messageId': { $ne: message.messageId } }
+      : { _id: candidate._id },
+    { $push: { communications: entry } }
+  );
+
+  return { status: 'imported', candidateId };
+}
+
+/**
+ * Lists a candidate's communications as threads with current delivery status
+ * @param {string} candidateId - Candidate ID
+ * @param {string} organizationId - Organization the candidate belongs to
+ * @returns {Promise<Array<Object>>} Threads (see buildCommunicationThreads)
+ */
+export async function listCandidateCommunications(candidateId, organizationId) {
+  if (!ObjectId.isValid(candidateId)) {
+    throw new CandidateCommunicationError('Invalid candidate ID format', 'INVALID_ID', 400);
+  }
+
+  const collection = await getCandidatesCollection();
+  const candidate = await collection.findOne(
+    scopeQuery({ _id: new ObjectId(candidateId), 'metadata.isActive': true }, organizationId),
+    { projection: { communications: 1 } }
+  );
+
+  if (!candidate) {
+    throw new CandidateCommunicationError('Candidate not found', 'NOT_FOUND', 404);
+  }
+
+  const communications = candidate.communications || [];
+  const outboxIds = communications.map(entry => entry.outboxId).filter(Boolean);
+
+  const outboxMessages = new Map();
+  if (outboxIds.length > 0) {
+    const outbox = await getEmailOutboxCollection();
+    const messages = await outbox.find(
+      { _id: { $in: outboxIds } },
+      { projection: { status: 1, sentAt: 1, lastError: 1 } }
+    ).toArray();
+    messages.forEach(message => outboxMessages.set(message._id.toString(), message));
+  }
+
+  return buildCommunicationThreads(communications, outboxMessages);
+}
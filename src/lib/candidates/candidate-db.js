@@ -4,7 +4,8 @@
  */
 
 import { getCollection } from '../mongodb.js';
-import { CANDIDATE_INDEXES } from './candidate-models.js';
+import { CANDIDATE_INDEXES, CANDIDATE_TEXT_INDEX_NAME } from './candidate-models.js';
+import { scopeQuery } from '../team/organization-scope.js';
 
 /**
  * Collection name for candidates
@@ -24,6 +25,36 @@ export async function getCandidatesCollection() {
   }
 }
 
+/**
+ * Drops text indexes from earlier versions of the candidate text index
+ * A collection can only have one text index, so the current one cannot be
+ * created until the old one is gone
+ * @param {Collection} collection - Candidates collection
+ * @returns {Promise<Array<string>>} Names of the dropped indexes
+ */
+export async function dropOutdatedTextIndexes(collection) {
+  const dropped = [];
+
+  try {
+    const indexes = await collection.listIndexes().toArray();
+
+    for (const index of indexes) {
+      if (index.key?._fts === 'text' && index.name !== CANDIDATE_TEXT_INDEX_NAME) {
+        await collection.dropIndex(index.name);
+        dropped.push(index.name);
+        console.log(`Dropped outdated text index: ${index.name}`);
+      }
+    }
+  } catch (error) {
+    // The collection does not exist yet
+    if (error.code !== 26) {
+      console.warn('Failed to check candidate text indexes:', error.message);
+    }
+  }
+
+  return dropped;
+}
+
 /**
  * Initializes the candidates collection with proper indexes
  * @returns {Promise<void>}
@@ -33,6 +64,8 @@ export async function initializeCandidatesCollection() {
     console.log('Initializing candidates collection...');
     
     const collection = await getCandidatesCollection();
+
+    await dropOutdatedTextIndexes(collection);
     
     // Create indexes for optimal performance
     for (const indexSpec of CANDIDATE_INDEXES) {
@@ -55,19 +88,20 @@ export async function initializeCandidatesCollection() {
 }
 
 /**
- * Checks if a candidate with the given email already exists
+ * Checks if a candidate with the given email already exists in an organization
  * @param {string} email - Email to check
  * @param {string} excludeId - Optional ID to exclude from check (for updates)
+ * @param {string} organizationId - Organization to check within
  * @returns {Promise<boolean>} True if email exists
  */
-export async function emailExists(email, excludeId = null) {
+export async function emailExists(email, excludeId = null, organizationId) {
   try {
     const collection = await getCandidatesCollection();
     
-    const query = { 
+    const query = scopeQuery({ 
       'personalInfo.email': email.toLowerCase().trim(),
       'metadata.isActive': true
-    };
+    }, organizationId);
     
     // Exclude specific ID if provided (for updates)
     if (excludeId) {
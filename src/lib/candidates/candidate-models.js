@@ -29,6 +29,89 @@ export const VALID_STAGE_TRANSITIONS = {
   [PIPELINE_STAGES.HIRED]: [PIPELINE_STAGES.APPLIED, PIPELINE_STAGES.SCREENING, PIPELINE_STAGES.INTERVIEW, PIPELINE_STAGES.OFFER] // Allow moving back from hired if needed
 };
 
+/**
+ * Terminal outcomes enum
+ * Outcomes close a candidate without moving them out of their stage, so
+ * reports can tell at which stage candidates left the funnel
+ */
+export const CANDIDATE_OUTCOMES = {
+  REJECTED: 'rejected',
+  WITHDRAWN: 'withdrawn',
+  OFFER_DECLINED: 'offer_declined'
+};
+
+/**
+ * Builds the candidate query fragment for an outcome filter
+ * @param {string} outcomeFilter - 'open', 'closed' or one of CANDIDATE_OUTCOMES
+ * @returns {Object|null} MongoDB query fragment, or null for unknown filters
+ */
+export function buildOutcomeQuery(outcomeFilter) {
+  if (outcomeFilter === 'open') {
+    return { 'pipelineInfo.outcome': null };
+  }
+
+  if (outcomeFilter === 'closed') {
+    return { 'pipelineInfo.outcome': { $ne: null } };
+  }
+
+  if (Object.values(CANDIDATE_OUTCOMES).includes(outcomeFilter)) {
+    return { 'pipelineInfo.outcome.type': outcomeFilter };
+  }
+
+  return null;
+}
+
+/**
+ * Reason codes allowed for each outcome
+ */
+export const OUTCOME_REASONS = {
+  [CANDIDATE_OUTCOMES.REJECTED]: [
+    'not_qualified',
+    'skills_mismatch',
+    'insufficient_experience',
+    'failed_assessment',
+    'position_filled',
+    'other'
+  ],
+  [CANDIDATE_OUTCOMES.WITHDRAWN]: [
+    'accepted_other_offer',
+    'compensation',
+    'location',
+    'timing',
+    'not_interested',
+    'unresponsive',
+    'other'
+  ],
+  [CANDIDATE_OUTCOMES.OFFER_DECLINED]: [
+    'accepted_other_offer',
+    'compensation',
+    'counter_offer',
+    'role_fit',
+    'location',
+    'other'
+  ]
+};
+
+/**
+ * Display labels for outcome reason codes
+ */
+export const OUTCOME_REASON_LABELS = {
+  not_qualified: 'Not qualified',
+  skills_mismatch: 'Skills mismatch',
+  insufficient_experience: 'Insufficient experience',
+  failed_assessment: 'Failed assessment',
+  position_filled: 'Position filled',
+  accepted_other_offer: 'Accepted another offer',
+  compensation: 'Compensation',
+  location: 'Location',
+  timing: 'Timing',
+  not_interested: 'No longer interested',
+  unresponsive: 'Stopped responding',
+  counter_offer: 'Accepted counter offer',
+  role_fit: 'Role fit',
+  other: 'Other'
+};
+
 /**
  * Document types enum
  */
@@ -39,6 +122,18 @@ export const DOCUMENT_TYPES = {
   OTHER: 'other'
 };
 
+/**
+ * Maximum characters of extracted text stored per document for search
+ */
+export const DOCUMENT_TEXT_MAX_LENGTH = 100000;
+
+/**
+ * Name of the candidate text index
+ * Bumped whenever the indexed fields change, since a collection can only have
+ * one text index and the old one has to be dropped first
+ */
+export const CANDIDATE_TEXT_INDEX_NAME = 'candidate_text_search_v2';
+
 /**
  * Application sources enum
  */
@@ -68,6 +163,9 @@ export function createCandidateDocument(candidateData) {
   const now = new Date();
   
   return {
+    organizationId: candidateData.organizationId && ObjectId.isValid(candidateData.organizationId)
+      ? new ObjectId(candidateData.organizationId)
+      : null,
     personalInfo: {
       firstName: candidateData.firstName?.trim(),
       lastName: candidateData.lastName?.trim(),
@@ -82,9 +180,14 @@ export function createCandidateDocument(candidateData) {
         ? candidateData.skills.map(skill => skill.trim()).filter(Boolean)
         : [],
       appliedForRole: candidateData.appliedForRole?.trim(),
+      workHistory: normalizeWorkHistory(candidateData.workHistory),
       source: candidateData.source || APPLICATION_SOURCES.OTHER
     },
     pipelineInfo: {
+      // Candidates without a template follow the standard pipeline
+      templateId: candidateData.pipelineTemplateId && ObjectId.isValid(candidateData.pipelineTemplateId)
+        ? new ObjectId(candidateData.pipelineTemplateId)
+        : null,
       currentStage: candidateData.currentStage || PIPELINE_STAGES.APPLIED,
       stageHistory: [{
         stage: candidateData.currentStage || PIPELINE_STAGES.APPLIED,
@@ -94,11 +197,16 @@ export function createCandidateDocument(candidateData) {
           : null,
         notes: candidateData.initialNotes || ''
       }],
-      appliedDate: candidateData.appliedDate ? new Date(candidateData.appliedDate) : now
+      appliedDate: candidateData.appliedDate ? new Date(candidateData.appliedDate) : now,
+      outcome: null
     },
     documents: [],
     jobApplications: [],
     notes: [],
+    // Emails sent to the candidate and their replies (see candidate-communications.js)
+    communications: [],
+    // Follow-ups for the team (see candidate-tasks.js)
+    tasks: [],
     metadata: {
       createdAt: now,
       updatedAt: now,
@@ -110,6 +218,29 @@ export function createCandidateDocument(candidateData) {
   };
 }
 
+/**
+ * Normalizes work history entries ({ title, company, startDate, endDate })
+ * Dates are kept as written by the parser ("2021-03" or "2021"); a missing
+ * end date means the job is current
+ * @param {Array|undefined} workHistory - Work history entries
+ * @returns {Array<Object>} Normalized entries
+ */
+export function normalizeWorkHistory(workHistory) {
+  if (!Array.isArray(workHistory)) {
+    return [];
+  }
+
+  return workHistory
+    .filter(entry => entry && (entry.title?.trim() || entry.company?.trim()))
+    .map(entry => ({
+      title: entry.title?.trim() || '',
+      company: entry.company?.trim() || '',
+      startDate: entry.startDate || null,
+      endDate: entry.endDate || null,
+      isCurrent: !entry.endDate
+    }));
+}
+
 /**
  * Creates a stage history entry
  * @param {string} fromStage - Previous stage
@@ -130,6 +261,44 @@ export function createStageHistoryEntry(fromStage, toStage, updatedBy, notes = '
   };
 }
 
+/**
+ * Creates the outcome recorded on a closed candidate
+ * @param {string} stage - Stage the candidate left the funnel at
+ * @param {Object} outcomeData - Validated outcome ({ outcome, reason, note })
+ * @param {string} decidedBy - User ID who closed the candidate
+ * @returns {Object} Outcome record
+ */
+export function createOutcomeRecord(stage, outcomeData, decidedBy) {
+  return {
+    type: outcomeData.outcome,
+    reason: outcomeData.reason,
+    note: outcomeData.note?.trim() || '',
+    stage,
+    decidedAt: new Date(),
+    decidedBy: decidedBy && ObjectId.isValid(decidedBy)
+      ? new ObjectId(decidedBy)
+      : null
+  };
+}
+
+/**
+ * Creates the stage history entry for an outcome
+ * The candidate stays in their stage, so fromStage and toStage are the same
+ * @param {Object} outcomeRecord - Record from createOutcomeRecord
+ * @returns {Object} Stage history entry
+ */
+export function createOutcomeHistoryEntry(outcomeRecord) {
+  return {
+    fromStage: outcomeRecord.stage,
+    toStage: outcomeRecord.stage,
+    outcome: outcomeRecord.type,
+    reason: outcomeRecord.reason,
+    timestamp: outcomeRecord.decidedAt,
+    updatedBy: outcomeRecord.decidedBy,
+    notes: outcomeRecord.note
+  };
+}
+
 /**
  * Creates a document metadata entry
  * @param {Object} documentData - Document information
@@ -148,6 +317,8 @@ export function createDocumentMetadata(documentData) {
     uploadedBy: documentData.uploadedBy && ObjectId.isValid(documentData.uploadedBy) 
       ? new ObjectId(documentData.uploadedBy) 
       : null,
+    // Extracted text feeds the candidate text index; empty for images and unreadable files
+    textContent: (documentData.textContent || '').slice(0, DOCUMENT_TEXT_MAX_LENGTH),
     isActive: true
   };
 }
@@ -189,15 +360,32 @@ export function createJobApplicationEntry(applicationData) {
  * MongoDB indexes for optimal query performance
  */
 export const CANDIDATE_INDEXES = [
-  // Unique email index for duplicate prevention
+  // Unique email per organization for duplicate prevention
+  { 
+    key: { organizationId: 1, 'personalInfo.email': 1 }, 
+    options: { name: 'organization_email_unique', unique: true, sparse: true } 
+  },
+  // Organization index for tenant scoping
   { 
-    key: { 'personalInfo.email': 1 }, 
-    options: { unique: true, sparse: true } 
+    key: { organizationId: 1, 'metadata.isActive': 1 } 
   },
   // Pipeline stage index for filtering
   { 
     key: { 'pipelineInfo.currentStage': 1 } 
   },
+  // Pipeline template index for per-template boards and stats
+  { 
+    key: { organizationId: 1, 'pipelineInfo.templateId': 1, 'pipelineInfo.currentStage': 1 } 
+  },
+  // Outcome index for the archived view and drop-off reports
+  { 
+    key: { organizationId: 1, 'pipelineInfo.outcome.type': 1 } 
+  },
+  // Reply token index for matching inbound replies
+  { 
+    key: { 'communications.replyToken': 1 },
+    options: { sparse: true }
+  },
   // Skills index for search
   { 
     key: { 'professionalInfo.skills': 1 } 
@@ -210,21 +398,23 @@ export const CANDIDATE_INDEXES = [
   { 
     key: { 'pipelineInfo.appliedDate': -1 } 
   },
-  // Text search index for name and role search
+  // Text search index for name, role and document content search
   { 
     key: { 
       'personalInfo.firstName': 'text',
       'personalInfo.lastName': 'text',
       'professionalInfo.currentRole': 'text',
-      'professionalInfo.appliedForRole': 'text'
+      'professionalInfo.appliedForRole': 'text',
+      'documents.textContent': 'text'
     },
     options: { 
-      name: 'candidate_text_search',
+      name: CANDIDATE_TEXT_INDEX_NAME,
       weights: {
         'personalInfo.firstName': 10,
         'personalInfo.lastName': 10,
         'professionalInfo.currentRole': 5,
-        'professionalInfo.appliedForRole': 5
+        'professionalInfo.appliedForRole': 5,
+        'documents.textContent': 1
       }
     }
   },
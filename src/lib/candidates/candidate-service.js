@@ -10,6 +10,8 @@ import {
   createStageHistoryEntry, 
   createDocumentMetadata, 
   createNoteEntry,
+  buildOutcomeQuery,
+  normalizeWorkHistory,
   PIPELINE_STAGES 
 } from './candidate-models.js';
 import { 
@@ -19,6 +21,14 @@ import {
   normalizePhoneNumber,
   sanitizeString
 } from './candidate-validation.js';
+import {
+  scopeQuery,
+  toOrganizationObjectId,
+  OrganizationScopeError
+} from '../team/organization-scope.js';
+import { pipelineTemplateService, PipelineTemplateServiceError } from './pipeline-template-service.js';
+import { getEntryStage, isDefaultTemplateId, buildTemplateCandidateQuery } from './pipeline-template-models.js';
+import { recordAuditEvent, describeCandidateTarget, AUDIT_ACTIONS } from '../audit/audit-log.js';
 
 /**
  * Service error class
@@ -62,20 +72,30 @@ export class CandidateService {
 
   /**
    * Creates a new candidate
+   * Pass candidateData.pipelineTemplateId to place the candidate on a job's
+   * pipeline template; they start in its first stage unless currentStage is given
    * @param {Object} candidateData - Candidate data
    * @param {string} userId - ID of user creating the candidate
+   * @param {string} organizationId - Organization the candidate belongs to
    * @returns {Promise<Object>} Created candidate
    */
-  async createCandidate(candidateData, userId = null) {
+  async createCandidate(candidateData, userId = null, organizationId) {
     try {
       await this.initialize();
 
+      const organizationObjectId = toOrganizationObjectId(organizationId);
+
+      const template = await pipelineTemplateService.requireTemplate(
+        candidateData?.pipelineTemplateId || null,
+        organizationObjectId
+      );
+
       // Validate input data
-      validateCandidateData(candidateData);
+      validateCandidateData(candidateData, template);
 
       // Check for duplicate email
       const email = candidateData.email || candidateData.personalInfo?.email;
-      if (email && await emailExists(email)) {
+      if (email && await emailExists(email, null, organizationObjectId)) {
         throw new CandidateServiceError(
           'A candidate with this email address already exists',
           'DUPLICATE_EMAIL',
@@ -86,6 +106,9 @@ export class CandidateService {
       // Normalize and sanitize data
       const normalizedData = this._normalizeData(candidateData);
       normalizedData.createdBy = userId;
+      normalizedData.organizationId = organizationObjectId.toString();
+      normalizedData.pipelineTemplateId = template.isBuiltIn ? null : template.id;
+      normalizedData.currentStage = normalizedData.currentStage || getEntryStage(template);
 
       // Create candidate document
       const candidateDoc = createCandidateDocument(normalizedData);
@@ -104,6 +127,14 @@ export class CandidateService {
       // Return the created candidate
       const createdCandidate = await collection.findOne({ _id: result.insertedId });
       
+      await recordAuditEvent({
+        organizationId: organizationObjectId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CANDIDATE_CREATED,
+        target: describeCandidateTarget(createdCandidate),
+        after: this._auditSnapshot(createdCandidate)
+      });
+
       console.log(`Created candidate: ${createdCandidate.personalInfo.email}`);
       return createdCandidate;
 
@@ -115,7 +146,10 @@ export class CandidateService {
           400
         );
       }
-      if (error instanceof CandidateServiceError) {
+      if (error instanceof PipelineTemplateServiceError) {
+        throw new CandidateServiceError(error.message, error.code, error.statusCode);
+      }
+      if (error instanceof CandidateServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -131,9 +165,10 @@ export class CandidateService {
   /**
    * Gets a candidate by ID
    * @param {string} candidateId - Candidate ID
+   * @param {string} organizationId - Organization the candidate must belong to
    * @returns {Promise<Object|null>} Candidate or null if not found
    */
-  async getCandidateById(candidateId) {
+  async getCandidateById(candidateId, organizationId) {
     try {
       await this.initialize();
 
@@ -146,15 +181,15 @@ export class CandidateService {
       }
 
       const collection = await getCandidatesCollection();
-      const candidate = await collection.findOne({ 
+      const candidate = await collection.findOne(scopeQuery({ 
         _id: new ObjectId(candidateId),
         'metadata.isActive': true
-      });
+      }, organizationId));
 
       return candidate;
 
     } catch (error) {
-      if (error instanceof CandidateServiceError) {
+      if (error instanceof CandidateServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -172,9 +207,10 @@ export class CandidateService {
    * @param {string} candidateId - Candidate ID
    * @param {Object} updates - Update data
    * @param {string} userId - ID of user making the update
+   * @param {string} organizationId - Organization the candidate must belong to
    * @returns {Promise<Object>} Updated candidate
    */
-  async updateCandidate(candidateId, updates, userId = null) {
+  async updateCandidate(candidateId, updates, userId = null, organizationId) {
     try {
       await this.initialize();
 
@@ -187,7 +223,7 @@ export class CandidateService {
       }
 
       // Get existing candidate
-      const existingCandidate = await this.getCandidateById(candidateId);
+      const existingCandidate = await this.getCandidateById(candidateId, organizationId);
       if (!existingCandidate) {
         throw new CandidateServiceError(
           'Candidate not found',
@@ -199,7 +235,7 @@ export class CandidateService {
       // Check for email conflicts if email is being updated
       const newEmail = updates.email || updates.personalInfo?.email;
       if (newEmail && newEmail !== existingCandidate.personalInfo.email) {
-        if (await emailExists(newEmail, new ObjectId(candidateId))) {
+        if (await emailExists(newEmail, new ObjectId(candidateId), organizationId)) {
           throw new CandidateServiceError(
             'A candidate with this email address already exists',
             'DUPLICATE_EMAIL',
@@ -233,7 +269,7 @@ export class CandidateService {
       }
 
       // Handle direct field updates (for backward compatibility)
-      const directFields = ['firstName', 'lastName', 'email', 'phone', 'location', 'currentRole', 'experience', 'skills', 'appliedForRole', 'source'];
+      const directFields = ['firstName', 'lastName', 'email', 'phone', 'location', 'currentRole', 'experience', 'skills', 'workHistory', 'appliedForRole', 'source'];
       directFields.forEach(field => {
         if (normalizedUpdates[field] !== undefined) {
           const targetPath = this._getFieldPath(field);
@@ -243,7 +279,7 @@ export class CandidateService {
 
       const collection = await getCandidatesCollection();
       const result = await collection.findOneAndUpdate(
-        { _id: new ObjectId(candidateId), 'metadata.isActive': true },
+        scopeQuery({ _id: new ObjectId(candidateId), 'metadata.isActive': true }, organizationId),
         updateDoc,
         { returnDocument: 'after' }
       );
@@ -256,6 +292,15 @@ export class CandidateService {
         );
       }
 
+      await recordAuditEvent({
+        organizationId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CANDIDATE_UPDATED,
+        target: describeCandidateTarget(result),
+        before: this._auditSnapshot(existingCandidate),
+        after: this._auditSnapshot(result)
+      });
+
       console.log(`Updated candidate: ${candidateId}`);
       return result;
 
@@ -267,7 +312,7 @@ export class CandidateService {
           400
         );
       }
-      if (error instanceof CandidateServiceError) {
+      if (error instanceof CandidateServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -284,9 +329,10 @@ export class CandidateService {
    * Deletes a candidate (soft delete)
    * @param {string} candidateId - Candidate ID
    * @param {string} userId - ID of user deleting the candidate
+   * @param {string} organizationId - Organization the candidate must belong to
    * @returns {Promise<boolean>} Success status
    */
-  async deleteCandidate(candidateId, userId = null) {
+  async deleteCandidate(candidateId, userId = null, organizationId) {
     try {
       await this.initialize();
 
@@ -300,7 +346,7 @@ export class CandidateService {
 
       const collection = await getCandidatesCollection();
       const result = await collection.findOneAndUpdate(
-        { _id: new ObjectId(candidateId), 'metadata.isActive': true },
+        scopeQuery({ _id: new ObjectId(candidateId), 'metadata.isActive': true }, organizationId),
         {
           $set: {
             'metadata.isActive': false,
@@ -318,11 +364,20 @@ export class CandidateService {
         );
       }
 
+      // Without returnDocument the update hands back the candidate as it was before
+      await recordAuditEvent({
+        organizationId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CANDIDATE_DELETED,
+        target: describeCandidateTarget(result),
+        before: this._auditSnapshot(result)
+      });
+
       console.log(`Deleted candidate: ${candidateId}`);
       return true;
 
     } catch (error) {
-      if (error instanceof CandidateServiceError) {
+      if (error instanceof CandidateServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -339,21 +394,37 @@ export class CandidateService {
    * Lists candidates with pagination and filtering
    * @param {Object} filters - Filter criteria
    * @param {Object} pagination - Pagination parameters
+   * @param {string} organizationId - Organization to list candidates for
    * @returns {Promise<Object>} Paginated candidates list
    */
-  async listCandidates(filters = {}, pagination = {}) {
+  async listCandidates(filters = {}, pagination = {}, organizationId) {
     try {
       await this.initialize();
 
       const { page, limit, skip } = validatePaginationParams(pagination);
       
       // Build query
-      const query = { 'metadata.isActive': true };
+      const query = scopeQuery({ 'metadata.isActive': true }, organizationId);
       
       // Apply filters
+      if (filters.pipelineTemplateId) {
+        if (!isDefaultTemplateId(filters.pipelineTemplateId) && !ObjectId.isValid(filters.pipelineTemplateId)) {
+          throw new CandidateServiceError(
+            'Invalid pipeline template ID format',
+            'INVALID_TEMPLATE_ID',
+            400
+          );
+        }
+        Object.assign(query, buildTemplateCandidateQuery(filters.pipelineTemplateId));
+      }
+
       if (filters.stage) {
         query['pipelineInfo.currentStage'] = filters.stage;
       }
+
+      if (filters.outcome) {
+        Object.assign(query, buildOutcomeQuery(filters.outcome));
+      }
       
       if (filters.skills && Array.isArray(filters.skills)) {
         query['professionalInfo.skills'] = { $in: filters.skills };
@@ -397,6 +468,10 @@ export class CandidateService {
       };
 
     } catch (error) {
+      if (error instanceof CandidateServiceError || error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
       console.error('Failed to list candidates:', error);
       throw new CandidateServiceError(
         'Failed to list candidates',
@@ -411,13 +486,18 @@ export class CandidateService {
    * @param {string} query - Search query
    * @param {Object} filters - Additional filters
    * @param {Object} pagination - Pagination parameters
+   * @param {string} organizationId - Organization to search within
    * @returns {Promise<Object>} Search results
    */
-  async searchCandidates(query, filters = {}, pagination = {}) {
+  async searchCandidates(query, filters = {}, pagination = {}, organizationId) {
     try {
       const searchFilters = { ...filters, search: query };
-      return await this.listCandidates(searchFilters, pagination);
+      return await this.listCandidates(searchFilters, pagination, organizationId);
     } catch (error) {
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
       console.error('Failed to search candidates:', error);
       throw new CandidateServiceError(
         'Failed to search candidates',
@@ -452,6 +532,10 @@ export class CandidateService {
         .filter(Boolean);
     }
 
+    if (normalized.workHistory !== undefined) {
+      normalized.workHistory = normalizeWorkHistory(normalized.workHistory);
+    }
+
     return normalized;
   }
 
@@ -482,6 +566,8 @@ export class CandidateService {
           normalized.professionalInfo[key] = normalized.professionalInfo[key]
             .map(skill => sanitizeString(skill))
             .filter(Boolean);
+        } else if (key === 'workHistory') {
+          normalized.professionalInfo[key] = normalizeWorkHistory(normalized.professionalInfo[key]);
         } else if (typeof normalized.professionalInfo[key] === 'string') {
           normalized.professionalInfo[key] = sanitizeString(normalized.professionalInfo[key]);
         }
@@ -491,6 +577,18 @@ export class CandidateService {
     return this._normalizeData(normalized);
   }
 
+  /**
+   * Picks the candidate fields compared in audit entries
+   * @private
+   */
+  _auditSnapshot(candidate) {
+    return {
+      personalInfo: candidate.personalInfo,
+      professionalInfo: candidate.professionalInfo,
+      currentStage: candidate.pipelineInfo?.currentStage
+    };
+  }
+
   /**
    * Gets the MongoDB field path for a given field
    * @private
@@ -505,6 +603,7 @@ export class CandidateService {
       currentRole: 'professionalInfo.currentRole',
       experience: 'professionalInfo.experience',
       skills: 'professionalInfo.skills',
+      workHistory: 'professionalInfo.workHistory',
       appliedForRole: 'professionalInfo.appliedForRole',
       source: 'professionalInfo.source'
     };
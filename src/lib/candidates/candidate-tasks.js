@@ -0,0 +1,178 @@
+/**
+ * Candidate Tasks
+ * Follow-ups for a team role on a candidate ("Schedule the onsite",
+ * "Collect references"), kept on the candidate document next to their notes.
+ * Tasks are created by automation rules when a candidate enters a stage
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCandidatesCollection } from './candidate-db.js';
+import { scopeQuery } from '../team/organization-scope.js';
+import { hasPermission } from '../team/invitation-models.js';
+
+/**
+ * Task statuses
+ */
+export const TASK_STATUS = {
+  OPEN: 'open',
+  DONE: 'done'
+};
+
+/**
+ * Candidate task errors
+ */
+export class CandidateTaskError extends Error {
+  constructor(message, code = 'CANDIDATE_TASK_ERROR', statusCode = 500) {
+    super(message);
+    this.name = 'CandidateTaskError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Creates a task entry
+ * @param {Object} taskData - { title, assigneeRole, dueAt, source }
+ * @param {Object} [taskData.source] - What created the task ({ type: 'automation', ruleId, ruleName, runId })
+ * @param {Date} [now] - Creation time
+ * @returns {Object} Task entry
+ */
+export function createTaskEntry(taskData, now = new Date()) {
+  return {
+    _id: new ObjectId(),
+    title: taskData.title,
+    assigneeRole: taskData.assigneeRole,
+    dueAt: taskData.dueAt || null,
+    status: TASK_STATUS.OPEN,
+    source: taskData.source || null,
+    createdAt: now,
+    completedAt: null,
+    completedBy: null
+  };
+}
+
+/**
+ * Formats a task for the API
+ * @param {Object} task - Task entry
+ * @returns {Object} Formatted task
+ */
+export function formatTask(task) {
+  return {
+    id: task._id.toString(),
+    title: task.title,
+    assigneeRole: task.assigneeRole,
+    dueAt: task.dueAt,
+    status: task.status,
+    ruleName: task.source?.ruleName || null,
+    createdAt: task.createdAt,
+    completedAt: task.completedAt,
+    completedBy: task.completedBy?.name || null
+  };
+}
+
+/**
+ * Adds a task to a candidate
+ * @param {string|ObjectId} candidateId - Candidate ID
+ * @param {string} organizationId - Organization the candidate belongs to
+ * @param {Object} taskData - See createTaskEntry
+ * @returns {Promise<Object>} Task entry
+ */
+export async function addCandidateTask(candidateId, organizationId, taskData) {
+  const task = createTaskEntry(taskData);
+
+  const collection = await getCandidatesCollection();
+  const result = await collection.updateOne(
+    scopeQuery({ _id: new ObjectId(candidateId.toString()), 'metadata.isActive': true }, organizationId),
+    { $push: { tasks: task } }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new CandidateTaskError('Candidate not found', 'NOT_FOUND', 404);
+  }
+
+  return task;
+}
+
+/**
+ * Lists a candidate's tasks, open tasks first and then by due date
+ * @param {string} candidateId - Candidate ID
+ * @param {string} organizationId - Organization the candidate belongs to
+ * @returns {Promise<Array<Object>>} Formatted tasks
+ */
+export async function listCandidateTasks(candidateId, organizationId) {
+  if (!ObjectId.isValid(candidateId)) {
+    throw new CandidateTaskError('Invalid candidate ID format', 'INVALID_ID', 400);
+  }
+
+  const collection = await getCandidatesCollection();
+  const candidate = await collection.findOne(
+    scopeQuery({ _id: new ObjectId(candidateId), 'metadata.isActive': true }, organizationId),
+    { projection: { tasks: 1 } }
+  );
+
+  if (!candidate) {
+    throw new CandidateTaskError('Candidate not found', 'NOT_FOUND', 404);
+  }
+
+  const dueTime = task => (task.dueAt ? new Date(task.dueAt).getTime() : Infinity);
+
+  return [...(candidate.tasks || [])]
+    .sort((a, b) =>
+      (a.status === TASK_STATUS.OPEN ? 0 : 1) - (b.status === TASK_STATUS.OPEN ? 0 : 1) ||
+      dueTime(a) - dueTime(b)
+    )
+    .map(formatTask);
+}
+
+/**
+ * Marks a task done, or reopens it
+ * Tasks can be updated by members of the role they are assigned to and by
+ * anyone who manages candidates
+ * @param {string} candidateId - Candidate ID
+ * @param {string} taskId - Task ID
+ * @param {string} status - TASK_STATUS value
+ * @param {Object} context - Team context of the user ({ userId, name, role, organizationId })
+ * @returns {Promise<Object>} Formatted task
+ */
+export async function updateCandidateTaskStatus(candidateId, taskId, status, context) {
+  if (!ObjectId.isValid(candidateId) || !ObjectId.isValid(taskId)) {
+    throw new CandidateTaskError('Invalid task ID format', 'INVALID_ID', 400);
+  }
+
+  if (!Object.values(TASK_STATUS).includes(status)) {
+    throw new CandidateTaskError(`Status must be one of: ${Object.values(TASK_STATUS).join(', ')}`, 'INVALID_STATUS', 400);
+  }
+
+  const collection = await getCandidatesCollection();
+  const query = scopeQuery({
+    _id: new ObjectId(candidateId),
+    'metadata.isActive': true,
+    'tasks._id': new ObjectId(taskId)
+  }, context.organizationId);
+
+  const candidate = await collection.findOne(query, { projection: { 'tasks.$': 1 } });
+  const task = candidate?.tasks?.[0];
+
+  if (!task) {
+    throw new CandidateTaskError('Task not found', 'NOT_FOUND', 404);
+  }
+
+  if (task.assigneeRole !== context.role && !hasPermission(context.role, 'canManageCandidates')) {
+    throw new CandidateTaskError(`This task is assigned to ${task.assigneeRole}s`, 'FORBIDDEN', 403);
+  }
+
+  const done = status === TASK_STATUS.DONE;
+  const result = await collection.findOneAndUpdate(
+    query,
+    {
+      $set: {
+        'tasks.$.status': status,
+        'tasks.$.completedAt': done ? new Date() : null,
+        'tasks.$.completedBy': done ? { userId: new ObjectId(context.userId), name: context.name || null } : null
+      }
+    },
+    { returnDocument: 'after', projection: { tasks: 1 } }
+  );
+
+  return formatTask(result.tasks.find(entry => entry._id.equals(task._id)));
+}
@@ -3,7 +3,16 @@
  * Provides validation functions for candidate data integrity
  */
 
-import { PIPELINE_STAGES, APPLICATION_SOURCES, DOCUMENT_TYPES, NOTE_TYPES, VALID_STAGE_TRANSITIONS } from './candidate-models.js';
+import {
+  PIPELINE_STAGES,
+  APPLICATION_SOURCES,
+  DOCUMENT_TYPES,
+  NOTE_TYPES,
+  VALID_STAGE_TRANSITIONS,
+  CANDIDATE_OUTCOMES,
+  OUTCOME_REASONS
+} from './candidate-models.js';
+import { getStageKeys, getAllowedNextStages } from './pipeline-template-models.js';
 
 /**
  * Email validation regex
@@ -87,6 +96,53 @@ export function validatePersonalInfo(personalInfo) {
   }
 }
 
+/**
+ * Maximum number of work history entries on a candidate
+ */
+const MAX_WORK_HISTORY_ENTRIES = 20;
+
+/**
+ * Collects validation errors for work history entries
+ * @param {Array} workHistory - Work history entries ({ title, company, startDate, endDate })
+ * @returns {Array<Object>} Field errors
+ */
+function getWorkHistoryErrors(workHistory) {
+  const errors = [];
+
+  if (!Array.isArray(workHistory)) {
+    return [{ field: 'workHistory', message: 'Work history must be an array' }];
+  }
+
+  if (workHistory.length > MAX_WORK_HISTORY_ENTRIES) {
+    errors.push({ field: 'workHistory', message: `Cannot have more than ${MAX_WORK_HISTORY_ENTRIES} work history entries` });
+  }
+
+  workHistory.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      errors.push({ field: `workHistory[${index}]`, message: 'Each work history entry must be an object' });
+      return;
+    }
+
+    ['title', 'company'].forEach(key => {
+      if (entry[key] !== undefined && entry[key] !== null) {
+        if (typeof entry[key] !== 'string') {
+          errors.push({ field: `workHistory[${index}].${key}`, message: `Work history ${key} must be a string` });
+        } else if (entry[key].trim().length > 100) {
+          errors.push({ field: `workHistory[${index}].${key}`, message: `Work history ${key} cannot exceed 100 characters` });
+        }
+      }
+    });
+
+    ['startDate', 'endDate'].forEach(key => {
+      if (entry[key] !== undefined && entry[key] !== null && !/^\d{4}(-(0[1-9]|1[0-2]))?$/.test(entry[key])) {
+        errors.push({ field: `workHistory[${index}].${key}`, message: 'Work history dates must be YYYY or YYYY-MM' });
+      }
+    });
+  });
+
+  return errors;
+}
+
 /**
  * Validates candidate professional information
  * @param {Object} professionalInfo - Professional information object
@@ -132,6 +188,11 @@ export function validateProfessionalInfo(professionalInfo) {
     }
   }
 
+  // Work history validation (optional)
+  if (professionalInfo.workHistory !== undefined) {
+    errors.push(...getWorkHistoryErrors(professionalInfo.workHistory));
+  }
+
   // Applied for role validation (optional)
   if (professionalInfo.appliedForRole) {
     if (typeof professionalInfo.appliedForRole !== 'string') {
@@ -157,16 +218,18 @@ export function validateProfessionalInfo(professionalInfo) {
 /**
  * Validates pipeline stage
  * @param {string} stage - Pipeline stage
+ * @param {Object|null} template - Pipeline template the stage must belong to (defaults to PIPELINE_STAGES)
  * @throws {ValidationError} If validation fails
  */
-export function validatePipelineStage(stage) {
+export function validatePipelineStage(stage, template = null) {
   if (!stage || typeof stage !== 'string') {
     throw new ValidationError('Pipeline stage is required and must be a string', 'stage');
   }
 
-  if (!Object.values(PIPELINE_STAGES).includes(stage)) {
+  const stages = template ? getStageKeys(template) : Object.values(PIPELINE_STAGES);
+  if (!stages.includes(stage)) {
     throw new ValidationError(
-      `Pipeline stage must be one of: ${Object.values(PIPELINE_STAGES).join(', ')}`,
+      `Pipeline stage must be one of: ${stages.join(', ')}`,
       'stage'
     );
   }
@@ -176,17 +239,20 @@ export function validatePipelineStage(stage) {
  * Validates stage transition
  * @param {string} fromStage - Current stage
  * @param {string} toStage - Target stage
+ * @param {Object|null} template - Pipeline template whose transitions apply (defaults to VALID_STAGE_TRANSITIONS)
  * @throws {ValidationError} If transition is invalid
  */
-export function validateStageTransition(fromStage, toStage) {
-  validatePipelineStage(fromStage);
-  validatePipelineStage(toStage);
+export function validateStageTransition(fromStage, toStage, template = null) {
+  validatePipelineStage(fromStage, template);
+  validatePipelineStage(toStage, template);
 
   if (fromStage === toStage) {
     return; // Same stage is allowed
   }
 
-  const validTransitions = VALID_STAGE_TRANSITIONS[fromStage] || [];
+  const validTransitions = template
+    ? getAllowedNextStages(template, fromStage)
+    : VALID_STAGE_TRANSITIONS[fromStage] || [];
   if (!validTransitions.includes(toStage)) {
     throw new ValidationError(
       `Invalid stage transition from ${fromStage} to ${toStage}. Valid transitions: ${validTransitions.join(', ')}`,
@@ -195,6 +261,51 @@ export function validateStageTransition(fromStage, toStage) {
   }
 }
 
+/**
+ * Maximum length of the note attached to an outcome
+ */
+const OUTCOME_NOTE_MAX_LENGTH = 1000;
+
+/**
+ * Validates a terminal outcome and its reason code
+ * @param {Object} outcomeData - Outcome data ({ outcome, reason, note })
+ * @throws {ValidationError} If validation fails
+ */
+export function validateCandidateOutcome(outcomeData) {
+  if (!outcomeData || typeof outcomeData !== 'object') {
+    throw new ValidationError('Outcome data is required', 'outcome');
+  }
+
+  const { outcome, reason, note } = outcomeData;
+
+  if (!Object.values(CANDIDATE_OUTCOMES).includes(outcome)) {
+    throw new ValidationError(
+      `Outcome must be one of: ${Object.values(CANDIDATE_OUTCOMES).join(', ')}`,
+      'outcome'
+    );
+  }
+
+  const reasons = OUTCOME_REASONS[outcome];
+  if (!reasons.includes(reason)) {
+    throw new ValidationError(
+      `Reason for ${outcome} must be one of: ${reasons.join(', ')}`,
+      'reason'
+    );
+  }
+
+  if (note !== undefined && note !== null) {
+    if (typeof note !== 'string') {
+      throw new ValidationError('Outcome note must be a string', 'note');
+    }
+    if (note.trim().length > OUTCOME_NOTE_MAX_LENGTH) {
+      throw new ValidationError(
+        `Outcome note must be ${OUTCOME_NOTE_MAX_LENGTH} characters or less`,
+        'note'
+      );
+    }
+  }
+}
+
 /**
  * Validates document metadata
  * @param {Object} documentData - Document metadata
@@ -283,9 +394,10 @@ export function validateNoteData(noteData) {
 /**
  * Validates complete candidate data
  * @param {Object} candidateData - Complete candidate data
+ * @param {Object|null} template - Pipeline template the candidate is placed on
  * @throws {ValidationError} If validation fails
  */
-export function validateCandidateData(candidateData) {
+export function validateCandidateData(candidateData, template = null) {
   if (!candidateData || typeof candidateData !== 'object') {
     throw new ValidationError('Candidate data is required and must be an object');
   }
@@ -307,12 +419,14 @@ export function validateCandidateData(candidateData) {
   // Validate professional info if provided
   if (candidateData.professionalInfo) {
     validateProfessionalInfo(candidateData.professionalInfo);
+  } else if (candidateData.workHistory !== undefined) {
+    validateProfessionalInfo({ workHistory: candidateData.workHistory });
   }
 
   // Validate pipeline stage if provided
   if (candidateData.currentStage || (candidateData.pipelineInfo && candidateData.pipelineInfo.currentStage)) {
     const stage = candidateData.currentStage || candidateData.pipelineInfo.currentStage;
-    validatePipelineStage(stage);
+    validatePipelineStage(stage, template);
   }
 }
 
@@ -4,15 +4,20 @@
  */
 
 import { ObjectId } from 'mongodb';
-import { getCandidatesCollection } from './candidate-db.js';
+import { getCandidatesCollection, emailExists } from './candidate-db.js';
 import { 
   DOCUMENT_TYPES, 
+  DOCUMENT_TEXT_MAX_LENGTH,
   createDocumentMetadata 
 } from './candidate-models.js';
 import { 
   validateDocumentUpload,
-  validateDocumentType 
+  validateDocumentType,
+  ValidationError
 } from './candidate-validation.js';
+import { parseResume, ResumeParseError, detectResumeFormat, extractResumeText } from './resume-parser.js';
+import { scopeQuery, OrganizationScopeError } from '../team/organization-scope.js';
+import { recordAuditEvent, describeCandidateTarget, AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '../audit/audit-log.js';
 import fs from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
@@ -29,6 +34,40 @@ export class DocumentServiceError extends Error {
   }
 }
 
+/**
+ * Replaces a document's extracted text with a flag, keeping API responses small
+ * @param {Object} document - Document metadata
+ * @returns {Object} Document metadata without textContent
+ */
+function toDocumentResponse(document) {
+  const response = { ...document, hasSearchableText: Boolean(document.textContent) };
+  delete response.textContent;
+  return response;
+}
+
+/**
+ * Builds the target of an audit entry about a document
+ * @param {Object} document - Document metadata
+ * @returns {Object} { type, id, label }
+ */
+function describeDocumentTarget(document) {
+  return {
+    type: AUDIT_TARGET_TYPES.DOCUMENT,
+    id: document._id,
+    label: document.originalName
+  };
+}
+
+/**
+ * Names the candidate a document belongs to in an audit entry
+ * @param {Object} candidate - Candidate document (at least _id and personalInfo)
+ * @returns {Object} { candidateId, candidateName }
+ */
+function describeDocumentCandidate(candidate) {
+  const target = describeCandidateTarget(candidate);
+  return { candidateId: target.id, candidateName: target.label };
+}
+
 /**
  * Document Service Class
  */
@@ -78,15 +117,42 @@ export class DocumentService {
     return `${candidateId}_${timestamp}_${random}_${sanitizedBaseName}${extension}`;
   }
 
+  /**
+   * Extracts searchable text from a document
+   * Images, legacy .doc files and unreadable files yield an empty string so
+   * they never block an upload. This runs while the upload request waits, so
+   * it relies on the parser's decompression limit: a compressed "bomb" is
+   * reported as unreadable after MAX_INFLATED_BYTES instead of expanding
+   * @param {Object} fileData - File data object ({ originalName, mimeType, buffer })
+   * @returns {string} Extracted text
+   */
+  extractDocumentText(fileData) {
+    const format = detectResumeFormat(fileData.mimeType, fileData.originalName);
+    if (!format) {
+      return '';
+    }
+
+    try {
+      return extractResumeText(fileData.buffer, format)
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, DOCUMENT_TEXT_MAX_LENGTH);
+    } catch (error) {
+      console.warn(`Failed to extract text from ${fileData.originalName}:`, error.message);
+      return '';
+    }
+  }
+
   /**
    * Uploads a document for a candidate
    * @param {string} candidateId - Candidate ID
    * @param {Object} fileData - File data object
    * @param {string} documentType - Type of document
    * @param {string} uploadedBy - ID of user uploading
+   * @param {string} organizationId - Organization the candidate must belong to
    * @returns {Promise<Object>} Document metadata
    */
-  async uploadDocument(candidateId, fileData, documentType = DOCUMENT_TYPES.OTHER, uploadedBy = null) {
+  async uploadDocument(candidateId, fileData, documentType = DOCUMENT_TYPES.OTHER, uploadedBy = null, organizationId) {
     try {
       // Validate inputs
       if (!ObjectId.isValid(candidateId)) {
@@ -136,17 +202,18 @@ export class DocumentService {
         size: fileData.size,
         documentType,
         filePath,
-        uploadedBy
+        uploadedBy,
+        textContent: this.extractDocumentText(fileData)
       });
 
       // Add document to candidate record
       const collection = await getCandidatesCollection();
       
       const result = await collection.findOneAndUpdate(
-        { 
+        scopeQuery({ 
           _id: new ObjectId(candidateId),
           'metadata.isActive': true
-        },
+        }, organizationId),
         {
           $push: {
             documents: documentMetadata
@@ -169,11 +236,20 @@ export class DocumentService {
         );
       }
 
+      await recordAuditEvent({
+        organizationId,
+        actorId: uploadedBy,
+        action: AUDIT_ACTIONS.DOCUMENT_UPLOADED,
+        target: describeDocumentTarget(documentMetadata),
+        after: { originalName: fileData.originalName, documentType, size: fileData.size },
+        metadata: describeDocumentCandidate(result)
+      });
+
       console.log(`Document uploaded for candidate ${candidateId}: ${filename}`);
-      return documentMetadata;
+      return toDocumentResponse(documentMetadata);
 
     } catch (error) {
-      if (error instanceof DocumentServiceError) {
+      if (error instanceof DocumentServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -186,13 +262,75 @@ export class DocumentService {
     }
   }
 
+  /**
+   * Parses a resume into a proposed candidate
+   * Nothing is saved: the proposal is reviewed and then submitted through
+   * createCandidate, which repeats the duplicate email check
+   * @param {Object} fileData - File data object ({ originalName, mimeType, size, buffer })
+   * @param {string} organizationId - Organization to check for duplicates in
+   * @returns {Promise<Object>} { candidate, format, duplicate: { email, exists } }
+   */
+  async parseResume(fileData, organizationId) {
+    try {
+      validateDocumentUpload(fileData);
+
+      if (fileData.size > this.maxFileSize) {
+        throw new DocumentServiceError(
+          `File size exceeds maximum allowed size of ${this.maxFileSize} bytes`,
+          'FILE_TOO_LARGE',
+          400
+        );
+      }
+
+      const { format, profile } = parseResume(fileData.buffer, fileData.mimeType, fileData.originalName);
+
+      const exists = profile.email
+        ? await emailExists(profile.email, null, organizationId)
+        : false;
+
+      return {
+        candidate: profile,
+        format,
+        duplicate: {
+          email: profile.email || null,
+          exists
+        }
+      };
+
+    } catch (error) {
+      if (error instanceof ResumeParseError) {
+        throw new DocumentServiceError(
+          error.message,
+          error.code,
+          error.code === 'UNSUPPORTED_FORMAT' ? 400 : 422
+        );
+      }
+      if (error instanceof ValidationError) {
+        throw new DocumentServiceError(error.message, 'VALIDATION_ERROR', 400);
+      }
+      if (error instanceof DocumentServiceError || error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
+      console.error('Failed to parse resume:', error);
+      throw new DocumentServiceError(
+        'Failed to parse resume',
+        'PARSE_ERROR',
+        500
+      );
+    }
+  }
+
   /**
    * Retrieves a document for a candidate
+   * Every retrieval is a download and is recorded in the audit log
    * @param {string} candidateId - Candidate ID
    * @param {string} documentId - Document ID
+   * @param {string} organizationId - Organization the candidate must belong to
+   * @param {string} downloadedBy - ID of user downloading
    * @returns {Promise<Object>} Document data and metadata
    */
-  async getDocument(candidateId, documentId) {
+  async getDocument(candidateId, documentId, organizationId, downloadedBy = null) {
     try {
       if (!ObjectId.isValid(candidateId) || !ObjectId.isValid(documentId)) {
         throw new DocumentServiceError(
@@ -205,14 +343,15 @@ export class DocumentService {
       const collection = await getCandidatesCollection();
       
       const candidate = await collection.findOne(
-        { 
+        scopeQuery({ 
           _id: new ObjectId(candidateId),
           'metadata.isActive': true,
           'documents._id': new ObjectId(documentId),
           'documents.isActive': true
-        },
+        }, organizationId),
         {
           projection: {
+            personalInfo: 1,
             'documents.$': 1
           }
         }
@@ -241,13 +380,21 @@ export class DocumentService {
         );
       }
 
+      await recordAuditEvent({
+        organizationId,
+        actorId: downloadedBy,
+        action: AUDIT_ACTIONS.DOCUMENT_DOWNLOADED,
+        target: describeDocumentTarget(document),
+        metadata: describeDocumentCandidate(candidate)
+      });
+
       return {
         metadata: document,
         buffer: fileBuffer
       };
 
     } catch (error) {
-      if (error instanceof DocumentServiceError) {
+      if (error instanceof DocumentServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -263,9 +410,10 @@ export class DocumentService {
   /**
    * Lists all documents for a candidate
    * @param {string} candidateId - Candidate ID
+   * @param {string} organizationId - Organization the candidate must belong to
    * @returns {Promise<Array>} Array of document metadata
    */
-  async listDocuments(candidateId) {
+  async listDocuments(candidateId, organizationId) {
     try {
       if (!ObjectId.isValid(candidateId)) {
         throw new DocumentServiceError(
@@ -278,10 +426,10 @@ export class DocumentService {
       const collection = await getCandidatesCollection();
       
       const candidate = await collection.findOne(
-        { 
+        scopeQuery({ 
           _id: new ObjectId(candidateId),
           'metadata.isActive': true
-        },
+        }, organizationId),
         {
           projection: {
             documents: 1
@@ -298,12 +446,14 @@ export class DocumentService {
       }
 
       // Filter active documents
-      const activeDocuments = (candidate.documents || []).filter(doc => doc.isActive);
+      const activeDocuments = (candidate.documents || [])
+        .filter(doc => doc.isActive)
+        .map(toDocumentResponse);
 
       return activeDocuments;
 
     } catch (error) {
-      if (error instanceof DocumentServiceError) {
+      if (error instanceof DocumentServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -321,9 +471,10 @@ export class DocumentService {
    * @param {string} candidateId - Candidate ID
    * @param {string} documentId - Document ID
    * @param {string} deletedBy - ID of user deleting
+   * @param {string} organizationId - Organization the candidate must belong to
    * @returns {Promise<boolean>} Success status
    */
-  async deleteDocument(candidateId, documentId, deletedBy = null) {
+  async deleteDocument(candidateId, documentId, deletedBy = null, organizationId) {
     try {
       if (!ObjectId.isValid(candidateId) || !ObjectId.isValid(documentId)) {
         throw new DocumentServiceError(
@@ -337,13 +488,14 @@ export class DocumentService {
       
       // First get the document to find the file path
       const candidate = await collection.findOne(
-        { 
+        scopeQuery({ 
           _id: new ObjectId(candidateId),
           'metadata.isActive': true,
           'documents._id': new ObjectId(documentId)
-        },
+        }, organizationId),
         {
           projection: {
+            personalInfo: 1,
             'documents.$': 1
           }
         }
@@ -361,15 +513,17 @@ export class DocumentService {
 
       // Mark document as inactive (soft delete)
       const result = await collection.findOneAndUpdate(
-        { 
+        scopeQuery({ 
           _id: new ObjectId(candidateId),
           'documents._id': new ObjectId(documentId)
-        },
+        }, organizationId),
         {
           $set: {
             'documents.$.isActive': false,
             'documents.$.deletedAt': new Date(),
             'documents.$.deletedBy': deletedBy ? new ObjectId(deletedBy) : null,
+            // Deleted documents must stop matching searches
+            'documents.$.textContent': '',
             'metadata.updatedAt': new Date()
           }
         },
@@ -391,11 +545,20 @@ export class DocumentService {
       //   console.warn('Failed to delete physical file:', error);
       // }
 
+      await recordAuditEvent({
+        organizationId,
+        actorId: deletedBy,
+        action: AUDIT_ACTIONS.DOCUMENT_DELETED,
+        target: describeDocumentTarget(document),
+        before: { originalName: document.originalName, documentType: document.documentType, size: document.size },
+        metadata: describeDocumentCandidate(candidate)
+      });
+
       console.log(`Document deleted for candidate ${candidateId}: ${document.filename}`);
       return true;
 
     } catch (error) {
-      if (error instanceof DocumentServiceError) {
+      if (error instanceof DocumentServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -411,9 +574,10 @@ export class DocumentService {
   /**
    * Gets document statistics for a candidate
    * @param {string} candidateId - Candidate ID
+   * @param {string} organizationId - Organization the candidate must belong to
    * @returns {Promise<Object>} Document statistics
    */
-  async getDocumentStats(candidateId) {
+  async getDocumentStats(candidateId, organizationId) {
     try {
       if (!ObjectId.isValid(candidateId)) {
         throw new DocumentServiceError(
@@ -423,7 +587,7 @@ export class DocumentService {
         );
       }
 
-      const documents = await this.listDocuments(candidateId);
+      const documents = await this.listDocuments(candidateId, organizationId);
 
       const stats = {
         totalDocuments: documents.length,
@@ -448,7 +612,7 @@ export class DocumentService {
       return stats;
 
     } catch (error) {
-      if (error instanceof DocumentServiceError) {
+      if (error instanceof DocumentServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
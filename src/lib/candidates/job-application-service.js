@@ -4,8 +4,11 @@
  */
 
 import { ObjectId } from 'mongodb';
+import { getCollection, getUsersCollection } from '../mongodb.js';
 import { getCandidatesCollection } from './candidate-db.js';
 import { APPLICATION_SOURCES } from './candidate-models.js';
+import { extractJobRequirements, scoreCandidateMatch, rankByMatch } from './match-scoring.js';
+import { scopeQuery, OrganizationScopeError } from '../team/organization-scope.js';
 
 /**
  * Job application service error class
@@ -27,15 +30,45 @@ export class JobApplicationService {
   constructor() {
     // Configuration
     this.maxApplicationsPerCandidate = 50;
+    this.defaultTopMatchesLimit = 10;
+    this.maxTopMatchesLimit = 50;
+    // Most recently updated candidates considered for talent pool matches
+    this.matchPoolSize = 2000;
+  }
+
+  /**
+   * Loads a job and the requirements candidates are scored against
+   * @param {string} jobId - Job ID
+   * @param {string} organizationId - Organization the job must belong to
+   * @returns {Promise<Object>} { job, requirements }
+   * @private
+   */
+  async _getJobRequirements(jobId, organizationId) {
+    const jobsCollection = await getCollection('jobs');
+    const job = await jobsCollection.findOne(
+      scopeQuery({ _id: new ObjectId(jobId) }, organizationId),
+      { projection: { title: 1, location: 1, requirements: 1 } }
+    );
+
+    if (!job) {
+      throw new JobApplicationServiceError(
+        'Job not found',
+        'JOB_NOT_FOUND',
+        404
+      );
+    }
+
+    return { job, requirements: extractJobRequirements(job) };
   }
 
   /**
    * Links a candidate to a job application
    * @param {string} candidateId - Candidate ID
    * @param {Object} applicationData - Job application data
+   * @param {string} organizationId - Organization the candidate must belong to
    * @returns {Promise<Object>} Updated candidate with job application
    */
-  async linkJobApplication(candidateId, applicationData) {
+  async linkJobApplication(candidateId, applicationData, organizationId) {
     try {
       // Validate inputs
       if (!ObjectId.isValid(candidateId)) {
@@ -61,10 +94,10 @@ export class JobApplicationService {
 
       // Check if candidate exists and get current applications
       const candidate = await collection.findOne(
-        { 
+        scopeQuery({ 
           _id: new ObjectId(candidateId),
           'metadata.isActive': true
-        },
+        }, organizationId),
         {
           projection: {
             jobApplications: 1
@@ -117,10 +150,10 @@ export class JobApplicationService {
 
       // Add job application to candidate
       const result = await collection.findOneAndUpdate(
-        { 
+        scopeQuery({ 
           _id: new ObjectId(candidateId),
           'metadata.isActive': true
-        },
+        }, organizationId),
         {
           $push: {
             jobApplications: jobApplication
@@ -144,7 +177,7 @@ export class JobApplicationService {
       return jobApplication;
 
     } catch (error) {
-      if (error instanceof JobApplicationServiceError) {
+      if (error instanceof JobApplicationServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -162,9 +195,10 @@ export class JobApplicationService {
    * @param {string} candidateId - Candidate ID
    * @param {string} applicationId - Job application ID
    * @param {Object} updateData - Update data
+   * @param {string} organizationId - Organization the candidate must belong to
    * @returns {Promise<Object>} Updated job application
    */
-  async updateJobApplication(candidateId, applicationId, updateData) {
+  async updateJobApplication(candidateId, applicationId, updateData, organizationId) {
     try {
       // Validate inputs
       if (!ObjectId.isValid(candidateId) || !ObjectId.isValid(applicationId)) {
@@ -196,11 +230,11 @@ export class JobApplicationService {
 
       // Update job application
       const result = await collection.findOneAndUpdate(
-        { 
+        scopeQuery({ 
           _id: new ObjectId(candidateId),
           'metadata.isActive': true,
           'jobApplications._id': new ObjectId(applicationId)
-        },
+        }, organizationId),
         {
           $set: updateOps
         },
@@ -224,7 +258,7 @@ export class JobApplicationService {
       return updatedApplication;
 
     } catch (error) {
-      if (error instanceof JobApplicationServiceError) {
+      if (error instanceof JobApplicationServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -241,9 +275,10 @@ export class JobApplicationService {
    * Removes a job application link
    * @param {string} candidateId - Candidate ID
    * @param {string} applicationId - Job application ID
+   * @param {string} organizationId - Organization the candidate must belong to
    * @returns {Promise<boolean>} Success status
    */
-  async unlinkJobApplication(candidateId, applicationId) {
+  async unlinkJobApplication(candidateId, applicationId, organizationId) {
     try {
       // Validate inputs
       if (!ObjectId.isValid(candidateId) || !ObjectId.isValid(applicationId)) {
@@ -258,10 +293,10 @@ export class JobApplicationService {
 
       // Remove job application
       const result = await collection.findOneAndUpdate(
-        { 
+        scopeQuery({ 
           _id: new ObjectId(candidateId),
           'metadata.isActive': true
-        },
+        }, organizationId),
         {
           $pull: {
             jobApplications: { _id: new ObjectId(applicationId) }
@@ -285,7 +320,7 @@ export class JobApplicationService {
       return true;
 
     } catch (error) {
-      if (error instanceof JobApplicationServiceError) {
+      if (error instanceof JobApplicationServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -301,9 +336,10 @@ export class JobApplicationService {
   /**
    * Gets all job applications for a candidate
    * @param {string} candidateId - Candidate ID
+   * @param {string} organizationId - Organization the candidate must belong to
    * @returns {Promise<Array>} Array of job applications
    */
-  async getCandidateApplications(candidateId) {
+  async getCandidateApplications(candidateId, organizationId) {
     try {
       if (!ObjectId.isValid(candidateId)) {
         throw new JobApplicationServiceError(
@@ -316,10 +352,10 @@ export class JobApplicationService {
       const collection = await getCandidatesCollection();
       
       const candidate = await collection.findOne(
-        { 
+        scopeQuery({ 
           _id: new ObjectId(candidateId),
           'metadata.isActive': true
-        },
+        }, organizationId),
         {
           projection: {
             jobApplications: 1
@@ -338,7 +374,7 @@ export class JobApplicationService {
       return candidate.jobApplications || [];
 
     } catch (error) {
-      if (error instanceof JobApplicationServiceError) {
+      if (error instanceof JobApplicationServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -352,12 +388,14 @@ export class JobApplicationService {
   }
 
   /**
-   * Gets candidates who applied for a specific job
+   * Gets candidates who applied for a specific job, each with a match score
+   * against the job's requirements
    * @param {string} jobId - Job ID
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (sortBy: appliedDate, name or match)
+   * @param {string} organizationId - Organization to draw candidates from
    * @returns {Promise<Array>} Array of candidates
    */
-  async getJobCandidates(jobId, options = {}) {
+  async getJobCandidates(jobId, options = {}, organizationId) {
     try {
       if (!ObjectId.isValid(jobId)) {
         throw new JobApplicationServiceError(
@@ -367,15 +405,16 @@ export class JobApplicationService {
         );
       }
 
+      const { requirements } = await this._getJobRequirements(jobId, organizationId);
       const collection = await getCandidatesCollection();
       
       const pipeline = [
         // Match candidates with applications for this job
         {
-          $match: {
+          $match: scopeQuery({
             'metadata.isActive': true,
             'jobApplications.jobId': new ObjectId(jobId)
-          }
+          }, organizationId)
         },
         // Add application details
         {
@@ -406,8 +445,11 @@ export class JobApplicationService {
         }
       ];
 
+      // Match scores are computed after the query, so ranking pages in memory
+      const sortByMatch = options.sortBy === 'match';
+
       // Add sorting
-      if (options.sortBy) {
+      if (options.sortBy && !sortByMatch) {
         const sortStage = {};
         const direction = options.sortOrder === 'desc' ? -1 : 1;
         
@@ -427,17 +469,26 @@ export class JobApplicationService {
       }
 
       // Add pagination
-      if (options.limit) {
-        const skip = ((options.page || 1) - 1) * options.limit;
+      const skip = ((options.page || 1) - 1) * (options.limit || 0);
+      if (options.limit && !sortByMatch) {
         pipeline.push({ $skip: skip });
         pipeline.push({ $limit: options.limit });
       }
 
-      const candidates = await collection.aggregate(pipeline).toArray();
-      return candidates;
+      const candidates = (await collection.aggregate(pipeline).toArray()).map(candidate => ({
+        ...candidate,
+        match: scoreCandidateMatch(candidate, requirements)
+      }));
+
+      if (!sortByMatch) {
+        return candidates;
+      }
+
+      const ranked = rankByMatch(candidates);
+      return options.limit ? ranked.slice(skip, skip + options.limit) : ranked;
 
     } catch (error) {
-      if (error instanceof JobApplicationServiceError) {
+      if (error instanceof JobApplicationServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -450,21 +501,163 @@ export class JobApplicationService {
     }
   }
 
+  /**
+   * Ranks open candidates in the talent pool who have not applied for a job
+   * by how well they match its requirements
+   * @param {string} jobId - Job ID
+   * @param {Object} options - { limit, minScore }
+   * @param {string} organizationId - Organization to draw candidates from
+   * @returns {Promise<Object>} { requirements, matches }
+   */
+  async getTopMatches(jobId, options = {}, organizationId) {
+    try {
+      if (!ObjectId.isValid(jobId)) {
+        throw new JobApplicationServiceError(
+          'Invalid job ID format',
+          'INVALID_JOB_ID',
+          400
+        );
+      }
+
+      const limit = Math.min(Math.max(parseInt(options.limit) || this.defaultTopMatchesLimit, 1), this.maxTopMatchesLimit);
+      const minScore = Math.min(Math.max(parseInt(options.minScore) || 0, 0), 100);
+
+      const { requirements } = await this._getJobRequirements(jobId, organizationId);
+      const collection = await getCandidatesCollection();
+
+      const candidates = await collection
+        .find(
+          scopeQuery({
+            'metadata.isActive': true,
+            'pipelineInfo.outcome': null,
+            'jobApplications.jobId': { $ne: new ObjectId(jobId) }
+          }, organizationId),
+          {
+            projection: {
+              personalInfo: 1,
+              professionalInfo: 1,
+              'pipelineInfo.currentStage': 1,
+              'pipelineInfo.templateId': 1,
+              'metadata.updatedAt': 1
+            }
+          }
+        )
+        .sort({ 'metadata.updatedAt': -1 })
+        .limit(this.matchPoolSize)
+        .toArray();
+
+      const matches = rankByMatch(
+        candidates.map(candidate => ({
+          ...candidate,
+          match: scoreCandidateMatch(candidate, requirements)
+        }))
+      )
+        .filter(candidate => candidate.match.score >= minScore)
+        .slice(0, limit);
+
+      return { requirements, matches };
+
+    } catch (error) {
+      if (error instanceof JobApplicationServiceError || error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
+      console.error('Failed to get top matches:', error);
+      throw new JobApplicationServiceError(
+        'Failed to get top matches',
+        'TOP_MATCHES_ERROR',
+        500
+      );
+    }
+  }
+
+  /**
+   * Scores job board applications against the job they were submitted to
+   * Converted applications use the candidate's profile; others use the
+   * profile on the applicant's account
+   * @param {string} jobId - Job ID
+   * @param {Array<Object>} applications - Applications from getApplicationsByJob
+   * @param {string} organizationId - Organization the job belongs to
+   * @returns {Promise<Array>} Applications with a match property
+   */
+  async scoreApplications(jobId, applications, organizationId) {
+    try {
+      if (!ObjectId.isValid(jobId)) {
+        throw new JobApplicationServiceError(
+          'Invalid job ID format',
+          'INVALID_JOB_ID',
+          400
+        );
+      }
+
+      const { requirements } = await this._getJobRequirements(jobId, organizationId);
+
+      const candidateIds = applications
+        .map(application => application.convertedToCandidateId)
+        .filter(Boolean);
+      const applicantIds = applications
+        .filter(application => ObjectId.isValid(application.applicantId))
+        .map(application => new ObjectId(application.applicantId));
+
+      const candidatesCollection = await getCandidatesCollection();
+      const usersCollection = await getUsersCollection();
+
+      const [candidates, users] = await Promise.all([
+        candidateIds.length > 0
+          ? candidatesCollection.find(
+            scopeQuery({ _id: { $in: candidateIds } }, organizationId),
+            { projection: { personalInfo: 1, professionalInfo: 1 } }
+          ).toArray()
+          : [],
+        applicantIds.length > 0
+          ? usersCollection.find(
+            { _id: { $in: applicantIds } },
+            { projection: { location: 1, experience: 1, skills: 1 } }
+          ).toArray()
+          : []
+      ]);
+
+      const candidatesById = new Map(candidates.map(candidate => [candidate._id.toString(), candidate]));
+      const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+      return applications.map(application => {
+        const user = usersById.get(application.applicantId);
+        const profile = candidatesById.get(application.convertedToCandidateId?.toString()) || {
+          personalInfo: { location: user?.location || '' },
+          professionalInfo: { experience: user?.experience || '', skills: user?.skills || [] }
+        };
+
+        return { ...application, match: scoreCandidateMatch(profile, requirements) };
+      });
+
+    } catch (error) {
+      if (error instanceof JobApplicationServiceError || error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
+      console.error('Failed to score applications:', error);
+      throw new JobApplicationServiceError(
+        'Failed to score applications',
+        'SCORE_ERROR',
+        500
+      );
+    }
+  }
+
   /**
    * Gets application statistics
    * @param {Object} filters - Optional filters
+   * @param {string} organizationId - Organization to report on
    * @returns {Promise<Object>} Application statistics
    */
-  async getApplicationStats(filters = {}) {
+  async getApplicationStats(filters = {}, organizationId) {
     try {
       const collection = await getCandidatesCollection();
       
       const pipeline = [
         // Match active candidates
         {
-          $match: {
-            'metadata.isActive': true
-          }
+          $match: scopeQuery({ 'metadata.isActive': true }, organizationId)
         },
         // Unwind job applications
         {
@@ -582,6 +775,10 @@ export class JobApplicationService {
       return result[0];
 
     } catch (error) {
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
       console.error('Failed to get application stats:', error);
       throw new JobApplicationServiceError(
         'Failed to get application statistics',
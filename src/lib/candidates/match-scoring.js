@@ -0,0 +1,258 @@
+/**
+ * Candidate Match Scoring
+ * Deterministic, explainable scores comparing a candidate's skills,
+ * experience and location against a job's requirements
+ */
+
+import { KNOWN_SKILLS } from './resume-parser.js';
+
+/**
+ * Weight of each part of the score (out of 100)
+ * Parts that a job does not specify are left out and the rest rescaled
+ */
+export const MATCH_WEIGHTS = {
+  skills: 60,
+  experience: 25,
+  location: 15
+};
+
+/**
+ * Skills named in a "nice to have" line count this much of a required skill
+ */
+export const PREFERRED_SKILL_WEIGHT = 0.5;
+
+/**
+ * Credit given when the candidate has not filled in a field the job asks about
+ */
+const UNKNOWN_FIELD_CREDIT = 0.5;
+
+/**
+ * Requirement lines describing optional skills
+ */
+const PREFERRED_LINE_PATTERN = /nice[ -]to[ -]have|preferred|bonus|a plus|desirable|optional/i;
+
+/**
+ * Other spellings of known skills, keyed by normalized form
+ */
+const SKILL_ALIASES = {
+  js: 'javascript',
+  ts: 'typescript',
+  golang: 'go',
+  node: 'nodejs',
+  reactjs: 'react',
+  vuejs: 'vue',
+  k8s: 'kubernetes',
+  postgres: 'postgresql',
+  mongo: 'mongodb',
+  amazonwebservices: 'aws',
+  googlecloud: 'gcp',
+  googlecloudplatform: 'gcp',
+  dotnet: 'net',
+  ml: 'machinelearning'
+};
+
+/**
+ * Normalizes a skill name so "Node.js", "NodeJS" and "node" compare equal
+ * @param {string} skill - Skill name
+ * @returns {string} Comparison key
+ */
+export function normalizeSkill(skill) {
+  const key = String(skill || '')
+    .toLowerCase()
+    .replace(/\+/g, 'plus')
+    .replace(/#/g, 'sharp')
+    .replace(/[^a-z0-9]/g, '');
+
+  return SKILL_ALIASES[key] || key;
+}
+
+/**
+ * Reads the first number of years from text such as "5 years", "3-5 yrs" or "7+"
+ * @param {string} text - Experience text
+ * @returns {number|null} Years, or null if none are given
+ */
+export function parseExperienceYears(text) {
+  const match = String(text || '').match(/(\d+(?:\.\d+)?)\s*(?:\+|-|–|to|years?|yrs?|$)/i);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Reads the skills, minimum experience and location a job asks for
+ * Skills are the well-known skills named in the requirements; those only named
+ * on "nice to have" lines are preferred rather than required
+ * @param {Object} job - Job with requirements and location
+ * @returns {Object} { skills, preferredSkills, minYears, location, isRemote }
+ */
+export function extractJobRequirements(job) {
+  const skills = [];
+  const preferredSkills = [];
+  const lines = String(job?.requirements || '').split(/\n|(?<=[.;])\s+/);
+
+  KNOWN_SKILLS.forEach(skill => {
+    const escaped = skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(^|[^\\w.#+])${escaped}(?![\\w#+])`, 'i');
+    const mentions = lines.filter(line => pattern.test(line));
+
+    if (mentions.length === 0) {
+      return;
+    }
+
+    if (mentions.every(line => PREFERRED_LINE_PATTERN.test(line))) {
+      preferredSkills.push(skill);
+    } else {
+      skills.push(skill);
+    }
+  });
+
+  const years = [...String(job?.requirements || '').matchAll(/(\d+)\s*\+?\s*(?:(?:-|–|to)\s*\d+\s*)?(?:years?|yrs?)/gi)]
+    .map(match => Number(match[1]))
+    .filter(value => value > 0 && value <= 40);
+
+  return {
+    skills,
+    preferredSkills,
+    minYears: years.length > 0 ? Math.min(...years) : null,
+    location: job?.location || '',
+    isRemote: /\bremote\b/i.test(job?.location || '')
+  };
+}
+
+/**
+ * Splits a location into lowercase parts ("Austin, TX" -> ["austin", "tx"])
+ */
+function locationParts(location) {
+  return String(location || '')
+    .toLowerCase()
+    .split(/[,/|(]|\s-\s/)
+    .map(part => part.replace(/[)]/g, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Scores the skills part of a match
+ * @private
+ */
+function scoreSkills(candidateSkills, requirements) {
+  const owned = new Set((candidateSkills || []).map(normalizeSkill));
+  const split = (skills) => ({
+    matched: skills.filter(skill => owned.has(normalizeSkill(skill))),
+    missing: skills.filter(skill => !owned.has(normalizeSkill(skill)))
+  });
+
+  const required = split(requirements.skills);
+  const preferred = split(requirements.preferredSkills);
+  const total = requirements.skills.length + requirements.preferredSkills.length * PREFERRED_SKILL_WEIGHT;
+  const earned = required.matched.length + preferred.matched.length * PREFERRED_SKILL_WEIGHT;
+
+  return {
+    weight: MATCH_WEIGHTS.skills,
+    score: total > 0 ? earned / total : null,
+    matched: required.matched,
+    missing: required.missing,
+    preferredMatched: preferred.matched,
+    preferredMissing: preferred.missing
+  };
+}
+
+/**
+ * Scores the experience part of a match
+ * @private
+ */
+function scoreExperience(candidateExperience, requirements) {
+  const candidateYears = parseExperienceYears(candidateExperience);
+  let score = null;
+
+  if (requirements.minYears !== null) {
+    score = candidateYears === null
+      ? UNKNOWN_FIELD_CREDIT
+      : Math.min(1, candidateYears / requirements.minYears);
+  }
+
+  return {
+    weight: MATCH_WEIGHTS.experience,
+    score,
+    candidateYears,
+    requiredYears: requirements.minYears
+  };
+}
+
+/**
+ * Scores the location part of a match
+ * @private
+ */
+function scoreLocation(candidateLocation, requirements) {
+  const jobParts = locationParts(requirements.location);
+  const candidateParts = locationParts(candidateLocation);
+  let status;
+  let score;
+
+  if (jobParts.length === 0) {
+    status = 'not_specified';
+    score = null;
+  } else if (requirements.isRemote) {
+    status = 'remote';
+    score = 1;
+  } else if (candidateParts.length === 0) {
+    status = 'unknown';
+    score = UNKNOWN_FIELD_CREDIT;
+  } else if (candidateParts[0] === jobParts[0]) {
+    status = 'same_city';
+    score = 1;
+  } else if (candidateParts.some(part => jobParts.includes(part))) {
+    status = 'same_region';
+    score = 0.5;
+  } else {
+    status = 'different';
+    score = 0;
+  }
+
+  return {
+    weight: MATCH_WEIGHTS.location,
+    score,
+    status,
+    candidateLocation: candidateLocation || '',
+    jobLocation: requirements.location
+  };
+}
+
+/**
+ * Scores how well a candidate fits a job
+ * The same candidate and job always give the same score, and the breakdown
+ * lists every input so recruiters can see why a candidate ranks where they do
+ * @param {Object} candidate - Candidate with personalInfo and professionalInfo
+ * @param {Object} requirements - Result of extractJobRequirements
+ * @returns {Object} { score (0-100), breakdown: { skills, experience, location } }
+ */
+export function scoreCandidateMatch(candidate, requirements) {
+  const breakdown = {
+    skills: scoreSkills(candidate?.professionalInfo?.skills, requirements),
+    experience: scoreExperience(candidate?.professionalInfo?.experience, requirements),
+    location: scoreLocation(candidate?.personalInfo?.location, requirements)
+  };
+
+  const parts = Object.values(breakdown).filter(part => part.score !== null);
+  const totalWeight = parts.reduce((sum, part) => sum + part.weight, 0);
+  const earned = parts.reduce((sum, part) => sum + part.weight * part.score, 0);
+
+  return {
+    score: totalWeight > 0 ? Math.round((earned / totalWeight) * 100) : 0,
+    breakdown
+  };
+}
+
+/**
+ * Orders scored candidates best match first
+ * Ties are broken by name so the ranking is stable between requests
+ * @param {Array<Object>} candidates - Candidates with a match property
+ * @returns {Array<Object>} Sorted copy
+ */
+export function rankByMatch(candidates) {
+  const nameOf = (candidate) =>
+    `${candidate.personalInfo?.lastName || ''} ${candidate.personalInfo?.firstName || ''}`.toLowerCase();
+
+  return [...candidates].sort((a, b) =>
+    b.match.score - a.match.score
+    || nameOf(a).localeCompare(nameOf(b))
+    || String(a._id).localeCompare(String(b._id))
+  );
+}
@@ -8,12 +8,34 @@ import { getCandidatesCollection } from './candidate-db.js';
 import { 
   PIPELINE_STAGES, 
   VALID_STAGE_TRANSITIONS, 
-  createStageHistoryEntry 
+  CANDIDATE_OUTCOMES,
+  createStageHistoryEntry,
+  createOutcomeRecord,
+  createOutcomeHistoryEntry
 } from './candidate-models.js';
 import { 
   validatePipelineStage, 
-  validateStageTransition 
+  validateStageTransition,
+  validateCandidateOutcome
 } from './candidate-validation.js';
+import {
+  getStageKeys,
+  getEntryStage,
+  getHiredStages,
+  getAllowedNextStages,
+  buildTemplateCandidateQuery
+} from './pipeline-template-models.js';
+import { pipelineTemplateService, PipelineTemplateServiceError } from './pipeline-template-service.js';
+import { scopeQuery, OrganizationScopeError } from '../team/organization-scope.js';
+import { getTeamDirectory } from '../team/invitation-db.js';
+import { dispatchNotification } from '../notifications/notification-dispatcher.js';
+import { NOTIFICATION_EVENTS } from '../notifications/notification-models.js';
+import { notifyUsers, buildNotificationLink, USER_NOTIFICATION_TYPES } from '../notifications/notification-center.js';
+import { generateStageChangedEmail } from '../email/notification-templates.js';
+import { automationService } from '../automations/automation-service.js';
+import { recordAuditEvent, describeCandidateTarget, AUDIT_ACTIONS } from '../audit/audit-log.js';
+import { getEnvConfig } from '../env.js';
+import { redactScorecardHistory } from '../interviews/scorecard-models.js';
 
 /**
  * Pipeline service error class
@@ -27,20 +49,168 @@ export class PipelineServiceError extends Error {
   }
 }
 
+/**
+ * Assembles the funnel drop-off report from aggregation results
+ * Exits at stages the template no longer has are only counted in the totals
+ * @param {Object} template - Pipeline template
+ * @param {Array} openStats - [{ _id: stage, count }] for open candidates
+ * @param {Array} exitStats - [{ _id: { stage, outcome, reason }, count }] for closed candidates
+ * @returns {Object} { templateId, stages: [...], totals }
+ */
+export function buildFunnelDropOff(template, openStats, exitStats) {
+  const createCounts = () => {
+    const byOutcome = {};
+    const byReason = {};
+    Object.values(CANDIDATE_OUTCOMES).forEach(outcome => {
+      byOutcome[outcome] = 0;
+      byReason[outcome] = {};
+    });
+    return { exited: 0, byOutcome, byReason };
+  };
+
+  const addExit = (counts, outcome, reason, count) => {
+    if (counts.byOutcome[outcome] === undefined) {
+      return;
+    }
+    counts.exited += count;
+    counts.byOutcome[outcome] += count;
+    counts.byReason[outcome][reason] = (counts.byReason[outcome][reason] || 0) + count;
+  };
+
+  const stages = template.stages.map(stage => ({
+    key: stage.key,
+    label: stage.label,
+    open: 0,
+    ...createCounts()
+  }));
+  const stagesByKey = new Map(stages.map(stage => [stage.key, stage]));
+  const totals = { open: 0, ...createCounts() };
+
+  openStats.forEach(stat => {
+    const stage = stagesByKey.get(stat._id);
+    if (stage) {
+      stage.open += stat.count;
+    }
+    totals.open += stat.count;
+  });
+
+  exitStats.forEach(stat => {
+    const { stage: stageKey, outcome, reason } = stat._id || {};
+    const stage = stagesByKey.get(stageKey);
+    if (stage) {
+      addExit(stage, outcome, reason, stat.count);
+    }
+    addExit(totals, outcome, reason, stat.count);
+  });
+
+  // Candidates reached a stage if they are open or left at it or any later stage (in template order)
+  let reached = 0;
+  for (let i = stages.length - 1; i >= 0; i--) {
+    reached += stages[i].open + stages[i].exited;
+    stages[i].reached = reached;
+    stages[i].dropOffRate = reached > 0 ? (stages[i].exited / reached) * 100 : 0;
+  }
+
+  return { templateId: template.id, stages, totals };
+}
+
 /**
  * Pipeline Service Class
  */
 export class PipelineService {
+
+  /**
+   * Tells the rest of the team a candidate moved stage, and notifies them in
+   * the app when the candidate reaches an offer or is hired
+   * Failures are logged and never fail the stage change
+   * @param {Object} candidate - Updated candidate document
+   * @param {Object} template - Candidate's pipeline template
+   * @param {string} fromStage - Previous stage key
+   * @param {string} toStage - New stage key
+   * @param {string} userId - ID of user who made the change
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _notifyStageChange(candidate, template, fromStage, toStage, userId) {
+    if (!candidate.organizationId) {
+      return;
+    }
+
+    try {
+      const directory = await getTeamDirectory(candidate.organizationId);
+      const actor = directory.find(member => member.userId === userId?.toString());
+      const recipients = directory.filter(member => member.email && member !== actor);
+      const stageLabel = key => (template?.stages || []).find(stage => stage.key === key)?.label || key;
+      const { firstName, lastName } = candidate.personalInfo;
+
+      await dispatchNotification(NOTIFICATION_EVENTS.STAGE_CHANGED, recipients, recipient =>
+        generateStageChangedEmail({
+          recipientName: recipient.name,
+          candidateName: `${firstName} ${lastName}`,
+          fromStage: stageLabel(fromStage),
+          toStage: stageLabel(toStage),
+          changedBy: actor?.name || null,
+          link: `${getEnvConfig().NEXTAUTH_URL}/candidates`
+        }),
+        { organizationId: candidate.organizationId }
+      );
+
+      // Reaching the offer or a hired stage also shows up in the app
+      if (toStage === PIPELINE_STAGES.OFFER || getHiredStages(template).includes(toStage)) {
+        await notifyUsers(directory.map(member => member.userId), {
+          organizationId: candidate.organizationId,
+          type: USER_NOTIFICATION_TYPES.STAGE_MILESTONE,
+          title: `${firstName} ${lastName} moved to ${stageLabel(toStage)}`,
+          body: actor?.name ? `Moved from ${stageLabel(fromStage)} by ${actor.name}.` : `Moved from ${stageLabel(fromStage)}.`,
+          link: buildNotificationLink('candidate', candidate._id),
+          actor: { userId, name: actor?.name }
+        });
+      }
+    } catch (error) {
+      console.error('Failed to notify team of stage change:', error);
+    }
+  }
   
+  /**
+   * Schedules the automation rules a stage change triggers
+   * Failures are logged and never fail the stage change
+   * @param {Object} candidate - Updated candidate document
+   * @param {Object} template - Candidate's pipeline template
+   * @param {string} fromStage - Previous stage key
+   * @param {string} toStage - New stage key
+   * @param {string} userId - ID of user who made the change
+   * @param {Date} changedAt - When the change was recorded in the stage history
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _scheduleAutomations(candidate, template, fromStage, toStage, userId, changedAt) {
+    try {
+      const stageLabel = key => (template?.stages || []).find(stage => stage.key === key)?.label || key;
+
+      await automationService.scheduleStageChangeRuns(candidate, {
+        fromStage,
+        toStage,
+        fromStageLabel: stageLabel(fromStage),
+        toStageLabel: stageLabel(toStage),
+        userId,
+        changedAt
+      });
+    } catch (error) {
+      console.error(`Failed to schedule automations for candidate ${candidate._id}:`, error);
+    }
+  }
+
   /**
    * Updates a candidate's pipeline stage
+   * The stage and transition are checked against the candidate's pipeline template
    * @param {string} candidateId - Candidate ID
    * @param {string} newStage - New pipeline stage
    * @param {string} userId - ID of user making the change
    * @param {string} notes - Optional notes about the stage change
+   * @param {string} organizationId - Organization the candidate must belong to
    * @returns {Promise<Object>} Updated candidate
    */
-  async updateCandidateStage(candidateId, newStage, userId = null, notes = '') {
+  async updateCandidateStage(candidateId, newStage, userId = null, notes = '', organizationId) {
     try {
       if (!ObjectId.isValid(candidateId)) {
         throw new PipelineServiceError(
@@ -50,16 +220,13 @@ export class PipelineService {
         );
       }
 
-      // Validate the new stage
-      validatePipelineStage(newStage);
-
       const collection = await getCandidatesCollection();
       
       // Get current candidate
-      const candidate = await collection.findOne({ 
+      const candidate = await collection.findOne(scopeQuery({ 
         _id: new ObjectId(candidateId),
         'metadata.isActive': true
-      });
+      }, organizationId));
 
       if (!candidate) {
         throw new PipelineServiceError(
@@ -69,10 +236,20 @@ export class PipelineService {
         );
       }
 
+      if (candidate.pipelineInfo.outcome) {
+        throw new PipelineServiceError(
+          `Candidate was closed as ${candidate.pipelineInfo.outcome.type}. Reopen them before changing their stage.`,
+          'CANDIDATE_CLOSED',
+          409
+        );
+      }
+
       const currentStage = candidate.pipelineInfo.currentStage;
+      const template = await pipelineTemplateService.getTemplateForCandidate(candidate, organizationId);
 
-      // Validate stage transition
-      validateStageTransition(currentStage, newStage);
+      // Validate the new stage and the transition against the candidate's template
+      validatePipelineStage(newStage, template);
+      validateStageTransition(currentStage, newStage, template);
 
       // Create stage history entry
       const historyEntry = createStageHistoryEntry(currentStage, newStage, userId, notes);
@@ -88,25 +265,51 @@ export class PipelineService {
         }
       };
 
+      // Only moves the candidate from the stage that was checked, so two
+      // simultaneous moves can't both record a transition and fire its automations
       const result = await collection.findOneAndUpdate(
-        { _id: new ObjectId(candidateId), 'metadata.isActive': true },
+        scopeQuery({
+          _id: new ObjectId(candidateId),
+          'metadata.isActive': true,
+          'pipelineInfo.currentStage': currentStage,
+          'pipelineInfo.outcome': null
+        }, organizationId),
         updateDoc,
         { returnDocument: 'after' }
       );
 
       if (!result) {
         throw new PipelineServiceError(
-          'Failed to update candidate stage',
-          'UPDATE_FAILED',
-          500
+          'The candidate was updated by someone else. Refresh and try again.',
+          'STAGE_CONFLICT',
+          409
         );
       }
 
+      await recordAuditEvent({
+        organizationId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CANDIDATE_STAGE_CHANGED,
+        target: describeCandidateTarget(result),
+        before: { currentStage },
+        after: { currentStage: newStage },
+        metadata: notes ? { notes } : null
+      });
+
       console.log(`Updated candidate ${candidateId} from ${currentStage} to ${newStage}`);
+
+      await this._notifyStageChange(result, template, currentStage, newStage, userId);
+      await this._scheduleAutomations(result, template, currentStage, newStage, userId, historyEntry.timestamp);
+
       return result;
 
     } catch (error) {
-      if (error instanceof PipelineServiceError) {
+      if (
+        error instanceof PipelineServiceError ||
+        error instanceof PipelineTemplateServiceError ||
+        error instanceof OrganizationScopeError ||
+        error.name === 'ValidationError'
+      ) {
         throw error;
       }
       
@@ -119,17 +322,219 @@ export class PipelineService {
     }
   }
 
+  /**
+   * Closes a candidate with a terminal outcome (rejected, withdrawn, offer declined)
+   * The candidate stays in their current stage so reports can tell where they left the funnel
+   * @param {string} candidateId - Candidate ID
+   * @param {Object} outcomeData - { outcome, reason, note }
+   * @param {string} userId - ID of user recording the outcome
+   * @param {string} organizationId - Organization the candidate must belong to
+   * @returns {Promise<Object>} Updated candidate
+   */
+  async recordOutcome(candidateId, outcomeData, userId = null, organizationId) {
+    try {
+      if (!ObjectId.isValid(candidateId)) {
+        throw new PipelineServiceError(
+          'Invalid candidate ID format',
+          'INVALID_ID',
+          400
+        );
+      }
+
+      validateCandidateOutcome(outcomeData);
+
+      const collection = await getCandidatesCollection();
+      const candidate = await collection.findOne(scopeQuery({
+        _id: new ObjectId(candidateId),
+        'metadata.isActive': true
+      }, organizationId));
+
+      if (!candidate) {
+        throw new PipelineServiceError(
+          'Candidate not found',
+          'NOT_FOUND',
+          404
+        );
+      }
+
+      if (candidate.pipelineInfo.outcome) {
+        throw new PipelineServiceError(
+          `Candidate was already closed as ${candidate.pipelineInfo.outcome.type}`,
+          'CANDIDATE_CLOSED',
+          409
+        );
+      }
+
+      const outcome = createOutcomeRecord(candidate.pipelineInfo.currentStage, outcomeData, userId);
+
+      // Guard against a concurrent close between the read and the write
+      const result = await collection.findOneAndUpdate(
+        scopeQuery({
+          _id: new ObjectId(candidateId),
+          'metadata.isActive': true,
+          'pipelineInfo.outcome': null
+        }, organizationId),
+        {
+          $set: {
+            'pipelineInfo.outcome': outcome,
+            'metadata.updatedAt': new Date()
+          },
+          $push: {
+            'pipelineInfo.stageHistory': createOutcomeHistoryEntry(outcome)
+          }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!result) {
+        throw new PipelineServiceError(
+          'Candidate was closed by another change',
+          'CANDIDATE_CLOSED',
+          409
+        );
+      }
+
+      await recordAuditEvent({
+        organizationId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CANDIDATE_CLOSED,
+        target: describeCandidateTarget(result),
+        before: { outcome: null },
+        after: { outcome: { type: outcome.type, reason: outcome.reason, stage: outcome.stage } }
+      });
+
+      console.log(`Closed candidate ${candidateId} as ${outcome.type} (${outcome.reason}) at ${outcome.stage}`);
+      return result;
+
+    } catch (error) {
+      if (
+        error instanceof PipelineServiceError ||
+        error instanceof OrganizationScopeError ||
+        error.name === 'ValidationError'
+      ) {
+        throw error;
+      }
+
+      console.error('Failed to record candidate outcome:', error);
+      throw new PipelineServiceError(
+        'Failed to record candidate outcome',
+        'OUTCOME_ERROR',
+        500
+      );
+    }
+  }
+
+  /**
+   * Reopens a closed candidate in the stage they were closed at
+   * @param {string} candidateId - Candidate ID
+   * @param {string} userId - ID of user reopening the candidate
+   * @param {string} notes - Optional notes about why the candidate was reopened
+   * @param {string} organizationId - Organization the candidate must belong to
+   * @returns {Promise<Object>} Updated candidate
+   */
+  async reopenCandidate(candidateId, userId = null, notes = '', organizationId) {
+    try {
+      if (!ObjectId.isValid(candidateId)) {
+        throw new PipelineServiceError(
+          'Invalid candidate ID format',
+          'INVALID_ID',
+          400
+        );
+      }
+
+      const collection = await getCandidatesCollection();
+      const candidate = await collection.findOne(scopeQuery({
+        _id: new ObjectId(candidateId),
+        'metadata.isActive': true
+      }, organizationId));
+
+      if (!candidate) {
+        throw new PipelineServiceError(
+          'Candidate not found',
+          'NOT_FOUND',
+          404
+        );
+      }
+
+      if (!candidate.pipelineInfo.outcome) {
+        throw new PipelineServiceError(
+          'Candidate is not closed',
+          'CANDIDATE_OPEN',
+          409
+        );
+      }
+
+      const stage = candidate.pipelineInfo.currentStage;
+      const historyEntry = {
+        ...createStageHistoryEntry(stage, stage, userId, notes),
+        outcome: 'reopened',
+        reason: null
+      };
+
+      const result = await collection.findOneAndUpdate(
+        scopeQuery({ _id: new ObjectId(candidateId), 'metadata.isActive': true }, organizationId),
+        {
+          $set: {
+            'pipelineInfo.outcome': null,
+            'metadata.updatedAt': new Date()
+          },
+          $push: {
+            'pipelineInfo.stageHistory': historyEntry
+          }
+        },
+        { returnDocument: 'after' }
+      );
+
+      await recordAuditEvent({
+        organizationId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.CANDIDATE_REOPENED,
+        target: describeCandidateTarget(candidate),
+        before: { outcome: { type: candidate.pipelineInfo.outcome.type, reason: candidate.pipelineInfo.outcome.reason } },
+        after: { outcome: null },
+        metadata: notes ? { notes } : null
+      });
+
+      console.log(`Reopened candidate ${candidateId} at ${stage}`);
+      return result;
+
+    } catch (error) {
+      if (error instanceof PipelineServiceError || error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
+      console.error('Failed to reopen candidate:', error);
+      throw new PipelineServiceError(
+        'Failed to reopen candidate',
+        'REOPEN_ERROR',
+        500
+      );
+    }
+  }
+
   /**
    * Gets candidates grouped by pipeline stage
+   * Groups follow the stages of filters.pipelineTemplateId (the standard pipeline by default)
    * @param {Object} filters - Optional filters
+   * @param {string} organizationId - Organization to group candidates for
    * @returns {Promise<Object>} Candidates grouped by stage
    */
-  async getCandidatesByStage(filters = {}) {
+  async getCandidatesByStage(filters = {}, organizationId) {
     try {
       const collection = await getCandidatesCollection();
+      const template = await pipelineTemplateService.requireTemplate(
+        filters.pipelineTemplateId || null,
+        organizationId,
+        { includeArchived: true }
+      );
+      const stageKeys = getStageKeys(template);
       
-      // Build base query
-      const baseQuery = { 'metadata.isActive': true };
+      // Build base query (closed candidates are not on the board)
+      const baseQuery = scopeQuery({
+        'metadata.isActive': true,
+        'pipelineInfo.outcome': null,
+        ...buildTemplateCandidateQuery(template.id)
+      }, organizationId);
       
       // Apply additional filters
       if (filters.skills && Array.isArray(filters.skills)) {
@@ -167,7 +572,7 @@ export class PipelineService {
       
       // Initialize all stages with empty arrays
       const groupedCandidates = {};
-      Object.values(PIPELINE_STAGES).forEach(stage => {
+      stageKeys.forEach(stage => {
         groupedCandidates[stage] = {
           candidates: [],
           count: 0
@@ -176,7 +581,7 @@ export class PipelineService {
 
       // Populate with actual data
       results.forEach(result => {
-        if (result._id && Object.values(PIPELINE_STAGES).includes(result._id)) {
+        if (result._id && stageKeys.includes(result._id)) {
           groupedCandidates[result._id] = {
             candidates: result.candidates,
             count: result.count
@@ -187,6 +592,10 @@ export class PipelineService {
       return groupedCandidates;
 
     } catch (error) {
+      if (error instanceof PipelineTemplateServiceError || error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
       console.error('Failed to get candidates by stage:', error);
       throw new PipelineServiceError(
         'Failed to retrieve candidates by stage',
@@ -199,9 +608,10 @@ export class PipelineService {
   /**
    * Gets stage history for a candidate
    * @param {string} candidateId - Candidate ID
+   * @param {string} organizationId - Organization the candidate must belong to
    * @returns {Promise<Array>} Stage history
    */
-  async getStageHistory(candidateId) {
+  async getStageHistory(candidateId, organizationId) {
     try {
       if (!ObjectId.isValid(candidateId)) {
         throw new PipelineServiceError(
@@ -214,7 +624,7 @@ export class PipelineService {
       const collection = await getCandidatesCollection();
       
       const candidate = await collection.findOne(
-        { _id: new ObjectId(candidateId), 'metadata.isActive': true },
+        scopeQuery({ _id: new ObjectId(candidateId), 'metadata.isActive': true }, organizationId),
         { projection: { 'pipelineInfo.stageHistory': 1 } }
       );
 
@@ -226,10 +636,10 @@ export class PipelineService {
         );
       }
 
-      return candidate.pipelineInfo.stageHistory || [];
+      return redactScorecardHistory(candidate.pipelineInfo.stageHistory);
 
     } catch (error) {
-      if (error instanceof PipelineServiceError) {
+      if (error instanceof PipelineServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -246,11 +656,12 @@ export class PipelineService {
    * Validates if a stage transition is allowed
    * @param {string} fromStage - Current stage
    * @param {string} toStage - Target stage
+   * @param {Object|null} template - Pipeline template (defaults to the standard pipeline)
    * @returns {boolean} True if transition is valid
    */
-  validateStageTransition(fromStage, toStage) {
+  validateStageTransition(fromStage, toStage, template = null) {
     try {
-      validateStageTransition(fromStage, toStage);
+      validateStageTransition(fromStage, toStage, template);
       return true;
     } catch (error) {
       return false;
@@ -260,9 +671,14 @@ export class PipelineService {
   /**
    * Gets valid next stages for a given stage
    * @param {string} currentStage - Current pipeline stage
+   * @param {Object|null} template - Pipeline template (defaults to the standard pipeline)
    * @returns {Array} Array of valid next stages
    */
-  getValidNextStages(currentStage) {
+  getValidNextStages(currentStage, template = null) {
+    if (template) {
+      return getAllowedNextStages(template, currentStage);
+    }
+
     if (!Object.values(PIPELINE_STAGES).includes(currentStage)) {
       return [];
     }
@@ -270,35 +686,59 @@ export class PipelineService {
     return VALID_STAGE_TRANSITIONS[currentStage] || [];
   }
 
+  /**
+   * Builds the candidate query shared by the pipeline reports
+   * @param {Object} filters - { dateFrom, dateTo } on the applied date
+   * @param {Object} template - Pipeline template reported on
+   * @param {string} organizationId - Organization to report on
+   * @returns {Object} MongoDB query
+   * @private
+   */
+  _buildReportQuery(filters, template, organizationId) {
+    const baseQuery = scopeQuery({
+      'metadata.isActive': true,
+      ...buildTemplateCandidateQuery(template.id)
+    }, organizationId);
+
+    if (filters.dateFrom) {
+      baseQuery['pipelineInfo.appliedDate'] = { 
+        $gte: new Date(filters.dateFrom) 
+      };
+    }
+    
+    if (filters.dateTo) {
+      baseQuery['pipelineInfo.appliedDate'] = { 
+        ...baseQuery['pipelineInfo.appliedDate'],
+        $lte: new Date(filters.dateTo) 
+      };
+    }
+
+    return baseQuery;
+  }
+
   /**
    * Gets pipeline statistics
+   * Stages, conversion and hires follow filters.pipelineTemplateId (the standard pipeline by default).
+   * The stage distribution only counts open candidates; closed ones are counted per outcome.
    * @param {Object} filters - Optional filters
+   * @param {string} organizationId - Organization to report on
    * @returns {Promise<Object>} Pipeline statistics
    */
-  async getPipelineStats(filters = {}) {
+  async getPipelineStats(filters = {}, organizationId) {
     try {
       const collection = await getCandidatesCollection();
-      
-      // Build base query
-      const baseQuery = { 'metadata.isActive': true };
-      
-      // Apply filters
-      if (filters.dateFrom) {
-        baseQuery['pipelineInfo.appliedDate'] = { 
-          $gte: new Date(filters.dateFrom) 
-        };
-      }
-      
-      if (filters.dateTo) {
-        baseQuery['pipelineInfo.appliedDate'] = { 
-          ...baseQuery['pipelineInfo.appliedDate'],
-          $lte: new Date(filters.dateTo) 
-        };
-      }
+      const template = await pipelineTemplateService.requireTemplate(
+        filters.pipelineTemplateId || null,
+        organizationId,
+        { includeArchived: true }
+      );
+      const stageKeys = getStageKeys(template);
+      const baseQuery = this._buildReportQuery(filters, template, organizationId);
+      const isOpen = { $eq: [{ $ifNull: ['$pipelineInfo.outcome', null] }, null] };
 
-      // Get stage distribution
+      // Get stage distribution of open candidates
       const stageStats = await collection.aggregate([
-        { $match: baseQuery },
+        { $match: { ...baseQuery, 'pipelineInfo.outcome': null } },
         {
           $group: {
             _id: '$pipelineInfo.currentStage',
@@ -307,7 +747,18 @@ export class PipelineService {
         }
       ]).toArray();
 
-      // Get conversion rates (candidates who moved beyond Applied stage)
+      // Get outcome distribution of closed candidates
+      const outcomeStats = await collection.aggregate([
+        { $match: { ...baseQuery, 'pipelineInfo.outcome': { $ne: null } } },
+        {
+          $group: {
+            _id: '$pipelineInfo.outcome.type',
+            count: { $sum: 1 }
+          }
+        }
+      ]).toArray();
+
+      // Get conversion rates (candidates who moved beyond the template's first stage)
       const conversionStats = await collection.aggregate([
         { $match: baseQuery },
         {
@@ -317,7 +768,7 @@ export class PipelineService {
             beyondApplied: {
               $sum: {
                 $cond: [
-                  { $ne: ['$pipelineInfo.currentStage', PIPELINE_STAGES.APPLIED] },
+                  { $ne: ['$pipelineInfo.currentStage', getEntryStage(template)] },
                   1,
                   0
                 ]
@@ -326,7 +777,7 @@ export class PipelineService {
             hired: {
               $sum: {
                 $cond: [
-                  { $eq: ['$pipelineInfo.currentStage', PIPELINE_STAGES.HIRED] },
+                  { $and: [{ $in: ['$pipelineInfo.currentStage', getHiredStages(template)] }, isOpen] },
                   1,
                   0
                 ]
@@ -337,22 +788,38 @@ export class PipelineService {
       ]).toArray();
 
       const stats = {
+        templateId: template.id,
+        stages: template.stages,
         stageDistribution: {},
+        outcomeDistribution: {},
         totalCandidates: 0,
+        activeCandidates: 0,
+        closedCandidates: 0,
         conversionRate: 0,
         hireRate: 0
       };
 
-      // Initialize all stages
-      Object.values(PIPELINE_STAGES).forEach(stage => {
+      // Initialize all stages and outcomes
+      stageKeys.forEach(stage => {
         stats.stageDistribution[stage] = 0;
       });
+      Object.values(CANDIDATE_OUTCOMES).forEach(outcome => {
+        stats.outcomeDistribution[outcome] = 0;
+      });
 
       // Populate stage distribution
       stageStats.forEach(stat => {
-        if (stat._id && Object.values(PIPELINE_STAGES).includes(stat._id)) {
+        if (stat._id && stageKeys.includes(stat._id)) {
           stats.stageDistribution[stat._id] = stat.count;
-          stats.totalCandidates += stat.count;
+          stats.activeCandidates += stat.count;
+        }
+      });
+
+      // Populate outcome distribution
+      outcomeStats.forEach(stat => {
+        if (stat._id && stats.outcomeDistribution[stat._id] !== undefined) {
+          stats.outcomeDistribution[stat._id] = stat.count;
+          stats.closedCandidates += stat.count;
         }
       });
 
@@ -371,6 +838,10 @@ export class PipelineService {
       return stats;
 
     } catch (error) {
+      if (error instanceof PipelineTemplateServiceError || error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
       console.error('Failed to get pipeline stats:', error);
       throw new PipelineServiceError(
         'Failed to retrieve pipeline statistics',
@@ -380,13 +851,67 @@ export class PipelineService {
     }
   }
 
+  /**
+   * Gets the funnel drop-off report: for each stage, how many candidates are
+   * still open and how many left it, broken down by outcome and reason code
+   * @param {Object} filters - { pipelineTemplateId, dateFrom, dateTo }
+   * @param {string} organizationId - Organization to report on
+   * @returns {Promise<Object>} Drop-off report
+   */
+  async getFunnelDropOff(filters = {}, organizationId) {
+    try {
+      const collection = await getCandidatesCollection();
+      const template = await pipelineTemplateService.requireTemplate(
+        filters.pipelineTemplateId || null,
+        organizationId,
+        { includeArchived: true }
+      );
+      const baseQuery = this._buildReportQuery(filters, template, organizationId);
+
+      const [openStats, exitStats] = await Promise.all([
+        collection.aggregate([
+          { $match: { ...baseQuery, 'pipelineInfo.outcome': null } },
+          { $group: { _id: '$pipelineInfo.currentStage', count: { $sum: 1 } } }
+        ]).toArray(),
+        collection.aggregate([
+          { $match: { ...baseQuery, 'pipelineInfo.outcome': { $ne: null } } },
+          {
+            $group: {
+              _id: {
+                stage: '$pipelineInfo.outcome.stage',
+                outcome: '$pipelineInfo.outcome.type',
+                reason: '$pipelineInfo.outcome.reason'
+              },
+              count: { $sum: 1 }
+            }
+          }
+        ]).toArray()
+      ]);
+
+      return buildFunnelDropOff(template, openStats, exitStats);
+
+    } catch (error) {
+      if (error instanceof PipelineTemplateServiceError || error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
+      console.error('Failed to get funnel drop-off:', error);
+      throw new PipelineServiceError(
+        'Failed to retrieve funnel drop-off report',
+        'FUNNEL_ERROR',
+        500
+      );
+    }
+  }
+
   /**
    * Bulk updates candidate stages
    * @param {Array} updates - Array of {candidateId, newStage, notes}
    * @param {string} userId - ID of user making the changes
+   * @param {string} organizationId - Organization the candidates must belong to
    * @returns {Promise<Object>} Update results
    */
-  async bulkUpdateStages(updates, userId = null) {
+  async bulkUpdateStages(updates, userId = null, organizationId) {
     try {
       const results = {
         successful: [],
@@ -399,7 +924,8 @@ export class PipelineService {
             update.candidateId,
             update.newStage,
             userId,
-            update.notes || ''
+            update.notes || '',
+            organizationId
           );
           
           results.successful.push({
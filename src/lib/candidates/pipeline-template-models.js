@@ -0,0 +1,224 @@
+/**
+ * Pipeline Template Data Models
+ * Defines organization-specific hiring pipelines: ordered stages and the
+ * transitions allowed between them
+ */
+
+import { ObjectId } from 'mongodb';
+import { PIPELINE_STAGES, VALID_STAGE_TRANSITIONS } from './candidate-models.js';
+
+/**
+ * ID of the built-in template used by jobs and candidates without a template
+ */
+export const DEFAULT_PIPELINE_TEMPLATE_ID = 'default';
+
+/**
+ * Limits for template definitions
+ */
+export const PIPELINE_TEMPLATE_LIMITS = {
+  MIN_STAGES: 2,
+  MAX_STAGES: 15,
+  NAME_MAX_LENGTH: 100,
+  LABEL_MAX_LENGTH: 50,
+  DESCRIPTION_MAX_LENGTH: 500
+};
+
+/**
+ * The built-in template mirrors PIPELINE_STAGES and VALID_STAGE_TRANSITIONS
+ * so existing candidates keep their current behavior
+ */
+export const DEFAULT_PIPELINE_TEMPLATE = Object.freeze({
+  id: DEFAULT_PIPELINE_TEMPLATE_ID,
+  name: 'Standard pipeline',
+  description: 'Applied, screening, interview, offer and hired',
+  stages: Object.values(PIPELINE_STAGES).map(key => ({
+    key,
+    label: key.charAt(0).toUpperCase() + key.slice(1),
+    isHired: key === PIPELINE_STAGES.HIRED
+  })),
+  transitions: { ...VALID_STAGE_TRANSITIONS },
+  isBuiltIn: true
+});
+
+/**
+ * Checks whether a template ID refers to the built-in template
+ * @param {string|ObjectId|null} templateId - Template ID
+ * @returns {boolean} True for the built-in template
+ */
+export function isDefaultTemplateId(templateId) {
+  return !templateId || templateId.toString() === DEFAULT_PIPELINE_TEMPLATE_ID;
+}
+
+/**
+ * Converts a stage label into a stage key ("Onsite loop" -> "onsite_loop")
+ * @param {string} label - Stage label
+ * @returns {string} Stage key
+ */
+export function toStageKey(label) {
+  return String(label || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Gets the ordered stage keys of a template
+ * @param {Object} template - Pipeline template
+ * @returns {Array<string>} Stage keys
+ */
+export function getStageKeys(template) {
+  return (template?.stages || []).map(stage => stage.key);
+}
+
+/**
+ * Gets the stage new candidates enter a template at
+ * @param {Object} template - Pipeline template
+ * @returns {string} First stage key
+ */
+export function getEntryStage(template) {
+  return getStageKeys(template)[0];
+}
+
+/**
+ * Gets the stages that count as a hire
+ * Templates without a flagged stage treat their last stage as the hire
+ * @param {Object} template - Pipeline template
+ * @returns {Array<string>} Hired stage keys
+ */
+export function getHiredStages(template) {
+  const stages = template?.stages || [];
+  const flagged = stages.filter(stage => stage.isHired).map(stage => stage.key);
+
+  if (flagged.length > 0 || stages.length === 0) {
+    return flagged;
+  }
+
+  return [stages[stages.length - 1].key];
+}
+
+/**
+ * Gets the stages a candidate may move to from a stage
+ * @param {Object} template - Pipeline template
+ * @param {string} fromStage - Current stage
+ * @returns {Array<string>} Allowed target stages
+ */
+export function getAllowedNextStages(template, fromStage) {
+  if (!getStageKeys(template).includes(fromStage)) {
+    return [];
+  }
+
+  return template.transitions?.[fromStage] || [];
+}
+
+/**
+ * Builds a transition map that lets every stage move to every other stage
+ * @param {Array<string>} stageKeys - Stage keys
+ * @returns {Object} Transition map
+ */
+export function createOpenTransitions(stageKeys) {
+  const transitions = {};
+  stageKeys.forEach(from => {
+    transitions[from] = stageKeys.filter(to => to !== from);
+  });
+  return transitions;
+}
+
+/**
+ * Builds the candidate query that selects candidates on a template
+ * Candidates without a template belong to the built-in one
+ * @param {string|ObjectId|null} templateId - Template ID
+ * @returns {Object} MongoDB query fragment
+ */
+export function buildTemplateCandidateQuery(templateId) {
+  if (isDefaultTemplateId(templateId)) {
+    return { 'pipelineInfo.templateId': null };
+  }
+
+  return { 'pipelineInfo.templateId': new ObjectId(templateId.toString()) };
+}
+
+/**
+ * Maps standard pipeline stages onto a template's stages
+ * Stages with the same key in the template map automatically; others must be
+ * listed in stageMapping. Legacy capitalized stages ("Interview") are lowercased first.
+ * @param {Array<string>} stages - Stages candidates are currently in
+ * @param {Object} template - Target pipeline template
+ * @param {Object} stageMapping - Map of standard stage to template stage
+ * @returns {Object} { mapping: { [stage]: templateStage }, unmapped: Array<string> }
+ */
+export function resolveStageMapping(stages, template, stageMapping = {}) {
+  const templateStages = getStageKeys(template);
+  const mapping = {};
+  const unmapped = [];
+
+  stages.forEach(stage => {
+    const normalized = typeof stage === 'string' ? stage.toLowerCase() : stage;
+    const target = stageMapping[stage] ?? stageMapping[normalized] ?? normalized;
+
+    if (templateStages.includes(target)) {
+      mapping[stage] = target;
+    } else {
+      unmapped.push(stage);
+    }
+  });
+
+  return { mapping, unmapped };
+}
+
+/**
+ * Creates a new pipeline template document
+ * @param {Object} templateData - Validated template data ({ name, description, stages, transitions })
+ * @param {string} userId - ID of the user creating the template
+ * @param {string} organizationId - Organization the template belongs to
+ * @returns {Object} Template document
+ */
+export function createPipelineTemplateDocument(templateData, userId, organizationId) {
+  const now = new Date();
+
+  return {
+    organizationId: new ObjectId(organizationId.toString()),
+    name: templateData.name,
+    description: templateData.description || '',
+    stages: templateData.stages,
+    transitions: templateData.transitions,
+    metadata: {
+      createdAt: now,
+      updatedAt: now,
+      createdBy: userId && ObjectId.isValid(userId) ? new ObjectId(userId) : null,
+      isActive: true
+    }
+  };
+}
+
+/**
+ * Formats a template document for API responses
+ * @param {Object} template - Template document
+ * @returns {Object} Formatted template
+ */
+export function formatPipelineTemplate(template) {
+  if (template.isBuiltIn) {
+    return { ...template, stages: template.stages.map(stage => ({ ...stage })) };
+  }
+
+  return {
+    id: template._id.toString(),
+    name: template.name,
+    description: template.description || '',
+    stages: template.stages,
+    transitions: template.transitions,
+    isBuiltIn: false,
+    isActive: template.metadata?.isActive !== false,
+    createdAt: template.metadata?.createdAt,
+    updatedAt: template.metadata?.updatedAt
+  };
+}
+
+/**
+ * MongoDB indexes for the pipeline templates collection
+ */
+export const PIPELINE_TEMPLATE_INDEXES = [
+  {
+    key: { organizationId: 1, 'metadata.isActive': 1, name: 1 }
+  }
+];
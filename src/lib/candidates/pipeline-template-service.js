@@ -0,0 +1,354 @@
+/**
+ * Pipeline Template Service
+ * Manages the hiring pipeline templates an organization assigns to its jobs
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection } from '../mongodb.js';
+import { getCandidatesCollection } from './candidate-db.js';
+import {
+  DEFAULT_PIPELINE_TEMPLATE,
+  PIPELINE_TEMPLATE_INDEXES,
+  isDefaultTemplateId,
+  getStageKeys,
+  buildTemplateCandidateQuery,
+  createPipelineTemplateDocument,
+  formatPipelineTemplate
+} from './pipeline-template-models.js';
+import { validatePipelineTemplateData } from './pipeline-template-validation.js';
+import { ValidationError } from './candidate-validation.js';
+import { scopeQuery, toOrganizationObjectId, OrganizationScopeError } from '../team/organization-scope.js';
+
+/**
+ * Collection name for pipeline templates
+ */
+export const PIPELINE_TEMPLATES_COLLECTION = 'pipeline_templates';
+
+/**
+ * Pipeline template service error class
+ */
+export class PipelineTemplateServiceError extends Error {
+  constructor(message, code = 'PIPELINE_TEMPLATE_ERROR', statusCode = 500) {
+    super(message);
+    this.name = 'PipelineTemplateServiceError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Pipeline Template Service Class
+ */
+export class PipelineTemplateService {
+  constructor() {
+    this.initialized = false;
+  }
+
+  /**
+   * Gets the templates collection, creating its indexes on first use
+   * @returns {Promise<Collection>} MongoDB collection
+   */
+  async getCollection() {
+    const collection = await getCollection(PIPELINE_TEMPLATES_COLLECTION);
+
+    if (!this.initialized) {
+      for (const indexSpec of PIPELINE_TEMPLATE_INDEXES) {
+        try {
+          await collection.createIndex(indexSpec.key, indexSpec.options || {});
+        } catch (error) {
+          console.warn(`Failed to create index ${JSON.stringify(indexSpec.key)}:`, error.message);
+        }
+      }
+      this.initialized = true;
+    }
+
+    return collection;
+  }
+
+  /**
+   * Lists the templates available to an organization, built-in template first
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} Formatted templates
+   */
+  async listTemplates(organizationId) {
+    try {
+      const collection = await this.getCollection();
+      const templates = await collection
+        .find(scopeQuery({ 'metadata.isActive': true }, organizationId))
+        .sort({ name: 1 })
+        .toArray();
+
+      return [DEFAULT_PIPELINE_TEMPLATE, ...templates].map(formatPipelineTemplate);
+
+    } catch (error) {
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
+      console.error('Failed to list pipeline templates:', error);
+      throw new PipelineTemplateServiceError(
+        'Failed to retrieve pipeline templates',
+        'LIST_ERROR',
+        500
+      );
+    }
+  }
+
+  /**
+   * Gets a template by ID
+   * Archived templates are only returned with includeArchived, so candidates
+   * already placed on them keep moving through their stages
+   * @param {string|null} templateId - Template ID ('default' or empty for the built-in template)
+   * @param {string} organizationId - Organization the template must belong to
+   * @param {Object} options - { includeArchived }
+   * @returns {Promise<Object|null>} Formatted template or null if not found
+   */
+  async getTemplateById(templateId, organizationId, { includeArchived = false } = {}) {
+    try {
+      if (isDefaultTemplateId(templateId)) {
+        return formatPipelineTemplate(DEFAULT_PIPELINE_TEMPLATE);
+      }
+
+      if (!ObjectId.isValid(templateId.toString())) {
+        throw new PipelineTemplateServiceError(
+          'Invalid pipeline template ID format',
+          'INVALID_ID',
+          400
+        );
+      }
+
+      const query = { _id: new ObjectId(templateId.toString()) };
+      if (!includeArchived) {
+        query['metadata.isActive'] = true;
+      }
+
+      const collection = await this.getCollection();
+      const template = await collection.findOne(scopeQuery(query, organizationId));
+
+      return template ? formatPipelineTemplate(template) : null;
+
+    } catch (error) {
+      if (error instanceof PipelineTemplateServiceError || error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
+      console.error('Failed to get pipeline template:', error);
+      throw new PipelineTemplateServiceError(
+        'Failed to retrieve pipeline template',
+        'RETRIEVAL_ERROR',
+        500
+      );
+    }
+  }
+
+  /**
+   * Gets a template by ID and fails with 404 if it does not exist
+   * @param {string|null} templateId - Template ID
+   * @param {string} organizationId - Organization ID
+   * @param {Object} options - { includeArchived }
+   * @returns {Promise<Object>} Formatted template
+   */
+  async requireTemplate(templateId, organizationId, options = {}) {
+    const template = await this.getTemplateById(templateId, organizationId, options);
+
+    if (!template) {
+      throw new PipelineTemplateServiceError(
+        'Pipeline template not found',
+        'NOT_FOUND',
+        404
+      );
+    }
+
+    return template;
+  }
+
+  /**
+   * Gets the template a candidate moves through
+   * @param {Object} candidate - Candidate document
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} Formatted template
+   */
+  async getTemplateForCandidate(candidate, organizationId) {
+    return this.requireTemplate(
+      candidate?.pipelineInfo?.templateId || null,
+      organizationId,
+      { includeArchived: true }
+    );
+  }
+
+  /**
+   * Creates a template
+   * @param {Object} templateData - Template data ({ name, description, stages, transitions })
+   * @param {string} userId - ID of the user creating the template
+   * @param {string} organizationId - Organization the template belongs to
+   * @returns {Promise<Object>} Formatted template
+   */
+  async createTemplate(templateData, userId, organizationId) {
+    try {
+      const organizationObjectId = toOrganizationObjectId(organizationId);
+      const validated = validatePipelineTemplateData(templateData);
+
+      const document = createPipelineTemplateDocument(validated, userId, organizationObjectId);
+
+      const collection = await this.getCollection();
+      const result = await collection.insertOne(document);
+
+      console.log(`Created pipeline template "${document.name}" for organization ${organizationObjectId}`);
+      return formatPipelineTemplate({ ...document, _id: result.insertedId });
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to create pipeline template', 'CREATE_ERROR');
+    }
+  }
+
+  /**
+   * Updates a template
+   * Stages that still hold candidates cannot be removed
+   * @param {string} templateId - Template ID
+   * @param {Object} updates - Fields to update
+   * @param {string} userId - ID of the user updating the template
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} Formatted template
+   */
+  async updateTemplate(templateId, updates, userId, organizationId) {
+    try {
+      this._assertEditable(templateId);
+
+      const existing = await this.requireTemplate(templateId, organizationId);
+      const validated = validatePipelineTemplateData(updates, { partial: true });
+
+      if (validated.stages) {
+        const remaining = getStageKeys(validated);
+        const removed = getStageKeys(existing).filter(key => !remaining.includes(key));
+        await this._assertStagesUnused(templateId, removed, organizationId);
+      }
+
+      const collection = await this.getCollection();
+      const result = await collection.findOneAndUpdate(
+        scopeQuery({ _id: new ObjectId(templateId), 'metadata.isActive': true }, organizationId),
+        {
+          $set: {
+            ...validated,
+            'metadata.updatedAt': new Date(),
+            'metadata.updatedBy': userId && ObjectId.isValid(userId) ? new ObjectId(userId) : null
+          }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!result) {
+        throw new PipelineTemplateServiceError('Pipeline template not found', 'NOT_FOUND', 404);
+      }
+
+      return formatPipelineTemplate(result);
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to update pipeline template', 'UPDATE_ERROR');
+    }
+  }
+
+  /**
+   * Archives a template (soft delete)
+   * Templates still assigned to jobs that are not archived cannot be archived
+   * @param {string} templateId - Template ID
+   * @param {string} userId - ID of the user archiving the template
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async archiveTemplate(templateId, userId, organizationId) {
+    try {
+      this._assertEditable(templateId);
+      await this.requireTemplate(templateId, organizationId);
+
+      const jobsCollection = await getCollection('jobs');
+      const jobCount = await jobsCollection.countDocuments(scopeQuery({
+        pipelineTemplateId: templateId.toString(),
+        'metadata.isActive': true
+      }, organizationId));
+
+      if (jobCount > 0) {
+        throw new PipelineTemplateServiceError(
+          `This template is used by ${jobCount} job(s). Assign them another template first.`,
+          'TEMPLATE_IN_USE',
+          409
+        );
+      }
+
+      const collection = await this.getCollection();
+      await collection.updateOne(
+        scopeQuery({ _id: new ObjectId(templateId) }, organizationId),
+        {
+          $set: {
+            'metadata.isActive': false,
+            'metadata.updatedAt': new Date(),
+            'metadata.archivedBy': userId && ObjectId.isValid(userId) ? new ObjectId(userId) : null
+          }
+        }
+      );
+
+      return true;
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to archive pipeline template', 'ARCHIVE_ERROR');
+    }
+  }
+
+  /**
+   * Rejects changes to the built-in template
+   * @private
+   */
+  _assertEditable(templateId) {
+    if (isDefaultTemplateId(templateId)) {
+      throw new PipelineTemplateServiceError(
+        'The standard pipeline is built in and cannot be changed',
+        'BUILT_IN_TEMPLATE',
+        400
+      );
+    }
+  }
+
+  /**
+   * Rejects removing stages that candidates are currently in
+   * @private
+   */
+  async _assertStagesUnused(templateId, stageKeys, organizationId) {
+    if (stageKeys.length === 0) {
+      return;
+    }
+
+    const candidatesCollection = await getCandidatesCollection();
+    const inUse = await candidatesCollection.distinct('pipelineInfo.currentStage', scopeQuery({
+      ...buildTemplateCandidateQuery(templateId),
+      'metadata.isActive': true,
+      'pipelineInfo.currentStage': { $in: stageKeys }
+    }, organizationId));
+
+    if (inUse.length > 0) {
+      throw new PipelineTemplateServiceError(
+        `Move candidates out of these stages before removing them: ${inUse.join(', ')}`,
+        'STAGE_IN_USE',
+        409
+      );
+    }
+  }
+
+  /**
+   * Converts unexpected errors into service errors
+   * @private
+   */
+  _wrapError(error, message, code) {
+    if (error instanceof ValidationError) {
+      return new PipelineTemplateServiceError(error.message, 'VALIDATION_ERROR', 400);
+    }
+
+    if (error instanceof PipelineTemplateServiceError || error instanceof OrganizationScopeError) {
+      return error;
+    }
+
+    console.error(`${message}:`, error);
+    return new PipelineTemplateServiceError(message, code, 500);
+  }
+}
+
+// Export singleton instance
+export const pipelineTemplateService = new PipelineTemplateService();
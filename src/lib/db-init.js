@@ -71,6 +71,35 @@ const userSchema = {
       googleId: {
         bsonType: 'string',
         description: 'Google OAuth user ID'
+      },
+      notificationPreferences: {
+        bsonType: 'object',
+        description: 'Delivery mode (immediate, digest or off) for each notification event'
+      },
+      digestFrequency: {
+        bsonType: 'string',
+        enum: ['daily', 'weekly', 'off'],
+        description: 'How often the digest email is sent'
+      },
+      lastDigestSentAt: {
+        bsonType: 'date',
+        description: 'When the last digest email was sent; the next one covers what happened since'
+      },
+      passwordResetTokenHash: {
+        bsonType: 'string',
+        description: 'SHA-256 hash of the pending password reset token'
+      },
+      passwordResetTokenExpires: {
+        bsonType: 'date',
+        description: 'When the pending password reset token expires'
+      },
+      sessionVersion: {
+        bsonType: 'int',
+        description: 'Increased on password reset; sessions issued with an older version are rejected'
+      },
+      twoFactor: {
+        bsonType: 'object',
+        description: 'TOTP two-factor authentication: encrypted secret, hashed recovery codes and the last time step used'
       }
     }
   }
@@ -175,6 +204,16 @@ export async function createUserIndexes() {
       }
     );
 
+    // Index on the reset token hash for password reset lookups
+    await usersCollection.createIndex(
+      { passwordResetTokenHash: 1 },
+      {
+        name: 'password_reset_token_idx',
+        background: true,
+        sparse: true // Only index documents with a pending reset
+      }
+    );
+
     // Text index on bio for search functionality
     await usersCollection.createIndex(
       { bio: 'text', name: 'text' },
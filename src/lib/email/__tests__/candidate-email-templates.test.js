@@ -0,0 +1,189 @@
+/**
+ * Property-Based Tests for Candidate Email Templates
+ * Feature: candidate-email-templates, Property 1: Merge Fields Are Filled In
+ * Feature: candidate-email-templates, Property 2: HTML Values Are Escaped
+ * Feature: candidate-email-templates, Property 3: Only Known Merge Fields Are Accepted
+ * Validates: Requirements 17.1, 17.2, 17.3
+ */
+
+import fc from 'fast-check';
+import { ObjectId } from 'mongodb';
+import {
+  BUILT_IN_CANDIDATE_EMAIL_TEMPLATES,
+  CANDIDATE_EMAIL_MERGE_FIELDS,
+  findMergeFields,
+  buildMergeContext,
+  renderMergeFields,
+  renderCandidateEmail
+} from '../candidate-email-template-models.js';
+import { validateCandidateEmailTemplateData } from '../candidate-email-template-validation.js';
+import { ValidationError } from '../../candidates/candidate-validation.js';
+
+const nameGen = () => fc.string({ minLength: 1, maxLength: 30 }).filter(value => value.trim().length > 0);
+
+const candidateGen = () => fc.record({
+  _id: fc.constant(new ObjectId()),
+  personalInfo: fc.record({
+    firstName: nameGen(),
+    lastName: nameGen(),
+    email: fc.emailAddress()
+  })
+});
+
+const escapeHtml = value => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+describe('Candidate Email Template Property Tests', () => {
+
+  /**
+   * Property 1: Merge Fields Are Filled In
+   * Every known placeholder is replaced with its value in the subject and
+   * text version, with or without spaces inside the braces.
+   */
+  describe('Property 1: Merge Fields Are Filled In', () => {
+    test('placeholders render the candidate, job and sender values', () => {
+      fc.assert(
+        fc.property(candidateGen(), nameGen(), nameGen(), fc.boolean(), (candidate, jobTitle, senderName, spaced) => {
+          const context = buildMergeContext({
+            candidate,
+            job: { title: jobTitle, department: 'Engineering', location: 'Remote' },
+            sender: { name: senderName, email: 'recruiter@example.com' }
+          });
+          const field = key => (spaced ? `{{ ${key} }}` : `{{${key}}}`);
+          const content = `${field('candidate.firstName')}|${field('job.title')}|${field('sender.name')}`;
+
+          expect(renderMergeFields(content, context))
+            .toBe(`${candidate.personalInfo.firstName}|${jobTitle}|${senderName}`);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('fields of records that were not supplied render empty and are reported', () => {
+      fc.assert(
+        fc.property(candidateGen(), (candidate) => {
+          const email = renderCandidateEmail(
+            BUILT_IN_CANDIDATE_EMAIL_TEMPLATES.find(template => template.id === 'interview_confirmation'),
+            buildMergeContext({ candidate })
+          );
+
+          expect(email.text).not.toMatch(/\{\{/);
+          expect(email.missingFields).toEqual(expect.arrayContaining([
+            'job.title',
+            'interview.date',
+            'interview.time',
+            'sender.name'
+          ]));
+          expect(email.missingFields).not.toContain('candidate.firstName');
+        }),
+        { numRuns: 25 }
+      );
+    });
+
+    test('built-in templates render completely for a scheduled interview', () => {
+      const candidate = {
+        _id: new ObjectId(),
+        personalInfo: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com' }
+      };
+      const context = buildMergeContext({
+        candidate,
+        job: { title: 'Engineer', department: 'Engineering', location: 'Remote' },
+        interview: {
+          scheduledDate: new Date('2030-01-07T10:00:00Z'),
+          duration: 45,
+          type: 'technical',
+          meetingDetails: { type: 'video', link: 'https://meet.example.com/abc', location: null }
+        },
+        sender: { name: 'Sam Recruiter', email: 'sam@example.com' }
+      });
+
+      BUILT_IN_CANDIDATE_EMAIL_TEMPLATES.forEach(template => {
+        const email = renderCandidateEmail(template, context);
+
+        expect(email.missingFields).toEqual([]);
+        expect(email.subject).not.toMatch(/\{\{/);
+        expect(email.html).not.toMatch(/\{\{/);
+        expect(email.text).toContain('Ada');
+      });
+    });
+  });
+
+  /**
+   * Property 2: HTML Values Are Escaped
+   * Values are escaped in the HTML version, so candidate data cannot inject
+   * markup, and are left as written in the text version.
+   */
+  describe('Property 2: HTML Values Are Escaped', () => {
+    test('values are escaped in HTML and raw in text', () => {
+      fc.assert(
+        fc.property(fc.string({ minLength: 1, maxLength: 40 }), (firstName) => {
+          const context = buildMergeContext({
+            candidate: { personalInfo: { firstName, lastName: 'Doe', email: 'doe@example.com' } }
+          });
+          const email = renderCandidateEmail(
+            { subject: 'Hello', htmlBody: '<p>{{candidate.firstName}}</p>', textBody: '{{candidate.firstName}}' },
+            context
+          );
+
+          expect(email.html).toContain(`<p>${escapeHtml(firstName)}</p>`);
+          expect(email.text).toBe(firstName);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * Property 3: Only Known Merge Fields Are Accepted
+   * Templates are saved only when every placeholder is a known merge field.
+   */
+  describe('Property 3: Only Known Merge Fields Are Accepted', () => {
+    const validTemplate = {
+      name: 'Follow-up',
+      subject: 'Following up on {{job.title}}',
+      htmlBody: '<p>Hi {{candidate.firstName}}</p>',
+      textBody: 'Hi {{candidate.firstName}}'
+    };
+
+    test('every known merge field is accepted and found', () => {
+      CANDIDATE_EMAIL_MERGE_FIELDS.forEach(field => {
+        const body = `Value: {{${field.key}}}`;
+
+        expect(() => validateCandidateEmailTemplateData({ ...validTemplate, textBody: body })).not.toThrow();
+        expect(findMergeFields(body)).toEqual([field.key]);
+      });
+    });
+
+    test('unknown merge fields are rejected', () => {
+      const known = CANDIDATE_EMAIL_MERGE_FIELDS.map(field => field.key);
+
+      fc.assert(
+        fc.property(
+          fc.constantFrom('candidate', 'job', 'interview', 'sender', 'offer'),
+          fc.stringMatching(/^[a-zA-Z]{1,12}$/),
+          (source, property) => {
+            const key = `${source}.${property}`;
+            fc.pre(!known.includes(key));
+
+            expect(() => validateCandidateEmailTemplateData({ ...validTemplate, htmlBody: `<p>{{${key}}}</p>` }))
+              .toThrow(ValidationError);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('subject and both versions are required, except in partial updates', () => {
+      ['subject', 'htmlBody', 'textBody'].forEach(field => {
+        expect(() => validateCandidateEmailTemplateData({ ...validTemplate, [field]: '  ' }))
+          .toThrow(ValidationError);
+      });
+
+      expect(validateCandidateEmailTemplateData({ subject: 'New subject' }, { partial: true }))
+        .toEqual({ subject: 'New subject' });
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Property-Based Tests for the Email Outbox
+ * Feature: email-outbox, Property 1: Retries Back Off Exponentially
+ * Feature: email-outbox, Property 2: Every Attempt Is Logged
+ * Validates: Requirements 13.1, 13.2, 13.3
+ */
+
+import fc from 'fast-check';
+import { ObjectId } from 'mongodb';
+import {
+  OUTBOX_STATUS,
+  OUTBOX_RETRY,
+  getRetryDelay,
+  createOutboxMessage,
+  buildAttemptUpdate,
+  formatOutboxMessage
+} from '../email-outbox.js';
+
+const emailGen = () => fc.record({
+  to: fc.emailAddress(),
+  subject: fc.string({ minLength: 1, maxLength: 100 }),
+  html: fc.string({ minLength: 1, maxLength: 200 })
+});
+
+describe('Email Outbox Property Tests', () => {
+
+  /**
+   * Property 1: Retries Back Off Exponentially
+   * Each retry waits twice as long as the one before until the cap, and
+   * never less than the base delay.
+   */
+  describe('Property 1: Retries Back Off Exponentially', () => {
+    test('delays double per attempt and stay within bounds', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 30 }), (attemptCount) => {
+          const delay = getRetryDelay(attemptCount);
+          const next = getRetryDelay(attemptCount + 1);
+
+          expect(delay).toBeGreaterThanOrEqual(OUTBOX_RETRY.BASE_DELAY_MS);
+          expect(delay).toBeLessThanOrEqual(OUTBOX_RETRY.MAX_DELAY_MS);
+          expect(next).toBe(Math.min(delay * 2, OUTBOX_RETRY.MAX_DELAY_MS));
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    test('failed attempts are retried until the attempts run out', () => {
+      fc.assert(
+        fc.property(emailGen(), fc.integer({ min: 1, max: 10 }), (email, maxAttempts) => {
+          const start = new Date('2030-01-07T10:00:00Z');
+          let message = { ...createOutboxMessage(email, start), _id: new ObjectId(), maxAttempts };
+
+          for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const now = new Date(start.getTime() + attempt * 1000);
+            const update = buildAttemptUpdate(message, { error: 'Connection refused' }, now);
+            message = {
+              ...message,
+              ...update.$set,
+              attempts: [...message.attempts, update.$push.attempts]
+            };
+
+            if (attempt < maxAttempts) {
+              expect(message.status).toBe(OUTBOX_STATUS.PENDING);
+              expect(message.nextAttemptAt.getTime()).toBe(now.getTime() + getRetryDelay(attempt));
+            } else {
+              expect(message.status).toBe(OUTBOX_STATUS.FAILED);
+              expect(message.nextAttemptAt).toBeNull();
+            }
+          }
+
+          expect(message.attemptCount).toBe(maxAttempts);
+        }),
+        { numRuns: 30 }
+      );
+    });
+  });
+
+  /**
+   * Property 2: Every Attempt Is Logged
+   * Each attempt appends its number, status, error and message id; a
+   * successful attempt marks the message sent.
+   */
+  describe('Property 2: Every Attempt Is Logged', () => {
+    test('new messages are pending and due immediately', () => {
+      fc.assert(
+        fc.property(emailGen(), (email) => {
+          const now = new Date();
+          const message = createOutboxMessage(email, now);
+
+          expect(message.status).toBe(OUTBOX_STATUS.PENDING);
+          expect(message.nextAttemptAt).toBe(now);
+          expect(message.attemptCount).toBe(0);
+          expect(message.attempts).toEqual([]);
+          expect(message.organizationId).toBeNull();
+        }),
+        { numRuns: 20 }
+      );
+    });
+
+    test('a successful attempt records the message id', () => {
+      const message = { ...createOutboxMessage({ to: 'ada@example.com', subject: 'Hi', html: '<p>Hi</p>' }), _id: new ObjectId() };
+      message.attemptCount = 2;
+      const now = new Date();
+
+      const update = buildAttemptUpdate(message, { messageId: '<abc@example.com>' }, now);
+
+      expect(update.$set).toMatchObject({
+        status: OUTBOX_STATUS.SENT,
+        attemptCount: 3,
+        lastError: null,
+        messageId: '<abc@example.com>',
+        sentAt: now,
+        nextAttemptAt: null
+      });
+      expect(update.$push.attempts).toEqual({
+        number: 3,
+        status: OUTBOX_STATUS.SENT,
+        error: null,
+        messageId: '<abc@example.com>',
+        at: now
+      });
+    });
+
+    test('sensitive messages lose their body once delivery ends', () => {
+      fc.assert(
+        fc.property(fc.boolean(), fc.integer({ min: 0, max: OUTBOX_RETRY.MAX_ATTEMPTS - 1 }), (succeeded, attemptCount) => {
+          const message = {
+            ...createOutboxMessage({ to: 'ada@example.com', subject: 'Reset', html: '<a href="/reset-password?token=abc">Reset</a>', sensitive: true }),
+            _id: new ObjectId(),
+            attemptCount
+          };
+          const now = new Date();
+
+          const update = buildAttemptUpdate(message, succeeded ? { messageId: '<abc@example.com>' } : { error: 'Connection refused' }, now);
+
+          if (update.$set.status === OUTBOX_STATUS.PENDING) {
+            expect(update.$set).not.toHaveProperty('html');
+          } else {
+            expect(update.$set).toMatchObject({ html: null, text: null, redactedAt: now });
+          }
+        }),
+        { numRuns: 50 }
+      );
+
+      const ordinary = { ...createOutboxMessage({ to: 'ada@example.com', subject: 'Hi', html: '<p>Hi</p>' }), _id: new ObjectId() };
+      expect(ordinary.sensitive).toBe(false);
+      expect(buildAttemptUpdate(ordinary, { messageId: '<abc@example.com>' }).$set).not.toHaveProperty('html');
+    });
+
+    test('listings leave out the body and the attempt log', () => {
+      const message = {
+        ...createOutboxMessage({ to: 'ada@example.com', subject: 'Hi', html: '<p>Hi</p>', icalEvent: { method: 'REQUEST', content: '' } }),
+        _id: new ObjectId()
+      };
+
+      expect(formatOutboxMessage(message)).not.toHaveProperty('html');
+      expect(formatOutboxMessage(message)).not.toHaveProperty('attempts');
+      expect(formatOutboxMessage(message).hasCalendarInvite).toBe(true);
+      expect(formatOutboxMessage(message, true)).toHaveProperty('attempts', []);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Calendar Invites
+ * Builds RFC 5545 iCalendar (.ics) events for scheduled interviews
+ */
+
+/**
+ * iTIP methods used for interview invites
+ */
+export const CALENDAR_METHODS = {
+  REQUEST: 'REQUEST',
+  CANCEL: 'CANCEL'
+};
+
+/**
+ * Product identifier written to every calendar
+ */
+export const CALENDAR_PRODUCT_ID = '-//Nexus ATS//Interview Scheduling//EN';
+
+/**
+ * Maximum octets per content line before folding (RFC 5545 section 3.1)
+ */
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escapes a TEXT property value (RFC 5545 section 3.3.11)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeCalendarText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Escapes a parameter value such as CN, quoting it when needed
+ * @param {string} value - Raw parameter value
+ * @returns {string} Parameter value safe to place after "="
+ */
+function escapeParameterValue(value) {
+  const cleaned = String(value ?? '').replace(/["\r\n]/g, '');
+  return /[:;,]/.test(cleaned) ? `"${cleaned}"` : cleaned;
+}
+
+/**
+ * Reads a meeting link as a URI property value (RFC 5545 section 3.3.13)
+ * URIs aren't TEXT-escaped, so anything but an absolute http(s) URL is
+ * dropped rather than written raw into the calendar
+ * @param {string} value - Meeting link
+ * @returns {string|null} Normalized URL, or null if it isn't a web link
+ */
+export function toCalendarUri(value) {
+  let url;
+  try {
+    url = new URL(String(value ?? '').trim());
+  } catch {
+    return null;
+  }
+
+  // The WHATWG serialization percent-encodes spaces and control characters
+  return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+}
+
+/**
+ * Folds a content line into chunks of at most 75 octets, continuing with a space
+ * Multi-byte characters are never split
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF
+ */
+export function foldCalendarLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const character of line) {
+    const octets = Buffer.byteLength(character, 'utf8');
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+
+    current += character;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Formats a date as a UTC DATE-TIME value (e.g. 20300107T100000Z)
+ * @param {Date} date - Date
+ * @returns {string} iCalendar UTC date-time
+ */
+export function formatCalendarDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Extracts the address from "Name <address>" or a bare address
+ * @param {string} from - Sender
+ * @returns {string} Email address
+ */
+export function extractEmailAddress(from) {
+  const match = /<([^>]+)>/.exec(from || '');
+  return (match ? match[1] : from || '').trim();
+}
+
+/**
+ * Gets the stable UID of an interview's calendar event
+ * Every invite, update and cancellation for an interview shares it so
+ * calendar clients update the existing entry
+ * @param {Object} interview - Interview document
+ * @returns {string} Event UID
+ */
+export function getInterviewEventUid(interview) {
+  return `interview-${interview._id.toString()}@nexus-ats`;
+}
+
+/**
+ * Builds the calendar for an interview invite, update or cancellation
+ * @param {Object} event - Event details
+ * @param {string} event.uid - Stable event UID
+ * @param {number} event.sequence - Revision number, increased on every change
+ * @param {string} event.method - CALENDAR_METHODS value
+ * @param {Date} event.start - Start time
+ * @param {Date} event.end - End time
+ * @param {string} event.summary - Event title
+ * @param {string} [event.description] - Event description
+ * @param {string} [event.location] - Location or meeting link
+ * @param {string} [event.url] - Meeting link
+ * @param {Object} event.organizer - { name, email }
+ * @param {Array<Object>} event.attendees - [{ name, email }]
+ * @param {Date} [event.timestamp] - When the calendar was generated
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export function buildCalendarEvent(event) {
+  const method = event.method === CALENDAR_METHODS.CANCEL ? CALENDAR_METHODS.CANCEL : CALENDAR_METHODS.REQUEST;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${CALENDAR_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatCalendarDate(event.timestamp || new Date())}`,
+    `DTSTART:${formatCalendarDate(event.start)}`,
+    `DTEND:${formatCalendarDate(event.end)}`,
+    `SUMMARY:${escapeCalendarText(event.summary)}`
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeCalendarText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeCalendarText(event.location)}`);
+  }
+  const url = event.url ? toCalendarUri(event.url) : null;
+  if (url) {
+    lines.push(`URL:${url}`);
+  }
+
+  lines.push(`ORGANIZER;CN=${escapeParameterValue(event.organizer.name)}:mailto:${event.organizer.email}`);
+
+  (event.attendees || []).forEach(attendee => {
+    lines.push(
+      `ATTENDEE;CN=${escapeParameterValue(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT;` +
+      `PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${attendee.email}`
+    );
+  });
+
+  lines.push(
+    `STATUS:${method === CALENDAR_METHODS.CANCEL ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:OPAQUE',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  );
+
+  return lines.map(foldCalendarLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,331 @@
+/**
+ * Candidate Email Template Data Models
+ * Organization email templates for candidates, with merge fields such as
+ * {{candidate.firstName}} that are filled in from the candidate, job and
+ * interview the email is about
+ */
+
+import { ObjectId } from 'mongodb';
+import { escapeHtml } from './html.js';
+
+/**
+ * Limits for template definitions
+ */
+export const CANDIDATE_EMAIL_TEMPLATE_LIMITS = {
+  NAME_MAX_LENGTH: 100,
+  DESCRIPTION_MAX_LENGTH: 500,
+  SUBJECT_MAX_LENGTH: 200,
+  BODY_MAX_LENGTH: 20000
+};
+
+/**
+ * Merge fields a template may use
+ * Each field reads from one source record; fields of a record that was not
+ * supplied (e.g. an interview) render empty and are reported as missing
+ */
+export const CANDIDATE_EMAIL_MERGE_FIELDS = [
+  { key: 'candidate.firstName', label: 'Candidate first name', source: 'candidate' },
+  { key: 'candidate.lastName', label: 'Candidate last name', source: 'candidate' },
+  { key: 'candidate.fullName', label: 'Candidate full name', source: 'candidate' },
+  { key: 'candidate.email', label: 'Candidate email', source: 'candidate' },
+  { key: 'job.title', label: 'Job title', source: 'job' },
+  { key: 'job.department', label: 'Job department', source: 'job' },
+  { key: 'job.location', label: 'Job location', source: 'job' },
+  { key: 'interview.date', label: 'Interview date', source: 'interview' },
+  { key: 'interview.time', label: 'Interview time', source: 'interview' },
+  { key: 'interview.duration', label: 'Interview length', source: 'interview' },
+  { key: 'interview.type', label: 'Interview type', source: 'interview' },
+  { key: 'interview.location', label: 'Interview location or meeting link', source: 'interview' },
+  { key: 'sender.name', label: 'Your name', source: 'sender' },
+  { key: 'sender.email', label: 'Your email', source: 'sender' }
+];
+
+/**
+ * Matches a merge field placeholder, allowing spaces inside the braces
+ */
+const MERGE_FIELD_PATTERN = /\{\{\s*([a-zA-Z]+\.[a-zA-Z]+)\s*\}\}/g;
+
+/**
+ * Starter templates every organization has; they cannot be edited, but can
+ * be copied into a new template
+ */
+export const BUILT_IN_CANDIDATE_EMAIL_TEMPLATES = Object.freeze([
+  {
+    id: 'interview_confirmation',
+    name: 'Interview confirmation',
+    description: 'Confirms the date, time and place of an interview',
+    subject: 'Your interview for {{job.title}}',
+    htmlBody: [
+      '<p>Hi {{candidate.firstName}},</p>',
+      '<p>Thank you for your interest in the {{job.title}} role. This is to confirm your {{interview.type}} interview on <strong>{{interview.date}}</strong> at <strong>{{interview.time}}</strong> ({{interview.duration}}).</p>',
+      '<p>Where: {{interview.location}}</p>',
+      '<p>If you need to reschedule, just reply to this email.</p>',
+      '<p>Best regards,<br>{{sender.name}}</p>'
+    ].join('\n'),
+    textBody: [
+      'Hi {{candidate.firstName}},',
+      '',
+      'Thank you for your interest in the {{job.title}} role. This is to confirm your {{interview.type}} interview on {{interview.date}} at {{interview.time}} ({{interview.duration}}).',
+      '',
+      'Where: {{interview.location}}',
+      '',
+      'If you need to reschedule, just reply to this email.',
+      '',
+      'Best regards,',
+      '{{sender.name}}'
+    ].join('\n'),
+    isBuiltIn: true
+  },
+  {
+    id: 'rejection',
+    name: 'Rejection',
+    description: 'Lets a candidate know they were not selected',
+    subject: 'Your application for {{job.title}}',
+    htmlBody: [
+      '<p>Hi {{candidate.firstName}},</p>',
+      '<p>Thank you for the time you spent applying for the {{job.title}} role. After careful consideration, we have decided not to move forward with your application.</p>',
+      '<p>We appreciate your interest and wish you the best in your search.</p>',
+      '<p>Kind regards,<br>{{sender.name}}</p>'
+    ].join('\n'),
+    textBody: [
+      'Hi {{candidate.firstName}},',
+      '',
+      'Thank you for the time you spent applying for the {{job.title}} role. After careful consideration, we have decided not to move forward with your application.',
+      '',
+      'We appreciate your interest and wish you the best in your search.',
+      '',
+      'Kind regards,',
+      '{{sender.name}}'
+    ].join('\n'),
+    isBuiltIn: true
+  },
+  {
+    id: 'offer',
+    name: 'Offer',
+    description: 'Tells a candidate an offer is on its way',
+    subject: 'An offer for the {{job.title}} role',
+    htmlBody: [
+      '<p>Hi {{candidate.firstName}},</p>',
+      '<p>We are delighted to offer you the {{job.title}} position in our {{job.department}} team. You will receive the formal offer letter separately.</p>',
+      '<p>Reply to this email or reach me at {{sender.email}} with any questions.</p>',
+      '<p>Congratulations,<br>{{sender.name}}</p>'
+    ].join('\n'),
+    textBody: [
+      'Hi {{candidate.firstName}},',
+      '',
+      'We are delighted to offer you the {{job.title}} position in our {{job.department}} team. You will receive the formal offer letter separately.',
+      '',
+      'Reply to this email or reach me at {{sender.email}} with any questions.',
+      '',
+      'Congratulations,',
+      '{{sender.name}}'
+    ].join('\n'),
+    isBuiltIn: true
+  }
+]);
+
+/**
+ * Finds a built-in template by ID
+ * @param {string|ObjectId|null} templateId - Template ID
+ * @returns {Object|null} Built-in template or null
+ */
+export function getBuiltInCandidateEmailTemplate(templateId) {
+  if (!templateId) {
+    return null;
+  }
+
+  return BUILT_IN_CANDIDATE_EMAIL_TEMPLATES.find(template => template.id === templateId.toString()) || null;
+}
+
+/**
+ * Lists the merge fields used in a piece of template content
+ * @param {string} content - Template subject or body
+ * @returns {Array<string>} Field keys in order of first use
+ */
+export function findMergeFields(content) {
+  const keys = [];
+
+  for (const match of String(content || '').matchAll(MERGE_FIELD_PATTERN)) {
+    if (!keys.includes(match[1])) {
+      keys.push(match[1]);
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Lists the merge fields used in a template that do not exist
+ * @param {Object} template - { subject, htmlBody, textBody }
+ * @returns {Array<string>} Unknown field keys
+ */
+export function findUnknownMergeFields(template) {
+  const known = CANDIDATE_EMAIL_MERGE_FIELDS.map(field => field.key);
+  const used = findMergeFields([template.subject, template.htmlBody, template.textBody].join('\n'));
+
+  return used.filter(key => !known.includes(key));
+}
+
+/**
+ * Builds the merge field values for an email
+ * @param {Object} records - { candidate, job, interview, sender }
+ * @param {Object} records.candidate - Candidate document
+ * @param {Object|null} [records.job] - Job ({ title, department, location })
+ * @param {Object|null} [records.interview] - Interview document ({ scheduledDate, duration, type, meetingDetails })
+ * @param {Object|null} [records.sender] - Team member sending the email ({ name, email })
+ * @returns {Object} Map of field key to value (null when the source record is missing)
+ */
+export function buildMergeContext({ candidate, job = null, interview = null, sender = null }) {
+  const personalInfo = candidate?.personalInfo || {};
+  const fullName = [personalInfo.firstName, personalInfo.lastName].filter(Boolean).join(' ');
+
+  let interviewValues = {};
+  if (interview) {
+    const start = new Date(interview.scheduledDate);
+    const meeting = interview.meetingDetails || {};
+
+    interviewValues = {
+      'interview.date': start.toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      }),
+      'interview.time': start.toLocaleTimeString('en-US', {
+        hour: 'numeric',
+        minute: '2-digit',
+        timeZoneName: 'short'
+      }),
+      'interview.duration': `${interview.duration} minutes`,
+      'interview.type': interview.type || null,
+      'interview.location': meeting.location || meeting.link || null
+    };
+  }
+
+  return {
+    'candidate.firstName': personalInfo.firstName || null,
+    'candidate.lastName': personalInfo.lastName || null,
+    'candidate.fullName': fullName || null,
+    'candidate.email': personalInfo.email || null,
+    'job.title': job?.title || null,
+    'job.department': job?.department || null,
+    'job.location': job?.location || null,
+    'interview.date': null,
+    'interview.time': null,
+    'interview.duration': null,
+    'interview.type': null,
+    'interview.location': null,
+    ...interviewValues,
+    'sender.name': sender?.name || null,
+    'sender.email': sender?.email || null
+  };
+}
+
+/**
+ * Fills in the merge fields of a piece of template content
+ * Fields without a value render empty; unknown fields are left as written
+ * @param {string} content - Template content
+ * @param {Object} context - Merge field values from buildMergeContext
+ * @param {Object} [options] - { html: true } escapes values for HTML
+ * @returns {string} Rendered content
+ */
+export function renderMergeFields(content, context, { html = false } = {}) {
+  return String(content || '').replace(MERGE_FIELD_PATTERN, (placeholder, key) => {
+    if (!Object.prototype.hasOwnProperty.call(context, key)) {
+      return placeholder;
+    }
+
+    const value = context[key] ?? '';
+    return html ? escapeHtml(value) : String(value);
+  });
+}
+
+/**
+ * Renders a template into an email for one candidate
+ * @param {Object} template - { subject, htmlBody, textBody }
+ * @param {Object} context - Merge field values from buildMergeContext
+ * @returns {Object} { subject, html, text, missingFields }
+ */
+export function renderCandidateEmail(template, context) {
+  const subject = renderMergeFields(template.subject, context).replace(/\s+/g, ' ').trim();
+  const body = renderMergeFields(template.htmlBody, context, { html: true });
+  const used = findMergeFields([template.subject, template.htmlBody, template.textBody].join('\n'));
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(subject)}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+${body}
+</body>
+</html>`;
+
+  return {
+    subject,
+    html,
+    text: renderMergeFields(template.textBody, context),
+    missingFields: used.filter(key => Object.prototype.hasOwnProperty.call(context, key) && !context[key])
+  };
+}
+
+/**
+ * Creates a new template document
+ * @param {Object} templateData - Validated template data ({ name, description, subject, htmlBody, textBody })
+ * @param {string} userId - ID of the user creating the template
+ * @param {string} organizationId - Organization the template belongs to
+ * @returns {Object} Template document
+ */
+export function createCandidateEmailTemplateDocument(templateData, userId, organizationId) {
+  const now = new Date();
+
+  return {
+    organizationId: new ObjectId(organizationId.toString()),
+    name: templateData.name,
+    description: templateData.description || '',
+    subject: templateData.subject,
+    htmlBody: templateData.htmlBody,
+    textBody: templateData.textBody,
+    metadata: {
+      createdAt: now,
+      updatedAt: now,
+      createdBy: userId && ObjectId.isValid(userId) ? new ObjectId(userId) : null,
+      isActive: true
+    }
+  };
+}
+
+/**
+ * Formats a template for API responses
+ * @param {Object} template - Template document or built-in template
+ * @returns {Object} Formatted template
+ */
+export function formatCandidateEmailTemplate(template) {
+  if (template.isBuiltIn) {
+    return { ...template };
+  }
+
+  return {
+    id: template._id.toString(),
+    name: template.name,
+    description: template.description || '',
+    subject: template.subject,
+    htmlBody: template.htmlBody,
+    textBody: template.textBody,
+    isBuiltIn: false,
+    createdAt: template.metadata?.createdAt,
+    updatedAt: template.metadata?.updatedAt
+  };
+}
+
+/**
+ * MongoDB indexes for the candidate email templates collection
+ */
+export const CANDIDATE_EMAIL_TEMPLATE_INDEXES = [
+  {
+    key: { organizationId: 1, 'metadata.isActive': 1, name: 1 }
+  }
+];
@@ -0,0 +1,455 @@
+/**
+ * Candidate Email Template Service
+ * Manages an organization's candidate email templates and renders and sends
+ * them to candidates
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection } from '../mongodb.js';
+import { getCandidatesCollection } from '../candidates/candidate-db.js';
+import { ValidationError } from '../candidates/candidate-validation.js';
+import { getJobById } from '../jobs/job-service.js';
+import { getInterviewsCollection } from '../interviews/interview-db.js';
+import { ACTIVE_INTERVIEW_STATUSES } from '../interviews/interview-models.js';
+import {
+  BUILT_IN_CANDIDATE_EMAIL_TEMPLATES,
+  CANDIDATE_EMAIL_TEMPLATE_INDEXES,
+  getBuiltInCandidateEmailTemplate,
+  buildMergeContext,
+  renderCandidateEmail,
+  createCandidateEmailTemplateDocument,
+  formatCandidateEmailTemplate
+} from './candidate-email-template-models.js';
+import { validateCandidateEmailTemplateData } from './candidate-email-template-validation.js';
+import { sendCandidateEmail } from '../candidates/candidate-communications.js';
+import { scopeQuery, toOrganizationObjectId, OrganizationScopeError } from '../team/organization-scope.js';
+
+/**
+ * Collection name for candidate email templates
+ */
+export const CANDIDATE_EMAIL_TEMPLATES_COLLECTION = 'email_templates';
+
+/**
+ * Candidate email template service error class
+ */
+export class CandidateEmailTemplateServiceError extends Error {
+  constructor(message, code = 'EMAIL_TEMPLATE_ERROR', statusCode = 500) {
+    super(message);
+    this.name = 'CandidateEmailTemplateServiceError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Candidate Email Template Service Class
+ */
+export class CandidateEmailTemplateService {
+  constructor() {
+    this.initialized = false;
+  }
+
+  /**
+   * Gets the templates collection, creating its indexes on first use
+   * @returns {Promise<Collection>} MongoDB collection
+   */
+  async getCollection() {
+    const collection = await getCollection(CANDIDATE_EMAIL_TEMPLATES_COLLECTION);
+
+    if (!this.initialized) {
+      for (const indexSpec of CANDIDATE_EMAIL_TEMPLATE_INDEXES) {
+        try {
+          await collection.createIndex(indexSpec.key, indexSpec.options || {});
+        } catch (error) {
+          console.warn(`Failed to create index ${JSON.stringify(indexSpec.key)}:`, error.message);
+        }
+      }
+      this.initialized = true;
+    }
+
+    return collection;
+  }
+
+  /**
+   * Lists the templates available to an organization, built-in templates first
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} Formatted templates
+   */
+  async listTemplates(organizationId) {
+    try {
+      const collection = await this.getCollection();
+      const templates = await collection
+        .find(scopeQuery({ 'metadata.isActive': true }, organizationId))
+        .sort({ name: 1 })
+        .toArray();
+
+      return [...BUILT_IN_CANDIDATE_EMAIL_TEMPLATES, ...templates].map(formatCandidateEmailTemplate);
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to retrieve email templates', 'LIST_ERROR');
+    }
+  }
+
+  /**
+   * Gets a template by ID
+   * @param {string} templateId - Template ID (a built-in template ID or an ObjectId)
+   * @param {string} organizationId - Organization the template must belong to
+   * @returns {Promise<Object|null>} Formatted template or null if not found
+   */
+  async getTemplateById(templateId, organizationId) {
+    try {
+      const builtIn = getBuiltInCandidateEmailTemplate(templateId);
+      if (builtIn) {
+        return formatCandidateEmailTemplate(builtIn);
+      }
+
+      if (!templateId || !ObjectId.isValid(templateId.toString())) {
+        throw new CandidateEmailTemplateServiceError('Invalid email template ID format', 'INVALID_ID', 400);
+      }
+
+      const collection = await this.getCollection();
+      const template = await collection.findOne(scopeQuery({
+        _id: new ObjectId(templateId.toString()),
+        'metadata.isActive': true
+      }, organizationId));
+
+      return template ? formatCandidateEmailTemplate(template) : null;
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to retrieve email template', 'RETRIEVAL_ERROR');
+    }
+  }
+
+  /**
+   * Gets a template by ID and fails with 404 if it does not exist
+   * @param {string} templateId - Template ID
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} Formatted template
+   */
+  async requireTemplate(templateId, organizationId) {
+    const template = await this.getTemplateById(templateId, organizationId);
+
+    if (!template) {
+      throw new CandidateEmailTemplateServiceError('Email template not found', 'NOT_FOUND', 404);
+    }
+
+    return template;
+  }
+
+  /**
+   * Creates a template
+   * @param {Object} templateData - Template data ({ name, description, subject, htmlBody, textBody })
+   * @param {string} userId - ID of the user creating the template
+   * @param {string} organizationId - Organization the template belongs to
+   * @returns {Promise<Object>} Formatted template
+   */
+  async createTemplate(templateData, userId, organizationId) {
+    try {
+      const organizationObjectId = toOrganizationObjectId(organizationId);
+      const validated = validateCandidateEmailTemplateData(templateData);
+
+      const document = createCandidateEmailTemplateDocument(validated, userId, organizationObjectId);
+
+      const collection = await this.getCollection();
+      const result = await collection.insertOne(document);
+
+      console.log(`Created email template "${document.name}" for organization ${organizationObjectId}`);
+      return formatCandidateEmailTemplate({ ...document, _id: result.insertedId });
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to create email template', 'CREATE_ERROR');
+    }
+  }
+
+  /**
+   * Updates a template
+   * @param {string} templateId - Template ID
+   * @param {Object} updates - Fields to update
+   * @param {string} userId - ID of the user updating the template
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} Formatted template
+   */
+  async updateTemplate(templateId, updates, userId, organizationId) {
+    try {
+      this._assertEditable(templateId);
+      await this.requireTemplate(templateId, organizationId);
+
+      const validated = validateCandidateEmailTemplateData(updates, { partial: true });
+
+      const collection = await this.getCollection();
+      const result = await collection.findOneAndUpdate(
+        scopeQuery({ _id: new ObjectId(templateId), 'metadata.isActive': true }, organizationId),
+        {
+          $set: {
+            ...validated,
+            'metadata.updatedAt': new Date(),
+            'metadata.updatedBy': userId && ObjectId.isValid(userId) ? new ObjectId(userId) : null
+          }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!result) {
+        throw new CandidateEmailTemplateServiceError('Email template not found', 'NOT_FOUND', 404);
+      }
+
+      return formatCandidateEmailTemplate(result);
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to update email template', 'UPDATE_ERROR');
+    }
+  }
+
+  /**
+   * Archives a template (soft delete)
+   * @param {string} templateId - Template ID
+   * @param {string} userId - ID of the user archiving the template
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async archiveTemplate(templateId, userId, organizationId) {
+    try {
+      this._assertEditable(templateId);
+      await this.requireTemplate(templateId, organizationId);
+
+      const collection = await this.getCollection();
+      await collection.updateOne(
+        scopeQuery({ _id: new ObjectId(templateId) }, organizationId),
+        {
+          $set: {
+            'metadata.isActive': false,
+            'metadata.updatedAt': new Date(),
+            'metadata.archivedBy': userId && ObjectId.isValid(userId) ? new ObjectId(userId) : null
+          }
+        }
+      );
+
+      return true;
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to archive email template', 'ARCHIVE_ERROR');
+    }
+  }
+
+  /**
+   * Renders a template for a candidate without sending it
+   * The job defaults to the candidate's latest application and the interview
+   * to their next scheduled one, so most templates preview with real data
+   * @param {Object} template - Template ({ subject, htmlBody, textBody }); may be an unsaved draft
+   * @param {Object} target - { candidateId, jobId?, interviewId? }
+   * @param {Object} sender - Team member sending the email ({ name, email })
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} { to, subject, html, text, missingFields, jobId, interviewId }
+   */
+  async renderForCandidate(template, target, sender, organizationId) {
+    try {
+      const { candidate, job, interview } = await this._resolveRecords(target, organizationId);
+      const context = buildMergeContext({ candidate, job, interview, sender });
+
+      return {
+        to: candidate.personalInfo?.email || null,
+        ...renderCandidateEmail(template, context),
+        jobId: job?.id || null,
+        interviewId: interview?._id.toString() || null
+      };
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to render email template', 'RENDER_ERROR');
+    }
+  }
+
+  /**
+   * Previews a saved template, or the unsaved draft open in the editor, for a candidate
+   * @param {Object} source - { templateId } or { template: { subject, htmlBody, textBody } }
+   * @param {Object} target - { candidateId, jobId?, interviewId? }
+   * @param {Object} sender - Team member previewing the email ({ name, email })
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} Rendered email (see renderForCandidate)
+   */
+  async previewForCandidate({ templateId = null, template = null }, target, sender, organizationId) {
+    try {
+      let source;
+      if (templateId) {
+        source = await this.requireTemplate(templateId, organizationId);
+      } else if (template && typeof template === 'object') {
+        // Drafts need no name until they are saved
+        source = validateCandidateEmailTemplateData({ ...template, name: template.name || 'Draft' });
+      } else {
+        throw new CandidateEmailTemplateServiceError('Choose a template to preview', 'TEMPLATE_REQUIRED', 400);
+      }
+
+      return await this.renderForCandidate(source, target, sender, organizationId);
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to preview email template', 'PREVIEW_ERROR');
+    }
+  }
+
+  /**
+   * Sends a template to a candidate through the email outbox and logs it in
+   * their communication history
+   * Nothing is sent while a merge field the template uses has no value
+   * @param {string} templateId - Template ID
+   * @param {Object} target - { candidateId, jobId?, interviewId? }
+   * @param {Object} sender - Team member sending the email ({ userId, name, email })
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} { templateId, to, subject, outboxId, communicationId }
+   */
+  async sendToCandidate(templateId, target, sender, organizationId) {
+    try {
+      const template = await this.requireTemplate(templateId, organizationId);
+      const email = await this.renderForCandidate(template, target, sender, organizationId);
+
+      if (!email.to) {
+        throw new CandidateEmailTemplateServiceError(
+          'This candidate has no email address',
+          'NO_RECIPIENT',
+          400
+        );
+      }
+
+      if (email.missingFields.length > 0) {
+        throw new CandidateEmailTemplateServiceError(
+          `This template needs ${email.missingFields.map(key => `{{${key}}}`).join(', ')}, which this candidate does not have yet`,
+          'MISSING_MERGE_DATA',
+          400
+        );
+      }
+
+      const result = await sendCandidateEmail(target.candidateId, {
+        to: email.to,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+        template: { id: template.id, name: template.name },
+        sender
+      }, organizationId);
+
+      console.log(`Queued "${template.name}" email for candidate ${target.candidateId}`);
+
+      return {
+        templateId: template.id,
+        to: email.to,
+        subject: email.subject,
+        outboxId: result.outboxId,
+        communicationId: result.communicationId
+      };
+
+    } catch (error) {
+      throw this._wrapError(error, 'Failed to send email', 'SEND_ERROR');
+    }
+  }
+
+  /**
+   * Loads the candidate, job and interview an email is about
+   * @private
+   */
+  async _resolveRecords({ candidateId, jobId = null, interviewId = null }, organizationId) {
+    if (!candidateId || !ObjectId.isValid(candidateId.toString())) {
+      throw new CandidateEmailTemplateServiceError('Invalid candidate ID format', 'INVALID_CANDIDATE_ID', 400);
+    }
+
+    const candidatesCollection = await getCandidatesCollection();
+    const candidate = await candidatesCollection.findOne(scopeQuery({
+      _id: new ObjectId(candidateId.toString()),
+      'metadata.isActive': true
+    }, organizationId));
+
+    if (!candidate) {
+      throw new CandidateEmailTemplateServiceError('Candidate not found', 'CANDIDATE_NOT_FOUND', 404);
+    }
+
+    const interview = await this._resolveInterview(candidate, interviewId, organizationId);
+
+    const applications = [...(candidate.jobApplications || [])]
+      .sort((a, b) => new Date(b.appliedDate) - new Date(a.appliedDate));
+    const selectedJobId = jobId || interview?.jobId || applications[0]?.jobId || null;
+
+    let job = null;
+    if (selectedJobId) {
+      if (!ObjectId.isValid(selectedJobId.toString())) {
+        throw new CandidateEmailTemplateServiceError('Invalid job ID format', 'INVALID_JOB_ID', 400);
+      }
+
+      job = await getJobById(selectedJobId.toString(), organizationId);
+      if (!job && jobId) {
+        throw new CandidateEmailTemplateServiceError('Job not found', 'JOB_NOT_FOUND', 404);
+      }
+    }
+
+    return { candidate, job, interview };
+  }
+
+  /**
+   * Loads the requested interview, or the candidate's next scheduled one
+   * @private
+   */
+  async _resolveInterview(candidate, interviewId, organizationId) {
+    const interviewsCollection = await getInterviewsCollection();
+
+    if (!interviewId) {
+      const [next] = await interviewsCollection
+        .find(scopeQuery({
+          candidateId: candidate._id,
+          status: { $in: ACTIVE_INTERVIEW_STATUSES },
+          scheduledDate: { $gte: new Date() },
+          'metadata.isActive': true
+        }, organizationId))
+        .sort({ scheduledDate: 1 })
+        .limit(1)
+        .toArray();
+
+      return next || null;
+    }
+
+    if (!ObjectId.isValid(interviewId.toString())) {
+      throw new CandidateEmailTemplateServiceError('Invalid interview ID format', 'INVALID_INTERVIEW_ID', 400);
+    }
+
+    const interview = await interviewsCollection.findOne(scopeQuery({
+      _id: new ObjectId(interviewId.toString()),
+      candidateId: candidate._id,
+      'metadata.isActive': true
+    }, organizationId));
+
+    if (!interview) {
+      throw new CandidateEmailTemplateServiceError('Interview not found for this candidate', 'INTERVIEW_NOT_FOUND', 404);
+    }
+
+    return interview;
+  }
+
+  /**
+   * Rejects changes to built-in templates
+   * @private
+   */
+  _assertEditable(templateId) {
+    if (getBuiltInCandidateEmailTemplate(templateId)) {
+      throw new CandidateEmailTemplateServiceError(
+        'Built-in templates cannot be changed. Copy it into a new template instead.',
+        'BUILT_IN_TEMPLATE',
+        400
+      );
+    }
+  }
+
+  /**
+   * Converts unexpected errors into service errors
+   * @private
+   */
+  _wrapError(error, message, code) {
+    if (error instanceof ValidationError) {
+      return new CandidateEmailTemplateServiceError(error.message, 'VALIDATION_ERROR', 400);
+    }
+
+    if (error instanceof CandidateEmailTemplateServiceError || error instanceof OrganizationScopeError) {
+      return error;
+    }
+
+    console.error(`${message}:`, error);
+    return new CandidateEmailTemplateServiceError(message, code, 500);
+  }
+}
+
+// Export singleton instance
+export const candidateEmailTemplateService = new CandidateEmailTemplateService();
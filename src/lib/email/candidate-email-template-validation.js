@@ -0,0 +1,110 @@
+/**
+ * Candidate Email Template Validation
+ * Validates and normalizes organization email templates for candidates
+ */
+
+import { ValidationError, sanitizeString } from '../candidates/candidate-validation.js';
+import {
+  CANDIDATE_EMAIL_TEMPLATE_LIMITS,
+  findUnknownMergeFields
+} from './candidate-email-template-models.js';
+
+/**
+ * Validates a required single-line field
+ * @param {string} value - Raw value
+ * @param {string} field - Field name
+ * @param {string} label - Field label for messages
+ * @param {number} maxLength - Maximum length
+ * @returns {string} Sanitized value
+ * @throws {ValidationError} If validation fails
+ */
+function validateLine(value, field, label, maxLength) {
+  if (!value || typeof value !== 'string' || !value.trim()) {
+    throw new ValidationError(`${label} is required`, field);
+  }
+
+  const sanitized = sanitizeString(value);
+  if (sanitized.length > maxLength) {
+    throw new ValidationError(`${label} must be ${maxLength} characters or less`, field);
+  }
+
+  return sanitized;
+}
+
+/**
+ * Validates a required email body
+ * Line breaks are kept, only surrounding whitespace is trimmed
+ * @param {string} value - Raw body
+ * @param {string} field - Field name
+ * @param {string} label - Field label for messages
+ * @returns {string} Trimmed body
+ * @throws {ValidationError} If validation fails
+ */
+function validateBody(value, field, label) {
+  if (!value || typeof value !== 'string' || !value.trim()) {
+    throw new ValidationError(`${label} is required`, field);
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.length > CANDIDATE_EMAIL_TEMPLATE_LIMITS.BODY_MAX_LENGTH) {
+    throw new ValidationError(
+      `${label} must be ${CANDIDATE_EMAIL_TEMPLATE_LIMITS.BODY_MAX_LENGTH} characters or less`,
+      field
+    );
+  }
+
+  return trimmed;
+}
+
+/**
+ * Validates candidate email template data
+ * @param {Object} templateData - Raw template data ({ name, description, subject, htmlBody, textBody })
+ * @param {Object} options - { partial: true } validates only the fields present (for updates)
+ * @returns {Object} Normalized template data
+ * @throws {ValidationError} If validation fails
+ */
+export function validateCandidateEmailTemplateData(templateData, { partial = false } = {}) {
+  if (!templateData || typeof templateData !== 'object') {
+    throw new ValidationError('Template data is required');
+  }
+
+  const { NAME_MAX_LENGTH, DESCRIPTION_MAX_LENGTH, SUBJECT_MAX_LENGTH } = CANDIDATE_EMAIL_TEMPLATE_LIMITS;
+  const normalized = {};
+
+  if (!partial || templateData.name !== undefined) {
+    normalized.name = validateLine(templateData.name, 'name', 'Template name', NAME_MAX_LENGTH);
+  }
+
+  if (templateData.description !== undefined) {
+    const description = sanitizeString(templateData.description || '');
+    if (description.length > DESCRIPTION_MAX_LENGTH) {
+      throw new ValidationError(
+        `Description must be ${DESCRIPTION_MAX_LENGTH} characters or less`,
+        'description'
+      );
+    }
+    normalized.description = description;
+  }
+
+  if (!partial || templateData.subject !== undefined) {
+    normalized.subject = validateLine(templateData.subject, 'subject', 'Subject', SUBJECT_MAX_LENGTH);
+  }
+
+  if (!partial || templateData.htmlBody !== undefined) {
+    normalized.htmlBody = validateBody(templateData.htmlBody, 'htmlBody', 'HTML version');
+  }
+
+  if (!partial || templateData.textBody !== undefined) {
+    normalized.textBody = validateBody(templateData.textBody, 'textBody', 'Text version');
+  }
+
+  const unknown = findUnknownMergeFields(normalized);
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Unknown merge field${unknown.length > 1 ? 's' : ''}: ${unknown.map(key => `{{${key}}}`).join(', ')}`,
+      'mergeFields'
+    );
+  }
+
+  return normalized;
+}
@@ -0,0 +1,390 @@
+/**
+ * Email Outbox
+ * Durable queue of outbound emails. Messages are written here first and
+ * delivered by a worker that retries with exponential backoff and logs
+ * every attempt
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection } from '../mongodb.js';
+import { toOrganizationObjectId } from '../team/organization-scope.js';
+
+/**
+ * Collection name for the outbox
+ */
+export const EMAIL_OUTBOX_COLLECTION = 'email_outbox';
+
+/**
+ * Outbox message statuses
+ */
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+/**
+ * Retry policy for delivery attempts
+ */
+export const OUTBOX_RETRY = {
+  MAX_ATTEMPTS: 5,
+  BASE_DELAY_MS: 60 * 1000,
+  MAX_DELAY_MS: 60 * 60 * 1000,
+  // A message stuck in "sending" longer than this (e.g. the worker crashed) is picked up again
+  LOCK_MS: 5 * 60 * 1000
+};
+
+/**
+ * Database indexes for the outbox
+ */
+export const EMAIL_OUTBOX_INDEXES = [
+  { key: { status: 1, nextAttemptAt: 1 } },
+  { key: { organizationId: 1, status: 1, createdAt: -1 } }
+];
+
+/**
+ * Outbox errors
+ */
+export class EmailOutboxError extends Error {
+  constructor(message, code = 'EMAIL_OUTBOX_ERROR', statusCode = 500) {
+    super(message);
+    this.name = 'EmailOutboxError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Gets the delay before the next attempt after a failed one
+ * Doubles with every attempt (1, 2, 4, 8... minutes), capped at an hour
+ * @param {number} attemptCount - Attempts made so far (at least 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attemptCount) {
+  const exponent = Math.max(0, attemptCount - 1);
+  return Math.min(OUTBOX_RETRY.BASE_DELAY_MS * 2 ** exponent, OUTBOX_RETRY.MAX_DELAY_MS);
+}
+
+/**
+ * Creates an outbox message document
+ * @param {Object} email - { to, subject, html, text, icalEvent, replyTo, organizationId, sensitive }
+ * @param {Date} [now] - Creation time
+ * @returns {Object} Outbox message document
+ */
+export function createOutboxMessage(email, now = new Date()) {
+  return {
+    organizationId: email.organizationId ? toOrganizationObjectId(email.organizationId) : null,
+    to: email.to,
+    subject: email.subject,
+    html: email.html,
+    text: email.text || null,
+    icalEvent: email.icalEvent || null,
+    replyTo: email.replyTo || null,
+    // The body carries a secret (e.g. a password reset link) and is cleared once delivery ends
+    sensitive: Boolean(email.sensitive),
+    status: OUTBOX_STATUS.PENDING,
+    attemptCount: 0,
+    maxAttempts: OUTBOX_RETRY.MAX_ATTEMPTS,
+    nextAttemptAt: now,
+    lockedUntil: null,
+    lastError: null,
+    messageId: null,
+    attempts: [],
+    createdAt: now,
+    updatedAt: now,
+    sentAt: null
+  };
+}
+
+/**
+ * Works out a message's state after a delivery attempt
+ * Sensitive messages lose their body once they are sent or out of attempts,
+ * so the links in them never outlive the delivery
+ * @param {Object} message - Outbox message (as claimed, before the attempt is counted)
+ * @param {Object} outcome - { messageId } on success or { error } on failure
+ * @param {Date} [now] - When the attempt finished
+ * @returns {Object} { $set, $push } update for the message
+ */
+export function buildAttemptUpdate(message, outcome, now = new Date()) {
+  const attemptCount = message.attemptCount + 1;
+  const succeeded = !outcome.error;
+  const exhausted = attemptCount >= message.maxAttempts;
+
+  const status = succeeded
+    ? OUTBOX_STATUS.SENT
+    : exhausted ? OUTBOX_STATUS.FAILED : OUTBOX_STATUS.PENDING;
+
+  const redact = message.sensitive && status !== OUTBOX_STATUS.PENDING;
+
+  return {
+    $set: {
+      status,
+      attemptCount,
+      lockedUntil: null,
+      nextAttemptAt: status === OUTBOX_STATUS.PENDING ? new Date(now.getTime() + getRetryDelay(attemptCount)) : null,
+      lastError: succeeded ? null : outcome.error,
+      messageId: succeeded ? outcome.messageId || null : message.messageId,
+      sentAt: succeeded ? now : null,
+      updatedAt: now,
+      ...(redact ? { html: null, text: null, redactedAt: now } : {})
+    },
+    $push: {
+      attempts: {
+        number: attemptCount,
+        status: succeeded ? OUTBOX_STATUS.SENT : OUTBOX_STATUS.FAILED,
+        error: succeeded ? null : outcome.error,
+        messageId: succeeded ? outcome.messageId || null : null,
+        at: now
+      }
+    }
+  };
+}
+
+/**
+ * Whether the outbox indexes have been created in this process
+ */
+let outboxIndexesReady = false;
+
+/**
+ * Gets the outbox collection, creating its indexes on first use
+ * @returns {Promise<Collection>} MongoDB outbox collection
+ */
+export async function getEmailOutboxCollection() {
+  try {
+    const collection = await getCollection(EMAIL_OUTBOX_COLLECTION);
+
+    if (!outboxIndexesReady) {
+      for (const indexSpec of EMAIL_OUTBOX_INDEXES) {
+        await collection.createIndex(indexSpec.key, indexSpec.options || {});
+      }
+      outboxIndexesReady = true;
+    }
+
+    return collection;
+  } catch (error) {
+    console.error('Failed to get email outbox collection:', error);
+    throw new EmailOutboxError('Unable to access the email outbox', 'DATABASE_ERROR');
+  }
+}
+
+/**
+ * Writes an email to the outbox
+ * @param {Object} email - { to, subject, html, text, icalEvent, replyTo, organizationId, sensitive }
+ * @returns {Promise<Object>} Stored message
+ */
+export async function enqueueOutboxMessage(email) {
+  const collection = await getEmailOutboxCollection();
+  const message = createOutboxMessage(email);
+  const result = await collection.insertOne(message);
+
+  return { _id: result.insertedId, ...message };
+}
+
+/**
+ * Claims a message that is due for delivery so no other worker sends it
+ * @param {Object} [options] - { id } to claim one message, { now } for the current time
+ * @returns {Promise<Object|null>} Claimed message, or null if none is due
+ */
+export async function claimOutboxMessage({ id = null, now = new Date() } = {}) {
+  const collection = await getEmailOutboxCollection();
+  const query = {
+    $or: [
+      { status: OUTBOX_STATUS.PENDING, nextAttemptAt: { $lte: now } },
+      { status: OUTBOX_STATUS.SENDING, lockedUntil: { $lte: now } }
+    ]
+  };
+
+  if (id) {
+    query._id = new ObjectId(id.toString());
+  }
+
+  return collection.findOneAndUpdate(
+    query,
+    {
+      $set: {
+        status: OUTBOX_STATUS.SENDING,
+        lockedUntil: new Date(now.getTime() + OUTBOX_RETRY.LOCK_MS),
+        updatedAt: now
+      }
+    },
+    { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+  );
+}
+
+/**
+ * Records the outcome of a delivery attempt
+ * @param {Object} message - Claimed message
+ * @param {Object} outcome - { messageId } on success or { error } on failure
+ * @returns {Promise<Object>} Updated message
+ */
+export async function recordOutboxAttempt(message, outcome) {
+  const collection = await getEmailOutboxCollection();
+
+  return collection.findOneAndUpdate(
+    { _id: message._id, status: OUTBOX_STATUS.SENDING },
+    buildAttemptUpdate(message, outcome),
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * Formats a message for the admin view
+ * The body is left out of listings and included for a single message
+ * @param {Object} message - Outbox message
+ * @param {boolean} [includeBody] - Whether to include the content and attempt log
+ * @returns {Object} Formatted message
+ */
+export function formatOutboxMessage(message, includeBody = false) {
+  const formatted = {
+    id: message._id.toString(),
+    to: message.to,
+    subject: message.subject,
+    status: message.status,
+    attemptCount: message.attemptCount,
+    maxAttempts: message.maxAttempts,
+    nextAttemptAt: message.nextAttemptAt,
+    lastError: message.lastError,
+    messageId: message.messageId,
+    hasCalendarInvite: Boolean(message.icalEvent),
+    createdAt: message.createdAt,
+    sentAt: message.sentAt
+  };
+
+  if (includeBody) {
+    formatted.text = message.text;
+    formatted.html = message.html;
+    formatted.attempts = message.attempts;
+  }
+
+  return formatted;
+}
+
+/**
+ * Lists an organization's outbox messages, newest first
+ * @param {Object} filters - { status }
+ * @param {Object} pagination - { page, limit }
+ * @param {string} organizationId - Organization the messages were sent for
+ * @returns {Promise<Object>} { messages, counts, pagination }
+ */
+export async function listOutboxMessages(filters = {}, pagination = {}, organizationId) {
+  const organizationObjectId = toOrganizationObjectId(organizationId);
+
+  if (filters.status && !Object.values(OUTBOX_STATUS).includes(filters.status)) {
+    throw new EmailOutboxError(
+      `Status must be one of: ${Object.values(OUTBOX_STATUS).join(', ')}`,
+      'INVALID_STATUS',
+      400
+    );
+  }
+
+  const page = Math.max(1, parseInt(pagination.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(pagination.limit, 10) || 20));
+  const query = { organizationId: organizationObjectId };
+  if (filters.status) {
+    query.status = filters.status;
+  }
+
+  const collection = await getEmailOutboxCollection();
+  const [messages, total, statusCounts] = await Promise.all([
+    collection.find(query, { projection: { html: 0, text: 0, attempts: 0 } })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    collection.countDocuments(query),
+    collection.aggregate([
+      { $match: { organizationId: organizationObjectId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]).toArray()
+  ]);
+
+  const counts = Object.fromEntries(Object.values(OUTBOX_STATUS).map(status => [status, 0]));
+  statusCounts.forEach(entry => {
+    counts[entry._id] = entry.count;
+  });
+
+  return {
+    messages: messages.map(message => formatOutboxMessage(message)),
+    counts,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Gets one of an organization's outbox messages with its attempt log
+ * @param {string} messageId - Outbox message ID
+ * @param {string} organizationId - Organization the message was sent for
+ * @returns {Promise<Object>} Formatted message
+ */
+export async function getOutboxMessage(messageId, organizationId) {
+  if (!ObjectId.isValid(messageId)) {
+    throw new EmailOutboxError('Invalid message ID format', 'INVALID_ID', 400);
+  }
+
+  const collection = await getEmailOutboxCollection();
+  const message = await collection.findOne({
+    _id: new ObjectId(messageId),
+    organizationId: toOrganizationObjectId(organizationId)
+  });
+
+  if (!message) {
+    throw new EmailOutboxError('Message not found', 'NOT_FOUND', 404);
+  }
+
+  return formatOutboxMessage(message, true);
+}
+
+/**
+ * Puts a failed message back in the queue with a fresh set of attempts
+ * @param {string} messageId - Outbox message ID
+ * @param {string} organizationId - Organization the message was sent for
+ * @returns {Promise<Object>} Requeued message
+ */
+export async function requeueOutboxMessage(messageId, organizationId) {
+  if (!ObjectId.isValid(messageId)) {
+    throw new EmailOutboxError('Invalid message ID format', 'INVALID_ID', 400);
+  }
+
+  const collection = await getEmailOutboxCollection();
+  const query = {
+    _id: new ObjectId(messageId),
+    organizationId: toOrganizationObjectId(organizationId)
+  };
+  const message = await collection.findOne(query, { projection: { status: 1, attemptCount: 1, redactedAt: 1 } });
+
+  if (!message) {
+    throw new EmailOutboxError('Message not found', 'NOT_FOUND', 404);
+  }
+  if (message.status !== OUTBOX_STATUS.FAILED) {
+    throw new EmailOutboxError('Only failed messages can be resent', 'NOT_FAILED', 409);
+  }
+  if (message.redactedAt) {
+    throw new EmailOutboxError('This message\'s content has been removed and it can\'t be resent', 'REDACTED', 409);
+  }
+
+  const now = new Date();
+  const requeued = await collection.findOneAndUpdate(
+    { ...query, status: OUTBOX_STATUS.FAILED },
+    {
+      $set: {
+        status: OUTBOX_STATUS.PENDING,
+        maxAttempts: message.attemptCount + OUTBOX_RETRY.MAX_ATTEMPTS,
+        nextAttemptAt: now,
+        updatedAt: now
+      }
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!requeued) {
+    throw new EmailOutboxError('Message was changed while resending', 'CONFLICT', 409);
+  }
+
+  return requeued;
+}
@@ -5,6 +5,12 @@
 
 import nodemailer from 'nodemailer';
 import { getEnvConfig } from '../env.js';
+import {
+  enqueueOutboxMessage,
+  claimOutboxMessage,
+  recordOutboxAttempt,
+  OUTBOX_STATUS
+} from './email-outbox.js';
 import { logEmailConfigStatus } from './email-config.js';
 
 /**
@@ -91,6 +97,9 @@ function createConsoleTransporter() {
       console.log('Subject:', mailOptions.subject);
       console.log('From:', mailOptions.from);
       console.log('HTML Content Preview:', mailOptions.html.substring(0, 200) + '...');
+      if (mailOptions.icalEvent) {
+        console.log(`Calendar (${mailOptions.icalEvent.method}):\n${mailOptions.icalEvent.content}`);
+      }
       
       return {
         messageId: 'dev-' + Date.now(),
@@ -101,11 +110,111 @@ function createConsoleTransporter() {
 }
 
 /**
- * Sends an email
+ * Queues an email for delivery
+ * The email is written to the outbox and handed to the worker, so a slow or
+ * unavailable SMTP server never loses it or fails the request. Delivery of the
+ * new message starts straight away in the background; the worker retries it
+ * if that attempt fails
  * @param {Object} options - Email options
+ * @param {string} options.to - Recipient
+ * @param {string} options.subject - Subject line
+ * @param {string} options.html - HTML body
+ * @param {string} [options.text] - Plain text body (derived from the HTML when omitted)
+ * @param {Object} [options.icalEvent] - Calendar invite ({ method, content, filename? }),
+ *   sent as a text/calendar alternative and an .ics attachment
+ * @param {string} [options.replyTo] - Address replies should go to (the sending address when omitted)
+ * @param {string} [options.organizationId] - Organization the email is sent for (shown in its outbox)
+ * @param {boolean} [options.sensitive] - Whether the body holds a secret link, which is cleared
+ *   from the outbox once delivery ends
+ * @returns {Promise<Object>} Queue result ({ success, queued, outboxId })
+ */
+export async function sendEmail({ to, subject, html, text, icalEvent, replyTo, organizationId, sensitive }) {
+  let message;
+  try {
+    message = await enqueueOutboxMessage({ to, subject, html, text, icalEvent, replyTo, organizationId, sensitive });
+  } catch (error) {
+    console.error('❌ Failed to queue email:', error);
+    throw new EmailError(
+      'Failed to send email. Please try again later.',
+      'QUEUE_FAILED'
+    );
+  }
+
+  deliverOutboxMessage(message._id).catch(error => {
+    console.error(`❌ Background delivery of email ${message._id} failed:`, error);
+  });
+
+  return {
+    success: true,
+    queued: true,
+    outboxId: message._id.toString(),
+    messageId: null,
+    previewUrl: null
+  };
+}
+
+/**
+ * Delivers one outbox message if it is due, recording the attempt
+ * @param {ObjectId|string|null} [id] - Message to deliver (the next due message when omitted)
+ * @returns {Promise<Object|null>} Updated message, or null if nothing was due
+ */
+export async function deliverOutboxMessage(id = null) {
+  const message = await claimOutboxMessage({ id });
+  if (!message) {
+    return null;
+  }
+
+  let outcome;
+  try {
+    const result = await deliverEmail(message);
+    outcome = { messageId: result.messageId };
+  } catch (error) {
+    outcome = { error: error.cause?.message || error.message };
+  }
+
+  const updated = await recordOutboxAttempt(message, outcome);
+
+  if (updated?.status === OUTBOX_STATUS.FAILED) {
+    console.error(`❌ Email ${message._id} to ${message.to} failed after ${updated.attemptCount} attempts: ${outcome.error}`);
+  }
+
+  return updated;
+}
+
+/**
+ * Delivers every outbox message that is due
+ * @param {Object} [options] - { limit } on the number of messages handled in one run
+ * @returns {Promise<Object>} { processed, sent, retrying, failed }
+ */
+export async function processEmailOutbox({ limit = 50 } = {}) {
+  const summary = { processed: 0, sent: 0, retrying: 0, failed: 0 };
+
+  while (summary.processed < limit) {
+    const message = await deliverOutboxMessage();
+    if (!message) {
+      break;
+    }
+
+    summary.processed++;
+    if (message.status === OUTBOX_STATUS.SENT) {
+      summary.sent++;
+    } else if (message.status === OUTBOX_STATUS.FAILED) {
+      summary.failed++;
+    } else {
+      summary.retrying++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Sends an email through the configured transporter right away
+ * Used by the outbox worker; everything else should call sendEmail
+ * @param {Object} options - Email options (as for sendEmail)
  * @returns {Promise<Object>} Send result
  */
-export async function sendEmail({ to, subject, html, text }) {
+export async function deliverEmail({ to, subject, html, text, icalEvent, replyTo }) {
   try {
     const config = getEnvConfig();
     const transporter = await createEmailTransporter();
@@ -117,6 +226,18 @@ export async function sendEmail({ to, subject, html, text }) {
       html,
       text: text || html.replace(/<[^>]*>/g, '') // Strip HTML for text version
     };
+
+    if (replyTo) {
+      mailOptions.replyTo = replyTo;
+    }
+
+    if (icalEvent) {
+      mailOptions.icalEvent = {
+        filename: icalEvent.filename || 'invite.ics',
+        method: icalEvent.method,
+        content: icalEvent.content
+      };
+    }
     
     const result = await transporter.sendMail(mailOptions);
     
@@ -140,10 +261,12 @@ export async function sendEmail({ to, subject, html, text }) {
     
   } catch (error) {
     console.error('❌ Failed to send email:', error);
-    throw new EmailError(
+    const sendError = new EmailError(
       'Failed to send email. Please try again later.',
       'SEND_FAILED'
     );
+    sendError.cause = error;
+    throw sendError;
   }
 }
 
@@ -237,7 +360,8 @@ export async function sendVerificationEmail(email, verificationToken, userName =
   return await sendEmail({
     to: email,
     subject,
-    html
+    html,
+    sensitive: true
   });
 }
 
@@ -304,6 +428,73 @@ export async function sendPasswordResetEmail(email, resetToken, userName = 'User
     </html>
   `;
   
+  return await sendEmail({
+    to: email,
+    subject,
+    html,
+    sensitive: true
+  });
+}
+
+/**
+ * Sends the email telling someone their account was locked after too many failed sign-ins
+ * @param {string} email - User email address
+ * @param {Date} lockedUntil - When sign-in works again
+ * @param {string} userName - User name
+ * @returns {Promise<Object>} Send result
+ */
+export async function sendAccountLockedEmail(email, lockedUntil, userName = 'User') {
+  const config = getEnvConfig();
+  const resetUrl = `${config.NEXTAUTH_URL}/forgot-password`;
+  const unlockTime = lockedUntil.toUTCString();
+
+  const subject = 'Your Account Was Locked - Nexus ATS';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Account Locked</title>
+      <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #dc2626; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+        .content { background: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px; }
+        .button { display: inline-block; background: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+        .logo { font-size: 24px; font-weight: bold; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="header">
+          <div class="logo">📋 Nexus ATS</div>
+          <h1>Account Temporarily Locked</h1>
+        </div>
+        <div class="content">
+          <h2>Hi ${userName},</h2>
+          <p>There were too many failed attempts to sign in to your Nexus ATS account, so we have locked it until <strong>${unlockTime}</strong>.</p>
+
+          <p>If this was you, wait until then and try again. If it wasn't, someone may be guessing your password: reset it to be safe.</p>
+
+          <div style="text-align: center;">
+            <a href="${resetUrl}" class="button">Reset Password</a>
+          </div>
+
+          <p>Turning on two-factor authentication under Settings → Security keeps your account safe even if your password is guessed.</p>
+
+          <p>Best regards,<br>The Nexus ATS Team</p>
+        </div>
+        <div class="footer">
+          <p>This is an automated email. Please do not reply to this message.</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
   return await sendEmail({
     to: email,
     subject,
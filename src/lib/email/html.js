@@ -0,0 +1,17 @@
+/**
+ * Email HTML Helpers
+ * Shared by the email templates that put user-supplied text into HTML
+ */
+
+/**
+ * Escapes text for HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,250 @@
+/**
+ * Inbound Email
+ * Parses raw RFC 822 messages and reads them from a local maildir, which
+ * stands in for an IMAP mailbox: a mail server or fetchmail delivers replies
+ * into its new/ folder and the import moves each one to cur/ once handled
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Inbound email errors
+ */
+export class InboundEmailError extends Error {
+  constructor(message, code = 'INBOUND_EMAIL_ERROR') {
+    super(message);
+    this.name = 'InboundEmailError';
+    this.code = code;
+  }
+}
+
+/**
+ * Decodes a quoted-printable body
+ * @param {string} value - Encoded text
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeQuotedPrintable(value) {
+  const text = value.replace(/=\r?\n/g, '');
+  const bytes = [];
+
+  let i = 0;
+  while (i < text.length) {
+    if (text[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(text.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(text.slice(i + 1, i + 3), 16));
+      i += 3;
+    } else {
+      const char = String.fromCodePoint(text.codePointAt(i));
+      bytes.push(...Buffer.from(char, 'utf8'));
+      i += char.length;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Converts decoded bytes to text in the part's charset
+ * @param {Buffer} bytes - Decoded bytes
+ * @param {string} charset - Charset from the Content-Type header
+ * @returns {string} Text
+ */
+function bytesToText(bytes, charset) {
+  const normalized = String(charset || 'utf-8').toLowerCase();
+  return /^(iso-8859-1|latin1|us-ascii|windows-1252)$/.test(normalized)
+    ? bytes.toString('latin1')
+    : bytes.toString('utf8');
+}
+
+/**
+ * Decodes RFC 2047 encoded words in a header ("=?UTF-8?B?...?=")
+ * @param {string} value - Header value
+ * @returns {string} Decoded value
+ */
+export function decodeHeaderValue(value) {
+  return String(value || '')
+    .replace(/\?=\s+=\?/g, '?==?')
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (word, charset, encoding, encoded) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(encoded, 'base64')
+        : decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+      return bytesToText(bytes, charset);
+    });
+}
+
+/**
+ * Splits a message or MIME part into its headers and body
+ * Header names are lowercased; repeated headers keep every value
+ * @param {string} raw - Raw message
+ * @returns {Object} { headers: { [name]: Array<string> }, body }
+ */
+function splitMessage(raw) {
+  const text = String(raw || '');
+  const match = /\r?\n\r?\n/.exec(text);
+  const headerBlock = match ? text.slice(0, match.index) : text;
+  const body = match ? text.slice(match.index + match[0].length) : '';
+
+  const headers = {};
+  headerBlock
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon <= 0) {
+        return;
+      }
+
+      const name = line.slice(0, colon).trim().toLowerCase();
+      headers[name] = [...(headers[name] || []), line.slice(colon + 1).trim()];
+    });
+
+  return { headers, body };
+}
+
+/**
+ * Reads a parameter such as boundary or charset from a header value
+ * @param {string} header - Header value
+ * @param {string} name - Parameter name
+ * @returns {string|null} Parameter value
+ */
+function getHeaderParameter(header, name) {
+  const match = new RegExp(`${name}\\s*=\\s*(?:"([^"]*)"|([^;\\s]+))`, 'i').exec(header || '');
+  return match ? (match[1] ?? match[2]) : null;
+}
+
+/**
+ * Finds the readable text of a message or MIME part
+ * Plain text is preferred; HTML-only parts are reduced to text
+ * @param {Object} part - { headers, body }
+ * @returns {Object|null} { text, isHtml } or null when the part has no text
+ */
+function extractText({ headers, body }) {
+  const contentType = headers['content-type']?.[0] || 'text/plain';
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+
+  if (mimeType.startsWith('multipart/')) {
+    const boundary = getHeaderParameter(contentType, 'boundary');
+    if (!boundary) {
+      return null;
+    }
+
+    const parts = body
+      .split(`--${boundary}`)
+      .slice(1)
+      .filter(part => !part.startsWith('--'))
+      .map(part => extractText(splitMessage(part.replace(/^\r?\n/, ''))))
+      .filter(Boolean);
+
+    return parts.find(part => !part.isHtml) || parts[0] || null;
+  }
+
+  if (mimeType !== 'text/plain' && mimeType !== 'text/html') {
+    return null;
+  }
+
+  const encoding = (headers['content-transfer-encoding']?.[0] || '').toLowerCase();
+  const bytes = encoding === 'base64'
+    ? Buffer.from(body.replace(/\s+/g, ''), 'base64')
+    : encoding === 'quoted-printable'
+      ? decodeQuotedPrintable(body)
+      : Buffer.from(body, 'utf8');
+  const text = bytesToText(bytes, getHeaderParameter(contentType, 'charset'));
+
+  if (mimeType === 'text/html') {
+    return {
+      text: text
+        .replace(/<(br|\/p|\/div)[^>]*>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&'),
+      isHtml: true
+    };
+  }
+
+  return { text, isHtml: false };
+}
+
+/**
+ * Lists the email addresses in an address header
+ * @param {string} value - Header value ("Ada <ada@example.com>, bob@example.com")
+ * @returns {Array<string>} Lowercased addresses
+ */
+export function parseAddressList(value) {
+  return (String(value || '').match(/[^\s<>,;"']+@[^\s<>,;"']+/g) || []).map(address => address.toLowerCase());
+}
+
+/**
+ * Removes the quoted earlier message from a reply
+ * Cuts at the "On ... wrote:" line most clients add, or at the first block of
+ * ">" quoted lines, whichever comes first
+ * @param {string} text - Reply text
+ * @returns {string} Text the sender wrote
+ */
+export function stripQuotedReply(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const cut = lines.findIndex(line =>
+    /^On .+wrote:\s*$/i.test(line.trim()) ||
+    /^-{2,}\s*Original Message\s*-{2,}$/i.test(line.trim()) ||
+    line.startsWith('>')
+  );
+
+  return (cut === -1 ? lines : lines.slice(0, cut)).join('\n').trim();
+}
+
+/**
+ * Parses a raw email message
+ * @param {string} raw - Raw RFC 822 message
+ * @returns {Object} { messageId, from, recipients, subject, date, text }
+ */
+export function parseEmailMessage(raw) {
+  const message = splitMessage(raw);
+  const header = name => decodeHeaderValue(message.headers[name]?.[0] || '');
+  const recipients = ['to', 'cc', 'delivered-to', 'x-original-to']
+    .flatMap(name => (message.headers[name] || []).flatMap(parseAddressList));
+  const date = header('date') ? new Date(header('date')) : null;
+
+  return {
+    messageId: header('message-id').replace(/^<|>$/g, '') || null,
+    from: header('from'),
+    fromAddress: parseAddressList(header('from'))[0] || null,
+    recipients: [...new Set(recipients)],
+    subject: header('subject'),
+    date: date && !isNaN(date.getTime()) ? date : null,
+    text: (extractText(message)?.text || '').trim()
+  };
+}
+
+/**
+ * Lists the messages waiting in a maildir's new/ folder, oldest first
+ * @param {string} maildir - Maildir path (containing new/ and cur/)
+ * @returns {Promise<Array<Object>>} [{ file, raw }]
+ */
+export async function readMaildir(maildir) {
+  let files;
+  try {
+    files = await fs.readdir(path.join(maildir, 'new'));
+  } catch (error) {
+    throw new InboundEmailError(`Cannot read maildir ${maildir}: ${error.message}`, 'MAILDIR_UNREADABLE');
+  }
+
+  const messages = [];
+  for (const file of files.filter(name => !name.startsWith('.')).sort()) {
+    messages.push({ file, raw: await fs.readFile(path.join(maildir, 'new', file), 'utf8') });
+  }
+
+  return messages;
+}
+
+/**
+ * Moves a handled message from new/ to cur/ and flags it as seen
+ * @param {string} maildir - Maildir path
+ * @param {string} file - File name in new/
+ * @returns {Promise<void>}
+ */
+export async function markMaildirMessageSeen(maildir, file) {
+  await fs.mkdir(path.join(maildir, 'cur'), { recursive: true });
+  await fs.rename(path.join(maildir, 'new', file), path.join(maildir, 'cur', `${file}:2,S`));
+}
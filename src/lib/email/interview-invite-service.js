@@ -0,0 +1,269 @@
+/**
+ * Interview Invite Email Service
+ * Sends calendar invites and reminders for interviews to the candidate and
+ * every interviewer
+ */
+
+import { EmailError } from './email-service.js';
+import {
+  INVITE_ACTIONS,
+  generateInterviewInviteSubject,
+  generateInterviewInviteHTML,
+  generateInterviewInviteText,
+  generateInterviewReminderSubject,
+  generateInterviewReminderHTML,
+  generateInterviewReminderText
+} from './interview-invite-templates.js';
+import {
+  CALENDAR_METHODS,
+  buildCalendarEvent,
+  extractEmailAddress,
+  getInterviewEventUid
+} from './calendar-invite.js';
+import { getEnvConfig } from '../env.js';
+import { dispatchNotification } from '../notifications/notification-dispatcher.js';
+import { NOTIFICATION_EVENTS } from '../notifications/notification-models.js';
+import { createReplyTracking, recordOutboundEmail } from '../candidates/candidate-communications.js';
+
+export { INVITE_ACTIONS };
+
+/**
+ * Interview invite email errors
+ */
+export class InterviewInviteEmailError extends EmailError {
+  constructor(message, code = 'INTERVIEW_INVITE_EMAIL_ERROR') {
+    super(message, code);
+    this.name = 'InterviewInviteEmailError';
+  }
+}
+
+/**
+ * Capitalizes an interview type for display (e.g. "technical" -> "Technical")
+ * @param {string} type - Interview type
+ * @returns {string} Display label
+ */
+function formatTypeLabel(type) {
+  const label = String(type || 'interview');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * Adds the copy of an interview email sent to the candidate to their
+ * communication history; failures are logged and never fail the send
+ * @param {Object} interview - Interview document
+ * @param {Object} results - Dispatch results
+ * @param {Object|null} candidateEmail - Message built for the candidate ({ to, subject, text, replyToken })
+ * @returns {Promise<void>}
+ */
+async function logCandidateEmail(interview, results, candidateEmail) {
+  if (!candidateEmail || !interview.candidateId || !interview.organizationId) {
+    return;
+  }
+
+  const sent = results.sent.find(item => item.email === candidateEmail.to);
+  if (!sent) {
+    return;
+  }
+
+  try {
+    await recordOutboundEmail(interview.candidateId, interview.organizationId, {
+      ...candidateEmail,
+      outboxId: sent.outboxId
+    });
+  } catch (error) {
+    console.error(`Failed to log interview email to candidate ${interview.candidateId}:`, error);
+  }
+}
+
+/**
+ * Collects the people who receive an interview's invites
+ * The candidate comes first; interviewers without an email address are skipped
+ * and each address only appears once
+ * @param {Object} interview - Interview document
+ * @param {Object} candidate - Candidate ({ name, email })
+ * @returns {Array<Object>} Recipients ({ userId, name, email, isCandidate })
+ */
+export function getInviteRecipients(interview, candidate) {
+  const seen = new Set();
+  const recipients = [];
+
+  const add = (userId, name, email, isCandidate) => {
+    const address = typeof email === 'string' ? email.trim() : '';
+    if (!address || seen.has(address.toLowerCase())) {
+      return;
+    }
+    seen.add(address.toLowerCase());
+    recipients.push({ userId, name: name || address, email: address, isCandidate });
+  };
+
+  add(null, candidate?.name, candidate?.email, true);
+  (interview.interviewers || []).forEach(interviewer => {
+    if (interviewer && typeof interviewer === 'object') {
+      add(interviewer.userId ? interviewer.userId.toString() : null, interviewer.name, interviewer.email, false);
+    }
+  });
+
+  return recipients;
+}
+
+/**
+ * Collects the interview details shown in invite and reminder emails
+ * @param {Object} interview - Interview document
+ * @param {string} action - INVITE_ACTIONS value
+ * @param {Object} candidate - Candidate ({ name, email })
+ * @param {string} jobTitle - Job title
+ * @returns {Object} Invite data for the templates
+ */
+function buildInviteData(interview, action, candidate, jobTitle) {
+  const start = new Date(interview.scheduledDate);
+  const meeting = interview.meetingDetails || {};
+
+  return {
+    action,
+    candidateName: candidate.name,
+    jobTitle,
+    typeLabel: formatTypeLabel(interview.type),
+    start,
+    end: new Date(start.getTime() + (interview.duration || 60) * 60000),
+    meetingType: meeting.type,
+    meetingLink: meeting.link || '',
+    location: meeting.location || '',
+    interviewerNames: (interview.interviewers || [])
+      .map(interviewer => (typeof interviewer === 'string' ? interviewer : interviewer?.name))
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Builds the calendar invite for an interview
+ * @param {Object} interview - Interview document (with calendar.sequence)
+ * @param {Object} options - Invite options
+ * @param {string} options.action - INVITE_ACTIONS value
+ * @param {Object} options.candidate - Candidate ({ name, email })
+ * @param {string} options.jobTitle - Job title
+ * @param {Array<Object>} options.attendees - Attendees listed in the event
+ * @returns {Object} { method, content, inviteData }
+ */
+export function buildInterviewInvite(interview, { action, candidate, jobTitle, attendees }) {
+  const config = getEnvConfig();
+  const inviteData = buildInviteData(interview, action, candidate, jobTitle);
+  const { typeLabel, meetingLink, location, interviewerNames } = inviteData;
+  const method = action === INVITE_ACTIONS.CANCELLED ? CALENDAR_METHODS.CANCEL : CALENDAR_METHODS.REQUEST;
+
+  const descriptionLines = [`${typeLabel} interview with ${candidate.name} for ${jobTitle}.`];
+  if (meetingLink) {
+    descriptionLines.push(`Join: ${meetingLink}`);
+  }
+  if (interviewerNames.length > 0) {
+    descriptionLines.push(`Interviewers: ${interviewerNames.join(', ')}`);
+  }
+
+  const content = buildCalendarEvent({
+    uid: getInterviewEventUid(interview),
+    sequence: interview.calendar?.sequence || 0,
+    method,
+    start: inviteData.start,
+    end: inviteData.end,
+    summary: `${typeLabel} interview: ${candidate.name} - ${jobTitle}`,
+    description: descriptionLines.join('\n'),
+    location: location || meetingLink,
+    url: /^https?:\/\//i.test(meetingLink) ? meetingLink : undefined,
+    organizer: {
+      name: 'Nexus ATS',
+      email: extractEmailAddress(config.SMTP_FROM || config.SMTP_USER || 'noreply@nexusats.com')
+    },
+    attendees
+  });
+
+  return { method, content, inviteData };
+}
+
+/**
+ * Sends an interview's calendar invite to each recipient
+ * Every recipient gets the same event (same UID and SEQUENCE) listing all
+ * attendees, so calendar clients treat it as one meeting. Interviewers get it
+ * the way their interview notification preference asks for
+ * @param {Object} interview - Interview document (with calendar.sequence)
+ * @param {Object} options - Invite options
+ * @param {string} options.action - INVITE_ACTIONS value
+ * @param {Object} options.candidate - Candidate ({ name, email })
+ * @param {string} options.jobTitle - Job title
+ * @param {Array<Object>} [options.recipients] - Recipients to send to (defaults to the candidate and every interviewer)
+ * @returns {Promise<Object>} Dispatch results ({ sent, queued, skipped, failed })
+ */
+export async function sendInterviewInvites(interview, { action, candidate, jobTitle, recipients }) {
+  if (!interview?._id || !interview.scheduledDate) {
+    throw new InterviewInviteEmailError('A saved, scheduled interview is required', 'MISSING_INTERVIEW');
+  }
+  if (!Object.values(INVITE_ACTIONS).includes(action)) {
+    throw new InterviewInviteEmailError(`Unknown invite action: ${action}`, 'INVALID_ACTION');
+  }
+
+  const to = recipients || getInviteRecipients(interview, candidate);
+  const { method, content, inviteData } = buildInterviewInvite(interview, {
+    action,
+    candidate,
+    jobTitle,
+    attendees: to
+  });
+
+  let candidateEmail = null;
+  const results = await dispatchNotification(NOTIFICATION_EVENTS.INTERVIEW_CHANGED, to, recipient => {
+    const data = { ...inviteData, recipientName: recipient.name, isCandidate: recipient.isCandidate };
+    const message = {
+      subject: generateInterviewInviteSubject(data),
+      html: generateInterviewInviteHTML(data),
+      text: generateInterviewInviteText(data),
+      icalEvent: { method, content }
+    };
+
+    if (recipient.isCandidate) {
+      const { replyToken, replyTo } = createReplyTracking();
+      message.replyTo = replyTo;
+      candidateEmail = { to: recipient.email, subject: message.subject, text: message.text, replyToken };
+    }
+
+    return { ...message, summary: message.subject };
+  }, { organizationId: interview.organizationId || null });
+
+  await logCandidateEmail(interview, results, candidateEmail);
+  return results;
+}
+
+/**
+ * Sends a reminder for an upcoming interview to the candidate and every interviewer
+ * @param {Object} interview - Interview document
+ * @param {Object} options - Reminder options
+ * @param {Object} options.candidate - Candidate ({ name, email })
+ * @param {string} options.jobTitle - Job title
+ * @param {string} options.startsIn - When the interview starts (e.g. "in 1 hour")
+ * @returns {Promise<Object>} Dispatch results ({ sent, queued, skipped, failed })
+ */
+export async function sendInterviewReminder(interview, { candidate, jobTitle, startsIn }) {
+  if (!interview?._id || !interview.scheduledDate) {
+    throw new InterviewInviteEmailError('A saved, scheduled interview is required', 'MISSING_INTERVIEW');
+  }
+
+  const inviteData = { ...buildInviteData(interview, INVITE_ACTIONS.SCHEDULED, candidate, jobTitle), startsIn };
+
+  let candidateEmail = null;
+  const results = await dispatchNotification(NOTIFICATION_EVENTS.INTERVIEW_REMINDER, getInviteRecipients(interview, candidate), recipient => {
+    const data = { ...inviteData, recipientName: recipient.name, isCandidate: recipient.isCandidate };
+    const message = {
+      subject: generateInterviewReminderSubject(data),
+      html: generateInterviewReminderHTML(data),
+      text: generateInterviewReminderText(data)
+    };
+
+    if (recipient.isCandidate) {
+      const { replyToken, replyTo } = createReplyTracking();
+      message.replyTo = replyTo;
+      candidateEmail = { to: recipient.email, subject: message.subject, text: message.text, replyToken };
+    }
+
+    return { ...message, summary: message.subject };
+  }, { organizationId: interview.organizationId || null });
+
+  await logCandidateEmail(interview, results, candidateEmail);
+  return results;
+}
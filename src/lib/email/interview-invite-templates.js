@@ -0,0 +1,209 @@
+/**
+ * Interview Invite Email Templates
+ * Emails that carry the calendar invite for a scheduled, updated or cancelled
+ * interview, and reminders sent before it starts
+ */
+
+import { escapeHtml } from './html.js';
+
+/**
+ * Invite actions
+ */
+export const INVITE_ACTIONS = {
+  SCHEDULED: 'scheduled',
+  UPDATED: 'updated',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Display names for meeting types
+ */
+const MEETING_TYPE_LABELS = {
+  video: 'Video call',
+  phone: 'Phone call',
+  'in-person': 'In person'
+};
+
+/**
+ * Formats the interview time range for an email
+ * @param {Date} start - Start time
+ * @param {Date} end - End time
+ * @returns {string} e.g. "Monday, January 7, 2030, 10:00 AM - 11:00 AM UTC"
+ */
+export function formatInterviewTimeRange(start, end) {
+  const day = new Date(start).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+  const from = new Date(start).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  const to = new Date(end).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
+
+  return `${day}, ${from} - ${to}`;
+}
+
+/**
+ * Generates the subject line of an interview invite
+ * @param {Object} inviteData - Invite data
+ * @returns {string} Subject line
+ */
+export function generateInterviewInviteSubject(inviteData) {
+  const prefix = {
+    [INVITE_ACTIONS.SCHEDULED]: 'Interview invitation',
+    [INVITE_ACTIONS.UPDATED]: 'Updated interview',
+    [INVITE_ACTIONS.CANCELLED]: 'Cancelled interview'
+  }[inviteData.action];
+
+  return `${prefix}: ${inviteData.candidateName} - ${inviteData.jobTitle}`;
+}
+
+/**
+ * Describes what happened to the interview, addressed to the recipient
+ * @param {Object} inviteData - Invite data
+ * @returns {string} Opening sentence
+ */
+function describeAction(inviteData) {
+  const subject = inviteData.isCandidate
+    ? `your ${inviteData.typeLabel.toLowerCase()} interview for the ${inviteData.jobTitle} role`
+    : `the ${inviteData.typeLabel.toLowerCase()} interview with ${inviteData.candidateName} for ${inviteData.jobTitle}`;
+
+  switch (inviteData.action) {
+    case INVITE_ACTIONS.CANCELLED:
+      return `We're writing to let you know that ${subject} has been cancelled.`;
+    case INVITE_ACTIONS.UPDATED:
+      return `The details of ${subject} have changed. The calendar invite attached replaces the previous one.`;
+    default:
+      return `You're invited to ${subject}. Add it to your calendar with the invite attached.`;
+  }
+}
+
+/**
+ * Lists the interview details shown in every interview email
+ * @param {Object} inviteData - Invite data
+ * @returns {Array<Array<string>>} [label, value] pairs
+ */
+function getDetailRows(inviteData) {
+  return [
+    ['When', formatInterviewTimeRange(inviteData.start, inviteData.end)],
+    ['Type', inviteData.typeLabel],
+    ['Format', MEETING_TYPE_LABELS[inviteData.meetingType] || inviteData.meetingType],
+    inviteData.meetingLink && ['Join', inviteData.meetingLink],
+    inviteData.location && ['Location', inviteData.location],
+    inviteData.interviewerNames.length > 0 && ['Interviewers', inviteData.interviewerNames.join(', ')]
+  ].filter(Boolean);
+}
+
+/**
+ * Renders an interview email as HTML
+ * @param {Object} inviteData - Invite data
+ * @param {string} subject - Subject line
+ * @param {string} intro - Opening sentence
+ * @returns {string} HTML email
+ */
+function renderInterviewHTML(inviteData, subject, intro) {
+  const rows = getDetailRows(inviteData);
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(subject)}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+    <div style="background-color: #ffffff; border-radius: 8px; padding: 40px; box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);">
+        <div style="font-size: 24px; font-weight: bold; color: #2563eb; margin-bottom: 20px;">Nexus ATS</div>
+        <p>Hi ${escapeHtml(inviteData.recipientName)},</p>
+        <p>${escapeHtml(intro)}</p>
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+            ${rows.map(([label, value]) => `
+            <tr>
+                <td style="padding: 8px 12px 8px 0; color: #6b7280; vertical-align: top; white-space: nowrap;">${label}</td>
+                <td style="padding: 8px 0;${inviteData.action === INVITE_ACTIONS.CANCELLED ? ' text-decoration: line-through;' : ''}">${escapeHtml(value)}</td>
+            </tr>`).join('')}
+        </table>
+        <p style="color: #6b7280; font-size: 14px;">This is an automated email. Please do not reply to this message.</p>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Renders an interview email as plain text
+ * @param {Object} inviteData - Invite data
+ * @param {string} intro - Opening sentence
+ * @returns {string} Plain text email
+ */
+function renderInterviewText(inviteData, intro) {
+  const lines = [
+    `Hi ${inviteData.recipientName},`,
+    '',
+    intro,
+    '',
+    ...getDetailRows(inviteData).map(([label, value]) => `${label}: ${value}`),
+    '',
+    'This is an automated email. Please do not reply to this message.'
+  ];
+
+  return lines.join('\n');
+}
+
+/**
+ * Generates the HTML body of an interview invite
+ * @param {Object} inviteData - Invite data
+ * @returns {string} HTML email
+ */
+export function generateInterviewInviteHTML(inviteData) {
+  return renderInterviewHTML(inviteData, generateInterviewInviteSubject(inviteData), describeAction(inviteData));
+}
+
+/**
+ * Generates the plain text body of an interview invite
+ * @param {Object} inviteData - Invite data
+ * @returns {string} Plain text email
+ */
+export function generateInterviewInviteText(inviteData) {
+  return renderInterviewText(inviteData, describeAction(inviteData));
+}
+
+/**
+ * Generates the subject line of an interview reminder
+ * @param {Object} inviteData - Invite data with startsIn (e.g. "tomorrow")
+ * @returns {string} Subject line
+ */
+export function generateInterviewReminderSubject(inviteData) {
+  return `Reminder: interview ${inviteData.startsIn} - ${inviteData.candidateName}, ${inviteData.jobTitle}`;
+}
+
+/**
+ * Describes the upcoming interview, addressed to the recipient
+ * @param {Object} inviteData - Invite data with startsIn
+ * @returns {string} Opening sentence
+ */
+function describeReminder(inviteData) {
+  const subject = inviteData.isCandidate
+    ? `your ${inviteData.typeLabel.toLowerCase()} interview for the ${inviteData.jobTitle} role`
+    : `the ${inviteData.typeLabel.toLowerCase()} interview with ${inviteData.candidateName} for ${inviteData.jobTitle}`;
+
+  return `This is a reminder that ${subject} starts ${inviteData.startsIn}.`;
+}
+
+/**
+ * Generates the HTML body of an interview reminder
+ * @param {Object} inviteData - Invite data with startsIn
+ * @returns {string} HTML email
+ */
+export function generateInterviewReminderHTML(inviteData) {
+  return renderInterviewHTML(inviteData, generateInterviewReminderSubject(inviteData), describeReminder(inviteData));
+}
+
+/**
+ * Generates the plain text body of an interview reminder
+ * @param {Object} inviteData - Invite data with startsIn
+ * @returns {string} Plain text email
+ */
+export function generateInterviewReminderText(inviteData) {
+  return renderInterviewText(inviteData, describeReminder(inviteData));
+}
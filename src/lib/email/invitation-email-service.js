@@ -3,7 +3,7 @@
  * Handles sending team member invitation emails
  */
 
-import { sendEmail, EmailError } from './email-service.js';
+import { EmailError } from './email-service.js';
 import {
   generateInvitationEmailHTML,
   generateInvitationEmailText,
@@ -11,6 +11,8 @@ import {
   validateInvitationEmailData
 } from './invitation-templates.js';
 import { getEnvConfig } from '../env.js';
+import { dispatchNotification } from '../notifications/notification-dispatcher.js';
+import { NOTIFICATION_EVENTS, DELIVERY_MODES } from '../notifications/notification-models.js';
 
 /**
  * Invitation email service errors
@@ -24,8 +26,10 @@ export class InvitationEmailError extends EmailError {
 
 /**
  * Sends team invitation email
+ * Invitees who already have an account receive it according to their
+ * team invitation notification preference
  * @param {Object} invitationData - Invitation data
- * @returns {Promise<Object>} Send result
+ * @returns {Promise<Object>} Send result (delivery is immediate, digest or off)
  */
 export async function sendInvitationEmail(invitationData) {
   try {
@@ -38,24 +42,40 @@ export async function sendInvitationEmail(invitationData) {
     const text = generateInvitationEmailText(invitationData);
     
     // Send email
-    const result = await sendEmail({
-      to: invitationData.email,
-      subject,
-      html,
-      text
-    });
+    const delivery = await dispatchNotification(
+      NOTIFICATION_EVENTS.TEAM_INVITATION,
+      [{ email: invitationData.email }],
+      () => ({
+        subject,
+        html,
+        text,
+        summary: `${invitationData.inviterName} invited you to join ${invitationData.organizationName}`,
+        link: invitationData.acceptanceUrl
+      }),
+      { organizationId: invitationData.organizationId || null }
+    );
+
+    if (delivery.failed.length > 0) {
+      throw new InvitationEmailError(delivery.failed[0].error, 'INVITATION_SEND_FAILED');
+    }
+
+    const result = delivery.sent[0] || {};
+    const mode = delivery.sent.length > 0
+      ? DELIVERY_MODES.IMMEDIATE
+      : delivery.queued.length > 0 ? DELIVERY_MODES.DIGEST : DELIVERY_MODES.OFF;
     
-    console.log('📧 Team invitation email sent successfully:', {
+    console.log('📧 Team invitation email handled:', {
       to: invitationData.email,
       organization: invitationData.organizationName,
       role: invitationData.role,
-      messageId: result.messageId
+      delivery: mode,
+      outboxId: result.outboxId
     });
     
     return {
       success: true,
-      messageId: result.messageId,
-      previewUrl: result.previewUrl,
+      delivery: mode,
+      outboxId: result.outboxId || null,
       recipient: invitationData.email,
       subject
     };
@@ -99,6 +119,7 @@ export function prepareInvitationEmailData(invitation) {
   const acceptanceUrl = buildInvitationAcceptanceUrl(invitation.token);
   
   return {
+    organizationId: invitation.organizationId ? invitation.organizationId.toString() : null,
     email: invitation.email,
     inviterName: invitation.metadata?.inviterName || 'Team Administrator',
     inviterEmail: invitation.metadata?.inviterEmail,
@@ -234,7 +255,7 @@ export async function sendBatchInvitationEmails(invitations) {
       const result = await sendValidatedInvitationEmail(invitation);
       results.success.push({
         email: invitation.email,
-        messageId: result.messageId,
+        outboxId: result.outboxId,
         result
       });
     } catch (error) {
@@ -0,0 +1,259 @@
+/**
+ * Notification Email Templates
+ * Emails for pipeline activity sent through the notification dispatcher, and
+ * the digest that collects them
+ */
+
+import { escapeHtml } from './html.js';
+
+/**
+ * Renders a notification email with a single call to action
+ * @param {Object} content - { subject, recipientName, message, link, linkLabel }
+ * @returns {Object} { html, text }
+ */
+function renderNotificationEmail({ subject, recipientName, message, link, linkLabel }) {
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(subject)}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+    <div style="background-color: #ffffff; border-radius: 8px; padding: 40px; box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);">
+        <div style="font-size: 24px; font-weight: bold; color: #2563eb; margin-bottom: 20px;">Nexus ATS</div>
+        <p>Hi ${escapeHtml(recipientName)},</p>
+        <p>${escapeHtml(message)}</p>
+        ${link ? `<p style="margin: 30px 0;"><a href="${escapeHtml(link)}" style="display: inline-block; background-color: #2563eb; color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 6px; font-weight: 600;">${escapeHtml(linkLabel)}</a></p>` : ''}
+        <p style="color: #6b7280; font-size: 14px;">You can change which emails you receive on the Notifications tab of your settings.</p>
+    </div>
+</body>
+</html>`;
+
+  const text = [
+    `Hi ${recipientName},`,
+    '',
+    message,
+    ...(link ? ['', `${linkLabel}: ${link}`] : []),
+    '',
+    'You can change which emails you receive on the Notifications tab of your settings.'
+  ].join('\n');
+
+  return { html, text };
+}
+
+/**
+ * Generates the email telling the team someone applied to a job
+ * @param {Object} data - { recipientName, applicantName, jobTitle, link }
+ * @returns {Object} { subject, html, text, summary, link }
+ */
+export function generateCandidateAppliedEmail(data) {
+  const summary = `${data.applicantName} applied for ${data.jobTitle}`;
+  const subject = `New application: ${summary}`;
+
+  return {
+    subject,
+    summary,
+    link: data.link,
+    ...renderNotificationEmail({
+      subject,
+      recipientName: data.recipientName,
+      message: `${data.applicantName} just applied for ${data.jobTitle}. Review the application to decide whether to move them into your pipeline.`,
+      link: data.link,
+      linkLabel: 'Review Applications'
+    })
+  };
+}
+
+/**
+ * Generates the email telling the team a candidate moved stage
+ * @param {Object} data - { recipientName, candidateName, fromStage, toStage, changedBy, link } (stages as labels)
+ * @returns {Object} { subject, html, text, summary, link }
+ */
+export function generateStageChangedEmail(data) {
+  const from = data.fromStage;
+  const to = data.toStage;
+  const summary = `${data.candidateName} moved from ${from} to ${to}`;
+  const subject = `Stage change: ${summary}`;
+
+  return {
+    subject,
+    summary,
+    link: data.link,
+    ...renderNotificationEmail({
+      subject,
+      recipientName: data.recipientName,
+      message: data.changedBy
+        ? `${data.changedBy} moved ${data.candidateName} from ${from} to ${to}.`
+        : `${data.candidateName} was moved from ${from} to ${to}.`,
+      link: data.link,
+      linkLabel: 'View Candidates'
+    })
+  };
+}
+
+/**
+ * Formats a date for digest lines
+ * @param {Date|string} value - Date
+ * @returns {string} e.g. "Mar 4"
+ */
+function formatDigestDate(value) {
+  return new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Counts something for a subject line
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun
+ * @returns {string} e.g. "2 new applicants"
+ */
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Turns a digest into titled sections of lines, shared by the HTML and text versions
+ * Sections that were left out (null) or have nothing in them are skipped
+ * @param {Object} digest - Digest from buildUserDigest
+ * @returns {Array<Object>} [{ title, lines: [{ text, link?, highlight? }] }]
+ */
+function buildDigestSections(digest) {
+  const { newApplicants, waitingOnYou, interviewsTomorrow, pipelineMovement, overview } = digest.sections;
+  const sections = [];
+
+  if (newApplicants?.length) {
+    sections.push({
+      title: 'New applicants on your jobs',
+      lines: newApplicants.map(applicant => ({
+        text: `${applicant.candidateName} applied for ${applicant.jobTitle} (${formatDigestDate(applicant.appliedDate)})`,
+        link: applicant.link
+      }))
+    });
+  }
+
+  if (waitingOnYou && (waitingOnYou.tasks.length || waitingOnYou.scorecards.length)) {
+    sections.push({
+      title: 'Waiting on you',
+      lines: [
+        ...waitingOnYou.tasks.map(task => ({
+          text: `${task.title} for ${task.candidateName}${task.dueAt ? ` (${task.isOverdue ? 'overdue since' : 'due'} ${formatDigestDate(task.dueAt)})` : ''}`,
+          link: task.link,
+          highlight: task.isOverdue
+        })),
+        ...waitingOnYou.scorecards.map(interview => ({
+          text: `Scorecard for ${interview.candidateName}'s ${interview.type} interview on ${formatDigestDate(interview.scheduledDate)}`,
+          link: interview.link
+        }))
+      ]
+    });
+  }
+
+  if (interviewsTomorrow?.length) {
+    sections.push({
+      title: 'Your interviews tomorrow',
+      lines: interviewsTomorrow.map(interview => ({
+        text: `${interview.time} ${interview.candidateName}, ${interview.type} interview${interview.jobTitle ? ` for ${interview.jobTitle}` : ''} (${interview.duration})`,
+        link: interview.link
+      }))
+    });
+  }
+
+  if (pipelineMovement?.moves.length) {
+    sections.push({
+      title: 'Pipeline movement',
+      lines: [
+        { text: pipelineMovement.byStage.map(entry => `${entry.count} to ${entry.stage}`).join(', ') },
+        ...pipelineMovement.moves.map(move => ({
+          text: `${move.candidateName}: ${move.fromStage} → ${move.toStage}`,
+          link: move.link
+        }))
+      ]
+    });
+  }
+
+  if (digest.notifications.length) {
+    sections.push({
+      title: 'Notifications',
+      lines: digest.notifications.map(notification => ({ text: notification.summary, link: notification.link }))
+    });
+  }
+
+  if (overview) {
+    const { stats, activity } = overview;
+    sections.push({
+      title: 'Across the team',
+      lines: [
+        {
+          text: `${pluralize(stats.totalCandidates.value, 'candidate')}, ${pluralize(stats.activeJobs.value, 'active job')}, ` +
+            `${pluralize(stats.interviews.value, 'interview')} this week`
+        },
+        ...activity.map(item => ({ text: `${item.name} ${item.action} ${item.target}` }))
+      ]
+    });
+  }
+
+  return sections;
+}
+
+/**
+ * Generates a user's digest email
+ * @param {Object} digest - Digest from buildUserDigest
+ * @returns {Object} { subject, html, text }
+ */
+export function generateDigestEmail(digest) {
+  const { newApplicants, waitingOnYou, interviewsTomorrow } = digest.sections;
+  const period = digest.frequency === 'weekly' ? 'weekly' : 'daily';
+
+  const highlights = [
+    newApplicants?.length ? pluralize(newApplicants.length, 'new applicant') : null,
+    waitingOnYou && (waitingOnYou.tasks.length + waitingOnYou.scorecards.length)
+      ? `${waitingOnYou.tasks.length + waitingOnYou.scorecards.length} waiting on you`
+      : null,
+    interviewsTomorrow?.length ? `${pluralize(interviewsTomorrow.length, 'interview')} tomorrow` : null
+  ].filter(Boolean);
+
+  const subject = `Your ${period} recruiting digest${highlights.length ? `: ${highlights.join(', ')}` : ''}`;
+  const intro = `Here is what happened since ${formatDigestDate(digest.since)}.`;
+  const sections = buildDigestSections(digest);
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(subject)}</title>
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+    <div style="background-color: #ffffff; border-radius: 8px; padding: 40px; box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);">
+        <div style="font-size: 24px; font-weight: bold; color: #2563eb; margin-bottom: 20px;">Nexus ATS</div>
+        <p>Hi ${escapeHtml(digest.recipientName)},</p>
+        <p>${escapeHtml(intro)}</p>
+        ${sections.map(section => `
+        <h2 style="font-size: 16px; margin: 28px 0 8px; color: #111827;">${escapeHtml(section.title)}</h2>
+        <ul style="margin: 0; padding-left: 20px;">
+            ${section.lines.map(line => `<li style="margin: 4px 0;${line.highlight ? ' color: #dc2626;' : ''}">${line.link
+    ? `<a href="${escapeHtml(line.link)}" style="color: inherit;">${escapeHtml(line.text)}</a>`
+    : escapeHtml(line.text)}</li>`).join('\n            ')}
+        </ul>`).join('')}
+        <p style="color: #6b7280; font-size: 14px; margin-top: 32px;">You can change how often you get this digest, or turn it off, on the Notifications tab of your settings.</p>
+    </div>
+</body>
+</html>`;
+
+  const text = [
+    `Hi ${digest.recipientName},`,
+    '',
+    intro,
+    ...sections.flatMap(section => [
+      '',
+      section.title.toUpperCase(),
+      ...section.lines.map(line => `- ${line.text}${line.link ? ` (${line.link})` : ''}`)
+    ]),
+    '',
+    'You can change how often you get this digest, or turn it off, on the Notifications tab of your settings.'
+  ].join('\n');
+
+  return { subject, html, text };
+}
@@ -17,8 +17,10 @@ const optionalEnvVars = [
   'SMTP_USER',
   'SMTP_PASS',
   'SMTP_FROM',
+  'REPLY_TO_ADDRESS',
   'GOOGLE_CLIENT_ID',
-  'GOOGLE_CLIENT_SECRET'
+  'GOOGLE_CLIENT_SECRET',
+  'TRUSTED_PROXY_COUNT'
 ];
 
 /**
@@ -46,6 +48,11 @@ export function validateEnvironmentVariables() {
     warnings.push('SMTP configuration not found. Email functionality will be disabled.');
   }
 
+  // Without a trusted proxy, route handlers can't see who is calling
+  if (process.env.NODE_ENV === 'production' && !process.env.TRUSTED_PROXY_COUNT) {
+    warnings.push('TRUSTED_PROXY_COUNT not set. X-Forwarded-For is not trusted, so per-IP attempt limits are off.');
+  }
+
   // Check Google OAuth configuration (optional)
   if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
     if (process.env.NODE_ENV === 'development') {
@@ -77,6 +84,7 @@ export function validateEnvironmentVariables() {
     SMTP_USER: process.env.SMTP_USER,
     SMTP_PASS: process.env.SMTP_PASS,
     SMTP_FROM: process.env.SMTP_FROM,
+    REPLY_TO_ADDRESS: process.env.REPLY_TO_ADDRESS,
     GOOGLE_CLIENT_ID: process.env.GOOGLE_CLIENT_ID,
     GOOGLE_CLIENT_SECRET: process.env.GOOGLE_CLIENT_SECRET
   };
@@ -83,7 +83,7 @@ describe('Interview API Property Tests', () => {
       email: `test.candidate.${Date.now()}@example.com`,
       phone: '+1234567890'
     };
-    const candidate = await candidateService.createCandidate(candidateData, testUserId);
+    const candidate = await candidateService.createCandidate(candidateData, testUserId, testUserId);
     testCandidateId = candidate._id.toString();
 
     // Create test job
@@ -95,7 +95,7 @@ describe('Interview API Property Tests', () => {
       description: 'Test job description that is long enough to meet requirements',
       requirements: 'Test job requirements that are long enough to meet requirements'
     };
-    const job = await createJob(jobData, testUserId);
+    const job = await createJob(jobData, testUserId, testUserId);
     testJobId = job.id;
   });
 
@@ -144,7 +144,7 @@ describe('Interview API Property Tests', () => {
           validInterviewDataGen(),
           async (interviewData) => {
             // Property: POST should create interview and return consistent data
-            const createdInterview = await interviewService.createInterview(interviewData, testUserId);
+            const createdInterview = await interviewService.createInterview(interviewData, testUserId, testUserId);
             testInterviewIds.push(createdInterview.id);
             
             // Verify creation response structure
@@ -177,11 +177,11 @@ describe('Interview API Property Tests', () => {
           validInterviewDataGen(),
           async (interviewData) => {
             // Property: GET should retrieve interviews with consistent data
-            const createdInterview = await interviewService.createInterview(interviewData, testUserId);
+            const createdInterview = await interviewService.createInterview(interviewData, testUserId, testUserId);
             testInterviewIds.push(createdInterview.id);
             
             // Test GET by ID
-            const retrievedInterview = await interviewService.getInterviewById(createdInterview.id);
+            const retrievedInterview = await interviewService.getInterviewById(createdInterview.id, testUserId);
             
             expect(retrievedInterview).toBeDefined();
             expect(retrievedInterview.id).toBe(createdInterview.id);
@@ -212,13 +212,13 @@ describe('Interview API Property Tests', () => {
                 ...interviewDataArray[i],
                 time: `${9 + i}:00` // Different times to avoid conflicts
               };
-              const interview = await interviewService.createInterview(data, testUserId);
+              const interview = await interviewService.createInterview(data, testUserId, testUserId);
               createdInterviews.push(interview);
               testInterviewIds.push(interview.id);
             }
             
             // Test GET all interviews
-            const allInterviews = await interviewService.getAllInterviews();
+            const allInterviews = await interviewService.getAllInterviews({}, {}, testUserId);
             
             expect(allInterviews).toBeDefined();
             expect(allInterviews.interviews).toBeDefined();
@@ -255,7 +255,7 @@ describe('Interview API Property Tests', () => {
           async (invalidData) => {
             // Property: Invalid data should result in appropriate errors
             await expect(
-              interviewService.createInterview(invalidData, testUserId)
+              interviewService.createInterview(invalidData, testUserId, testUserId)
             ).rejects.toThrow();
           }
         ),
@@ -269,10 +269,10 @@ describe('Interview API Property Tests', () => {
           validInterviewDataGen(),
           async (interviewData) => {
             // Property: Create-retrieve cycle should maintain data consistency
-            const created = await interviewService.createInterview(interviewData, testUserId);
+            const created = await interviewService.createInterview(interviewData, testUserId, testUserId);
             testInterviewIds.push(created.id);
             
-            const retrieved = await interviewService.getInterviewById(created.id);
+            const retrieved = await interviewService.getInterviewById(created.id, testUserId);
             
             // Verify core data consistency
             expect(retrieved.candidateId).toBe(created.candidateId);
@@ -310,13 +310,13 @@ describe('Interview API Property Tests', () => {
                 date: todayString, // Set all to today
                 time: `${9 + i}:00` // Different times
               };
-              const interview = await interviewService.createInterview(data, testUserId);
+              const interview = await interviewService.createInterview(data, testUserId, testUserId);
               createdInterviews.push(interview);
               testInterviewIds.push(interview.id);
             }
             
             // Test statistics endpoint
-            const stats = await interviewService.getInterviewStats(today);
+            const stats = await interviewService.getInterviewStats(today, testUserId);
             
             expect(stats).toBeDefined();
             expect(stats.date).toBe(todayString);
@@ -348,7 +348,7 @@ describe('Interview API Property Tests', () => {
               interviewService.createInterview({
                 ...data,
                 time: `${10 + index}:00` // Different times to avoid conflicts
-              }, testUserId)
+              }, testUserId, testUserId)
             );
             
             const results = await Promise.all(promises);
@@ -384,7 +384,7 @@ describe('Interview API Property Tests', () => {
                 ...interviewDataArray[i],
                 time: `${8 + i}:00` // Sequential times for sorting
               };
-              const interview = await interviewService.createInterview(data, testUserId);
+              const interview = await interviewService.createInterview(data, testUserId, testUserId);
               createdInterviews.push(interview);
               testInterviewIds.push(interview.id);
             }
@@ -393,7 +393,7 @@ describe('Interview API Property Tests', () => {
             const sortedInterviews = await interviewService.getAllInterviews({}, { 
               sortBy: 'date', 
               sortOrder: 'asc' 
-            });
+            }, testUserId);
             
             expect(sortedInterviews.interviews.length).toBeGreaterThanOrEqual(createdInterviews.length);
             
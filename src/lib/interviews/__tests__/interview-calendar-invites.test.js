@@ -0,0 +1,211 @@
+/**
+ * Property-Based Tests for Interview Calendar Invites
+ * Feature: interview-calendar-invites, Property 1: Calendars Are Valid RFC 5545 Text
+ * Feature: interview-calendar-invites, Property 2: Updates Reuse the Event UID
+ * Validates: Requirements 11.1, 11.2, 11.3
+ */
+
+import fc from 'fast-check';
+import { ObjectId } from 'mongodb';
+import {
+  CALENDAR_METHODS,
+  buildCalendarEvent,
+  escapeCalendarText,
+  foldCalendarLine,
+  formatCalendarDate,
+  getInterviewEventUid
+} from '../../email/calendar-invite.js';
+import {
+  INVITE_ACTIONS,
+  buildInterviewInvite,
+  getInviteRecipients
+} from '../../email/interview-invite-service.js';
+
+const unfold = (text) => text.replace(/\r\n /g, '');
+
+const interviewDoc = (overrides = {}) => ({
+  _id: new ObjectId(),
+  candidateName: 'Ada Lovelace',
+  jobTitle: 'Backend Engineer',
+  scheduledDate: new Date('2030-01-07T10:00:00Z'),
+  duration: 45,
+  type: 'technical',
+  interviewers: [
+    { userId: new ObjectId(), name: 'Jordan Lee', email: 'jordan@example.com' },
+    { userId: new ObjectId(), name: 'Sam Park', email: null }
+  ],
+  meetingDetails: { type: 'video', link: 'https://meet.example.com/abc', location: null },
+  calendar: { sequence: 0 },
+  ...overrides
+});
+
+const candidate = { name: 'Ada Lovelace', email: 'ada@example.com' };
+
+describe('Interview Calendar Invite Property Tests', () => {
+  const originalEnv = { ...process.env };
+
+  beforeAll(() => {
+    process.env.MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
+    process.env.NEXTAUTH_URL = process.env.NEXTAUTH_URL || 'http://localhost:3000';
+    process.env.NEXTAUTH_SECRET = process.env.NEXTAUTH_SECRET || 'test-secret';
+    process.env.DB_NAME = process.env.DB_NAME || 'nexus_ats_test';
+    process.env.SMTP_FROM = 'Nexus ATS <invites@example.com>';
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  /**
+   * Property 1: Calendars Are Valid RFC 5545 Text
+   * Every content line fits in 75 octets, folding is reversible and text
+   * values never leak unescaped separators.
+   */
+  describe('Property 1: Calendars Are Valid RFC 5545 Text', () => {
+    test('folded lines fit in 75 octets and unfold to the original', () => {
+      fc.assert(
+        fc.property(fc.string({ unit: 'grapheme', maxLength: 400 }), (text) => {
+          const line = `DESCRIPTION:${text.replace(/[\r\n]/g, '')}`;
+          const folded = foldCalendarLine(line);
+
+          folded.split('\r\n').forEach(part => {
+            expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75);
+          });
+          expect(unfold(folded)).toBe(line);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('escaped text has no bare commas, semicolons or newlines', () => {
+      fc.assert(
+        fc.property(fc.string(), (text) => {
+          const escaped = escapeCalendarText(text);
+
+          expect(escaped).not.toMatch(/[\r\n]/);
+          expect(escaped.replace(/\\[\\;,n]/g, '')).not.toMatch(/[;,\\]/);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('events use CRLF line endings and UTC times', () => {
+      const calendar = buildCalendarEvent({
+        uid: 'interview-1@nexus-ats',
+        sequence: 0,
+        method: CALENDAR_METHODS.REQUEST,
+        start: new Date('2030-01-07T10:00:00Z'),
+        end: new Date('2030-01-07T10:45:00Z'),
+        summary: 'Technical interview: Ada Lovelace, Backend Engineer',
+        organizer: { name: 'Nexus ATS', email: 'invites@example.com' },
+        attendees: [{ name: 'Ada Lovelace', email: 'ada@example.com' }],
+        timestamp: new Date('2029-12-01T00:00:00Z')
+      });
+
+      expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(calendar.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+      expect(calendar).toContain('DTSTART:20300107T100000Z');
+      expect(calendar).toContain('DTEND:20300107T104500Z');
+      expect(calendar).toContain('SUMMARY:Technical interview: Ada Lovelace\\, Backend Engineer');
+      expect(formatCalendarDate(new Date('2029-12-01T00:00:00Z'))).toBe('20291201T000000Z');
+    });
+
+    test('only absolute web links are written as the meeting URL', () => {
+      const calendarWithUrl = (url) => buildCalendarEvent({
+        uid: 'interview-1@nexus-ats',
+        sequence: 0,
+        method: CALENDAR_METHODS.REQUEST,
+        start: new Date('2030-01-07T10:00:00Z'),
+        end: new Date('2030-01-07T10:45:00Z'),
+        summary: 'Technical interview',
+        organizer: { name: 'Nexus ATS', email: 'invites@example.com' },
+        attendees: [],
+        url,
+        timestamp: new Date('2029-12-01T00:00:00Z')
+      });
+
+      const injected = calendarWithUrl('https://meet.example.com/abc\r\nATTENDEE:mailto:eve@example.com');
+      expect(injected.split('\r\n').filter(line => line.startsWith('ATTENDEE'))).toHaveLength(0);
+
+      ['javascript:alert(1)', 'meet.example.com/abc', 'ftp://files.example.com'].forEach(url => {
+        expect(calendarWithUrl(url)).not.toContain('URL:');
+      });
+
+      const longUrl = `https://meet.example.com/${'a'.repeat(200)}?pwd=x y`;
+      const calendar = calendarWithUrl(longUrl);
+      calendar.split('\r\n').forEach(part => {
+        expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75);
+      });
+      expect(unfold(calendar)).toContain(`URL:${longUrl.replace(' ', '%20')}\r\n`);
+    });
+  });
+
+  /**
+   * Property 2: Updates Reuse the Event UID
+   * Invites, updates and cancellations of one interview share its UID and
+   * carry its current SEQUENCE; cancellations use METHOD:CANCEL.
+   */
+  describe('Property 2: Updates Reuse the Event UID', () => {
+    test('every action keeps the UID and writes the stored sequence', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...Object.values(INVITE_ACTIONS)),
+          fc.integer({ min: 0, max: 1000 }),
+          (action, sequence) => {
+            const interview = interviewDoc({ calendar: { sequence } });
+            const { method, content } = buildInterviewInvite(interview, {
+              action,
+              candidate,
+              jobTitle: interview.jobTitle,
+              attendees: getInviteRecipients(interview, candidate)
+            });
+            const text = unfold(content);
+
+            expect(text).toContain(`UID:${getInterviewEventUid(interview)}\r\n`);
+            expect(text).toContain(`SEQUENCE:${sequence}\r\n`);
+            if (action === INVITE_ACTIONS.CANCELLED) {
+              expect(method).toBe(CALENDAR_METHODS.CANCEL);
+              expect(text).toContain('METHOD:CANCEL\r\n');
+              expect(text).toContain('STATUS:CANCELLED\r\n');
+            } else {
+              expect(method).toBe(CALENDAR_METHODS.REQUEST);
+              expect(text).toContain('METHOD:REQUEST\r\n');
+            }
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    test('the candidate and interviewers with an email are invited once each', () => {
+      const jordanId = new ObjectId();
+      const interview = interviewDoc({
+        interviewers: [
+          { userId: jordanId, name: 'Jordan Lee', email: 'jordan@example.com' },
+          { userId: new ObjectId(), name: 'Jordan (alias)', email: 'JORDAN@example.com' },
+          { userId: new ObjectId(), name: 'Sam Park', email: null },
+          'Legacy Interviewer'
+        ]
+      });
+
+      const recipients = getInviteRecipients(interview, candidate);
+
+      expect(recipients).toEqual([
+        { userId: null, name: 'Ada Lovelace', email: 'ada@example.com', isCandidate: true },
+        { userId: jordanId.toString(), name: 'Jordan Lee', email: 'jordan@example.com', isCandidate: false }
+      ]);
+
+      const { content } = buildInterviewInvite(interview, {
+        action: INVITE_ACTIONS.SCHEDULED,
+        candidate,
+        jobTitle: interview.jobTitle,
+        attendees: recipients
+      });
+      const text = unfold(content);
+
+      expect(text).toContain('ORGANIZER;CN=Nexus ATS:mailto:invites@example.com');
+      expect(text.match(/^ATTENDEE;/gm)).toHaveLength(2);
+      expect(text).toContain('LOCATION:https://meet.example.com/abc');
+    });
+  });
+});
@@ -66,7 +66,7 @@ describe('Interview Display Property Tests', () => {
       email: `test.candidate.${Date.now()}@example.com`,
       phone: '+1234567890'
     };
-    const candidate = await candidateService.createCandidate(candidateData, testUserId);
+    const candidate = await candidateService.createCandidate(candidateData, testUserId, testUserId);
     testCandidateId = candidate._id.toString();
 
     // Create test job
@@ -78,7 +78,7 @@ describe('Interview Display Property Tests', () => {
       description: 'Test job description that is long enough to meet requirements',
       requirements: 'Test job requirements that are long enough to meet requirements'
     };
-    const job = await createJob(jobData, testUserId);
+    const job = await createJob(jobData, testUserId, testUserId);
     testJobId = job.id;
   });
 
@@ -138,7 +138,7 @@ describe('Interview Display Property Tests', () => {
                 date: baseDate.toISOString().split('T')[0],
                 time: '10:00'
               };
-              const interview = await interviewService.createInterview(data, testUserId);
+              const interview = await interviewService.createInterview(data, testUserId, testUserId);
               createdInterviews.push(interview);
               testInterviewIds.push(interview.id);
             }
@@ -147,7 +147,7 @@ describe('Interview Display Property Tests', () => {
             const ascendingResult = await interviewService.getAllInterviews({}, { 
               sortBy: 'date', 
               sortOrder: 'asc' 
-            });
+            }, testUserId);
             
             // Verify ascending order
             const ascendingInterviews = ascendingResult.interviews.filter(interview => 
@@ -174,14 +174,14 @@ describe('Interview Display Property Tests', () => {
           validInterviewDataGen(),
           async (interviewData) => {
             // Property: Retrieved interviews should have consistent structure
-            const createdInterview = await interviewService.createInterview(interviewData, testUserId);
+            const createdInterview = await interviewService.createInterview(interviewData, testUserId, testUserId);
             testInterviewIds.push(createdInterview.id);
             
             // Test single retrieval
-            const singleRetrieved = await interviewService.getInterviewById(createdInterview.id);
+            const singleRetrieved = await interviewService.getInterviewById(createdInterview.id, testUserId);
             
             // Test bulk retrieval
-            const bulkRetrieved = await interviewService.getAllInterviews();
+            const bulkRetrieved = await interviewService.getAllInterviews({}, {}, testUserId);
             const foundInBulk = bulkRetrieved.interviews.find(i => i.id === createdInterview.id);
             
             // Verify structure consistency
@@ -215,7 +215,7 @@ describe('Interview Display Property Tests', () => {
                 ...interviewDataArray[i],
                 time: `${8 + i}:00` // Sequential times for predictable sorting
               };
-              const interview = await interviewService.createInterview(data, testUserId);
+              const interview = await interviewService.createInterview(data, testUserId, testUserId);
               createdInterviews.push(interview);
               testInterviewIds.push(interview.id);
             }
@@ -225,7 +225,7 @@ describe('Interview Display Property Tests', () => {
             const firstPage = await interviewService.getAllInterviews({}, { 
               page: 1, 
               limit: pageSize 
-            });
+            }, testUserId);
             
             expect(firstPage.pagination).toBeDefined();
             expect(firstPage.pagination.page).toBe(1);
@@ -253,7 +253,7 @@ describe('Interview Display Property Tests', () => {
           validInterviewDataGen(),
           async (interviewData) => {
             // Property: Date formatting should be consistent
-            const createdInterview = await interviewService.createInterview(interviewData, testUserId);
+            const createdInterview = await interviewService.createInterview(interviewData, testUserId, testUserId);
             testInterviewIds.push(createdInterview.id);
             
             // Get the stored document directly
@@ -296,10 +296,10 @@ describe('Interview Display Property Tests', () => {
           }),
           async (interviewData) => {
             // Property: Edge case dates should format consistently
-            const createdInterview = await interviewService.createInterview(interviewData, testUserId);
+            const createdInterview = await interviewService.createInterview(interviewData, testUserId, testUserId);
             testInterviewIds.push(createdInterview.id);
             
-            const retrievedInterview = await interviewService.getInterviewById(createdInterview.id);
+            const retrievedInterview = await interviewService.getInterviewById(createdInterview.id, testUserId);
             
             // Verify edge cases maintain format
             expect(retrievedInterview.date).toBe(interviewData.date);
@@ -323,10 +323,10 @@ describe('Interview Display Property Tests', () => {
           }),
           async (interviewData) => {
             // Property: Duration formatting should be consistent
-            const createdInterview = await interviewService.createInterview(interviewData, testUserId);
+            const createdInterview = await interviewService.createInterview(interviewData, testUserId, testUserId);
             testInterviewIds.push(createdInterview.id);
             
-            const retrievedInterview = await interviewService.getInterviewById(createdInterview.id);
+            const retrievedInterview = await interviewService.getInterviewById(createdInterview.id, testUserId);
             
             // Verify duration format includes "minutes"
             expect(retrievedInterview.duration).toMatch(/^\d+ minutes$/);
@@ -365,12 +365,12 @@ describe('Interview Display Property Tests', () => {
                 date: todayString, // All for today
                 time: `${9 + i}:00` // Different times
               };
-              const interview = await interviewService.createInterview(data, testUserId);
+              const interview = await interviewService.createInterview(data, testUserId, testUserId);
               createdInterviews.push(interview);
               testInterviewIds.push(interview.id);
             }
             
-            const stats = await interviewService.getInterviewStats(today);
+            const stats = await interviewService.getInterviewStats(today, testUserId);
             
             // Verify basic statistics
             expect(stats.date).toBe(todayString);
@@ -434,7 +434,7 @@ describe('Interview Display Property Tests', () => {
           fc.date({ min: new Date('2030-01-01'), max: new Date('2030-12-31') }),
           async (futureDate) => {
             // Property: Empty days should return zero statistics
-            const stats = await interviewService.getInterviewStats(futureDate);
+            const stats = await interviewService.getInterviewStats(futureDate, testUserId);
             
             expect(stats.date).toBe(futureDate.toISOString().split('T')[0]);
             expect(stats.totalInterviews).toBe(0);
@@ -470,7 +470,7 @@ describe('Interview Display Property Tests', () => {
                 date: targetDateString,
                 time: `${9 + i}:00`
               };
-              const interview = await interviewService.createInterview(data, testUserId);
+              const interview = await interviewService.createInterview(data, testUserId, testUserId);
               targetInterviews.push(interview);
               testInterviewIds.push(interview.id);
             }
@@ -482,19 +482,19 @@ describe('Interview Display Property Tests', () => {
                 date: otherDateString,
                 time: `${9 + i}:00`
               };
-              const interview = await interviewService.createInterview(data, testUserId);
+              const interview = await interviewService.createInterview(data, testUserId, testUserId);
               testInterviewIds.push(interview.id);
             }
             
             // Get statistics for target date
-            const targetStats = await interviewService.getInterviewStats(targetDate);
+            const targetStats = await interviewService.getInterviewStats(targetDate, testUserId);
             
             // Verify only target date interviews are counted
             expect(targetStats.date).toBe(targetDateString);
             expect(targetStats.totalInterviews).toBeGreaterThanOrEqual(targetInterviews.length);
             
             // Get statistics for other date
-            const otherStats = await interviewService.getInterviewStats(otherDate);
+            const otherStats = await interviewService.getInterviewStats(otherDate, testUserId);
             expect(otherStats.date).toBe(otherDateString);
             
             // Verify dates are filtered correctly
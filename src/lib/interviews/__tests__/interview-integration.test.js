@@ -32,7 +32,7 @@ describe('Interview System Integration Tests', () => {
       phone: '+1234567890',
       location: 'Test City'
     };
-    const candidate = await candidateService.createCandidate(candidateData, testUserId);
+    const candidate = await candidateService.createCandidate(candidateData, testUserId, testUserId);
     testCandidateId = candidate._id.toString();
 
     // Create test job
@@ -44,7 +44,7 @@ describe('Interview System Integration Tests', () => {
       description: 'Integration test job description that is long enough to meet requirements',
       requirements: 'Integration test job requirements that are long enough to meet requirements'
     };
-    const job = await createJob(jobData, testUserId);
+    const job = await createJob(jobData, testUserId, testUserId);
     testJobId = job.id;
   });
 
@@ -82,7 +82,7 @@ describe('Interview System Integration Tests', () => {
       };
 
       // Step 1: Create interview
-      const createdInterview = await interviewService.createInterview(interviewData, testUserId);
+      const createdInterview = await interviewService.createInterview(interviewData, testUserId, testUserId);
       testInterviewIds.push(createdInterview.id);
 
       expect(createdInterview).toBeDefined();
@@ -92,14 +92,14 @@ describe('Interview System Integration Tests', () => {
       expect(createdInterview.status).toBe(INTERVIEW_STATUS.SCHEDULED);
 
       // Step 2: Retrieve by ID
-      const retrievedInterview = await interviewService.getInterviewById(createdInterview.id);
+      const retrievedInterview = await interviewService.getInterviewById(createdInterview.id, testUserId);
       expect(retrievedInterview).toBeDefined();
       expect(retrievedInterview.id).toBe(createdInterview.id);
       expect(retrievedInterview.candidateName).toBe(interviewData.candidateName);
       expect(retrievedInterview.jobTitle).toBe(interviewData.jobTitle);
 
       // Step 3: Verify in list
-      const allInterviews = await interviewService.getAllInterviews();
+      const allInterviews = await interviewService.getAllInterviews({}, {}, testUserId);
       const foundInList = allInterviews.interviews.find(i => i.id === createdInterview.id);
       expect(foundInList).toBeDefined();
 
@@ -108,19 +108,19 @@ describe('Interview System Integration Tests', () => {
         notes: 'Updated integration test notes',
         status: INTERVIEW_STATUS.COMPLETED
       };
-      const updatedInterview = await interviewService.updateInterview(createdInterview.id, updateData, testUserId);
+      const updatedInterview = await interviewService.updateInterview(createdInterview.id, updateData, testUserId, testUserId);
       expect(updatedInterview.notes).toBe(updateData.notes);
       expect(updatedInterview.status).toBe(updateData.status);
 
       // Step 5: Verify update persisted
-      const reRetrievedInterview = await interviewService.getInterviewById(createdInterview.id);
+      const reRetrievedInterview = await interviewService.getInterviewById(createdInterview.id, testUserId);
       expect(reRetrievedInterview.notes).toBe(updateData.notes);
       expect(reRetrievedInterview.status).toBe(updateData.status);
     });
 
     test('interview creation with candidate and job integration', async () => {
       // Verify candidate exists and get details
-      const candidate = await candidateService.getCandidateById(testCandidateId);
+      const candidate = await candidateService.getCandidateById(testCandidateId, testUserId);
       expect(candidate).toBeDefined();
       expect(candidate.personalInfo.firstName).toBe('Integration');
       expect(candidate.personalInfo.lastName).toBe('TestCandidate');
@@ -145,7 +145,7 @@ describe('Interview System Integration Tests', () => {
         notes: 'Initial screening call'
       };
 
-      const createdInterview = await interviewService.createInterview(interviewData, testUserId);
+      const createdInterview = await interviewService.createInterview(interviewData, testUserId, testUserId);
       testInterviewIds.push(createdInterview.id);
 
       // Verify integration data
@@ -153,7 +153,7 @@ describe('Interview System Integration Tests', () => {
       expect(createdInterview.jobTitle).toBe(job.title);
 
       // Verify enriched data is available
-      const retrievedInterview = await interviewService.getInterviewById(createdInterview.id);
+      const retrievedInterview = await interviewService.getInterviewById(createdInterview.id, testUserId);
       if (retrievedInterview.currentCandidateInfo) {
         expect(retrievedInterview.currentCandidateInfo.name).toContain('Integration');
         expect(retrievedInterview.currentCandidateInfo.email).toContain('@example.com');
@@ -181,18 +181,18 @@ describe('Interview System Integration Tests', () => {
         meetingType: 'google_meet'
       };
 
-      const createdInterview = await interviewService.createInterview(interviewData, testUserId);
+      const createdInterview = await interviewService.createInterview(interviewData, testUserId, testUserId);
       testInterviewIds.push(createdInterview.id);
 
       // Verify interview exists and has candidate info
-      let retrievedInterview = await interviewService.getInterviewById(createdInterview.id);
+      let retrievedInterview = await interviewService.getInterviewById(createdInterview.id, testUserId);
       expect(retrievedInterview.candidateId).toBe(testCandidateId);
 
       // Delete candidate (soft delete)
       await candidateService.deleteCandidate(testCandidateId, testUserId);
 
       // Verify interview still exists but handles deleted candidate
-      retrievedInterview = await interviewService.getInterviewById(createdInterview.id);
+      retrievedInterview = await interviewService.getInterviewById(createdInterview.id, testUserId);
       expect(retrievedInterview).toBeDefined();
       expect(retrievedInterview.id).toBe(createdInterview.id);
       expect(retrievedInterview.candidateDeleted).toBe(true);
@@ -215,7 +215,7 @@ describe('Interview System Integration Tests', () => {
       };
 
       await expect(
-        interviewService.createInterview(invalidCandidateData, testUserId)
+        interviewService.createInterview(invalidCandidateData, testUserId, testUserId)
       ).rejects.toThrow();
 
       // Try to create interview with non-existent job
@@ -233,7 +233,7 @@ describe('Interview System Integration Tests', () => {
       };
 
       await expect(
-        interviewService.createInterview(invalidJobData, testUserId)
+        interviewService.createInterview(invalidJobData, testUserId, testUserId)
       ).rejects.toThrow();
     });
   });
@@ -285,13 +285,13 @@ describe('Interview System Integration Tests', () => {
 
       const createdInterviews = [];
       for (const data of interviewsData) {
-        const interview = await interviewService.createInterview(data, testUserId);
+        const interview = await interviewService.createInterview(data, testUserId, testUserId);
         createdInterviews.push(interview);
         testInterviewIds.push(interview.id);
       }
 
       // Get statistics
-      const stats = await interviewService.getInterviewStats(today);
+      const stats = await interviewService.getInterviewStats(today, testUserId);
 
       // Verify statistics
       expect(stats.date).toBe(todayString);
@@ -329,13 +329,13 @@ describe('Interview System Integration Tests', () => {
           meetingType: 'google_meet'
         };
 
-        const interview = await interviewService.createInterview(interviewData, testUserId);
+        const interview = await interviewService.createInterview(interviewData, testUserId, testUserId);
         interviews.push(interview);
         testInterviewIds.push(interview.id);
       }
 
       // Test pagination
-      const page1 = await interviewService.getAllInterviews({}, { page: 1, limit: 3 });
+      const page1 = await interviewService.getAllInterviews({}, { page: 1, limit: 3 }, testUserId);
       expect(page1.interviews.length).toBeLessThanOrEqual(3);
       expect(page1.pagination.page).toBe(1);
       expect(page1.pagination.limit).toBe(3);
@@ -374,7 +374,7 @@ describe('Interview System Integration Tests', () => {
           meetingType: 'google_meet'
         };
 
-        promises.push(interviewService.createInterview(interviewData, testUserId));
+        promises.push(interviewService.createInterview(interviewData, testUserId, testUserId));
       }
 
       const results = await Promise.all(promises);
@@ -408,16 +408,16 @@ describe('Interview System Integration Tests', () => {
         meetingType: 'in_person'
       };
 
-      const createdInterview = await interviewService.createInterview(interviewData, testUserId);
+      const createdInterview = await interviewService.createInterview(interviewData, testUserId, testUserId);
       testInterviewIds.push(createdInterview.id);
 
       // Perform concurrent reads
       const readPromises = [
-        interviewService.getInterviewById(createdInterview.id),
-        interviewService.getAllInterviews(),
+        interviewService.getInterviewById(createdInterview.id, testUserId),
+        interviewService.getAllInterviews({}, {}, testUserId),
         interviewService.getInterviewStats(new Date()),
-        interviewService.getInterviewById(createdInterview.id),
-        interviewService.getAllInterviews()
+        interviewService.getInterviewById(createdInterview.id, testUserId),
+        interviewService.getAllInterviews({}, {}, testUserId)
       ];
 
       const results = await Promise.all(readPromises);
@@ -455,7 +455,7 @@ describe('Interview System Integration Tests', () => {
       };
 
       await expect(
-        interviewService.createInterview(malformedData, testUserId)
+        interviewService.createInterview(malformedData, testUserId, testUserId)
       ).rejects.toThrow();
     });
 
@@ -466,7 +466,7 @@ describe('Interview System Integration Tests', () => {
       };
 
       await expect(
-        interviewService.createInterview(incompleteData, testUserId)
+        interviewService.createInterview(incompleteData, testUserId, testUserId)
       ).rejects.toThrow();
     });
   });
@@ -0,0 +1,114 @@
+/**
+ * Property-Based Tests for Interview Reminders
+ * Feature: interview-reminders, Property 1: Reminders Follow The Nearest Window
+ * Feature: interview-reminders, Property 2: Reminders Are Sent Once Per Start Time
+ */
+
+import fc from 'fast-check';
+import { ObjectId } from 'mongodb';
+import {
+  INTERVIEW_STATUS,
+  REMINDER_WINDOWS,
+  getDueReminder,
+  hasReminderBeenSent
+} from '../interview-models.js';
+
+const NOW = new Date('2030-01-07T10:00:00.000Z');
+
+const interviewStarting = (minutesFromNow, overrides = {}) => ({
+  _id: new ObjectId(),
+  scheduledDate: new Date(NOW.getTime() + minutesFromNow * 60000),
+  status: INTERVIEW_STATUS.SCHEDULED,
+  reminders: [],
+  ...overrides
+});
+
+const expectedWindow = (minutesFromNow) => REMINDER_WINDOWS
+  .filter(window => minutesFromNow <= window.minutes)
+  .sort((a, b) => a.minutes - b.minutes)[0] || null;
+
+describe('Interview Reminder Property Tests', () => {
+
+  /**
+   * Property 1: Reminders Follow The Nearest Window
+   * A scheduled interview starting within a window is due for the smallest
+   * window that contains it; past, far-off and inactive interviews are not.
+   */
+  describe('Property 1: Reminders Follow The Nearest Window', () => {
+    test('upcoming interviews are due for the nearest window', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 3 * 24 * 60 }), (minutesFromNow) => {
+          const due = getDueReminder(interviewStarting(minutesFromNow), NOW);
+          const expected = expectedWindow(minutesFromNow);
+
+          expect(due?.key ?? null).toBe(expected?.key ?? null);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    test('interviews that started already are never due', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 0, max: 24 * 60 }), (minutesAgo) => {
+          expect(getDueReminder(interviewStarting(-minutesAgo), NOW)).toBeNull();
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    test('cancelled, rescheduled and finished interviews are skipped', () => {
+      const inactive = Object.values(INTERVIEW_STATUS).filter(status => status !== INTERVIEW_STATUS.SCHEDULED);
+
+      fc.assert(
+        fc.property(fc.constantFrom(...inactive), fc.integer({ min: 1, max: 24 * 60 }), (status, minutesFromNow) => {
+          expect(getDueReminder(interviewStarting(minutesFromNow, { status }), NOW)).toBeNull();
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  /**
+   * Property 2: Reminders Are Sent Once Per Start Time
+   * Once a window is recorded for the current start time it is no longer due;
+   * a record for an earlier start time does not count after a reschedule.
+   */
+  describe('Property 2: Reminders Are Sent Once Per Start Time', () => {
+    test('a recorded window is not due again', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 1, max: 24 * 60 }), (minutesFromNow) => {
+          const interview = interviewStarting(minutesFromNow);
+          const due = getDueReminder(interview, NOW);
+
+          interview.reminders.push({ window: due.key, scheduledDate: interview.scheduledDate, sentAt: NOW, recipients: [] });
+
+          expect(hasReminderBeenSent(interview, due.key)).toBe(true);
+          expect(getDueReminder(interview, NOW)).toBeNull();
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    test('reminders recorded for a previous start time do not count', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 1, max: 24 * 60 }),
+          fc.integer({ min: 1, max: 7 * 24 * 60 }),
+          (minutesFromNow, shiftMinutes) => {
+            const interview = interviewStarting(minutesFromNow);
+            const previousStart = new Date(interview.scheduledDate.getTime() - shiftMinutes * 60000);
+            interview.reminders = REMINDER_WINDOWS.map(window => ({
+              window: window.key,
+              scheduledDate: previousStart,
+              sentAt: NOW,
+              recipients: []
+            }));
+
+            expect(getDueReminder(interview, NOW)?.key).toBe(expectedWindow(minutesFromNow).key);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
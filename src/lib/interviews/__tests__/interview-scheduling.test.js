@@ -0,0 +1,192 @@
+/**
+ * Property-Based Tests for Interview Conflict Detection and Free Slots
+ * Feature: interview-scheduling, Property 9: Conflicts Use Real Duration Overlap
+ * Feature: interview-scheduling, Property 10: Suggested Slots Are Free For Everyone
+ * Validates: Requirements 10.1, 10.2, 10.3
+ */
+
+import fc from 'fast-check';
+import { ObjectId } from 'mongodb';
+import {
+  INTERVIEW_STATUS,
+  SCHEDULING_WINDOW,
+  combineDateTime,
+  intervalsOverlap,
+  getInterviewEnd,
+  normalizeInterviewers,
+  isInterviewAssignedTo,
+  describeScheduleConflicts,
+  formatScheduleConflictMessage,
+  findFreeSlots,
+  addDaysToDateString
+} from '../interview-models.js';
+
+// A Monday well in the future, so "now" never hides slots
+const MONDAY = '2030-01-07';
+const FAR_PAST = new Date('2000-01-01T00:00:00Z');
+
+const minutesGen = () => fc.integer({ min: 0, max: 24 * 60 });
+const durationGen = () => fc.integer({ min: 1, max: 32 }).map(quarters => quarters * 15);
+
+const at = (time, date = MONDAY) => combineDateTime(date, time);
+const plusMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+const interviewAt = ({ time, duration, candidateId = new ObjectId(), interviewers = [], status = INTERVIEW_STATUS.SCHEDULED }) => ({
+  _id: new ObjectId(),
+  candidateId,
+  candidateName: 'Sam Rivera',
+  jobTitle: 'Backend Engineer',
+  type: 'technical',
+  scheduledDate: at(time),
+  duration,
+  interviewers,
+  status,
+  metadata: { createdBy: new ObjectId(), isActive: true }
+});
+
+const member = (name) => ({ userId: new ObjectId(), name, email: `${name.split(' ')[0].toLowerCase()}@example.com` });
+
+describe('Interview Scheduling Property Tests', () => {
+
+  /**
+   * Property 9: Conflicts Use Real Duration Overlap
+   * Two interviews clash exactly when their [start, end) ranges intersect;
+   * an interview ending when another starts is not a clash. Only the shared
+   * candidate or interviewers are reported.
+   */
+  describe('Property 9: Conflicts Use Real Duration Overlap', () => {
+    test('overlap matches interval arithmetic and is symmetric', () => {
+      fc.assert(
+        fc.property(minutesGen(), durationGen(), minutesGen(), durationGen(), (startA, lengthA, startB, lengthB) => {
+          const base = at('00:00');
+          const a = [plusMinutes(base, startA), plusMinutes(base, startA + lengthA)];
+          const b = [plusMinutes(base, startB), plusMinutes(base, startB + lengthB)];
+          const expected = startA < startB + lengthB && startB < startA + lengthA;
+
+          expect(intervalsOverlap(a[0], a[1], b[0], b[1])).toBe(expected);
+          expect(intervalsOverlap(b[0], b[1], a[0], a[1])).toBe(expected);
+        }),
+        { numRuns: 200 }
+      );
+    });
+
+    test('an interviewer is double-booked for the whole duration, not a fixed window', () => {
+      const alex = member('Alex Chen');
+      const existing = interviewAt({ time: '10:00', duration: 90, interviewers: [alex] });
+      const proposalAt = (time, duration) => ({
+        candidateId: new ObjectId(),
+        interviewerIds: [alex.userId.toString()],
+        start: at(time),
+        end: plusMinutes(at(time), duration)
+      });
+
+      // Starts 75 minutes in: outside a 30-minute window but inside the 90-minute interview
+      const clash = describeScheduleConflicts([existing], proposalAt('11:15', 30));
+      expect(clash).toHaveLength(1);
+      expect(clash[0].candidate).toBe(false);
+      expect(clash[0].interviewers).toEqual([{ userId: alex.userId.toString(), name: 'Alex Chen' }]);
+
+      // Back-to-back is fine
+      expect(describeScheduleConflicts([existing], proposalAt('11:30', 30))).toHaveLength(0);
+      expect(getInterviewEnd(existing)).toEqual(at('11:30'));
+    });
+
+    test('only shared attendees and active interviews are reported', () => {
+      const alex = member('Alex Chen');
+      const jordan = member('Jordan Lee');
+      const candidateId = new ObjectId();
+      const proposal = {
+        candidateId,
+        interviewerIds: [alex.userId.toString()],
+        start: at('14:00'),
+        end: at('15:00')
+      };
+
+      const otherPanel = interviewAt({ time: '14:00', duration: 60, interviewers: [jordan] });
+      const cancelled = interviewAt({ time: '14:00', duration: 60, candidateId, status: INTERVIEW_STATUS.CANCELLED });
+      const sameCandidate = interviewAt({ time: '14:30', duration: 60, candidateId, interviewers: [jordan] });
+
+      const conflicts = describeScheduleConflicts([otherPanel, cancelled, sameCandidate], proposal);
+
+      expect(conflicts.map(conflict => conflict.interviewId)).toEqual([sameCandidate._id.toString()]);
+      expect(conflicts[0].candidate).toBe(true);
+      expect(conflicts[0].interviewers).toEqual([]);
+      expect(describeScheduleConflicts([sameCandidate], { ...proposal, excludeId: sameCandidate._id })).toEqual([]);
+      expect(formatScheduleConflictMessage(conflicts)).toMatch(/^Schedule conflict: The candidate is already booked/);
+    });
+  });
+
+  /**
+   * Property 10: Suggested Slots Are Free For Everyone
+   * Every suggested slot lies on a weekday inside business hours, lasts the
+   * requested duration, overlaps no busy range and starts after now.
+   */
+  describe('Property 10: Suggested Slots Are Free For Everyone', () => {
+    test('slots avoid every busy range and stay within the working day', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.tuple(fc.integer({ min: 0, max: 6 }), fc.integer({ min: 16, max: 36 }), durationGen()), { maxLength: 12 }),
+          durationGen().filter(duration => duration <= 240),
+          fc.integer({ min: 1, max: 10 }),
+          (busySpecs, duration, days) => {
+            const busy = busySpecs.map(([dayOffset, quarterHour, length]) => {
+              const start = plusMinutes(at('00:00', addDaysToDateString(MONDAY, dayOffset)), quarterHour * 15);
+              return { start, end: plusMinutes(start, length) };
+            });
+
+            const slots = findFreeSlots(busy, { startDate: MONDAY, duration, days, limit: 200, now: FAR_PAST });
+
+            slots.forEach(slot => {
+              const weekday = new Date(`${slot.date}T00:00:00.000Z`).getUTCDay();
+              const [hours, minutes] = slot.time.split(':').map(Number);
+              const startMinutes = hours * 60 + minutes;
+
+              expect(weekday).not.toBe(0);
+              expect(weekday).not.toBe(6);
+              expect(startMinutes).toBeGreaterThanOrEqual(SCHEDULING_WINDOW.DAY_START_MINUTES);
+              expect(startMinutes + duration).toBeLessThanOrEqual(SCHEDULING_WINDOW.DAY_END_MINUTES);
+              expect(slot.end.getTime() - slot.start.getTime()).toBe(duration * 60 * 1000);
+              busy.forEach(range => {
+                expect(intervalsOverlap(range.start, range.end, slot.start, slot.end)).toBe(false);
+              });
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('a free weekday offers every half hour and limits are respected', () => {
+      const slots = findFreeSlots([], { startDate: MONDAY, duration: 60, days: 1, limit: 100, now: FAR_PAST });
+      expect(slots.map(slot => slot.time)[0]).toBe('08:00');
+      expect(slots.map(slot => slot.time).at(-1)).toBe('17:00');
+      expect(slots).toHaveLength(19);
+
+      expect(findFreeSlots([], { startDate: MONDAY, duration: 60, days: 5, limit: 3, now: FAR_PAST })).toHaveLength(3);
+      expect(findFreeSlots([], { startDate: '2030-01-05', duration: 60, days: 2, now: FAR_PAST })).toEqual([]);
+      expect(findFreeSlots([], { startDate: MONDAY, duration: 60, days: 1, now: at('17:30') })).toEqual([]);
+    });
+  });
+
+  describe('Interviewer references', () => {
+    test('legacy names and team member references normalize to the same shape', () => {
+      const alex = member('Alex Chen');
+      const normalized = normalizeInterviewers(['Jordan Lee', { ...alex, userId: alex.userId.toString() }, '', null]);
+
+      expect(normalized).toEqual([
+        { userId: null, name: 'Jordan Lee', email: null },
+        { userId: alex.userId, name: 'Alex Chen', email: 'alex@example.com' }
+      ]);
+    });
+
+    test('assignment matches references by user ID and legacy entries by name', () => {
+      const alex = member('Alex Chen');
+      const referenced = interviewAt({ time: '09:00', duration: 30, interviewers: [alex] });
+      const legacy = interviewAt({ time: '09:00', duration: 30, interviewers: ['Alex Chen'] });
+
+      expect(isInterviewAssignedTo(referenced, { userId: alex.userId.toString(), names: [] })).toBe(true);
+      expect(isInterviewAssignedTo(referenced, { userId: new ObjectId().toString(), names: ['Alex Chen'] })).toBe(false);
+      expect(isInterviewAssignedTo(legacy, { userId: new ObjectId().toString(), names: ['alex chen'] })).toBe(true);
+    });
+  });
+});
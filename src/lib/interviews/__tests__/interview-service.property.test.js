@@ -94,7 +94,7 @@ describe('Interview Service Property Tests', () => {
       email: `test.candidate.${Date.now()}@example.com`,
       phone: '+1234567890'
     };
-    const candidate = await candidateService.createCandidate(candidateData, testUserId);
+    const candidate = await candidateService.createCandidate(candidateData, testUserId, testUserId);
     testCandidateId = candidate._id.toString();
 
     // Create test job
@@ -106,7 +106,7 @@ describe('Interview Service Property Tests', () => {
       description: 'Test job description that is long enough to meet requirements',
       requirements: 'Test job requirements that are long enough to meet requirements'
     };
-    const job = await createJob(jobData, testUserId);
+    const job = await createJob(jobData, testUserId, testUserId);
     testJobId = job.id;
   });
 
@@ -139,7 +139,7 @@ describe('Interview Service Property Tests', () => {
           validInterviewDataGen(testCandidateId, testJobId, 'Test Candidate', 'Test Job'),
           async (interviewData) => {
             // Property: Valid interview data should create a new interview
-            const createdInterview = await interviewService.createInterview(interviewData, testUserId);
+            const createdInterview = await interviewService.createInterview(interviewData, testUserId, testUserId);
             
             expect(createdInterview).toBeDefined();
             expect(createdInterview.id).toBeDefined();
@@ -152,7 +152,7 @@ describe('Interview Service Property Tests', () => {
             expect(createdInterview.type).toBe(interviewData.type);
             
             // Verify persistence by retrieving the interview
-            const retrievedInterview = await interviewService.getInterviewById(createdInterview.id);
+            const retrievedInterview = await interviewService.getInterviewById(createdInterview.id, testUserId);
             expect(retrievedInterview).toBeDefined();
             expect(retrievedInterview.id).toBe(createdInterview.id);
           }
@@ -178,7 +178,7 @@ describe('Interview Service Property Tests', () => {
                 ...interviewData,
                 time: `${8 + createdInterviews.length}:00`
               };
-              const interview = await interviewService.createInterview(modifiedData, testUserId);
+              const interview = await interviewService.createInterview(modifiedData, testUserId, testUserId);
               createdInterviews.push(interview);
             }
             
@@ -221,7 +221,7 @@ describe('Interview Service Property Tests', () => {
             };
             
             await expect(
-              interviewService.createInterview(invalidData, testUserId)
+              interviewService.createInterview(invalidData, testUserId, testUserId)
             ).rejects.toThrow(InterviewServiceError);
           }
         ),
@@ -242,7 +242,7 @@ describe('Interview Service Property Tests', () => {
             };
             
             await expect(
-              interviewService.createInterview(invalidData, testUserId)
+              interviewService.createInterview(invalidData, testUserId, testUserId)
             ).rejects.toThrow(InterviewServiceError);
           }
         ),
@@ -256,7 +256,7 @@ describe('Interview Service Property Tests', () => {
           validInterviewDataGen(testCandidateId, testJobId, 'Test Candidate', 'Test Job'),
           async (interviewData) => {
             // Property: Valid references should be accepted
-            const createdInterview = await interviewService.createInterview(interviewData, testUserId);
+            const createdInterview = await interviewService.createInterview(interviewData, testUserId, testUserId);
             
             expect(createdInterview).toBeDefined();
             expect(createdInterview.candidateId).toBe(testCandidateId);
@@ -282,8 +282,8 @@ describe('Interview Service Property Tests', () => {
           validInterviewDataGen(testCandidateId, testJobId, 'Test Candidate', 'Test Job'),
           async (interviewData) => {
             // Property: Retrieved interviews should include current candidate/job info
-            const createdInterview = await interviewService.createInterview(interviewData, testUserId);
-            const retrievedInterview = await interviewService.getInterviewById(createdInterview.id);
+            const createdInterview = await interviewService.createInterview(interviewData, testUserId, testUserId);
+            const retrievedInterview = await interviewService.getInterviewById(createdInterview.id, testUserId);
             
             expect(retrievedInterview).toBeDefined();
             
@@ -310,13 +310,13 @@ describe('Interview Service Property Tests', () => {
           validInterviewDataGen(testCandidateId, testJobId, 'Test Candidate', 'Test Job'),
           async (interviewData) => {
             // Create interview first
-            const createdInterview = await interviewService.createInterview(interviewData, testUserId);
+            const createdInterview = await interviewService.createInterview(interviewData, testUserId, testUserId);
             
             // Delete the candidate (soft delete)
-            await candidateService.deleteCandidate(testCandidateId, testUserId);
+            await candidateService.deleteCandidate(testCandidateId, testUserId, testUserId);
             
             // Property: System should handle deleted candidate gracefully
-            const retrievedInterview = await interviewService.getInterviewById(createdInterview.id);
+            const retrievedInterview = await interviewService.getInterviewById(createdInterview.id, testUserId);
             
             expect(retrievedInterview).toBeDefined();
             expect(retrievedInterview.id).toBe(createdInterview.id);
@@ -336,8 +336,8 @@ describe('Interview Service Property Tests', () => {
           validInterviewDataGen(testCandidateId, testJobId, 'Test Candidate', 'Test Job'),
           async (interviewData) => {
             // Property: Core interview data should remain consistent
-            const createdInterview = await interviewService.createInterview(interviewData, testUserId);
-            const retrievedInterview = await interviewService.getInterviewById(createdInterview.id);
+            const createdInterview = await interviewService.createInterview(interviewData, testUserId, testUserId);
+            const retrievedInterview = await interviewService.getInterviewById(createdInterview.id, testUserId);
             
             expect(retrievedInterview.id).toBe(createdInterview.id);
             expect(retrievedInterview.candidateId).toBe(createdInterview.candidateId);
@@ -361,8 +361,8 @@ describe('Interview Service Property Tests', () => {
           validInterviewDataGen(testCandidateId, testJobId, 'Test Candidate', 'Test Job'),
           async (interviewData) => {
             // Property: Created interviews should be retrievable
-            const created = await interviewService.createInterview(interviewData, testUserId);
-            const retrieved = await interviewService.getInterviewById(created.id);
+            const created = await interviewService.createInterview(interviewData, testUserId, testUserId);
+            const retrieved = await interviewService.getInterviewById(created.id, testUserId);
             
             expect(retrieved).toBeDefined();
             expect(retrieved.id).toBe(created.id);
@@ -391,12 +391,12 @@ describe('Interview Service Property Tests', () => {
                 date: todayString,
                 time: `${9 + i}:00` // Different times to avoid conflicts
               };
-              const interview = await interviewService.createInterview(data, testUserId);
+              const interview = await interviewService.createInterview(data, testUserId, testUserId);
               createdInterviews.push(interview);
             }
             
             // Property: Statistics should reflect created interviews
-            const stats = await interviewService.getInterviewStats(today);
+            const stats = await interviewService.getInterviewStats(today, testUserId);
             
             expect(stats.totalInterviews).toBeGreaterThanOrEqual(createdInterviews.length);
             expect(stats.date).toBe(todayString);
@@ -43,10 +43,8 @@ const validInterviewTypeGen = () => fc.constantFrom(...Object.values(INTERVIEW_T
 const validInterviewStatusGen = () => fc.constantFrom(...Object.values(INTERVIEW_STATUS));
 const validMeetingTypeGen = () => fc.constantFrom(...Object.values(MEETING_TYPES));
 
-const validInterviewerNamesGen = () => fc.array(
-  fc.string({ minLength: 1, maxLength: 100 }).filter(s => s.trim().length > 0),
-  { minLength: 0, maxLength: 10 }
-);
+const validInterviewerIdsGen = () => fc.integer({ min: 0, max: 10 })
+  .map(count => Array.from({ length: count }, () => new ObjectId().toString()));
 
 const validUrlGen = () => fc.oneof(
   fc.constant('https://meet.google.com/abc-defg-hij'),
@@ -63,7 +61,7 @@ const validInterviewDataGen = () => fc.record({
   time: validTimeGen(),
   type: validInterviewTypeGen(),
   duration: fc.integer({ min: 15, max: 480 }).filter(d => d % 15 === 0),
-  interviewers: validInterviewerNamesGen(),
+  interviewers: validInterviewerIdsGen(),
   meetingType: validMeetingTypeGen(),
   meetingLink: fc.option(validUrlGen()),
   location: fc.option(fc.string({ minLength: 1, maxLength: 200 })),
@@ -321,7 +319,7 @@ describe('Interview Validation Property Tests', () => {
     test('accepts valid interviewer arrays', () => {
       fc.assert(
         fc.property(
-          validInterviewerNamesGen(),
+          validInterviewerIdsGen(),
           (interviewers) => {
             // Property: Valid interviewer arrays should pass validation
             expect(() => validateInterviewers(interviewers)).not.toThrow();
@@ -334,7 +332,7 @@ describe('Interview Validation Property Tests', () => {
     test('rejects arrays with too many interviewers', () => {
       fc.assert(
         fc.property(
-          fc.array(fc.string({ minLength: 1, maxLength: 100 }), { minLength: 11, maxLength: 20 }),
+          fc.integer({ min: 11, max: 20 }).map(count => Array.from({ length: count }, () => new ObjectId().toString())),
           (tooManyInterviewers) => {
             // Property: Arrays with more than 10 interviewers should be rejected
             expect(() => validateInterviewers(tooManyInterviewers)).toThrow(ValidationError);
@@ -344,14 +342,27 @@ describe('Interview Validation Property Tests', () => {
       );
     });
 
-    test('rejects duplicate interviewer names', () => {
+    test('rejects duplicate interviewers', () => {
+      fc.assert(
+        fc.property(
+          validObjectIdGen(),
+          (id) => {
+            const duplicateIds = [id, id, id]; // Same team member repeated
+            // Property: Duplicate team members should be rejected
+            expect(() => validateInterviewers(duplicateIds)).toThrow(ValidationError);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('rejects free-text interviewer names', () => {
       fc.assert(
         fc.property(
-          fc.string({ minLength: 1, maxLength: 100 }).filter(s => s.trim().length > 0),
+          fc.string({ minLength: 1, maxLength: 100 }).filter(s => !ObjectId.isValid(s.trim())),
           (name) => {
-            const duplicateNames = [name, name, name]; // Same name repeated
-            // Property: Duplicate names should be rejected
-            expect(() => validateInterviewers(duplicateNames)).toThrow(ValidationError);
+            // Property: Interviewers must reference team members
+            expect(() => validateInterviewers([name])).toThrow(ValidationError);
           }
         ),
         { numRuns: 100 }
@@ -0,0 +1,280 @@
+/**
+ * Property-Based Tests for Interview Scorecards
+ * Feature: interview-scorecards, Property 1: Submissions Rate Every Criterion Once
+ * Feature: interview-scorecards, Property 2: Feedback Stays Locked Until Submission
+ * Feature: interview-scorecards, Property 3: Debrief Summaries Match Submissions
+ * Validates: Requirements 9.1, 9.2, 9.3, 9.4
+ */
+
+import fc from 'fast-check';
+import { ObjectId } from 'mongodb';
+import { INTERVIEW_TYPES } from '../interview-models.js';
+import { ValidationError } from '../interview-validation.js';
+import {
+  SCORECARD_RECOMMENDATIONS,
+  RATING_SCALE,
+  SCORECARD_LIMITS,
+  createDefaultScorecardTemplate,
+  createScorecard,
+  createScorecardHistoryEntry,
+  redactScorecardHistory,
+  applyFeedbackLock,
+  summarizeScorecards,
+  toCriterionKey
+} from '../scorecard-models.js';
+import {
+  validateScorecardTemplateData,
+  validateScorecardSubmission
+} from '../scorecard-validation.js';
+
+const interviewTypeGen = () => fc.constantFrom(...Object.values(INTERVIEW_TYPES));
+const recommendationGen = () => fc.constantFrom(...Object.values(SCORECARD_RECOMMENDATIONS));
+const ratingGen = () => fc.integer({ min: RATING_SCALE.MIN, max: RATING_SCALE.MAX });
+
+const interviewer = (name) => ({ userId: new ObjectId().toString(), name, names: [name] });
+
+const submissionFor = (template, ratings, recommendation) => ({
+  ratings: template.criteria.map((criterion, index) => ({
+    criterion: criterion.key,
+    rating: ratings[index % ratings.length]
+  })),
+  recommendation
+});
+
+const interviewWith = (template, panel) => ({
+  _id: new ObjectId(),
+  type: template.interviewType,
+  interviewers: panel.map(member => ({ userId: new ObjectId(member.userId), name: member.name, email: null })),
+  metadata: { createdBy: new ObjectId() },
+  scorecards: []
+});
+
+describe('Interview Scorecard Property Tests', () => {
+
+  /**
+   * Property 1: Submissions Rate Every Criterion Once
+   * A submission rating every template criterion with a valid score is accepted
+   * and returned in template order; dropping or repeating a criterion, or rating
+   * outside the scale, is rejected.
+   */
+  describe('Property 1: Submissions Rate Every Criterion Once', () => {
+    test('complete submissions are normalized to template order', () => {
+      fc.assert(
+        fc.property(
+          interviewTypeGen(),
+          fc.array(ratingGen(), { minLength: 1, maxLength: 5 }),
+          recommendationGen(),
+          (interviewType, ratings, recommendation) => {
+            const template = createDefaultScorecardTemplate(interviewType);
+            const submission = submissionFor(template, ratings, recommendation);
+            submission.ratings.reverse();
+
+            const validated = validateScorecardSubmission(submission, template);
+
+            expect(validated.ratings.map(entry => entry.criterion))
+              .toEqual(template.criteria.map(criterion => criterion.key));
+            expect(validated.recommendation).toBe(recommendation);
+            expect(validated.summary).toBe('');
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    test('missing, repeated and out-of-scale ratings are rejected', () => {
+      fc.assert(
+        fc.property(interviewTypeGen(), recommendationGen(), (interviewType, recommendation) => {
+          const template = createDefaultScorecardTemplate(interviewType);
+          const complete = submissionFor(template, [3], recommendation);
+
+          const missing = { ...complete, ratings: complete.ratings.slice(1) };
+          const repeated = { ...complete, ratings: [...complete.ratings, complete.ratings[0]] };
+          const outOfScale = {
+            ...complete,
+            ratings: complete.ratings.map((entry, index) => index === 0 ? { ...entry, rating: RATING_SCALE.MAX + 1 } : entry)
+          };
+
+          expect(() => validateScorecardSubmission(missing, template)).toThrow(ValidationError);
+          expect(() => validateScorecardSubmission(repeated, template)).toThrow(ValidationError);
+          expect(() => validateScorecardSubmission(outOfScale, template)).toThrow(ValidationError);
+        }),
+        { numRuns: 20 }
+      );
+    });
+
+    test('a recommendation is required', () => {
+      const template = createDefaultScorecardTemplate(INTERVIEW_TYPES.TECHNICAL);
+      const submission = submissionFor(template, [4], undefined);
+
+      expect(() => validateScorecardSubmission(submission, template)).toThrow(/Recommendation/);
+    });
+  });
+
+  describe('Template validation', () => {
+    test('criteria given as labels get derived keys', () => {
+      const validated = validateScorecardTemplateData({
+        interviewType: INTERVIEW_TYPES.TECHNICAL,
+        criteria: ['System design', { label: 'Debugging', description: 'Finds the root cause' }]
+      });
+
+      expect(validated.criteria).toEqual([
+        { key: 'system_design', label: 'System design', description: '' },
+        { key: 'debugging', label: 'Debugging', description: 'Finds the root cause' }
+      ]);
+    });
+
+    test('duplicate keys, unknown types and oversized templates are rejected', () => {
+      const tooMany = Array.from({ length: SCORECARD_LIMITS.MAX_CRITERIA + 1 }, (_, index) => `Criterion ${index}`);
+
+      expect(() => validateScorecardTemplateData({
+        interviewType: INTERVIEW_TYPES.SCREENING,
+        criteria: ['Communication', 'communication']
+      })).toThrow(/more than once/);
+      expect(() => validateScorecardTemplateData({
+        interviewType: 'panel',
+        criteria: ['Communication']
+      })).toThrow(ValidationError);
+      expect(() => validateScorecardTemplateData({
+        interviewType: INTERVIEW_TYPES.SCREENING,
+        criteria: tooMany
+      })).toThrow(ValidationError);
+    });
+
+    test('criterion keys only contain lowercase letters, digits and underscores', () => {
+      fc.assert(
+        fc.property(fc.string(), (label) => {
+          expect(toCriterionKey(label)).toMatch(/^([a-z0-9]+(_[a-z0-9]+)*)?$/);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  /**
+   * Property 2: Feedback Stays Locked Until Submission
+   * A panel interviewer who hasn't submitted sees no scorecards while others
+   * have; after submitting they see all of them. Readers outside the panel
+   * are never locked.
+   */
+  describe('Property 2: Feedback Stays Locked Until Submission', () => {
+    test('panelists only see feedback after submitting their own', () => {
+      fc.assert(
+        fc.property(
+          interviewTypeGen(),
+          fc.integer({ min: 2, max: 5 }),
+          fc.array(recommendationGen(), { minLength: 5, maxLength: 5 }),
+          (interviewType, panelSize, recommendations) => {
+            const template = createDefaultScorecardTemplate(interviewType);
+            const panel = Array.from({ length: panelSize }, (_, index) => interviewer(`Interviewer ${index}`));
+            const interview = interviewWith(template, panel);
+            const outsider = interviewer('Hiring Manager');
+
+            panel.forEach((member, index) => {
+              const before = applyFeedbackLock(interview, member);
+
+              expect(before.hasSubmitted).toBe(false);
+              expect(before.locked).toBe(index > 0);
+              expect(before.scorecards).toHaveLength(0);
+              expect(before.submittedCount).toBe(index);
+
+              const validated = validateScorecardSubmission(
+                submissionFor(template, [2, 3], recommendations[index]),
+                template
+              );
+              interview.scorecards.push(createScorecard(validated, template, member));
+
+              const after = applyFeedbackLock(interview, member);
+              expect(after.locked).toBe(false);
+              expect(after.hasSubmitted).toBe(true);
+              expect(after.scorecards).toHaveLength(index + 1);
+            });
+
+            const outsiderView = applyFeedbackLock(interview, outsider);
+            expect(outsiderView.locked).toBe(false);
+            expect(outsiderView.scorecards).toHaveLength(panelSize);
+          }
+        ),
+        { numRuns: 30 }
+      );
+    });
+  });
+
+  /**
+   * Property 3: Debrief Summaries Match Submissions
+   * Recommendation counts add up to the number of scorecards and each criterion
+   * average stays on the rating scale; the stage history entry references the
+   * scorecard without moving the candidate.
+   */
+  describe('Property 3: Debrief Summaries Match Submissions', () => {
+    test('summaries count every recommendation and average each criterion', () => {
+      fc.assert(
+        fc.property(
+          interviewTypeGen(),
+          fc.array(fc.tuple(fc.array(ratingGen(), { minLength: 1, maxLength: 4 }), recommendationGen()), { minLength: 1, maxLength: 6 }),
+          (interviewType, submissions) => {
+            const template = createDefaultScorecardTemplate(interviewType);
+            const scorecards = submissions.map(([ratings, recommendation], index) => createScorecard(
+              validateScorecardSubmission(submissionFor(template, ratings, recommendation), template),
+              template,
+              interviewer(`Interviewer ${index}`)
+            ));
+
+            const summary = summarizeScorecards(scorecards);
+            const total = Object.values(summary.recommendations).reduce((sum, count) => sum + count, 0);
+
+            expect(summary.count).toBe(scorecards.length);
+            expect(total).toBe(scorecards.length);
+            expect(summary.criteria.map(criterion => criterion.key))
+              .toEqual(template.criteria.map(criterion => criterion.key));
+            summary.criteria.forEach(criterion => {
+              expect(criterion.count).toBe(scorecards.length);
+              expect(criterion.average).toBeGreaterThanOrEqual(RATING_SCALE.MIN);
+              expect(criterion.average).toBeLessThanOrEqual(RATING_SCALE.MAX);
+            });
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    test('history entries reference the scorecard and keep the stage', () => {
+      const template = createDefaultScorecardTemplate(INTERVIEW_TYPES.FINAL);
+      const member = interviewer('Jordan Lee');
+      const interview = interviewWith(template, [member]);
+      const scorecard = createScorecard(
+        validateScorecardSubmission(submissionFor(template, [4], SCORECARD_RECOMMENDATIONS.HIRE), template),
+        template,
+        member
+      );
+
+      const entry = createScorecardHistoryEntry('interview', interview, scorecard);
+
+      expect(entry.fromStage).toBe('interview');
+      expect(entry.toStage).toBe('interview');
+      expect(entry.scorecard).toEqual({
+        interviewId: interview._id,
+        scorecardId: scorecard._id,
+        interviewType: INTERVIEW_TYPES.FINAL,
+        interviewerName: 'Jordan Lee'
+      });
+      expect(entry.notes).toBe('Scorecard submitted by Jordan Lee (final interview)');
+      expect(JSON.stringify(entry)).not.toMatch(/hire/i);
+    });
+
+    test('older history entries lose their recommendation when read', () => {
+      const legacy = {
+        fromStage: 'interview',
+        toStage: 'interview',
+        scorecard: { interviewType: INTERVIEW_TYPES.FINAL, interviewerName: 'Jordan Lee', recommendation: SCORECARD_RECOMMENDATIONS.STRONG_HIRE },
+        notes: 'Strong hire from Jordan Lee (final interview)'
+      };
+      const stageChange = { fromStage: 'screening', toStage: 'interview', notes: 'Moved on' };
+
+      const [redacted, unchanged] = redactScorecardHistory([legacy, stageChange]);
+
+      expect(redacted.scorecard).toEqual({ interviewType: INTERVIEW_TYPES.FINAL, interviewerName: 'Jordan Lee' });
+      expect(redacted.notes).toBe('Scorecard submitted by Jordan Lee (final interview)');
+      expect(unchanged).toBe(stageChange);
+    });
+  });
+});
@@ -3,8 +3,15 @@
  * Handles MongoDB operations for interview management
  */
 
+import { ObjectId } from 'mongodb';
 import { getCollection } from '../mongodb.js';
-import { INTERVIEW_INDEXES } from './interview-models.js';
+import {
+  INTERVIEW_INDEXES,
+  ACTIVE_INTERVIEW_STATUSES,
+  MAX_INTERVIEW_DURATION,
+  getInterviewEnd
+} from './interview-models.js';
+import { scopeQuery } from '../team/organization-scope.js';
 
 /**
  * Collection name for interviews
@@ -55,39 +62,55 @@ export async function initializeInterviewsCollection() {
 }
 
 /**
- * Checks if there are conflicting interviews for the same candidate at the same time
- * @param {string} candidateId - Candidate ID
- * @param {Date} scheduledDate - Interview date and time
- * @param {string} excludeId - Optional interview ID to exclude from check (for updates)
- * @returns {Promise<boolean>} True if there's a conflict
+ * Finds active interviews of a candidate or any of a set of interviewers that
+ * overlap a time range, using each interview's own duration
+ * @param {Object} participants - { candidateId, interviewerIds, excludeId }
+ * @param {Date} from - Start of the range
+ * @param {Date} to - End of the range
+ * @param {string} organizationId - Organization to search in
+ * @returns {Promise<Array>} Overlapping interview documents, earliest first
  */
-export async function hasScheduleConflict(candidateId, scheduledDate, excludeId = null) {
+export async function findOverlappingInterviews(participants, from, to, organizationId) {
   try {
-    const collection = await getInterviewsCollection();
-    
-    // Check for interviews within 30 minutes of the scheduled time
-    const startTime = new Date(scheduledDate.getTime() - 30 * 60 * 1000); // 30 minutes before
-    const endTime = new Date(scheduledDate.getTime() + 30 * 60 * 1000); // 30 minutes after
-    
+    const { candidateId = null, interviewerIds = [], excludeId = null } = participants;
+
+    const attendees = [];
+    if (candidateId) {
+      attendees.push({ candidateId: new ObjectId(candidateId) });
+    }
+    if (interviewerIds.length > 0) {
+      attendees.push({ 'interviewers.userId': { $in: interviewerIds.map(id => new ObjectId(id)) } });
+    }
+    if (attendees.length === 0) {
+      return [];
+    }
+
+    // No interview runs longer than MAX_INTERVIEW_DURATION, so anything that
+    // started earlier than that before the range cannot reach into it
     const query = {
-      candidateId: candidateId,
       scheduledDate: {
-        $gte: startTime,
-        $lte: endTime
+        $gt: new Date(from.getTime() - MAX_INTERVIEW_DURATION * 60 * 1000),
+        $lt: to
       },
-      status: { $in: ['scheduled', 'rescheduled'] },
-      'metadata.isActive': true
+      status: { $in: ACTIVE_INTERVIEW_STATUSES },
+      'metadata.isActive': true,
+      $or: attendees
     };
-    
+
     // Exclude specific ID if provided (for updates)
     if (excludeId) {
-      query._id = { $ne: excludeId };
+      query._id = { $ne: new ObjectId(excludeId) };
     }
-    
-    const count = await collection.countDocuments(query);
-    return count > 0;
+
+    const collection = await getInterviewsCollection();
+    const interviews = await collection
+      .find(scopeQuery(query, organizationId))
+      .sort({ scheduledDate: 1 })
+      .toArray();
+
+    return interviews.filter(interview => getInterviewEnd(interview) > from);
   } catch (error) {
-    console.error('Failed to check schedule conflict:', error);
+    console.error('Failed to find overlapping interviews:', error);
     throw new Error(`Failed to check schedule conflict: ${error.message}`);
   }
 }
@@ -95,9 +118,10 @@ export async function hasScheduleConflict(candidateId, scheduledDate, excludeId
 /**
  * Gets interviews scheduled for a specific date
  * @param {Date} date - Target date
+ * @param {string} organizationId - Organization to list interviews for
  * @returns {Promise<Array>} Array of interviews for the date
  */
-export async function getInterviewsForDate(date) {
+export async function getInterviewsForDate(date, organizationId) {
   try {
     const collection = await getInterviewsCollection();
     
@@ -108,13 +132,13 @@ export async function getInterviewsForDate(date) {
     const endOfDay = new Date(date);
     endOfDay.setHours(23, 59, 59, 999);
     
-    const interviews = await collection.find({
+    const interviews = await collection.find(scopeQuery({
       scheduledDate: {
         $gte: startOfDay,
         $lte: endOfDay
       },
       'metadata.isActive': true
-    }).sort({ scheduledDate: 1 }).toArray();
+    }, organizationId)).sort({ scheduledDate: 1 }).toArray();
     
     return interviews;
   } catch (error) {
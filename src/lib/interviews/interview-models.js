@@ -44,6 +44,37 @@ export const DEFAULT_DURATIONS = {
   [INTERVIEW_TYPES.FINAL]: 90
 };
 
+/**
+ * Longest interview that can be scheduled (in minutes)
+ */
+export const MAX_INTERVIEW_DURATION = 480;
+
+/**
+ * Statuses that occupy the candidate's and interviewers' calendars
+ */
+export const ACTIVE_INTERVIEW_STATUSES = [INTERVIEW_STATUS.SCHEDULED, INTERVIEW_STATUS.RESCHEDULED];
+
+/**
+ * Hours and granularity used when suggesting free slots
+ */
+export const SCHEDULING_WINDOW = {
+  DAY_START_MINUTES: 8 * 60,
+  DAY_END_MINUTES: 18 * 60,
+  SLOT_INTERVAL_MINUTES: 30,
+  DEFAULT_DAYS: 5,
+  MAX_DAYS: 14,
+  DEFAULT_SLOT_LIMIT: 10,
+  MAX_SLOT_LIMIT: 50
+};
+
+/**
+ * When reminders go out before an interview, largest window first
+ */
+export const REMINDER_WINDOWS = [
+  { key: '24h', minutes: 24 * 60, startsIn: 'in 24 hours' },
+  { key: '1h', minutes: 60, startsIn: 'in 1 hour' }
+];
+
 /**
  * Creates a new interview document structure
  * @param {Object} interviewData - Raw interview data
@@ -56,6 +87,9 @@ export function createInterviewDocument(interviewData) {
   const scheduledDate = combineDateTime(interviewData.date, interviewData.time);
   
   return {
+    organizationId: interviewData.organizationId && ObjectId.isValid(interviewData.organizationId)
+      ? new ObjectId(interviewData.organizationId)
+      : null,
     candidateId: interviewData.candidateId && ObjectId.isValid(interviewData.candidateId) 
       ? new ObjectId(interviewData.candidateId) 
       : null,
@@ -67,9 +101,7 @@ export function createInterviewDocument(interviewData) {
     scheduledDate: scheduledDate,
     duration: interviewData.duration || DEFAULT_DURATIONS[interviewData.type] || 60,
     type: interviewData.type || INTERVIEW_TYPES.SCREENING,
-    interviewers: Array.isArray(interviewData.interviewers) 
-      ? interviewData.interviewers.map(name => name.trim()).filter(Boolean)
-      : [],
+    interviewers: normalizeInterviewers(interviewData.interviewers),
     meetingDetails: {
       type: interviewData.meetingType || MEETING_TYPES.VIDEO,
       link: interviewData.meetingLink?.trim() || null,
@@ -77,6 +109,9 @@ export function createInterviewDocument(interviewData) {
     },
     notes: interviewData.notes?.trim() || '',
     status: interviewData.status || INTERVIEW_STATUS.SCHEDULED,
+    calendar: {
+      sequence: 0
+    },
     metadata: {
       createdAt: now,
       updatedAt: now,
@@ -161,15 +196,71 @@ export function formatInterviewForDisplay(interview) {
     time: scheduledDate.toTimeString().slice(0, 5), // HH:MM
     duration: `${interview.duration} minutes`,
     type: interview.type,
-    interviewers: interview.interviewers,
+    interviewers: formatInterviewers(interview.interviewers),
     meetingDetails: interview.meetingDetails,
     notes: interview.notes,
     status: interview.status,
+    scorecardCount: (interview.scorecards || []).length,
     createdAt: interview.metadata.createdAt,
     updatedAt: interview.metadata.updatedAt
   };
 }
 
+/**
+ * Normalizes stored interviewers to team member references
+ * Interviews created before interviewers referenced team members hold plain
+ * names; those come back with a null userId
+ * @param {Array<Object|string>} interviewers - Stored interviewers
+ * @returns {Array<Object>} Interviewer references ({ userId, name, email })
+ */
+export function normalizeInterviewers(interviewers) {
+  if (!Array.isArray(interviewers)) return [];
+
+  return interviewers
+    .map(interviewer => {
+      if (typeof interviewer === 'string') {
+        return interviewer ? { userId: null, name: interviewer, email: null } : null;
+      }
+
+      if (!interviewer || typeof interviewer !== 'object') {
+        return null;
+      }
+
+      const userId = interviewer.userId && ObjectId.isValid(interviewer.userId)
+        ? new ObjectId(interviewer.userId)
+        : null;
+
+      return {
+        userId,
+        name: interviewer.name?.trim() || interviewer.email || '',
+        email: interviewer.email || null
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Formats interviewer references for API responses
+ * @param {Array<Object|string>} interviewers - Stored interviewers
+ * @returns {Array<Object>} Interviewers ({ userId, name, email })
+ */
+export function formatInterviewers(interviewers) {
+  return normalizeInterviewers(interviewers).map(interviewer => ({
+    userId: interviewer.userId?.toString() || null,
+    name: interviewer.name,
+    email: interviewer.email
+  }));
+}
+
+/**
+ * Gets the display names of an interview's interviewers
+ * @param {Array<Object|string>} interviewers - Stored interviewers
+ * @returns {Array<string>} Interviewer names
+ */
+export function getInterviewerNames(interviewers) {
+  return normalizeInterviewers(interviewers).map(interviewer => interviewer.name).filter(Boolean);
+}
+
 /**
  * Generates interviewer initials from names
  * @param {Array<string>} interviewers - Array of interviewer names
@@ -211,10 +302,238 @@ export function getInterviewsForDate(interviews, targetDate = new Date()) {
   return interviews.filter(interview => isInterviewToday(interview, targetDate));
 }
 
+/**
+ * Gets when an interview ends
+ * @param {Object} interview - Interview document ({ scheduledDate, duration, type })
+ * @returns {Date} End time
+ */
+export function getInterviewEnd(interview) {
+  const duration = interview.duration || DEFAULT_DURATIONS[interview.type] || 60;
+  return new Date(new Date(interview.scheduledDate).getTime() + duration * 60 * 1000);
+}
+
+/**
+ * Checks whether two time ranges overlap (touching ranges do not)
+ * @param {Date} startA - Start of the first range
+ * @param {Date} endA - End of the first range
+ * @param {Date} startB - Start of the second range
+ * @param {Date} endB - End of the second range
+ * @returns {boolean} True if the ranges overlap
+ */
+export function intervalsOverlap(startA, endA, startB, endB) {
+  return startA.getTime() < endB.getTime() && startB.getTime() < endA.getTime();
+}
+
+/**
+ * Describes which existing interviews clash with a proposed one, and for whom
+ * @param {Array<Object>} interviews - Interview documents that may clash
+ * @param {Object} proposal - { candidateId, interviewerIds, start, end, excludeId }
+ * @returns {Array<Object>} Conflicts ({ interviewId, candidateName, jobTitle, type, start, end, candidate, interviewers })
+ */
+export function describeScheduleConflicts(interviews, proposal) {
+  const candidateId = proposal.candidateId?.toString() || null;
+  const interviewerIds = (proposal.interviewerIds || []).map(id => id.toString());
+  const excludeId = proposal.excludeId?.toString() || null;
+
+  return interviews
+    .filter(interview => interview._id?.toString() !== excludeId)
+    .filter(interview => ACTIVE_INTERVIEW_STATUSES.includes(interview.status))
+    .filter(interview => intervalsOverlap(
+      new Date(interview.scheduledDate),
+      getInterviewEnd(interview),
+      proposal.start,
+      proposal.end
+    ))
+    .map(interview => {
+      const interviewers = normalizeInterviewers(interview.interviewers)
+        .filter(interviewer => interviewer.userId && interviewerIds.includes(interviewer.userId.toString()))
+        .map(interviewer => ({ userId: interviewer.userId.toString(), name: interviewer.name }));
+
+      return {
+        interviewId: interview._id.toString(),
+        candidateName: interview.candidateName,
+        jobTitle: interview.jobTitle,
+        type: interview.type,
+        start: new Date(interview.scheduledDate),
+        end: getInterviewEnd(interview),
+        candidate: Boolean(candidateId) && interview.candidateId?.toString() === candidateId,
+        interviewers
+      };
+    })
+    .filter(conflict => conflict.candidate || conflict.interviewers.length > 0);
+}
+
+/**
+ * Summarizes schedule conflicts in one sentence
+ * @param {Array<Object>} conflicts - Conflicts from describeScheduleConflicts
+ * @returns {string} Message naming who is double-booked and when
+ */
+export function formatScheduleConflictMessage(conflicts) {
+  if (!conflicts || conflicts.length === 0) {
+    return '';
+  }
+
+  const people = [
+    ...(conflicts.some(conflict => conflict.candidate) ? ['The candidate'] : []),
+    ...new Set(conflicts.flatMap(conflict => conflict.interviewers.map(interviewer => interviewer.name)))
+  ];
+  const [first] = conflicts;
+  const from = first.start.toTimeString().slice(0, 5);
+  const to = first.end.toTimeString().slice(0, 5);
+  const more = conflicts.length > 1 ? ` and ${conflicts.length - 1} other interview${conflicts.length > 2 ? 's' : ''}` : '';
+
+  return `Schedule conflict: ${people.join(', ')} ${people.length === 1 ? 'is' : 'are'} already booked from ${from} to ${to}${more}`;
+}
+
+/**
+ * Adds days to a YYYY-MM-DD date string
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function addDaysToDateString(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Proposes start times that avoid every busy range
+ * Slots fall on weekdays within SCHEDULING_WINDOW hours, end by the close of
+ * the day and start after `now`
+ * @param {Array<Object>} busy - Busy ranges ({ start, end })
+ * @param {Object} options - { startDate (YYYY-MM-DD), duration, days, limit, now }
+ * @returns {Array<Object>} Free slots ({ date, time, start, end })
+ */
+export function findFreeSlots(busy, options) {
+  const {
+    startDate,
+    duration,
+    days = SCHEDULING_WINDOW.DEFAULT_DAYS,
+    limit = SCHEDULING_WINDOW.DEFAULT_SLOT_LIMIT,
+    now = new Date()
+  } = options;
+  const slots = [];
+
+  for (let offset = 0; offset < days && slots.length < limit; offset++) {
+    const date = addDaysToDateString(startDate, offset);
+    const weekday = new Date(`${date}T00:00:00.000Z`).getUTCDay();
+    if (weekday === 0 || weekday === 6) {
+      continue;
+    }
+
+    for (
+      let minutes = SCHEDULING_WINDOW.DAY_START_MINUTES;
+      minutes + duration <= SCHEDULING_WINDOW.DAY_END_MINUTES && slots.length < limit;
+      minutes += SCHEDULING_WINDOW.SLOT_INTERVAL_MINUTES
+    ) {
+      const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+      const start = combineDateTime(date, time);
+      const end = new Date(start.getTime() + duration * 60 * 1000);
+
+      if (start <= now || busy.some(range => intervalsOverlap(range.start, range.end, start, end))) {
+        continue;
+      }
+
+      slots.push({ date, time, start, end });
+    }
+  }
+
+  return slots;
+}
+
+/**
+ * Builds the query fragment limiting interviews to those assigned to a user
+ * An interview is assigned to a user who created it or is listed as an interviewer
+ * (by team member reference, or by name on interviews that predate references)
+ * @param {Object} assignedTo - Assignment ({ userId, names })
+ * @returns {Object} MongoDB query fragment
+ */
+export function buildAssignmentQuery(assignedTo) {
+  const names = (assignedTo.names || []).map(name =>
+    new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')
+  );
+
+  return {
+    $or: [
+      { 'metadata.createdBy': new ObjectId(assignedTo.userId) },
+      { interviewers: { $in: names } },
+      { 'interviewers.userId': new ObjectId(assignedTo.userId) }
+    ]
+  };
+}
+
+/**
+ * Checks whether an interview document is assigned to a user
+ * @param {Object} interview - Interview document
+ * @param {Object} assignedTo - Assignment ({ userId, names })
+ * @returns {boolean} True if the user created or conducts the interview
+ */
+export function isInterviewAssignedTo(interview, assignedTo) {
+  if (interview.metadata?.createdBy?.toString() === assignedTo.userId.toString()) {
+    return true;
+  }
+
+  const userId = assignedTo.userId.toString();
+  const names = (assignedTo.names || []).map(name => name.toLowerCase());
+  return normalizeInterviewers(interview.interviewers).some(interviewer =>
+    interviewer.userId
+      ? interviewer.userId.toString() === userId
+      : names.includes(interviewer.name.toLowerCase())
+  );
+}
+
+/**
+ * Gets the reminder an interview is due for
+ * Only scheduled interviews get reminders, each window is sent once per start
+ * time, and when several windows are due at once only the nearest is sent
+ * @param {Object} interview - Interview document ({ status, scheduledDate, reminders })
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} REMINDER_WINDOWS entry, or null if nothing is due
+ */
+export function getDueReminder(interview, now = new Date()) {
+  if (interview.status !== INTERVIEW_STATUS.SCHEDULED) {
+    return null;
+  }
+
+  const start = new Date(interview.scheduledDate).getTime();
+  const minutesUntilStart = (start - now.getTime()) / 60000;
+  if (minutesUntilStart <= 0) {
+    return null;
+  }
+
+  const due = REMINDER_WINDOWS
+    .filter(window => minutesUntilStart <= window.minutes)
+    .sort((a, b) => a.minutes - b.minutes)[0];
+
+  if (!due || hasReminderBeenSent(interview, due.key)) {
+    return null;
+  }
+
+  return due;
+}
+
+/**
+ * Checks whether a reminder window was already sent for the interview's current start time
+ * @param {Object} interview - Interview document
+ * @param {string} windowKey - REMINDER_WINDOWS key
+ * @returns {boolean} True if it was sent
+ */
+export function hasReminderBeenSent(interview, windowKey) {
+  const start = new Date(interview.scheduledDate).getTime();
+  return (interview.reminders || []).some(reminder =>
+    reminder.window === windowKey && new Date(reminder.scheduledDate).getTime() === start
+  );
+}
+
 /**
  * MongoDB indexes for optimal query performance
  */
 export const INTERVIEW_INDEXES = [
+  // Organization index for tenant scoping
+  { 
+    key: { organizationId: 1, scheduledDate: 1 } 
+  },
   // Compound index for efficient date-based queries
   { 
     key: { scheduledDate: 1, status: 1 } 
@@ -227,6 +546,10 @@ export const INTERVIEW_INDEXES = [
   { 
     key: { jobId: 1, status: 1 } 
   },
+  // Index for interviewer calendar and conflict queries
+  {
+    key: { 'interviewers.userId': 1, scheduledDate: 1 }
+  },
   // Index for interview type filtering
   { 
     key: { type: 1 } 
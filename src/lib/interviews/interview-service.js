@@ -7,7 +7,7 @@ import { ObjectId } from 'mongodb';
 import { 
   getInterviewsCollection, 
   initializeInterviewsCollection,
-  hasScheduleConflict,
+  findOverlappingInterviews,
   getInterviewsForDate
 } from './interview-db.js';
 import { 
@@ -15,28 +15,71 @@ import {
   formatInterviewForDisplay,
   generateInterviewerInitials,
   isInterviewToday,
+  buildAssignmentQuery,
+  isInterviewAssignedTo,
+  combineDateTime,
+  normalizeInterviewers,
+  formatInterviewers,
+  getInterviewerNames,
+  getInterviewEnd,
+  describeScheduleConflicts,
+  formatScheduleConflictMessage,
+  findFreeSlots,
+  addDaysToDateString,
+  getDueReminder,
+  REMINDER_WINDOWS,
+  ACTIVE_INTERVIEW_STATUSES,
+  DEFAULT_DURATIONS,
+  SCHEDULING_WINDOW,
   INTERVIEW_STATUS,
   INTERVIEW_TYPES
 } from './interview-models.js';
 import { 
   validateInterviewData,
+  validateInterviewers,
+  validateInterviewDuration,
   sanitizeInterviewInput,
   validatePaginationParams,
   validateInterviewFilters,
   ValidationError
 } from './interview-validation.js';
+import {
+  createScorecard,
+  createScorecardHistoryEntry,
+  applyFeedbackLock,
+  summarizeScorecards,
+  formatScorecard
+} from './scorecard-models.js';
+import { validateScorecardSubmission } from './scorecard-validation.js';
+import { scorecardTemplateService } from './scorecard-template-service.js';
 import { candidateService } from '../candidates/candidate-service.js';
+import { getCandidatesCollection } from '../candidates/candidate-db.js';
 import { getJobById } from '../jobs/job-service.js';
+import { getTeamDirectory } from '../team/invitation-db.js';
+import {
+  sendInterviewInvites,
+  sendInterviewReminder,
+  getInviteRecipients,
+  INVITE_ACTIONS
+} from '../email/interview-invite-service.js';
+import {
+  scopeQuery,
+  toOrganizationObjectId,
+  OrganizationScopeError
+} from '../team/organization-scope.js';
+import { notifyUsers, buildNotificationLink, USER_NOTIFICATION_TYPES } from '../notifications/notification-center.js';
+import { recordAuditEvent, AUDIT_ACTIONS, AUDIT_TARGET_TYPES } from '../audit/audit-log.js';
 
 /**
  * Service error class
  */
 export class InterviewServiceError extends Error {
-  constructor(message, code = 'INTERVIEW_SERVICE_ERROR', statusCode = 500) {
+  constructor(message, code = 'INTERVIEW_SERVICE_ERROR', statusCode = 500, details = null) {
     super(message);
     this.name = 'InterviewServiceError';
     this.code = code;
     this.statusCode = statusCode;
+    this.details = details;
   }
 }
 
@@ -72,16 +115,17 @@ export class InterviewService {
    * Validates that referenced candidate and job exist
    * @param {string} candidateId - Candidate ID
    * @param {string} jobId - Job ID
+   * @param {string} organizationId - Organization both must belong to
    * @returns {Promise<Object>} Candidate and job information
    * @private
    */
-  async _validateReferences(candidateId, jobId) {
+  async _validateReferences(candidateId, jobId, organizationId) {
     const errors = [];
 
     // Validate candidate exists
     let candidate = null;
     try {
-      candidate = await candidateService.getCandidateById(candidateId);
+      candidate = await candidateService.getCandidateById(candidateId, organizationId);
       if (!candidate) {
         errors.push({ field: 'candidateId', message: 'Referenced candidate does not exist' });
       }
@@ -93,7 +137,7 @@ export class InterviewService {
     // Validate job exists
     let job = null;
     try {
-      job = await getJobById(jobId);
+      job = await getJobById(jobId, organizationId);
       if (!job) {
         errors.push({ field: 'jobId', message: 'Referenced job does not exist' });
       }
@@ -113,6 +157,148 @@ export class InterviewService {
     return { candidate, job };
   }
 
+  /**
+   * Resolves interviewer user IDs to references to members of the team
+   * @param {Array<string>} interviewerIds - Team member user IDs
+   * @param {string} organizationId - Organization the interviewers must work in
+   * @returns {Promise<Array>} Interviewer references ({ userId, name, email })
+   * @throws {InterviewServiceError} If an ID is not a member of the team
+   * @private
+   */
+  async _resolveInterviewers(interviewerIds = [], organizationId) {
+    if (interviewerIds.length === 0) {
+      return [];
+    }
+
+    const directory = await getTeamDirectory(toOrganizationObjectId(organizationId));
+    const byUserId = new Map(directory.map(person => [person.userId, person]));
+    const unknown = interviewerIds.filter(id => !byUserId.has(id));
+
+    if (unknown.length > 0) {
+      throw new InterviewServiceError(
+        'Interviewers must be members of your team',
+        'INVALID_INTERVIEWERS',
+        400,
+        { interviewers: unknown }
+      );
+    }
+
+    return normalizeInterviewers(interviewerIds.map(id => byUserId.get(id)));
+  }
+
+  /**
+   * Rejects a schedule that overlaps another active interview of the
+   * candidate or of any interviewer
+   * @param {Object} proposal - { candidateId, interviewers, start, duration, excludeId }
+   * @param {string} organizationId - Organization to check in
+   * @throws {InterviewServiceError} 409 listing the conflicts
+   * @private
+   */
+  async _assertNoScheduleConflicts(proposal, organizationId) {
+    const start = proposal.start;
+    const end = new Date(start.getTime() + proposal.duration * 60 * 1000);
+    const participants = {
+      candidateId: proposal.candidateId?.toString() || null,
+      interviewerIds: normalizeInterviewers(proposal.interviewers)
+        .filter(interviewer => interviewer.userId)
+        .map(interviewer => interviewer.userId.toString()),
+      excludeId: proposal.excludeId || null
+    };
+
+    const overlapping = await findOverlappingInterviews(participants, start, end, organizationId);
+    const conflicts = describeScheduleConflicts(overlapping, { ...participants, start, end });
+
+    if (conflicts.length > 0) {
+      throw new InterviewServiceError(
+        formatScheduleConflictMessage(conflicts),
+        'SCHEDULE_CONFLICT',
+        409,
+        { conflicts }
+      );
+    }
+  }
+
+  /**
+   * Gets the name and email address interview emails are sent to for the candidate
+   * @param {Object} interview - Interview document
+   * @param {Object|null} [candidate] - Candidate document, loaded when omitted
+   * @returns {Promise<Object>} { name, email }
+   * @private
+   */
+  async _getCandidateContact(interview, candidate = null) {
+    const candidateDoc = candidate || (interview.candidateId
+      ? await candidateService.getCandidateById(interview.candidateId.toString(), interview.organizationId)
+      : null);
+
+    return {
+      name: interview.candidateName,
+      email: candidateDoc?.personalInfo?.email || null
+    };
+  }
+
+  /**
+   * Emails an interview's calendar invite, update or cancellation
+   * Failures are logged and never fail the interview operation
+   * @param {Object} interview - Interview document
+   * @param {string} action - INVITE_ACTIONS value
+   * @param {Object} [options] - Invite options
+   * @param {Object} [options.candidate] - Candidate document, loaded when omitted
+   * @param {Array<Object>} [options.recipients] - Recipients (defaults to the candidate and every interviewer)
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _sendCalendarInvites(interview, action, { candidate = null, recipients = null } = {}) {
+    try {
+      const candidateInfo = await this._getCandidateContact(interview, candidate);
+
+      await sendInterviewInvites(interview, {
+        action,
+        candidate: candidateInfo,
+        jobTitle: interview.jobTitle,
+        recipients: recipients || getInviteRecipients(interview, candidateInfo)
+      });
+    } catch (error) {
+      console.error(`Failed to send ${action} calendar invites for interview ${interview._id}:`, error);
+    }
+  }
+
+  /**
+   * Notifies team members in the app that they were put on an interview panel
+   * Failures are logged and never fail the interview change
+   * @param {Object} interview - Interview document
+   * @param {Array<Object>} previousInterviewers - Panel before the change (empty for a new interview)
+   * @param {string} userId - ID of user who made the change
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _notifyAssignedInterviewers(interview, previousInterviewers, userId) {
+    try {
+      const previous = new Set(
+        normalizeInterviewers(previousInterviewers)
+          .filter(interviewer => interviewer.userId)
+          .map(interviewer => interviewer.userId.toString())
+      );
+      const assigned = normalizeInterviewers(interview.interviewers)
+        .filter(interviewer => interviewer.userId && !previous.has(interviewer.userId.toString()))
+        .map(interviewer => interviewer.userId);
+
+      if (assigned.length === 0) {
+        return;
+      }
+
+      await notifyUsers(assigned, {
+        organizationId: interview.organizationId,
+        type: USER_NOTIFICATION_TYPES.INTERVIEWER_ASSIGNED,
+        title: `You're interviewing ${interview.candidateName}`,
+        body: `${interview.type.charAt(0).toUpperCase()}${interview.type.slice(1)} interview for ${interview.jobTitle}.`,
+        link: buildNotificationLink('interview', interview._id),
+        actor: { userId }
+      });
+    } catch (error) {
+      console.error(`Failed to notify interviewers of interview ${interview._id}:`, error);
+    }
+  }
+
   /**
    * Enriches interview data with current candidate and job information
    * @param {Object} interview - Interview document
@@ -126,7 +312,10 @@ export class InterviewService {
       // Try to get current candidate information
       if (interview.candidateId) {
         try {
-          const candidate = await candidateService.getCandidateById(interview.candidateId.toString());
+          const candidate = await candidateService.getCandidateById(
+            interview.candidateId.toString(),
+            interview.organizationId
+          );
           if (candidate) {
             enriched.currentCandidateInfo = {
               name: `${candidate.personalInfo.firstName} ${candidate.personalInfo.lastName}`,
@@ -146,7 +335,7 @@ export class InterviewService {
       // Try to get current job information
       if (interview.jobId) {
         try {
-          const job = await getJobById(interview.jobId.toString());
+          const job = await getJobById(interview.jobId.toString(), interview.organizationId);
           if (job) {
             enriched.currentJobInfo = {
               title: job.title,
@@ -174,12 +363,15 @@ export class InterviewService {
    * Creates a new interview
    * @param {Object} interviewData - Interview data
    * @param {string} userId - ID of user creating the interview
+   * @param {string} organizationId - Organization the interview belongs to
    * @returns {Promise<Object>} Created interview
    */
-  async createInterview(interviewData, userId = null) {
+  async createInterview(interviewData, userId = null, organizationId) {
     try {
       await this.initialize();
 
+      const organizationObjectId = toOrganizationObjectId(organizationId);
+
       // Sanitize and validate input data
       const sanitizedData = sanitizeInterviewInput(interviewData);
       validateInterviewData(sanitizedData);
@@ -187,7 +379,8 @@ export class InterviewService {
       // Validate that referenced candidate and job exist
       const { candidate, job } = await this._validateReferences(
         sanitizedData.candidateId, 
-        sanitizedData.jobId
+        sanitizedData.jobId,
+        organizationObjectId
       );
 
       // Use current candidate and job names if not provided
@@ -198,25 +391,25 @@ export class InterviewService {
         sanitizedData.jobTitle = job.title;
       }
 
-      // Check for schedule conflicts
-      if (sanitizedData.candidateId && sanitizedData.date && sanitizedData.time) {
-        const scheduledDate = new Date(`${sanitizedData.date}T${sanitizedData.time}:00`);
-        const hasConflict = await hasScheduleConflict(
-          new ObjectId(sanitizedData.candidateId), 
-          scheduledDate
-        );
-        
-        if (hasConflict) {
-          throw new InterviewServiceError(
-            'Schedule conflict: Candidate already has an interview scheduled within 30 minutes of this time',
-            'SCHEDULE_CONFLICT',
-            409
-          );
-        }
+      // Interviewers are stored as references to team members
+      sanitizedData.interviewers = await this._resolveInterviewers(
+        sanitizedData.interviewers,
+        organizationObjectId
+      );
+
+      // Check the candidate and every interviewer are free for the whole interview
+      if (ACTIVE_INTERVIEW_STATUSES.includes(sanitizedData.status || INTERVIEW_STATUS.SCHEDULED)) {
+        await this._assertNoScheduleConflicts({
+          candidateId: sanitizedData.candidateId,
+          interviewers: sanitizedData.interviewers,
+          start: combineDateTime(sanitizedData.date, sanitizedData.time),
+          duration: sanitizedData.duration || DEFAULT_DURATIONS[sanitizedData.type] || 60
+        }, organizationObjectId);
       }
 
-      // Add creator information
+      // Add creator and organization information
       sanitizedData.createdBy = userId;
+      sanitizedData.organizationId = organizationObjectId.toString();
 
       // Create interview document
       const interviewDoc = createInterviewDocument(sanitizedData);
@@ -235,6 +428,19 @@ export class InterviewService {
       // Return the created interview with enriched data
       const createdInterview = await collection.findOne({ _id: result.insertedId });
       const enrichedInterview = await this._enrichInterviewData(createdInterview);
+
+      if (ACTIVE_INTERVIEW_STATUSES.includes(createdInterview.status)) {
+        await this._sendCalendarInvites(createdInterview, INVITE_ACTIONS.SCHEDULED, { candidate });
+      }
+      await this._notifyAssignedInterviewers(createdInterview, [], userId);
+
+      await recordAuditEvent({
+        organizationId: organizationObjectId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.INTERVIEW_SCHEDULED,
+        target: this._auditTarget(createdInterview),
+        after: this._auditSnapshot(createdInterview)
+      });
       
       console.log(`Created interview: ${result.insertedId} for candidate ${sanitizedData.candidateName}`);
       return formatInterviewForDisplay(enrichedInterview);
@@ -247,7 +453,7 @@ export class InterviewService {
           400
         );
       }
-      if (error instanceof InterviewServiceError) {
+      if (error instanceof InterviewServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -263,9 +469,11 @@ export class InterviewService {
   /**
    * Gets an interview by ID
    * @param {string} interviewId - Interview ID
+   * @param {string} organizationId - Organization the interview must belong to
+   * @param {Object|null} assignedTo - Only return the interview if assigned to this user ({ userId, names })
    * @returns {Promise<Object|null>} Interview or null if not found
    */
-  async getInterviewById(interviewId) {
+  async getInterviewById(interviewId, organizationId, assignedTo = null) {
     try {
       await this.initialize();
 
@@ -278,12 +486,12 @@ export class InterviewService {
       }
 
       const collection = await getInterviewsCollection();
-      const interview = await collection.findOne({ 
+      const interview = await collection.findOne(scopeQuery({ 
         _id: new ObjectId(interviewId),
         'metadata.isActive': true
-      });
+      }, organizationId));
 
-      if (!interview) {
+      if (!interview || (assignedTo && !isInterviewAssignedTo(interview, assignedTo))) {
         return null;
       }
 
@@ -292,7 +500,7 @@ export class InterviewService {
       return formatInterviewForDisplay(enrichedInterview);
 
     } catch (error) {
-      if (error instanceof InterviewServiceError) {
+      if (error instanceof InterviewServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -309,9 +517,10 @@ export class InterviewService {
    * Gets all interviews with filtering and pagination
    * @param {Object} filters - Filter criteria
    * @param {Object} pagination - Pagination parameters
+   * @param {string} organizationId - Organization to list interviews for
    * @returns {Promise<Object>} Paginated interviews list
    */
-  async getAllInterviews(filters = {}, pagination = {}) {
+  async getAllInterviews(filters = {}, pagination = {}, organizationId) {
     try {
       await this.initialize();
 
@@ -319,7 +528,7 @@ export class InterviewService {
       const validatedFilters = validateInterviewFilters(filters);
       
       // Build query
-      const query = { 'metadata.isActive': true };
+      const query = scopeQuery({ 'metadata.isActive': true }, organizationId);
       
       // Apply filters
       if (validatedFilters.status) {
@@ -338,6 +547,10 @@ export class InterviewService {
         query.jobId = validatedFilters.jobId;
       }
 
+      if (validatedFilters.assignedTo) {
+        Object.assign(query, buildAssignmentQuery(validatedFilters.assignedTo));
+      }
+
       // Date range filtering
       if (validatedFilters.startDate || validatedFilters.endDate) {
         query.scheduledDate = {};
@@ -382,6 +595,10 @@ export class InterviewService {
       };
 
     } catch (error) {
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
       console.error('Failed to get interviews:', error);
       throw new InterviewServiceError(
         'Failed to retrieve interviews',
@@ -396,9 +613,10 @@ export class InterviewService {
    * @param {string} interviewId - Interview ID
    * @param {Object} updates - Update data
    * @param {string} userId - ID of user making the update
+   * @param {string} organizationId - Organization the interview must belong to
    * @returns {Promise<Object>} Updated interview
    */
-  async updateInterview(interviewId, updates, userId = null) {
+  async updateInterview(interviewId, updates, userId = null, organizationId) {
     try {
       await this.initialize();
 
@@ -411,37 +629,37 @@ export class InterviewService {
       }
 
       // Get existing interview
-      const existingInterview = await this.getInterviewById(interviewId);
-      if (!existingInterview) {
-        throw new InterviewServiceError(
-          'Interview not found',
-          'NOT_FOUND',
-          404
-        );
-      }
+      const existingInterview = await this._requireInterviewDocument(interviewId, organizationId);
 
       // Sanitize and validate update data
       const sanitizedUpdates = sanitizeInterviewInput(updates);
-      
-      // If updating schedule, check for conflicts
-      if ((sanitizedUpdates.date || sanitizedUpdates.time) && sanitizedUpdates.candidateId) {
-        const newDate = sanitizedUpdates.date || existingInterview.date;
-        const newTime = sanitizedUpdates.time || existingInterview.time;
-        const scheduledDate = new Date(`${newDate}T${newTime}:00`);
-        
-        const hasConflict = await hasScheduleConflict(
-          new ObjectId(sanitizedUpdates.candidateId), 
-          scheduledDate,
-          new ObjectId(interviewId)
-        );
-        
-        if (hasConflict) {
-          throw new InterviewServiceError(
-            'Schedule conflict: Candidate already has an interview scheduled within 30 minutes of this time',
-            'SCHEDULE_CONFLICT',
-            409
-          );
-        }
+      validateInterviewers(sanitizedUpdates.interviewers);
+      validateInterviewDuration(sanitizedUpdates.duration);
+
+      const interviewers = sanitizedUpdates.interviewers !== undefined
+        ? await this._resolveInterviewers(sanitizedUpdates.interviewers, organizationId)
+        : normalizeInterviewers(existingInterview.interviewers);
+      const isRescheduled = Boolean(sanitizedUpdates.date && sanitizedUpdates.time);
+      const scheduledDate = isRescheduled
+        ? combineDateTime(sanitizedUpdates.date, sanitizedUpdates.time)
+        : existingInterview.scheduledDate;
+      const duration = sanitizedUpdates.duration || existingInterview.duration;
+      const status = sanitizedUpdates.status || existingInterview.status;
+
+      // If the schedule, panel or status changes, check nobody is double-booked
+      const scheduleChanged = isRescheduled ||
+        sanitizedUpdates.interviewers !== undefined ||
+        sanitizedUpdates.duration !== undefined ||
+        status !== existingInterview.status;
+
+      if (scheduleChanged && ACTIVE_INTERVIEW_STATUSES.includes(status)) {
+        await this._assertNoScheduleConflicts({
+          candidateId: existingInterview.candidateId,
+          interviewers,
+          start: new Date(scheduledDate),
+          duration,
+          excludeId: interviewId
+        }, organizationId);
       }
 
       // Build update document
@@ -453,7 +671,7 @@ export class InterviewService {
 
       // Update fields that are provided
       const updatableFields = [
-        'candidateName', 'jobTitle', 'type', 'interviewers', 
+        'candidateName', 'jobTitle', 'type', 'duration',
         'notes', 'status'
       ];
       
@@ -463,9 +681,12 @@ export class InterviewService {
         }
       });
 
+      if (sanitizedUpdates.interviewers !== undefined) {
+        updateDoc.$set.interviewers = interviewers;
+      }
+
       // Handle date/time updates
-      if (sanitizedUpdates.date && sanitizedUpdates.time) {
-        const scheduledDate = new Date(`${sanitizedUpdates.date}T${sanitizedUpdates.time}:00`);
+      if (isRescheduled) {
         updateDoc.$set.scheduledDate = scheduledDate;
       }
 
@@ -478,9 +699,32 @@ export class InterviewService {
         };
       }
 
+      // Calendar invites: attendees get an update (same UID, higher SEQUENCE)
+      // when anything on the invite changes, and a cancellation when the
+      // interview is cancelled or they are taken off the panel
+      const wasActive = ACTIVE_INTERVIEW_STATUSES.includes(existingInterview.status);
+      const isActive = ACTIVE_INTERVIEW_STATUSES.includes(status);
+      const inviteChanged = isRescheduled ||
+        sanitizedUpdates.interviewers !== undefined ||
+        sanitizedUpdates.duration !== undefined ||
+        sanitizedUpdates.type !== undefined ||
+        updateDoc.$set.meetingDetails !== undefined ||
+        status === INTERVIEW_STATUS.RESCHEDULED;
+
+      let inviteAction = null;
+      if (wasActive && status === INTERVIEW_STATUS.CANCELLED) {
+        inviteAction = INVITE_ACTIONS.CANCELLED;
+      } else if (isActive && (!wasActive || inviteChanged)) {
+        inviteAction = INVITE_ACTIONS.UPDATED;
+      }
+
+      if (inviteAction) {
+        updateDoc.$inc = { 'calendar.sequence': 1 };
+      }
+
       const collection = await getInterviewsCollection();
       const result = await collection.findOneAndUpdate(
-        { _id: new ObjectId(interviewId), 'metadata.isActive': true },
+        scopeQuery({ _id: new ObjectId(interviewId), 'metadata.isActive': true }, organizationId),
         updateDoc,
         { returnDocument: 'after' }
       );
@@ -493,6 +737,33 @@ export class InterviewService {
         );
       }
 
+      if (inviteAction) {
+        await this._sendCalendarInvites(result, inviteAction);
+      }
+
+      if (inviteAction === INVITE_ACTIONS.UPDATED && wasActive && sanitizedUpdates.interviewers !== undefined) {
+        const remaining = new Set(getInviteRecipients(result, null).map(recipient => recipient.email.toLowerCase()));
+        const removed = getInviteRecipients({ interviewers: normalizeInterviewers(existingInterview.interviewers) }, null)
+          .filter(recipient => !remaining.has(recipient.email.toLowerCase()));
+
+        if (removed.length > 0) {
+          await this._sendCalendarInvites(result, INVITE_ACTIONS.CANCELLED, { recipients: removed });
+        }
+      }
+
+      if (sanitizedUpdates.interviewers !== undefined) {
+        await this._notifyAssignedInterviewers(result, existingInterview.interviewers, userId);
+      }
+
+      await recordAuditEvent({
+        organizationId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.INTERVIEW_UPDATED,
+        target: this._auditTarget(result),
+        before: this._auditSnapshot(existingInterview),
+        after: this._auditSnapshot(result)
+      });
+
       console.log(`Updated interview: ${interviewId}`);
       return formatInterviewForDisplay(result);
 
@@ -504,7 +775,7 @@ export class InterviewService {
           400
         );
       }
-      if (error instanceof InterviewServiceError) {
+      if (error instanceof InterviewServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -521,9 +792,10 @@ export class InterviewService {
    * Deletes an interview (soft delete)
    * @param {string} interviewId - Interview ID
    * @param {string} userId - ID of user deleting the interview
+   * @param {string} organizationId - Organization the interview must belong to
    * @returns {Promise<boolean>} Success status
    */
-  async deleteInterview(interviewId, userId = null) {
+  async deleteInterview(interviewId, userId = null, organizationId) {
     try {
       await this.initialize();
 
@@ -537,14 +809,16 @@ export class InterviewService {
 
       const collection = await getInterviewsCollection();
       const result = await collection.findOneAndUpdate(
-        { _id: new ObjectId(interviewId), 'metadata.isActive': true },
+        scopeQuery({ _id: new ObjectId(interviewId), 'metadata.isActive': true }, organizationId),
         {
           $set: {
             'metadata.isActive': false,
             'metadata.deletedAt': new Date(),
             'metadata.deletedBy': userId ? new ObjectId(userId) : null
-          }
-        }
+          },
+          $inc: { 'calendar.sequence': 1 }
+        },
+        { returnDocument: 'after' }
       );
 
       if (!result) {
@@ -555,11 +829,24 @@ export class InterviewService {
         );
       }
 
+      // Remove the event from everyone's calendar if it was still going ahead
+      if (ACTIVE_INTERVIEW_STATUSES.includes(result.status)) {
+        await this._sendCalendarInvites(result, INVITE_ACTIONS.CANCELLED);
+      }
+
+      await recordAuditEvent({
+        organizationId,
+        actorId: userId,
+        action: AUDIT_ACTIONS.INTERVIEW_DELETED,
+        target: this._auditTarget(result),
+        before: this._auditSnapshot(result)
+      });
+
       console.log(`Deleted interview: ${interviewId}`);
       return true;
 
     } catch (error) {
-      if (error instanceof InterviewServiceError) {
+      if (error instanceof InterviewServiceError || error instanceof OrganizationScopeError) {
         throw error;
       }
       
@@ -575,20 +862,23 @@ export class InterviewService {
   /**
    * Gets interview statistics for a specific date
    * @param {Date} date - Date to get statistics for (defaults to today)
+   * @param {string} organizationId - Organization to report on
+   * @param {Object|null} assignedTo - Only count interviews assigned to this user ({ userId, names })
    * @returns {Promise<Object>} Interview statistics
    */
-  async getInterviewStats(date = new Date()) {
+  async getInterviewStats(date = new Date(), organizationId, assignedTo = null) {
     try {
       await this.initialize();
 
-      const interviews = await getInterviewsForDate(date);
+      const interviews = await getInterviewsForDate(date, toOrganizationObjectId(organizationId));
       const todayInterviews = interviews.filter(interview => 
-        interview.status === INTERVIEW_STATUS.SCHEDULED || 
-        interview.status === INTERVIEW_STATUS.RESCHEDULED
+        (interview.status === INTERVIEW_STATUS.SCHEDULED || 
+        interview.status === INTERVIEW_STATUS.RESCHEDULED) &&
+        (!assignedTo || isInterviewAssignedTo(interview, assignedTo))
       );
 
       // Generate interviewer initials
-      const allInterviewers = todayInterviews.flatMap(interview => interview.interviewers || []);
+      const allInterviewers = todayInterviews.flatMap(interview => getInterviewerNames(interview.interviewers));
       const uniqueInterviewers = [...new Set(allInterviewers)];
       const interviewerInitials = generateInterviewerInitials(uniqueInterviewers);
 
@@ -604,6 +894,10 @@ export class InterviewService {
       };
 
     } catch (error) {
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
       console.error('Failed to get interview statistics:', error);
       throw new InterviewServiceError(
         'Failed to get interview statistics',
@@ -615,16 +909,18 @@ export class InterviewService {
 
   /**
    * Gets available candidates and jobs for interview creation
+   * @param {string} organizationId - Organization to draw candidates and jobs from
    * @returns {Promise<Object>} Available candidates and jobs
    */
-  async getAvailableOptions() {
+  async getAvailableOptions(organizationId) {
     try {
       await this.initialize();
 
       // Get active candidates
       const candidatesResult = await candidateService.listCandidates(
         { stage: { $ne: 'hired' } }, // Exclude hired candidates
-        { limit: 100 }
+        { limit: 100 },
+        organizationId
       );
 
       // Get active jobs (we'll need to implement this in job service)
@@ -634,7 +930,7 @@ export class InterviewService {
         // This should be replaced with a proper job service method
         const { getJobsCollection } = await import('../jobs/job-service.js');
         const jobsCollection = await getJobsCollection();
-        jobs = await jobsCollection.find({ status: 'active' }).limit(100).toArray();
+        jobs = await jobsCollection.find(scopeQuery({ status: 'active' }, organizationId)).limit(100).toArray();
         jobs = jobs.map(job => ({
           id: job._id.toString(),
           title: job.title,
@@ -657,6 +953,10 @@ export class InterviewService {
       };
 
     } catch (error) {
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
       console.error('Failed to get available options:', error);
       throw new InterviewServiceError(
         'Failed to get available options',
@@ -670,25 +970,32 @@ export class InterviewService {
    * Gets interviews within a date range
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
+   * @param {string} organizationId - Organization to list interviews for
+   * @param {Object|null} assignedTo - Only list interviews assigned to this user ({ userId, names })
    * @returns {Promise<Array>} Array of interviews
    */
-  async getInterviewsByDateRange(startDate, endDate) {
+  async getInterviewsByDateRange(startDate, endDate, organizationId, assignedTo = null) {
     try {
       await this.initialize();
 
       const collection = await getInterviewsCollection();
       
-      const interviews = await collection.find({
+      const interviews = await collection.find(scopeQuery({
         scheduledDate: {
           $gte: startDate,
           $lte: endDate
         },
-        'metadata.isActive': true
-      }).sort({ scheduledDate: 1 }).toArray();
+        'metadata.isActive': true,
+        ...(assignedTo ? buildAssignmentQuery(assignedTo) : {})
+      }, organizationId)).sort({ scheduledDate: 1 }).toArray();
 
       return interviews.map(formatInterviewForDisplay);
 
     } catch (error) {
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
       console.error('Failed to get interviews by date range:', error);
       throw new InterviewServiceError(
         'Failed to get interviews by date range',
@@ -701,9 +1008,11 @@ export class InterviewService {
   /**
    * Gets interviews for a specific date
    * @param {Date} date - Target date
+   * @param {string} organizationId - Organization to list interviews for
+   * @param {Object|null} assignedTo - Only list interviews assigned to this user ({ userId, names })
    * @returns {Promise<Array>} Array of interviews for the date
    */
-  async getInterviewsByDate(date) {
+  async getInterviewsByDate(date, organizationId, assignedTo = null) {
     try {
       await this.initialize();
 
@@ -714,9 +1023,13 @@ export class InterviewService {
       const endOfDay = new Date(date);
       endOfDay.setHours(23, 59, 59, 999);
 
-      return await this.getInterviewsByDateRange(startOfDay, endOfDay);
+      return await this.getInterviewsByDateRange(startOfDay, endOfDay, organizationId, assignedTo);
 
     } catch (error) {
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
       console.error('Failed to get interviews by date:', error);
       throw new InterviewServiceError(
         'Failed to get interviews by date',
@@ -725,6 +1038,507 @@ export class InterviewService {
       );
     }
   }
+
+  /**
+   * Sends the reminders that are due for upcoming interviews in every organization
+   * Each reminder is recorded on the interview before it is sent, so running
+   * this again (or on two machines) never sends it twice
+   * @param {Object} [options] - { now, dryRun }
+   * @returns {Promise<Object>} { checked, reminded: [{ interviewId, window, recipients }], failed }
+   */
+  async sendDueReminders({ now = new Date(), dryRun = false } = {}) {
+    await this.initialize();
+
+    const horizon = Math.max(...REMINDER_WINDOWS.map(window => window.minutes));
+    const collection = await getInterviewsCollection();
+    const upcoming = await collection.find({
+      'metadata.isActive': true,
+      status: INTERVIEW_STATUS.SCHEDULED,
+      scheduledDate: { $gt: now, $lte: new Date(now.getTime() + horizon * 60000) }
+    }).sort({ scheduledDate: 1 }).toArray();
+
+    const summary = { checked: upcoming.length, reminded: [], failed: [] };
+
+    for (const interview of upcoming) {
+      const reminder = getDueReminder(interview, now);
+      if (!reminder) {
+        continue;
+      }
+
+      if (dryRun) {
+        summary.reminded.push({ interviewId: interview._id.toString(), window: reminder.key, recipients: [] });
+        continue;
+      }
+
+      // Claim the reminder first; another run that got there first wins
+      const entry = { window: reminder.key, scheduledDate: interview.scheduledDate, sentAt: now, recipients: [] };
+      const claim = await collection.updateOne(
+        {
+          _id: interview._id,
+          status: INTERVIEW_STATUS.SCHEDULED,
+          scheduledDate: interview.scheduledDate,
+          reminders: { $not: { $elemMatch: { window: reminder.key, scheduledDate: interview.scheduledDate } } }
+        },
+        { $push: { reminders: entry } }
+      );
+
+      if (claim.modifiedCount === 0) {
+        continue;
+      }
+
+      try {
+        const candidate = await this._getCandidateContact(interview);
+        const result = await sendInterviewReminder(interview, {
+          candidate,
+          jobTitle: interview.jobTitle,
+          startsIn: reminder.startsIn
+        });
+        const recipients = [...result.sent.map(sent => sent.email), ...result.queued];
+
+        await collection.updateOne(
+          { _id: interview._id },
+          { $set: { 'reminders.$[reminder].recipients': recipients } },
+          { arrayFilters: [{ 'reminder.window': reminder.key, 'reminder.scheduledDate': interview.scheduledDate }] }
+        );
+
+        summary.reminded.push({ interviewId: interview._id.toString(), window: reminder.key, recipients });
+      } catch (error) {
+        console.error(`Failed to send ${reminder.key} reminder for interview ${interview._id}:`, error);
+
+        // Release the claim so the next run tries again
+        await collection.updateOne(
+          { _id: interview._id },
+          { $pull: { reminders: { window: reminder.key, scheduledDate: interview.scheduledDate } } }
+        );
+        summary.failed.push({ interviewId: interview._id.toString(), window: reminder.key, error: error.message });
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Lists the team members who can be put on an interview panel
+   * @param {string} organizationId - Organization to list members of
+   * @returns {Promise<Array>} Team members ({ userId, name, email, role })
+   */
+  async getTeamInterviewers(organizationId) {
+    try {
+      return await getTeamDirectory(toOrganizationObjectId(organizationId));
+
+    } catch (error) {
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
+      console.error('Failed to get team interviewers:', error);
+      throw new InterviewServiceError(
+        'Failed to get team interviewers',
+        'INTERVIEWERS_ERROR',
+        500
+      );
+    }
+  }
+
+  /**
+   * Checks a proposed time for conflicts and suggests free slots when the
+   * candidate and every interviewer are available
+   * @param {Object} request - { candidateId, interviewers, date, time?, duration?, type?, excludeId?, days?, limit? }
+   * @param {string} organizationId - Organization to check in
+   * @returns {Promise<Object>} { date, duration, conflicts, message, slots }
+   */
+  async getAvailability(request, organizationId) {
+    try {
+      await this.initialize();
+
+      const { candidateId = null, date, time = null, excludeId = null } = request;
+      const interviewerIds = (request.interviewers || []).map(id => String(id).trim()).filter(Boolean);
+
+      if (candidateId && !ObjectId.isValid(candidateId)) {
+        throw new ValidationError('Candidate ID must be a valid ObjectId', 'candidateId');
+      }
+      if (excludeId && !ObjectId.isValid(excludeId)) {
+        throw new ValidationError('Interview ID must be a valid ObjectId', 'excludeId');
+      }
+      validateInterviewers(interviewerIds);
+
+      const duration = request.duration !== undefined && request.duration !== null
+        ? parseInt(request.duration)
+        : DEFAULT_DURATIONS[request.type] || 60;
+      validateInterviewDuration(duration);
+
+      let dayStart;
+      try {
+        dayStart = combineDateTime(date, '00:00');
+      } catch (error) {
+        throw new ValidationError('Date must be in YYYY-MM-DD format', 'date');
+      }
+
+      const days = Math.min(SCHEDULING_WINDOW.MAX_DAYS, Math.max(1, parseInt(request.days) || SCHEDULING_WINDOW.DEFAULT_DAYS));
+      const limit = Math.min(
+        SCHEDULING_WINDOW.MAX_SLOT_LIMIT,
+        Math.max(1, parseInt(request.limit) || SCHEDULING_WINDOW.DEFAULT_SLOT_LIMIT)
+      );
+      const windowEnd = combineDateTime(addDaysToDateString(date, days), '00:00');
+
+      const participants = { candidateId, interviewerIds, excludeId };
+      const overlapping = await findOverlappingInterviews(participants, dayStart, windowEnd, organizationId);
+
+      let conflicts = [];
+      if (time) {
+        let start;
+        try {
+          start = combineDateTime(date, time);
+        } catch (error) {
+          throw new ValidationError('Time must be in HH:MM format', 'time');
+        }
+        const end = new Date(start.getTime() + duration * 60 * 1000);
+        const sameTime = await findOverlappingInterviews(participants, start, end, organizationId);
+        conflicts = describeScheduleConflicts(sameTime, { ...participants, start, end });
+      }
+
+      const busy = overlapping.map(interview => ({
+        start: new Date(interview.scheduledDate),
+        end: getInterviewEnd(interview)
+      }));
+
+      return {
+        date,
+        duration,
+        conflicts,
+        message: formatScheduleConflictMessage(conflicts),
+        slots: findFreeSlots(busy, { startDate: date, duration, days, limit })
+      };
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw new InterviewServiceError(
+          error.message,
+          'VALIDATION_ERROR',
+          400
+        );
+      }
+      if (error instanceof InterviewServiceError || error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
+      console.error('Failed to get availability:', error);
+      throw new InterviewServiceError(
+        'Failed to check availability',
+        'AVAILABILITY_ERROR',
+        500
+      );
+    }
+  }
+
+  /**
+   * Loads an interview document without formatting it
+   * @param {string} interviewId - Interview ID
+   * @param {string} organizationId - Organization the interview must belong to
+   * @param {Object|null} assignedTo - Only return the interview if assigned to this user
+   * @returns {Promise<Object>} Interview document
+   * @throws {InterviewServiceError} If the interview is not found
+   * @private
+   */
+  async _requireInterviewDocument(interviewId, organizationId, assignedTo = null) {
+    if (!ObjectId.isValid(interviewId)) {
+      throw new InterviewServiceError(
+        'Invalid interview ID format',
+        'INVALID_ID',
+        400
+      );
+    }
+
+    const collection = await getInterviewsCollection();
+    const interview = await collection.findOne(scopeQuery({
+      _id: new ObjectId(interviewId),
+      'metadata.isActive': true
+    }, organizationId));
+
+    if (!interview || (assignedTo && !isInterviewAssignedTo(interview, assignedTo))) {
+      throw new InterviewServiceError(
+        'Interview not found',
+        'NOT_FOUND',
+        404
+      );
+    }
+
+    return interview;
+  }
+
+  /**
+   * Builds the target of an audit entry about an interview
+   * @param {Object} interview - Interview document
+   * @returns {Object} { type, id, label }
+   * @private
+   */
+  _auditTarget(interview) {
+    return {
+      type: AUDIT_TARGET_TYPES.INTERVIEW,
+      id: interview._id,
+      label: [interview.candidateName, interview.jobTitle].filter(Boolean).join(' · ') || null
+    };
+  }
+
+  /**
+   * Picks the interview fields compared in audit entries
+   * @param {Object} interview - Interview document
+   * @returns {Object} Snapshot
+   * @private
+   */
+  _auditSnapshot(interview) {
+    return {
+      candidateName: interview.candidateName,
+      jobTitle: interview.jobTitle,
+      type: interview.type,
+      status: interview.status,
+      scheduledDate: interview.scheduledDate,
+      duration: interview.duration,
+      interviewers: normalizeInterviewers(interview.interviewers),
+      meetingDetails: interview.meetingDetails,
+      notes: interview.notes
+    };
+  }
+
+  /**
+   * Builds the scorecard view of an interview for one reader
+   * @param {Object} interview - Interview document
+   * @param {Object} viewer - Reader ({ userId, names })
+   * @returns {Object} Scorecards the reader may see, with a summary when unlocked
+   * @private
+   */
+  _buildScorecardView(interview, viewer) {
+    const { locked, hasSubmitted, submittedCount, scorecards } = applyFeedbackLock(interview, viewer);
+
+    return {
+      interviewId: interview._id.toString(),
+      interviewType: interview.type,
+      scheduledDate: interview.scheduledDate,
+      status: interview.status,
+      interviewers: formatInterviewers(interview.interviewers),
+      locked,
+      hasSubmitted,
+      submittedCount,
+      scorecards: scorecards.map(formatScorecard),
+      summary: locked ? null : summarizeScorecards(scorecards)
+    };
+  }
+
+  /**
+   * Submits an interviewer's scorecard
+   * Each interviewer on the panel submits once; the candidate's stage history
+   * records a reference to the scorecard for the debrief
+   * @param {string} interviewId - Interview ID
+   * @param {Object} scorecardData - { ratings: [{ criterion, rating, note? }], recommendation, summary? }
+   * @param {Object} interviewer - Submitting user ({ userId, name, names })
+   * @param {string} organizationId - Organization the interview must belong to
+   * @returns {Promise<Object>} Scorecard view for the interviewer, now unlocked
+   */
+  async submitScorecard(interviewId, scorecardData, interviewer, organizationId) {
+    try {
+      await this.initialize();
+
+      const interview = await this._requireInterviewDocument(interviewId, organizationId);
+
+      if (!isInterviewAssignedTo(interview, interviewer)) {
+        throw new InterviewServiceError(
+          'Only interviewers on this interview can submit a scorecard',
+          'NOT_ON_PANEL',
+          403
+        );
+      }
+
+      if (interview.status === INTERVIEW_STATUS.CANCELLED) {
+        throw new InterviewServiceError(
+          'Scorecards cannot be submitted for a cancelled interview',
+          'INTERVIEW_CANCELLED',
+          400
+        );
+      }
+
+      const template = await scorecardTemplateService.getTemplateForType(interview.type, organizationId);
+      const validated = validateScorecardSubmission(scorecardData, template);
+      const scorecard = createScorecard(validated, template, interviewer);
+
+      // The filter makes the one-per-interviewer rule hold under concurrent submits
+      const collection = await getInterviewsCollection();
+      const result = await collection.findOneAndUpdate(
+        scopeQuery({
+          _id: interview._id,
+          'metadata.isActive': true,
+          'scorecards.interviewerId': { $ne: scorecard.interviewerId }
+        }, organizationId),
+        {
+          $push: { scorecards: scorecard },
+          $set: { 'metadata.updatedAt': new Date() }
+        },
+        { returnDocument: 'after' }
+      );
+
+      if (!result) {
+        throw new InterviewServiceError(
+          'You have already submitted a scorecard for this interview',
+          'SCORECARD_EXISTS',
+          409
+        );
+      }
+
+      if (interview.candidateId) {
+        const candidatesCollection = await getCandidatesCollection();
+        const candidate = await candidatesCollection.findOne(
+          scopeQuery({ _id: interview.candidateId, 'metadata.isActive': true }, organizationId),
+          { projection: { 'pipelineInfo.currentStage': 1 } }
+        );
+
+        if (candidate) {
+          await candidatesCollection.updateOne(
+            { _id: candidate._id },
+            {
+              $push: {
+                'pipelineInfo.stageHistory': createScorecardHistoryEntry(
+                  candidate.pipelineInfo.currentStage,
+                  interview,
+                  scorecard
+                )
+              },
+              $set: { 'metadata.updatedAt': new Date() }
+            }
+          );
+        }
+      }
+
+      // Ratings stay out of the log; who submitted and their recommendation are enough to trace it
+      await recordAuditEvent({
+        organizationId,
+        actorId: interviewer.userId,
+        action: AUDIT_ACTIONS.SCORECARD_SUBMITTED,
+        target: this._auditTarget(result),
+        metadata: { scorecardId: scorecard._id, recommendation: scorecard.recommendation }
+      });
+
+      console.log(`Scorecard submitted for interview ${interviewId} by ${interviewer.userId}`);
+      return this._buildScorecardView(result, interviewer);
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw new InterviewServiceError(
+          error.message,
+          'VALIDATION_ERROR',
+          400
+        );
+      }
+      if (error instanceof InterviewServiceError || error instanceof OrganizationScopeError) {
+        throw error;
+      }
+      if (error.name === 'ScorecardTemplateServiceError') {
+        throw new InterviewServiceError(error.message, error.code, error.statusCode);
+      }
+
+      console.error('Failed to submit scorecard:', error);
+      throw new InterviewServiceError(
+        'Failed to submit scorecard',
+        'SCORECARD_SUBMIT_ERROR',
+        500
+      );
+    }
+  }
+
+  /**
+   * Gets the scorecards of an interview that a reader may see
+   * Panel interviewers who have not submitted get a locked view
+   * @param {string} interviewId - Interview ID
+   * @param {Object} viewer - Reader ({ userId, names })
+   * @param {string} organizationId - Organization the interview must belong to
+   * @param {Object|null} assignedTo - Only return the interview if assigned to this user
+   * @returns {Promise<Object>} Scorecard view with the criteria to fill in
+   */
+  async getScorecards(interviewId, viewer, organizationId, assignedTo = null) {
+    try {
+      await this.initialize();
+
+      const interview = await this._requireInterviewDocument(interviewId, organizationId, assignedTo);
+      const template = await scorecardTemplateService.getTemplateForType(interview.type, organizationId);
+
+      return {
+        ...this._buildScorecardView(interview, viewer),
+        canSubmit: isInterviewAssignedTo(interview, viewer)
+          && interview.status !== INTERVIEW_STATUS.CANCELLED
+          && !applyFeedbackLock(interview, viewer).hasSubmitted,
+        template
+      };
+
+    } catch (error) {
+      if (error instanceof InterviewServiceError || error instanceof OrganizationScopeError) {
+        throw error;
+      }
+      if (error.name === 'ScorecardTemplateServiceError') {
+        throw new InterviewServiceError(error.message, error.code, error.statusCode);
+      }
+
+      console.error('Failed to get scorecards:', error);
+      throw new InterviewServiceError(
+        'Failed to retrieve scorecards',
+        'SCORECARD_GET_ERROR',
+        500
+      );
+    }
+  }
+
+  /**
+   * Gathers a candidate's scorecards from every interview for the debrief
+   * @param {string} candidateId - Candidate ID
+   * @param {Object} viewer - Reader ({ userId, names })
+   * @param {string} organizationId - Organization the candidate must belong to
+   * @param {Object|null} assignedTo - Only include interviews assigned to this user
+   * @returns {Promise<Object>} { interviews, summary } with summary over visible scorecards
+   */
+  async getCandidateScorecards(candidateId, viewer, organizationId, assignedTo = null) {
+    try {
+      await this.initialize();
+
+      if (!ObjectId.isValid(candidateId)) {
+        throw new InterviewServiceError(
+          'Invalid candidate ID format',
+          'INVALID_ID',
+          400
+        );
+      }
+
+      const query = {
+        candidateId: new ObjectId(candidateId),
+        'metadata.isActive': true
+      };
+      if (assignedTo) {
+        Object.assign(query, buildAssignmentQuery(assignedTo));
+      }
+
+      const collection = await getInterviewsCollection();
+      const interviews = await collection
+        .find(scopeQuery(query, organizationId))
+        .sort({ scheduledDate: 1 })
+        .toArray();
+
+      const views = interviews.map(interview => this._buildScorecardView(interview, viewer));
+      const visible = interviews.flatMap(interview => applyFeedbackLock(interview, viewer).scorecards);
+
+      return {
+        interviews: views,
+        summary: summarizeScorecards(visible)
+      };
+
+    } catch (error) {
+      if (error instanceof InterviewServiceError || error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
+      console.error('Failed to get candidate scorecards:', error);
+      throw new InterviewServiceError(
+        'Failed to retrieve candidate scorecards',
+        'SCORECARD_GET_ERROR',
+        500
+      );
+    }
+  }
 }
 
 // Export singleton instance
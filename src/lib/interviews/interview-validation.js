@@ -189,8 +189,8 @@ export function validateInterviewDuration(duration, interviewType) {
 }
 
 /**
- * Validates interviewer names
- * @param {Array<string>} interviewers - Array of interviewer names
+ * Validates interviewers, given as the user IDs of team members
+ * @param {Array<string>} interviewers - Array of team member user IDs
  * @throws {ValidationError} If validation fails
  */
 export function validateInterviewers(interviewers) {
@@ -206,18 +206,16 @@ export function validateInterviewers(interviewers) {
 
       interviewers.forEach((interviewer, index) => {
         if (typeof interviewer !== 'string') {
-          errors.push({ field: `interviewers[${index}]`, message: 'Each interviewer name must be a string' });
-        } else if (interviewer.trim().length < 1) {
-          errors.push({ field: `interviewers[${index}]`, message: 'Interviewer name cannot be empty' });
-        } else if (interviewer.trim().length > 100) {
-          errors.push({ field: `interviewers[${index}]`, message: 'Interviewer name cannot exceed 100 characters' });
+          errors.push({ field: `interviewers[${index}]`, message: 'Each interviewer must be a team member ID' });
+        } else if (!ObjectId.isValid(interviewer.trim())) {
+          errors.push({ field: `interviewers[${index}]`, message: 'Interviewer must be a valid team member ID' });
         }
       });
 
-      // Check for duplicate names
-      const uniqueNames = new Set(interviewers.map(name => name.trim().toLowerCase()));
-      if (uniqueNames.size !== interviewers.length) {
-        errors.push({ field: 'interviewers', message: 'Interviewer names must be unique' });
+      // Check for duplicate team members
+      const uniqueIds = new Set(interviewers.map(id => String(id).trim().toLowerCase()));
+      if (uniqueIds.size !== interviewers.length) {
+        errors.push({ field: 'interviewers', message: 'Interviewers must be unique' });
       }
     }
   }
@@ -393,10 +391,12 @@ export function sanitizeInterviewInput(interviewData) {
     sanitized.notes = sanitizeString(sanitized.notes);
   }
 
-  // Sanitize interviewer names
+  // Interviewers may be sent as user IDs or as { userId } references
   if (Array.isArray(sanitized.interviewers)) {
     sanitized.interviewers = sanitized.interviewers
-      .map(name => sanitizeString(name))
+      .map(interviewer => (interviewer && typeof interviewer === 'object')
+        ? sanitizeString(interviewer.userId?.toString())
+        : sanitizeString(interviewer))
       .filter(Boolean);
   }
 
@@ -475,5 +475,15 @@ export function validateInterviewFilters(filters = {}) {
     validatedFilters.jobId = new ObjectId(filters.jobId);
   }
 
+  // Assignment filter (interviews created by or conducted by a user)
+  if (filters.assignedTo && ObjectId.isValid(filters.assignedTo.userId)) {
+    validatedFilters.assignedTo = {
+      userId: filters.assignedTo.userId.toString(),
+      names: (filters.assignedTo.names || [])
+        .filter(name => typeof name === 'string' && name.trim())
+        .map(name => name.trim())
+    };
+  }
+
   return validatedFilters;
 }
\ No newline at end of file
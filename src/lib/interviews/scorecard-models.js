@@ -0,0 +1,318 @@
+/**
+ * Interview Scorecard Models
+ * Rating criteria per interview type and the feedback interviewers submit
+ */
+
+import { ObjectId } from 'mongodb';
+import { INTERVIEW_TYPES, isInterviewAssignedTo } from './interview-models.js';
+
+/**
+ * Overall recommendation options, strongest first
+ */
+export const SCORECARD_RECOMMENDATIONS = {
+  STRONG_HIRE: 'strong_hire',
+  HIRE: 'hire',
+  NO_HIRE: 'no_hire',
+  STRONG_NO_HIRE: 'strong_no_hire'
+};
+
+/**
+ * Display labels for recommendations
+ */
+export const RECOMMENDATION_LABELS = {
+  [SCORECARD_RECOMMENDATIONS.STRONG_HIRE]: 'Strong hire',
+  [SCORECARD_RECOMMENDATIONS.HIRE]: 'Hire',
+  [SCORECARD_RECOMMENDATIONS.NO_HIRE]: 'No hire',
+  [SCORECARD_RECOMMENDATIONS.STRONG_NO_HIRE]: 'Strong no hire'
+};
+
+/**
+ * Rating scale for each criterion (1 = poor, 4 = excellent)
+ */
+export const RATING_SCALE = {
+  MIN: 1,
+  MAX: 4,
+  LABELS: { 1: 'Poor', 2: 'Mixed', 3: 'Good', 4: 'Excellent' }
+};
+
+/**
+ * Scorecard limits
+ */
+export const SCORECARD_LIMITS = {
+  MAX_CRITERIA: 12,
+  CRITERION_LABEL_MAX_LENGTH: 60,
+  CRITERION_DESCRIPTION_MAX_LENGTH: 300,
+  NOTE_MAX_LENGTH: 1000,
+  SUMMARY_MAX_LENGTH: 5000
+};
+
+/**
+ * Criteria used for interview types an Admin has not configured
+ */
+export const DEFAULT_SCORECARD_CRITERIA = {
+  [INTERVIEW_TYPES.SCREENING]: [
+    { key: 'communication', label: 'Communication', description: 'Explains their background clearly and concisely' },
+    { key: 'motivation', label: 'Motivation', description: 'Understands the role and why they want it' },
+    { key: 'role_fit', label: 'Role fit', description: 'Experience lines up with the job requirements' }
+  ],
+  [INTERVIEW_TYPES.TECHNICAL]: [
+    { key: 'problem_solving', label: 'Problem solving', description: 'Breaks problems down and reasons about trade-offs' },
+    { key: 'technical_depth', label: 'Technical depth', description: 'Knows the tools and concepts the role needs' },
+    { key: 'code_quality', label: 'Code quality', description: 'Writes correct, readable and tested solutions' },
+    { key: 'communication', label: 'Communication', description: 'Talks through their thinking while working' }
+  ],
+  [INTERVIEW_TYPES.CULTURAL]: [
+    { key: 'collaboration', label: 'Collaboration', description: 'Works well with others and handles disagreement' },
+    { key: 'ownership', label: 'Ownership', description: 'Takes responsibility for outcomes' },
+    { key: 'values', label: 'Values alignment', description: 'Shares the values the team works by' }
+  ],
+  [INTERVIEW_TYPES.FINAL]: [
+    { key: 'leadership', label: 'Leadership', description: 'Influences and raises the bar for others' },
+    { key: 'role_fit', label: 'Role fit', description: 'Ready to succeed in the role from day one' },
+    { key: 'motivation', label: 'Motivation', description: 'Committed to the team and the mission' }
+  ]
+};
+
+/**
+ * Converts a criterion label to its key ("Problem solving" -> "problem_solving")
+ * @param {string} label - Criterion label
+ * @returns {string} Criterion key
+ */
+export function toCriterionKey(label) {
+  return String(label || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Creates the built-in scorecard template for an interview type
+ * @param {string} interviewType - Interview type
+ * @returns {Object} Template that has never been saved
+ */
+export function createDefaultScorecardTemplate(interviewType) {
+  return {
+    _id: null,
+    interviewType,
+    criteria: (DEFAULT_SCORECARD_CRITERIA[interviewType] || DEFAULT_SCORECARD_CRITERIA[INTERVIEW_TYPES.SCREENING])
+      .map(criterion => ({ ...criterion })),
+    isDefault: true,
+    metadata: null
+  };
+}
+
+/**
+ * Creates a scorecard template document
+ * @param {Object} templateData - Validated template ({ interviewType, criteria })
+ * @param {string} userId - Admin saving the template
+ * @param {string} organizationId - Organization the template belongs to
+ * @returns {Object} Template document
+ */
+export function createScorecardTemplateDocument(templateData, userId, organizationId) {
+  const now = new Date();
+
+  return {
+    organizationId: new ObjectId(organizationId),
+    interviewType: templateData.interviewType,
+    criteria: templateData.criteria,
+    metadata: {
+      createdAt: now,
+      updatedAt: now,
+      createdBy: userId && ObjectId.isValid(userId) ? new ObjectId(userId) : null,
+      updatedBy: userId && ObjectId.isValid(userId) ? new ObjectId(userId) : null
+    }
+  };
+}
+
+/**
+ * Formats a scorecard template for API responses
+ * @param {Object} template - Template document or built-in template
+ * @returns {Object} Formatted template
+ */
+export function formatScorecardTemplate(template) {
+  return {
+    id: template._id ? template._id.toString() : null,
+    interviewType: template.interviewType,
+    criteria: template.criteria,
+    isDefault: Boolean(template.isDefault),
+    updatedAt: template.metadata?.updatedAt || null
+  };
+}
+
+/**
+ * Creates a scorecard submission
+ * The criteria are copied in so later template changes don't alter submitted feedback
+ * @param {Object} scorecardData - Validated submission ({ ratings, recommendation, summary })
+ * @param {Object} template - Template the ratings were given against
+ * @param {Object} interviewer - Submitting user ({ userId, name })
+ * @returns {Object} Scorecard
+ */
+export function createScorecard(scorecardData, template, interviewer) {
+  return {
+    _id: new ObjectId(),
+    interviewerId: new ObjectId(interviewer.userId),
+    interviewerName: interviewer.name || '',
+    criteria: template.criteria.map(({ key, label }) => ({ key, label })),
+    ratings: scorecardData.ratings,
+    recommendation: scorecardData.recommendation,
+    summary: scorecardData.summary,
+    submittedAt: new Date()
+  };
+}
+
+/**
+ * Creates the stage history entry linking a candidate to a submitted scorecard
+ * Like outcome entries, it records the stage without moving the candidate.
+ * Stage history is readable by everyone who can see the candidate, so it
+ * only references the scorecard: the recommendation stays behind the
+ * feedback lock
+ * @param {string} stage - Candidate's current stage
+ * @param {Object} interview - Interview document
+ * @param {Object} scorecard - Submitted scorecard
+ * @returns {Object} Stage history entry
+ */
+export function createScorecardHistoryEntry(stage, interview, scorecard) {
+  return {
+    fromStage: stage,
+    toStage: stage,
+    scorecard: {
+      interviewId: interview._id,
+      scorecardId: scorecard._id,
+      interviewType: interview.type,
+      interviewerName: scorecard.interviewerName
+    },
+    timestamp: scorecard.submittedAt,
+    updatedBy: scorecard.interviewerId,
+    notes: describeScorecardSubmission(interview.type, scorecard.interviewerName)
+  };
+}
+
+/**
+ * Note shown in stage history for a submitted scorecard
+ * @param {string} interviewType - Interview type
+ * @param {string} interviewerName - Who submitted it
+ * @returns {string} Note
+ */
+function describeScorecardSubmission(interviewType, interviewerName) {
+  return `Scorecard submitted by ${interviewerName || 'interviewer'} (${interviewType} interview)`;
+}
+
+/**
+ * Removes feedback from scorecard entries in a stage history
+ * Entries written before history stopped recording recommendations still
+ * carry one, in the entry and in its note
+ * @param {Array<Object>} stageHistory - Stage history entries
+ * @returns {Array<Object>} History safe to show to anyone who can see the candidate
+ */
+export function redactScorecardHistory(stageHistory) {
+  return (stageHistory || []).map(entry => {
+    if (!entry.scorecard || entry.scorecard.recommendation === undefined) {
+      return entry;
+    }
+
+    const { recommendation, ...scorecard } = entry.scorecard;
+    return {
+      ...entry,
+      scorecard,
+      notes: describeScorecardSubmission(scorecard.interviewType, scorecard.interviewerName)
+    };
+  });
+}
+
+/**
+ * Checks whether a user has submitted a scorecard for an interview
+ * @param {Object} interview - Interview document
+ * @param {string} userId - User ID
+ * @returns {boolean} True if the user has submitted
+ */
+export function hasSubmittedScorecard(interview, userId) {
+  return (interview.scorecards || []).some(scorecard => scorecard.interviewerId.toString() === userId.toString());
+}
+
+/**
+ * Decides which scorecards a user may read
+ * Interviewers on the panel see nothing from others until they submit their own,
+ * so their feedback is independent; everyone else allowed to open the interview
+ * sees all of it
+ * @param {Object} interview - Interview document with scorecards
+ * @param {Object} viewer - { userId, names } of the reader
+ * @returns {Object} { locked, hasSubmitted, submittedCount, scorecards }
+ */
+export function applyFeedbackLock(interview, viewer) {
+  const scorecards = interview.scorecards || [];
+  const hasSubmitted = hasSubmittedScorecard(interview, viewer.userId);
+  const isPanelist = isInterviewAssignedTo(interview, viewer);
+  const locked = isPanelist && !hasSubmitted && scorecards.length > 0;
+
+  return {
+    locked,
+    hasSubmitted,
+    submittedCount: scorecards.length,
+    scorecards: locked ? [] : scorecards
+  };
+}
+
+/**
+ * Summarizes scorecards for a debrief
+ * @param {Array<Object>} scorecards - Scorecards
+ * @returns {Object} { count, recommendations: { [recommendation]: count }, criteria: [{ key, label, average, count }] }
+ */
+export function summarizeScorecards(scorecards) {
+  const recommendations = Object.fromEntries(
+    Object.values(SCORECARD_RECOMMENDATIONS).map(recommendation => [recommendation, 0])
+  );
+  const criteria = new Map();
+
+  scorecards.forEach(scorecard => {
+    recommendations[scorecard.recommendation]++;
+
+    scorecard.ratings.forEach(({ criterion, rating }) => {
+      const label = scorecard.criteria.find(item => item.key === criterion)?.label || criterion;
+      const entry = criteria.get(criterion) || { key: criterion, label, total: 0, count: 0 };
+      entry.total += rating;
+      entry.count++;
+      criteria.set(criterion, entry);
+    });
+  });
+
+  return {
+    count: scorecards.length,
+    recommendations,
+    criteria: [...criteria.values()].map(({ key, label, total, count }) => ({
+      key,
+      label,
+      average: Math.round((total / count) * 100) / 100,
+      count
+    }))
+  };
+}
+
+/**
+ * Formats a scorecard for API responses
+ * @param {Object} scorecard - Scorecard
+ * @returns {Object} Formatted scorecard
+ */
+export function formatScorecard(scorecard) {
+  return {
+    id: scorecard._id.toString(),
+    interviewerId: scorecard.interviewerId.toString(),
+    interviewerName: scorecard.interviewerName,
+    criteria: scorecard.criteria,
+    ratings: scorecard.ratings,
+    recommendation: scorecard.recommendation,
+    summary: scorecard.summary,
+    submittedAt: scorecard.submittedAt
+  };
+}
+
+/**
+ * MongoDB indexes for scorecard templates
+ */
+export const SCORECARD_TEMPLATE_INDEXES = [
+  // One template per interview type per organization
+  {
+    key: { organizationId: 1, interviewType: 1 },
+    options: { name: 'organization_interview_type_unique', unique: true }
+  }
+];
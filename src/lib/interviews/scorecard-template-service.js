@@ -0,0 +1,212 @@
+/**
+ * Scorecard Template Service
+ * Manages the rating criteria an organization uses for each interview type
+ */
+
+import { getCollection } from '../mongodb.js';
+import { INTERVIEW_TYPES } from './interview-models.js';
+import {
+  SCORECARD_TEMPLATE_INDEXES,
+  createDefaultScorecardTemplate,
+  createScorecardTemplateDocument,
+  formatScorecardTemplate
+} from './scorecard-models.js';
+import { validateScorecardTemplateData, validateScorecardInterviewType } from './scorecard-validation.js';
+import { ValidationError } from './interview-validation.js';
+import { scopeQuery, OrganizationScopeError } from '../team/organization-scope.js';
+
+/**
+ * Collection name for scorecard templates
+ */
+export const SCORECARD_TEMPLATES_COLLECTION = 'scorecard_templates';
+
+/**
+ * Scorecard template service error class
+ */
+export class ScorecardTemplateServiceError extends Error {
+  constructor(message, code = 'SCORECARD_TEMPLATE_ERROR', statusCode = 500) {
+    super(message);
+    this.name = 'ScorecardTemplateServiceError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Scorecard Template Service Class
+ */
+export class ScorecardTemplateService {
+  constructor() {
+    this.initialized = false;
+  }
+
+  /**
+   * Gets the templates collection, creating its indexes on first use
+   * @returns {Promise<Collection>} MongoDB collection
+   */
+  async getCollection() {
+    const collection = await getCollection(SCORECARD_TEMPLATES_COLLECTION);
+
+    if (!this.initialized) {
+      for (const indexSpec of SCORECARD_TEMPLATE_INDEXES) {
+        try {
+          await collection.createIndex(indexSpec.key, indexSpec.options || {});
+        } catch (error) {
+          console.warn(`Failed to create index ${JSON.stringify(indexSpec.key)}:`, error.message);
+        }
+      }
+      this.initialized = true;
+    }
+
+    return collection;
+  }
+
+  /**
+   * Lists the template for every interview type, using the built-in
+   * criteria for types the organization has not configured
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Array>} Formatted templates in interview type order
+   */
+  async listTemplates(organizationId) {
+    try {
+      const collection = await this.getCollection();
+      const saved = await collection.find(scopeQuery({}, organizationId)).toArray();
+      const byType = new Map(saved.map(template => [template.interviewType, template]));
+
+      return Object.values(INTERVIEW_TYPES).map(interviewType =>
+        formatScorecardTemplate(byType.get(interviewType) || createDefaultScorecardTemplate(interviewType))
+      );
+
+    } catch (error) {
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
+      console.error('Failed to list scorecard templates:', error);
+      throw new ScorecardTemplateServiceError(
+        'Failed to retrieve scorecard templates',
+        'LIST_ERROR',
+        500
+      );
+    }
+  }
+
+  /**
+   * Gets the template interviewers fill in for an interview type
+   * @param {string} interviewType - Interview type
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} Formatted template
+   */
+  async getTemplateForType(interviewType, organizationId) {
+    try {
+      validateScorecardInterviewType(interviewType);
+
+      const collection = await this.getCollection();
+      const template = await collection.findOne(scopeQuery({ interviewType }, organizationId));
+
+      return formatScorecardTemplate(template || createDefaultScorecardTemplate(interviewType));
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw new ScorecardTemplateServiceError(error.message, 'VALIDATION_ERROR', 400);
+      }
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
+      console.error('Failed to get scorecard template:', error);
+      throw new ScorecardTemplateServiceError(
+        'Failed to retrieve scorecard template',
+        'RETRIEVAL_ERROR',
+        500
+      );
+    }
+  }
+
+  /**
+   * Creates or replaces the template for an interview type
+   * Scorecards already submitted keep the criteria they were given against
+   * @param {Object} templateData - { interviewType, criteria }
+   * @param {string} userId - Admin saving the template
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} Formatted template
+   */
+  async saveTemplate(templateData, userId, organizationId) {
+    try {
+      const validated = validateScorecardTemplateData(templateData);
+      const document = createScorecardTemplateDocument(validated, userId, organizationId);
+
+      const collection = await this.getCollection();
+      const result = await collection.findOneAndUpdate(
+        scopeQuery({ interviewType: validated.interviewType }, organizationId),
+        {
+          $set: {
+            criteria: document.criteria,
+            'metadata.updatedAt': document.metadata.updatedAt,
+            'metadata.updatedBy': document.metadata.updatedBy
+          },
+          $setOnInsert: {
+            organizationId: document.organizationId,
+            interviewType: document.interviewType,
+            'metadata.createdAt': document.metadata.createdAt,
+            'metadata.createdBy': document.metadata.createdBy
+          }
+        },
+        { upsert: true, returnDocument: 'after' }
+      );
+
+      console.log(`Saved ${validated.interviewType} scorecard template for organization ${organizationId}`);
+      return formatScorecardTemplate(result);
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw new ScorecardTemplateServiceError(error.message, 'VALIDATION_ERROR', 400);
+      }
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
+      console.error('Failed to save scorecard template:', error);
+      throw new ScorecardTemplateServiceError(
+        'Failed to save scorecard template',
+        'SAVE_ERROR',
+        500
+      );
+    }
+  }
+
+  /**
+   * Restores the built-in criteria for an interview type
+   * @param {string} interviewType - Interview type
+   * @param {string} organizationId - Organization ID
+   * @returns {Promise<Object>} Formatted built-in template
+   */
+  async resetTemplate(interviewType, organizationId) {
+    try {
+      validateScorecardInterviewType(interviewType);
+
+      const collection = await this.getCollection();
+      await collection.deleteOne(scopeQuery({ interviewType }, organizationId));
+
+      return formatScorecardTemplate(createDefaultScorecardTemplate(interviewType));
+
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw new ScorecardTemplateServiceError(error.message, 'VALIDATION_ERROR', 400);
+      }
+      if (error instanceof OrganizationScopeError) {
+        throw error;
+      }
+
+      console.error('Failed to reset scorecard template:', error);
+      throw new ScorecardTemplateServiceError(
+        'Failed to reset scorecard template',
+        'RESET_ERROR',
+        500
+      );
+    }
+  }
+}
+
+// Export singleton instance
+export const scorecardTemplateService = new ScorecardTemplateService();
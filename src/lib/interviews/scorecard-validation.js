@@ -0,0 +1,166 @@
+/**
+ * Scorecard Validation
+ * Validates scorecard templates and interviewer submissions
+ */
+
+import { ValidationError, sanitizeString } from './interview-validation.js';
+import { INTERVIEW_TYPES } from './interview-models.js';
+import {
+  SCORECARD_RECOMMENDATIONS,
+  RATING_SCALE,
+  SCORECARD_LIMITS,
+  toCriterionKey
+} from './scorecard-models.js';
+
+/**
+ * Validates an interview type
+ * @param {string} interviewType - Interview type
+ * @throws {ValidationError} If the type is unknown
+ */
+export function validateScorecardInterviewType(interviewType) {
+  if (!Object.values(INTERVIEW_TYPES).includes(interviewType)) {
+    throw new ValidationError(
+      `Interview type must be one of: ${Object.values(INTERVIEW_TYPES).join(', ')}`,
+      'interviewType'
+    );
+  }
+}
+
+/**
+ * Validates and normalizes a scorecard template
+ * Criteria may be given as labels or as { key, label, description } objects
+ * @param {Object} templateData - { interviewType, criteria }
+ * @returns {Object} Normalized template data
+ * @throws {ValidationError} If validation fails
+ */
+export function validateScorecardTemplateData(templateData) {
+  if (!templateData || typeof templateData !== 'object') {
+    throw new ValidationError('Scorecard template data is required');
+  }
+
+  validateScorecardInterviewType(templateData.interviewType);
+
+  const { MAX_CRITERIA, CRITERION_LABEL_MAX_LENGTH, CRITERION_DESCRIPTION_MAX_LENGTH } = SCORECARD_LIMITS;
+  const { criteria } = templateData;
+
+  if (!Array.isArray(criteria) || criteria.length === 0 || criteria.length > MAX_CRITERIA) {
+    throw new ValidationError(`A scorecard must have between 1 and ${MAX_CRITERIA} criteria`, 'criteria');
+  }
+
+  const seen = new Set();
+  const normalized = criteria.map((criterion, index) => {
+    const definition = typeof criterion === 'string' ? { label: criterion } : (criterion || {});
+    const label = typeof definition.label === 'string' ? sanitizeString(definition.label) : '';
+    const description = typeof definition.description === 'string' ? sanitizeString(definition.description) : '';
+
+    if (!label) {
+      throw new ValidationError(`Criterion ${index + 1} needs a label`, 'criteria');
+    }
+
+    if (label.length > CRITERION_LABEL_MAX_LENGTH) {
+      throw new ValidationError(`Criterion labels must be ${CRITERION_LABEL_MAX_LENGTH} characters or less`, 'criteria');
+    }
+
+    if (description.length > CRITERION_DESCRIPTION_MAX_LENGTH) {
+      throw new ValidationError(
+        `Criterion descriptions must be ${CRITERION_DESCRIPTION_MAX_LENGTH} characters or less`,
+        'criteria'
+      );
+    }
+
+    const key = toCriterionKey(definition.key || label);
+    if (!key) {
+      throw new ValidationError(`Criterion "${label}" needs a key made of letters or numbers`, 'criteria');
+    }
+
+    if (seen.has(key)) {
+      throw new ValidationError(`Criterion "${key}" appears more than once`, 'criteria');
+    }
+    seen.add(key);
+
+    return { key, label, description };
+  });
+
+  return {
+    interviewType: templateData.interviewType,
+    criteria: normalized
+  };
+}
+
+/**
+ * Validates and normalizes a scorecard submission against its template
+ * Every criterion must be rated exactly once
+ * @param {Object} scorecardData - { ratings: [{ criterion, rating, note? }], recommendation, summary? }
+ * @param {Object} template - Scorecard template for the interview type
+ * @returns {Object} Normalized submission
+ * @throws {ValidationError} If validation fails
+ */
+export function validateScorecardSubmission(scorecardData, template) {
+  if (!scorecardData || typeof scorecardData !== 'object') {
+    throw new ValidationError('Scorecard data is required');
+  }
+
+  if (!Object.values(SCORECARD_RECOMMENDATIONS).includes(scorecardData.recommendation)) {
+    throw new ValidationError(
+      `Recommendation must be one of: ${Object.values(SCORECARD_RECOMMENDATIONS).join(', ')}`,
+      'recommendation'
+    );
+  }
+
+  if (!Array.isArray(scorecardData.ratings)) {
+    throw new ValidationError('Ratings are required', 'ratings');
+  }
+
+  const criterionKeys = template.criteria.map(criterion => criterion.key);
+  const ratings = new Map();
+
+  scorecardData.ratings.forEach(entry => {
+    const criterion = entry?.criterion;
+
+    if (!criterionKeys.includes(criterion)) {
+      throw new ValidationError(`Unknown criterion: ${criterion}`, 'ratings');
+    }
+
+    if (ratings.has(criterion)) {
+      throw new ValidationError(`Criterion "${criterion}" is rated more than once`, 'ratings');
+    }
+
+    if (!Number.isInteger(entry.rating) || entry.rating < RATING_SCALE.MIN || entry.rating > RATING_SCALE.MAX) {
+      throw new ValidationError(
+        `Ratings must be whole numbers from ${RATING_SCALE.MIN} to ${RATING_SCALE.MAX}`,
+        'ratings'
+      );
+    }
+
+    if (entry.note !== undefined && entry.note !== null && typeof entry.note !== 'string') {
+      throw new ValidationError('Rating notes must be text', 'ratings');
+    }
+
+    const note = (entry.note || '').trim();
+    if (note.length > SCORECARD_LIMITS.NOTE_MAX_LENGTH) {
+      throw new ValidationError(`Rating notes cannot exceed ${SCORECARD_LIMITS.NOTE_MAX_LENGTH} characters`, 'ratings');
+    }
+
+    ratings.set(criterion, { criterion, rating: entry.rating, note });
+  });
+
+  const unrated = criterionKeys.filter(key => !ratings.has(key));
+  if (unrated.length > 0) {
+    throw new ValidationError(`Rate every criterion before submitting (missing: ${unrated.join(', ')})`, 'ratings');
+  }
+
+  if (scorecardData.summary !== undefined && scorecardData.summary !== null && typeof scorecardData.summary !== 'string') {
+    throw new ValidationError('Summary must be text', 'summary');
+  }
+
+  const summary = (scorecardData.summary || '').trim();
+  if (summary.length > SCORECARD_LIMITS.SUMMARY_MAX_LENGTH) {
+    throw new ValidationError(`Summary cannot exceed ${SCORECARD_LIMITS.SUMMARY_MAX_LENGTH} characters`, 'summary');
+  }
+
+  return {
+    ratings: criterionKeys.map(key => ratings.get(key)),
+    recommendation: scorecardData.recommendation,
+    summary
+  };
+}
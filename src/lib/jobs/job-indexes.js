@@ -98,6 +98,15 @@ export async function createJobIndexes() {
       }
     );
 
+    // 9. Index for organization-scoped job listings
+    await jobsCollection.createIndex(
+      { organizationId: 1, status: 1, createdAt: -1 },
+      {
+        name: 'organization_jobs',
+        background: true
+      }
+    );
+
     console.log('Successfully created all job collection indexes');
 
   } catch (error) {
@@ -4,8 +4,22 @@
  */
 
 import { getCollection } from '../mongodb.js';
-import { validateJobData, sanitizeJobInput } from './job-validation.js';
+import {
+  validateJobData,
+  sanitizeJobInput,
+  isValidJobStatus,
+  JOB_STATUS,
+  ARCHIVED_JOB_STATUS,
+  EDITABLE_JOB_FIELDS
+} from './job-validation.js';
 import { ensureJobIndexes } from './job-indexes.js';
+import { pipelineTemplateService } from '../candidates/pipeline-template-service.js';
+import { isDefaultTemplateId } from '../candidates/pipeline-template-models.js';
+import {
+  scopeQuery,
+  toOrganizationObjectId,
+  OrganizationScopeError
+} from '../team/organization-scope.js';
 import { ObjectId } from 'mongodb';
 
 /**
@@ -58,9 +72,10 @@ export async function getJobsCollection() {
  * Creates a new job posting with validation and security measures
  * @param {Object} jobData - Job posting data
  * @param {string} userId - ID of the user creating the job
+ * @param {string} organizationId - Organization the job belongs to
  * @returns {Promise<Object>} Created job object
  */
-export async function createJob(jobData, userId) {
+export async function createJob(jobData, userId, organizationId) {
   try {
     // Validate user ID
     if (!userId || typeof userId !== 'string') {
@@ -71,6 +86,8 @@ export async function createJob(jobData, userId) {
       );
     }
 
+    const organizationObjectId = toOrganizationObjectId(organizationId);
+
     // Sanitize input data
     const sanitizedData = sanitizeJobInput(jobData);
     
@@ -81,9 +98,12 @@ export async function createJob(jobData, userId) {
       throw new JobError(firstError.message, firstError.field, firstError.code);
     }
 
+    const pipelineTemplateId = await resolvePipelineTemplateId(sanitizedData.pipelineTemplateId, organizationId);
+
     // Prepare job document
     const now = new Date();
     const jobDocument = {
+      organizationId: organizationObjectId,
       title: sanitizedData.title,
       department: sanitizedData.department,
       type: sanitizedData.type,
@@ -91,11 +111,15 @@ export async function createJob(jobData, userId) {
       salary: sanitizedData.salary || null,
       description: sanitizedData.description,
       requirements: sanitizedData.requirements,
+      pipelineTemplateId,
       createdBy: new ObjectId(userId),
       createdAt: now,
       updatedAt: now,
       status: 'active',
-      applicationCount: 0
+      applicationCount: 0,
+      metadata: {
+        isActive: true
+      }
     };
 
     // Insert job into database
@@ -116,11 +140,12 @@ export async function createJob(jobData, userId) {
     return {
       id: result.insertedId.toString(),
       ...jobDocument,
+      organizationId: organizationObjectId.toString(),
       createdBy: userId
     };
 
   } catch (error) {
-    if (error instanceof JobError) {
+    if (error instanceof JobError || error instanceof OrganizationScopeError) {
       throw error;
     }
 
@@ -133,12 +158,47 @@ export async function createJob(jobData, userId) {
   }
 }
 
+/**
+ * Checks that a pipeline template exists in the organization
+ * @param {string|null|undefined} templateId - Requested template ID
+ * @param {string} organizationId - Organization of the job
+ * @returns {Promise<string|null>} Template ID to store, null for the standard pipeline
+ * @private
+ */
+async function resolvePipelineTemplateId(templateId, organizationId) {
+  if (isDefaultTemplateId(templateId)) {
+    return null;
+  }
+
+  let template = null;
+  try {
+    template = await pipelineTemplateService.getTemplateById(templateId, organizationId);
+  } catch (error) {
+    if (error.code !== 'INVALID_ID') {
+      throw error;
+    }
+  }
+
+  if (!template) {
+    throw new JobError(
+      'Selected pipeline template does not exist.',
+      'pipelineTemplateId',
+      'PIPELINE_TEMPLATE_NOT_FOUND'
+    );
+  }
+
+  return template.id;
+}
+
 /**
  * Retrieves a job by ID
+ * Pass an organization ID to restrict the lookup to that organization's jobs;
+ * only the public job board reads jobs without one
  * @param {string} jobId - Job ID to retrieve
+ * @param {string|null} organizationId - Organization the job must belong to
  * @returns {Promise<Object|null>} Job object or null if not found
  */
-export async function getJobById(jobId) {
+export async function getJobById(jobId, organizationId = null) {
   try {
     if (!jobId || typeof jobId !== 'string') {
       throw new JobError('Job ID is required', 'id', 'ID_REQUIRED');
@@ -149,22 +209,19 @@ export async function getJobById(jobId) {
     }
 
     const jobsCollection = await getJobsCollection();
-    const job = await jobsCollection.findOne({ _id: new ObjectId(jobId) });
+    const query = { _id: new ObjectId(jobId) };
+    const job = await jobsCollection.findOne(
+      organizationId ? scopeQuery(query, organizationId) : query
+    );
 
     if (!job) {
       return null;
     }
 
-    // Convert ObjectId to string for API response
-    return {
-      id: job._id.toString(),
-      ...job,
-      _id: undefined,
-      createdBy: job.createdBy.toString()
-    };
+    return formatJob(job);
 
   } catch (error) {
-    if (error instanceof JobError) {
+    if (error instanceof JobError || error instanceof OrganizationScopeError) {
       throw error;
     }
 
@@ -177,6 +234,22 @@ export async function getJobById(jobId) {
   }
 }
 
+/**
+ * Converts a job document's ObjectIds to strings for API responses
+ * @param {Object} job - Job document
+ * @returns {Object} Job object
+ * @private
+ */
+function formatJob(job) {
+  return {
+    id: job._id.toString(),
+    ...job,
+    _id: undefined,
+    organizationId: job.organizationId ? job.organizationId.toString() : null,
+    createdBy: job.createdBy.toString()
+  };
+}
+
 /**
  * Gets jobs created by a specific user
  * @param {string} userId - User ID
@@ -196,7 +269,11 @@ export async function getJobsByUser(userId, options = {}) {
     const jobsCollection = await getJobsCollection();
     
     const query = { createdBy: new ObjectId(userId) };
-    const { limit = 50, skip = 0, sort = { createdAt: -1 } } = options;
+    const { limit = 50, skip = 0, sort = { createdAt: -1 }, includeArchived = false } = options;
+
+    if (!includeArchived) {
+      query.status = { $ne: ARCHIVED_JOB_STATUS };
+    }
 
     const jobs = await jobsCollection
       .find(query)
@@ -205,16 +282,10 @@ export async function getJobsByUser(userId, options = {}) {
       .limit(limit)
       .toArray();
 
-    // Convert ObjectIds to strings for API response
-    return jobs.map(job => ({
-      id: job._id.toString(),
-      ...job,
-      _id: undefined,
-      createdBy: job.createdBy.toString()
-    }));
+    return jobs.map(formatJob);
 
   } catch (error) {
-    if (error instanceof JobError) {
+    if (error instanceof JobError || error instanceof OrganizationScopeError) {
       throw error;
     }
 
@@ -227,6 +298,279 @@ export async function getJobsByUser(userId, options = {}) {
   }
 }
 
+/**
+ * Gets the jobs of an organization
+ * @param {string} organizationId - Organization ID
+ * @param {Object} options - Query options (status, limit, skip, sort, includeArchived)
+ * @returns {Promise<Array>} Array of job objects
+ */
+export async function getJobsByOrganization(organizationId, options = {}) {
+  try {
+    const { status, limit = 50, skip = 0, sort = { createdAt: -1 }, includeArchived = false } = options;
+    const query = scopeQuery({}, organizationId);
+
+    if (status) {
+      query.status = status;
+    } else if (!includeArchived) {
+      query.status = { $ne: ARCHIVED_JOB_STATUS };
+    }
+
+    const jobsCollection = await getJobsCollection();
+    const jobs = await jobsCollection
+      .find(query)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    return jobs.map(formatJob);
+
+  } catch (error) {
+    if (error instanceof JobError || error instanceof OrganizationScopeError) {
+      throw error;
+    }
+
+    console.error('Failed to retrieve organization jobs:', error);
+    throw new JobError(
+      'Unable to retrieve jobs. Please try again.',
+      null,
+      'RETRIEVAL_ERROR'
+    );
+  }
+}
+
+/**
+ * Compares a job with proposed values and lists the fields that changed
+ * @param {Object} existingJob - Current job document
+ * @param {Object} updatedFields - Proposed field values
+ * @returns {Array<Object>} Changes as { field, from, to } entries
+ */
+export function getJobChanges(existingJob, updatedFields) {
+  const changes = [];
+
+  for (const field of EDITABLE_JOB_FIELDS) {
+    if (updatedFields[field] === undefined) {
+      continue;
+    }
+
+    const from = existingJob[field] ?? null;
+    const to = updatedFields[field] ?? null;
+
+    if (from !== to) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Creates an edit history entry for a job
+ * @param {string} action - Action performed ('updated' or 'archived')
+ * @param {string} userId - ID of the user performing the action
+ * @param {Array<Object>} changes - Field changes from getJobChanges
+ * @returns {Object} Edit history entry
+ */
+export function createJobHistoryEntry(action, userId, changes = []) {
+  return {
+    action,
+    changes,
+    editedBy: userId && ObjectId.isValid(userId) ? new ObjectId(userId) : null,
+    editedAt: new Date()
+  };
+}
+
+/**
+ * Loads a job and verifies that it belongs to the user's organization
+ * @param {string} jobId - Job ID
+ * @param {string} userId - ID of the user requesting access
+ * @param {string} organizationId - Organization of the user
+ * @returns {Promise<Object>} Job object
+ * @private
+ */
+async function getOrganizationJob(jobId, userId, organizationId) {
+  if (!userId || typeof userId !== 'string') {
+    throw new JobError(
+      'User authentication required to modify job posting',
+      null,
+      'AUTH_REQUIRED'
+    );
+  }
+
+  // Jobs of other organizations are reported as missing rather than forbidden
+  const job = await getJobById(jobId, toOrganizationObjectId(organizationId));
+
+  if (!job) {
+    throw new JobError('Job not found.', 'id', 'JOB_NOT_FOUND');
+  }
+
+  return job;
+}
+
+/**
+ * Updates a job posting and records the change in its edit history
+ * @param {string} jobId - Job ID to update
+ * @param {Object} updates - Fields to update (partial updates are allowed)
+ * @param {string} userId - ID of the user updating the job
+ * @param {string} organizationId - Organization of the user
+ * @returns {Promise<Object>} Updated job object
+ */
+export async function updateJob(jobId, updates, userId, organizationId) {
+  try {
+    const existingJob = await getOrganizationJob(jobId, userId, organizationId);
+
+    if (existingJob.status === ARCHIVED_JOB_STATUS) {
+      throw new JobError(
+        'Archived jobs cannot be edited.',
+        null,
+        'JOB_ARCHIVED'
+      );
+    }
+
+    // Sanitize input data
+    const sanitizedUpdates = sanitizeJobInput(updates);
+
+    // Clearing the salary is sent as null or an empty string
+    if (updates && (updates.salary === null || updates.salary === '')) {
+      sanitizedUpdates.salary = null;
+    }
+
+    if (sanitizedUpdates.status !== undefined && !isValidJobStatus(sanitizedUpdates.status)) {
+      throw new JobError(
+        `Status must be one of: ${JOB_STATUS.join(', ')}`,
+        'status',
+        'STATUS_INVALID_VALUE'
+      );
+    }
+
+    // Validate the merged result so partial updates keep the job consistent
+    const mergedJob = { ...existingJob, ...sanitizedUpdates };
+    const validation = validateJobData(mergedJob);
+    if (!validation.isValid) {
+      const firstError = validation.errors[0];
+      throw new JobError(firstError.message, firstError.field, firstError.code);
+    }
+
+    if (sanitizedUpdates.pipelineTemplateId !== undefined) {
+      sanitizedUpdates.pipelineTemplateId = await resolvePipelineTemplateId(
+        sanitizedUpdates.pipelineTemplateId,
+        organizationId
+      );
+    }
+
+    const changes = getJobChanges(existingJob, sanitizedUpdates);
+
+    // Nothing changed, so there is nothing to record
+    if (changes.length === 0) {
+      return existingJob;
+    }
+
+    const now = new Date();
+    const setFields = { updatedAt: now };
+    changes.forEach(change => {
+      setFields[change.field] = change.to;
+    });
+
+    const jobsCollection = await getJobsCollection();
+    const result = await jobsCollection.findOneAndUpdate(
+      scopeQuery({ _id: new ObjectId(jobId), status: { $ne: ARCHIVED_JOB_STATUS } }, organizationId),
+      {
+        $set: setFields,
+        $push: { editHistory: createJobHistoryEntry('updated', userId, changes) }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!result) {
+      throw new JobError(
+        'Failed to update job posting. Please try again.',
+        null,
+        'UPDATE_FAILED'
+      );
+    }
+
+    console.log(`Job updated: ${jobId} by user ${userId} (${changes.map(c => c.field).join(', ')})`);
+
+    return formatJob(result);
+
+  } catch (error) {
+    if (error instanceof JobError || error instanceof OrganizationScopeError) {
+      throw error;
+    }
+
+    console.error('Job update failed:', error);
+    throw new JobError(
+      'Job update failed due to a server error. Please try again.',
+      null,
+      'SERVER_ERROR'
+    );
+  }
+}
+
+/**
+ * Archives a job posting (soft delete)
+ * Applications and candidate links referencing the job are left untouched
+ * @param {string} jobId - Job ID to archive
+ * @param {string} userId - ID of the user archiving the job
+ * @param {string} organizationId - Organization of the user
+ * @returns {Promise<boolean>} Success status
+ */
+export async function archiveJob(jobId, userId, organizationId) {
+  try {
+    const existingJob = await getOrganizationJob(jobId, userId, organizationId);
+
+    if (existingJob.status === ARCHIVED_JOB_STATUS) {
+      throw new JobError(
+        'This job has already been archived.',
+        null,
+        'JOB_ARCHIVED'
+      );
+    }
+
+    const now = new Date();
+    const changes = [{ field: 'status', from: existingJob.status, to: ARCHIVED_JOB_STATUS }];
+
+    const jobsCollection = await getJobsCollection();
+    const result = await jobsCollection.updateOne(
+      scopeQuery({ _id: new ObjectId(jobId), status: { $ne: ARCHIVED_JOB_STATUS } }, organizationId),
+      {
+        $set: {
+          status: ARCHIVED_JOB_STATUS,
+          statusBeforeArchive: existingJob.status,
+          archivedAt: now,
+          archivedBy: new ObjectId(userId),
+          updatedAt: now,
+          'metadata.isActive': false
+        },
+        $push: { editHistory: createJobHistoryEntry('archived', userId, changes) }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new JobError(
+        'Failed to archive job posting. Please try again.',
+        null,
+        'ARCHIVE_FAILED'
+      );
+    }
+
+    console.log(`Job archived: ${jobId} by user ${userId}`);
+    return true;
+
+  } catch (error) {
+    if (error instanceof JobError || error instanceof OrganizationScopeError) {
+      throw error;
+    }
+
+    console.error('Job archival failed:', error);
+    throw new JobError(
+      'Job archival failed due to a server error. Please try again.',
+      null,
+      'SERVER_ERROR'
+    );
+  }
+}
+
 /**
  * Formats job error for API response
  * @param {Error} error - Error to format
@@ -65,7 +65,7 @@ describe('Job Service Properties', () => {
           };
 
           // Create job
-          const createdJob = await createJob(testJobData, userId);
+          const createdJob = await createJob(testJobData, userId, userId);
           
           // Verify job was created
           expect(createdJob).toBeDefined();
@@ -116,7 +116,7 @@ describe('Job Service Properties', () => {
               title: `Test ${jobData.title} ${Math.random()}`
             };
             
-            const createdJob = await createJob(testJobData, userId);
+            const createdJob = await createJob(testJobData, userId, userId);
             createdJobs.push(createdJob);
           }
           
@@ -163,7 +163,7 @@ describe('Job Service Properties', () => {
           const beforeCreation = new Date();
           
           // Create job
-          const createdJob = await createJob(testJobData, userId);
+          const createdJob = await createJob(testJobData, userId, userId);
           
           const afterCreation = new Date();
           
@@ -211,7 +211,7 @@ describe('Job Service Properties', () => {
               title: `Test User1 ${jobData.title} ${Math.random()}`
             };
             
-            const createdJob = await createJob(testJobData, userId1);
+            const createdJob = await createJob(testJobData, userId1, userId1);
             user1Jobs.push(createdJob);
           }
           
@@ -222,7 +222,7 @@ describe('Job Service Properties', () => {
               title: `Test User2 ${jobData.title} ${Math.random()}`
             };
             
-            const createdJob = await createJob(testJobData, userId2);
+            const createdJob = await createJob(testJobData, userId2, userId2);
             user2Jobs.push(createdJob);
           }
           
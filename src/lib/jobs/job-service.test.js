@@ -0,0 +1,99 @@
+/**
+ * Unit Tests for Job Service Helpers
+ * Tests edit history tracking used by job updates and archival
+ */
+
+import { ObjectId } from 'mongodb';
+import { getJobChanges, createJobHistoryEntry } from './job-service.js';
+import { sanitizeJobInput } from './job-validation.js';
+
+describe('Job Service Unit Tests', () => {
+
+  const existingJob = {
+    id: new ObjectId().toString(),
+    title: 'Senior Software Engineer',
+    department: 'engineering',
+    type: 'full-time',
+    location: 'San Francisco, CA',
+    salary: null,
+    description: 'We are looking for a senior software engineer to join our team and help build amazing products.',
+    requirements: 'Bachelor\'s degree in Computer Science or related field. 5+ years of experience in software development.',
+    status: 'active'
+  };
+
+  describe('getJobChanges', () => {
+
+    test('should return no changes when values are identical', () => {
+      const changes = getJobChanges(existingJob, { ...existingJob });
+      expect(changes).toEqual([]);
+    });
+
+    test('should list only the fields that changed', () => {
+      const changes = getJobChanges(existingJob, {
+        title: 'Senior Software Engineer II',
+        location: existingJob.location
+      });
+
+      expect(changes).toEqual([
+        { field: 'title', from: 'Senior Software Engineer', to: 'Senior Software Engineer II' }
+      ]);
+    });
+
+    test('should track salary being added and cleared', () => {
+      expect(getJobChanges(existingJob, { salary: '$120k - $150k' })).toEqual([
+        { field: 'salary', from: null, to: '$120k - $150k' }
+      ]);
+
+      expect(getJobChanges({ ...existingJob, salary: '$120k' }, { salary: null })).toEqual([
+        { field: 'salary', from: '$120k', to: null }
+      ]);
+    });
+
+    test('should ignore fields that are not editable', () => {
+      const changes = getJobChanges(existingJob, {
+        createdBy: new ObjectId().toString(),
+        applicationCount: 10
+      });
+
+      expect(changes).toEqual([]);
+    });
+
+    test('should track status changes', () => {
+      const changes = getJobChanges(existingJob, { status: 'closed' });
+      expect(changes).toEqual([{ field: 'status', from: 'active', to: 'closed' }]);
+    });
+  });
+
+  describe('createJobHistoryEntry', () => {
+
+    test('should record action, changes, editor and timestamp', () => {
+      const userId = new ObjectId().toString();
+      const changes = [{ field: 'title', from: 'Old', to: 'New' }];
+
+      const entry = createJobHistoryEntry('updated', userId, changes);
+
+      expect(entry.action).toBe('updated');
+      expect(entry.changes).toEqual(changes);
+      expect(entry.editedBy).toBeInstanceOf(ObjectId);
+      expect(entry.editedBy.toString()).toBe(userId);
+      expect(entry.editedAt).toBeInstanceOf(Date);
+    });
+
+    test('should handle missing or invalid user IDs', () => {
+      expect(createJobHistoryEntry('archived', null).editedBy).toBeNull();
+      expect(createJobHistoryEntry('archived', 'not-an-id').editedBy).toBeNull();
+      expect(createJobHistoryEntry('archived', null).changes).toEqual([]);
+    });
+  });
+
+  describe('sanitizeJobInput status handling', () => {
+
+    test('should normalize status values', () => {
+      expect(sanitizeJobInput({ status: '  Closed ' }).status).toBe('closed');
+    });
+
+    test('should omit status when not provided', () => {
+      expect(sanitizeJobInput({ title: 'Engineer' })).not.toHaveProperty('status');
+    });
+  });
+});
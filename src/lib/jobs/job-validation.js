@@ -18,6 +18,17 @@ export const EMPLOYMENT_TYPES = ['full-time', 'part-time', 'contract', 'internsh
  */
 export const JOB_STATUS = ['active', 'inactive', 'closed'];
 
+/**
+ * Status assigned to archived (soft deleted) jobs
+ * Not part of JOB_STATUS because it can only be set through archival
+ */
+export const ARCHIVED_JOB_STATUS = 'archived';
+
+/**
+ * Job fields that can be changed after creation
+ */
+export const EDITABLE_JOB_FIELDS = ['title', 'department', 'type', 'location', 'salary', 'description', 'requirements', 'status', 'pipelineTemplateId'];
+
 /**
  * Validation constants
  */
@@ -274,6 +285,15 @@ export function sanitizeJobInput(jobData) {
     sanitized.requirements = sanitizeText(jobData.requirements);
   }
 
+  if (jobData.status !== undefined) {
+    sanitized.status = sanitizeString(jobData.status).toLowerCase();
+  }
+
+  // Empty values select the standard pipeline
+  if (jobData.pipelineTemplateId !== undefined) {
+    sanitized.pipelineTemplateId = sanitizeString(String(jobData.pipelineTemplateId ?? '')) || null;
+  }
+
   return sanitized;
 }
 
@@ -0,0 +1,112 @@
+/**
+ * Property-Based Tests for the Notification Center
+ * Feature: notification-center, Property 1: Mentions Match Whole Names
+ * Feature: notification-center, Property 2: Notifications Start Unread And Link To Their Record
+ */
+
+import fc from 'fast-check';
+import { ObjectId } from 'mongodb';
+import {
+  USER_NOTIFICATION_TYPES,
+  buildNotificationLink,
+  findMentionedMembers,
+  createUserNotification,
+  formatUserNotification,
+  NotificationCenterError
+} from '../notification-center.js';
+
+const member = (name, email) => ({ userId: new ObjectId().toString(), name, email, role: 'recruiter' });
+
+const nameGen = () => fc.tuple(
+  fc.constantFrom('Jordan', 'Sam', 'Alex', 'Priya', 'Chen', 'Maria'),
+  fc.constantFrom('Lee', 'Park', 'Singh', 'Garcia', 'Okafor')
+).map(([first, last]) => `${first} ${last}`);
+
+describe('Notification Center Property Tests', () => {
+
+  /**
+   * Property 1: Mentions Match Whole Names
+   * "@" followed by a member's full name or email mentions them in any letter
+   * case; a prefix or a longer name does not, and nobody is listed twice.
+   */
+  describe('Property 1: Mentions Match Whole Names', () => {
+    test('mentioning a name or email finds the member', () => {
+      fc.assert(
+        fc.property(nameGen(), fc.boolean(), fc.boolean(), (name, byEmail, upperCase) => {
+          const mentioned = member(name, `${name.split(' ')[0].toLowerCase()}@example.com`);
+          const other = member('Taylor Quinn', 'taylor@example.com');
+          const handle = byEmail ? mentioned.email : mentioned.name;
+          const content = `Great call, @${upperCase ? handle.toUpperCase() : handle}. Can you follow up?`;
+
+          expect(findMentionedMembers(content, [mentioned, other])).toEqual([mentioned]);
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    test('partial names and plain text do not mention anyone', () => {
+      fc.assert(
+        fc.property(nameGen(), (name) => {
+          const mentioned = member(name, 'someone@example.com');
+          const [first] = name.split(' ');
+
+          expect(findMentionedMembers(`@${first} please review`, [mentioned])).toEqual([]);
+          expect(findMentionedMembers(`@${name}son please review`, [mentioned])).toEqual([]);
+          expect(findMentionedMembers(`${name} please review`, [mentioned])).toEqual([]);
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    test('members are listed once and people without an account are ignored', () => {
+      const jordan = member('Jordan Lee', 'jordan@example.com');
+      const guest = { userId: null, name: 'Guest Reviewer', email: null };
+
+      expect(findMentionedMembers('@Jordan Lee and @jordan@example.com, @Guest Reviewer', [jordan, guest]))
+        .toEqual([jordan]);
+    });
+  });
+
+  /**
+   * Property 2: Notifications Start Unread And Link To Their Record
+   * New notifications are unread and keep their recipient, organization and
+   * actor; links point at the dashboard page of the record.
+   */
+  describe('Property 2: Notifications Start Unread And Link To Their Record', () => {
+    test('created notifications are unread and formatted for the bell', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(...Object.values(USER_NOTIFICATION_TYPES)),
+          fc.string({ minLength: 1, maxLength: 80 }),
+          fc.string({ maxLength: 200 }),
+          (type, title, body) => {
+            const userId = new ObjectId().toString();
+            const organizationId = new ObjectId().toString();
+            const actor = { userId: new ObjectId().toString(), name: 'Jordan Lee' };
+            const link = buildNotificationLink('candidate', new ObjectId());
+
+            const document = createUserNotification(userId, { organizationId, type, title, body, link, actor });
+
+            expect(document.userId.toString()).toBe(userId);
+            expect(document.organizationId.toString()).toBe(organizationId);
+            expect(document.actor.userId.toString()).toBe(actor.userId);
+            expect(document.readAt).toBeNull();
+
+            const formatted = formatUserNotification({ _id: new ObjectId(), ...document });
+            expect(formatted).toMatchObject({ type, title, body, link, actorName: 'Jordan Lee', read: false });
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    test('links point at the candidate, job or interview', () => {
+      const id = new ObjectId();
+
+      expect(buildNotificationLink('candidate', id)).toBe(`/candidates?candidate=${id}`);
+      expect(buildNotificationLink('job', id)).toBe(`/jobs/${id}/applications`);
+      expect(buildNotificationLink('interview', id)).toBe(`/schedule?interview=${id}`);
+      expect(() => buildNotificationLink('offer', id)).toThrow(NotificationCenterError);
+    });
+  });
+});
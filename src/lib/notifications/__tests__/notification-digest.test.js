@@ -0,0 +1,201 @@
+/**
+ * Property-Based Tests for Notification Digests
+ * Feature: notification-digests, Property 1: Digests Are Due Once per Period
+ * Feature: notification-digests, Property 2: Digests Render Every Item in Both Versions
+ * Feature: notification-digests, Property 3: Empty Digests Are Not Sent
+ * Validates: Requirements 20.1, 20.2, 20.3
+ */
+
+import fc from 'fast-check';
+import {
+  DIGEST_FREQUENCIES,
+  DIGEST_PERIOD_MS,
+  DEFAULT_DIGEST_FREQUENCY,
+  getDigestWindow
+} from '../notification-models.js';
+import { generateDigestEmail } from '../../email/notification-templates.js';
+import { isDigestEmpty } from '../notification-digest.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const nowGen = () => fc.date({ min: new Date('2024-01-01'), max: new Date('2030-01-01'), noInvalidDate: true });
+
+const textGen = () => fc.string({ minLength: 1, maxLength: 30 }).filter(value => value.trim().length > 0);
+
+const emptySections = () => ({
+  newApplicants: [],
+  waitingOnYou: { tasks: [], scorecards: [] },
+  interviewsTomorrow: [],
+  pipelineMovement: { byStage: [], moves: [] },
+  overview: null
+});
+
+const buildDigest = (overrides = {}) => ({
+  recipientName: 'Sam Lee',
+  frequency: DIGEST_FREQUENCIES.DAILY,
+  since: new Date('2026-03-03T08:00:00Z'),
+  until: new Date('2026-03-04T08:00:00Z'),
+  notifications: [],
+  digestEntryIds: [],
+  ...overrides,
+  sections: { ...emptySections(), ...overrides.sections }
+});
+
+describe('Notification Digest Property Tests', () => {
+
+  /**
+   * Property 1: Digests Are Due Once per Period
+   * A digest is due once its period (less an hour of tolerance) has passed
+   * since the last one and then covers everything since it; turned-off
+   * digests are never due.
+   */
+  describe('Property 1: Digests Are Due Once per Period', () => {
+    test('digests are due after their period and cover it', () => {
+      fc.assert(
+        fc.property(
+          fc.constantFrom(DIGEST_FREQUENCIES.DAILY, DIGEST_FREQUENCIES.WEEKLY),
+          nowGen(),
+          fc.integer({ min: 0, max: 20 * 24 * HOUR_MS }),
+          (frequency, now, elapsed) => {
+            const lastDigestSentAt = new Date(now.getTime() - elapsed);
+            const window = getDigestWindow({ digestFrequency: frequency, lastDigestSentAt }, now);
+
+            expect(window.frequency).toBe(frequency);
+            expect(window.due).toBe(elapsed >= DIGEST_PERIOD_MS[frequency] - HOUR_MS);
+            expect(window.since).toEqual(lastDigestSentAt);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('a first digest covers one period', () => {
+      fc.assert(
+        fc.property(fc.constantFrom(undefined, 'hourly', DIGEST_FREQUENCIES.WEEKLY), nowGen(), (frequency, now) => {
+          const window = getDigestWindow({ digestFrequency: frequency }, now);
+          const expected = frequency === DIGEST_FREQUENCIES.WEEKLY ? frequency : DEFAULT_DIGEST_FREQUENCY;
+
+          expect(window.due).toBe(true);
+          expect(window.frequency).toBe(expected);
+          expect(now.getTime() - window.since.getTime()).toBe(DIGEST_PERIOD_MS[expected]);
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    test('turned-off digests are never due', () => {
+      fc.assert(
+        fc.property(nowGen(), fc.option(nowGen(), { nil: undefined }), (now, lastDigestSentAt) => {
+          expect(getDigestWindow({ digestFrequency: DIGEST_FREQUENCIES.OFF, lastDigestSentAt }, now).due).toBe(false);
+        }),
+        { numRuns: 50 }
+      );
+    });
+  });
+
+  /**
+   * Property 2: Digests Render Every Item in Both Versions
+   * Every applicant, task and move appears in the text version as written
+   * and in the HTML version escaped; sections with nothing in them are left out.
+   */
+  describe('Property 2: Digests Render Every Item in Both Versions', () => {
+    test('items appear in both versions', () => {
+      fc.assert(
+        fc.property(
+          fc.array(fc.record({ candidateName: textGen(), jobTitle: textGen() }), { minLength: 1, maxLength: 5 }),
+          fc.array(textGen(), { maxLength: 3 }),
+          (applicants, taskTitles) => {
+            const digest = buildDigest({
+              sections: {
+                newApplicants: applicants.map(applicant => ({
+                  ...applicant,
+                  appliedDate: new Date('2026-03-03T12:00:00Z'),
+                  link: 'http://localhost:3000/jobs/1/applications'
+                })),
+                waitingOnYou: {
+                  tasks: taskTitles.map(title => ({ title, candidateName: 'Ada', dueAt: null, isOverdue: false, link: null })),
+                  scorecards: []
+                }
+              }
+            });
+            const email = generateDigestEmail(digest);
+
+            applicants.forEach(applicant => {
+              expect(email.text).toContain(`${applicant.candidateName} applied for ${applicant.jobTitle}`);
+            });
+            taskTitles.forEach(title => expect(email.text).toContain(`${title} for Ada`));
+            expect(email.text.includes('WAITING ON YOU')).toBe(taskTitles.length > 0);
+            expect(email.text).not.toContain('PIPELINE MOVEMENT');
+            expect(email.subject).toContain(`${applicants.length} new applicant`);
+            expect(email.html).not.toMatch(/<script/i);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    test('values are escaped in the HTML version', () => {
+      const email = generateDigestEmail(buildDigest({
+        recipientName: '<b>Sam</b>',
+        sections: {
+          pipelineMovement: {
+            byStage: [{ stage: 'Offer', count: 1 }],
+            moves: [{ candidateName: '<script>alert(1)</script>', fromStage: 'Interview', toStage: 'Offer', link: null }]
+          }
+        }
+      }));
+
+      expect(email.html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;: Interview → Offer');
+      expect(email.html).toContain('Hi &lt;b&gt;Sam&lt;/b&gt;');
+      expect(email.text).toContain('<script>alert(1)</script>: Interview → Offer');
+      expect(email.text).toContain('1 to Offer');
+    });
+
+    test('weekly digests say so', () => {
+      expect(generateDigestEmail(buildDigest({ frequency: DIGEST_FREQUENCIES.WEEKLY })).subject)
+        .toBe('Your weekly recruiting digest');
+    });
+  });
+
+  /**
+   * Property 3: Empty Digests Are Not Sent
+   * A digest is empty when every personal section and the notification list
+   * are empty or turned off, whatever the organization overview says.
+   */
+  describe('Property 3: Empty Digests Are Not Sent', () => {
+    test('only digests without personal news are empty', () => {
+      fc.assert(
+        fc.property(
+          fc.boolean(),
+          fc.boolean(),
+          fc.nat({ max: 2 }),
+          fc.nat({ max: 2 }),
+          (applicantsOff, withOverview, notificationCount, interviewCount) => {
+            const digest = buildDigest({
+              notifications: Array.from({ length: notificationCount }, (_, index) => ({ summary: `Update ${index}`, link: null })),
+              sections: {
+                newApplicants: applicantsOff ? null : [],
+                interviewsTomorrow: Array.from({ length: interviewCount }, () => ({
+                  time: '09:00', candidateName: 'Ada', type: 'video', duration: '60 minutes', link: null
+                })),
+                overview: withOverview
+                  ? {
+                    stats: {
+                      totalCandidates: { value: 5 },
+                      activeJobs: { value: 2 },
+                      interviews: { value: 1 }
+                    },
+                    activity: []
+                  }
+                  : null
+              }
+            });
+
+            expect(isDigestEmpty(digest)).toBe(notificationCount === 0 && interviewCount === 0);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Property-Based Tests for Notification Preferences
+ * Feature: notification-preferences, Property 1: Every Event Has a Delivery Mode
+ * Feature: notification-preferences, Property 2: Only Known Events and Modes Are Saved
+ * Validates: Requirements 12.1, 12.2, 12.3
+ */
+
+import fc from 'fast-check';
+import { ObjectId } from 'mongodb';
+import {
+  NOTIFICATION_EVENTS,
+  DELIVERY_MODES,
+  DEFAULT_NOTIFICATION_PREFERENCES,
+  normalizeNotificationPreferences,
+  getDeliveryMode,
+  createDigestEntry
+} from '../notification-models.js';
+import { validateNotificationPreferences } from '../notification-preferences.js';
+
+const eventGen = () => fc.constantFrom(...Object.values(NOTIFICATION_EVENTS));
+const modeGen = () => fc.constantFrom(...Object.values(DELIVERY_MODES));
+
+describe('Notification Preferences Property Tests', () => {
+
+  /**
+   * Property 1: Every Event Has a Delivery Mode
+   * Normalized preferences cover every event with a valid mode, keep the
+   * modes a user saved and fall back to the defaults for anything else.
+   */
+  describe('Property 1: Every Event Has a Delivery Mode', () => {
+    test('saved modes are kept and missing or invalid ones use the defaults', () => {
+      fc.assert(
+        fc.property(
+          fc.dictionary(fc.oneof(eventGen(), fc.string()), fc.oneof(modeGen(), fc.string())),
+          (stored) => {
+            const preferences = normalizeNotificationPreferences(stored);
+
+            expect(Object.keys(preferences).sort()).toEqual(Object.values(NOTIFICATION_EVENTS).sort());
+            Object.values(NOTIFICATION_EVENTS).forEach(event => {
+              const expected = Object.values(DELIVERY_MODES).includes(stored[event])
+                ? stored[event]
+                : DEFAULT_NOTIFICATION_PREFERENCES[event];
+              expect(preferences[event]).toBe(expected);
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('people without an account always get emails immediately', () => {
+      fc.assert(
+        fc.property(eventGen(), (event) => {
+          expect(getDeliveryMode(null, event)).toBe(DELIVERY_MODES.IMMEDIATE);
+        }),
+        { numRuns: 10 }
+      );
+    });
+
+    test('accounts follow their saved mode', () => {
+      fc.assert(
+        fc.property(eventGen(), modeGen(), (event, mode) => {
+          const user = { _id: new ObjectId(), notificationPreferences: { [event]: mode } };
+          expect(getDeliveryMode(user, event)).toBe(mode);
+        }),
+        { numRuns: 30 }
+      );
+    });
+  });
+
+  /**
+   * Property 2: Only Known Events and Modes Are Saved
+   * Updates made of known events and modes are valid; any unknown event or
+   * mode is rejected with the offending field.
+   */
+  describe('Property 2: Only Known Events and Modes Are Saved', () => {
+    test('known events with known modes are valid', () => {
+      fc.assert(
+        fc.property(fc.dictionary(eventGen(), modeGen()), (updates) => {
+          expect(validateNotificationPreferences(updates).isValid).toBe(true);
+        }),
+        { numRuns: 50 }
+      );
+    });
+
+    test('unknown events, unknown modes and non-objects are rejected', () => {
+      const unknownEvent = validateNotificationPreferences({ marketing: DELIVERY_MODES.OFF });
+      const unknownMode = validateNotificationPreferences({ [NOTIFICATION_EVENTS.STAGE_CHANGED]: 'weekly' });
+
+      expect(unknownEvent.isValid).toBe(false);
+      expect(unknownEvent.errors[0]).toMatchObject({ field: 'marketing', code: 'EVENT_INVALID' });
+      expect(unknownMode.isValid).toBe(false);
+      expect(unknownMode.errors[0]).toMatchObject({ field: NOTIFICATION_EVENTS.STAGE_CHANGED, code: 'MODE_INVALID' });
+      expect(validateNotificationPreferences(null).isValid).toBe(false);
+      expect(validateNotificationPreferences([DELIVERY_MODES.OFF]).isValid).toBe(false);
+    });
+
+    test('digest entries are pending and fall back to the subject as summary', () => {
+      const user = { _id: new ObjectId(), email: 'jordan@example.com' };
+      const entry = createDigestEntry(user, NOTIFICATION_EVENTS.CANDIDATE_APPLIED, {
+        subject: 'New application: Ada Lovelace applied for Backend Engineer'
+      });
+
+      expect(entry.userId.toString()).toBe(user._id.toString());
+      expect(entry.event).toBe(NOTIFICATION_EVENTS.CANDIDATE_APPLIED);
+      expect(entry.summary).toBe(entry.subject);
+      expect(entry.link).toBeNull();
+      expect(entry.sentAt).toBeNull();
+    });
+  });
+});
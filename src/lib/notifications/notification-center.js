@@ -0,0 +1,295 @@
+/**
+ * Notification Center
+ * In-app notifications shown under the bell in the dashboard header. Each
+ * notification belongs to one user in one organization and links to the
+ * candidate, job or interview it is about
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection } from '../mongodb.js';
+import { toOrganizationObjectId } from '../team/organization-scope.js';
+
+/**
+ * Collection name for in-app notifications
+ */
+export const USER_NOTIFICATIONS_COLLECTION = 'notifications';
+
+/**
+ * Kinds of in-app notification
+ */
+export const USER_NOTIFICATION_TYPES = {
+  INTERVIEWER_ASSIGNED: 'interviewer_assigned',
+  CANDIDATE_APPLIED: 'candidate_applied',
+  NOTE_MENTION: 'note_mention',
+  STAGE_MILESTONE: 'stage_milestone',
+  TASK_ASSIGNED: 'task_assigned',
+  AUTOMATION_ALERT: 'automation_alert'
+};
+
+/**
+ * Limits for listing notifications
+ */
+export const USER_NOTIFICATION_LIMITS = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 50,
+  // Notifications are removed automatically once they are this old
+  RETENTION_DAYS: 90
+};
+
+/**
+ * Database indexes for in-app notifications
+ */
+export const USER_NOTIFICATION_INDEXES = [
+  { key: { userId: 1, organizationId: 1, createdAt: -1 } },
+  { key: { userId: 1, organizationId: 1, readAt: 1 } },
+  {
+    key: { createdAt: 1 },
+    options: { expireAfterSeconds: USER_NOTIFICATION_LIMITS.RETENTION_DAYS * 24 * 60 * 60 }
+  }
+];
+
+/**
+ * Notification center errors
+ */
+export class NotificationCenterError extends Error {
+  constructor(message, code = 'NOTIFICATION_CENTER_ERROR', statusCode = 500) {
+    super(message);
+    this.name = 'NotificationCenterError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Builds the in-app link to a candidate, job or interview
+ * @param {string} kind - 'candidate', 'job' or 'interview'
+ * @param {string|ObjectId} id - Record ID
+ * @returns {string} Dashboard path
+ */
+export function buildNotificationLink(kind, id) {
+  const value = encodeURIComponent(id.toString());
+
+  switch (kind) {
+    case 'candidate':
+      return `/candidates?candidate=${value}`;
+    case 'job':
+      return `/jobs/${value}/applications`;
+    case 'interview':
+      return `/schedule?interview=${value}`;
+    default:
+      throw new NotificationCenterError(`Unknown notification link: ${kind}`, 'INVALID_LINK', 400);
+  }
+}
+
+/**
+ * Finds the team members mentioned in a piece of text
+ * A member is mentioned by "@" followed by their name or email address, in
+ * any letter case; "@Sam" does not mention "Sam Lee" and "@Sam Leeds" does not
+ * mention "Sam Lee"
+ * @param {string} content - Text to search
+ * @param {Array<Object>} members - Team directory ({ userId, name, email })
+ * @returns {Array<Object>} Mentioned members, each once
+ */
+export function findMentionedMembers(content, members) {
+  const text = String(content || '').toLowerCase();
+
+  const isMentioned = handle => {
+    if (!handle) {
+      return false;
+    }
+
+    const token = `@${handle.toLowerCase()}`;
+    let index = text.indexOf(token);
+
+    while (index !== -1) {
+      const next = text.charAt(index + token.length);
+      if (!/[\p{L}\p{N}_]/u.test(next)) {
+        return true;
+      }
+      index = text.indexOf(token, index + 1);
+    }
+
+    return false;
+  };
+
+  return members.filter(member => member.userId && (isMentioned(member.name) || isMentioned(member.email)));
+}
+
+/**
+ * Creates an in-app notification document
+ * @param {string|ObjectId} userId - Recipient
+ * @param {Object} notification - { organizationId, type, title, body, link, actor }
+ * @param {Date} [now] - Creation time
+ * @returns {Object} Notification document
+ */
+export function createUserNotification(userId, notification, now = new Date()) {
+  return {
+    organizationId: toOrganizationObjectId(notification.organizationId),
+    userId: new ObjectId(userId.toString()),
+    type: notification.type,
+    title: notification.title,
+    body: notification.body || '',
+    link: notification.link || null,
+    actor: notification.actor?.userId
+      ? { userId: new ObjectId(notification.actor.userId.toString()), name: notification.actor.name || null }
+      : null,
+    readAt: null,
+    createdAt: now
+  };
+}
+
+/**
+ * Formats a notification for the API
+ * @param {Object} notification - Notification document
+ * @returns {Object} Formatted notification
+ */
+export function formatUserNotification(notification) {
+  return {
+    id: notification._id.toString(),
+    type: notification.type,
+    title: notification.title,
+    body: notification.body,
+    link: notification.link,
+    actorName: notification.actor?.name || null,
+    read: Boolean(notification.readAt),
+    readAt: notification.readAt,
+    createdAt: notification.createdAt
+  };
+}
+
+/**
+ * Whether the notification indexes have been created in this process
+ */
+let notificationIndexesReady = false;
+
+/**
+ * Gets the notifications collection, creating its indexes on first use
+ * @returns {Promise<Collection>} MongoDB notifications collection
+ */
+export async function getUserNotificationsCollection() {
+  try {
+    const collection = await getCollection(USER_NOTIFICATIONS_COLLECTION);
+
+    if (!notificationIndexesReady) {
+      for (const indexSpec of USER_NOTIFICATION_INDEXES) {
+        await collection.createIndex(indexSpec.key, indexSpec.options || {});
+      }
+      notificationIndexesReady = true;
+    }
+
+    return collection;
+  } catch (error) {
+    console.error('Failed to get notifications collection:', error);
+    throw new NotificationCenterError('Unable to access notifications', 'DATABASE_ERROR');
+  }
+}
+
+/**
+ * Notifies a set of users in the app
+ * The person who caused the event is never notified about it, and each user
+ * gets at most one copy
+ * @param {Array<string|ObjectId>} userIds - Recipients
+ * @param {Object} notification - { organizationId, type, title, body, link, actor: { userId, name } }
+ * @returns {Promise<number>} Number of notifications created
+ */
+export async function notifyUsers(userIds, notification) {
+  if (!Object.values(USER_NOTIFICATION_TYPES).includes(notification.type)) {
+    throw new NotificationCenterError(`Unknown notification type: ${notification.type}`, 'INVALID_TYPE', 400);
+  }
+
+  const actorId = notification.actor?.userId?.toString();
+  const recipients = [...new Set(
+    userIds
+      .filter(userId => userId && ObjectId.isValid(userId.toString()))
+      .map(userId => userId.toString())
+  )].filter(userId => userId !== actorId);
+
+  if (recipients.length === 0) {
+    return 0;
+  }
+
+  const now = new Date();
+  const collection = await getUserNotificationsCollection();
+  const result = await collection.insertMany(
+    recipients.map(userId => createUserNotification(userId, notification, now))
+  );
+
+  return result.insertedCount;
+}
+
+/**
+ * Lists a user's notifications, newest first, with their unread count
+ * @param {string} userId - Signed-in user
+ * @param {string} organizationId - Organization the user is acting in
+ * @param {Object} [options] - { limit, unreadOnly }
+ * @returns {Promise<Object>} { notifications, unreadCount }
+ */
+export async function listUserNotifications(userId, organizationId, { limit, unreadOnly = false } = {}) {
+  const pageSize = Math.min(
+    USER_NOTIFICATION_LIMITS.MAX_LIMIT,
+    Math.max(1, parseInt(limit, 10) || USER_NOTIFICATION_LIMITS.DEFAULT_LIMIT)
+  );
+  const owner = { userId: new ObjectId(userId), organizationId: toOrganizationObjectId(organizationId) };
+  const query = unreadOnly ? { ...owner, readAt: null } : owner;
+
+  const collection = await getUserNotificationsCollection();
+  const [notifications, unreadCount] = await Promise.all([
+    collection.find(query).sort({ createdAt: -1 }).limit(pageSize).toArray(),
+    collection.countDocuments({ ...owner, readAt: null })
+  ]);
+
+  return {
+    notifications: notifications.map(formatUserNotification),
+    unreadCount
+  };
+}
+
+/**
+ * Marks one of a user's notifications as read
+ * @param {string} notificationId - Notification ID
+ * @param {string} userId - Signed-in user
+ * @param {string} organizationId - Organization the user is acting in
+ * @returns {Promise<Object>} Formatted notification
+ */
+export async function markNotificationRead(notificationId, userId, organizationId) {
+  if (!ObjectId.isValid(notificationId)) {
+    throw new NotificationCenterError('Invalid notification ID format', 'INVALID_ID', 400);
+  }
+
+  const collection = await getUserNotificationsCollection();
+  const query = {
+    _id: new ObjectId(notificationId),
+    userId: new ObjectId(userId),
+    organizationId: toOrganizationObjectId(organizationId)
+  };
+
+  // Keep the first read time when a notification is opened twice
+  await collection.updateOne({ ...query, readAt: null }, { $set: { readAt: new Date() } });
+  const notification = await collection.findOne(query);
+
+  if (!notification) {
+    throw new NotificationCenterError('Notification not found', 'NOT_FOUND', 404);
+  }
+
+  return formatUserNotification(notification);
+}
+
+/**
+ * Marks every unread notification of a user as read
+ * @param {string} userId - Signed-in user
+ * @param {string} organizationId - Organization the user is acting in
+ * @returns {Promise<number>} Number of notifications marked
+ */
+export async function markAllNotificationsRead(userId, organizationId) {
+  const collection = await getUserNotificationsCollection();
+  const result = await collection.updateMany(
+    {
+      userId: new ObjectId(userId),
+      organizationId: toOrganizationObjectId(organizationId),
+      readAt: null
+    },
+    { $set: { readAt: new Date() } }
+  );
+
+  return result.modifiedCount;
+}
@@ -0,0 +1,397 @@
+/**
+ * Notification Digest
+ * Builds and sends each user's daily or weekly summary: new applicants on
+ * their jobs, candidates waiting on them, their interviews tomorrow, pipeline
+ * movement since the last digest and the notifications they collect into it
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, getUsersCollection } from '../mongodb.js';
+import { getEnvConfig } from '../env.js';
+import { sendEmail } from '../email/email-service.js';
+import { generateDigestEmail } from '../email/notification-templates.js';
+import { scopeQuery } from '../team/organization-scope.js';
+import { resolveTeamContext } from '../team/authorization.js';
+import { hasPermission } from '../team/invitation-models.js';
+import { getDashboardStats, getRecentActivity } from '../dashboard/dashboard-metrics.js';
+import { interviewService } from '../interviews/interview-service.js';
+import { isInterviewAssignedTo } from '../interviews/interview-models.js';
+import { hasSubmittedScorecard } from '../interviews/scorecard-models.js';
+import { pipelineTemplateService } from '../candidates/pipeline-template-service.js';
+import { TASK_STATUS } from '../candidates/candidate-tasks.js';
+import { getNotificationDigestsCollection } from './notification-dispatcher.js';
+import { buildNotificationLink } from './notification-center.js';
+import {
+  NOTIFICATION_EVENTS,
+  DELIVERY_MODES,
+  DIGEST_FREQUENCIES,
+  getDeliveryMode,
+  getDigestWindow
+} from './notification-models.js';
+
+/**
+ * Most items listed in one section of a digest
+ */
+const SECTION_LIMIT = 20;
+
+/**
+ * How far back interviews are checked for a missing scorecard
+ */
+const SCORECARD_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Builds an absolute link to a page of the app
+ * @param {string} kind - Link kind (see buildNotificationLink)
+ * @param {ObjectId|string} id - Record ID
+ * @returns {string} URL
+ * @private
+ */
+function appLink(kind, id) {
+  return `${getEnvConfig().NEXTAUTH_URL || 'http://localhost:3000'}${buildNotificationLink(kind, id)}`;
+}
+
+/**
+ * Full name of a candidate document
+ * @param {Object} candidate - Candidate document
+ * @returns {string} Name
+ * @private
+ */
+function candidateName(candidate) {
+  return `${candidate.personalInfo?.firstName || ''} ${candidate.personalInfo?.lastName || ''}`.trim() || 'Unknown Candidate';
+}
+
+/**
+ * Checks whether a user has turned an event's emails off
+ * @param {Object} user - User document
+ * @param {string} event - NOTIFICATION_EVENTS value
+ * @returns {boolean} True if the event is off
+ * @private
+ */
+function isEventOff(user, event) {
+  return getDeliveryMode(user, event) === DELIVERY_MODES.OFF;
+}
+
+/**
+ * Lists the people who applied to a user's jobs since the last digest
+ * @param {Array<Object>} jobs - The user's jobs ({ _id, title })
+ * @param {string} organizationId - Organization ID
+ * @param {Date} since - Start of the digest window
+ * @returns {Promise<Array<Object>>} [{ candidateName, jobTitle, appliedDate, link }]
+ * @private
+ */
+async function getNewApplicants(jobs, organizationId, since) {
+  if (jobs.length === 0) {
+    return [];
+  }
+
+  const titles = new Map(jobs.map(job => [job._id.toString(), job.title]));
+  const candidatesCollection = await getCollection('candidates');
+  const candidates = await candidatesCollection.find(
+    scopeQuery({
+      'metadata.isActive': true,
+      jobApplications: { $elemMatch: { jobId: { $in: jobs.map(job => job._id) }, appliedDate: { $gte: since } } }
+    }, organizationId),
+    { projection: { personalInfo: 1, jobApplications: 1 } }
+  ).limit(SECTION_LIMIT * 2).toArray();
+
+  return candidates
+    .flatMap(candidate => (candidate.jobApplications || [])
+      .filter(application => titles.has(application.jobId?.toString()) && new Date(application.appliedDate) >= since)
+      .map(application => ({
+        candidateName: candidateName(candidate),
+        jobTitle: titles.get(application.jobId.toString()),
+        appliedDate: application.appliedDate,
+        link: appLink('job', application.jobId)
+      })))
+    .sort((a, b) => new Date(b.appliedDate) - new Date(a.appliedDate))
+    .slice(0, SECTION_LIMIT);
+}
+
+/**
+ * Lists what is waiting on a user: open tasks for their role and interviews
+ * they were on without submitting a scorecard
+ * @param {Object} context - Team context of the user
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} { tasks: [...], scorecards: [...] }
+ * @private
+ */
+async function getWaitingOnUser(context, now) {
+  const [candidatesCollection, interviewsCollection] = await Promise.all([
+    getCollection('candidates'),
+    getCollection('interviews')
+  ]);
+
+  const [candidates, interviews] = await Promise.all([
+    candidatesCollection.find(
+      scopeQuery({
+        'metadata.isActive': true,
+        tasks: { $elemMatch: { status: TASK_STATUS.OPEN, assigneeRole: context.role } }
+      }, context.organizationId),
+      { projection: { personalInfo: 1, tasks: 1 } }
+    ).limit(SECTION_LIMIT).toArray(),
+
+    interviewsCollection.find(
+      scopeQuery({
+        'metadata.isActive': true,
+        status: { $ne: 'cancelled' },
+        scheduledDate: { $gte: new Date(now.getTime() - SCORECARD_LOOKBACK_MS), $lt: now }
+      }, context.organizationId)
+    ).sort({ scheduledDate: 1 }).toArray()
+  ]);
+
+  const tasks = candidates
+    .flatMap(candidate => (candidate.tasks || [])
+      .filter(task => task.status === TASK_STATUS.OPEN && task.assigneeRole === context.role)
+      .map(task => ({
+        candidateName: candidateName(candidate),
+        title: task.title,
+        dueAt: task.dueAt,
+        isOverdue: Boolean(task.dueAt && new Date(task.dueAt) < now),
+        link: appLink('candidate', candidate._id)
+      })))
+    .sort((a, b) => (a.dueAt ? new Date(a.dueAt).getTime() : Infinity) - (b.dueAt ? new Date(b.dueAt).getTime() : Infinity))
+    .slice(0, SECTION_LIMIT);
+
+  const assignment = { userId: context.userId, names: [context.name, context.email].filter(Boolean) };
+  const scorecards = interviews
+    .filter(interview => isInterviewAssignedTo(interview, assignment) && !hasSubmittedScorecard(interview, context.userId))
+    .slice(0, SECTION_LIMIT)
+    .map(interview => ({
+      candidateName: interview.candidateName || 'Unknown Candidate',
+      jobTitle: interview.jobTitle || null,
+      type: interview.type,
+      scheduledDate: interview.scheduledDate,
+      link: appLink('interview', interview._id)
+    }));
+
+  return { tasks, scorecards };
+}
+
+/**
+ * Summarizes stage changes on a user's jobs since the last digest
+ * @param {Array<Object>} jobs - The user's jobs
+ * @param {string} organizationId - Organization ID
+ * @param {Date} since - Start of the digest window
+ * @returns {Promise<Object>} { byStage: [{ stage, count }], moves: [{ candidateName, fromStage, toStage, timestamp, link }] }
+ * @private
+ */
+async function getPipelineMovement(jobs, organizationId, since) {
+  if (jobs.length === 0) {
+    return { byStage: [], moves: [] };
+  }
+
+  const candidatesCollection = await getCollection('candidates');
+  const [candidates, templates] = await Promise.all([
+    candidatesCollection.find(
+      scopeQuery({
+        'metadata.isActive': true,
+        'jobApplications.jobId': { $in: jobs.map(job => job._id) },
+        'pipelineInfo.stageHistory.timestamp': { $gte: since }
+      }, organizationId),
+      { projection: { personalInfo: 1, 'pipelineInfo.stageHistory': 1 } }
+    ).toArray(),
+    pipelineTemplateService.listTemplates(organizationId)
+  ]);
+
+  // Stage keys are shared across templates, so any template's label will do
+  const labels = new Map();
+  templates.forEach(template => template.stages.forEach(stage => {
+    if (!labels.has(stage.key)) labels.set(stage.key, stage.label);
+  }));
+  const stageLabel = key => labels.get(key) || key;
+
+  const moves = candidates
+    .flatMap(candidate => (candidate.pipelineInfo?.stageHistory || [])
+      // Outcome entries close a candidate without moving them
+      .filter(entry => entry.fromStage && entry.toStage && entry.fromStage !== entry.toStage && !entry.outcome)
+      .filter(entry => new Date(entry.timestamp) >= since)
+      .map(entry => ({
+        candidateName: candidateName(candidate),
+        fromStage: stageLabel(entry.fromStage),
+        toStage: stageLabel(entry.toStage),
+        timestamp: entry.timestamp,
+        link: appLink('candidate', candidate._id)
+      })))
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  const counts = new Map();
+  moves.forEach(move => counts.set(move.toStage, (counts.get(move.toStage) || 0) + 1));
+
+  return {
+    byStage: [...counts].map(([stage, count]) => ({ stage, count })).sort((a, b) => b.count - a.count),
+    moves: moves.slice(0, SECTION_LIMIT)
+  };
+}
+
+/**
+ * Builds a user's digest
+ * Sections for events the user turned off are left out; the organization
+ * overview is only included for people allowed to see the dashboard
+ * @param {Object} user - User document
+ * @param {Object} context - Team context of the user (see resolveTeamContext)
+ * @param {Object} window - { frequency, since } from getDigestWindow
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} Digest ({ recipientName, frequency, since, until, sections, notifications, digestEntryIds })
+ */
+export async function buildUserDigest(user, context, window, now = new Date()) {
+  const { organizationId } = context;
+  const { since } = window;
+
+  const jobsCollection = await getCollection('jobs');
+  const jobs = await jobsCollection.find(
+    scopeQuery({ createdBy: new ObjectId(context.userId), 'metadata.isActive': true }, organizationId),
+    { projection: { title: 1 } }
+  ).toArray();
+
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const assignment = { userId: context.userId, names: [context.name, context.email].filter(Boolean) };
+  const canViewAnalytics = hasPermission(context.role, 'canViewAnalytics');
+
+  const digests = await getNotificationDigestsCollection();
+
+  const [newApplicants, waitingOnYou, interviewStats, pipelineMovement, stats, activity, entries] = await Promise.all([
+    isEventOff(user, NOTIFICATION_EVENTS.CANDIDATE_APPLIED) ? null : getNewApplicants(jobs, organizationId, since),
+    getWaitingOnUser(context, now),
+    isEventOff(user, NOTIFICATION_EVENTS.INTERVIEW_REMINDER)
+      ? null
+      : interviewService.getInterviewStats(tomorrow, organizationId, assignment),
+    isEventOff(user, NOTIFICATION_EVENTS.STAGE_CHANGED) ? null : getPipelineMovement(jobs, organizationId, since),
+    canViewAnalytics ? getDashboardStats(organizationId, now) : null,
+    canViewAnalytics ? getRecentActivity(organizationId, { limit: 10, since }) : null,
+    digests.find({ userId: new ObjectId(user._id.toString()), sentAt: null }).sort({ createdAt: 1 }).toArray()
+  ]);
+
+  return {
+    recipientName: user.name || user.email,
+    frequency: window.frequency,
+    since,
+    until: now,
+    sections: {
+      newApplicants,
+      waitingOnYou,
+      interviewsTomorrow: interviewStats
+        ? interviewStats.interviews.map(interview => ({
+          time: interview.time,
+          candidateName: interview.candidateName,
+          jobTitle: interview.jobTitle || null,
+          type: interview.type,
+          duration: interview.duration,
+          link: appLink('interview', interview.id)
+        }))
+        : null,
+      pipelineMovement,
+      overview: stats ? { stats, activity } : null
+    },
+    notifications: entries.slice(-SECTION_LIMIT).map(entry => ({
+      summary: entry.summary,
+      link: entry.link,
+      createdAt: entry.createdAt
+    })),
+    digestEntryIds: entries.map(entry => entry._id)
+  };
+}
+
+/**
+ * Checks whether a digest has anything worth sending
+ * The organization overview alone is not news
+ * @param {Object} digest - Digest from buildUserDigest
+ * @returns {boolean} True if there is nothing to report
+ */
+export function isDigestEmpty(digest) {
+  const { newApplicants, waitingOnYou, interviewsTomorrow, pipelineMovement } = digest.sections;
+
+  return !newApplicants?.length &&
+    !waitingOnYou?.tasks.length &&
+    !waitingOnYou?.scorecards.length &&
+    !interviewsTomorrow?.length &&
+    !pipelineMovement?.moves.length &&
+    digest.notifications.length === 0;
+}
+
+/**
+ * Sends the digests that are due
+ * A user's digest is claimed by moving their lastDigestSentAt forward before
+ * anything is built, so two overlapping runs never send the same digest; the
+ * claim is released if building or sending fails
+ * @param {Object} [options] - { dryRun, email, now }
+ * @param {boolean} [options.dryRun] - Build the digests without sending them or marking anything sent
+ * @param {string} [options.email] - Only consider the user with this email address
+ * @param {Date} [options.now] - Reference time
+ * @returns {Promise<Object>} { checked, sent: [{ email, outboxId }], empty: [email], failed: [{ email, error }], digests }
+ */
+export async function sendDueDigests({ dryRun = false, email = null, now = new Date() } = {}) {
+  const usersCollection = await getUsersCollection();
+  const query = { digestFrequency: { $ne: DIGEST_FREQUENCIES.OFF }, email: { $exists: true } };
+  if (email) {
+    query.email = email.toLowerCase();
+  }
+
+  const users = await usersCollection.find(query, {
+    projection: { email: 1, name: 1, notificationPreferences: 1, digestFrequency: 1, lastDigestSentAt: 1 }
+  }).toArray();
+
+  const summary = { checked: users.length, sent: [], empty: [], failed: [], digests: [] };
+
+  for (const user of users) {
+    const window = getDigestWindow(user, now);
+    if (!window.due) {
+      continue;
+    }
+
+    const claim = { _id: user._id, lastDigestSentAt: user.lastDigestSentAt ?? null };
+
+    try {
+      if (!dryRun) {
+        const claimed = await usersCollection.updateOne(claim, { $set: { lastDigestSentAt: now } });
+        if (claimed.modifiedCount === 0) {
+          continue;
+        }
+      }
+
+      const context = await resolveTeamContext({ id: user._id.toString(), name: user.name, email: user.email });
+      const digest = await buildUserDigest(user, context, window, now);
+
+      if (dryRun) {
+        summary.digests.push({ email: user.email, digest });
+        continue;
+      }
+
+      if (isDigestEmpty(digest)) {
+        summary.empty.push(user.email);
+        continue;
+      }
+
+      const message = generateDigestEmail(digest);
+      const result = await sendEmail({
+        to: user.email,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        organizationId: context.organizationId
+      });
+
+      if (digest.digestEntryIds.length > 0) {
+        const digests = await getNotificationDigestsCollection();
+        await digests.updateMany({ _id: { $in: digest.digestEntryIds } }, { $set: { sentAt: now } });
+      }
+
+      summary.sent.push({ email: user.email, outboxId: result.outboxId });
+    } catch (error) {
+      if (!dryRun) {
+        await usersCollection.updateOne(
+          { _id: user._id, lastDigestSentAt: now },
+          claim.lastDigestSentAt ? { $set: { lastDigestSentAt: claim.lastDigestSentAt } } : { $unset: { lastDigestSentAt: '' } }
+        ).catch(() => {});
+      }
+      summary.failed.push({ email: user.email, error: error.message });
+    }
+  }
+
+  console.log(
+    `📬 Digests: ${summary.sent.length} sent to the outbox, ${summary.empty.length} with nothing to report, ` +
+    `${summary.failed.length} failed`
+  );
+
+  return summary;
+}
@@ -0,0 +1,165 @@
+/**
+ * Notification Dispatcher
+ * Delivers notification emails according to each recipient's preferences:
+ * immediately, queued for the digest, or not at all
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection, getUsersCollection } from '../mongodb.js';
+import { sendEmail } from '../email/email-service.js';
+import { getTeamDirectory } from '../team/invitation-db.js';
+import {
+  NOTIFICATION_EVENTS,
+  DELIVERY_MODES,
+  DIGEST_FREQUENCIES,
+  NOTIFICATION_DIGEST_INDEXES,
+  getDeliveryMode,
+  getDigestFrequency,
+  createDigestEntry
+} from './notification-models.js';
+
+/**
+ * Collection name for queued digest entries
+ */
+export const NOTIFICATION_DIGESTS_COLLECTION = 'notification_digests';
+
+/**
+ * Whether the digest queue indexes have been created in this process
+ */
+let digestIndexesReady = false;
+
+/**
+ * Gets the notification digest queue, creating its indexes on first use
+ * @returns {Promise<Collection>} MongoDB notification digests collection
+ */
+export async function getNotificationDigestsCollection() {
+  const collection = await getCollection(NOTIFICATION_DIGESTS_COLLECTION);
+
+  if (!digestIndexesReady) {
+    for (const indexSpec of NOTIFICATION_DIGEST_INDEXES) {
+      await collection.createIndex(indexSpec.key, indexSpec.options || {});
+    }
+    digestIndexesReady = true;
+  }
+
+  return collection;
+}
+
+/**
+ * Loads the accounts behind a list of recipients by user ID or email address
+ * @param {Array<Object>} recipients - [{ userId?, email? }]
+ * @returns {Promise<Object>} { byId: Map, byEmail: Map }
+ * @private
+ */
+async function loadRecipientAccounts(recipients) {
+  const ids = recipients
+    .filter(recipient => recipient.userId && ObjectId.isValid(recipient.userId.toString()))
+    .map(recipient => new ObjectId(recipient.userId.toString()));
+  const emails = recipients
+    .filter(recipient => !recipient.userId && recipient.email)
+    .map(recipient => recipient.email.toLowerCase());
+
+  const byId = new Map();
+  const byEmail = new Map();
+
+  if (ids.length === 0 && emails.length === 0) {
+    return { byId, byEmail };
+  }
+
+  const usersCollection = await getUsersCollection();
+  const users = await usersCollection.find(
+    { $or: [{ _id: { $in: ids } }, { email: { $in: emails } }] },
+    { projection: { email: 1, name: 1, notificationPreferences: 1, digestFrequency: 1 } }
+  ).toArray();
+
+  users.forEach(user => {
+    byId.set(user._id.toString(), user);
+    byEmail.set(user.email.toLowerCase(), user);
+  });
+
+  return { byId, byEmail };
+}
+
+/**
+ * Sends a notification to each recipient the way they asked to receive it
+ * Recipients with an account follow their saved preferences; people without
+ * one (candidates, invitees) always get the email straight away
+ * @param {string} event - NOTIFICATION_EVENTS value
+ * @param {Array<Object>} recipients - [{ userId?, email?, name? }]
+ * @param {Function} buildMessage - (recipient) => { subject, html, text, summary, link?, icalEvent?, replyTo? }
+ * @param {Object} [options] - { organizationId } the notification is sent for
+ * @returns {Promise<Object>} { sent: [{ email, outboxId }], queued: [email], skipped: [email], failed: [{ email, error }] }
+ */
+export async function dispatchNotification(event, recipients, buildMessage, { organizationId = null } = {}) {
+  if (!Object.values(NOTIFICATION_EVENTS).includes(event)) {
+    throw new Error(`Unknown notification event: ${event}`);
+  }
+
+  const results = { sent: [], queued: [], skipped: [], failed: [] };
+  const { byId, byEmail } = await loadRecipientAccounts(recipients);
+
+  for (const recipient of recipients) {
+    const user = recipient.userId
+      ? byId.get(recipient.userId.toString()) || null
+      : byEmail.get(recipient.email?.toLowerCase()) || null;
+    const email = user?.email || recipient.email;
+
+    if (!email) {
+      continue;
+    }
+
+    const mode = getDeliveryMode(user, event);
+
+    try {
+      // Digest entries for someone who turned the digest off would never be read
+      if (mode === DELIVERY_MODES.OFF ||
+        (mode === DELIVERY_MODES.DIGEST && getDigestFrequency(user) === DIGEST_FREQUENCIES.OFF)) {
+        results.skipped.push(email);
+        continue;
+      }
+
+      const message = buildMessage({ ...recipient, email, name: recipient.name || user?.name || email });
+
+      if (mode === DELIVERY_MODES.DIGEST) {
+        const digests = await getNotificationDigestsCollection();
+        await digests.insertOne(createDigestEntry(user, event, message));
+        results.queued.push(email);
+        continue;
+      }
+
+      const result = await sendEmail({
+        to: email,
+        subject: message.subject,
+        html: message.html,
+        text: message.text,
+        icalEvent: message.icalEvent,
+        replyTo: message.replyTo,
+        organizationId
+      });
+      results.sent.push({ email, outboxId: result.outboxId });
+    } catch (error) {
+      results.failed.push({ email, error: error.message });
+    }
+  }
+
+  console.log(
+    `🔔 ${event} notification: ${results.sent.length} sent to the outbox, ${results.queued.length} queued for digest, ` +
+    `${results.skipped.length} turned off, ${results.failed.length} failed`
+  );
+
+  return results;
+}
+
+/**
+ * Lists the members of an organization as notification recipients
+ * @param {string} organizationId - Organization ID
+ * @param {Object} [options] - { excludeUserId } to leave out the person who caused the event
+ * @returns {Promise<Array<Object>>} [{ userId, email, name }]
+ */
+export async function getTeamRecipients(organizationId, { excludeUserId = null } = {}) {
+  const directory = await getTeamDirectory(organizationId);
+
+  return directory
+    .filter(member => member.email && member.userId !== excludeUserId?.toString())
+    .map(member => ({ userId: member.userId, email: member.email, name: member.name }));
+}
@@ -0,0 +1,189 @@
+/**
+ * Notification Data Models
+ * Notification events, delivery modes and per-user preferences
+ */
+
+import { ObjectId } from 'mongodb';
+
+/**
+ * Events a user can receive emails about
+ */
+export const NOTIFICATION_EVENTS = {
+  CANDIDATE_APPLIED: 'candidate_applied',
+  INTERVIEW_CHANGED: 'interview_changed',
+  INTERVIEW_REMINDER: 'interview_reminder',
+  STAGE_CHANGED: 'stage_changed',
+  TEAM_INVITATION: 'team_invitation'
+};
+
+/**
+ * How a user receives an event
+ */
+export const DELIVERY_MODES = {
+  IMMEDIATE: 'immediate',
+  DIGEST: 'digest',
+  OFF: 'off'
+};
+
+/**
+ * Labels and descriptions shown on the settings page
+ */
+export const NOTIFICATION_EVENT_DETAILS = {
+  [NOTIFICATION_EVENTS.CANDIDATE_APPLIED]: {
+    label: 'New Candidates',
+    description: 'When someone applies to one of your jobs.'
+  },
+  [NOTIFICATION_EVENTS.INTERVIEW_CHANGED]: {
+    label: 'Interview Updates',
+    description: 'When an interview you are on is scheduled, changed or cancelled.'
+  },
+  [NOTIFICATION_EVENTS.INTERVIEW_REMINDER]: {
+    label: 'Interview Reminders',
+    description: 'A day and an hour before an interview you are on.'
+  },
+  [NOTIFICATION_EVENTS.STAGE_CHANGED]: {
+    label: 'Stage Changes',
+    description: 'When a candidate moves to another pipeline stage.'
+  },
+  [NOTIFICATION_EVENTS.TEAM_INVITATION]: {
+    label: 'Team Invitations',
+    description: 'When you are invited to join a team.'
+  }
+};
+
+/**
+ * Preferences for users who have not saved any
+ */
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  [NOTIFICATION_EVENTS.CANDIDATE_APPLIED]: DELIVERY_MODES.IMMEDIATE,
+  [NOTIFICATION_EVENTS.INTERVIEW_CHANGED]: DELIVERY_MODES.IMMEDIATE,
+  [NOTIFICATION_EVENTS.INTERVIEW_REMINDER]: DELIVERY_MODES.IMMEDIATE,
+  [NOTIFICATION_EVENTS.STAGE_CHANGED]: DELIVERY_MODES.DIGEST,
+  [NOTIFICATION_EVENTS.TEAM_INVITATION]: DELIVERY_MODES.IMMEDIATE
+};
+
+/**
+ * Fills in defaults for events a user has not chosen a delivery mode for
+ * Unknown events and modes stored on the user document are ignored
+ * @param {Object} [stored] - user.notificationPreferences
+ * @returns {Object} Delivery mode for every event
+ */
+export function normalizeNotificationPreferences(stored) {
+  const preferences = { ...DEFAULT_NOTIFICATION_PREFERENCES };
+  const modes = Object.values(DELIVERY_MODES);
+
+  Object.values(NOTIFICATION_EVENTS).forEach(event => {
+    if (stored && modes.includes(stored[event])) {
+      preferences[event] = stored[event];
+    }
+  });
+
+  return preferences;
+}
+
+/**
+ * Gets how a user wants to receive an event
+ * @param {Object|null} user - User document (null for people without an account)
+ * @param {string} event - NOTIFICATION_EVENTS value
+ * @returns {string} DELIVERY_MODES value
+ */
+export function getDeliveryMode(user, event) {
+  if (!user) {
+    return DELIVERY_MODES.IMMEDIATE;
+  }
+  return normalizeNotificationPreferences(user.notificationPreferences)[event];
+}
+
+/**
+ * How often a user receives the digest email
+ */
+export const DIGEST_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  OFF: 'off'
+};
+
+/**
+ * Digest frequency for users who have not chosen one
+ */
+export const DEFAULT_DIGEST_FREQUENCY = DIGEST_FREQUENCIES.DAILY;
+
+/**
+ * Time covered by each digest frequency
+ */
+export const DIGEST_PERIOD_MS = {
+  [DIGEST_FREQUENCIES.DAILY]: 24 * 60 * 60 * 1000,
+  [DIGEST_FREQUENCIES.WEEKLY]: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * A digest counts as due this long before its period is up, so a daily cron
+ * job that starts a few minutes early does not skip a day
+ */
+const DIGEST_DUE_TOLERANCE_MS = 60 * 60 * 1000;
+
+/**
+ * Gets how often a user receives the digest
+ * @param {Object|null} user - User document
+ * @returns {string} DIGEST_FREQUENCIES value
+ */
+export function getDigestFrequency(user) {
+  return Object.values(DIGEST_FREQUENCIES).includes(user?.digestFrequency)
+    ? user.digestFrequency
+    : DEFAULT_DIGEST_FREQUENCY;
+}
+
+/**
+ * Works out whether a user's digest is due and the time it covers
+ * The first digest covers one period; later ones pick up where the last left off
+ * @param {Object} user - User document ({ digestFrequency, lastDigestSentAt })
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { due, frequency, since }
+ */
+export function getDigestWindow(user, now = new Date()) {
+  const frequency = getDigestFrequency(user);
+
+  if (frequency === DIGEST_FREQUENCIES.OFF) {
+    return { due: false, frequency, since: null };
+  }
+
+  const period = DIGEST_PERIOD_MS[frequency];
+  const lastSentAt = user.lastDigestSentAt ? new Date(user.lastDigestSentAt) : null;
+
+  if (!lastSentAt) {
+    return { due: true, frequency, since: new Date(now.getTime() - period) };
+  }
+
+  return {
+    due: now.getTime() - lastSentAt.getTime() >= period - DIGEST_DUE_TOLERANCE_MS,
+    frequency,
+    since: lastSentAt
+  };
+}
+
+/**
+ * Creates a pending digest entry for a notification a user receives in their digest
+ * @param {Object} user - User document
+ * @param {string} event - NOTIFICATION_EVENTS value
+ * @param {Object} message - { subject, summary, link }
+ * @returns {Object} Digest entry document
+ */
+export function createDigestEntry(user, event, message) {
+  return {
+    userId: new ObjectId(user._id.toString()),
+    email: user.email,
+    event,
+    subject: message.subject,
+    summary: message.summary || message.subject,
+    link: message.link || null,
+    createdAt: new Date(),
+    sentAt: null
+  };
+}
+
+/**
+ * Database indexes for the notification digest queue
+ */
+export const NOTIFICATION_DIGEST_INDEXES = [
+  { key: { sentAt: 1, userId: 1, createdAt: 1 } }
+];
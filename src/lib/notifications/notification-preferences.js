@@ -0,0 +1,231 @@
+/**
+ * Notification Preferences Service
+ * Reads and saves how each user receives notification emails
+ */
+
+import { ObjectId } from 'mongodb';
+import { getUsersCollection } from '../mongodb.js';
+import {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_EVENT_DETAILS,
+  DELIVERY_MODES,
+  DIGEST_FREQUENCIES,
+  getDigestFrequency,
+  normalizeNotificationPreferences
+} from './notification-models.js';
+
+/**
+ * Notification preference errors
+ */
+export class NotificationPreferencesError extends Error {
+  constructor(message, field = null, code = 'NOTIFICATION_PREFERENCES_ERROR') {
+    super(message);
+    this.name = 'NotificationPreferencesError';
+    this.field = field;
+    this.code = code;
+  }
+}
+
+/**
+ * Validates a partial preferences update
+ * @param {Object} updates - { [event]: mode }
+ * @returns {Object} Validation result
+ */
+export function validateNotificationPreferences(updates) {
+  const errors = [];
+
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    errors.push({
+      field: null,
+      message: 'Preferences must be an object of event to delivery mode',
+      code: 'PREFERENCES_INVALID_TYPE'
+    });
+    return { isValid: false, errors };
+  }
+
+  const events = Object.values(NOTIFICATION_EVENTS);
+  const modes = Object.values(DELIVERY_MODES);
+
+  Object.entries(updates).forEach(([event, mode]) => {
+    if (!events.includes(event)) {
+      errors.push({
+        field: event,
+        message: `Unknown notification event: ${event}`,
+        code: 'EVENT_INVALID'
+      });
+    } else if (!modes.includes(mode)) {
+      errors.push({
+        field: event,
+        message: `Delivery mode must be one of: ${modes.join(', ')}`,
+        code: 'MODE_INVALID'
+      });
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a digest frequency
+ * @param {string} frequency - DIGEST_FREQUENCIES value
+ * @returns {Object} Validation result
+ */
+export function validateDigestFrequency(frequency) {
+  const frequencies = Object.values(DIGEST_FREQUENCIES);
+
+  if (!frequencies.includes(frequency)) {
+    return {
+      isValid: false,
+      errors: [{
+        field: 'digestFrequency',
+        message: `Digest frequency must be one of: ${frequencies.join(', ')}`,
+        code: 'DIGEST_FREQUENCY_INVALID'
+      }]
+    };
+  }
+
+  return { isValid: true, errors: [] };
+}
+
+/**
+ * Formats preferences with the event details the settings page renders
+ * @param {Object} user - User document ({ notificationPreferences, digestFrequency })
+ * @returns {Object} { preferences, events, modes, digestFrequency, digestFrequencies }
+ */
+function formatPreferencesResponse(user) {
+  return {
+    preferences: normalizeNotificationPreferences(user.notificationPreferences),
+    events: Object.values(NOTIFICATION_EVENTS).map(event => ({
+      event,
+      ...NOTIFICATION_EVENT_DETAILS[event]
+    })),
+    modes: Object.values(DELIVERY_MODES),
+    digestFrequency: getDigestFrequency(user),
+    digestFrequencies: Object.values(DIGEST_FREQUENCIES)
+  };
+}
+
+/**
+ * Gets a user's notification preferences, with defaults for unset events
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { preferences, events, modes, digestFrequency, digestFrequencies }
+ */
+export async function getNotificationPreferences(userId) {
+  try {
+    if (!userId || typeof userId !== 'string') {
+      throw new NotificationPreferencesError('User ID is required', null, 'USER_ID_REQUIRED');
+    }
+
+    const usersCollection = await getUsersCollection();
+    const user = await usersCollection.findOne(
+      { _id: new ObjectId(userId) },
+      { projection: { notificationPreferences: 1, digestFrequency: 1 } }
+    );
+
+    if (!user) {
+      throw new NotificationPreferencesError('User not found', null, 'USER_NOT_FOUND');
+    }
+
+    return formatPreferencesResponse(user);
+
+  } catch (error) {
+    if (error instanceof NotificationPreferencesError) {
+      throw error;
+    }
+
+    console.error('Get notification preferences failed:', error);
+    throw new NotificationPreferencesError(
+      'Failed to retrieve notification preferences. Please try again.',
+      null,
+      'SERVER_ERROR'
+    );
+  }
+}
+
+/**
+ * Updates some or all of a user's notification preferences
+ * @param {string} userId - User ID
+ * @param {Object} updates - { [event]: mode } (may be omitted when only the digest frequency changes)
+ * @param {string} [digestFrequency] - DIGEST_FREQUENCIES value
+ * @returns {Promise<Object>} { preferences, events, modes, digestFrequency, digestFrequencies }
+ */
+export async function updateNotificationPreferences(userId, updates, digestFrequency) {
+  try {
+    if (!userId || typeof userId !== 'string') {
+      throw new NotificationPreferencesError('User ID is required', null, 'USER_ID_REQUIRED');
+    }
+
+    const eventUpdates = updates === undefined && digestFrequency !== undefined ? {} : updates;
+
+    const validation = validateNotificationPreferences(eventUpdates);
+    if (digestFrequency !== undefined) {
+      validation.errors.push(...validateDigestFrequency(digestFrequency).errors);
+    }
+    if (validation.errors.length > 0) {
+      const firstError = validation.errors[0];
+      throw new NotificationPreferencesError(firstError.message, firstError.field, firstError.code);
+    }
+
+    const updateData = { updatedAt: new Date() };
+    Object.entries(eventUpdates).forEach(([event, mode]) => {
+      updateData[`notificationPreferences.${event}`] = mode;
+    });
+    if (digestFrequency !== undefined) {
+      updateData.digestFrequency = digestFrequency;
+    }
+
+    const usersCollection = await getUsersCollection();
+    const updatedUser = await usersCollection.findOneAndUpdate(
+      { _id: new ObjectId(userId) },
+      { $set: updateData },
+      { returnDocument: 'after', projection: { notificationPreferences: 1, digestFrequency: 1 } }
+    );
+
+    if (!updatedUser) {
+      throw new NotificationPreferencesError('User not found', null, 'USER_NOT_FOUND');
+    }
+
+    return formatPreferencesResponse(updatedUser);
+
+  } catch (error) {
+    if (error instanceof NotificationPreferencesError) {
+      throw error;
+    }
+
+    console.error('Notification preferences update failed:', error);
+    throw new NotificationPreferencesError(
+      'Failed to save notification preferences. Please try again.',
+      null,
+      'SERVER_ERROR'
+    );
+  }
+}
+
+/**
+ * Formats notification preference error for API response
+ * @param {Error} error - Error to format
+ * @returns {Object} Formatted error response
+ */
+export function formatNotificationPreferencesError(error) {
+  if (error instanceof NotificationPreferencesError) {
+    return {
+      success: false,
+      error: {
+        message: error.message,
+        field: error.field,
+        code: error.code
+      }
+    };
+  }
+
+  return {
+    success: false,
+    error: {
+      message: 'Notification preferences operation failed. Please try again.',
+      code: 'UNKNOWN_ERROR'
+    }
+  };
+}
@@ -0,0 +1,24 @@
+/**
+ * Request Context
+ * Reads who is calling (device and IP address) from the request being
+ * handled, for code that isn't handed the request itself
+ */
+
+import { headers } from 'next/headers';
+import { getClientIp } from './auth/attempt-limiter.js';
+
+/**
+ * Reads the device and IP address of the request being handled
+ * @returns {Promise<Object>} { userAgent, ipAddress }, empty outside a request (workers, scripts, tests)
+ */
+export async function readRequestContext() {
+  try {
+    const requestHeaders = await headers();
+    return {
+      userAgent: requestHeaders.get('user-agent'),
+      ipAddress: getClientIp({ headers: requestHeaders })
+    };
+  } catch (error) {
+    return {};
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Property-Based Tests for Organization Scope
+ * Feature: multi-tenant-organizations, Property 1: Queries Never Cross Organizations
+ * Validates: Requirements 2.1, 2.2
+ */
+
+import fc from 'fast-check';
+import { ObjectId } from 'mongodb';
+import {
+  scopeQuery,
+  scopeDocument,
+  belongsToOrganization,
+  toOrganizationObjectId,
+  getSessionOrganizationId,
+  OrganizationScopeError
+} from '../organization-scope.js';
+
+// Helper generators for valid data
+const validObjectIdGen = () => fc.string().map(() => new ObjectId().toString());
+
+const queryGen = () => fc.dictionary(
+  fc.string({ minLength: 1, maxLength: 20 }).filter(key => key !== 'organizationId' && key !== '__proto__'),
+  fc.oneof(fc.string(), fc.integer(), fc.boolean())
+);
+
+const invalidOrganizationIdGen = () => fc.oneof(
+  fc.constant(null),
+  fc.constant(undefined),
+  fc.constant(''),
+  fc.integer(),
+  fc.string({ maxLength: 10 })
+);
+
+describe('Organization Scope Property Tests', () => {
+
+  /**
+   * Property 1: Queries Never Cross Organizations
+   * For any query and organization, the scoped query should keep every original
+   * condition and only match documents owned by that organization.
+   */
+  describe('Property 1: Queries Never Cross Organizations', () => {
+
+    test('scoped queries keep original conditions and pin the organization', () => {
+      fc.assert(
+        fc.property(
+          queryGen(),
+          validObjectIdGen(),
+          (query, organizationId) => {
+            const scoped = scopeQuery(query, organizationId);
+
+            expect(scoped.organizationId).toBeInstanceOf(ObjectId);
+            expect(scoped.organizationId.toString()).toBe(organizationId);
+
+            for (const [key, value] of Object.entries(query)) {
+              expect(scoped[key]).toBe(value);
+            }
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('scoping overrides any organization supplied by the caller', () => {
+      fc.assert(
+        fc.property(
+          validObjectIdGen(),
+          validObjectIdGen(),
+          (foreignOrganizationId, organizationId) => {
+            const scoped = scopeQuery({ organizationId: foreignOrganizationId }, organizationId);
+
+            expect(scoped.organizationId.toString()).toBe(organizationId);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('scoping does not mutate the original query', () => {
+      const query = { 'metadata.isActive': true };
+      scopeQuery(query, new ObjectId().toString());
+
+      expect(query).toEqual({ 'metadata.isActive': true });
+    });
+
+    test('refuses to build a query without a valid organization', () => {
+      fc.assert(
+        fc.property(
+          invalidOrganizationIdGen().filter(value => typeof value !== 'string' || !ObjectId.isValid(value)),
+          (organizationId) => {
+            expect(() => scopeQuery({}, organizationId)).toThrow(OrganizationScopeError);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe('Document ownership', () => {
+
+    test('stamped documents belong only to their organization', () => {
+      fc.assert(
+        fc.property(
+          validObjectIdGen(),
+          validObjectIdGen(),
+          (organizationId, otherOrganizationId) => {
+            const document = scopeDocument({ name: 'Test' }, organizationId);
+
+            expect(document.name).toBe('Test');
+            expect(belongsToOrganization(document, organizationId)).toBe(true);
+            expect(belongsToOrganization(document, new ObjectId(organizationId))).toBe(true);
+            expect(belongsToOrganization(document, otherOrganizationId)).toBe(
+              organizationId === otherOrganizationId
+            );
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    test('unscoped documents belong to no organization', () => {
+      expect(belongsToOrganization({ name: 'Legacy' }, new ObjectId().toString())).toBe(false);
+      expect(belongsToOrganization(null, new ObjectId().toString())).toBe(false);
+    });
+
+    test('converts organization IDs to ObjectIds', () => {
+      const objectId = new ObjectId();
+
+      expect(toOrganizationObjectId(objectId)).toBe(objectId);
+      expect(toOrganizationObjectId(objectId.toString()).equals(objectId)).toBe(true);
+    });
+  });
+
+  describe('Session resolution', () => {
+
+    test('requires a signed-in user', async () => {
+      for (const session of [null, {}, { user: {} }, { user: { id: '' } }]) {
+        await expect(getSessionOrganizationId(session)).rejects.toMatchObject({
+          name: 'OrganizationScopeError',
+          code: 'AUTH_REQUIRED',
+          statusCode: 401
+        });
+      }
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Authorization
+ * Resolves the caller's team membership and role from the session and
+ * enforces ROLE_PERMISSIONS for API routes
+ */
+
+import { TEAM_ROLES, validateTeamRole, hasPermission, getRolePermissions } from './invitation-models.js';
+import { findActiveMembership } from './organization-scope.js';
+import { getOrganizationSettings, getEmailDomain } from './organization-settings.js';
+
+/**
+ * Human readable descriptions used in 403 messages
+ */
+const PERMISSION_DESCRIPTIONS = {
+  canInviteMembers: 'invite team members',
+  canManageJobs: 'manage jobs',
+  canViewJobs: 'view jobs',
+  canManageCandidates: 'manage candidates',
+  canViewCandidates: 'view candidates',
+  canAddCandidateNotes: 'add candidate notes',
+  canScheduleInterviews: 'schedule interviews',
+  canViewAllInterviews: 'view all interviews',
+  canManageTeam: 'manage the team',
+  canViewAnalytics: 'view analytics'
+};
+
+/**
+ * Authorization error class
+ */
+export class AuthorizationError extends Error {
+  constructor(message, code = 'FORBIDDEN', statusCode = 403, permission = null, role = null) {
+    super(message);
+    this.name = 'AuthorizationError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.permission = permission;
+    this.role = role;
+  }
+}
+
+/**
+ * Resolves the organization, role and permissions a user acts with
+ * Members act with the role they were invited with; users without a membership
+ * own their organization and act as its Admin
+ * @param {Object} user - Session user ({ id, name, email })
+ * @returns {Promise<Object>} Team context
+ */
+export async function resolveTeamContext(user) {
+  const membership = await findActiveMembership(user?.id);
+
+  const role = membership
+    ? (validateTeamRole(membership.role) ? membership.role : TEAM_ROLES.INTERVIEWER)
+    : TEAM_ROLES.ADMIN;
+
+  return {
+    userId: user.id.toString(),
+    name: user.name || null,
+    email: user.email || null,
+    organizationId: membership ? membership.organizationId.toString() : user.id.toString(),
+    isOrganizationOwner: !membership,
+    role,
+    permissions: getRolePermissions(role)
+  };
+}
+
+/**
+ * Throws unless the team context grants a permission
+ * @param {Object} context - Team context from resolveTeamContext
+ * @param {string} permission - Permission key from ROLE_PERMISSIONS
+ * @throws {AuthorizationError} If the role lacks the permission
+ */
+export function requirePermission(context, permission) {
+  if (!hasPermission(context.role, permission)) {
+    const description = PERMISSION_DESCRIPTIONS[permission] || 'perform this action';
+    throw new AuthorizationError(
+      `Your role (${context.role}) does not have permission to ${description}`,
+      'FORBIDDEN',
+      403,
+      permission,
+      context.role
+    );
+  }
+}
+
+/**
+ * Throws when the organization requires two-factor authentication and the
+ * signed-in password account has not set it up
+ * Google and SSO accounts are left to their identity provider's own 2-step verification
+ * @param {Object} sessionUser - Session user ({ provider, twoFactorEnabled })
+ * @param {Object} context - Team context
+ * @param {Object} [settings] - Organization settings, when already loaded
+ * @throws {AuthorizationError} If the account still has to enroll
+ */
+export async function requireTwoFactorPolicy(sessionUser, context, settings = null) {
+  if (sessionUser.provider !== 'credentials' || sessionUser.twoFactorEnabled) {
+    return;
+  }
+
+  settings = settings || await getOrganizationSettings(context.organizationId);
+
+  if (settings.requireTwoFactor) {
+    throw new AuthorizationError(
+      'Your organization requires two-factor authentication. Set it up under Settings > Security to continue.',
+      'TWO_FACTOR_REQUIRED',
+      403
+    );
+  }
+}
+
+/**
+ * Throws when the organization requires single sign-on for the signed-in
+ * user's email domain and they signed in some other way
+ * Covers sessions that started before SSO was required
+ * @param {Object} sessionUser - Session user ({ provider, email })
+ * @param {Object} settings - Organization settings
+ * @throws {AuthorizationError} If the user has to sign in again with SSO
+ */
+export function requireSsoPolicy(sessionUser, settings) {
+  if (sessionUser.provider === 'sso' || !settings.sso.enforced) {
+    return;
+  }
+
+  if (settings.sso.verifiedDomains.includes(getEmailDomain(sessionUser.email))) {
+    throw new AuthorizationError(
+      'Your organization requires single sign-on. Sign out and sign in again with SSO to continue.',
+      'SSO_REQUIRED',
+      403
+    );
+  }
+}
+
+/**
+ * Resolves the team context for the signed-in user and checks a permission
+ * @param {Object|null} session - NextAuth session
+ * @param {string} [permission] - Permission key required for the request
+ * @returns {Promise<Object>} Team context
+ * @throws {AuthorizationError} If there is no signed-in user, the organization's
+ * single sign-on or two-factor requirement is not met or the permission is missing
+ */
+export async function authorizeSession(session, permission) {
+  if (!session || !session.user || !session.user.id) {
+    throw new AuthorizationError('Authentication required', 'AUTH_REQUIRED', 401);
+  }
+
+  const context = await resolveTeamContext(session.user);
+
+  // SSO sign-ins already meet the organization's sign-in policies
+  if (session.user.provider !== 'sso') {
+    const settings = await getOrganizationSettings(context.organizationId);
+    requireSsoPolicy(session.user, settings);
+    await requireTwoFactorPolicy(session.user, context, settings);
+  }
+
+  if (permission) {
+    requirePermission(context, permission);
+  }
+
+  return context;
+}
+
+/**
+ * Builds the interview assignment a context is limited to
+ * @param {Object} context - Team context
+ * @returns {Object|null} Assignment filter, or null when all interviews are visible
+ */
+export function getInterviewAssignment(context) {
+  if (hasPermission(context.role, 'canViewAllInterviews')) {
+    return null;
+  }
+
+  return {
+    userId: context.userId,
+    names: [context.name, context.email].filter(Boolean)
+  };
+}
+
+/**
+ * Describes the signed-in user as a scorecard author and reader
+ * @param {Object} context - Team context
+ * @returns {Object} { userId, name, names } matched against interview panels
+ */
+export function getScorecardViewer(context) {
+  return {
+    userId: context.userId,
+    name: context.name || context.email || '',
+    names: [context.name, context.email].filter(Boolean)
+  };
+}
+
+/**
+ * Formats an authorization error as the response body shared by every route
+ * @param {AuthorizationError} error - Authorization error
+ * @returns {Object} Response body
+ */
+export function formatAuthorizationError(error) {
+  return {
+    success: false,
+    error: error.message,
+    code: error.code,
+    permission: error.permission,
+    role: error.role
+  };
+}
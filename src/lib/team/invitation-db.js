@@ -10,6 +10,7 @@ import {
   TEAM_MEMBER_INDEXES,
   INVITATION_STATUS,
   MEMBER_STATUS,
+  TEAM_ROLES,
   isInvitationExpired
 } from './invitation-models.js';
 
@@ -263,17 +264,15 @@ export async function deleteOldExpiredInvitations(daysOld = 30) {
  * Deletes an invitation by ID and organization
  * @param {ObjectId} invitationId - Invitation ID
  * @param {ObjectId} organizationId - Organization ID
- * @returns {Promise<boolean>} True if deleted, false if not found
+ * @returns {Promise<Object|null>} Deleted invitation, or null if not found
  */
 export async function deleteInvitation(invitationId, organizationId) {
   try {
     const collection = await getCollection(COLLECTIONS.INVITATIONS);
-    const result = await collection.deleteOne({
+    return await collection.findOneAndDelete({
       _id: new ObjectId(invitationId),
       organizationId: new ObjectId(organizationId)
     });
-
-    return result.deletedCount > 0;
   } catch (error) {
     console.error('Error deleting invitation:', error);
     throw new Error(`Failed to delete invitation: ${error.message}`);
@@ -556,4 +555,46 @@ export async function getTeamStatistics(organizationId) {
     console.error('Error getting team statistics:', error);
     throw new Error(`Failed to get team statistics: ${error.message}`);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Lists everyone who works in an organization: its owner (whose user ID is
+ * the organization ID) and its active members
+ * @param {ObjectId|string} organizationId - Organization ID
+ * @returns {Promise<Array>} People ({ userId, name, email, role }) sorted by name
+ */
+export async function getTeamDirectory(organizationId) {
+  try {
+    const orgId = new ObjectId(organizationId);
+    const [membersCollection, usersCollection] = await Promise.all([
+      getCollection(COLLECTIONS.MEMBERS),
+      getCollection('users')
+    ]);
+
+    const members = await membersCollection.find({
+      organizationId: orgId,
+      status: MEMBER_STATUS.ACTIVE,
+      'metadata.isActive': { $ne: false }
+    }).toArray();
+
+    const roles = new Map(members.map(member => [member.userId.toString(), member.role]));
+    roles.set(orgId.toString(), TEAM_ROLES.ADMIN);
+
+    const users = await usersCollection.find(
+      { _id: { $in: [...roles.keys()].map(id => new ObjectId(id)) } },
+      { projection: { name: 1, email: 1 } }
+    ).toArray();
+
+    return users
+      .map(user => ({
+        userId: user._id.toString(),
+        name: user.name || user.email,
+        email: user.email,
+        role: roles.get(user._id.toString())
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Error getting team directory:', error);
+    throw new Error(`Failed to get team directory: ${error.message}`);
+  }
+}
@@ -40,24 +40,36 @@ export const ROLE_PERMISSIONS = {
   [TEAM_ROLES.ADMIN]: {
     canInviteMembers: true,
     canManageJobs: true,
+    canViewJobs: true,
     canManageCandidates: true,
+    canViewCandidates: true,
+    canAddCandidateNotes: true,
     canScheduleInterviews: true,
+    canViewAllInterviews: true,
     canManageTeam: true,
     canViewAnalytics: true
   },
   [TEAM_ROLES.RECRUITER]: {
     canInviteMembers: false,
     canManageJobs: true,
+    canViewJobs: true,
     canManageCandidates: true,
+    canViewCandidates: true,
+    canAddCandidateNotes: true,
     canScheduleInterviews: true,
+    canViewAllInterviews: true,
     canManageTeam: false,
     canViewAnalytics: true
   },
   [TEAM_ROLES.INTERVIEWER]: {
     canInviteMembers: false,
     canManageJobs: false,
+    canViewJobs: true,
     canManageCandidates: false,
+    canViewCandidates: true,
+    canAddCandidateNotes: true,
     canScheduleInterviews: true,
+    canViewAllInterviews: false,
     canManageTeam: false,
     canViewAnalytics: false
   }
@@ -0,0 +1,142 @@
+/**
+ * Organization Scope
+ * Shared query guard that keeps candidates, jobs, applications and interviews
+ * inside the organization (tenant) they belong to
+ */
+
+import { ObjectId } from 'mongodb';
+import { getCollection } from '../mongodb.js';
+import { COLLECTIONS } from './invitation-db.js';
+import { MEMBER_STATUS } from './invitation-models.js';
+
+/**
+ * Organization scope error class
+ */
+export class OrganizationScopeError extends Error {
+  constructor(message, code = 'ORGANIZATION_SCOPE_ERROR', statusCode = 403) {
+    super(message);
+    this.name = 'OrganizationScopeError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Converts an organization ID to an ObjectId, refusing to continue without one
+ * @param {string|ObjectId} organizationId - Organization ID
+ * @returns {ObjectId} Organization ObjectId
+ * @throws {OrganizationScopeError} If the organization ID is missing or invalid
+ */
+export function toOrganizationObjectId(organizationId) {
+  if (organizationId instanceof ObjectId) {
+    return organizationId;
+  }
+
+  if (!organizationId || typeof organizationId !== 'string' || !ObjectId.isValid(organizationId)) {
+    throw new OrganizationScopeError(
+      'A valid organization is required for this operation',
+      'ORGANIZATION_REQUIRED',
+      403
+    );
+  }
+
+  return new ObjectId(organizationId);
+}
+
+/**
+ * Restricts a MongoDB query (or $match stage) to a single organization
+ * @param {Object} query - Query to scope
+ * @param {string|ObjectId} organizationId - Organization ID
+ * @returns {Object} New query that only matches documents of the organization
+ */
+export function scopeQuery(query = {}, organizationId) {
+  return {
+    ...query,
+    organizationId: toOrganizationObjectId(organizationId)
+  };
+}
+
+/**
+ * Stamps a new document with the organization that owns it
+ * @param {Object} document - Document about to be inserted
+ * @param {string|ObjectId} organizationId - Organization ID
+ * @returns {Object} Document with organizationId set
+ */
+export function scopeDocument(document, organizationId) {
+  return {
+    ...document,
+    organizationId: toOrganizationObjectId(organizationId)
+  };
+}
+
+/**
+ * Checks whether a loaded document belongs to an organization
+ * @param {Object} document - Document with an organizationId field
+ * @param {string|ObjectId} organizationId - Organization ID
+ * @returns {boolean} True if the document belongs to the organization
+ */
+export function belongsToOrganization(document, organizationId) {
+  if (!document || !document.organizationId || !organizationId) {
+    return false;
+  }
+
+  return document.organizationId.toString() === organizationId.toString();
+}
+
+/**
+ * Finds the team membership a user currently works under
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Most recent active membership or null
+ */
+export async function findActiveMembership(userId) {
+  if (!userId || !ObjectId.isValid(userId)) {
+    throw new OrganizationScopeError(
+      'Authentication required',
+      'AUTH_REQUIRED',
+      401
+    );
+  }
+
+  const membersCollection = await getCollection(COLLECTIONS.MEMBERS);
+  return membersCollection.findOne(
+    {
+      userId: new ObjectId(userId),
+      status: MEMBER_STATUS.ACTIVE,
+      'metadata.isActive': { $ne: false }
+    },
+    { sort: { joinedAt: -1 }, projection: { organizationId: 1, role: 1 } }
+  );
+}
+
+/**
+ * Resolves the organization a user works in
+ * Users who joined a team through an invitation work in that team's organization;
+ * everyone else owns an organization keyed by their own user ID
+ * @param {string} userId - User ID
+ * @returns {Promise<string>} Organization ID
+ */
+export async function resolveOrganizationId(userId) {
+  const membership = await findActiveMembership(userId);
+
+  return membership?.organizationId
+    ? membership.organizationId.toString()
+    : userId.toString();
+}
+
+/**
+ * Resolves the organization for the signed-in user of a request
+ * @param {Object|null} session - NextAuth session
+ * @returns {Promise<string>} Organization ID
+ * @throws {OrganizationScopeError} If there is no signed-in user
+ */
+export async function getSessionOrganizationId(session) {
+  if (!session || !session.user || !session.user.id) {
+    throw new OrganizationScopeError(
+      'Authentication required',
+      'AUTH_REQUIRED',
+      401
+    );
+  }
+
+  return resolveOrganizationId(session.user.id);
+}
@@ -0,0 +1,626 @@
+/**
+ * Organization Settings
+ * Policies an organization's Admins set for every member, such as requiring
+ * two-factor authentication or signing in through the organization's own
+ * identity provider. Organizations without saved settings use the defaults
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import { ObjectId } from 'mongodb';
+import { getCollection } from '../mongodb.js';
+import { getEnvConfig } from '../env.js';
+import { isPrivateAddress, allowsLocalIdentityProviders } from '../auth/oidc.js';
+import { TEAM_ROLES } from './invitation-models.js';
+
+/**
+ * Collection name for organization settings
+ */
+export const ORGANIZATION_SETTINGS_COLLECTION = 'organization_settings';
+
+/**
+ * Roles single sign-on can give the people it adds to the team
+ * Admins are only ever made by invitation
+ */
+export const SSO_DEFAULT_ROLES = [TEAM_ROLES.RECRUITER, TEAM_ROLES.INTERVIEWER];
+
+/**
+ * Most email domains one organization's single sign-on can cover
+ */
+export const SSO_MAX_DOMAINS = 20;
+
+/**
+ * DNS TXT record that proves an organization owns an email domain
+ * The record is named `_nexus-ats.<domain>` and holds `nexus-ats-verification=<token>`
+ */
+export const SSO_DOMAIN_RECORD_PREFIX = '_nexus-ats';
+export const SSO_DOMAIN_RECORD_VALUE_PREFIX = 'nexus-ats-verification=';
+
+/**
+ * Single sign-on settings for organizations that have not set it up
+ */
+export const DEFAULT_SSO_SETTINGS = {
+  enabled: false,
+  issuer: null,
+  clientId: null,
+  allowedDomains: [],
+  verifiedDomains: [],
+  defaultRole: TEAM_ROLES.INTERVIEWER,
+  enforced: false
+};
+
+/**
+ * Settings for organizations that have not saved any
+ */
+export const DEFAULT_ORGANIZATION_SETTINGS = {
+  requireTwoFactor: false,
+  sso: DEFAULT_SSO_SETTINGS
+};
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+// Reserved for testing, so nobody can own them; development verifies them without DNS
+const TEST_DOMAIN_SUFFIX = '.test';
+
+/**
+ * Organization settings errors
+ */
+export class OrganizationSettingsError extends Error {
+  constructor(message, code = 'ORGANIZATION_SETTINGS_ERROR', statusCode = 500) {
+    super(message);
+    this.name = 'OrganizationSettingsError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Whether the settings indexes have been created in this process
+ */
+let settingsIndexReady = false;
+
+/**
+ * Gets the organization settings collection, creating its indexes on first use
+ * @returns {Promise<Collection>} MongoDB organization settings collection
+ */
+export async function getOrganizationSettingsCollection() {
+  const collection = await getCollection(ORGANIZATION_SETTINGS_COLLECTION);
+
+  if (!settingsIndexReady) {
+    await collection.createIndex({ organizationId: 1 }, { unique: true });
+    await collection.createIndex({ 'sso.allowedDomains': 1 });
+    settingsIndexReady = true;
+  }
+
+  return collection;
+}
+
+/**
+ * Derives the key client secrets are encrypted with
+ * @returns {Buffer} 256-bit key
+ * @private
+ */
+function getSecretKey() {
+  return crypto.createHash('sha256').update(`organization-settings:${getEnvConfig().NEXTAUTH_SECRET}`).digest();
+}
+
+/**
+ * Encrypts a client secret for storage (AES-256-GCM)
+ * @param {string} secret - Client secret
+ * @returns {string} iv:tag:ciphertext in base64
+ * @private
+ */
+function encryptSettingsSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getSecretKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypts a stored client secret
+ * @param {string} stored - Value from encryptSettingsSecret
+ * @returns {string} Client secret
+ * @private
+ */
+function decryptSettingsSecret(stored) {
+  const [iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getSecretKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Gets the domain of an email address
+ * @param {string} email - Email address
+ * @returns {string|null} Lowercase domain, or null without one
+ */
+export function getEmailDomain(email) {
+  if (typeof email !== 'string') {
+    return null;
+  }
+
+  const at = email.lastIndexOf('@');
+  const domain = at >= 0 ? email.slice(at + 1).trim().toLowerCase() : '';
+  return domain || null;
+}
+
+/**
+ * Gets the DNS record an organization publishes to prove it owns a domain
+ * The token is derived from the organization and the domain, so each
+ * organization's record is different and nothing has to be stored for it
+ * @param {string} organizationId - Organization ID
+ * @param {string} domain - Email domain
+ * @returns {Object} { name, value } of the TXT record
+ */
+export function getDomainVerificationRecord(organizationId, domain) {
+  const token = crypto.createHmac('sha256', getSecretKey())
+    .update(`sso-domain:${organizationId.toString()}:${domain}`)
+    .digest('base64url')
+    .slice(0, 32);
+
+  return {
+    name: `${SSO_DOMAIN_RECORD_PREFIX}.${domain}`,
+    value: `${SSO_DOMAIN_RECORD_VALUE_PREFIX}${token}`
+  };
+}
+
+/**
+ * Describes each of an organization's SSO domains for its Admins: whether it
+ * is verified and the record that verifies it
+ * @param {string} organizationId - Organization ID
+ * @param {Object} sso - Normalized SSO settings
+ * @returns {Array<Object>} [{ domain, verified, recordName, recordValue }]
+ */
+export function describeSsoDomains(organizationId, sso) {
+  return sso.allowedDomains.map(domain => {
+    const record = getDomainVerificationRecord(organizationId, domain);
+    return {
+      domain,
+      verified: sso.verifiedDomains.includes(domain),
+      recordName: record.name,
+      recordValue: record.value
+    };
+  });
+}
+
+/**
+ * Checks an OpenID Connect issuer URL
+ * Issuers must use HTTPS and can't be a loopback or private address. In
+ * development one running on this machine over HTTP (such as the mock
+ * issuer) is allowed too
+ * @param {string} value - Issuer URL
+ * @returns {boolean} True when it can be used
+ */
+export function isValidIssuerUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+
+  if (url.search || url.hash || url.username || url.password) {
+    return false;
+  }
+
+  const isLocal = LOCAL_HOSTNAMES.includes(url.hostname) || isPrivateAddress(url.hostname);
+  if (allowsLocalIdentityProviders()) {
+    return url.protocol === 'https:' || (url.protocol === 'http:' && LOCAL_HOSTNAMES.includes(url.hostname));
+  }
+  return url.protocol === 'https:' && !isLocal;
+}
+
+/**
+ * Fills in defaults for single sign-on settings; the client secret is never
+ * included, only whether one is saved
+ * @param {Object|null} stored - Saved SSO settings
+ * @returns {Object} SSO settings
+ */
+export function normalizeSsoSettings(stored) {
+  const enabled = stored?.enabled === true;
+  const allowedDomains = Array.isArray(stored?.allowedDomains) ? stored.allowedDomains : [];
+  const verifications = Array.isArray(stored?.domainVerifications) ? stored.domainVerifications : [];
+
+  return {
+    enabled,
+    issuer: stored?.issuer || null,
+    clientId: stored?.clientId || null,
+    hasClientSecret: Boolean(stored?.clientSecret),
+    allowedDomains,
+    // Only domains the organization proved it owns sign anyone in
+    verifiedDomains: allowedDomains.filter(domain => verifications.some(entry => entry.domain === domain && entry.verifiedAt)),
+    defaultRole: SSO_DEFAULT_ROLES.includes(stored?.defaultRole) ? stored.defaultRole : DEFAULT_SSO_SETTINGS.defaultRole,
+    enforced: enabled && stored?.enforced === true
+  };
+}
+
+/**
+ * Fills in defaults for settings an organization has not saved
+ * @param {Object|null} stored - Settings document
+ * @returns {Object} Settings
+ */
+export function normalizeOrganizationSettings(stored) {
+  return {
+    requireTwoFactor: typeof stored?.requireTwoFactor === 'boolean'
+      ? stored.requireTwoFactor
+      : DEFAULT_ORGANIZATION_SETTINGS.requireTwoFactor,
+    sso: normalizeSsoSettings(stored?.sso)
+  };
+}
+
+/**
+ * Reads an optional text setting; blank clears it
+ * @param {*} value - Submitted value
+ * @param {string} field - Setting name
+ * @param {number} maxLength - Longest allowed value
+ * @returns {string|null} Trimmed text
+ * @private
+ */
+function readTextSetting(value, field, maxLength) {
+  if (value === null) {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    throw new OrganizationSettingsError(`${field} must be text`, 'INVALID_SETTINGS', 400);
+  }
+
+  const text = value.trim();
+  if (text.length > maxLength) {
+    throw new OrganizationSettingsError(`${field} must be at most ${maxLength} characters`, 'INVALID_SETTINGS', 400);
+  }
+  return text || null;
+}
+
+/**
+ * Validates changes to the single sign-on settings against the saved ones
+ * SSO can only be turned on once the issuer, client and domains are all set
+ * and at least one domain is verified, and only required while it is on;
+ * turning it off stops requiring it. Removing a domain forgets its verification
+ * @param {Object|null} stored - Saved SSO settings (with the encrypted secret)
+ * @param {Object} updates - { enabled?, issuer?, clientId?, clientSecret?, allowedDomains?, defaultRole?, enforced? }
+ * @returns {Object} SSO settings to save; clientSecret is only present when a new one was given
+ * @throws {OrganizationSettingsError} If a value is invalid
+ */
+export function validateSsoSettingsUpdate(stored, updates) {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    throw new OrganizationSettingsError('SSO settings must be an object', 'INVALID_SETTINGS', 400);
+  }
+
+  const current = normalizeSsoSettings(stored);
+  const next = {
+    enabled: current.enabled,
+    issuer: current.issuer,
+    clientId: current.clientId,
+    allowedDomains: current.allowedDomains,
+    defaultRole: current.defaultRole,
+    enforced: current.enforced
+  };
+
+  if (updates.issuer !== undefined) {
+    next.issuer = readTextSetting(updates.issuer, 'Issuer', 500);
+    if (next.issuer && !isValidIssuerUrl(next.issuer)) {
+      throw new OrganizationSettingsError(
+        'Issuer must be a public HTTPS URL without a query string',
+        'INVALID_ISSUER',
+        400
+      );
+    }
+  }
+
+  if (updates.clientId !== undefined) {
+    next.clientId = readTextSetting(updates.clientId, 'Client ID', 255);
+  }
+
+  // A blank secret keeps the saved one, so Admins don't have to re-enter it
+  if (updates.clientSecret !== undefined && updates.clientSecret !== null) {
+    const clientSecret = readTextSetting(updates.clientSecret, 'Client secret', 1024);
+    if (clientSecret) {
+      next.clientSecret = clientSecret;
+    }
+  }
+
+  if (updates.allowedDomains !== undefined) {
+    if (!Array.isArray(updates.allowedDomains)) {
+      throw new OrganizationSettingsError('allowedDomains must be a list of domains', 'INVALID_SETTINGS', 400);
+    }
+
+    const domains = updates.allowedDomains.map(domain => String(domain).trim().toLowerCase().replace(/^@/, ''));
+    const invalid = domains.find(domain => !DOMAIN_PATTERN.test(domain));
+    if (invalid !== undefined) {
+      throw new OrganizationSettingsError(`"${invalid}" is not a valid email domain`, 'INVALID_DOMAIN', 400);
+    }
+
+    next.allowedDomains = [...new Set(domains)];
+    if (next.allowedDomains.length > SSO_MAX_DOMAINS) {
+      throw new OrganizationSettingsError(`At most ${SSO_MAX_DOMAINS} domains can use single sign-on`, 'INVALID_DOMAIN', 400);
+    }
+
+    next.domainVerifications = (stored?.domainVerifications || [])
+      .filter(entry => next.allowedDomains.includes(entry.domain));
+  }
+
+  if (updates.defaultRole !== undefined) {
+    if (!SSO_DEFAULT_ROLES.includes(updates.defaultRole)) {
+      throw new OrganizationSettingsError(
+        `Default role must be one of: ${SSO_DEFAULT_ROLES.join(', ')}`,
+        'INVALID_ROLE',
+        400
+      );
+    }
+    next.defaultRole = updates.defaultRole;
+  }
+
+  ['enabled', 'enforced'].forEach(field => {
+    if (updates[field] !== undefined && typeof updates[field] !== 'boolean') {
+      throw new OrganizationSettingsError(`${field} must be true or false`, 'INVALID_SETTINGS', 400);
+    }
+  });
+
+  if (updates.enabled !== undefined) {
+    next.enabled = updates.enabled;
+  }
+
+  if (next.enabled) {
+    const hasSecret = Boolean(next.clientSecret || stored?.clientSecret);
+    if (!next.issuer || !next.clientId || !hasSecret || next.allowedDomains.length === 0) {
+      throw new OrganizationSettingsError(
+        'Set the issuer, client ID, client secret and at least one email domain before turning on single sign-on',
+        'SSO_INCOMPLETE',
+        400
+      );
+    }
+
+    // Unverified domains can wait to be verified, but never sign anyone in
+    if (normalizeSsoSettings({ ...stored, ...next }).verifiedDomains.length === 0) {
+      throw new OrganizationSettingsError(
+        'Verify that you own one of your email domains before turning on single sign-on',
+        'DOMAIN_NOT_VERIFIED',
+        400
+      );
+    }
+  }
+
+  if (updates.enforced === true && !next.enabled) {
+    throw new OrganizationSettingsError('Turn on single sign-on before requiring it', 'SSO_NOT_ENABLED', 400);
+  }
+  next.enforced = next.enabled && (updates.enforced !== undefined ? updates.enforced : current.enforced);
+
+  return next;
+}
+
+/**
+ * Throws when another organization already signs in people from one of the domains
+ * Only verified domains count, so listing a domain can't keep its owner from using it
+ * @param {Collection} collection - Organization settings collection
+ * @param {string} organizationId - Organization ID
+ * @param {Array<string>} domains - Email domains
+ * @private
+ */
+async function assertSsoDomainsAvailable(collection, organizationId, domains) {
+  const other = await collection.findOne(
+    {
+      organizationId: { $ne: new ObjectId(organizationId.toString()) },
+      'sso.enabled': true,
+      'sso.domainVerifications': { $elemMatch: { domain: { $in: domains }, verifiedAt: { $ne: null } } }
+    },
+    { projection: { 'sso.allowedDomains': 1, 'sso.domainVerifications': 1 } }
+  );
+
+  if (other) {
+    const otherDomains = normalizeSsoSettings(other.sso).verifiedDomains;
+    const taken = domains.find(domain => otherDomains.includes(domain));
+    throw new OrganizationSettingsError(
+      `${taken} already signs in through another organization`,
+      'DOMAIN_IN_USE',
+      409
+    );
+  }
+}
+
+/**
+ * Verifies an organization owns one of its SSO domains by looking up the
+ * domain's verification record in DNS
+ * @param {string} organizationId - Organization ID
+ * @param {string} domain - Email domain already in the SSO settings
+ * @param {string} userId - Admin verifying it
+ * @returns {Promise<Object>} { settings, verifiedNow } - verifiedNow is false when it already was
+ * @throws {OrganizationSettingsError} If the domain isn't listed, another organization signs it in or the record isn't found
+ */
+export async function verifySsoDomain(organizationId, domain, userId) {
+  const normalizedDomain = typeof domain === 'string' ? domain.trim().toLowerCase().replace(/^@/, '') : '';
+  const organizationObjectId = new ObjectId(organizationId.toString());
+  const collection = await getOrganizationSettingsCollection();
+  const stored = await collection.findOne({ organizationId: organizationObjectId }, { projection: { sso: 1 } });
+  const sso = normalizeSsoSettings(stored?.sso);
+
+  if (!sso.allowedDomains.includes(normalizedDomain)) {
+    throw new OrganizationSettingsError('Add the domain to single sign-on and save before verifying it', 'DOMAIN_NOT_FOUND', 404);
+  }
+  if (sso.verifiedDomains.includes(normalizedDomain)) {
+    return { settings: normalizeOrganizationSettings(stored), verifiedNow: false };
+  }
+  await assertSsoDomainsAvailable(collection, organizationId, [normalizedDomain]);
+
+  const record = getDomainVerificationRecord(organizationId, normalizedDomain);
+  let records = [];
+  if (allowsLocalIdentityProviders() && normalizedDomain.endsWith(TEST_DOMAIN_SUFFIX)) {
+    records = [[record.value]];
+  } else {
+    try {
+      records = await dns.promises.resolveTxt(record.name);
+    } catch (error) {
+      if (!['ENOTFOUND', 'ENODATA'].includes(error.code)) {
+        console.error(`Failed to look up ${record.name}:`, error.message);
+      }
+    }
+  }
+
+  // Long TXT values can come back split into several strings
+  if (!records.some(chunks => chunks.join('').trim() === record.value)) {
+    throw new OrganizationSettingsError(
+      `No TXT record named ${record.name} with the value ${record.value} was found. DNS changes can take a while to appear; try again later.`,
+      'DOMAIN_NOT_VERIFIED',
+      400
+    );
+  }
+
+  // Verifications only hold verified domains, so a second verification at once adds nothing
+  const now = new Date();
+  const result = await collection.updateOne(
+    {
+      organizationId: organizationObjectId,
+      'sso.allowedDomains': normalizedDomain,
+      'sso.domainVerifications.domain': { $ne: normalizedDomain }
+    },
+    {
+      $push: {
+        'sso.domainVerifications': {
+          domain: normalizedDomain,
+          verifiedAt: now,
+          verifiedBy: userId && ObjectId.isValid(userId) ? new ObjectId(userId) : null
+        }
+      },
+      $set: { updatedAt: now }
+    }
+  );
+
+  const settings = await getOrganizationSettings(organizationId);
+  if (!settings.sso.verifiedDomains.includes(normalizedDomain)) {
+    throw new OrganizationSettingsError('The domain was removed while it was being verified', 'DOMAIN_NOT_FOUND', 404);
+  }
+
+  return { settings, verifiedNow: result.modifiedCount > 0 };
+}
+
+/**
+ * Gets an organization's settings
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object>} Settings
+ */
+export async function getOrganizationSettings(organizationId) {
+  const collection = await getOrganizationSettingsCollection();
+  const stored = await collection.findOne({ organizationId: new ObjectId(organizationId.toString()) });
+
+  return normalizeOrganizationSettings(stored);
+}
+
+/**
+ * Updates some of an organization's settings
+ * @param {string} organizationId - Organization ID
+ * @param {Object} updates - { requireTwoFactor?, sso? }
+ * @param {string} userId - Admin making the change
+ * @returns {Promise<Object>} Settings
+ */
+export async function updateOrganizationSettings(organizationId, updates, userId) {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    throw new OrganizationSettingsError('Settings must be an object', 'INVALID_SETTINGS', 400);
+  }
+
+  const collection = await getOrganizationSettingsCollection();
+  const changes = {};
+
+  if (updates.requireTwoFactor !== undefined) {
+    if (typeof updates.requireTwoFactor !== 'boolean') {
+      throw new OrganizationSettingsError('requireTwoFactor must be true or false', 'INVALID_SETTINGS', 400);
+    }
+    changes.requireTwoFactor = updates.requireTwoFactor;
+  }
+
+  if (updates.sso !== undefined) {
+    const stored = await collection.findOne(
+      { organizationId: new ObjectId(organizationId.toString()) },
+      { projection: { sso: 1 } }
+    );
+    const { clientSecret, ...sso } = validateSsoSettingsUpdate(stored?.sso, updates.sso);
+
+    if (sso.enabled) {
+      await assertSsoDomainsAvailable(
+        collection,
+        organizationId,
+        normalizeSsoSettings({ ...stored?.sso, ...sso }).verifiedDomains
+      );
+    }
+
+    Object.entries(sso).forEach(([field, value]) => {
+      changes[`sso.${field}`] = value;
+    });
+    if (clientSecret) {
+      changes['sso.clientSecret'] = encryptSettingsSecret(clientSecret);
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    throw new OrganizationSettingsError('No settings to update', 'NO_UPDATES', 400);
+  }
+
+  const settings = await collection.findOneAndUpdate(
+    { organizationId: new ObjectId(organizationId.toString()) },
+    {
+      $set: {
+        ...changes,
+        updatedAt: new Date(),
+        updatedBy: userId && ObjectId.isValid(userId) ? new ObjectId(userId) : null
+      },
+      $setOnInsert: { createdAt: new Date() }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+
+  return normalizeOrganizationSettings(settings);
+}
+
+/**
+ * Finds the organization whose single sign-on covers an email address
+ * Only domains the organization has verified count
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} { organizationId, sso } or null when no enabled SSO covers its domain
+ */
+export async function findSsoOrganizationByEmail(email) {
+  const domain = getEmailDomain(email);
+  if (!domain) {
+    return null;
+  }
+
+  const collection = await getOrganizationSettingsCollection();
+  const stored = await collection.findOne(
+    {
+      'sso.enabled': true,
+      'sso.allowedDomains': domain,
+      'sso.domainVerifications': { $elemMatch: { domain, verifiedAt: { $ne: null } } }
+    },
+    { projection: { organizationId: 1, sso: 1 } }
+  );
+
+  return stored
+    ? { organizationId: stored.organizationId.toString(), sso: normalizeSsoSettings(stored.sso) }
+    : null;
+}
+
+/**
+ * Gets what signing in through an organization's identity provider needs,
+ * including the decrypted client secret; for server-side use only
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Object|null>} SSO settings with clientSecret, or null when SSO is off
+ */
+export async function getSsoClientConfiguration(organizationId) {
+  const collection = await getOrganizationSettingsCollection();
+  const stored = await collection.findOne(
+    { organizationId: new ObjectId(organizationId.toString()) },
+    { projection: { sso: 1 } }
+  );
+
+  const sso = normalizeSsoSettings(stored?.sso);
+  if (!sso.enabled || !stored.sso.clientSecret) {
+    return null;
+  }
+
+  return {
+    ...sso,
+    organizationId: organizationId.toString(),
+    clientSecret: decryptSettingsSecret(stored.sso.clientSecret)
+  };
+}
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Automation Worker
+ * Executes automation rule runs that are due: delayed rules once their day
+ * comes, runs that could not start when the stage changed, runs whose
+ * execution stopped with a crash, and failed runs being retried
+ *
+ * Usage:
+ *   node src/scripts/automation-worker.js [--once] [--interval <seconds>] [--batch <count>]
+ *
+ * Options:
+ *   --once                Execute what is due and exit (for cron)
+ *   --interval <seconds>  Seconds between polls when running continuously (default 60)
+ *   --batch <count>       Runs handled per poll (default 50)
+ */
+
+import { connectToDatabase, closeConnection } from '../lib/mongodb.js';
+import { automationService } from '../lib/automations/automation-service.js';
+
+/**
+ * Parses command line arguments
+ * @param {Array<string>} args - Process arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+  const options = { once: false, intervalSeconds: 60, batch: 50 };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--once') {
+      options.once = true;
+    } else if (args[i] === '--interval') {
+      options.intervalSeconds = Number(args[++i]);
+    } else if (args[i] === '--batch') {
+      options.batch = Number(args[++i]);
+    }
+  }
+
+  if (!Number.isFinite(options.intervalSeconds) || options.intervalSeconds <= 0) {
+    throw new Error('--interval must be a positive number of seconds');
+  }
+  if (!Number.isInteger(options.batch) || options.batch <= 0) {
+    throw new Error('--batch must be a positive whole number');
+  }
+
+  return options;
+}
+
+/**
+ * Executes one batch of due runs and logs what happened
+ * @param {number} batch - Maximum runs to handle
+ * @returns {Promise<Object>} Run summary
+ */
+async function runOnce(batch) {
+  const summary = await automationService.processDueRuns({ limit: batch });
+
+  if (summary.reclaimed > 0) {
+    console.log(`♻️  Reclaimed ${summary.reclaimed} automation runs that stopped before they finished`);
+  }
+  if (summary.processed > 0) {
+    console.log(
+      `⚙️  Processed ${summary.processed} automation runs: ${summary.succeeded} succeeded, ` +
+      `${summary.skipped} skipped, ${summary.retrying} will retry, ${summary.failed} failed`
+    );
+  }
+
+  return summary;
+}
+
+async function main() {
+  let stopping = false;
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    await connectToDatabase();
+    console.log('✅ Connected to database');
+
+    if (options.once) {
+      await runOnce(options.batch);
+      await closeConnection();
+      process.exit(0);
+    }
+
+    const stop = () => {
+      stopping = true;
+      console.log('\n👋 Stopping automation worker after the current batch...');
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+
+    console.log(`⚙️  Automation worker polling every ${options.intervalSeconds}s`);
+
+    while (!stopping) {
+      const summary = await runOnce(options.batch);
+
+      // Keep going without waiting while a full batch was due
+      if (summary.processed < options.batch && !stopping) {
+        await new Promise(resolve => setTimeout(resolve, options.intervalSeconds * 1000));
+      }
+    }
+
+    await closeConnection();
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Automation worker failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the worker
+main();
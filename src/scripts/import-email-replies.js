@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Email Reply Import Script
+ * Imports candidate replies from a local maildir into their communication
+ * history. Deliver the reply mailbox (REPLY_TO_ADDRESS) into the maildir with
+ * the mail server or fetchmail and run this every few minutes from cron.
+ * Handled messages are moved to cur/; messages that could not be saved stay
+ * in new/ and are retried on the next run
+ *
+ * Usage:
+ *   node src/scripts/import-email-replies.js --maildir <path> [--dry-run]
+ *
+ * Options:
+ *   --maildir <path>  Maildir to read (the folder containing new/ and cur/)
+ *   --dry-run         List the waiting messages without importing or moving them
+ */
+
+import { connectToDatabase, closeConnection } from '../lib/mongodb.js';
+import { readMaildir, parseEmailMessage, markMaildirMessageSeen } from '../lib/email/inbound-email.js';
+import { importCandidateReply, extractReplyToken } from '../lib/candidates/candidate-communications.js';
+
+/**
+ * Parses command line arguments
+ * @param {Array<string>} args - Process arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+  const maildirIndex = args.indexOf('--maildir');
+
+  return {
+    maildir: maildirIndex !== -1 ? args[maildirIndex + 1] : null,
+    dryRun: args.includes('--dry-run')
+  };
+}
+
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!options.maildir) {
+      console.error('❌ No maildir given. Pass --maildir <path>');
+      process.exit(1);
+    }
+
+    console.log(`📥 Importing email replies from ${options.maildir}...`);
+    if (options.dryRun) {
+      console.log('🔍 Dry run - nothing will be imported or moved');
+    }
+
+    const messages = await readMaildir(options.maildir);
+    const summary = { imported: 0, duplicate: 0, unmatched: 0, failed: 0 };
+
+    if (options.dryRun) {
+      messages.forEach(({ file, raw }) => {
+        const message = parseEmailMessage(raw);
+        const token = extractReplyToken(message.recipients);
+        console.log(`   ${file}: "${message.subject}" from ${message.fromAddress || 'unknown'}${token ? '' : ' (no reply token)'}`);
+      });
+      console.log(`\n📊 ${messages.length} message(s) waiting`);
+      process.exit(0);
+    }
+
+    await connectToDatabase();
+    console.log('✅ Connected to database');
+
+    for (const { file, raw } of messages) {
+      try {
+        const message = parseEmailMessage(raw);
+        const result = await importCandidateReply(message);
+
+        summary[result.status]++;
+        if (result.status === 'imported') {
+          console.log(`   ${file}: reply from ${message.fromAddress || 'unknown'} -> candidate ${result.candidateId}`);
+        } else if (result.status === 'unmatched') {
+          console.log(`   ${file}: no candidate email matches "${message.subject}", skipped`);
+        }
+
+        await markMaildirMessageSeen(options.maildir, file);
+      } catch (error) {
+        summary.failed++;
+        console.warn(`⚠️  ${file} failed: ${error.message}`);
+      }
+    }
+
+    console.log('\n📊 Import summary:');
+    console.log(`   Messages read: ${messages.length}`);
+    console.log(`   Imported:      ${summary.imported}`);
+    console.log(`   Duplicates:    ${summary.duplicate}`);
+    console.log(`   Unmatched:     ${summary.unmatched}`);
+    console.log(`   Failed:        ${summary.failed}`);
+
+    await closeConnection();
+    process.exit(summary.failed > 0 ? 1 : 0);
+
+  } catch (error) {
+    console.error('❌ Reply import failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Candidate Document Indexing Script
+ * Extracts text from documents uploaded before document search existed so
+ * candidate search can match on their contents, and rebuilds the candidate
+ * text index to cover document text
+ *
+ * Usage:
+ *   node src/scripts/index-candidate-documents.js [--reindex] [--dry-run]
+ *
+ * Options:
+ *   --reindex   Extract text again for documents that already have it
+ *   --dry-run   Report what would change without writing anything
+ */
+
+import fs from 'fs/promises';
+import { connectToDatabase, getCollection } from '../lib/mongodb.js';
+import { initializeCandidatesCollection } from '../lib/candidates/candidate-db.js';
+import { documentService } from '../lib/candidates/document-service.js';
+
+/**
+ * Parses command line arguments
+ * @param {Array<string>} args - Process arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+  return {
+    reindex: args.includes('--reindex'),
+    dryRun: args.includes('--dry-run')
+  };
+}
+
+/**
+ * Tells whether a stored document still needs its text extracted
+ * @param {Object} document - Document metadata
+ * @param {Object} options - Script options
+ * @returns {boolean} True if the document should be indexed
+ */
+function needsIndexing(document, options) {
+  return document.isActive && (options.reindex || typeof document.textContent !== 'string');
+}
+
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    console.log('📄 Indexing candidate documents for search...');
+    if (options.dryRun) {
+      console.log('🔍 Dry run - no changes will be written');
+    }
+
+    await connectToDatabase();
+    console.log('✅ Connected to database');
+
+    const candidatesCollection = await getCollection('candidates');
+    const documentQuery = options.reindex
+      ? { isActive: true }
+      : { isActive: true, textContent: { $exists: false } };
+    const cursor = candidatesCollection.find(
+      { documents: { $elemMatch: documentQuery } },
+      { projection: { documents: 1 } }
+    );
+
+    const result = { indexed: 0, empty: 0, missing: 0 };
+
+    for await (const candidate of cursor) {
+      for (const document of candidate.documents.filter(doc => needsIndexing(doc, options))) {
+        let buffer;
+        try {
+          buffer = await fs.readFile(document.filePath);
+        } catch (error) {
+          console.warn(`⚠️  ${document.originalName} (${document._id}): file not found`);
+          result.missing++;
+          continue;
+        }
+
+        const textContent = documentService.extractDocumentText({
+          buffer,
+          mimeType: document.mimeType,
+          originalName: document.originalName
+        });
+
+        if (textContent) {
+          result.indexed++;
+        } else {
+          result.empty++;
+        }
+
+        // Documents without extractable text are stored with '' so they are not retried
+        if (!options.dryRun) {
+          await candidatesCollection.updateOne(
+            { _id: candidate._id },
+            { $set: { 'documents.$[document].textContent': textContent } },
+            { arrayFilters: [{ 'document._id': document._id }] }
+          );
+        }
+      }
+    }
+
+    if (!options.dryRun) {
+      await initializeCandidatesCollection();
+    }
+
+    console.log('\n📊 Indexing summary:');
+    console.log(`   Indexed:      ${result.indexed} documents`);
+    console.log(`   No text:      ${result.empty} documents (scans, images or unsupported formats)`);
+    console.log(`   Missing file: ${result.missing} documents`);
+
+    console.log('\n✅ Document indexing completed');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Document indexing failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+
+/**
+ * Organization Scope Migration Script
+ * Backfills organizationId on jobs, applications, candidates and interviews
+ * created before multi-tenant scoping, and replaces the global candidate
+ * email index with the per-organization one
+ *
+ * Usage:
+ *   node src/scripts/migrate-organization-scope.js [--organization <id>] [--dry-run]
+ *
+ * Options:
+ *   --organization <id>  Organization that receives records whose owner cannot be resolved
+ *   --dry-run            Report what would change without writing anything
+ */
+
+import { ObjectId } from 'mongodb';
+import { connectToDatabase, getCollection } from '../lib/mongodb.js';
+import { resolveOrganizationId } from '../lib/team/organization-scope.js';
+import { initializeCandidatesCollection } from '../lib/candidates/candidate-db.js';
+import { initializeInterviewsCollection } from '../lib/interviews/interview-db.js';
+import { ensureJobIndexes } from '../lib/jobs/job-indexes.js';
+
+const LEGACY_CANDIDATE_EMAIL_INDEX = 'personalInfo.email_1';
+
+/**
+ * Parses command line arguments
+ * @param {Array<string>} args - Process arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+  const options = { defaultOrganizationId: null, dryRun: false };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (args[i] === '--organization') {
+      options.defaultOrganizationId = args[++i];
+    }
+  }
+
+  if (options.defaultOrganizationId && !ObjectId.isValid(options.defaultOrganizationId)) {
+    throw new Error(`Invalid --organization value: ${options.defaultOrganizationId}`);
+  }
+
+  return options;
+}
+
+/**
+ * Creates a cached organization resolver so each user is only looked up once
+ * @returns {Function} Resolver returning an ObjectId or null
+ */
+function createOrganizationResolver() {
+  const cache = new Map();
+
+  return async function resolve(userId) {
+    if (!userId || !ObjectId.isValid(userId.toString())) {
+      return null;
+    }
+
+    const key = userId.toString();
+    if (!cache.has(key)) {
+      cache.set(key, new ObjectId(await resolveOrganizationId(key)));
+    }
+
+    return cache.get(key);
+  };
+}
+
+/**
+ * Stamps organizationId on every unscoped document of a collection
+ * @param {string} collectionName - Collection to migrate
+ * @param {Function} resolveForDocument - Returns the organization ObjectId for a document, or null
+ * @param {Object} options - Script options
+ * @returns {Promise<Object>} Counts of updated and unresolved documents
+ */
+async function backfillCollection(collectionName, resolveForDocument, options) {
+  const collection = await getCollection(collectionName);
+  const cursor = collection.find({ organizationId: { $exists: false } });
+  const result = { updated: 0, unresolved: 0 };
+
+  for await (const document of cursor) {
+    const organizationId = await resolveForDocument(document)
+      || (options.defaultOrganizationId ? new ObjectId(options.defaultOrganizationId) : null);
+
+    if (!organizationId) {
+      result.unresolved++;
+      continue;
+    }
+
+    if (!options.dryRun) {
+      await collection.updateOne(
+        { _id: document._id },
+        { $set: { organizationId } }
+      );
+    }
+    result.updated++;
+  }
+
+  return result;
+}
+
+/**
+ * Drops the global unique email index that prevented two organizations
+ * from tracking the same candidate
+ * @param {Object} options - Script options
+ * @returns {Promise<boolean>} True if the legacy index was present
+ */
+async function dropLegacyCandidateIndex(options) {
+  const candidatesCollection = await getCollection('candidates');
+  const indexes = await candidatesCollection.listIndexes().toArray();
+  const exists = indexes.some(index => index.name === LEGACY_CANDIDATE_EMAIL_INDEX);
+
+  if (exists && !options.dryRun) {
+    await candidatesCollection.dropIndex(LEGACY_CANDIDATE_EMAIL_INDEX);
+  }
+
+  return exists;
+}
+
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    console.log('🏢 Migrating records to organization scope...');
+    if (options.dryRun) {
+      console.log('🔍 Dry run - no changes will be written');
+    }
+
+    await connectToDatabase();
+    console.log('✅ Connected to database');
+
+    const resolveUserOrganization = createOrganizationResolver();
+    const jobsCollection = await getCollection('jobs');
+    const candidatesCollection = await getCollection('candidates');
+
+    const findOrganizationOf = async (collection, id) => {
+      if (!id || !ObjectId.isValid(id.toString())) {
+        return null;
+      }
+      const document = await collection.findOne(
+        { _id: new ObjectId(id.toString()) },
+        { projection: { organizationId: 1 } }
+      );
+      return document?.organizationId || null;
+    };
+
+    // Jobs belong to the organization of the user who posted them
+    const jobs = await backfillCollection(
+      'jobs',
+      job => resolveUserOrganization(job.createdBy),
+      options
+    );
+
+    // Jobs created before soft-delete support have no metadata
+    let jobsWithMetadata = 0;
+    if (!options.dryRun) {
+      const metadataResult = await jobsCollection.updateMany(
+        { metadata: { $exists: false } },
+        { $set: { 'metadata.isActive': true } }
+      );
+      jobsWithMetadata = metadataResult.modifiedCount;
+    }
+
+    // Applications follow the job they were submitted to
+    const applications = await backfillCollection(
+      'applications',
+      application => findOrganizationOf(jobsCollection, application.jobId),
+      options
+    );
+
+    // Candidates follow their creator, falling back to a linked job
+    const candidates = await backfillCollection(
+      'candidates',
+      async candidate => {
+        const fromCreator = await resolveUserOrganization(candidate.metadata?.createdBy);
+        if (fromCreator) {
+          return fromCreator;
+        }
+
+        for (const application of candidate.jobApplications || []) {
+          const fromJob = await findOrganizationOf(jobsCollection, application.jobId);
+          if (fromJob) {
+            return fromJob;
+          }
+        }
+
+        return null;
+      },
+      options
+    );
+
+    // Interviews follow the candidate being interviewed
+    const interviews = await backfillCollection(
+      'interviews',
+      async interview => (
+        await findOrganizationOf(candidatesCollection, interview.candidateId)
+        || resolveUserOrganization(interview.metadata?.createdBy)
+      ),
+      options
+    );
+
+    const droppedLegacyIndex = await dropLegacyCandidateIndex(options);
+
+    if (!options.dryRun) {
+      await initializeCandidatesCollection();
+      await initializeInterviewsCollection();
+      await ensureJobIndexes();
+    }
+
+    console.log('\n📊 Migration summary:');
+    console.log(`   Jobs:         ${jobs.updated} updated, ${jobs.unresolved} unresolved (${jobsWithMetadata} given metadata)`);
+    console.log(`   Applications: ${applications.updated} updated, ${applications.unresolved} unresolved`);
+    console.log(`   Candidates:   ${candidates.updated} updated, ${candidates.unresolved} unresolved`);
+    console.log(`   Interviews:   ${interviews.updated} updated, ${interviews.unresolved} unresolved`);
+    console.log(`   Legacy email index: ${droppedLegacyIndex ? 'dropped' : 'not present'}`);
+
+    const unresolved = jobs.unresolved + applications.unresolved + candidates.unresolved + interviews.unresolved;
+    if (unresolved > 0) {
+      console.log('\n⚠️  Unresolved records stay hidden from every organization.');
+      console.log('   Re-run with --organization <id> to assign them to a default organization.');
+    }
+
+    console.log('\n✅ Organization scope migration completed');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Organization scope migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -0,0 +1,304 @@
+#!/usr/bin/env node
+
+/**
+ * Mock OpenID Connect Issuer
+ * A tiny identity provider for trying out single sign-on locally. Its sign-in
+ * page asks for any email and name instead of a password, and it issues real
+ * RS256-signed ID tokens, so the whole SSO flow runs as it would against a
+ * company's provider. Never expose it outside your machine
+ *
+ * Usage:
+ *   node src/scripts/mock-oidc-issuer.js
+ *
+ * Environment:
+ *   MOCK_OIDC_PORT            Port to listen on (default 4011)
+ *   MOCK_OIDC_CLIENT_ID       Client ID to accept (default nexus-ats)
+ *   MOCK_OIDC_CLIENT_SECRET   Client secret to accept (default nexus-ats-secret)
+ *
+ * Then, as an Admin, set the issuer to http://127.0.0.1:4011 in
+ * Settings → Security → Single Sign-On with the same client ID and secret
+ * and a domain ending in .test, which development verifies without DNS.
+ * Local issuers are only accepted while the app runs in development
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 5 * 60;
+
+/**
+ * Escapes text for the sign-in page
+ * @param {string} value - Text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Reads a url-encoded request body
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<URLSearchParams>} Form fields
+ */
+async function readForm(request) {
+  let body = '';
+  for await (const chunk of request) {
+    body += chunk;
+    if (body.length > 100000) {
+      throw new Error('Request body too large');
+    }
+  }
+  return new URLSearchParams(body);
+}
+
+function sendJson(response, status, data) {
+  response.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  response.end(JSON.stringify(data));
+}
+
+function redirect(response, url) {
+  response.writeHead(302, { Location: url.toString() });
+  response.end();
+}
+
+/**
+ * Signs a JWT with RS256
+ * @param {Object} payload - Claims
+ * @param {crypto.KeyObject} privateKey - Signing key
+ * @param {string} kid - Key ID published in the JWKS
+ * @returns {string} Compact JWT
+ */
+function signJwt(payload, privateKey, kid) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ alg: 'RS256', typ: 'JWT', kid })}.${encode(payload)}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), privateKey).toString('base64url');
+  return `${signingInput}.${signature}`;
+}
+
+/**
+ * Reads the client's credentials from HTTP Basic auth or the form body
+ * @param {http.IncomingMessage} request - Token request
+ * @param {URLSearchParams} form - Token request body
+ * @returns {Object} { clientId, clientSecret }
+ */
+function readClientCredentials(request, form) {
+  const header = request.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const [clientId, clientSecret] = Buffer.from(header.slice(6), 'base64').toString('utf8').split(':');
+    return { clientId: decodeURIComponent(clientId || ''), clientSecret: decodeURIComponent(clientSecret || '') };
+  }
+  return { clientId: form.get('client_id'), clientSecret: form.get('client_secret') };
+}
+
+/**
+ * The sign-in page, which posts back to /authorize with the request's parameters
+ * @param {URLSearchParams} params - Authorization request parameters
+ * @returns {string} HTML
+ */
+function renderSignInPage(params) {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params.get(name))}">`)
+    .join('');
+
+  return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>Mock identity provider</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 60px auto;">
+  <h1 style="font-size: 20px;">Mock identity provider</h1>
+  <p style="color: #666;">Sign in as anyone. There is no password.</p>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" required value="${escapeHtml(params.get('login_hint'))}" style="width: 100%;"></label></p>
+    <p><label>Name<br><input name="name" style="width: 100%;"></label></p>
+    <p><label><input name="email_verified" type="checkbox" checked> Email is verified</label></p>
+    <button type="submit" name="decision" value="allow">Sign in</button>
+    <button type="submit" name="decision" value="deny">Cancel</button>
+  </form>
+</body>
+</html>`;
+}
+
+/**
+ * Starts the mock issuer
+ * @param {Object} options - { port, clientId, clientSecret }
+ * @returns {Promise<Object>} { issuer, clientId, clientSecret, close }
+ */
+export async function startMockOidcIssuer({
+  port = 4011,
+  clientId = 'nexus-ats',
+  clientSecret = 'nexus-ats-secret'
+} = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+  const codes = new Map();
+  const accessTokens = new Map();
+  let issuer = null;
+
+  const handleAuthorize = async (request, response, url) => {
+    const params = request.method === 'POST' ? await readForm(request) : url.searchParams;
+
+    if (params.get('client_id') !== clientId || !params.get('redirect_uri')) {
+      return sendJson(response, 400, { error: 'invalid_request', error_description: 'Unknown client or missing redirect_uri' });
+    }
+
+    if (request.method !== 'POST') {
+      if (params.get('response_type') !== 'code') {
+        return sendJson(response, 400, { error: 'unsupported_response_type' });
+      }
+      response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return response.end(renderSignInPage(params));
+    }
+
+    const target = new URL(params.get('redirect_uri'));
+    if (params.get('state')) {
+      target.searchParams.set('state', params.get('state'));
+    }
+
+    if (params.get('decision') === 'deny') {
+      target.searchParams.set('error', 'access_denied');
+      return redirect(response, target);
+    }
+
+    const email = (params.get('email') || '').trim().toLowerCase();
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+      redirectUri: params.get('redirect_uri'),
+      nonce: params.get('nonce'),
+      codeChallenge: params.get('code_challenge'),
+      expiresAt: Date.now() + CODE_TTL_MS,
+      claims: {
+        // A stable subject per email, like a real provider's user ID
+        sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+        email,
+        email_verified: params.has('email_verified'),
+        name: params.get('name') || email.split('@')[0]
+      }
+    });
+
+    target.searchParams.set('code', code);
+    return redirect(response, target);
+  };
+
+  const handleToken = async (request, response) => {
+    const form = await readForm(request);
+    const credentials = readClientCredentials(request, form);
+    if (credentials.clientId !== clientId || credentials.clientSecret !== clientSecret) {
+      return sendJson(response, 401, { error: 'invalid_client' });
+    }
+
+    const grant = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+    if (form.get('grant_type') !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+      return sendJson(response, 400, { error: 'invalid_grant' });
+    }
+    if (grant.redirectUri !== form.get('redirect_uri')) {
+      return sendJson(response, 400, { error: 'invalid_grant', error_description: 'redirect_uri does not match' });
+    }
+    if (grant.codeChallenge) {
+      const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+      if (challenge !== grant.codeChallenge) {
+        return sendJson(response, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, grant.claims);
+
+    return sendJson(response, 200, {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_SECONDS,
+      id_token: signJwt({
+        iss: issuer,
+        aud: clientId,
+        iat: now,
+        exp: now + TOKEN_TTL_SECONDS,
+        ...(grant.nonce ? { nonce: grant.nonce } : {}),
+        ...grant.claims
+      }, privateKey, kid)
+    });
+  };
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, issuer);
+
+    try {
+      switch (url.pathname) {
+        case '/.well-known/openid-configuration':
+          return sendJson(response, 200, {
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            userinfo_endpoint: `${issuer}/userinfo`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            scopes_supported: ['openid', 'email', 'profile'],
+            token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+            code_challenge_methods_supported: ['S256']
+          });
+        case '/jwks':
+          return sendJson(response, 200, { keys: [jwk] });
+        case '/authorize':
+          return await handleAuthorize(request, response, url);
+        case '/token':
+          return request.method === 'POST'
+            ? await handleToken(request, response)
+            : sendJson(response, 405, { error: 'invalid_request' });
+        case '/userinfo': {
+          const token = (request.headers.authorization || '').replace(/^Bearer /, '');
+          const claims = accessTokens.get(token);
+          return claims ? sendJson(response, 200, claims) : sendJson(response, 401, { error: 'invalid_token' });
+        }
+        default:
+          return sendJson(response, 404, { error: 'not_found' });
+      }
+    } catch (error) {
+      return sendJson(response, 400, { error: 'invalid_request', error_description: error.message });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    clientId,
+    clientSecret,
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
+
+async function main() {
+  try {
+    const { issuer, clientId, clientSecret } = await startMockOidcIssuer({
+      port: Number(process.env.MOCK_OIDC_PORT) || 4011,
+      clientId: process.env.MOCK_OIDC_CLIENT_ID || undefined,
+      clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET || undefined
+    });
+
+    console.log('🔑 Mock OpenID Connect issuer running');
+    console.log(`   Issuer:        ${issuer}`);
+    console.log(`   Client ID:     ${clientId}`);
+    console.log(`   Client secret: ${clientSecret}`);
+    console.log('\nPress Ctrl+C to stop.');
+
+  } catch (error) {
+    console.error('❌ Mock issuer failed to start:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script when it is executed directly, not when tests import it
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
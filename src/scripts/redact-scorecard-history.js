@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Scorecard History Redaction Script
+ * Removes interview recommendations from candidate stage history entries
+ * written before history stopped recording them. Stage history is readable
+ * by every member who can see the candidate, so these entries let panel
+ * interviewers read feedback the scorecard feedback lock hides from them
+ *
+ * Usage:
+ *   node src/scripts/redact-scorecard-history.js [--dry-run]
+ *
+ * Options:
+ *   --dry-run   Report how many candidates would change without writing anything
+ */
+
+import { connectToDatabase, getCollection, closeConnection } from '../lib/mongodb.js';
+import { redactScorecardHistory } from '../lib/interviews/scorecard-models.js';
+
+async function main() {
+  try {
+    const dryRun = process.argv.slice(2).includes('--dry-run');
+
+    console.log('🔒 Removing recommendations from candidate stage history...');
+    if (dryRun) {
+      console.log('🔍 Dry run - no changes will be written');
+    }
+
+    await connectToDatabase();
+    console.log('✅ Connected to database');
+
+    const candidatesCollection = await getCollection('candidates');
+    const cursor = candidatesCollection.find(
+      { 'pipelineInfo.stageHistory.scorecard.recommendation': { $exists: true } },
+      { projection: { 'pipelineInfo.stageHistory': 1 } }
+    );
+
+    let updated = 0;
+    for await (const candidate of cursor) {
+      if (!dryRun) {
+        await candidatesCollection.updateOne(
+          { _id: candidate._id },
+          { $set: { 'pipelineInfo.stageHistory': redactScorecardHistory(candidate.pipelineInfo.stageHistory) } }
+        );
+      }
+      updated++;
+    }
+
+    console.log(`\n📊 Candidates ${dryRun ? 'to update' : 'updated'}: ${updated}`);
+
+    await closeConnection();
+    console.log('\n✅ Scorecard history redaction completed');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Scorecard history redaction failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Digest Script
+ * Sends each user their daily or weekly recruiting digest once it is due.
+ * Run it every hour (or at least once a day) from cron; each user's last
+ * digest is recorded, so nobody gets one twice in a period
+ *
+ * Usage:
+ *   node src/scripts/send-digests.js [--dry-run] [--user <email>]
+ *
+ * Options:
+ *   --dry-run        Build the digests that are due and print their subjects without sending
+ *   --user <email>   Only consider the user with this email address
+ */
+
+import { connectToDatabase, closeConnection } from '../lib/mongodb.js';
+import { sendDueDigests, isDigestEmpty } from '../lib/notifications/notification-digest.js';
+import { generateDigestEmail } from '../lib/email/notification-templates.js';
+
+/**
+ * Parses command line arguments
+ * @param {Array<string>} args - Process arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+  const userIndex = args.indexOf('--user');
+
+  return {
+    dryRun: args.includes('--dry-run'),
+    email: userIndex >= 0 ? args[userIndex + 1] || null : null
+  };
+}
+
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    console.log('📬 Checking for digests that are due...');
+    if (options.dryRun) {
+      console.log('🔍 Dry run - nothing will be sent');
+    }
+
+    await connectToDatabase();
+    console.log('✅ Connected to database');
+
+    const summary = await sendDueDigests({ dryRun: options.dryRun, email: options.email });
+
+    summary.digests.forEach(({ email, digest }) => {
+      const subject = isDigestEmpty(digest) ? 'nothing to report' : generateDigestEmail(digest).subject;
+      console.log(`   ${email}: ${subject}`);
+    });
+    summary.sent.forEach(result => {
+      console.log(`   Sent to ${result.email}`);
+    });
+    summary.failed.forEach(failure => {
+      console.warn(`⚠️  Digest for ${failure.email} failed: ${failure.error}`);
+    });
+
+    console.log('\n📊 Digest summary:');
+    console.log(`   Users checked:        ${summary.checked}`);
+    console.log(`   Digests ${options.dryRun ? 'due' : 'sent'}:         ${options.dryRun ? summary.digests.length : summary.sent.length}`);
+    console.log(`   Nothing to report:    ${summary.empty.length}`);
+    console.log(`   Failed:               ${summary.failed.length}`);
+
+    await closeConnection();
+    process.exit(summary.failed.length > 0 ? 1 : 0);
+
+  } catch (error) {
+    console.error('❌ Digests failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
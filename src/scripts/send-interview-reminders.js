@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Interview Reminder Script
+ * Emails the candidate and every interviewer 24 hours and 1 hour before a
+ * scheduled interview. Run it every few minutes from cron; reminders already
+ * sent are recorded on the interview and never repeated
+ *
+ * Usage:
+ *   node src/scripts/send-interview-reminders.js [--dry-run]
+ *
+ * Options:
+ *   --dry-run   List the reminders that are due without sending or recording them
+ */
+
+import { connectToDatabase, closeConnection } from '../lib/mongodb.js';
+import { interviewService } from '../lib/interviews/interview-service.js';
+
+/**
+ * Parses command line arguments
+ * @param {Array<string>} args - Process arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(args) {
+  return {
+    dryRun: args.includes('--dry-run')
+  };
+}
+
+async function main() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    console.log('⏰ Checking for interview reminders...');
+    if (options.dryRun) {
+      console.log('🔍 Dry run - nothing will be sent');
+    }
+
+    await connectToDatabase();
+    console.log('✅ Connected to database');
+
+    const summary = await interviewService.sendDueReminders({ dryRun: options.dryRun });
+
+    summary.reminded.forEach(reminder => {
+      const recipients = options.dryRun ? '' : ` -> ${reminder.recipients.join(', ') || 'no recipients with an email'}`;
+      console.log(`   ${reminder.window} reminder for interview ${reminder.interviewId}${recipients}`);
+    });
+    summary.failed.forEach(failure => {
+      console.warn(`⚠️  ${failure.window} reminder for interview ${failure.interviewId} failed: ${failure.error}`);
+    });
+
+    console.log('\n📊 Reminder summary:');
+    console.log(`   Upcoming interviews checked: ${summary.checked}`);
+    console.log(`   Reminders ${options.dryRun ? 'due' : 'sent'}:  ${summary.reminded.length}`);
+    console.log(`   Failed:                      ${summary.failed.length}`);
+
+    await closeConnection();
+    process.exit(summary.failed.length > 0 ? 1 : 0);
+
+  } catch (error) {
+    console.error('❌ Interview reminders failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();